@@ -0,0 +1,8 @@
+-- Migration 057: Add 'publish_post' to jobs.type for asynchronous platform publishing
+
+ALTER TABLE jobs DROP CONSTRAINT IF EXISTS jobs_type_check;
+ALTER TABLE jobs ADD CONSTRAINT jobs_type_check CHECK (
+  type IN ('website_analysis', 'content_generation', 'analyze_voice_sample', 'content_calendar', 'content_calendar_post', 'publish_post')
+);
+
+COMMENT ON COLUMN jobs.type IS 'Job type: website_analysis, content_generation, analyze_voice_sample, content_calendar, content_calendar_post, publish_post';
@@ -0,0 +1,17 @@
+-- Migration 058: Scheduled platform publishing
+-- platform_publications entries may have status 'scheduled' with scheduled_at (UTC ISO), timezone and native
+-- (true when the platform holds the post and publishes it itself, e.g. WordPress 'future', Ghost 'scheduled').
+-- jobs/scheduledPublishing.js looks up posts with scheduled entries every minute.
+
+ALTER TABLE blog_posts
+  DROP CONSTRAINT IF EXISTS chk_publication_status;
+
+ALTER TABLE blog_posts
+  ADD CONSTRAINT chk_publication_status
+  CHECK (publication_status IS NULL OR publication_status IN ('draft', 'scheduled', 'publishing', 'published', 'failed'));
+
+CREATE INDEX IF NOT EXISTS idx_blog_posts_platform_publications
+  ON blog_posts USING GIN (platform_publications jsonb_path_ops);
+
+COMMENT ON COLUMN blog_posts.publication_status IS 'Overall publication state: draft, scheduled, publishing, published, failed';
+COMMENT ON COLUMN blog_posts.platform_publications IS 'Per-platform state: array of { platform, status, label?, url?, external_id?, scheduled_at?, timezone?, native? }';
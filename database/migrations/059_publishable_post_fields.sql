@@ -0,0 +1,27 @@
+-- Migration 059: Publishing metadata on blog_posts
+-- User-set values for the publishable post (services/publishable-post.js). Each is optional; when NULL the
+-- value is derived: slug from the title, excerpt / meta_description from the first paragraph, featured
+-- image from the generated hero image or the first image in the content, tags from topic_data.tags,
+-- author from the user's name. meta_description may already exist (written by enhanced generation).
+
+ALTER TABLE blog_posts
+  ADD COLUMN IF NOT EXISTS slug VARCHAR(200),
+  ADD COLUMN IF NOT EXISTS excerpt TEXT,
+  ADD COLUMN IF NOT EXISTS meta_description TEXT,
+  ADD COLUMN IF NOT EXISTS canonical_url TEXT,
+  ADD COLUMN IF NOT EXISTS featured_image_url TEXT,
+  ADD COLUMN IF NOT EXISTS tags JSONB,
+  ADD COLUMN IF NOT EXISTS categories JSONB,
+  ADD COLUMN IF NOT EXISTS author_name VARCHAR(200);
+
+CREATE INDEX IF NOT EXISTS idx_generated_visual_content_post_hero
+  ON generated_visual_content (post_id, created_at DESC)
+  WHERE content_type = 'hero_image' AND generation_status = 'completed';
+
+COMMENT ON COLUMN blog_posts.slug IS 'URL slug sent to publishers; NULL = slugified title';
+COMMENT ON COLUMN blog_posts.excerpt IS 'Plain-text excerpt sent to publishers; NULL = first paragraph';
+COMMENT ON COLUMN blog_posts.canonical_url IS 'Canonical URL sent to platforms that support it (Ghost, Medium, HubSpot, static sites)';
+COMMENT ON COLUMN blog_posts.featured_image_url IS 'Featured image override; NULL = generated hero image, then first content image';
+COMMENT ON COLUMN blog_posts.tags IS 'Tag override (JSON array of strings); NULL = topic_data.tags';
+COMMENT ON COLUMN blog_posts.categories IS 'Categories (JSON array of strings) for platforms with categories (WordPress, Jekyll, Hugo)';
+COMMENT ON COLUMN blog_posts.author_name IS 'Author display name; NULL = the user''s name';
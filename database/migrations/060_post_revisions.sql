@@ -0,0 +1,39 @@
+-- Migration 060: Post revision history
+-- Every change to a post's title or content writes an immutable row here (services/post-revisions.js):
+-- manual edits, SEO re-analysis, tweet/image enrichment and restores. The first change to a post also records
+-- the version it replaced (source 'original'), so posts created before this migration keep their first text.
+
+CREATE TABLE IF NOT EXISTS blog_post_revisions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  blog_post_id UUID NOT NULL REFERENCES blog_posts(id) ON DELETE CASCADE,
+  revision_number INTEGER NOT NULL,
+  title VARCHAR(500),
+  content TEXT NOT NULL,
+  word_count INTEGER NOT NULL DEFAULT 0,
+  seo_score INTEGER,
+  source VARCHAR(30) NOT NULL
+    CHECK (source IN ('original', 'manual_edit', 'seo_reanalysis', 'enrichment', 'restore')),
+  restored_from INTEGER,
+  author_user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  author_session_id VARCHAR(255),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  CONSTRAINT uq_blog_post_revisions_number UNIQUE (blog_post_id, revision_number)
+);
+
+-- Revisions are append-only; rows go away only with their post (ON DELETE CASCADE)
+CREATE OR REPLACE FUNCTION prevent_blog_post_revision_update()
+RETURNS TRIGGER AS $$
+BEGIN
+  RAISE EXCEPTION 'blog_post_revisions rows are immutable';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS blog_post_revisions_immutable ON blog_post_revisions;
+CREATE TRIGGER blog_post_revisions_immutable
+  BEFORE UPDATE ON blog_post_revisions
+  FOR EACH ROW EXECUTE FUNCTION prevent_blog_post_revision_update();
+
+COMMENT ON TABLE blog_post_revisions IS 'Immutable title/content history of blog posts; revision_number increases per post';
+COMMENT ON COLUMN blog_post_revisions.source IS 'What made the change: original (text before the first recorded change), manual_edit, seo_reanalysis, enrichment (tweets/images), restore';
+COMMENT ON COLUMN blog_post_revisions.restored_from IS 'For source restore: the revision_number that was restored';
+COMMENT ON COLUMN blog_post_revisions.seo_score IS 'blog_posts.seo_score_prediction at the time of the revision';
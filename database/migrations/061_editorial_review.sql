@@ -0,0 +1,71 @@
+-- Migration 061: Editorial review workflow
+-- Posts move through draft → in_review → changes_requested / approved → scheduled / published
+-- (services/editorial-review.js). Reviewers are organization owners/admins or the assigned member.
+-- Organizations with require_post_review only publish approved posts (POST /api/v1/posts/:id/publish).
+
+ALTER TABLE blog_posts
+  ADD COLUMN IF NOT EXISTS review_state VARCHAR(30) NOT NULL DEFAULT 'draft',
+  ADD COLUMN IF NOT EXISTS review_assignee_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS review_state_changed_at TIMESTAMP WITH TIME ZONE;
+
+ALTER TABLE blog_posts
+  DROP CONSTRAINT IF EXISTS chk_review_state;
+
+ALTER TABLE blog_posts
+  ADD CONSTRAINT chk_review_state
+  CHECK (review_state IN ('draft', 'in_review', 'changes_requested', 'approved', 'scheduled', 'published'));
+
+-- Posts that are already live or scheduled start in the matching state
+UPDATE blog_posts
+SET review_state = publication_status
+WHERE publication_status IN ('scheduled', 'published') AND review_state = 'draft';
+
+CREATE INDEX IF NOT EXISTS idx_blog_posts_review_queue
+  ON blog_posts (review_state, review_assignee_id)
+  WHERE review_state = 'in_review';
+
+ALTER TABLE organizations
+  ADD COLUMN IF NOT EXISTS require_post_review BOOLEAN NOT NULL DEFAULT FALSE;
+
+-- Reviewer comments, optionally anchored to a character range of the content they were written against
+CREATE TABLE IF NOT EXISTS post_review_comments (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  blog_post_id UUID NOT NULL REFERENCES blog_posts(id) ON DELETE CASCADE,
+  author_user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  body TEXT NOT NULL,
+  anchor_start INTEGER,
+  anchor_end INTEGER,
+  quoted_text TEXT,
+  revision_number INTEGER,
+  resolved_at TIMESTAMP WITH TIME ZONE,
+  resolved_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  CONSTRAINT chk_post_review_comment_anchor CHECK (
+    (anchor_start IS NULL AND anchor_end IS NULL) OR (anchor_start >= 0 AND anchor_end > anchor_start)
+  )
+);
+
+CREATE INDEX IF NOT EXISTS idx_post_review_comments_post
+  ON post_review_comments (blog_post_id, created_at);
+
+-- Audit trail of state changes and assignments
+CREATE TABLE IF NOT EXISTS post_review_events (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  blog_post_id UUID NOT NULL REFERENCES blog_posts(id) ON DELETE CASCADE,
+  action VARCHAR(30) NOT NULL,
+  from_state VARCHAR(30),
+  to_state VARCHAR(30),
+  actor_user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  note TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_post_review_events_post
+  ON post_review_events (blog_post_id, created_at);
+
+COMMENT ON COLUMN blog_posts.review_state IS 'Editorial state: draft, in_review, changes_requested, approved, scheduled, published';
+COMMENT ON COLUMN blog_posts.review_assignee_id IS 'Organization member asked to review the post';
+COMMENT ON COLUMN organizations.require_post_review IS 'When true, only approved posts can be published to platforms';
+COMMENT ON COLUMN post_review_comments.quoted_text IS 'Text covered by anchor_start..anchor_end when the comment was written';
+COMMENT ON COLUMN post_review_comments.revision_number IS 'blog_post_revisions.revision_number current when the comment was written';
+COMMENT ON TABLE post_review_events IS 'Editorial review history: submit, withdraw, approve, request_changes, reopen, assign';
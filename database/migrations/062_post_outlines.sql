@@ -0,0 +1,43 @@
+-- Migration 062: Outline-first generation
+-- A post can be planned as an editable outline (H2/H3 sections with intent and target keyword), then written one
+-- section at a time (services/post-outlines.js). The outline keeps the voice context it was created with so
+-- sections generated later sound the same. Once a post is created from the outline, regenerating a section
+-- replaces only that section of the post and records a 'section_generation' revision.
+
+CREATE TABLE IF NOT EXISTS post_outlines (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  organization_id UUID REFERENCES organizations(id) ON DELETE SET NULL,
+  blog_post_id UUID REFERENCES blog_posts(id) ON DELETE SET NULL,
+  title VARCHAR(500) NOT NULL,
+  meta_description TEXT,
+  topic JSONB NOT NULL DEFAULT '{}',
+  business_info JSONB NOT NULL DEFAULT '{}',
+  additional_instructions TEXT,
+  voice_context JSONB NOT NULL DEFAULT '{}',
+  sections JSONB NOT NULL DEFAULT '[]',
+  version INTEGER NOT NULL DEFAULT 1,
+  generation_metadata JSONB,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_post_outlines_user
+  ON post_outlines (user_id, updated_at DESC);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_post_outlines_blog_post
+  ON post_outlines (blog_post_id)
+  WHERE blog_post_id IS NOT NULL;
+
+ALTER TABLE blog_post_revisions
+  DROP CONSTRAINT IF EXISTS blog_post_revisions_source_check;
+
+ALTER TABLE blog_post_revisions
+  ADD CONSTRAINT blog_post_revisions_source_check
+  CHECK (source IN ('original', 'manual_edit', 'seo_reanalysis', 'enrichment', 'restore', 'section_generation'));
+
+COMMENT ON COLUMN blog_post_revisions.source IS 'What made the change: original (text before the first recorded change), manual_edit, seo_reanalysis, enrichment (tweets/images), restore, section_generation (outline section regenerated)';
+COMMENT ON TABLE post_outlines IS 'Editable outlines for outline-first generation; sections hold id, level, heading, intent, target_keyword, content and status';
+COMMENT ON COLUMN post_outlines.voice_context IS 'Voice profile and brand voice prompt text captured when the outline was created';
+COMMENT ON COLUMN post_outlines.version IS 'Incremented on every change; PUT requests must send the version they edited';
+COMMENT ON COLUMN post_outlines.blog_post_id IS 'Post created from the outline; later section regenerations are spliced into it';
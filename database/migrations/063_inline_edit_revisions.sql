@@ -0,0 +1,12 @@
+-- Migration 063: Inline AI edits
+-- Accepting an AI suggestion for a selected passage (POST /api/v1/posts/:id/inline-edits/accept) is recorded as an
+-- 'inline_edit' revision.
+
+ALTER TABLE blog_post_revisions
+  DROP CONSTRAINT IF EXISTS blog_post_revisions_source_check;
+
+ALTER TABLE blog_post_revisions
+  ADD CONSTRAINT blog_post_revisions_source_check
+  CHECK (source IN ('original', 'manual_edit', 'seo_reanalysis', 'enrichment', 'restore', 'section_generation', 'inline_edit'));
+
+COMMENT ON COLUMN blog_post_revisions.source IS 'What made the change: original (text before the first recorded change), manual_edit, seo_reanalysis, enrichment (tweets/images), restore, section_generation (outline section regenerated), inline_edit (accepted AI suggestion for a passage)';
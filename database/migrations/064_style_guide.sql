@@ -0,0 +1,23 @@
+-- Migration 064: Organization style guide
+-- Hard wording and punctuation rules are stored as the 'style_guide' manual input
+-- (input_data = { "rules": [...] }, see lib/style-guide.js). Applying the automatic fixes to a post
+-- (POST /api/v1/posts/:id/style-lint/fix) is recorded as a 'style_fix' revision.
+
+ALTER TABLE user_manual_inputs
+  DROP CONSTRAINT IF EXISTS user_manual_inputs_input_type_check;
+
+ALTER TABLE user_manual_inputs
+  ADD CONSTRAINT user_manual_inputs_input_type_check
+  CHECK (input_type IN (
+    'brand_voice', 'cta_preferences', 'internal_linking', 'brand_colors',
+    'target_audience', 'business_objectives', 'competitor_info', 'industry_context', 'style_guide'
+  ));
+
+ALTER TABLE blog_post_revisions
+  DROP CONSTRAINT IF EXISTS blog_post_revisions_source_check;
+
+ALTER TABLE blog_post_revisions
+  ADD CONSTRAINT blog_post_revisions_source_check
+  CHECK (source IN ('original', 'manual_edit', 'seo_reanalysis', 'enrichment', 'restore', 'section_generation', 'inline_edit', 'style_fix'));
+
+COMMENT ON COLUMN blog_post_revisions.source IS 'What made the change: original (text before the first recorded change), manual_edit, seo_reanalysis, enrichment (tweets/images), restore, section_generation (outline section regenerated), inline_edit (accepted AI suggestion for a passage), style_fix (style-guide auto-fixes)';
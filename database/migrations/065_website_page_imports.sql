@@ -0,0 +1,17 @@
+-- Migration 065: Blog import metadata on website_pages
+-- Importers (WordPress WXR, Ghost JSON, Medium export, RSS/Atom feed; services/content-importers.js) keep the
+-- original slug, canonical URL and taxonomy of each imported post, and which importer created the row.
+
+ALTER TABLE website_pages
+  ADD COLUMN IF NOT EXISTS slug TEXT,
+  ADD COLUMN IF NOT EXISTS canonical_url TEXT,
+  ADD COLUMN IF NOT EXISTS categories JSONB DEFAULT '[]'::jsonb,
+  ADD COLUMN IF NOT EXISTS tags JSONB DEFAULT '[]'::jsonb,
+  ADD COLUMN IF NOT EXISTS import_source VARCHAR(30)
+    CHECK (import_source IS NULL OR import_source IN ('wordpress_wxr', 'ghost_json', 'medium_zip', 'feed'));
+
+CREATE INDEX IF NOT EXISTS idx_website_pages_org_canonical_url
+  ON website_pages(organization_id, canonical_url) WHERE canonical_url IS NOT NULL;
+
+COMMENT ON COLUMN website_pages.canonical_url IS 'Canonical URL from the imported source (rel=canonical / SEO plugin override); NULL for scraped pages';
+COMMENT ON COLUMN website_pages.import_source IS 'Importer that created the row: wordpress_wxr, ghost_json, medium_zip, feed; NULL for scraped or manual pages';
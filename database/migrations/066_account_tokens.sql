@@ -0,0 +1,17 @@
+-- Migration 066: Password reset and email verification tokens
+-- Only the SHA-256 of a token is stored; the token itself goes out by email. A token is single use (used_at is set
+-- when it is consumed) and expires at expires_at. See services/account-tokens.js.
+
+CREATE TABLE IF NOT EXISTS account_tokens (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  purpose VARCHAR(30) NOT NULL CHECK (purpose IN ('password_reset', 'email_verification')),
+  token_hash CHAR(64) NOT NULL UNIQUE,
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  used_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_account_tokens_user_purpose ON account_tokens(user_id, purpose, created_at DESC);
+
+COMMENT ON TABLE account_tokens IS 'Single-use, expiring password reset and email verification tokens (hashed)';
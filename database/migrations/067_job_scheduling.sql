@@ -0,0 +1,16 @@
+-- Migration 067: Job priorities and concurrency caps
+-- priority: BullMQ priority the job was enqueued with (lower runs sooner), used for queue position in job status
+-- plan_tier: owner's plan tier at creation, selects the per-user / per-organization running caps
+-- max_concurrent: optional caller hint, at most this many jobs of the same type running for the owner
+
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS priority SMALLINT;
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS plan_tier VARCHAR(20);
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS max_concurrent SMALLINT CHECK (max_concurrent IS NULL OR max_concurrent > 0);
+
+CREATE INDEX IF NOT EXISTS idx_jobs_queued_order ON jobs(priority, created_at) WHERE status = 'queued';
+CREATE INDEX IF NOT EXISTS idx_jobs_running_user ON jobs(user_id) WHERE status = 'running';
+CREATE INDEX IF NOT EXISTS idx_jobs_running_tenant ON jobs(tenant_id) WHERE status = 'running';
+
+COMMENT ON COLUMN jobs.priority IS 'BullMQ priority (1 = highest); see lib/job-scheduling.js';
+COMMENT ON COLUMN jobs.plan_tier IS 'anonymous, free, standard or pro at creation; selects concurrency caps';
+COMMENT ON COLUMN jobs.max_concurrent IS 'Caller hint: max running jobs of this type for the same owner';
@@ -0,0 +1,16 @@
+-- Migration 068: Bulk content generation
+-- content_generation_batch: parent job for a topic list / CSV upload; it fans out one content_generation child per row
+-- and finishes when its last child does (services/bulk-generation.js).
+-- parent_job_id: the batch a content_generation job belongs to
+
+ALTER TABLE jobs DROP CONSTRAINT IF EXISTS jobs_type_check;
+ALTER TABLE jobs ADD CONSTRAINT jobs_type_check CHECK (
+  type IN ('website_analysis', 'content_generation', 'analyze_voice_sample', 'content_calendar', 'content_calendar_post', 'publish_post', 'content_generation_batch')
+);
+
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS parent_job_id UUID REFERENCES jobs(id) ON DELETE CASCADE;
+
+CREATE INDEX IF NOT EXISTS idx_jobs_parent_job_id ON jobs(parent_job_id) WHERE parent_job_id IS NOT NULL;
+
+COMMENT ON COLUMN jobs.type IS 'Job type: website_analysis, content_generation, analyze_voice_sample, content_calendar, content_calendar_post, publish_post, content_generation_batch';
+COMMENT ON COLUMN jobs.parent_job_id IS 'content_generation_batch job this job was fanned out from';
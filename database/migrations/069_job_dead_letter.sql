@@ -0,0 +1,18 @@
+-- Migration 069: Job retries and dead-letter queue
+-- attempts: runs the worker started; transient failures are retried with backoff up to JOB_MAX_ATTEMPTS (lib/job-retry.js)
+-- error_stack: stack of the error that failed the job
+-- dead_lettered_at: set when a job failed for good on an unexpected error; admins inspect, requeue or discard it
+-- dead_letter_discarded_at: an admin discarded the dead-lettered job (it stays failed)
+
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS attempts INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS error_stack TEXT;
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS dead_lettered_at TIMESTAMP;
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS dead_letter_discarded_at TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS idx_jobs_dead_letter ON jobs(dead_lettered_at DESC)
+  WHERE dead_lettered_at IS NOT NULL AND dead_letter_discarded_at IS NULL;
+
+COMMENT ON COLUMN jobs.attempts IS 'Runs started by the worker (transient failures are retried)';
+COMMENT ON COLUMN jobs.error_stack IS 'Stack trace of the error that failed the job';
+COMMENT ON COLUMN jobs.dead_lettered_at IS 'When the job was dead-lettered (failed for good on an unexpected error)';
+COMMENT ON COLUMN jobs.dead_letter_discarded_at IS 'When an admin discarded the dead-lettered job';
@@ -58,11 +58,14 @@ import { registerStreamRoute } from './routes/stream.js';
 import googleIntegrationsRoutes from './routes/google-integrations.js';
 import adminPanelRouter, { requireAdmin, adminLoginHtml, adminShellHtml } from './routes/admin-panel.js';
 import { startEmailScheduler } from './jobs/scheduler.js';
-import { toHttpResponse, ValidationError } from './lib/errors.js';
-import { validateRegistrationInput, validateLoginInput } from './lib/auth-validation.js';
+import { ServiceUnavailableError, toHttpResponse, ValidationError } from './lib/errors.js';
+import { validateRegistrationInput, validateLoginInput, validateEmailInput, validatePasswordResetInput } from './lib/auth-validation.js';
 import { COOKIE_NAMES, getAuthCookieOptions, getAuthCookieClearOptions, parseCookieHeader, useCrossOriginCookies, buildAuthSetCookieHeaders, buildAuthClearCookieHeaders } from './lib/auth-cookies.js';
 import { validateCreateBlogPostBody, validateUpdateBlogPostBody } from './lib/blog-post-validation.js';
 import { saveAnalysisResult } from './services/website-analysis-persistence.js';
+import { exportPosts, parseExportRequest } from './services/post-export.js';
+import { setRequirePostReview } from './services/editorial-review.js';
+import { requestPasswordReset, resetPassword, sendVerificationEmail, verifyEmail } from './services/account-tokens.js';
 
 // Load environment variables
 dotenv.config();
@@ -511,9 +514,15 @@ app.get('/api', (req, res) => {
       'GET /api/v1/auth/me': 'Get current user information (requires auth)',
       'POST /api/v1/auth/refresh': 'Refresh access token',
       'POST /api/v1/auth/logout': 'Logout user',
+      'POST /api/v1/auth/forgot-password': 'Email a password reset link',
+      'POST /api/v1/auth/reset-password': 'Set a new password with an emailed reset token',
+      'POST /api/v1/auth/verify-email': 'Confirm email address with an emailed verification token',
+      'POST /api/v1/auth/resend-verification': 'Resend the email verification link (requires auth)',
       'POST /api/analyze-website': 'Analyze website content and extract business information',
+      'GET /api/v1/jobs': 'List your jobs (filters: type, status, from, to; paginated with limit/offset)',
       'POST /api/v1/jobs/website-analysis': 'Start async website analysis job (returns jobId)',
       'POST /api/v1/jobs/content-generation': 'Start async content generation job (returns jobId)',
+      'POST /api/v1/jobs/content-generation/bulk': 'Start a bulk content generation job from a CSV upload or topic list (returns jobId)',
       'GET /api/v1/jobs/:jobId/status': 'Get job status, progress, and result',
       'POST /api/v1/jobs/:jobId/retry': 'Retry a failed job',
       'POST /api/v1/jobs/:jobId/cancel': 'Cancel a queued or running job',
@@ -524,8 +533,13 @@ app.get('/api', (req, res) => {
       'POST /api/v1/news-articles/search-for-topic-stream': 'Stream news article search for a topic (returns connectionId; stream via GET /api/v1/stream/:connectionId)',
       'POST /api/v1/trending-topics/stream': 'Stream trending topics (same as topics/generate-stream; returns connectionId; stream via GET /api/v1/stream/:connectionId)',
       'POST /api/generate-content': 'Generate complete blog post content',
+      'POST /api/v1/enhanced-blog-generation/outlines': 'Generate an editable outline (H2/H3 sections with intent and target keyword) (requires auth)',
+      'GET /api/v1/enhanced-blog-generation/outlines/:outlineId': 'Get an outline with its generated sections (requires auth)',
+      'PUT /api/v1/enhanced-blog-generation/outlines/:outlineId': 'Edit outline title, meta description and sections; send the version being edited (requires auth)',
+      'POST /api/v1/enhanced-blog-generation/outlines/:outlineId/sections/:sectionId/generate': 'Generate or regenerate one section, keeping the rest of the post and the voice (requires auth)',
+      'POST /api/v1/enhanced-blog-generation/outlines/:outlineId/post': 'Create a draft post from a fully generated outline (requires auth)',
       'POST /api/analyze-changes': 'Analyze conceptual changes between content versions',
-      'POST /api/export': 'Export blog content in different formats (markdown, html, json)',
+      'POST /api/export': 'Export blog posts locally (markdown, markdown_frontmatter, html, pdf, docx, epub, wxr, json; include_images packages images) (requires auth)',
       'GET /api/v1/blog-posts': 'Get user blog posts (requires auth)',
       'POST /api/v1/blog-posts': 'Create new blog post (requires auth)',
       'GET /api/v1/blog-posts/:id': 'Get specific blog post (requires auth)',
@@ -552,6 +566,7 @@ app.get('/api', (req, res) => {
       'POST /api/v1/organization/invite': 'Send organization team member invitation (requires auth)',
       'GET /api/v1/organization/members': 'Get organization members list (requires auth)',
       'DELETE /api/v1/organization/members/:id': 'Remove organization member (requires auth)',
+      'PUT /api/v1/organization/review-settings': 'Require editorial approval before posts are published (owner/admin, requires auth)',
       'GET /api/v1/admin/leads': 'Get website leads with filters (super admin only)',
       'GET /api/v1/admin/leads/analytics': 'Get lead analytics and metrics (super admin only)',
       'GET /api/v1/admin/leads/:id': 'Get detailed lead information (super admin only)',
@@ -586,6 +601,8 @@ app.post('/api/v1/auth/register', async (req, res, next) => {
       .catch(err => console.error('Failed to send welcome email:', err));
     emailService.sendNewUserSignupAlert(result.user.id)
       .catch(err => console.error('Failed to send admin signup alert:', err));
+    sendVerificationEmail(result.user.id, { throttle: false })
+      .catch(err => console.error('Failed to send verification email:', err));
 
     setAuthCookies(req, res, result.accessToken, result.refreshToken);
     res.status(201).json({
@@ -673,6 +690,82 @@ app.post('/api/v1/auth/refresh', async (req, res, next) => {
   }
 });
 
+// Forgot password: email a reset link. Same answer whether or not the address has an account.
+app.post('/api/v1/auth/forgot-password', async (req, res, next) => {
+  try {
+    const { email } = validateEmailInput(req.body);
+
+    try {
+      await requestPasswordReset(email);
+    } catch (error) {
+      console.error('Password reset request error:', error);
+    }
+
+    res.json({
+      success: true,
+      message: 'If an account exists for that email, a password reset link has been sent.'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Reset password with the emailed token (single use, expires after 1 hour)
+app.post('/api/v1/auth/reset-password', async (req, res, next) => {
+  try {
+    const { token, newPassword } = validatePasswordResetInput(req.body);
+
+    await resetPassword(token, newPassword);
+
+    res.json({
+      success: true,
+      message: 'Password reset successfully. You can now log in with your new password.'
+    });
+  } catch (error) {
+    console.error('Password reset error:', error);
+    next(error);
+  }
+});
+
+// Confirm email address with the emailed token
+app.post('/api/v1/auth/verify-email', async (req, res, next) => {
+  try {
+    const token = req.body?.token;
+    if (!token) {
+      return res.status(400).json({
+        error: 'Missing token',
+        message: 'Verification token is required'
+      });
+    }
+
+    await verifyEmail(String(token));
+
+    res.json({
+      success: true,
+      message: 'Email address verified'
+    });
+  } catch (error) {
+    console.error('Email verification error:', error);
+    next(error);
+  }
+});
+
+// Resend the verification email to the logged-in user
+app.post('/api/v1/auth/resend-verification', authService.authMiddleware.bind(authService), async (req, res, next) => {
+  try {
+    const result = await sendVerificationEmail(req.user.userId);
+
+    res.json({
+      success: true,
+      message: result.alreadyVerified ? 'Email address is already verified' : 'Verification email sent',
+      alreadyVerified: result.alreadyVerified
+    });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    next(error);
+  }
+});
+
 // Logout endpoint — clear httpOnly auth cookies so session ends
 app.post('/api/v1/auth/logout', (req, res) => {
   clearAuthCookies(res);
@@ -1856,55 +1949,22 @@ app.delete('/api/v1/blog-posts/:id', authService.authMiddleware.bind(authService
   }
 });
 
-// Export endpoint
-app.post('/api/export', async (req, res) => {
+// Export endpoint: rendered locally (services/post-export.js), no LLM call
+app.post('/api/export', requireAuth, async (req, res) => {
   try {
-    const { blogPost, format } = req.body;
-
-    if (!blogPost || !format) {
-      return res.status(400).json({
-        error: 'Missing required parameters',
-        message: 'blogPost and format are required'
-      });
-    }
-
-    const supportedFormats = ['markdown', 'html', 'json'];
-    if (!supportedFormats.includes(format.toLowerCase())) {
-      return res.status(400).json({
-        error: 'Unsupported format',
-        message: `Supported formats: ${supportedFormats.join(', ')}`
-      });
-    }
-
-    const exportedContent = await openaiService.generateExportContent(blogPost, format);
-
-    // Set appropriate content type and filename
-    let contentType = 'text/plain';
-    let fileExtension = 'txt';
-    
-    switch (format.toLowerCase()) {
-      case 'markdown':
-        contentType = 'text/markdown';
-        fileExtension = 'md';
-        break;
-      case 'html':
-        contentType = 'text/html';
-        fileExtension = 'html';
-        break;
-      case 'json':
-        contentType = 'application/json';
-        fileExtension = 'json';
-        break;
-    }
-
-    const filename = `${blogPost.title?.replace(/[^a-zA-Z0-9]/g, '-').toLowerCase() || 'blog-post'}.${fileExtension}`;
+    const request = parseExportRequest(req.body);
+    const { body, contentType, filename } = await exportPosts(request);
 
     res.setHeader('Content-Type', contentType);
     res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
-    res.send(exportedContent);
+    res.send(body);
 
   } catch (error) {
     console.error('Export error:', error);
+    if (error instanceof ValidationError || error instanceof ServiceUnavailableError) {
+      const { statusCode, body } = toHttpResponse(error);
+      return res.status(statusCode).json(body);
+    }
     res.status(500).json({
       error: 'Export failed',
       message: error.message
@@ -3136,6 +3196,30 @@ app.post('/api/v1/organization/invite', authService.authMiddleware.bind(authServ
   }
 });
 
+// Require editorial review before publishing (services/editorial-review.js)
+app.put('/api/v1/organization/review-settings', authService.authMiddleware.bind(authService), async (req, res) => {
+  try {
+    const { require_post_review: requirePostReview } = req.body || {};
+    if (typeof requirePostReview !== 'boolean') {
+      return res.status(400).json({
+        error: 'Invalid request',
+        message: 'require_post_review must be true or false'
+      });
+    }
+
+    const settings = await setRequirePostReview(req.user.userId, requirePostReview);
+
+    res.json({
+      success: true,
+      data: settings
+    });
+  } catch (error) {
+    console.error('Update review settings error:', error);
+    const { statusCode, body } = toHttpResponse(error);
+    res.status(statusCode).json(body);
+  }
+});
+
 // Get organization members
 app.get('/api/v1/organization/members', authService.authMiddleware.bind(authService), async (req, res) => {
   try {
@@ -30,10 +30,12 @@ export async function processContentCalendarScheduledPosts() {
         const claimed = await claimContentCalendarSlot(audienceId, dayNumber);
         if (!claimed) continue;
 
+        // One calendar post at a time per user, so a backlog of due days does not fill the worker
         const result = await createJob(
           'content_calendar_post',
           { audienceId, dayNumber },
-          { userId, sessionId: null, tenantId: null }
+          { userId, sessionId: null, tenantId: null },
+          { maxConcurrent: 1 }
         );
         if (result?.jobId) {
           enqueued++;
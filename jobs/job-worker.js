@@ -1,23 +1,31 @@
 /**
- * BullMQ worker for async jobs: website_analysis, content_generation, analyze_voice_sample, content_calendar, content_calendar_post.
+ * BullMQ worker for async jobs: website_analysis, content_generation, analyze_voice_sample, content_calendar, content_calendar_post, publish_post,
+ * content_generation_batch.
  * Run as a separate process: node jobs/job-worker.js
  * Requires REDIS_URL and DATABASE_URL.
+ * A failed attempt is retried with backoff when transient, otherwise the job fails and, unless cancelled or an expected
+ * outcome, is dead-lettered (lib/job-retry.js).
  */
 
-import { Worker } from 'bullmq';
+import { DelayedError, Worker } from 'bullmq';
 import IORedis from 'ioredis';
 import {
   getJobRow,
   updateJobProgress,
   isJobCancelled,
   appendNarrativeStream,
+  claimJobSlot,
   QUEUE_NAME,
   JOB_TYPES,
+  BATCH_JOB_TYPE,
   normalizeRedisUrl,
   isRedisUrlValid
 } from '../services/job-queue.js';
 import { getJobEventsChannel, getJobNarrativeChannel } from '../utils/job-stream-channels.js';
+import { appendStreamEvent, jobStreamKey } from '../utils/stream-event-log.js';
 import projectsService from '../services/projects.js';
+import { workerConcurrency } from '../lib/job-scheduling.js';
+import { jobFailureDisposition, maxJobAttempts, retryDelayMs } from '../lib/job-retry.js';
 
 const raw = process.env.REDIS_URL || '';
 const url = normalizeRedisUrl(raw);
@@ -43,10 +51,9 @@ function isCancelledFactory(jobId) {
   return () => isJobCancelled(jobId).then((v) => v === true);
 }
 
+/** Log the event under the job stream's next id (replayed to clients reconnecting with Last-Event-ID) and publish it. */
 function publishJobStreamEvent(connection, jobId, event, data) {
-  const channel = getJobEventsChannel(jobId);
-  const payload = JSON.stringify({ event, data });
-  connection.publish(channel, payload).catch((err) => {
+  appendStreamEvent(connection, jobStreamKey(jobId), event, data, getJobEventsChannel(jobId)).catch((err) => {
     console.warn('[job-worker] stream publish error:', err?.message || err);
   });
 }
@@ -206,10 +213,21 @@ async function processContentGeneration(jobId, input, context) {
     }
   }
 
+  // A bulk generation row with a publish date: schedule the post on the batch's platforms
+  let schedule = null;
+  if (savedPost?.id && input.batch?.scheduledAt) {
+    const { scheduleBatchPost } = await import('../services/bulk-generation.js');
+    schedule = await scheduleBatchPost(userId, savedPost.id, input.batch).catch((e) => {
+      console.warn('Batch post scheduling failed:', e.message);
+      return { error: `Not scheduled: ${e.message}` };
+    });
+  }
+
   return {
     success: true,
     data: result,
     savedPost,
+    ...(schedule && { schedule }),
     enhancedGeneration: true,
     metadata: {
       generationTime: result.generationMetadata?.duration,
@@ -442,18 +460,149 @@ async function processContentCalendarPost(jobId, input, context) {
   };
 }
 
-const processor = async (bullJob) => {
+async function processPublishPost(jobId, input, context) {
+  const userId = context.userId;
+  if (!userId) throw new Error('publish_post requires userId');
+
+  const { postId, platforms, draft, updateExisting, wordpressUseIndexPhpRestRoute, scheduledAt, timezone } = input || {};
+  if (!postId || !Array.isArray(platforms) || platforms.length === 0) {
+    throw new Error('publish_post requires postId and non-empty platforms');
+  }
+
+  const { publishPostToPlatforms, PUBLISH_JOB_RETRY } = await import('../services/post-publishing.js');
+  const { PLATFORM_LABELS } = await import('../lib/publishing-platforms.js');
+
+  const onPlatformProgress = (event) => {
+    publishJobStreamEvent(connection, jobId, 'platform-progress', event);
+    if (event.status === 'retrying') return;
+    const done = event.status === 'publishing' ? event.index : event.index + 1;
+    const progress = Math.min(95, Math.round((done / event.total) * 95));
+    const label = PLATFORM_LABELS[event.platform] || event.platform;
+    const currentStep = event.status === 'publishing'
+      ? `Publishing to ${label} (${event.index + 1} of ${event.total})`
+      : `${label}: ${event.status}`;
+    updateJobProgress(jobId, {
+      progress,
+      current_step: currentStep,
+      estimated_seconds_remaining: null
+    }).catch((e) => console.warn('Publish progress update failed:', e.message));
+    publishJobStreamEvent(connection, jobId, 'progress-update', {
+      progress,
+      currentStep,
+      estimatedTimeRemaining: null,
+      platform: event.platform
+    });
+  };
+
+  const { post, changes, publications } = await publishPostToPlatforms(
+    userId,
+    postId,
+    {
+      platforms,
+      draft,
+      updateExisting,
+      wordpressUseIndexPhpRestRoute,
+      ...(scheduledAt && { scheduledAt: new Date(scheduledAt), timezone }),
+      jobId,
+      retry: PUBLISH_JOB_RETRY
+    },
+    { onPlatformProgress, isCancelled: isCancelledFactory(jobId) }
+  );
+
+  return {
+    success: true,
+    postId,
+    publication_status: post?.publication_status ?? null,
+    platform_publications: publications,
+    changes
+  };
+}
+
+/**
+ * Fan out a batch's rows as content_generation child jobs. The batch stays running: settleBatchParent finishes it
+ * when its last child finishes.
+ */
+async function processContentGenerationBatch(jobId, row) {
+  const { fanOutBatch, settleBatch } = await import('../services/bulk-generation.js');
+  const { created } = await fanOutBatch(row);
+  console.log(`content_generation_batch ${jobId}: queued ${created} content_generation job(s)`);
+  publishBatchProgress(jobId, await settleBatch(jobId));
+}
+
+/** Stream a batch's progress, and its outcome once settleBatch finished it. */
+function publishBatchProgress(jobId, settled) {
+  if (!settled) return;
+  const { summary, finished, status, error } = settled;
+  const { total, succeeded, failed, pending } = summary;
+  publishJobStreamEvent(connection, jobId, 'progress-update', {
+    progress: finished ? 100 : Math.min(99, summary.progress),
+    currentStep: finished ? null : `${total - pending} of ${total} posts done`,
+    estimatedTimeRemaining: null,
+    batch: { total, succeeded, failed, pending }
+  });
+  if (!finished) return;
+  if (status === 'succeeded') {
+    publishJobStreamEvent(connection, jobId, 'complete', { result: summary });
+  } else {
+    publishJobStreamEvent(connection, jobId, 'failed', { error, errorCode: null });
+  }
+}
+
+/** A content_generation job of a batch that ends (in any way) updates the batch, and finishes it when it is the last. */
+async function settleBatchParent(row) {
+  if (!row.parent_job_id) return;
+  try {
+    const { settleBatch } = await import('../services/bulk-generation.js');
+    publishBatchProgress(row.parent_job_id, await settleBatch(row.parent_job_id));
+  } catch (e) {
+    console.warn('[job-worker] batch settle failed:', e.message);
+  }
+}
+
+/**
+ * A publish_post job that ends without finishing every platform (cancelled before it started,
+ * or failed for good) must not leave the post stuck in 'publishing'.
+ */
+async function settlePublishJob(row, context, message) {
+  if (row.type !== 'publish_post' || !context.userId || !row.input?.postId) return;
+  const { settleAbandonedPublish } = await import('../services/post-publishing.js');
+  await settleAbandonedPublish(context.userId, row.input.postId, row.id, row.input.platforms || [], message)
+    .catch((e) => console.warn('[job-worker] publish settle failed:', e.message));
+}
+
+const processor = async (bullJob, token) => {
   const { jobId } = bullJob.data;
   const row = await getJobRow(jobId);
   if (!row) {
     console.warn(`Job ${jobId} not found in DB, skipping`);
     return;
   }
-  if (row.status !== 'queued') {
+  // A publish_post job still marked running was interrupted (worker died) and re-queued by BullMQ;
+  // it resumes and skips the platforms it already finished. A batch resumes its fan-out the same way.
+  const resuming = (row.type === 'publish_post' || row.type === BATCH_JOB_TYPE) && row.status === 'running';
+  if (row.status !== 'queued' && !resuming) {
     console.warn(`Job ${jobId} not queued (${row.status}), skipping`);
     return;
   }
 
+  // The claim below counts this run; a resumed job continues its current attempt.
+  const attempt = resuming ? Math.max(1, row.attempts ?? 0) : (row.attempts ?? 0) + 1;
+
+  // Owners at their running-job cap wait (BullMQ delayed set, same priority) so other users' jobs run meanwhile.
+  if (!resuming) {
+    const slot = await claimJobSlot(row);
+    if (!slot.claimed) {
+      if (!slot.cap) {
+        console.warn(`Job ${jobId} no longer queued, skipping`);
+        return;
+      }
+      await updateJobProgress(jobId, { current_step: slot.message });
+      publishJobStreamEvent(connection, jobId, 'step-change', { progress: 0, currentStep: slot.message, estimatedTimeRemaining: null });
+      await bullJob.moveToDelayed(Date.now() + slot.retryInMs, token);
+      throw new DelayedError();
+    }
+  }
+
   const input = row.input || {};
   const context = {
     userId: row.user_id || null,
@@ -465,7 +614,7 @@ const processor = async (bullJob) => {
     status: 'running',
     progress: 0,
     current_step: null,
-    started_at: new Date()
+    ...(!resuming && { started_at: new Date() })
   });
   publishJobStreamEvent(connection, jobId, 'step-change', {
     progress: 0,
@@ -480,6 +629,8 @@ const processor = async (bullJob) => {
       finished_at: new Date()
     });
     publishJobStreamEvent(connection, jobId, 'failed', { error: 'Cancelled', errorCode: null });
+    await settlePublishJob(row, context, 'Cancelled');
+    await settleBatchParent(row);
     return;
   }
 
@@ -495,6 +646,11 @@ const processor = async (bullJob) => {
       result = await processContentCalendar(jobId, input, context);
     } else if (row.type === 'content_calendar_post') {
       result = await processContentCalendarPost(jobId, input, context);
+    } else if (row.type === 'publish_post') {
+      result = await processPublishPost(jobId, input, context);
+    } else if (row.type === BATCH_JOB_TYPE) {
+      await processContentGenerationBatch(jobId, row);
+      return;
     } else {
       throw new Error(`Unknown job type: ${row.type}`);
     }
@@ -506,6 +662,7 @@ const processor = async (bullJob) => {
         finished_at: new Date()
       });
       publishJobStreamEvent(connection, jobId, 'failed', { error: 'Cancelled', errorCode: null });
+      await settleBatchParent(row);
       return;
     }
 
@@ -544,24 +701,50 @@ const processor = async (bullJob) => {
       finished_at: new Date()
     });
     publishJobStreamEvent(connection, jobId, 'complete', { result });
+    await settleBatchParent(row);
   } catch (err) {
     const cancelled = await isJobCancelled(jobId);
     const errorMessage = cancelled ? 'Cancelled' : (err.message || 'Job failed');
     const errorCode = err.code || null;
+    const maxAttempts = maxJobAttempts(row.type);
+    const disposition = jobFailureDisposition(err, { attempt, maxAttempts, cancelled });
+
+    // Transient failure (rate limit, upstream 5xx, timeout): back to queued and retried after a backoff.
+    if (disposition === 'retry') {
+      const delayMs = retryDelayMs(attempt, err);
+      const currentStep = `Temporary error, retrying in ${Math.round(delayMs / 1000)}s (attempt ${attempt + 1} of ${maxAttempts})`;
+      console.warn(`Job ${jobId} attempt ${attempt} failed, retrying in ${delayMs}ms:`, errorMessage);
+      await updateJobProgress(jobId, {
+        status: 'queued',
+        progress: 0,
+        current_step: currentStep,
+        estimated_seconds_remaining: null
+      });
+      publishJobStreamEvent(connection, jobId, 'step-change', { progress: 0, currentStep, estimatedTimeRemaining: null });
+      await bullJob.moveToDelayed(Date.now() + delayMs, token);
+      throw new DelayedError();
+    }
+
+    const deadLettered = disposition === 'dead_letter';
     await updateJobProgress(jobId, {
       status: 'failed',
       error: errorMessage,
       error_code: errorCode,
+      error_stack: cancelled ? null : (err.stack || null),
+      ...(deadLettered && { dead_lettered_at: new Date() }),
       finished_at: new Date()
     });
+    if (deadLettered) console.error(`Job ${jobId} (${row.type}) dead-lettered after ${attempt} attempt(s):`, errorMessage);
     publishJobStreamEvent(connection, jobId, 'failed', { error: errorMessage, errorCode });
+    await settlePublishJob(row, context, errorMessage);
+    await settleBatchParent(row);
     if (!cancelled) throw err;
   }
 };
 
 const worker = new Worker(QUEUE_NAME, processor, {
   connection,
-  concurrency: 3
+  concurrency: workerConcurrency()
 });
 
 worker.on('completed', (job) => console.log(`Job ${job.id} completed`));
@@ -576,4 +759,4 @@ async function shutdown() {
 process.on('SIGTERM', shutdown);
 process.on('SIGINT', shutdown);
 
-console.log(`Worker started for queue "${QUEUE_NAME}". Processing: ${JOB_TYPES.join(', ')}.`);
+console.log(`Worker started for queue "${QUEUE_NAME}" (concurrency ${workerConcurrency()}). Processing: ${JOB_TYPES.join(', ')}.`);
@@ -0,0 +1,63 @@
+/**
+ * Scheduled publishing: hand due platform_publications entries to publish_post jobs.
+ * Run every minute. Platforms with native scheduling (WordPress, Ghost) publish on their own;
+ * their entries are only marked published here.
+ */
+
+import {
+  claimDueScheduledPublications,
+  releaseScheduledPublications
+} from '../services/publish-schedule.js';
+import { createJob } from '../services/job-queue.js';
+
+/**
+ * Claim due scheduled entries and enqueue one publish_post job per post for the platforms
+ * without native scheduling. If a job cannot be enqueued the entries go back to scheduled
+ * and are retried on the next run.
+ *
+ * @returns {{ enqueued: number, due: number, errors: string[] }}
+ */
+export async function processScheduledPublications() {
+  const errors = [];
+  let due = 0;
+  let enqueued = 0;
+
+  try {
+    const claims = await claimDueScheduledPublications();
+    due = claims.length;
+
+    for (const { postId, userId, platforms } of claims) {
+      try {
+        const result = await createJob(
+          'publish_post',
+          { postId, platforms, draft: false, updateExisting: false },
+          { userId, sessionId: null, tenantId: null }
+        );
+        if (result?.jobId) {
+          enqueued++;
+          console.log(`🗓️ [scheduled-publishing] Enqueued post ${postId} for ${platforms.join(', ')} (job ${result.jobId})`);
+        }
+      } catch (err) {
+        const msg = err?.message || String(err);
+        errors.push(`post ${postId}: ${msg}`);
+        console.warn('🗓️ [scheduled-publishing] Failed to enqueue:', msg);
+        await releaseScheduledPublications(userId, postId, platforms).catch((releaseErr) => {
+          console.warn('🗓️ [scheduled-publishing] Failed to release claim:', releaseErr?.message || releaseErr);
+        });
+      }
+    }
+
+    if (due > 0 || enqueued > 0) {
+      console.log(`🗓️ [scheduled-publishing] Due: ${due}, enqueued: ${enqueued}, errors: ${errors.length}`);
+    }
+  } catch (err) {
+    console.error('❌ [scheduled-publishing]', err?.message || err);
+    errors.push(err?.message || String(err));
+  }
+
+  return { enqueued, due, errors };
+}
+
+export default {
+  processScheduledPublications
+};
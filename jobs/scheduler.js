@@ -19,6 +19,7 @@ import {
 } from './googleDataFetcher.js';
 import { trackContentPerformance, getPerformanceInsights } from './performanceTracker.js';
 import { processContentCalendarScheduledPosts } from './contentCalendarScheduler.js';
+import { processScheduledPublications } from './scheduledPublishing.js';
 
 /**
  * Email Campaign Scheduler
@@ -188,6 +189,19 @@ export function startEmailScheduler() {
   });
   scheduledJobs.push({ name: 'Content Calendar Scheduled Posts', schedule: 'Daily at 8:00 AM', job: contentCalendarPostsJob });
 
+  // Job 13: Scheduled platform publishing - Every minute (publish posts whose scheduled_at has passed)
+  const scheduledPublishingJob = cron.schedule('* * * * *', async () => {
+    try {
+      const { errors } = await processScheduledPublications();
+      if (errors.length > 0) {
+        console.warn('🗓️ Scheduled publishing had errors:', errors.slice(0, 5));
+      }
+    } catch (error) {
+      console.error('❌ Scheduled publishing job failed:', error);
+    }
+  });
+  scheduledJobs.push({ name: 'Scheduled Platform Publishing', schedule: 'Every minute', job: scheduledPublishingJob });
+
   // Print schedule summary
   console.log('✅ Email campaign scheduler started!\n');
   console.log('📋 Scheduled Jobs:');
@@ -231,7 +245,8 @@ export async function runJob(jobName) {
     'google_search_console_fetch': fetchSearchConsoleDataForAllUsers,
     'google_analytics_fetch': fetchAnalyticsDataForAllUsers,
     'content_performance_tracking': trackContentPerformance,
-    'content_calendar_scheduled_posts': processContentCalendarScheduledPosts
+    'content_calendar_scheduled_posts': processContentCalendarScheduledPosts,
+    'scheduled_publications': processScheduledPublications
   };
 
   const job = jobMap[jobName];
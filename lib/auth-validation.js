@@ -74,3 +74,33 @@ export function validateRefreshInput(body) {
   }
   return { refreshToken: String(refreshToken) };
 }
+
+/**
+ * Validate forgot-password / resend-verification body. Throws ValidationError if the email is missing or malformed.
+ * @param {{ email?: string }} body
+ */
+export function validateEmailInput(body) {
+  const email = body?.email;
+  if (!email || !EMAIL_REGEX.test(String(email).trim())) {
+    throw new ValidationError('Invalid email format', 'Please provide a valid email address');
+  }
+  return { email: String(email).toLowerCase().trim() };
+}
+
+/**
+ * Validate reset-password body: the emailed token and the new password.
+ * @param {{ token?: string, newPassword?: string }} body
+ */
+export function validatePasswordResetInput(body) {
+  const { token, newPassword } = body || {};
+  if (!token || !newPassword) {
+    throw new ValidationError('Missing required fields', 'token and newPassword are required');
+  }
+  if (String(newPassword).length < MIN_PASSWORD_LENGTH) {
+    throw new ValidationError(
+      'Invalid password',
+      'Password must be at least 8 characters long'
+    );
+  }
+  return { token: String(token), newPassword: String(newPassword) };
+}
@@ -0,0 +1,46 @@
+/**
+ * Field mapping for headless CMS connections (Contentful, Sanity, Webflow): which field on the user's
+ * content type / document type / collection receives each part of a post. Stored with the encrypted connection
+ * credentials as field_mapping; a field mapped to null is not sent.
+ */
+
+/**
+ * Post parts that can be mapped. body is rich text (Contentful Rich Text / Sanity Portable Text / Webflow RichText);
+ * meta_description, canonical_url and author are plain strings; tags and categories are string lists.
+ */
+export const CMS_MAPPABLE_FIELDS = Object.freeze([
+  'title', 'slug', 'body', 'excerpt', 'hero_image', 'tags', 'categories', 'meta_description', 'canonical_url', 'author'
+]);
+
+// Hyphens allowed for Webflow field slugs such as post-body
+const FIELD_ID_RE = /^[A-Za-z_][A-Za-z0-9_-]{0,63}$/;
+
+/**
+ * Merge a user-supplied mapping over platform defaults and validate it.
+ * @param {object|null|undefined} mapping - e.g. { body: 'content', hero_image: null }
+ * @param {Record<string, string|null>} defaults - platform defaults for every CMS_MAPPABLE_FIELDS key
+ * @returns {Record<string, string|null>}
+ * @throws {Error} with a user-facing message for unknown keys, invalid field ids, or an unmapped title/body
+ */
+export function resolveFieldMapping(mapping, defaults) {
+  if (mapping != null && (typeof mapping !== 'object' || Array.isArray(mapping))) {
+    throw new Error('field_mapping must be an object, e.g. { "body": "content" }');
+  }
+  const resolved = { ...defaults };
+  for (const [key, value] of Object.entries(mapping || {})) {
+    if (!CMS_MAPPABLE_FIELDS.includes(key)) {
+      throw new Error(`Unknown field_mapping key "${key}". Supported: ${CMS_MAPPABLE_FIELDS.join(', ')}`);
+    }
+    if (value === null || value === '') {
+      resolved[key] = null;
+    } else if (typeof value === 'string' && FIELD_ID_RE.test(value.trim())) {
+      resolved[key] = value.trim();
+    } else {
+      throw new Error(`field_mapping.${key} must be a field id (letters, digits, underscores, hyphens) or null`);
+    }
+  }
+  for (const required of ['title', 'body']) {
+    if (!resolved[required]) throw new Error(`field_mapping.${required} is required`);
+  }
+  return resolved;
+}
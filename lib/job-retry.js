@@ -0,0 +1,88 @@
+/**
+ * Job failure policy: which errors are transient (retried with exponential backoff) and what happens to a job whose
+ * attempt failed. Pure; jobs/job-worker.js applies it, services/job-queue.js requeues dead-lettered jobs.
+ */
+
+/** Network errors worth another attempt (dropped connections, DNS hiccups, timeouts). */
+const TRANSIENT_ERROR_CODES = new Set([
+  'ETIMEDOUT', 'ESOCKETTIMEDOUT', 'ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'EPIPE', 'EAI_AGAIN',
+  'UND_ERR_CONNECT_TIMEOUT', 'UND_ERR_HEADERS_TIMEOUT', 'UND_ERR_SOCKET'
+]);
+
+/** OpenAI SDK connection errors, Puppeteer / fetch timeouts. */
+const TRANSIENT_ERROR_NAMES = new Set(['APIConnectionError', 'APIConnectionTimeoutError', 'TimeoutError', 'AbortError']);
+
+const TIMEOUT_MESSAGE = /\b(timed? ?out|timeout)\b/i;
+
+/** Failures that are the expected outcome for the user, not a fault: they neither retry nor dead-letter. */
+export const EXPECTED_FAILURE_CODES = Object.freeze(['INSUFFICIENT_CREDITS']);
+
+/** Attempts per job unless JOB_MAX_ATTEMPTS is set. */
+export const DEFAULT_MAX_ATTEMPTS = 3;
+/** publish_post retries each platform itself (services/post-publishing.js) and must not publish twice. */
+const SINGLE_ATTEMPT_TYPES = Object.freeze(['publish_post']);
+
+export const RETRY_BASE_DELAY_MS = 10 * 1000;
+export const RETRY_MAX_DELAY_MS = 5 * 60 * 1000;
+
+/** HTTP status of an API error (OpenAI SDK: status; axios: response.status). */
+function httpStatus(err) {
+  const status = err?.status ?? err?.statusCode ?? err?.response?.status;
+  return Number.isInteger(status) ? status : null;
+}
+
+/**
+ * Whether another attempt may succeed: rate limits (429), upstream 5xx, network errors and timeouts.
+ * @param {Error} err
+ * @returns {boolean}
+ */
+export function isTransientJobError(err) {
+  if (!err) return false;
+  if (EXPECTED_FAILURE_CODES.includes(err.code)) return false;
+  const status = httpStatus(err);
+  if (status != null) return status === 429 || status === 408 || status >= 500;
+  if (TRANSIENT_ERROR_CODES.has(err.code) || TRANSIENT_ERROR_CODES.has(err.cause?.code)) return true;
+  if (TRANSIENT_ERROR_NAMES.has(err.name)) return true;
+  return TIMEOUT_MESSAGE.test(err.message || '');
+}
+
+/**
+ * Attempts a job of this type gets (JOB_MAX_ATTEMPTS overrides the default).
+ * @param {string} type
+ * @param {NodeJS.ProcessEnv} [env]
+ */
+export function maxJobAttempts(type, env = process.env) {
+  if (SINGLE_ATTEMPT_TYPES.includes(type)) return 1;
+  const n = parseInt(env.JOB_MAX_ATTEMPTS, 10);
+  return Number.isInteger(n) && n > 0 ? n : DEFAULT_MAX_ATTEMPTS;
+}
+
+/**
+ * Wait before the next attempt: RETRY_BASE_DELAY_MS doubled per failed attempt, or the server's Retry-After when
+ * longer; at most RETRY_MAX_DELAY_MS.
+ * @param {number} attempt - the attempt that failed (1-based)
+ * @param {Error} [err]
+ */
+export function retryDelayMs(attempt, err = null) {
+  const backoff = RETRY_BASE_DELAY_MS * 2 ** Math.max(0, attempt - 1);
+  const headers = err?.headers ?? err?.response?.headers;
+  const retryAfter = Number(typeof headers?.get === 'function' ? headers.get('retry-after') : headers?.['retry-after']);
+  const requested = Number.isFinite(retryAfter) && retryAfter > 0 ? retryAfter * 1000 : 0;
+  return Math.min(RETRY_MAX_DELAY_MS, Math.max(backoff, requested));
+}
+
+/**
+ * What to do with a job whose attempt failed.
+ * - retry: transient error with attempts left
+ * - dead_letter: anything else unexpected, including transient errors after the last attempt; the job fails and
+ *   keeps its input, error and stack for admins to inspect, requeue or discard
+ * - fail: cancelled, or an expected outcome (EXPECTED_FAILURE_CODES)
+ * @param {Error} err
+ * @param {{ attempt: number, maxAttempts: number, cancelled?: boolean }} state
+ * @returns {'retry'|'dead_letter'|'fail'}
+ */
+export function jobFailureDisposition(err, { attempt, maxAttempts, cancelled = false }) {
+  if (cancelled || EXPECTED_FAILURE_CODES.includes(err?.code)) return 'fail';
+  if (isTransientJobError(err) && attempt < maxAttempts) return 'retry';
+  return 'dead_letter';
+}
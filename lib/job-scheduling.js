@@ -0,0 +1,117 @@
+/**
+ * Job scheduling policy: BullMQ priority per job type and plan, running-job caps per user and organization,
+ * and the queue wait estimate shown in job status. Pure; services/job-queue.js applies it when jobs are created
+ * and claimed by the worker.
+ */
+
+/** Priority classes (BullMQ: lower runs sooner). Plans shift a job by one step inside its class. */
+export const PRIORITY_CLASSES = Object.freeze({ interactive: 2, normal: 6, background: 10 });
+
+/** Someone is waiting on the screen for interactive jobs; background jobs are scheduled or batch work. */
+export const TYPE_PRIORITY_CLASS = Object.freeze({
+  website_analysis: 'interactive',
+  content_generation: 'interactive',
+  publish_post: 'interactive',
+  analyze_voice_sample: 'normal',
+  content_calendar: 'background',
+  content_calendar_post: 'background',
+  content_generation_batch: 'background'
+});
+
+export const PLAN_TIERS = Object.freeze(['anonymous', 'free', 'standard', 'pro']);
+
+const PLAN_PRIORITY_SHIFT = Object.freeze({ anonymous: 1, free: 1, standard: 0, pro: -1 });
+
+/** Running jobs allowed at once per owner (user, or session when anonymous) and per organization. */
+export const PLAN_CONCURRENCY = Object.freeze({
+  anonymous: Object.freeze({ perUser: 1, perOrganization: 1 }),
+  free: Object.freeze({ perUser: 1, perOrganization: 2 }),
+  standard: Object.freeze({ perUser: 2, perOrganization: 3 }),
+  pro: Object.freeze({ perUser: 3, perOrganization: 5 })
+});
+
+/** Used for the wait estimate when a job type has no recent finished jobs. */
+export const DEFAULT_JOB_DURATION_SECONDS = 60;
+/** How long a job that hit its cap waits before the worker tries it again. */
+export const CAPPED_RETRY_DELAY_MS = 15 * 1000;
+
+/**
+ * Plan tier from the name of the user's active subscription (plan_definitions.name).
+ * @param {string|null} planName - null: no active subscription
+ * @param {{ anonymous?: boolean }} [options]
+ * @returns {'anonymous'|'free'|'standard'|'pro'}
+ */
+export function planTier(planName, { anonymous = false } = {}) {
+  if (anonymous) return 'anonymous';
+  const name = String(planName || '').trim().toLowerCase();
+  if (name === 'pro' || name === 'professional') return 'pro';
+  if (name === 'starter') return 'standard';
+  return 'free';
+}
+
+/**
+ * BullMQ priority for a job.
+ * @param {string} type
+ * @param {{ plan?: string, priority?: string }} [options] - priority: class hint from the caller, overrides the type's
+ * @returns {number} 1 (highest) and up
+ */
+export function jobPriority(type, { plan = 'free', priority } = {}) {
+  const className = priority ?? TYPE_PRIORITY_CLASS[type] ?? 'normal';
+  if (!(className in PRIORITY_CLASSES)) {
+    throw new Error(`Invalid priority: ${priority}. Allowed: ${Object.keys(PRIORITY_CLASSES).join(', ')}`);
+  }
+  return Math.max(1, PRIORITY_CLASSES[className] + (PLAN_PRIORITY_SHIFT[plan] ?? 0));
+}
+
+/** Jobs one worker process runs at once (JOB_WORKER_CONCURRENCY, default 3). */
+export function workerConcurrency(env = process.env) {
+  const n = parseInt(env.JOB_WORKER_CONCURRENCY, 10);
+  return Number.isInteger(n) && n > 0 ? n : 3;
+}
+
+/**
+ * Running-job caps for a plan. JOB_MAX_CONCURRENT_PER_USER / JOB_MAX_CONCURRENT_PER_ORG override every plan.
+ * @param {string} plan
+ * @param {NodeJS.ProcessEnv} [env]
+ * @returns {{ perUser: number, perOrganization: number }}
+ */
+export function concurrencyLimits(plan, env = process.env) {
+  const base = PLAN_CONCURRENCY[plan] || PLAN_CONCURRENCY.free;
+  const override = (value) => {
+    const n = parseInt(value, 10);
+    return Number.isInteger(n) && n > 0 ? n : null;
+  };
+  return {
+    perUser: override(env.JOB_MAX_CONCURRENT_PER_USER) ?? base.perUser,
+    perOrganization: override(env.JOB_MAX_CONCURRENT_PER_ORG) ?? base.perOrganization
+  };
+}
+
+/**
+ * Which cap, if any, keeps a job from starting now.
+ * @param {{ user: number, organization: number, sameType: number }} running - the owner's / organization's running
+ *   jobs, and the owner's running jobs of the same type
+ * @param {{ perUser: number, perOrganization: number }} limits
+ * @param {number|null} [maxConcurrent] - caller hint for the job's type
+ * @returns {null|'user'|'organization'|'type'}
+ */
+export function capReached(running, limits, maxConcurrent = null) {
+  if (running.user >= limits.perUser) return 'user';
+  if (running.organization >= limits.perOrganization) return 'organization';
+  if (maxConcurrent != null && running.sameType >= maxConcurrent) return 'type';
+  return null;
+}
+
+/**
+ * Estimated seconds until a queued job starts: the work queued ahead of it, spread over the worker's slots.
+ * @param {Record<string, number>} aheadByType - queued jobs ahead, by type
+ * @param {Record<string, number>} avgSecondsByType - recent average run time by type
+ * @param {number} slots - jobs the workers run at once
+ */
+export function estimateWaitSeconds(aheadByType, avgSecondsByType, slots) {
+  let work = 0;
+  for (const [type, count] of Object.entries(aheadByType)) {
+    work += count * (avgSecondsByType[type] ?? DEFAULT_JOB_DURATION_SECONDS);
+  }
+  return Math.round(work / Math.max(1, slots));
+}
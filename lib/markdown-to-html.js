@@ -7,6 +7,9 @@
  * - ![TWEET:url] / ![TWEET:url::DATA::base64] → blockquote + link (WordPress-friendly tweet embed)
  * - [TWEET:0], [VIDEO:1], [ARTICLE:0] (index-based) → removed so they don't show as raw text
  * - [Image: ...] (literal model output) → removed so it doesn't show as raw text
+ *
+ * prepareMarkdownForStructuredContent() handles the same placeholders for CMSs that store structured
+ * content instead of HTML (Contentful Rich Text, Sanity Portable Text; see lib/markdown-to-structured-content.js).
  */
 
 import { marked } from 'marked';
@@ -40,28 +43,29 @@ function escapeHtml(text) {
 }
 
 const TWEET_EMBED_MARKER_PREFIX = 'TWEET_EMBED_';
+const TWEET_PLACEHOLDER_RE = /!\[TWEET:(https?:\/\/[^\]]+?)(?:::DATA::([^\]]+))?\]/g;
+
+/** Author and text from the base64 JSON attached to a tweet placeholder (empty when absent or invalid). */
+function decodeTweetData(base64Data) {
+  if (!base64Data) return { author: '', text: '' };
+  try {
+    const data = JSON.parse(Buffer.from(base64Data, 'base64').toString());
+    return { author: data.author_name || data.author || '', text: (data.text || '').trim() };
+  } catch {
+    return { author: '', text: '' };
+  }
+}
 
 /** Replace ![TWEET:url] or ![TWEET:url::DATA::base64] with WordPress-friendly blockquote + link (default). */
 function replaceTweetPlaceholders(str, options = {}) {
   const { useMarkers = false, tweetUrls = [] } = options;
-  const tweetRegex = /!\[TWEET:(https?:\/\/[^\]]+?)(?:::DATA::([^\]]+))?\]/g;
   let index = 0;
-  return str.replace(tweetRegex, (_, tweetUrl, base64Data) => {
+  return str.replace(TWEET_PLACEHOLDER_RE, (_, tweetUrl, base64Data) => {
     if (useMarkers) {
       tweetUrls.push(tweetUrl);
       return `\n\n<!-- ${TWEET_EMBED_MARKER_PREFIX}${index++} -->\n\n`;
     }
-    let author = '';
-    let text = '';
-    if (base64Data) {
-      try {
-        const data = JSON.parse(Buffer.from(base64Data, 'base64').toString());
-        author = data.author_name || data.author || '';
-        text = (data.text || '').trim();
-      } catch {
-        /* ignore decode errors */
-      }
-    }
+    const { author, text } = decodeTweetData(base64Data);
     const safeUrl = escapeHtml(tweetUrl);
     const safeAuthor = escapeHtml(author);
     const safeText = escapeHtml(text);
@@ -153,5 +157,31 @@ export function markdownToHtml(markdown, options = {}) {
   return html;
 }
 
+/**
+ * Rewrite app placeholders as plain markdown for structured-content CMSs:
+ * tweets become a blockquote (text, author, link); image/chart placeholders for images that were never
+ * generated, index-based embeds and literal [Image: ...] lines are removed.
+ * @param {string} markdown
+ * @returns {string}
+ */
+export function prepareMarkdownForStructuredContent(markdown) {
+  if (markdown == null) return '';
+  let out = String(markdown);
+  out = out.replace(TWEET_PLACEHOLDER_RE, (_, tweetUrl, base64Data) => {
+    const { author, text } = decodeTweetData(base64Data);
+    const lines = [];
+    if (text) lines.push(...text.split(/\n+/).map((line) => `> ${line}`), '>');
+    if (author) lines.push(`> — ${author}`, '>');
+    lines.push(`> [${text ? 'View on X' : 'View tweet on X'}](${tweetUrl})`);
+    return `\n\n${lines.join('\n')}\n\n`;
+  });
+  out = out
+    .replace(/!\[IMAGE:\w+:[^\]]*\]/g, '')
+    .replace(/!\[CHART:[^\]]*\]/g, '')
+    .replace(/\[(?:Image|Chart):[^\]]*\]/g, '');
+  out = replaceIndexPlaceholders(out);
+  return out.replace(/^[ \t]+$/gm, '').replace(/\n{3,}/g, '\n\n').trim();
+}
+
 /** Marker prefix for tweet embeds (so WordPress publish can replace with oEmbed HTML). */
 export const TWEET_EMBED_MARKER = TWEET_EMBED_MARKER_PREFIX;
@@ -0,0 +1,635 @@
+/**
+ * Convert post markdown to structured rich text for headless CMSs:
+ * - Contentful Rich Text (document / paragraph / heading-N / list / blockquote / embedded-asset-block / table)
+ * - Sanity Portable Text (block + span with marks and link markDefs, image blocks)
+ * - Wix Ricos (PARAGRAPH / HEADING / lists / BLOCKQUOTE / IMAGE nodes with TEXT decorations)
+ * - WordprocessingML body paragraphs for DOCX export (services/post-export.js)
+ *
+ * App placeholders (tweets, image/chart placeholders, [TWEET:0] indexes) are rewritten first with
+ * prepareMarkdownForStructuredContent() from lib/markdown-to-html.js. Images need to be uploaded to the CMS
+ * before they can be embedded, so callers collect URLs with extractImageUrls(), upload them, and pass
+ * the resulting asset ids; images without an id are kept as a link to the original URL.
+ * @see https://www.contentful.com/developers/docs/concepts/rich-text/
+ * @see https://portabletext.org/specification/
+ */
+
+import { marked } from 'marked';
+import { prepareMarkdownForStructuredContent } from './markdown-to-html.js';
+
+const HTML_TAG_RE = /<[^>]+>/g;
+
+function decodeEntities(text) {
+  return String(text)
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#0?39;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+function lex(markdown) {
+  const prepared = prepareMarkdownForStructuredContent(markdown);
+  return prepared ? marked.lexer(prepared) : [];
+}
+
+/**
+ * Flatten inline tokens into runs: { text, marks, href? } for text and { image: { url, alt } } for images.
+ * Marks are the shared names 'bold' | 'italic' | 'code' | 'strike'.
+ */
+function inlineRuns(tokens = [], marks = [], href = null) {
+  const runs = [];
+  for (const token of tokens) {
+    switch (token.type) {
+      case 'strong':
+        runs.push(...inlineRuns(token.tokens, [...marks, 'bold'], href));
+        break;
+      case 'em':
+        runs.push(...inlineRuns(token.tokens, [...marks, 'italic'], href));
+        break;
+      case 'del':
+        runs.push(...inlineRuns(token.tokens, [...marks, 'strike'], href));
+        break;
+      case 'codespan':
+        runs.push({ text: decodeEntities(token.text), marks: [...marks, 'code'], href });
+        break;
+      case 'link':
+        runs.push(...inlineRuns(token.tokens, marks, token.href));
+        break;
+      case 'image':
+        runs.push({ image: { url: token.href, alt: token.text || '' } });
+        break;
+      case 'br':
+        runs.push({ text: '\n', marks, href });
+        break;
+      case 'html':
+        break;
+      default:
+        if (token.tokens?.length) {
+          runs.push(...inlineRuns(token.tokens, marks, href));
+        } else if (token.text) {
+          runs.push({ text: decodeEntities(token.text), marks, href });
+        }
+    }
+  }
+  return runs;
+}
+
+/** Split runs at images: [{ runs: [...] } | { image }] in document order, dropping empty text groups. */
+function splitAtImages(runs) {
+  const parts = [];
+  let current = [];
+  const flush = () => {
+    if (current.some((r) => r.text && r.text.trim())) parts.push({ runs: current });
+    current = [];
+  };
+  for (const run of runs) {
+    if (run.image) {
+      flush();
+      parts.push({ image: run.image });
+    } else {
+      current.push(run);
+    }
+  }
+  flush();
+  return parts;
+}
+
+/** Block-level tokens of a list item or blockquote; tight list items hold a bare 'text' token. */
+function childBlocks(tokens = []) {
+  return tokens.map((t) => (t.type === 'text' ? { type: 'paragraph', tokens: t.tokens || [{ type: 'text', text: t.text }] } : t));
+}
+
+/**
+ * Image URLs referenced by the post body, in order and without duplicates.
+ * @param {string} markdown
+ * @returns {string[]}
+ */
+export function extractImageUrls(markdown) {
+  const urls = [];
+  marked.walkTokens(lex(markdown), (token) => {
+    if (token.type === 'image' && /^https?:\/\//i.test(token.href) && !urls.includes(token.href)) {
+      urls.push(token.href);
+    }
+  });
+  return urls;
+}
+
+/**
+ * Plain-text excerpt from the first paragraph, cut at a word boundary.
+ * @param {string} markdown
+ * @param {number} [maxLength]
+ * @returns {string}
+ */
+export function plainTextExcerpt(markdown, maxLength = 200) {
+  const paragraph = lex(markdown).find((t) => t.type === 'paragraph');
+  if (!paragraph) return '';
+  const text = inlineRuns(paragraph.tokens).map((r) => r.text || '').join('').replace(/\s+/g, ' ').trim();
+  if (text.length <= maxLength) return text;
+  const cut = text.slice(0, maxLength);
+  const lastSpace = cut.lastIndexOf(' ');
+  return `${(lastSpace > maxLength / 2 ? cut.slice(0, lastSpace) : cut).replace(/[\s,;:.]+$/, '')}…`;
+}
+
+// --- Contentful Rich Text -------------------------------------------------------------
+
+const RICH_TEXT_MARKS = { bold: 'bold', italic: 'italic', code: 'code' };
+
+function richTextInline(runs) {
+  const nodes = [];
+  for (const run of runs) {
+    const text = {
+      nodeType: 'text',
+      value: run.text,
+      marks: run.marks.filter((m) => RICH_TEXT_MARKS[m]).map((m) => ({ type: RICH_TEXT_MARKS[m] })),
+      data: {}
+    };
+    const previous = nodes[nodes.length - 1];
+    if (run.href && previous?.nodeType === 'hyperlink' && previous.data.uri === run.href) {
+      previous.content.push(text);
+    } else if (run.href) {
+      nodes.push({ nodeType: 'hyperlink', data: { uri: run.href }, content: [text] });
+    } else {
+      nodes.push(text);
+    }
+  }
+  return nodes.length > 0 ? nodes : [{ nodeType: 'text', value: '', marks: [], data: {} }];
+}
+
+function richTextParagraph(runs) {
+  return { nodeType: 'paragraph', data: {}, content: richTextInline(runs) };
+}
+
+function richTextImage(image, assetIds) {
+  const id = assetIds[image.url];
+  if (id) {
+    return { nodeType: 'embedded-asset-block', data: { target: { sys: { type: 'Link', linkType: 'Asset', id } } }, content: [] };
+  }
+  return richTextParagraph([{ text: image.alt || image.url, marks: [], href: image.url }]);
+}
+
+function richTextBlocks(tokens, assetIds) {
+  const blocks = [];
+  for (const token of tokens) {
+    switch (token.type) {
+      case 'heading':
+        blocks.push({ nodeType: `heading-${Math.min(6, token.depth)}`, data: {}, content: richTextInline(inlineRuns(token.tokens)) });
+        break;
+      case 'paragraph':
+        for (const part of splitAtImages(inlineRuns(token.tokens))) {
+          blocks.push(part.image ? richTextImage(part.image, assetIds) : richTextParagraph(part.runs));
+        }
+        break;
+      case 'list':
+        blocks.push({
+          nodeType: token.ordered ? 'ordered-list' : 'unordered-list',
+          data: {},
+          content: token.items.map((item) => ({
+            nodeType: 'list-item',
+            data: {},
+            // List items may only hold paragraphs and nested lists
+            content: richTextBlocks(childBlocks(item.tokens), {}).filter((b) => ['paragraph', 'ordered-list', 'unordered-list'].includes(b.nodeType))
+          }))
+        });
+        break;
+      case 'blockquote':
+        blocks.push({
+          nodeType: 'blockquote',
+          data: {},
+          content: richTextBlocks(childBlocks(token.tokens), {}).filter((b) => b.nodeType === 'paragraph')
+        });
+        break;
+      case 'code':
+        blocks.push(richTextParagraph([{ text: token.text, marks: ['code'] }]));
+        break;
+      case 'hr':
+        blocks.push({ nodeType: 'hr', data: {}, content: [] });
+        break;
+      case 'table': {
+        const row = (cells, cellType) => ({
+          nodeType: 'table-row',
+          data: {},
+          content: cells.map((cell) => ({ nodeType: cellType, data: {}, content: [richTextParagraph(inlineRuns(cell.tokens))] }))
+        });
+        blocks.push({
+          nodeType: 'table',
+          data: {},
+          content: [row(token.header, 'table-header-cell'), ...token.rows.map((cells) => row(cells, 'table-cell'))]
+        });
+        break;
+      }
+      case 'html': {
+        const text = decodeEntities(token.text.replace(HTML_TAG_RE, ' ')).replace(/\s+/g, ' ').trim();
+        if (text) blocks.push(richTextParagraph([{ text, marks: [] }]));
+        break;
+      }
+      default:
+        break;
+    }
+  }
+  return blocks;
+}
+
+/**
+ * Convert markdown to a Contentful Rich Text document.
+ * @param {string} markdown
+ * @param {{ assetIds?: Record<string, string> }} [options] - image URL → uploaded Contentful asset id
+ * @returns {{ nodeType: 'document', data: object, content: Array<object> }}
+ */
+export function markdownToRichText(markdown, options = {}) {
+  const content = richTextBlocks(lex(markdown), options.assetIds || {});
+  return { nodeType: 'document', data: {}, content: content.length > 0 ? content : [richTextParagraph([])] };
+}
+
+// --- Sanity Portable Text -------------------------------------------------------------
+
+const PORTABLE_TEXT_MARKS = { bold: 'strong', italic: 'em', code: 'code', strike: 'strike-through' };
+
+function keyGenerator() {
+  let n = 0;
+  return () => `k${(n++).toString(36).padStart(4, '0')}`;
+}
+
+function portableTextBlock(runs, nextKey, extra = {}) {
+  const markDefs = [];
+  const linkKeys = new Map();
+  const children = runs.map((run) => {
+    const marks = run.marks.filter((m) => PORTABLE_TEXT_MARKS[m]).map((m) => PORTABLE_TEXT_MARKS[m]);
+    if (run.href) {
+      if (!linkKeys.has(run.href)) {
+        const key = nextKey();
+        linkKeys.set(run.href, key);
+        markDefs.push({ _key: key, _type: 'link', href: run.href });
+      }
+      marks.push(linkKeys.get(run.href));
+    }
+    return { _type: 'span', _key: nextKey(), text: run.text, marks };
+  });
+  return {
+    _type: 'block',
+    _key: nextKey(),
+    style: 'normal',
+    ...extra,
+    markDefs,
+    children: children.length > 0 ? children : [{ _type: 'span', _key: nextKey(), text: '', marks: [] }]
+  };
+}
+
+function portableTextImage(image, imageAssetIds, nextKey) {
+  const ref = imageAssetIds[image.url];
+  if (ref) {
+    return { _type: 'image', _key: nextKey(), asset: { _type: 'reference', _ref: ref }, ...(image.alt && { alt: image.alt }) };
+  }
+  return portableTextBlock([{ text: image.alt || image.url, marks: [], href: image.url }], nextKey);
+}
+
+function portableTextBlocks(tokens, imageAssetIds, nextKey, context = {}) {
+  const blocks = [];
+  for (const token of tokens) {
+    switch (token.type) {
+      case 'heading':
+        blocks.push(portableTextBlock(inlineRuns(token.tokens), nextKey, { style: `h${Math.min(6, token.depth)}` }));
+        break;
+      case 'paragraph':
+        for (const part of splitAtImages(inlineRuns(token.tokens))) {
+          blocks.push(part.image
+            ? portableTextImage(part.image, imageAssetIds, nextKey)
+            : portableTextBlock(part.runs, nextKey, context.style ? { style: context.style } : {}));
+        }
+        break;
+      case 'list': {
+        const level = (context.level || 0) + 1;
+        const listItem = token.ordered ? 'number' : 'bullet';
+        for (const item of token.items) {
+          for (const child of childBlocks(item.tokens)) {
+            if (child.type === 'list') {
+              blocks.push(...portableTextBlocks([child], imageAssetIds, nextKey, { level }));
+            } else if (child.type === 'paragraph') {
+              blocks.push(portableTextBlock(inlineRuns(child.tokens), nextKey, { listItem, level }));
+            }
+          }
+        }
+        break;
+      }
+      case 'blockquote':
+        blocks.push(...portableTextBlocks(childBlocks(token.tokens), {}, nextKey, { style: 'blockquote' }));
+        break;
+      case 'code':
+        blocks.push(portableTextBlock([{ text: token.text, marks: ['code'] }], nextKey));
+        break;
+      case 'table':
+        // No table type in the default Portable Text schema: one block per row, cells separated by " | "
+        for (const cells of [token.header, ...token.rows]) {
+          const runs = cells.flatMap((cell, i) => [...(i > 0 ? [{ text: ' | ', marks: [] }] : []), ...inlineRuns(cell.tokens)]);
+          blocks.push(portableTextBlock(runs.filter((r) => !r.image), nextKey));
+        }
+        break;
+      case 'html': {
+        const text = decodeEntities(token.text.replace(HTML_TAG_RE, ' ')).replace(/\s+/g, ' ').trim();
+        if (text) blocks.push(portableTextBlock([{ text, marks: [] }], nextKey));
+        break;
+      }
+      default:
+        break;
+    }
+  }
+  return blocks;
+}
+
+/**
+ * Convert markdown to Sanity Portable Text blocks. Keys are deterministic per call.
+ * @param {string} markdown
+ * @param {{ imageAssetIds?: Record<string, string> }} [options] - image URL → uploaded Sanity image asset _id
+ * @returns {Array<object>}
+ */
+export function markdownToPortableText(markdown, options = {}) {
+  return portableTextBlocks(lex(markdown), options.imageAssetIds || {}, keyGenerator());
+}
+
+// --- Wix Ricos ------------------------------------------------------------------------
+
+const RICOS_DECORATIONS = { bold: 'BOLD', italic: 'ITALIC', strike: 'STRIKETHROUGH' };
+
+function ricosText(runs, nextKey) {
+  const nodes = runs.map((run) => {
+    const decorations = run.marks.filter((m) => RICOS_DECORATIONS[m]).map((m) => ({ type: RICOS_DECORATIONS[m] }));
+    if (run.href) decorations.push({ type: 'LINK', linkData: { link: { url: run.href, target: 'BLANK' } } });
+    return { type: 'TEXT', id: nextKey(), nodes: [], textData: { text: run.text, decorations } };
+  });
+  return nodes;
+}
+
+function ricosParagraph(runs, nextKey) {
+  return { type: 'PARAGRAPH', id: nextKey(), nodes: ricosText(runs, nextKey), paragraphData: {} };
+}
+
+function ricosImage(image, nextKey) {
+  return {
+    type: 'IMAGE',
+    id: nextKey(),
+    nodes: [],
+    imageData: { containerData: { alignment: 'CENTER' }, image: { src: { url: image.url } }, ...(image.alt && { altText: image.alt }) }
+  };
+}
+
+function ricosNodes(tokens, nextKey) {
+  const nodes = [];
+  for (const token of tokens) {
+    switch (token.type) {
+      case 'heading':
+        nodes.push({
+          type: 'HEADING',
+          id: nextKey(),
+          nodes: ricosText(inlineRuns(token.tokens), nextKey),
+          headingData: { level: Math.min(6, token.depth) }
+        });
+        break;
+      case 'paragraph':
+        for (const part of splitAtImages(inlineRuns(token.tokens))) {
+          nodes.push(part.image ? ricosImage(part.image, nextKey) : ricosParagraph(part.runs, nextKey));
+        }
+        break;
+      case 'list':
+        nodes.push({
+          type: token.ordered ? 'ORDERED_LIST' : 'BULLETED_LIST',
+          id: nextKey(),
+          nodes: token.items.map((item) => ({
+            type: 'LIST_ITEM',
+            id: nextKey(),
+            nodes: ricosNodes(childBlocks(item.tokens), nextKey).filter((n) => ['PARAGRAPH', 'ORDERED_LIST', 'BULLETED_LIST'].includes(n.type))
+          }))
+        });
+        break;
+      case 'blockquote':
+        nodes.push({
+          type: 'BLOCKQUOTE',
+          id: nextKey(),
+          nodes: ricosNodes(childBlocks(token.tokens), nextKey).filter((n) => n.type === 'PARAGRAPH')
+        });
+        break;
+      case 'code':
+        nodes.push({
+          type: 'CODE_BLOCK',
+          id: nextKey(),
+          nodes: ricosText([{ text: token.text, marks: [] }], nextKey),
+          codeBlockData: { textStyle: { textAlignment: 'AUTO' } }
+        });
+        break;
+      case 'hr':
+        nodes.push({ type: 'DIVIDER', id: nextKey(), nodes: [], dividerData: {} });
+        break;
+      case 'table':
+        // Same as Portable Text: one paragraph per row, cells separated by " | "
+        for (const cells of [token.header, ...token.rows]) {
+          const runs = cells.flatMap((cell, i) => [...(i > 0 ? [{ text: ' | ', marks: [] }] : []), ...inlineRuns(cell.tokens)]);
+          nodes.push(ricosParagraph(runs.filter((r) => !r.image), nextKey));
+        }
+        break;
+      case 'html': {
+        const text = decodeEntities(token.text.replace(HTML_TAG_RE, ' ')).replace(/\s+/g, ' ').trim();
+        if (text) nodes.push(ricosParagraph([{ text, marks: [] }], nextKey));
+        break;
+      }
+      default:
+        break;
+    }
+  }
+  return nodes;
+}
+
+/**
+ * Convert markdown to Wix Ricos rich content (Wix Blog richContent). Images are referenced by URL.
+ * Node ids are deterministic per call.
+ * @see https://dev.wix.com/docs/ricos/api-reference/ricos-document
+ * @param {string} markdown
+ * @returns {{ nodes: Array<object> }}
+ */
+export function markdownToRicos(markdown) {
+  return { nodes: ricosNodes(lex(markdown), keyGenerator()) };
+}
+
+// --- Word (WordprocessingML) ----------------------------------------------------------
+
+/** Text width of a Letter page with 1" margins, in EMU; wider images are scaled down. */
+const DOCX_MAX_IMAGE_WIDTH_EMU = 5486400;
+const EMU_PER_PIXEL = 9525;
+const DOCX_CODE_FONT = '<w:rFonts w:ascii="Courier New" w:hAnsi="Courier New" w:cs="Courier New"/>';
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    // Control characters are not allowed in XML 1.0
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+}
+
+function docxRun(text, marks = [], extraProps = '') {
+  // Property order follows CT_RPr: rStyle, rFonts, b, i, strike
+  const props = [
+    extraProps,
+    marks.includes('code') ? DOCX_CODE_FONT : '',
+    marks.includes('bold') ? '<w:b/>' : '',
+    marks.includes('italic') ? '<w:i/>' : '',
+    marks.includes('strike') ? '<w:strike/>' : ''
+  ].join('');
+  const content = String(text)
+    .split('\n')
+    .map((line) => line.split('\t').map((part) => `<w:t xml:space="preserve">${escapeXml(part)}</w:t>`).join('<w:tab/>'))
+    .join('<w:br/>');
+  return `<w:r>${props ? `<w:rPr>${props}</w:rPr>` : ''}${content}</w:r>`;
+}
+
+function docxInline(runs, ctx) {
+  return runs
+    .filter((run) => !run.image)
+    .map((run) => {
+      if (!run.href || !ctx.linkRel) return docxRun(run.text, run.marks);
+      const relId = ctx.linkRel(run.href);
+      return `<w:hyperlink r:id="${relId}">${docxRun(run.text, run.marks, '<w:rStyle w:val="Hyperlink"/>')}</w:hyperlink>`;
+    })
+    .join('');
+}
+
+function docxParagraph(content, props = '') {
+  return `<w:p>${props ? `<w:pPr>${props}</w:pPr>` : ''}${content}</w:p>`;
+}
+
+function docxImage(image, ctx) {
+  const embedded = ctx.images[image.url];
+  if (!embedded) {
+    // Not packaged: keep a link so the reader can still open it
+    return docxParagraph(docxInline([{ text: image.alt || image.url, marks: [], href: image.url }], ctx));
+  }
+  let cx = Math.round((embedded.width || 800) * EMU_PER_PIXEL);
+  let cy = Math.round((embedded.height || 450) * EMU_PER_PIXEL);
+  if (cx > DOCX_MAX_IMAGE_WIDTH_EMU) {
+    cy = Math.round(cy * (DOCX_MAX_IMAGE_WIDTH_EMU / cx));
+    cx = DOCX_MAX_IMAGE_WIDTH_EMU;
+  }
+  const id = ctx.nextDrawingId();
+  const alt = escapeXml(image.alt || '');
+  return docxParagraph(
+    '<w:r><w:drawing>' +
+      `<wp:inline distT="0" distB="0" distL="0" distR="0"><wp:extent cx="${cx}" cy="${cy}"/>` +
+      `<wp:docPr id="${id}" name="Picture ${id}" descr="${alt}"/>` +
+      '<a:graphic xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main">' +
+      '<a:graphicData uri="http://schemas.openxmlformats.org/drawingml/2006/picture">' +
+      '<pic:pic xmlns:pic="http://schemas.openxmlformats.org/drawingml/2006/picture">' +
+      `<pic:nvPicPr><pic:cNvPr id="${id}" name="Picture ${id}" descr="${alt}"/><pic:cNvPicPr/></pic:nvPicPr>` +
+      `<pic:blipFill><a:blip r:embed="${embedded.relId}"/><a:stretch><a:fillRect/></a:stretch></pic:blipFill>` +
+      `<pic:spPr><a:xfrm><a:off x="0" y="0"/><a:ext cx="${cx}" cy="${cy}"/></a:xfrm><a:prstGeom prst="rect"><a:avLst/></a:prstGeom></pic:spPr>` +
+      '</pic:pic></a:graphicData></a:graphic></wp:inline>' +
+      '</w:drawing></w:r>',
+    '<w:jc w:val="center"/>'
+  );
+}
+
+/** Paragraphs of a block, split at images. props apply to the text paragraphs; prefix goes before the first one. */
+function docxTextParagraphs(tokens, ctx, props = '', prefix = '') {
+  const out = [];
+  let first = true;
+  for (const part of splitAtImages(inlineRuns(tokens))) {
+    if (part.image) {
+      out.push(docxImage(part.image, ctx));
+      continue;
+    }
+    const lead = first && prefix ? docxRun(prefix) : '';
+    out.push(docxParagraph(lead + docxInline(part.runs, ctx), props));
+    first = false;
+  }
+  if (first && prefix) out.push(docxParagraph(docxRun(prefix), props));
+  return out;
+}
+
+function docxTable(token, ctx) {
+  const columns = token.header.length || 1;
+  const width = Math.floor(9360 / columns);
+  const border = (side) => `<w:${side} w:val="single" w:sz="4" w:space="0" w:color="BFBFBF"/>`;
+  const row = (cells, header) =>
+    `<w:tr>${cells
+      .map((cell) => {
+        const runs = inlineRuns(cell.tokens).filter((r) => !r.image).map((r) => (header ? { ...r, marks: [...r.marks, 'bold'] } : r));
+        return `<w:tc><w:tcPr><w:tcW w:w="${width}" w:type="dxa"/></w:tcPr>${docxParagraph(docxInline(runs, ctx))}</w:tc>`;
+      })
+      .join('')}</w:tr>`;
+  return (
+    `<w:tbl><w:tblPr><w:tblW w:w="0" w:type="auto"/><w:tblBorders>${['top', 'left', 'bottom', 'right', 'insideH', 'insideV'].map(border).join('')}</w:tblBorders></w:tblPr>` +
+    `<w:tblGrid>${`<w:gridCol w:w="${width}"/>`.repeat(columns)}</w:tblGrid>` +
+    row(token.header, true) +
+    token.rows.map((cells) => row(cells, false)).join('') +
+    '</w:tbl>'
+  );
+}
+
+function docxBlocks(tokens, ctx, context = {}) {
+  const out = [];
+  const indent = context.level ? `<w:ind w:left="${360 * context.level}"/>` : '';
+  for (const token of tokens) {
+    switch (token.type) {
+      case 'heading':
+        out.push(docxParagraph(docxInline(inlineRuns(token.tokens), ctx), `<w:pStyle w:val="Heading${Math.min(6, token.depth)}"/>`));
+        break;
+      case 'paragraph':
+        out.push(...docxTextParagraphs(token.tokens, ctx, context.quote ? '<w:pStyle w:val="Quote"/>' : indent));
+        break;
+      case 'list': {
+        // Numbering definitions are not generated; list markers are written as text with a hanging indent
+        const level = (context.level || 0) + 1;
+        const start = Number(token.start) || 1;
+        token.items.forEach((item, i) => {
+          const marker = token.ordered ? `${start + i}.\t` : '•\t';
+          const [first, ...rest] = childBlocks(item.tokens);
+          const props = `<w:tabs><w:tab w:val="left" w:pos="${360 * level}"/></w:tabs><w:ind w:left="${360 * level}" w:hanging="360"/>`;
+          if (first?.type === 'paragraph') {
+            out.push(...docxTextParagraphs(first.tokens, ctx, props, marker));
+          } else {
+            out.push(docxParagraph(docxRun(marker), props));
+            if (first) rest.unshift(first);
+          }
+          out.push(...docxBlocks(rest, ctx, { ...context, level }));
+        });
+        break;
+      }
+      case 'blockquote':
+        out.push(...docxBlocks(childBlocks(token.tokens), ctx, { ...context, quote: true }));
+        break;
+      case 'code':
+        out.push(docxParagraph(docxRun(token.text, ['code']), '<w:pStyle w:val="Code"/>'));
+        break;
+      case 'hr':
+        out.push(docxParagraph('', '<w:pBdr><w:bottom w:val="single" w:sz="6" w:space="1" w:color="auto"/></w:pBdr>'));
+        break;
+      case 'table':
+        out.push(docxTable(token, ctx), docxParagraph(''));
+        break;
+      case 'html': {
+        const text = decodeEntities(token.text.replace(HTML_TAG_RE, ' ')).replace(/\s+/g, ' ').trim();
+        if (text) out.push(docxParagraph(docxRun(text)));
+        break;
+      }
+      default:
+        break;
+    }
+  }
+  return out;
+}
+
+/**
+ * Convert markdown to WordprocessingML body paragraphs (the children of w:body) for DOCX export.
+ * Uses the styles Heading1–6, Quote, Code and Hyperlink, which the document's styles part must define.
+ * Images with an entry in images are embedded; others become a link to the original URL.
+ * @param {string} markdown
+ * @param {{ images?: Record<string, { relId: string, width?: number, height?: number }>, linkRel?: (url: string) => string, nextDrawingId?: () => number }} [options]
+ *   images: URL → image relationship id and pixel size; linkRel returns the relationship id for an external link
+ * @returns {string}
+ */
+export function markdownToWordprocessingML(markdown, options = {}) {
+  let drawingId = 0;
+  const ctx = {
+    images: options.images || {},
+    linkRel: options.linkRel || null,
+    nextDrawingId: options.nextDrawingId || (() => ++drawingId)
+  };
+  return docxBlocks(lex(markdown), ctx).join('');
+}
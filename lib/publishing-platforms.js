@@ -1,8 +1,29 @@
 /**
  * Shared constants and helpers for third-party publishing platforms.
  * Platform keys must match frontend and integration handoff (16 platforms).
+ *
+ * Publisher registry: each platform with direct publishing exports an adapter from its
+ * services/<platform>-publish.js and is registered below. The publish/unpublish routes and the
+ * connect flow only talk to adapters, so adding a platform is one adapter file, tests and a
+ * registerPublisher() line.
  */
 import db from '../services/database.js';
+import { astroPublisher } from '../services/astro-publish.js';
+import { contentfulPublisher } from '../services/contentful-publish.js';
+import { drupalPublisher } from '../services/drupal-publish.js';
+import { ghostPublisher } from '../services/ghost-publish.js';
+import { hubspotPublisher } from '../services/hubspot-publish.js';
+import { hugoPublisher } from '../services/hugo-publish.js';
+import { jekyllPublisher } from '../services/jekyll-publish.js';
+import { mediumPublisher } from '../services/medium-publish.js';
+import { nextjsPublisher } from '../services/nextjs-publish.js';
+import { sanityPublisher } from '../services/sanity-publish.js';
+import { shopifyPublisher } from '../services/shopify-publish.js';
+import { squarespacePublisher } from '../services/squarespace-publish.js';
+import { substackPublisher } from '../services/substack-publish.js';
+import { webflowPublisher } from '../services/webflow-publish.js';
+import { wixPublisher } from '../services/wix-publish.js';
+import { wordpressPublisher } from '../services/wordpress-publish.js';
 
 /** All 16 platform keys used by the frontend (Publish modal, Settings, post publication status). */
 export const PLATFORM_KEYS = new Set([
@@ -31,7 +52,7 @@ export const PLATFORM_LABELS = {
 
 /** Platforms that use OAuth only (frontend sends { platform } and expects authorization_url). */
 export const OAUTH_ONLY_PLATFORMS = new Set([
-  'medium', 'webflow', 'squarespace', 'wix', 'shopify', 'hubspot', 'drupal', 'hugo', 'astro'
+  'medium', 'webflow', 'squarespace', 'wix', 'shopify', 'hubspot', 'drupal'
 ]);
 
 /**
@@ -57,3 +78,81 @@ export function normalizePlatformKey(platform) {
   const key = platform.toLowerCase().trim();
   return PLATFORM_KEYS.has(key) ? key : null;
 }
+
+/**
+ * @typedef {object} PublisherCapabilities
+ * @property {boolean} draft - honours publish_mode 'draft'
+ * @property {boolean} update - can edit a published post in place (update_existing)
+ * @property {boolean} unpublish - can remove or revert a published post remotely
+ * @property {boolean} [schedule] - publishes at opts.scheduledAt itself (WordPress future, Ghost scheduled);
+ *   other platforms are published by the scheduler when the time comes
+ */
+
+/**
+ * @typedef {object} PublisherAdapter
+ * @property {string} key - platform key
+ * @property {PublisherCapabilities} capabilities
+ * @property {{ update?: string, unpublish?: string }} [unsupported] - user-facing messages when a capability is missing
+ * @property {string[]} [settings] - credential keys the user may change after connecting (PUT /:platform/settings)
+ * @property {(credentials: object) => Promise<void>} validateCredentials - throws with a user-facing message when rejected
+ * @property {(credentials: object, post: object, opts: { draft?: boolean, scheduledAt?: Date }) => Promise<{ url: string, id: string|number }>} publish
+ * @property {(credentials: object, externalId: string|number, post: object, opts: { draft?: boolean, scheduledAt?: Date }) => Promise<{ url: string, id: string|number }>} [update]
+ * @property {(credentials: object, externalId: string|number, opts: { mode?: 'draft'|'delete' }) => Promise<{ id: string|number, status: string }>} [unpublish]
+ */
+
+const REQUIRED_ADAPTER_METHODS = ['validateCredentials', 'publish'];
+
+/** @type {Map<string, PublisherAdapter>} */
+const publishers = new Map();
+
+/**
+ * Register a publisher adapter for a platform key. Capabilities must match the methods provided.
+ * @param {PublisherAdapter} adapter
+ */
+export function registerPublisher(adapter) {
+  if (!PLATFORM_KEYS.has(adapter?.key)) {
+    throw new Error(`Unknown publishing platform: ${adapter?.key}`);
+  }
+  for (const method of REQUIRED_ADAPTER_METHODS) {
+    if (typeof adapter[method] !== 'function') {
+      throw new Error(`Publisher ${adapter.key} is missing ${method}()`);
+    }
+  }
+  for (const capability of ['update', 'unpublish']) {
+    if (adapter.capabilities?.[capability] && typeof adapter[capability] !== 'function') {
+      throw new Error(`Publisher ${adapter.key} declares ${capability} but has no ${capability}()`);
+    }
+  }
+  if (adapter.capabilities?.schedule && !(adapter.capabilities.update && adapter.capabilities.unpublish)) {
+    // Native schedules are moved with update() and cancelled with unpublish()
+    throw new Error(`Publisher ${adapter.key} declares schedule but cannot update and unpublish`);
+  }
+  publishers.set(adapter.key, adapter);
+}
+
+/**
+ * @param {string} platform - normalized platform key
+ * @returns {PublisherAdapter|null} adapter, or null when the platform has no direct publishing yet
+ */
+export function getPublisher(platform) {
+  return publishers.get(platform) || null;
+}
+
+[
+  wordpressPublisher,
+  ghostPublisher,
+  mediumPublisher,
+  substackPublisher,
+  contentfulPublisher,
+  sanityPublisher,
+  webflowPublisher,
+  shopifyPublisher,
+  hubspotPublisher,
+  wixPublisher,
+  drupalPublisher,
+  squarespacePublisher,
+  jekyllPublisher,
+  hugoPublisher,
+  nextjsPublisher,
+  astroPublisher
+].forEach(registerPublisher);
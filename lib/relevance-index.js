@@ -0,0 +1,95 @@
+/**
+ * Small in-memory BM25 index over an organization's own documents (scraped website pages, published posts).
+ * Deterministic and local: used to match passages of a draft to the most relevant existing pages
+ * (services/internal-links.js).
+ */
+
+const K1 = 1.2;
+const B = 0.75;
+const TITLE_BOOST = 3;
+
+const STOPWORDS = new Set(`a about above after again against all also am an and any are as at be because been before being
+below between both but by can could did do does doing down during each even every few for from further get gets got had
+has have having he her here hers herself him himself his how i if in into is it its itself just let like make many may
+me might more most much must my myself no nor not now of off on once only or other our ours ourselves out over own
+really same shall she should so some such than that the their theirs them themselves then there these they this those
+through to too under until up upon us use used using very via was way we well were what when where which while who
+whom why will with within without would yet you your yours yourself yourselves`.split(/\s+/));
+
+export const WORD_PATTERN = /[\p{L}\p{N}][\p{L}\p{N}'’-]*/gu;
+
+/** Index term of a word: lowercase, possessive and plural endings removed; null for stopwords and short words. */
+export function normalizeTerm(word) {
+  let term = word.toLowerCase().replace(/['’]s?$/, '');
+  if (term.length < 3 || STOPWORDS.has(term) || /^\d+$/.test(term)) return null;
+  if (term.length > 4 && term.endsWith('ies')) term = `${term.slice(0, -3)}y`;
+  else if (term.length > 4 && /(?:ss|x|z|ch|sh)es$/.test(term)) term = term.slice(0, -2);
+  else if (term.length > 3 && term.endsWith('s') && !/(?:ss|us|is)$/.test(term)) term = term.slice(0, -1);
+  return term;
+}
+
+/** Index terms of a text, in order (with repeats). */
+export function tokenize(text) {
+  const terms = [];
+  for (const [word] of String(text || '').matchAll(WORD_PATTERN)) {
+    const term = normalizeTerm(word);
+    if (term) terms.push(term);
+  }
+  return terms;
+}
+
+function countTerms(terms, into = new Map(), weight = 1) {
+  for (const term of terms) into.set(term, (into.get(term) || 0) + weight);
+  return into;
+}
+
+/**
+ * Build an index. Title terms count TITLE_BOOST times so a page is found by what it is about.
+ * @param {Array<{ id: string, title?: string|null, text?: string|null }>} documents - extra fields are kept on the entry
+ * @returns {{ size: number, averageLength: number, documentFrequency: Map<string, number>, entries: object[] }}
+ */
+export function buildRelevanceIndex(documents) {
+  const documentFrequency = new Map();
+  const entries = documents.map((document) => {
+    const titleTerms = new Set(tokenize(document.title));
+    const frequencies = countTerms(tokenize(document.text));
+    countTerms(titleTerms, frequencies, TITLE_BOOST);
+    let length = 0;
+    for (const [term, count] of frequencies) {
+      length += count;
+      documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+    }
+    return { document, frequencies, titleTerms, length };
+  });
+  const averageLength = entries.length ? entries.reduce((sum, e) => sum + e.length, 0) / entries.length : 0;
+  return { size: entries.length, averageLength, documentFrequency, entries };
+}
+
+/** Inverse document frequency (BM25+ style, never negative). */
+export function inverseDocumentFrequency(index, term) {
+  const df = index.documentFrequency.get(term) || 0;
+  return Math.log(1 + (index.size - df + 0.5) / (df + 0.5));
+}
+
+/**
+ * Rank documents for a query text, best first.
+ * @returns {Array<{ entry: object, score: number, matchedTerms: string[] }>} documents with a positive score
+ */
+export function rankDocuments(index, queryText, { limit = 10 } = {}) {
+  const queryTerms = [...new Set(tokenize(queryText))].filter((term) => index.documentFrequency.has(term));
+  if (queryTerms.length === 0 || index.size === 0) return [];
+
+  const results = [];
+  for (const entry of index.entries) {
+    let score = 0;
+    const matchedTerms = [];
+    for (const term of queryTerms) {
+      const tf = entry.frequencies.get(term);
+      if (!tf) continue;
+      matchedTerms.push(term);
+      score += inverseDocumentFrequency(index, term) * (tf * (K1 + 1)) / (tf + K1 * (1 - B + B * entry.length / (index.averageLength || 1)));
+    }
+    if (score > 0) results.push({ entry, score, matchedTerms });
+  }
+  return results.sort((a, b) => b.score - a.score || String(a.entry.document.id).localeCompare(String(b.entry.document.id))).slice(0, limit);
+}
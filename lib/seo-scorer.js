@@ -0,0 +1,325 @@
+/**
+ * Deterministic SEO and readability score for markdown posts. Unlike the LLM analysis
+ * (routes/seo-analysis.js, EnhancedBlogGenerationService.runSEOAnalysis) it costs nothing and returns the same
+ * score for the same input, so it can gate regeneration loops (generateWithOptimization) and explain each point
+ * lost. Each check scores 0–100; the total is the weighted mean of the checks that apply.
+ */
+
+/** Bump when checks or weights change so stored scores can be told apart. */
+export const SEO_SCORER_VERSION = 1;
+
+const WEIGHTS = {
+  readability: 15,
+  keyword_placement: 15,
+  keyword_density: 10,
+  heading_hierarchy: 15,
+  title_length: 10,
+  meta_description_length: 10,
+  links: 10,
+  image_alt_text: 5,
+  paragraph_length: 10
+};
+
+const TITLE_RANGE = [50, 60];
+const META_RANGE = [150, 160];
+const DENSITY_RANGE = [0.5, 2.5];
+const LONG_PARAGRAPH_WORDS = 120;
+const INTRO_WORDS = 100;
+
+const clamp = (value, min = 0, max = 100) => Math.min(max, Math.max(min, value));
+const round1 = (value) => Math.round(value * 10) / 10;
+
+/** Markdown inline syntax and HTML tags → plain text. */
+function toPlainText(markdown) {
+  return markdown
+    .replace(/!\[[^\]]*\]\([^)]*\)/g, ' ')
+    .replace(/!\[[A-Z]+:[^\]]*\]/g, ' ')
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/[*_~`]+/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function words(text) {
+  return text.match(/[\p{L}\p{N}][\p{L}\p{N}'’-]*/gu) || [];
+}
+
+/** Heuristic English syllable count (vowel groups, silent trailing e). */
+export function countSyllables(word) {
+  const w = word.toLowerCase().replace(/[^a-z]/g, '');
+  if (!w) return 0;
+  if (w.length <= 3) return 1;
+  const trimmed = w.replace(/(?:[^laeiouy]es|ed|[^laeiouy]e)$/, '').replace(/^y/, '');
+  const groups = trimmed.match(/[aeiouy]{1,2}/g);
+  return Math.max(1, groups ? groups.length : 0);
+}
+
+/**
+ * Split markdown into headings, prose paragraphs, list items, images and links.
+ */
+function parseMarkdown(content) {
+  const headings = [];
+  const paragraphs = [];
+  const listItems = [];
+  let inCode = false;
+  let block = [];
+
+  const flush = () => {
+    const text = block.join(' ').trim();
+    block = [];
+    if (!text || /^</.test(text) || /^!\[/.test(text) || /^\|/.test(text)) return;
+    const plain = toPlainText(text);
+    if (plain) paragraphs.push(plain);
+  };
+
+  for (const line of String(content || '').split('\n')) {
+    if (/^\s*(```|~~~)/.test(line)) {
+      flush();
+      inCode = !inCode;
+      continue;
+    }
+    if (inCode) continue;
+    const heading = /^(#{1,6})\s+(.+?)\s*#*\s*$/.exec(line);
+    if (heading) {
+      flush();
+      headings.push({ level: heading[1].length, text: toPlainText(heading[2]) });
+      continue;
+    }
+    const item = /^\s*(?:[-*+]|\d+[.)])\s+(.*)$/.exec(line);
+    if (item) {
+      flush();
+      const plain = toPlainText(item[1]);
+      if (plain) listItems.push(plain);
+      continue;
+    }
+    if (!line.trim()) {
+      flush();
+      continue;
+    }
+    block.push(line.replace(/^\s*>\s?/, ''));
+  }
+  flush();
+
+  const images = [
+    ...[...content.matchAll(/!\[([^\]]*)\]\(([^)\s]+)[^)]*\)/g)].map((m) => ({ alt: m[1].trim() })),
+    ...[...content.matchAll(/<img\b[^>]*>/gi)].map((m) => ({ alt: (/\balt\s*=\s*["']([^"']*)["']/i.exec(m[0])?.[1] || '').trim() }))
+  ];
+  const links = [
+    ...[...content.matchAll(/(?<!!)\[[^\]]*\]\(([^)\s]+)[^)]*\)/g)].map((m) => m[1]),
+    ...[...content.matchAll(/<a\b[^>]*\bhref\s*=\s*["']([^"']+)["']/gi)].map((m) => m[1])
+  ];
+  return { headings, paragraphs, listItems, images, links };
+}
+
+function hostOf(url) {
+  try {
+    return new URL(url).hostname.replace(/^www\./, '').toLowerCase();
+  } catch {
+    return null;
+  }
+}
+
+function classifyLinks(links, siteUrl) {
+  const siteHost = typeof siteUrl === 'string' && siteUrl ? hostOf(/^https?:\/\//i.test(siteUrl) ? siteUrl : `https://${siteUrl}`) : null;
+  let internal = 0;
+  let external = 0;
+  for (const href of links) {
+    if (/^(#|mailto:|tel:|javascript:)/i.test(href)) continue;
+    if (!/^[a-z][a-z0-9+.-]*:/i.test(href) && !href.startsWith('//')) {
+      internal++;
+      continue;
+    }
+    const host = hostOf(href.startsWith('//') ? `https:${href}` : href);
+    if (host && siteHost && (host === siteHost || host.endsWith(`.${siteHost}`))) internal++;
+    else external++;
+  }
+  return { internal, external };
+}
+
+function keywordPattern(keyword) {
+  const escaped = keyword.trim().toLowerCase().split(/\s+/).map((part) => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  return new RegExp(`(?<![\\p{L}\\p{N}])${escaped.join('[\\s-]+')}(?![\\p{L}\\p{N}])`, 'giu');
+}
+
+const countMatches = (text, keyword) => (text.toLowerCase().match(keywordPattern(keyword)) || []).length;
+
+/** 100 inside [low, high]; falls off linearly to 0 at `floor` below and `ceiling` above. */
+function rangeScore(value, [low, high], floor, ceiling) {
+  if (value >= low && value <= high) return 100;
+  if (value < low) return clamp(((value - floor) / (low - floor)) * 100);
+  return clamp(((ceiling - value) / (ceiling - high)) * 100);
+}
+
+function check(id, label, score, { applicable = true, value = null, target = null, message }) {
+  return { id, label, weight: WEIGHTS[id], applicable, score: applicable ? Math.round(score) : null, passed: applicable ? score >= 80 : null, value, target, message };
+}
+
+/**
+ * Score a post.
+ * @param {{ content: string, title?: string|null, metaDescription?: string|null, keywords?: string[], siteUrl?: string|null }} input
+ *   title defaults to the first H1; keywords[0] is the primary keyword; siteUrl decides which absolute links are internal
+ * @returns {{ version: number, score: number, checks: object[], metrics: object, recommendations: string[] }}
+ */
+export function scoreContent({ content, title = null, metaDescription = null, keywords = [], siteUrl = null }) {
+  const parsed = parseMarkdown(String(content || ''));
+  const prose = [...parsed.paragraphs, ...parsed.listItems];
+  const allWords = prose.flatMap(words);
+  const wordCount = allWords.length;
+  const sentenceCount = prose.reduce((sum, text) => sum + Math.max(1, (text.match(/[.!?]+(?=\s|$)/g) || []).length), 0);
+  const syllables = allWords.reduce((sum, word) => sum + countSyllables(word), 0);
+  const wordsPerSentence = sentenceCount ? wordCount / sentenceCount : 0;
+  const syllablesPerWord = wordCount ? syllables / wordCount : 0;
+  const readingEase = wordCount ? round1(206.835 - 1.015 * wordsPerSentence - 84.6 * syllablesPerWord) : null;
+  const gradeLevel = wordCount ? round1(0.39 * wordsPerSentence + 11.8 * syllablesPerWord - 15.59) : null;
+
+  const resolvedTitle = ((typeof title === 'string' && title) || parsed.headings.find((h) => h.level === 1)?.text || '').trim();
+  const meta = typeof metaDescription === 'string' ? metaDescription.trim() : '';
+  const keywordList = (Array.isArray(keywords) ? keywords : [])
+    .filter((k) => typeof k === 'string' && k.trim())
+    .map((k) => k.trim());
+  const primary = keywordList[0] || null;
+  const bodyText = prose.join(' ');
+  const checks = [];
+
+  // Readability: Flesch reading ease 60+ reads easily for a general audience
+  checks.push(check('readability', 'Reading ease', readingEase === null ? 0 : clamp(((readingEase - 20) / 40) * 100), {
+    applicable: wordCount > 0,
+    value: { flesch_reading_ease: readingEase, grade_level: gradeLevel },
+    target: 'Flesch reading ease ≥ 60 (about grade 8–9)',
+    message: readingEase === null ? 'No prose to measure.'
+      : readingEase >= 60 ? `Reading ease ${readingEase} (grade ${gradeLevel}) is easy to read.`
+        : `Reading ease ${readingEase} (grade ${gradeLevel}) is hard going; use shorter sentences (now ${round1(wordsPerSentence)} words) and simpler words.`
+  }));
+
+  // Keyword placement: title, introduction, a subheading and the meta description
+  const h2h3 = parsed.headings.filter((h) => h.level === 2 || h.level === 3);
+  const placements = primary ? [
+    { where: 'title', weight: 30, found: countMatches(resolvedTitle, primary) > 0 },
+    { where: 'introduction', weight: 30, found: countMatches(allWords.slice(0, INTRO_WORDS).join(' '), primary) > 0 },
+    { where: 'a subheading', weight: 25, found: h2h3.some((h) => countMatches(h.text, primary) > 0) },
+    ...(meta ? [{ where: 'meta description', weight: 15, found: countMatches(meta, primary) > 0 }] : [])
+  ] : [];
+  const placementWeight = placements.reduce((sum, p) => sum + p.weight, 0);
+  const missing = placements.filter((p) => !p.found).map((p) => p.where);
+  checks.push(check('keyword_placement', 'Keyword placement',
+    placementWeight ? (placements.filter((p) => p.found).reduce((sum, p) => sum + p.weight, 0) / placementWeight) * 100 : 0, {
+      applicable: !!primary,
+      value: Object.fromEntries(placements.map((p) => [p.where, p.found])),
+      target: 'Primary keyword in the title, first 100 words, a subheading and the meta description',
+      message: !primary ? 'No target keyword given.'
+        : missing.length === 0 ? `"${primary}" appears in all key places.`
+          : `Add "${primary}" to the ${missing.join(', ')}.`
+    }));
+
+  // Keyword density of the primary keyword; secondary keywords are reported only
+  const density = Object.fromEntries(keywordList.map((k) => [
+    k,
+    wordCount ? round1((countMatches(bodyText, k) * k.split(/\s+/).length / wordCount) * 100) : 0
+  ]));
+  const primaryDensity = primary ? density[primary] : 0;
+  checks.push(check('keyword_density', 'Keyword density', rangeScore(primaryDensity, DENSITY_RANGE, 0, 5), {
+    applicable: !!primary && wordCount > 0,
+    value: density,
+    target: `${DENSITY_RANGE[0]}–${DENSITY_RANGE[1]}% for the primary keyword`,
+    message: !primary ? 'No target keyword given.'
+      : primaryDensity < DENSITY_RANGE[0] ? `"${primary}" makes up ${primaryDensity}% of the text; mention it a few more times.`
+        : primaryDensity > DENSITY_RANGE[1] ? `"${primary}" makes up ${primaryDensity}% of the text; this reads as keyword stuffing.`
+          : `"${primary}" density of ${primaryDensity}% is in range.`
+  }));
+
+  // Heading hierarchy: one H1, enough H2s, no skipped levels
+  const counts = { h1: 0, h2: 0, h3: 0, h4: 0, h5: 0, h6: 0 };
+  parsed.headings.forEach((h) => { counts[`h${h.level}`]++; });
+  const issues = [];
+  if (counts.h1 > 1) issues.push({ penalty: 40, text: `${counts.h1} H1 headings (use one)` });
+  const neededH2 = wordCount >= 600 ? 3 : wordCount >= 300 ? 2 : 0;
+  if (counts.h2 < neededH2) issues.push({ penalty: 30, text: `only ${counts.h2} H2 section(s) for ${wordCount} words (aim for ${neededH2}+)` });
+  let previousLevel = 1;
+  const skipped = [];
+  for (const h of parsed.headings) {
+    if (h.level > previousLevel + 1 && h.level > 1) skipped.push(`H${h.level} "${h.text}" follows H${previousLevel}`);
+    previousLevel = h.level;
+  }
+  if (skipped.length) issues.push({ penalty: Math.min(45, skipped.length * 15), text: `skipped levels: ${skipped.slice(0, 3).join('; ')}` });
+  checks.push(check('heading_hierarchy', 'Heading hierarchy', 100 - issues.reduce((sum, i) => sum + i.penalty, 0), {
+    value: counts,
+    target: 'One H1, H2 sections every ~200–300 words, H3 only under an H2',
+    message: issues.length ? `Fix: ${issues.map((i) => i.text).join('; ')}.` : 'Headings are well structured.'
+  }));
+
+  // Title and meta description length (what search results display without truncation)
+  checks.push(check('title_length', 'Title length', resolvedTitle ? rangeScore(resolvedTitle.length, TITLE_RANGE, 20, 90) : 0, {
+    value: resolvedTitle.length,
+    target: `${TITLE_RANGE[0]}–${TITLE_RANGE[1]} characters`,
+    message: !resolvedTitle ? 'The post has no title.'
+      : `Title is ${resolvedTitle.length} characters${rangeScore(resolvedTitle.length, TITLE_RANGE, 20, 90) === 100 ? '.' : `; search results show about ${TITLE_RANGE[1]}.`}`
+  }));
+  checks.push(check('meta_description_length', 'Meta description length', meta ? rangeScore(meta.length, META_RANGE, 70, 220) : 0, {
+    value: meta.length,
+    target: `${META_RANGE[0]}–${META_RANGE[1]} characters`,
+    message: !meta ? 'Add a meta description; search engines will otherwise pick a snippet.'
+      : `Meta description is ${meta.length} characters${rangeScore(meta.length, META_RANGE, 70, 220) === 100 ? '.' : `; aim for ${META_RANGE[0]}–${META_RANGE[1]}.`}`
+  }));
+
+  // Links: internal links spread authority across the site, external ones cite sources
+  const { internal, external } = classifyLinks(parsed.links, siteUrl);
+  checks.push(check('links', 'Internal and external links', Math.min(internal, 2) * 25 + Math.min(external, 1) * 50, {
+    value: { internal, external },
+    target: 'At least 2 internal links and 1 external source',
+    message: internal >= 2 && external >= 1 ? `${internal} internal and ${external} external link(s).`
+      : `Add ${[internal < 2 ? `${2 - internal} internal link(s)` : null, external < 1 ? 'an external source link' : null].filter(Boolean).join(' and ')}.`
+  }));
+
+  const withAlt = parsed.images.filter((image) => image.alt).length;
+  checks.push(check('image_alt_text', 'Image alt text', parsed.images.length ? (withAlt / parsed.images.length) * 100 : 0, {
+    applicable: parsed.images.length > 0,
+    value: { images: parsed.images.length, with_alt: withAlt },
+    target: 'Every image has descriptive alt text',
+    message: !parsed.images.length ? 'No images.'
+      : withAlt === parsed.images.length ? 'All images have alt text.'
+        : `${parsed.images.length - withAlt} of ${parsed.images.length} image(s) have no alt text.`
+  }));
+
+  const paragraphWords = parsed.paragraphs.map((p) => words(p).length);
+  const longParagraphs = paragraphWords.filter((n) => n > LONG_PARAGRAPH_WORDS).length;
+  const averageParagraph = paragraphWords.length ? round1(paragraphWords.reduce((a, b) => a + b, 0) / paragraphWords.length) : 0;
+  checks.push(check('paragraph_length', 'Paragraph length', paragraphWords.length ? (1 - longParagraphs / paragraphWords.length) * 100 : 0, {
+    applicable: paragraphWords.length > 0,
+    value: { average_words: averageParagraph, long_paragraphs: longParagraphs },
+    target: `Paragraphs under ${LONG_PARAGRAPH_WORDS} words`,
+    message: longParagraphs ? `${longParagraphs} paragraph(s) run over ${LONG_PARAGRAPH_WORDS} words; split them.` : `Paragraphs average ${averageParagraph} words.`
+  }));
+
+  const applicable = checks.filter((c) => c.applicable);
+  const totalWeight = applicable.reduce((sum, c) => sum + c.weight, 0);
+  const score = totalWeight ? Math.round(applicable.reduce((sum, c) => sum + c.score * c.weight, 0) / totalWeight) : 0;
+  const recommendations = applicable
+    .filter((c) => !c.passed)
+    .sort((a, b) => (100 - b.score) * b.weight - (100 - a.score) * a.weight || a.id.localeCompare(b.id))
+    .map((c) => c.message);
+
+  return {
+    version: SEO_SCORER_VERSION,
+    score,
+    checks,
+    metrics: {
+      word_count: wordCount,
+      sentence_count: sentenceCount,
+      paragraph_count: paragraphWords.length,
+      flesch_reading_ease: readingEase,
+      grade_level: gradeLevel,
+      average_sentence_words: round1(wordsPerSentence),
+      average_paragraph_words: averageParagraph,
+      headings: counts,
+      title_length: resolvedTitle.length,
+      meta_description_length: meta.length,
+      keyword_density: density,
+      internal_links: internal,
+      external_links: external,
+      images: parsed.images.length,
+      images_with_alt: withAlt
+    },
+    recommendations
+  };
+}
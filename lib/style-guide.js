@@ -0,0 +1,248 @@
+/**
+ * Organization style guide: hard wording and punctuation rules a team states explicitly ("never say 'utilize'",
+ * "always write 'e-commerce'"), as opposed to the voice inferred from samples. Stored as the 'style_guide' manual
+ * input; see services/style-guide.js for loading it and linting posts.
+ *
+ * lintContent reports violations with their offsets and line/column. applyStyleFixes applies the mechanical ones
+ * (term replacements, exclamation marks in headings); list commas and mentions are reported only. Code, link
+ * targets, URLs, HTML tags and embed placeholders are never linted or rewritten.
+ */
+import { ValidationError } from './errors.js';
+
+export const STYLE_RULE_TYPES = Object.freeze(['avoid_term', 'prefer_term', 'forbidden_mention', 'no_heading_exclamation', 'oxford_comma']);
+
+const MAX_RULES = 100;
+const MAX_TERMS_PER_RULE = 50;
+const MAX_TERM_LENGTH = 100;
+const MAX_MESSAGE_LENGTH = 200;
+const SEVERITIES = ['error', 'warning'];
+
+const WORD_CHAR = '[\\p{L}\\p{N}_]';
+const LIST_ITEM = "[\\p{L}\\p{N}_'’-]+(?: [\\p{L}\\p{N}_'’-]+){0,2}"; // one to three words
+
+const PROTECTED_PATTERNS = [
+  /```[\s\S]*?(?:```|$)/g, // fenced code
+  /`[^`\n]+`/g, // inline code
+  /!?\[(?:IMAGE|CHART|TWEET|ARTICLE|VIDEO):[^\]]*\]/g, // embed placeholders
+  /\]\([^)]*\)/g, // link and image targets (the link text is still linted)
+  /<[^>\n]+>/g, // HTML tags
+  /https?:\/\/[^\s)<>"\]]+/g // bare URLs
+];
+
+const invalid = (details) => new ValidationError('Invalid style guide', details);
+
+function parseTermList(value, field, label) {
+  if (!Array.isArray(value) || value.length === 0 || value.length > MAX_TERMS_PER_RULE) {
+    throw invalid(`${label}: ${field} must be a list of 1–${MAX_TERMS_PER_RULE} phrases`);
+  }
+  return value.map((term) => {
+    const trimmed = typeof term === 'string' ? term.trim().replace(/\s+/g, ' ') : '';
+    if (!trimmed || trimmed.length > MAX_TERM_LENGTH) {
+      throw invalid(`${label}: every entry of ${field} must be a phrase of at most ${MAX_TERM_LENGTH} characters`);
+    }
+    return trimmed;
+  });
+}
+
+function parseOptionalText(value, field, label, maxLength) {
+  if (value === undefined || value === null) return null;
+  if (typeof value !== 'string' || !value.trim() || value.trim().length > maxLength) {
+    throw invalid(`${label}: ${field} must be a non-empty string of at most ${maxLength} characters`);
+  }
+  return value.trim();
+}
+
+/**
+ * Validate a style guide as submitted by the client.
+ * Rules: avoid_term { terms, replacement? }, prefer_term { term, variants }, forbidden_mention { names },
+ * no_heading_exclamation, oxford_comma. Every rule may set id, severity ('error' | 'warning') and message.
+ * @returns {{ rules: object[] }}
+ * @throws {ValidationError}
+ */
+export function normalizeStyleGuide(input) {
+  if (!input || typeof input !== 'object' || !Array.isArray(input.rules)) {
+    throw invalid('A style guide is an object with a rules list');
+  }
+  if (input.rules.length > MAX_RULES) throw invalid(`A style guide can have at most ${MAX_RULES} rules`);
+
+  const ids = new Set();
+  const rules = input.rules.map((raw, index) => {
+    const label = `Rule ${index + 1}`;
+    if (!raw || typeof raw !== 'object' || !STYLE_RULE_TYPES.includes(raw.type)) {
+      throw invalid(`${label}: type must be one of: ${STYLE_RULE_TYPES.join(', ')}`);
+    }
+    const id = raw.id === undefined || raw.id === null ? `${raw.type}-${index + 1}` : raw.id;
+    if (typeof id !== 'string' || !/^[\w-]{1,50}$/.test(id)) throw invalid(`${label}: id must be 1–50 letters, digits, _ or -`);
+    if (ids.has(id)) throw invalid(`${label}: id "${id}" is used twice`);
+    ids.add(id);
+
+    const severity = raw.severity ?? (raw.type === 'forbidden_mention' ? 'error' : 'warning');
+    if (!SEVERITIES.includes(severity)) throw invalid(`${label}: severity must be error or warning`);
+
+    const rule = { id, type: raw.type, severity, message: parseOptionalText(raw.message, 'message', label, MAX_MESSAGE_LENGTH) };
+    if (raw.type === 'avoid_term') {
+      rule.terms = parseTermList(raw.terms, 'terms', label);
+      rule.replacement = parseOptionalText(raw.replacement, 'replacement', label, MAX_TERM_LENGTH);
+    } else if (raw.type === 'prefer_term') {
+      rule.term = parseOptionalText(raw.term, 'term', label, MAX_TERM_LENGTH);
+      if (!rule.term) throw invalid(`${label}: term is required`);
+      rule.variants = parseTermList(raw.variants, 'variants', label);
+      if (rule.variants.some((v) => v.toLowerCase() === rule.term.toLowerCase())) {
+        throw invalid(`${label}: variants must differ from the term by more than capitalization`);
+      }
+    } else if (raw.type === 'forbidden_mention') {
+      rule.names = parseTermList(raw.names, 'names', label);
+    }
+    return rule;
+  });
+  return { rules };
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/** Whole-phrase, case-insensitive matcher; any run of whitespace matches a space in the phrase. */
+function phraseRegExp(phrase) {
+  const body = phrase.split(' ').map(escapeRegExp).join('\\s+');
+  return new RegExp(`(?<!${WORD_CHAR})${body}(?!${WORD_CHAR})`, 'giu');
+}
+
+/** Keep a capitalized match capitalized ("Utilize" → "Use"). */
+function matchCase(replacement, match) {
+  const first = match.charAt(0);
+  if (first && first !== first.toLowerCase() && first === first.toUpperCase()) {
+    return replacement.charAt(0).toUpperCase() + replacement.slice(1);
+  }
+  return replacement;
+}
+
+function findProtectedRanges(content) {
+  const ranges = [];
+  for (const pattern of PROTECTED_PATTERNS) {
+    for (const m of content.matchAll(pattern)) ranges.push([m.index, m.index + m[0].length]);
+  }
+  return ranges;
+}
+
+function findHeadings(content) {
+  return [...content.matchAll(/^(#{1,6})[ \t]+(.*)$/gm)].map((m) => ({
+    start: m.index + m[0].length - m[2].length,
+    text: m[2]
+  }));
+}
+
+function lineStarts(content) {
+  const starts = [0];
+  for (let i = 0; i < content.length; i++) if (content[i] === '\n') starts.push(i + 1);
+  return starts;
+}
+
+/**
+ * Lint content against a style guide.
+ * @param {string} content - markdown
+ * @param {{ rules: object[] }|null} styleGuide - normalized (see normalizeStyleGuide)
+ * @returns {Array<{ rule_id: string, type: string, severity: string, message: string, match: string, start: number, end: number, line: number, column: number, fix: string|null }>}
+ *   sorted by position; `fix` replaces content.slice(start, end) when the violation can be fixed automatically
+ */
+export function lintContent(content, styleGuide) {
+  const text = typeof content === 'string' ? content : '';
+  const rules = styleGuide?.rules || [];
+  if (!text || rules.length === 0) return [];
+
+  const protectedRanges = findProtectedRanges(text);
+  const isProtected = (start, end) => protectedRanges.some(([s, e]) => start < e && end > s);
+  const headings = findHeadings(text);
+  const isInHeading = (offset) => headings.some((h) => offset >= h.start && offset < h.start + h.text.length);
+
+  const violations = [];
+  const report = (rule, start, end, message, fix = null) => {
+    if (isProtected(start, end)) return;
+    violations.push({ rule_id: rule.id, type: rule.type, severity: rule.severity, message: rule.message || message, match: text.slice(start, end), start, end, fix });
+  };
+
+  for (const rule of rules) {
+    if (rule.type === 'avoid_term') {
+      for (const term of rule.terms) {
+        for (const m of text.matchAll(phraseRegExp(term))) {
+          const fix = rule.replacement ? matchCase(rule.replacement, m[0]) : null;
+          report(rule, m.index, m.index + m[0].length, `Avoid "${m[0]}"${fix ? `; write "${fix}"` : ''}`, fix);
+        }
+      }
+    } else if (rule.type === 'prefer_term') {
+      for (const variant of rule.variants) {
+        for (const m of text.matchAll(phraseRegExp(variant))) {
+          const fix = matchCase(rule.term, m[0]);
+          report(rule, m.index, m.index + m[0].length, `Write "${fix}" instead of "${m[0]}"`, fix);
+        }
+      }
+    } else if (rule.type === 'forbidden_mention') {
+      for (const name of rule.names) {
+        for (const m of text.matchAll(phraseRegExp(name))) {
+          report(rule, m.index, m.index + m[0].length, `Do not mention "${m[0]}"`);
+        }
+      }
+    } else if (rule.type === 'no_heading_exclamation') {
+      for (const heading of headings) {
+        // "!" not starting an image; a trailing run is dropped, one inside the heading becomes a full stop
+        for (const m of heading.text.matchAll(/[ \t]*!+(?!\[)/g)) {
+          const atEnd = !heading.text.slice(m.index + m[0].length).trim();
+          const start = heading.start + m.index;
+          report(rule, start, start + m[0].length, 'No exclamation marks in headings', atEnd ? '' : '.');
+        }
+      }
+    } else if (rule.type === 'oxford_comma') {
+      const list = new RegExp(`(?<!${WORD_CHAR})${LIST_ITEM}, (${LIST_ITEM}) (and|or) (?=${WORD_CHAR})`, 'gu');
+      for (const m of text.matchAll(list)) {
+        if (isInHeading(m.index) || /\b(?:and|or)\b/i.test(m[1])) continue;
+        const start = m.index + m[0].length - m[1].length - m[2].length - 2;
+        report(rule, start, start + m[1].length + 1 + m[2].length, `Add a serial (Oxford) comma before "${m[2]}"`);
+      }
+    }
+  }
+
+  const starts = lineStarts(text);
+  return violations
+    .sort((a, b) => a.start - b.start || a.end - b.end)
+    .map((v) => {
+      let line = starts.length - 1;
+      while (starts[line] > v.start) line--;
+      return { ...v, line: line + 1, column: v.start - starts[line] + 1 };
+    });
+}
+
+/**
+ * Apply every automatic fix. Overlapping fixes keep the first one; the rest are reported again in `remaining`.
+ * @returns {{ content: string, fixed: object[], remaining: object[] }}
+ */
+export function applyStyleFixes(content, styleGuide) {
+  const text = typeof content === 'string' ? content : '';
+  const fixed = [];
+  let end = -1;
+  for (const violation of lintContent(text, styleGuide)) {
+    if (violation.fix === null || violation.start < end) continue;
+    fixed.push(violation);
+    end = violation.end;
+  }
+  let result = text;
+  for (const violation of [...fixed].reverse()) {
+    result = result.slice(0, violation.start) + violation.fix + result.slice(violation.end);
+  }
+  return { content: result, fixed, remaining: lintContent(result, styleGuide) };
+}
+
+/**
+ * Style guide as a prompt section so the model follows the rules in the first place, or null without rules.
+ */
+export function describeStyleGuide(styleGuide) {
+  const lines = (styleGuide?.rules || []).map((rule) => {
+    if (rule.type === 'avoid_term') {
+      return `- Never use ${rule.terms.map((t) => `"${t}"`).join(', ')}${rule.replacement ? `; write "${rule.replacement}" instead` : ''}.`;
+    }
+    if (rule.type === 'prefer_term') return `- Always write "${rule.term}" (not ${rule.variants.map((v) => `"${v}"`).join(', ')}).`;
+    if (rule.type === 'forbidden_mention') return `- Never mention ${rule.names.map((n) => `"${n}"`).join(', ')}.`;
+    if (rule.type === 'no_heading_exclamation') return '- No exclamation marks in the title or headings.';
+    return '- Use the serial (Oxford) comma in lists of three or more.';
+  });
+  return lines.length ? `STYLE GUIDE (hard rules from the team — follow them exactly):\n${lines.join('\n')}` : null;
+}
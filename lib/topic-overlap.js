@@ -0,0 +1,216 @@
+/**
+ * Duplicate topic and keyword cannibalization detection over an organization's content items (posts, scraped pages,
+ * content calendar ideas). Two items overlap when their topics are near duplicates (TF-IDF cosine of title, keywords
+ * and description) or when they target the same primary keyword. Overlapping items are grouped into clusters with
+ * suggested merge / redirect / differentiate actions. Loading the items is in services/topic-overlap.js.
+ */
+import { tokenize } from './relevance-index.js';
+
+/** Cosine similarity at or above which two topics count as near duplicates. */
+export const DUPLICATE_SIMILARITY = 0.6;
+
+const TITLE_WEIGHT = 2;
+
+/**
+ * Comparable form of a keyword: its index terms, sorted ("Email marketing tips" = "tips for email marketing").
+ * @returns {string|null}
+ */
+export function keywordKey(keyword) {
+  if (typeof keyword !== 'string') return null;
+  const terms = [...new Set(tokenize(keyword))].sort();
+  return terms.length ? terms.join(' ') : null;
+}
+
+function termCounts(item, titleOnly = false) {
+  const counts = new Map();
+  const add = (text, weight) => {
+    for (const term of tokenize(text)) counts.set(term, (counts.get(term) || 0) + weight);
+  };
+  add(item.title, TITLE_WEIGHT);
+  if (titleOnly) return counts;
+  add((item.keywords || []).join(' '), 1);
+  add(item.description, 1);
+  return counts;
+}
+
+/** TF-IDF vectors (unit length), document frequencies taken over the same items. */
+function tfidfVectors(counts) {
+  const documentFrequency = new Map();
+  for (const c of counts) for (const term of c.keys()) documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+
+  return counts.map((c) => {
+    const vector = new Map();
+    let norm = 0;
+    for (const [term, count] of c) {
+      const weight = count * Math.log(1 + counts.length / documentFrequency.get(term));
+      vector.set(term, weight);
+      norm += weight * weight;
+    }
+    norm = Math.sqrt(norm) || 1;
+    for (const [term, weight] of vector) vector.set(term, weight / norm);
+    return vector;
+  });
+}
+
+/**
+ * Title vector and whole-topic vector (title, keywords, description) of every item. Titles are compared on their
+ * own too, so a scraped page without keywords still matches a post with the same title.
+ * @returns {Map<object, { title: Map<string, number>, topic: Map<string, number> }>}
+ */
+function buildVectors(items) {
+  const titles = tfidfVectors(items.map((item) => termCounts(item, true)));
+  const topics = tfidfVectors(items.map((item) => termCounts(item)));
+  return new Map(items.map((item, i) => [item, { title: titles[i], topic: topics[i] }]));
+}
+
+function cosine(a, b) {
+  const [small, large] = a.size <= b.size ? [a, b] : [b, a];
+  let dot = 0;
+  for (const [term, weight] of small) dot += weight * (large.get(term) || 0);
+  return dot;
+}
+
+function compare(a, b, vectors) {
+  const [va, vb] = [vectors.get(a), vectors.get(b)];
+  const similarity = Math.round(Math.max(cosine(va.title, vb.title), cosine(va.topic, vb.topic)) * 1000) / 1000;
+  const reasons = [];
+  if (similarity >= DUPLICATE_SIMILARITY) reasons.push('near_duplicate_topic');
+  const keyword = keywordKey(a.primary_keyword);
+  if (keyword && keyword === keywordKey(b.primary_keyword)) reasons.push('same_primary_keyword');
+  return { similarity, reasons };
+}
+
+const isLive = (item) => !!item.url && (item.type === 'website_page' || item.status === 'published');
+
+/** The item the others should consolidate into: live before unpublished, then the most substantial, then the oldest. */
+function pickCanonical(items) {
+  return [...items].sort((a, b) =>
+    Number(isLive(b)) - Number(isLive(a)) ||
+    Number(a.type === 'calendar_item') - Number(b.type === 'calendar_item') ||
+    (b.word_count || 0) - (a.word_count || 0) ||
+    String(a.created_at || '').localeCompare(String(b.created_at || '')) ||
+    String(a.id).localeCompare(String(b.id))
+  )[0];
+}
+
+const label = (item) => `"${item.title || item.url || item.id}"`;
+const ref = (item) => ({ type: item.type, id: item.id });
+
+/**
+ * Suggested actions for the items of a cluster other than its canonical one.
+ * - live near duplicate: merge into the canonical item and 301-redirect its URL
+ * - unpublished near duplicate (draft post): merge into the canonical item instead of publishing it
+ * - planned near duplicate (calendar idea), or same keyword only: differentiate (another angle / primary keyword)
+ */
+export function suggestActions(canonical, others, pairs) {
+  const actions = [];
+  for (const item of others) {
+    const { similarity, reasons } = pairs(item, canonical);
+    const duplicate = reasons.includes('near_duplicate_topic');
+    if (duplicate && item.type !== 'calendar_item') {
+      actions.push({
+        action: 'merge',
+        item: ref(item),
+        into: ref(canonical),
+        detail: `Merge anything unique in ${label(item)} into ${label(canonical)}${isLive(item) ? '' : ' instead of publishing it separately'}.`
+      });
+      if (isLive(item) && canonical.url) {
+        actions.push({ action: 'redirect', item: ref(item), from: item.url, to: canonical.url, detail: `301-redirect ${item.url} to ${canonical.url} after merging.` });
+      }
+    } else {
+      const keyword = item.primary_keyword || canonical.primary_keyword;
+      actions.push({
+        action: 'differentiate',
+        item: ref(item),
+        into: null,
+        detail: duplicate
+          ? `${label(item)} repeats ${label(canonical)} (similarity ${similarity}); give it a distinct angle or audience, or update ${label(canonical)} instead.`
+          : `${label(item)} competes with ${label(canonical)} for "${keyword}"; retarget it to a different primary keyword or a narrower intent.`
+      });
+    }
+  }
+  return actions;
+}
+
+/**
+ * Group overlapping items into cannibalization clusters.
+ * @param {Array<{ type: string, id: string, title?: string, description?: string, keywords?: string[], primary_keyword?: string|null, url?: string|null, status?: string, word_count?: number, created_at?: string }>} items
+ * @returns {Array<{ id: string, reasons: string[], primary_keyword: string|null, similarity: number, canonical: object, items: object[], actions: object[] }>}
+ *   clusters with more live items first, then by similarity
+ */
+export function findClusters(items) {
+  const vectors = buildVectors(items);
+  const parent = items.map((_, i) => i);
+  const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+  const edges = [];
+
+  for (let i = 0; i < items.length; i++) {
+    for (let j = i + 1; j < items.length; j++) {
+      const result = compare(items[i], items[j], vectors);
+      if (result.reasons.length === 0) continue;
+      edges.push({ i, j, ...result });
+      parent[find(i)] = find(j);
+    }
+  }
+
+  const groups = new Map();
+  items.forEach((item, i) => {
+    const root = find(i);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(i);
+  });
+
+  const pairs = (a, b) => compare(a, b, vectors);
+  return [...groups.values()]
+    .filter((members) => members.length > 1)
+    .map((members) => {
+      const memberSet = new Set(members);
+      const clusterEdges = edges.filter((e) => memberSet.has(e.i));
+      const clusterItems = members.map((i) => items[i]);
+      const canonical = pickCanonical(clusterItems);
+      const keywordCounts = new Map();
+      for (const item of [canonical, ...clusterItems.filter((i) => i !== canonical)]) {
+        const key = keywordKey(item.primary_keyword);
+        if (!key) continue;
+        const entry = keywordCounts.get(key) || { keyword: item.primary_keyword, count: 0 };
+        keywordCounts.set(key, { ...entry, count: entry.count + 1 });
+      }
+      const topKeyword = [...keywordCounts.values()].sort((a, b) => b.count - a.count)[0];
+      return {
+        id: `${canonical.type}:${canonical.id}`,
+        reasons: [...new Set(clusterEdges.flatMap((e) => e.reasons))].sort(),
+        primary_keyword: topKeyword && topKeyword.count > 1 ? topKeyword.keyword : null,
+        similarity: Math.max(...clusterEdges.map((e) => e.similarity)),
+        canonical: ref(canonical),
+        items: clusterItems.map((item) => ({ ...item, live: isLive(item) })),
+        actions: suggestActions(canonical, clusterItems.filter((item) => item !== canonical), pairs)
+      };
+    })
+    .sort((a, b) =>
+      b.items.filter((i) => i.live).length - a.items.filter((i) => i.live).length ||
+      b.similarity - a.similarity ||
+      a.id.localeCompare(b.id)
+    );
+}
+
+/**
+ * Existing items a planned topic would duplicate or compete with, most similar first.
+ * @param {object[]} items - existing items (see findClusters)
+ * @param {{ title: string, keywords?: string[], description?: string }} topic - the first keyword is the primary one
+ * @returns {Array<{ item: object, similarity: number, reasons: string[] }>}
+ */
+export function findConflicts(items, topic) {
+  const candidate = {
+    type: 'candidate',
+    id: 'candidate',
+    title: topic.title,
+    description: topic.description,
+    keywords: topic.keywords || [],
+    primary_keyword: topic.keywords?.[0] || null
+  };
+  const vectors = buildVectors([...items, candidate]);
+  return items
+    .map((item) => ({ item: { ...item, live: isLive(item) }, ...compare(candidate, item, vectors) }))
+    .filter((c) => c.reasons.length > 0)
+    .sort((a, b) => b.similarity - a.similarity || String(a.item.id).localeCompare(String(b.item.id)));
+}
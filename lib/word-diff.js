@@ -0,0 +1,111 @@
+/**
+ * Word-level diff of two texts (Myers' O(ND) algorithm over word and whitespace tokens).
+ * Used for post revision comparisons (services/post-revisions.js).
+ */
+
+/** Edit distance beyond which the differing middle is reported as one delete + one insert. */
+const MAX_EDIT_DISTANCE = 2000;
+
+function tokenize(text) {
+  return String(text ?? '').match(/\s+|[^\s]+/g) || [];
+}
+
+function countWords(tokens) {
+  return tokens.filter((token) => /\S/.test(token)).length;
+}
+
+/**
+ * Shortest edit script between token arrays.
+ * @returns {Array<['equal'|'insert'|'delete', string]>|null} null when the edit distance exceeds MAX_EDIT_DISTANCE
+ */
+function myers(a, b) {
+  const n = a.length;
+  const m = b.length;
+  const max = Math.min(n + m, MAX_EDIT_DISTANCE);
+  const offset = n + m + 1;
+  const v = new Int32Array(2 * offset + 1);
+  // trace[d] holds v for diagonals -d-1..d+1 as it was before step d
+  const trace = [];
+  for (let d = 0; d <= max; d++) {
+    trace.push(v.slice(offset - d - 1, offset + d + 2));
+    for (let k = -d; k <= d; k += 2) {
+      let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]) ? v[offset + k + 1] : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+      if (x >= n && y >= m) return backtrack(trace, a, b);
+    }
+  }
+  return null;
+}
+
+function backtrack(trace, a, b) {
+  const ops = [];
+  let x = a.length;
+  let y = b.length;
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const at = (k) => trace[d][k + d + 1];
+    const k = x - y;
+    const prevK = k === -d || (k !== d && at(k - 1) < at(k + 1)) ? k + 1 : k - 1;
+    const prevX = at(prevK);
+    const prevY = prevX - prevK;
+    while (x > prevX && y > prevY) {
+      ops.push(['equal', a[--x]]);
+      y--;
+    }
+    if (d > 0) {
+      if (x === prevX) ops.push(['insert', b[--y]]);
+      else ops.push(['delete', a[--x]]);
+    }
+    x = prevX;
+    y = prevY;
+  }
+  return ops.reverse();
+}
+
+/**
+ * Word-level diff. Adjacent tokens with the same type are merged into one segment.
+ * @param {string} before
+ * @param {string} after
+ * @returns {{ segments: Array<{ type: 'equal'|'insert'|'delete', text: string }>, words_added: number, words_removed: number }}
+ */
+export function diffWords(before, after) {
+  const a = tokenize(before);
+  const b = tokenize(after);
+
+  // Common prefix and suffix are matched directly; only the middle goes through Myers
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+  const middleA = a.slice(start, endA);
+  const middleB = b.slice(start, endB);
+  const middle = myers(middleA, middleB) || [
+    ...middleA.map((token) => ['delete', token]),
+    ...middleB.map((token) => ['insert', token])
+  ];
+  const ops = [
+    ...a.slice(0, start).map((token) => ['equal', token]),
+    ...middle,
+    ...a.slice(endA).map((token) => ['equal', token])
+  ];
+
+  const segments = [];
+  for (const [type, text] of ops) {
+    const last = segments[segments.length - 1];
+    if (last?.type === type) last.text += text;
+    else segments.push({ type, text });
+  }
+  return {
+    segments,
+    words_added: countWords(ops.filter(([type]) => type === 'insert').map(([, text]) => text)),
+    words_removed: countWords(ops.filter(([type]) => type === 'delete').map(([, text]) => text))
+  };
+}
@@ -5,7 +5,9 @@
 
 import express from 'express';
 import db from '../services/database.js';
-import { getConnection } from '../services/job-queue.js';
+import { discardDeadLetteredJobs, getConnection, requeueDeadLetteredJobs } from '../services/job-queue.js';
+import { getDeadLetteredJob, getJobAggregates, listAllJobs, listDeadLetteredJobs, parseJobFilters } from '../services/job-history.js';
+import { InvariantViolation, ServiceUnavailableError } from '../lib/errors.js';
 
 const router = express.Router();
 
@@ -159,34 +161,104 @@ router.get('/stats', async (req, res) => {
   }
 });
 
+/** 400 for invalid job filters or ids, 503 without a job queue, 500 otherwise. */
+function sendJobsError(res, err, label, fallback) {
+  if (err instanceof InvariantViolation) {
+    return res.status(err.statusCode || 400).json({ success: false, error: err.message });
+  }
+  if (err instanceof ServiceUnavailableError) {
+    return res.status(503).json({ success: false, error: err.message });
+  }
+  console.error(`Admin ${label} error:`, err);
+  return res.status(500).json({ success: false, error: err?.message || fallback });
+}
+
 /**
- * GET /api/v1/admin-panel/jobs/recent?limit=20
- * Recent jobs for the table.
+ * GET /api/v1/admin-panel/jobs/recent?limit=20&offset=0&type=&status=&from=&to=&userId=
+ * Recent jobs of all users for the table, newest first, with the same filters as GET /api/v1/jobs plus userId.
  */
 router.get('/jobs/recent', async (req, res) => {
   try {
-    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
-    const result = await db.query(
-      `SELECT id, type, status, progress, error, created_at, started_at, finished_at
-       FROM jobs
-       ORDER BY created_at DESC
-       LIMIT $1`,
-      [limit]
-    );
-    const jobs = (result.rows || []).map((row) => ({
-      id: row.id,
-      type: row.type,
-      status: row.status,
-      progress: row.progress,
-      error: row.error ? String(row.error).slice(0, 200) : null,
-      createdAt: row.created_at,
-      startedAt: row.started_at,
-      finishedAt: row.finished_at
-    }));
-    res.json({ success: true, jobs });
+    const filters = parseJobFilters(req.query);
+    const { jobs, pagination } = await listAllJobs(filters);
+    res.json({
+      success: true,
+      jobs: jobs.map(({ jobId, error, ...job }) => ({
+        id: jobId,
+        ...job,
+        error: error ? String(error).slice(0, 200) : null
+      })),
+      pagination
+    });
+  } catch (err) {
+    sendJobsError(res, err, 'jobs/recent', 'Failed to load jobs');
+  }
+});
+
+/**
+ * GET /api/v1/admin-panel/jobs/aggregates?from=&to=&type=
+ * Throughput over time, failure rates by error_code and average duration per job type (default window: last 7 days).
+ */
+router.get('/jobs/aggregates', async (req, res) => {
+  try {
+    const { types, from, to } = parseJobFilters(req.query);
+    const aggregates = await getJobAggregates({ types, from, to });
+    res.json({ success: true, ...aggregates });
   } catch (err) {
-    console.error('Admin jobs/recent error:', err);
-    res.status(500).json({ success: false, error: err?.message || 'Failed to load jobs' });
+    sendJobsError(res, err, 'jobs/aggregates', 'Failed to load job aggregates');
+  }
+});
+
+/**
+ * GET /api/v1/admin-panel/jobs/dead-letter?limit=20&offset=0&type=&from=&to=&userId=
+ * Dead-lettered jobs (failed for good on an unexpected error, not discarded), most recent first.
+ */
+router.get('/jobs/dead-letter', async (req, res) => {
+  try {
+    const { jobs, pagination } = await listDeadLetteredJobs(parseJobFilters(req.query));
+    res.json({ success: true, jobs, pagination });
+  } catch (err) {
+    sendJobsError(res, err, 'jobs/dead-letter', 'Failed to load dead-lettered jobs');
+  }
+});
+
+/**
+ * GET /api/v1/admin-panel/jobs/dead-letter/:jobId
+ * One dead-lettered job with its input, error, error code, attempts and stack.
+ */
+router.get('/jobs/dead-letter/:jobId', async (req, res) => {
+  try {
+    const job = await getDeadLetteredJob(req.params.jobId);
+    if (!job) return res.status(404).json({ success: false, error: 'Dead-lettered job not found' });
+    res.json({ success: true, job });
+  } catch (err) {
+    sendJobsError(res, err, 'jobs/dead-letter/:jobId', 'Failed to load dead-lettered job');
+  }
+});
+
+/**
+ * POST /api/v1/admin-panel/jobs/dead-letter/requeue
+ * Body: { jobIds: string[] }. Requeues dead-lettered jobs with fresh attempts; other ids are returned as skipped.
+ */
+router.post('/jobs/dead-letter/requeue', async (req, res) => {
+  try {
+    const { requeued, skipped } = await requeueDeadLetteredJobs(req.body?.jobIds);
+    res.json({ success: true, requeued, skipped });
+  } catch (err) {
+    sendJobsError(res, err, 'jobs/dead-letter/requeue', 'Failed to requeue jobs');
+  }
+});
+
+/**
+ * POST /api/v1/admin-panel/jobs/dead-letter/discard
+ * Body: { jobIds: string[] }. Removes jobs from the dead-letter queue; they stay failed.
+ */
+router.post('/jobs/dead-letter/discard', async (req, res) => {
+  try {
+    const { discarded, skipped } = await discardDeadLetteredJobs(req.body?.jobIds);
+    res.json({ success: true, discarded, skipped });
+  } catch (err) {
+    sendJobsError(res, err, 'jobs/dead-letter/discard', 'Failed to discard jobs');
   }
 });
 
@@ -474,7 +546,9 @@ function adminPanelHtml() {
 
   <section>
     <h2>Recent jobs</h2>
-    <div class="row"><button class="btn-primary" id="load-recent-jobs">Load recent jobs</button></div>
+    <div class="row"><button class="btn-primary" id="load-recent-jobs">Load recent jobs</button><button class="btn-primary" id="load-job-aggregates">Job stats (7 days)</button><button class="btn-primary" id="load-dead-letter">Dead-lettered jobs</button></div>
+    <div id="job-aggregates"></div>
+    <div id="dead-letter-table"></div>
     <div id="recent-jobs-table"></div>
   </section>
 
@@ -691,6 +765,71 @@ function adminPanelHtml() {
       } catch (e) { tableEl.innerHTML = '<p class="msg error">Error: ' + e.message + '</p>'; }
     };
 
+    document.getElementById('load-job-aggregates').onclick = async () => {
+      const el = document.getElementById('job-aggregates');
+      el.innerHTML = 'Loading…';
+      try {
+        const r = await fetch(base + '/jobs/aggregates', opts('GET'));
+        checkAuth(r);
+        const data = await r.json();
+        if (!r.ok) { el.innerHTML = '<p class="msg error">' + (data.error || data.message || r.status) + '</p>'; return; }
+        const pct = function(x) { return (x * 100).toFixed(1) + '%'; };
+        let html = '<table><tr><th>Type</th><th>Total</th><th>Succeeded</th><th>Failed</th><th>Failure rate</th><th>Avg duration (s)</th></tr>';
+        data.byType.forEach(function(t) {
+          html += '<tr><td>' + t.type + '</td><td>' + t.total + '</td><td>' + t.succeeded + '</td><td>' + t.failed + '</td><td>' + pct(t.failureRate) + '</td><td>' + (t.avgDurationSeconds ?? '—') + '</td></tr>';
+        });
+        html += '</table>';
+        if (data.failures.length) {
+          html += '<table><tr><th>Error code</th><th>Failures</th><th>Share of failures</th></tr>';
+          data.failures.forEach(function(f) {
+            html += '<tr><td>' + f.errorCode + '</td><td>' + f.count + '</td><td>' + pct(f.shareOfFailures) + '</td></tr>';
+          });
+          html += '</table>';
+        }
+        el.innerHTML = html;
+      } catch (e) { el.innerHTML = '<p class="msg error">Error: ' + e.message + '</p>'; }
+    };
+
+    async function deadLetterAction(action, jobIds) {
+      const r = await fetch(base + '/jobs/dead-letter/' + action, { method: 'POST', headers: headers(), credentials: 'same-origin', body: JSON.stringify({ jobIds: jobIds }) });
+      checkAuth(r);
+      const data = await r.json();
+      if (!r.ok) throw new Error(data.error || r.status);
+      document.getElementById('load-dead-letter').click();
+    }
+
+    document.getElementById('load-dead-letter').onclick = async () => {
+      const el = document.getElementById('dead-letter-table');
+      el.innerHTML = 'Loading…';
+      try {
+        const r = await fetch(base + '/jobs/dead-letter?limit=50', opts('GET'));
+        checkAuth(r);
+        const data = await r.json();
+        if (!r.ok) { el.innerHTML = '<p class="msg error">' + (data.error || data.message || r.status) + '</p>'; return; }
+        if (!data.jobs || data.jobs.length === 0) { el.innerHTML = '<p style="color:#a1a1aa">No dead-lettered jobs.</p>'; return; }
+        let html = '<div class="row"><button class="btn-primary btn-sm" id="requeue-all-dead-letter">Requeue all ' + data.jobs.length + ' listed</button></div>';
+        html += '<table><tr><th>Type</th><th>Attempts</th><th>Dead-lettered</th><th>Error</th><th></th></tr>';
+        data.jobs.forEach(function(j) {
+          const err = (j.errorCode ? '[' + j.errorCode + '] ' : '') + (j.error || '');
+          html += '<tr><td>' + j.type + '</td><td>' + j.attempts + '</td><td>' + (j.deadLetteredAt || '—') + '</td><td><span title="' + err.replace(/"/g, '&quot;') + '">' + err.slice(0, 60) + (err.length > 60 ? '…' : '') + '</span></td>'
+            + '<td><button class="btn-primary btn-sm" data-action="requeue" data-job-id="' + j.jobId + '">Requeue</button> <button class="btn-danger btn-sm" data-action="discard" data-job-id="' + j.jobId + '">Discard</button></td></tr>';
+        });
+        html += '</table>';
+        el.innerHTML = html;
+        el.querySelectorAll('button[data-job-id]').forEach(function(btn) {
+          btn.onclick = async function() {
+            const action = btn.getAttribute('data-action');
+            if (action === 'discard' && !confirm('Discard this job from the dead-letter queue?')) return;
+            try { await deadLetterAction(action, [btn.getAttribute('data-job-id')]); } catch (e) { alert(e.message); }
+          };
+        });
+        document.getElementById('requeue-all-dead-letter').onclick = async function() {
+          if (!confirm('Requeue ' + data.jobs.length + ' dead-lettered jobs?')) return;
+          try { await deadLetterAction('requeue', data.jobs.map(function(j) { return j.jobId; })); } catch (e) { alert(e.message); }
+        };
+      } catch (e) { el.innerHTML = '<p class="msg error">Error: ' + e.message + '</p>'; }
+    };
+
     document.getElementById('view-cache').onclick = async () => {
       const url = document.getElementById('cache-url').value.trim();
       if (!url) { showCacheMsg('Enter a URL', 'error'); return; }
@@ -2,6 +2,8 @@ import express from 'express';
 import multer from 'multer';
 import db from '../services/database.js';
 import { v4 as uuidv4 } from 'uuid';
+import { toHttpResponse } from '../lib/errors.js';
+import { IMPORT_FORMATS, decodeText, fetchFeed, importItems, parseFeed, parseImportFile } from '../services/content-importers.js';
 
 const router = express.Router();
 
@@ -35,6 +37,25 @@ const upload = multer({
   }
 });
 
+// Blog platform exports for the importers (WXR / feed XML, Ghost JSON, Medium zip)
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 50 * 1024 * 1024, // 50MB limit
+    files: 10 // Maximum 10 files
+  },
+  fileFilter: (req, file, cb) => {
+    const allowedExtensions = ['.xml', '.rss', '.atom', '.json', '.zip'];
+    const fileExtension = file.originalname.toLowerCase().substring(file.originalname.lastIndexOf('.'));
+
+    if (allowedExtensions.includes(fileExtension)) {
+      cb(null, true);
+    } else {
+      cb(new Error('File type not supported. Please upload a WordPress export (.xml), Ghost export (.json), Medium export (.zip) or RSS/Atom feed (.xml).'));
+    }
+  }
+});
+
 // Extract user context helper
 const extractUserContext = (req) => {
   if (req.user?.userId) {
@@ -231,7 +252,7 @@ router.post('/blog-export', upload.array('files', 10), async (req, res) => {
       try {
         console.log(`📄 Processing file: ${file.originalname} (${file.size} bytes)`);
         
-        const fileContent = file.buffer.toString('utf8');
+        const fileContent = decodeText(file.buffer);
         const extractedContent = await extractContentFromFile(file.originalname, fileContent);
         
         if (extractedContent.posts && extractedContent.posts.length > 0) {
@@ -341,6 +362,164 @@ router.post('/blog-export', upload.array('files', 10), async (req, res) => {
   }
 });
 
+/** Verify the authenticated user owns the organization. */
+async function ownsOrganization(organizationId, userId) {
+  const orgCheck = await db.query(
+    'SELECT id FROM organizations WHERE id = $1 AND owner_user_id = $2',
+    [organizationId, userId]
+  );
+  return orgCheck.rows.length > 0;
+}
+
+/** Record an import in manual_content_uploads (best effort, like the other upload routes). */
+async function recordImport(organizationId, userId, { fileName, fileSize, format, summary }) {
+  try {
+    await db.query(`
+      INSERT INTO manual_content_uploads (
+        organization_id, upload_type, file_name, file_size, file_type,
+        processed_content, processing_status, posts_extracted,
+        uploaded_by, processed_at, integrated_with_analysis
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, NOW(), true)
+    `, [
+      organizationId,
+      'content_export',
+      fileName,
+      fileSize,
+      format,
+      JSON.stringify({ summary }),
+      summary.imported > 0 || summary.total === 0 ? 'completed' : 'failed',
+      summary.imported,
+      userId
+    ]);
+  } catch (uploadRecordError) {
+    console.warn('Could not record import:', uploadRecordError.message);
+  }
+}
+
+function sendImportError(res, error, fallback) {
+  const { statusCode, body } = toHttpResponse(error);
+  if (statusCode === 500) {
+    console.error(`${fallback}:`, error);
+    return res.status(500).json({ success: false, error: fallback, message: error.message });
+  }
+  res.status(statusCode).json({ success: false, ...body });
+}
+
+/**
+ * POST /api/v1/content-upload/import
+ * Import WordPress WXR, Ghost JSON, Medium export zip or RSS/Atom feed files into website_pages.
+ * Multipart: files[], organizationId, format (optional, detected from content), site_url (Ghost exports carry no URLs).
+ * Published items only; URLs the organization already has are reported as duplicates.
+ */
+router.post('/import', importUpload.array('files', 10), async (req, res) => {
+  try {
+    const userContext = extractUserContext(req);
+    if (!userContext.isAuthenticated) {
+      return res.status(401).json({
+        success: false,
+        error: 'Authentication required'
+      });
+    }
+
+    const { organizationId, format = null, site_url: siteUrl = null } = req.body;
+    const files = req.files;
+
+    if (!files || files.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'No files uploaded'
+      });
+    }
+    if (format && !IMPORT_FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid format',
+        message: `format must be one of: ${IMPORT_FORMATS.join(', ')}`
+      });
+    }
+
+    if (!(await ownsOrganization(organizationId, userContext.userId))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Organization not found or access denied'
+      });
+    }
+
+    const reports = [];
+    for (const file of files) {
+      try {
+        const parsed = await parseImportFile(file.buffer, file.originalname, { format, siteUrl });
+        const { results, summary } = await importItems(organizationId, parsed.items, { source: parsed.format });
+        reports.push({ filename: file.originalname, format: parsed.format, success: true, results, summary });
+        await recordImport(organizationId, userContext.userId, { fileName: file.originalname, fileSize: file.size, format: parsed.format, summary });
+        console.log(`📥 Imported ${summary.imported}/${summary.total} items from ${file.originalname} (${parsed.format})`);
+      } catch (fileError) {
+        const { statusCode, body } = toHttpResponse(fileError);
+        if (statusCode === 500) console.error(`Error importing file ${file.originalname}:`, fileError);
+        reports.push({ filename: file.originalname, format: null, success: false, error: body.message, results: [], summary: null });
+      }
+    }
+
+    const total = (key) => reports.reduce((sum, report) => sum + (report.summary?.[key] || 0), 0);
+    res.json({
+      success: reports.some((report) => report.success),
+      files: reports,
+      summary: {
+        filesProcessed: files.length,
+        total: total('total'),
+        imported: total('imported'),
+        duplicates: total('duplicates'),
+        skipped: total('skipped'),
+        failed: total('failed')
+      }
+    });
+  } catch (error) {
+    sendImportError(res, error, 'Failed to import files');
+  }
+});
+
+/**
+ * POST /api/v1/content-upload/import-feed
+ * Import the items of an RSS or Atom feed into website_pages.
+ * Body: { organizationId, feedUrl } - feeds on non-public hosts are refused; any fetch failure is a 502
+ * "Could not fetch feed".
+ */
+router.post('/import-feed', async (req, res) => {
+  try {
+    const userContext = extractUserContext(req);
+    if (!userContext.isAuthenticated) {
+      return res.status(401).json({
+        success: false,
+        error: 'Authentication required'
+      });
+    }
+
+    const { organizationId, feedUrl } = req.body || {};
+    if (!feedUrl || typeof feedUrl !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'feedUrl is required'
+      });
+    }
+
+    if (!(await ownsOrganization(organizationId, userContext.userId))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Organization not found or access denied'
+      });
+    }
+
+    const items = parseFeed(decodeText(await fetchFeed(feedUrl)));
+    const { results, summary } = await importItems(organizationId, items, { source: 'feed' });
+    await recordImport(organizationId, userContext.userId, { fileName: feedUrl.slice(0, 255), fileSize: null, format: 'feed', summary });
+    console.log(`📥 Imported ${summary.imported}/${summary.total} feed items from ${feedUrl}`);
+
+    res.json({ success: true, format: 'feed', results, summary });
+  } catch (error) {
+    sendImportError(res, error, 'Failed to import feed');
+  }
+});
+
 /**
  * Extract content from various file formats
  */
@@ -3,6 +3,7 @@ import enhancedBlogGenerationService from '../services/enhanced-blog-generation.
 import billingService from '../services/billing.js';
 import { waitUntil } from '@vercel/functions';
 import { COOKIE_NAMES } from '../lib/auth-cookies.js';
+import postOutlineRoutes from './post-outlines.js';
 
 // Mock SEO analysis service for now
 const seoAnalysisService = {
@@ -32,6 +33,9 @@ const seoAnalysisService = {
 
 const router = express.Router();
 
+// Outline-first generation: outline → edit → generate sections one at a time
+router.use('/outlines', postOutlineRoutes);
+
 /**
  * Enhanced Blog Generation API
  * Integrates website analysis data and targets 95+ SEO scores
@@ -40,6 +44,7 @@ const router = express.Router();
 /**
  * POST /api/v1/enhanced-blog-generation/generate
  * Generate blog post with website analysis integration
+ * options.autoInternalLinks: link passages to the organization's most relevant pages (up to options.maxInternalLinks, default 5)
  */
 router.post('/generate', async (req, res) => {
   try {
@@ -1,19 +1,35 @@
 /**
- * Job queue API: create jobs, get status, retry, cancel, stream (Phase 5).
+ * Job queue API: create jobs, list history, get status, retry, cancel, stream (Phase 5).
  * Base path: /api/v1/jobs
  * All endpoints require auth or session; jobs are scoped by user or session.
  */
 
 import express from 'express';
+import multer from 'multer';
 import * as jobQueue from '../services/job-queue.js';
+import { listJobsForOwner, parseJobFilters } from '../services/job-history.js';
 import streamManager from '../services/stream-manager.js';
 import { writeSSE } from '../utils/streaming-helpers.js';
+import { getLastEventId, jobStreamKey } from '../utils/stream-event-log.js';
 import DatabaseAuthService from '../services/auth-database.js';
 import { InvariantViolation, ServiceUnavailableError } from '../lib/errors.js';
 
 const router = express.Router();
 const authService = new DatabaseAuthService();
 
+/** CSV upload for bulk content generation (form field "file"). */
+const bulkCsvUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 1024 * 1024, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (file.originalname.toLowerCase().endsWith('.csv') || file.mimetype === 'text/csv') {
+      cb(null, true);
+    } else {
+      cb(new Error('File type not supported. Please upload a .csv file.'));
+    }
+  }
+});
+
 /** Job stream connection timeout. Vercel serverless limit is 300s; use 250s to close gracefully before timeout. */
 const JOB_STREAM_MAX_AGE_MS = 250 * 1000;
 
@@ -138,13 +154,6 @@ function configureSSE(res) {
   if (res.socket && typeof res.socket.setNoDelay === 'function') res.socket.setNoDelay(true);
 }
 
-/**
- * GET /api/v1/jobs — sanity check that the jobs router is mounted (e.g. on staging).
- */
-router.get('/', (req, res) => {
-  res.json({ ok: true, message: 'Jobs API', endpoints: ['POST /website-analysis', 'POST /content-generation', 'GET /:jobId/status', 'GET /:jobId/stream', 'GET /:jobId/narrative-stream', 'POST /:jobId/retry', 'POST /:jobId/cancel'] });
-});
-
 function isUserNotFoundError(e) {
   return e.name === 'UserNotFoundError' || (e.code === '23503' && e.constraint === 'jobs_user_id_fkey');
 }
@@ -177,7 +186,7 @@ function sendJobError(res, e, defaultMessage = 'Internal error') {
     const statusCode = e instanceof InvariantViolation && e.statusCode >= 400 && e.statusCode < 600 ? e.statusCode : 400;
     return res.status(statusCode).json({
       success: false,
-      error: 'Bad request',
+      error: statusCode === 402 ? 'Insufficient credits' : 'Bad request',
       message: e.message || 'Bad request'
     });
   }
@@ -189,6 +198,22 @@ function sendJobError(res, e, defaultMessage = 'Internal error') {
   });
 }
 
+/**
+ * GET /api/v1/jobs?type=&status=&from=&to=&limit=&offset=
+ * The caller's jobs (by user or session), newest first. type and status accept comma-separated values;
+ * from/to filter on creation time (ISO 8601). Entries omit input and result (see GET /:jobId/status).
+ * Returns: 200 { success, jobs: [{ jobId, type, status, progress, error, errorCode, createdAt, ... }], pagination }
+ */
+router.get('/', requireUserOrSession, async (req, res) => {
+  try {
+    const filters = parseJobFilters(Object.keys(req.query || {}).length ? req.query : (queryFromUrlSync(req) || {}));
+    const { jobs, pagination } = await listJobsForOwner(getJobContext(req), filters);
+    return res.json({ success: true, jobs, pagination });
+  } catch (e) {
+    return sendJobError(res, e, 'Failed to list jobs');
+  }
+});
+
 /**
  * POST /api/v1/jobs/website-analysis
  * Body: { url: string, sessionId?: string }
@@ -271,6 +296,70 @@ router.post('/content-generation', requireUserOrSession, async (req, res) => {
   }
 });
 
+/**
+ * POST /api/v1/jobs/content-generation/bulk
+ * Multipart with a CSV "file" (header: topic, keyword, audience, cta, cta_url, publish_date; only topic required),
+ * or JSON with topics: [string | { topic, keyword, audience, cta, ctaUrl, publishDate }] (or csv: string).
+ * Also: organizationId (required), additionalInstructions, options (as for POST /content-generation; a JSON string
+ * in multipart), and for rows with a publish date platforms (connected platform keys; comma-separated in multipart)
+ * and timezone (IANA, default UTC; date-only values are scheduled at 09:00). Creates a content_generation_batch job
+ * that generates one post per valid row and schedules dated posts; its status result lists the generated posts and
+ * per-row failures. Needs one credit per valid row.
+ * Returns: 201 { jobId, totalRows, queuedRows, invalidRows: [{ row, topic, error }] }
+ */
+router.post('/content-generation/bulk', requireUserOrSession, (req, res, next) => {
+  bulkCsvUpload.single('file')(req, res, (err) => {
+    if (!err) return next();
+    return res.status(400).json({ success: false, error: 'Bad request', message: err.message });
+  });
+}, async (req, res) => {
+  try {
+    const userId = req.user?.userId;
+    if (!userId) {
+      return res.status(401).json({
+        success: false,
+        error: 'Authentication required',
+        message: 'Bulk content generation requires an authenticated user'
+      });
+    }
+
+    const { organizationId, topics, csv, additionalInstructions, timezone } = req.body || {};
+    if (!organizationId || (!req.file && topics == null && !csv)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required fields',
+        message: 'organizationId and a CSV file, csv or topics are required'
+      });
+    }
+    let options = req.body.options ?? {};
+    if (typeof options === 'string') {
+      try {
+        options = JSON.parse(options);
+      } catch {
+        return res.status(400).json({ success: false, error: 'Bad request', message: 'options must be a JSON object' });
+      }
+    }
+
+    // Multipart sends platforms as "wordpress,ghost" (or repeated fields)
+    const platforms = typeof req.body.platforms === 'string' ? req.body.platforms.split(',') : req.body.platforms;
+
+    // Imported here: bulk-generation loads the OpenAI client, which the other job routes do not need
+    const { createBulkGenerationJob, parseBulkCsv, parseBulkTopics } = await import('../services/bulk-generation.js');
+    const { rows, invalid } = req.file || csv ? parseBulkCsv(req.file?.buffer ?? String(csv)) : parseBulkTopics(topics);
+    const created = await createBulkGenerationJob(userId, {
+      organizationId,
+      rows,
+      invalid,
+      additionalInstructions: additionalInstructions ?? null,
+      options,
+      schedule: { platforms, timezone }
+    });
+    return res.status(201).json(created);
+  } catch (e) {
+    return sendJobError(res, e, 'Failed to create job');
+  }
+});
+
 /**
  * GET /api/v1/jobs/:jobId/narrative-stream?token=JWT (or sessionId)
  * SSE stream for narrative UX (Issue #157): analysis-status-update, transition, analysis-chunk, narrative-complete, complete.
@@ -347,6 +436,8 @@ router.get('/:jobId/narrative-stream', requireUserOrSession, async (req, res) =>
  * GET /api/v1/jobs/:jobId/stream[/?] — SSE stream for real-time job progress.
  * Handles both /stream and /stream/ (no redirect, to avoid redirect loops with proxies).
  * EventSource-compatible (?token=). Events: connected, progress-update, step-change, complete, failed.
+ * Worker events carry ids; reconnecting with Last-Event-ID (or ?lastEventId=) replays the ones missed,
+ * preceded by replay-gap { from, to } if some were already dropped from the log.
  */
 async function handleJobStream(req, res) {
   try {
@@ -368,13 +459,25 @@ async function handleJobStream(req, res) {
     await streamManager.whenJobPatternReady();
 
     if (res.writableEnded) return;
+    const lastEventId = getLastEventId(req);
     writeSSE(res, 'connected', {
       connectionId,
       jobId,
       maxAgeSeconds: Math.floor(JOB_STREAM_MAX_AGE_MS / 1000),
-      hint: 'If stream closes before job completes, poll GET /jobs/:jobId/status'
+      hint: 'If stream closes before job completes, poll GET /jobs/:jobId/status',
+      ...(lastEventId != null && { resumedFrom: lastEventId })
     });
 
+    // Reconnect: replay the events logged after the client's Last-Event-ID; a replayed terminal event ends the stream
+    if (lastEventId != null) {
+      const replayed = await streamManager.replayEvents(connectionId, jobStreamKey(jobId), lastEventId);
+      if (replayed.some((e) => e.event === 'complete' || e.event === 'failed')) {
+        streamManager.unsubscribeFromJob(jobId, connectionId);
+        res.end();
+        return;
+      }
+    }
+
     if (!res.writableEnded) {
       const current = await jobQueue.getJobStatus(jobId, ctx);
       if (current) {
@@ -424,7 +527,8 @@ router.get('/:jobId/stream/', requireUserOrSession, handleJobStream);
 
 /**
  * GET /api/v1/jobs/:jobId/status
- * Returns: 200 { jobId, status, progress, currentStep, estimatedTimeRemaining, error, result, createdAt, updatedAt }
+ * Returns: 200 { jobId, status, progress, currentStep, estimatedTimeRemaining, error, result, createdAt, updatedAt,
+ *   queuePosition, estimatedWaitSeconds } (the last two only set while queued)
  */
 router.get('/:jobId/status', requireUserOrSession, async (req, res) => {
   try {
@@ -1,5 +1,7 @@
 import express from 'express';
 import db from '../services/database.js';
+import { ValidationError } from '../lib/errors.js';
+import { normalizeStyleGuide } from '../lib/style-guide.js';
 
 const router = express.Router();
 
@@ -14,7 +16,8 @@ const router = express.Router();
  */
 router.post('/', async (req, res) => {
   try {
-    const { organizationId, inputType, inputData, inputSource = 'manual' } = req.body;
+    const { organizationId, inputType, inputSource = 'manual' } = req.body;
+    let { inputData } = req.body;
     const userId = req.user.userId;
 
     // Validate required fields
@@ -29,7 +32,7 @@ router.post('/', async (req, res) => {
     // Validate input type
     const validInputTypes = [
       'brand_voice', 'cta_preferences', 'internal_linking', 'brand_colors',
-      'target_audience', 'business_objectives', 'competitor_info', 'industry_context'
+      'target_audience', 'business_objectives', 'competitor_info', 'industry_context', 'style_guide'
     ];
 
     if (!validInputTypes.includes(inputType)) {
@@ -40,6 +43,16 @@ router.post('/', async (req, res) => {
       });
     }
 
+    // Style guide rules are enforced by the linter (lib/style-guide.js), so they must be well-formed
+    if (inputType === 'style_guide') {
+      try {
+        inputData = normalizeStyleGuide(inputData);
+      } catch (err) {
+        if (!(err instanceof ValidationError)) throw err;
+        return res.status(400).json({ success: false, error: err.message, message: err.details });
+      }
+    }
+
     // Verify user has access to organization
     const orgCheck = await db.query(
       'SELECT id FROM organizations WHERE id = $1',
@@ -407,6 +420,25 @@ router.get('/templates/:inputType', async (req, res) => {
         }
       },
 
+      style_guide: {
+        schema: {
+          rules: {
+            type: 'array',
+            required: true,
+            description: 'Hard rules checked after generation and on edits. Types: avoid_term (terms, optional replacement), prefer_term (term, variants), forbidden_mention (names), no_heading_exclamation, oxford_comma. Each rule may set id, severity (error or warning) and message.'
+          }
+        },
+        example: {
+          rules: [
+            { type: 'avoid_term', terms: ['utilize'], replacement: 'use' },
+            { type: 'prefer_term', term: 'e-commerce', variants: ['ecommerce', 'e commerce'] },
+            { type: 'no_heading_exclamation' },
+            { type: 'oxford_comma' },
+            { type: 'forbidden_mention', names: ['Competitor X'] }
+          ]
+        }
+      },
+
       business_objectives: {
         schema: {
           primary_goal: { type: 'string', required: true, options: ['lead_generation', 'brand_awareness', 'customer_education', 'sales', 'retention'] },
@@ -1,6 +1,7 @@
 import { Router } from 'express';
 import db from '../services/database.js';
 import { normalizeCTA } from '../utils/cta-normalizer.js';
+import { checkTopicOverlap, listCannibalizationClusters } from '../services/topic-overlap.js';
 
 const router = Router();
 
@@ -212,6 +213,80 @@ router.post('/:organizationId/refresh-social-voice', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/v1/organizations/:organizationId/cannibalization
+ * Clusters of posts, pages and calendar ideas that are near-duplicate topics or target the same primary keyword,
+ * each with a canonical item and suggested merge / redirect / differentiate actions.
+ */
+router.get('/:organizationId/cannibalization', async (req, res) => {
+  try {
+    const { organizationId } = req.params;
+    const userContext = extractUserContext(req);
+    const validationError = validateUserContext(userContext);
+    if (validationError) return res.status(validationError.status).json(validationError.body);
+
+    const org = await getOrganizationForContext(organizationId, userContext);
+    if (!org) {
+      return res.status(404).json({
+        success: false,
+        error: 'Organization not found',
+        message: 'The requested organization does not exist or you do not have access'
+      });
+    }
+
+    const { clusters, items_compared } = await listCannibalizationClusters(organizationId);
+    res.json({ success: true, clusters, items_compared });
+  } catch (error) {
+    console.error('Error detecting content cannibalization:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to detect content cannibalization',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/v1/organizations/:organizationId/topic-check
+ * Check a planned topic against existing content before generating it.
+ * Body: { "title": "...", "keywords": ["primary keyword", ...], "description"?: "...", "exclude_post_id"?: "..." }
+ */
+router.post('/:organizationId/topic-check', async (req, res) => {
+  try {
+    const { organizationId } = req.params;
+    const userContext = extractUserContext(req);
+    const validationError = validateUserContext(userContext);
+    if (validationError) return res.status(validationError.status).json(validationError.body);
+
+    const org = await getOrganizationForContext(organizationId, userContext);
+    if (!org) {
+      return res.status(404).json({
+        success: false,
+        error: 'Organization not found',
+        message: 'The requested organization does not exist or you do not have access'
+      });
+    }
+
+    const { title, keywords = [], description = null, exclude_post_id: excludePostId = null } = req.body || {};
+    if (typeof title !== 'string' || !title.trim()) {
+      return res.status(400).json({ success: false, error: 'Invalid input', message: 'title is required' });
+    }
+    if (!Array.isArray(keywords) || keywords.some((k) => typeof k !== 'string')) {
+      return res.status(400).json({ success: false, error: 'Invalid input', message: 'keywords must be an array of strings' });
+    }
+
+    const conflicts = await checkTopicOverlap(organizationId, { title, keywords, description }, { excludePostId });
+    res.json({ success: true, has_conflicts: conflicts.length > 0, conflicts });
+  } catch (error) {
+    console.error('Error checking topic overlap:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to check topic overlap',
+      message: error.message
+    });
+  }
+});
+
 /**
  * GET /api/v1/organizations/:organizationId/ctas
  * Get CTAs for an organization
@@ -0,0 +1,112 @@
+/**
+ * Outline-first generation API (services/post-outlines.js). Mounted on /api/v1/enhanced-blog-generation/outlines
+ * behind requireAuth.
+ *
+ * POST   /                                   { topic, businessInfo, organizationId, additionalInstructions?, options?: { useVoiceProfile } }
+ * GET    /:outlineId                         outline with sections, generated content and progress
+ * PUT    /:outlineId                         { version, title?, meta_description?, sections? } edit the outline
+ * POST   /:outlineId/sections/:sectionId/generate   { instructions? } write or rewrite one section
+ * POST   /:outlineId/post                    create a draft post once every section is written (uses one credit)
+ */
+import express from 'express';
+import { toHttpResponse } from '../lib/errors.js';
+import billingService from '../services/billing.js';
+import * as postOutlines from '../services/post-outlines.js';
+
+const router = express.Router();
+
+function sendError(res, error, fallback) {
+  const { statusCode, body } = toHttpResponse(error);
+  if (statusCode === 500) {
+    console.error(`❌ ${fallback}:`, error);
+    return res.status(500).json({ success: false, error: fallback, message: error.message });
+  }
+  res.status(statusCode).json({ success: false, ...body });
+}
+
+router.post('/', async (req, res) => {
+  try {
+    const { topic, businessInfo, organizationId, additionalInstructions, options = {} } = req.body || {};
+    const userId = req.user.userId;
+
+    if (!topic?.title || !businessInfo?.businessType || !businessInfo?.targetAudience || !organizationId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required fields',
+        message: 'topic.title, businessInfo.businessType, businessInfo.targetAudience and organizationId are required'
+      });
+    }
+
+    // The credit is used when the post is created, but don't let users without credits start an outline
+    const hasCredits = await billingService.hasCredits(userId);
+    if (!hasCredits) {
+      return res.status(402).json({
+        success: false,
+        error: 'Insufficient credits',
+        message: 'You have used all your blog post credits for this billing period.'
+      });
+    }
+
+    const outline = await postOutlines.createOutline(userId, {
+      topic,
+      businessInfo,
+      organizationId,
+      additionalInstructions: typeof additionalInstructions === 'string' ? additionalInstructions : '',
+      useVoiceProfile: options.useVoiceProfile !== false
+    });
+    res.status(201).json({ success: true, outline });
+  } catch (error) {
+    sendError(res, error, 'Outline generation failed');
+  }
+});
+
+router.get('/:outlineId', async (req, res) => {
+  try {
+    const outline = await postOutlines.getOutline(req.params.outlineId, req.user.userId);
+    res.json({ success: true, outline });
+  } catch (error) {
+    sendError(res, error, 'Failed to load outline');
+  }
+});
+
+router.put('/:outlineId', async (req, res) => {
+  try {
+    const outline = await postOutlines.updateOutline(req.params.outlineId, req.user.userId, req.body || {});
+    res.json({ success: true, outline });
+  } catch (error) {
+    sendError(res, error, 'Failed to update outline');
+  }
+});
+
+router.post('/:outlineId/sections/:sectionId/generate', async (req, res) => {
+  try {
+    const result = await postOutlines.generateSection(
+      req.params.outlineId,
+      req.user.userId,
+      req.params.sectionId,
+      { instructions: req.body?.instructions }
+    );
+    res.json({ success: true, ...result });
+  } catch (error) {
+    sendError(res, error, 'Section generation failed');
+  }
+});
+
+router.post('/:outlineId/post', async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const result = await postOutlines.createPostFromOutline(req.params.outlineId, userId);
+
+    try {
+      await billingService.useCredit(userId, 'generation', result.post.id);
+    } catch (creditError) {
+      console.error('Failed to deduct credit:', creditError);
+    }
+
+    res.status(201).json({ success: true, ...result });
+  } catch (error) {
+    sendError(res, error, 'Failed to create post from outline');
+  }
+});
+
+export default router;
@@ -1,22 +1,33 @@
 import express from 'express';
 import { v4 as uuidv4 } from 'uuid';
 import db from '../services/database.js';
-import { PLATFORM_KEYS, getConnectedPlatforms, normalizePlatformKey } from '../lib/publishing-platforms.js';
+import { ConflictError, InvariantViolation, NotFoundError, ServiceUnavailableError, ValidationError } from '../lib/errors.js';
+import { PLATFORM_KEYS, PLATFORM_LABELS, getConnectedPlatforms, getPublisher, normalizePlatformKey } from '../lib/publishing-platforms.js';
 import { getConnectionCredentials } from '../services/publishing-connections.js';
-import { publishToContentful } from '../services/contentful-publish.js';
-import { publishToGhost } from '../services/ghost-publish.js';
-import { publishToJekyll } from '../services/jekyll-publish.js';
-import { publishToMedium } from '../services/medium-publish.js';
-import { publishToNextjs } from '../services/nextjs-publish.js';
-import { publishToSanity } from '../services/sanity-publish.js';
-import { publishToSubstack } from '../services/substack-publish.js';
-import { publishToWordPress } from '../services/wordpress-publish.js';
+import { publishPostToPlatforms, savePublications } from '../services/post-publishing.js';
+import { normalizePublishingMetadata } from '../services/publishable-post.js';
+import { assertPublishAllowed } from '../services/editorial-review.js';
+import { assertEmailVerifiedForPublishing } from '../services/account-tokens.js';
+import { diffRevisions, getRevision, listRevisions, restoreRevision, updatePostWithRevision } from '../services/post-revisions.js';
+import { fixPost, lintPost, lintSavedPost } from '../services/style-guide.js';
+import { suggestInternalLinksForPost } from '../services/internal-links.js';
+import { scoreContent } from '../lib/seo-scorer.js';
+import {
+  cancelScheduledEntry,
+  cancelScheduledPublications,
+  rescheduleScheduledPublications,
+  resolveScheduledAt,
+  statusAfterRemoval
+} from '../services/publish-schedule.js';
+import { createJob } from '../services/job-queue.js';
 import postsAutomationRoutes from './posts-automation.js';
+import postReviewRoutes from './post-review.js';
 
 const router = express.Router();
 
-// Mount automation routes before /:id so /automation is not captured as id
+// Mount automation and review routes before /:id so /automation and /review-queue are not captured as id
 router.use('/automation', postsAutomationRoutes);
+router.use('/', postReviewRoutes);
 
 const extractUserContext = (req) => {
   const sessionId = req.headers['x-session-id'] || req.body?.session_id;
@@ -46,6 +57,9 @@ const extractUserContext = (req) => {
   };
 };
 
+// Owner of a post for services that check access: the user, else the anonymous session
+const postOwner = (context) => (context.isAuthenticated ? { userId: context.userId } : { sessionId: context.sessionId });
+
 const validateUserContext = (context) => {
   if (!context.isAuthenticated && !context.sessionId) {
     throw new Error('Either authentication or session ID is required');
@@ -92,6 +106,55 @@ const formatPostForResponse = (post) => {
   };
 };
 
+/**
+ * Unpublish one platform_publications entry remotely and decide whether its local record can be cleared.
+ * Scheduled entries are cancelled (see services/publish-schedule.js); entries that kept an earlier live post (live) unpublish it.
+ * Cleared when: the remote call succeeded, the entry never went live, the platform cannot unpublish (e.g. Medium), or force is set.
+ * @returns {Promise<{ platform: string, status: 'unpublished'|'cancelled'|'cleared'|'unsupported'|'failed', cleared: boolean, message?: string, remote_status?: string }>}
+ */
+const unpublishPublication = async (userId, publication, { mode, force }) => {
+  const platform = String(publication.platform).toLowerCase();
+  const label = PLATFORM_LABELS[platform] || platform;
+  if (publication.live && publication.status !== 'published') {
+    // A failed or pending update (or a scheduled one, cancelled by dropping the entry) of a post that is still live
+    const { live, label: entryLabel } = publication;
+    return unpublishPublication(userId, { platform, status: 'published', ...live, label: entryLabel }, { mode, force });
+  }
+  if (publication.status === 'scheduled') {
+    const outcome = await cancelScheduledEntry(userId, publication);
+    return outcome.status === 'cancelled'
+      ? { platform, status: 'cancelled', cleared: true, message: `Scheduled ${label} publication cancelled` }
+      : { platform, status: 'failed', cleared: !!force, message: outcome.message };
+  }
+  if (publication.status !== 'published') {
+    return { platform, status: 'cleared', cleared: true, message: `Not live on ${label}; local record removed` };
+  }
+  const publisher = getPublisher(platform);
+  if (publisher && !publisher.capabilities.unpublish) {
+    const message = publisher.unsupported?.unpublish
+      || `${label} does not allow removing posts through its API. The local record was cleared; remove the post on ${label}.`;
+    return { platform, status: 'unsupported', cleared: true, message };
+  }
+  const fail = (message) => ({ platform, status: 'failed', cleared: !!force, message });
+  if (!publisher) {
+    return fail(`Remote unpublish is not supported for ${label}. Remove the post on ${label}, then pass force: true to clear it here.`);
+  }
+  if (!publication.external_id) {
+    return fail(`No ${label} post id was stored for this publication. Remove the post on ${label}, then pass force: true to clear it here.`);
+  }
+  try {
+    const creds = await getConnectionCredentials(userId, platform);
+    if (!creds) {
+      return fail(`${label} connection not found`);
+    }
+    const result = await publisher.unpublish(creds, publication.external_id, { mode });
+    return { platform, status: 'unpublished', cleared: true, remote_status: result?.status };
+  } catch (err) {
+    console.error(`${label} unpublish failed:`, err.message);
+    return fail(err.message || 'Unpublish failed');
+  }
+};
+
 // =============================================================================
 // CREATE POST - Supports both authenticated and session-based creation
 // =============================================================================
@@ -361,37 +424,34 @@ router.post('/:postId/reanalyze-seo', async (req, res) => {
       });
     }
 
+    const localAnalysis = scoreContent({
+      content: post.content,
+      title: post.title,
+      metaDescription: post.meta_description,
+      keywords: topicData?.seoKeywords || []
+    });
+
     // Update post with new SEO analysis
     const existingMetadata = safeParse(post.generation_metadata, 'generation_metadata', post.id) || {};
     const updatedMetadata = {
       ...existingMetadata,
       seoAnalysis: seoResult.analysis,
+      localSeoAnalysis: localAnalysis,
       qualityPrediction: {
         ...existingMetadata.qualityPrediction,
         actualSEOScore: seoResult.analysis.overallScore,
+        localSEOScore: localAnalysis.score,
         topStrengths: seoResult.analysis.topStrengths || [],
         topImprovements: seoResult.analysis.topImprovements || []
       },
       lastSEOAnalysis: new Date().toISOString()
     };
 
-    const updateQuery = `
-      UPDATE blog_posts
-      SET
-        generation_metadata = $1,
-        seo_score_prediction = $2,
-        updated_at = NOW()
-      WHERE id = $3
-      RETURNING *
-    `;
-
-    const updateResult = await db.query(updateQuery, [
-      JSON.stringify(updatedMetadata),
-      seoResult.analysis.overallScore,
-      postId
-    ]);
-
-    const updatedPost = updateResult.rows[0];
+    const { post: updatedPost } = await updatePostWithRevision(
+      postId,
+      { generation_metadata: JSON.stringify(updatedMetadata), seo_score_prediction: seoResult.analysis.overallScore },
+      { owner: postOwner(context), source: 'seo_reanalysis' }
+    );
 
     console.log(`✅ SEO re-analysis complete for post ${postId}: Score ${seoResult.analysis.overallScore}/100`);
 
@@ -399,6 +459,7 @@ router.post('/:postId/reanalyze-seo', async (req, res) => {
       success: true,
       post: formatPostForResponse(updatedPost),
       analysis: seoResult.analysis,
+      local_analysis: localAnalysis,
       message: `SEO analysis complete! Score: ${seoResult.analysis.overallScore}/100`
     });
 
@@ -427,7 +488,15 @@ router.post('/:id/publish', async (req, res) => {
     }
 
     const { id } = req.params;
-    const { platforms, publish_mode: publishMode, update_existing: updateExisting, wordpress_use_index_php_rest_route } = req.body || {};
+    const {
+      platforms,
+      publish_mode: publishMode,
+      update_existing: updateExisting,
+      wordpress_use_index_php_rest_route,
+      scheduled_at: scheduledAtInput,
+      timezone,
+      async: runAsync
+    } = req.body || {};
 
     if (!Array.isArray(platforms) || platforms.length === 0) {
       return res.status(400).json({
@@ -468,246 +537,120 @@ router.post('/:id/publish', async (req, res) => {
       });
     }
 
-    const selectResult = await db.query(
-      'SELECT * FROM blog_posts WHERE id = $1 AND user_id = $2',
-      [id, context.userId]
-    );
-    if (selectResult.rows.length === 0) {
-      return res.status(404).json({
-        success: false,
-        error: 'Post not found or access denied'
-      });
+    try {
+      await assertEmailVerifiedForPublishing(context.userId);
+    } catch (err) {
+      if (!(err instanceof InvariantViolation)) throw err;
+      return res.status(403).json({ success: false, error: 'Email not verified', message: err.message });
     }
 
-    const post = selectResult.rows[0];
-    const platformPublications = [];
-    const isDraft = publishMode === 'draft';
-
-    for (const platformKey of normalizedPlatforms) {
-      if (platformKey === 'wordpress') {
-        const creds = await getConnectionCredentials(context.userId, 'wordpress');
-        if (!creds) {
-          platformPublications.push({ platform: platformKey, status: 'failed', message: 'WordPress connection not found' });
-          continue;
-        }
-        const wpCreds = wordpress_use_index_php_rest_route === true || wordpress_use_index_php_rest_route === 'true'
-          ? { ...creds, useIndexPhpRestRoute: true }
-          : creds;
-        try {
-          const result = await publishToWordPress(wpCreds, {
-            title: post.title,
-            content: post.content || ''
-          }, { status: isDraft ? 'draft' : 'publish' });
-          platformPublications.push({
-            platform: platformKey,
-            status: 'published',
-            url: result.url
-          });
-        } catch (err) {
-          console.error('WordPress publish failed:', err.message);
-          platformPublications.push({
-            platform: platformKey,
-            status: 'failed',
-            message: err.message || 'Publish failed'
-          });
-        }
-      } else if (platformKey === 'ghost') {
-        const creds = await getConnectionCredentials(context.userId, 'ghost');
-        if (!creds) {
-          platformPublications.push({ platform: platformKey, status: 'failed', message: 'Ghost connection not found' });
-          continue;
-        }
-        try {
-          const result = await publishToGhost(creds, {
-            title: post.title,
-            content: post.content || ''
-          });
-          platformPublications.push({
-            platform: platformKey,
-            status: 'published',
-            url: result.url || undefined,
-            label: 'Ghost'
-          });
-        } catch (err) {
-          console.error('Ghost publish failed:', err.message);
-          platformPublications.push({
-            platform: platformKey,
-            status: 'failed',
-            message: err.message || 'Publish failed'
-          });
-        }
-      } else if (platformKey === 'medium') {
-        const creds = await getConnectionCredentials(context.userId, 'medium');
-        if (!creds) {
-          platformPublications.push({ platform: platformKey, status: 'failed', message: 'Medium connection not found' });
-          continue;
-        }
-        try {
-          const result = await publishToMedium(creds, {
-            title: post.title,
-            content: post.content || ''
-          }, { publishStatus: isDraft ? 'draft' : 'public' });
-          platformPublications.push({
-            platform: platformKey,
-            status: 'published',
-            url: result.url || undefined,
-            label: 'Medium'
-          });
-        } catch (err) {
-          console.error('Medium publish failed:', err.message);
-          platformPublications.push({
-            platform: platformKey,
-            status: 'failed',
-            message: err.message || 'Publish failed'
-          });
-        }
-      } else if (platformKey === 'substack') {
-        const creds = await getConnectionCredentials(context.userId, 'substack');
-        if (!creds) {
-          platformPublications.push({ platform: platformKey, status: 'failed', message: 'Substack connection not found' });
-          continue;
-        }
-        try {
-          const result = await publishToSubstack(creds, {
-            title: post.title,
-            content: post.content || ''
-          });
-          platformPublications.push({
-            platform: platformKey,
-            status: 'published',
-            url: result?.url,
-            label: 'Substack'
-          });
-        } catch (err) {
-          console.error('Substack publish failed:', err.message);
-          platformPublications.push({
-            platform: platformKey,
-            status: 'failed',
-            message: err.message || 'Publish failed'
-          });
-        }
-      } else if (platformKey === 'contentful') {
-        const creds = await getConnectionCredentials(context.userId, 'contentful');
-        if (!creds) {
-          platformPublications.push({ platform: platformKey, status: 'failed', message: 'Contentful connection not found' });
-          continue;
-        }
-        try {
-          const result = await publishToContentful(creds, {
-            title: post.title,
-            content: post.content || ''
-          });
-          platformPublications.push({
-            platform: platformKey,
-            status: 'published',
-            url: result?.url,
-            label: 'Contentful'
-          });
-        } catch (err) {
-          console.error('Contentful publish failed:', err.message);
-          platformPublications.push({
-            platform: platformKey,
-            status: 'failed',
-            message: err.message || 'Publish failed'
-          });
-        }
-      } else if (platformKey === 'sanity') {
-        const creds = await getConnectionCredentials(context.userId, 'sanity');
-        if (!creds) {
-          platformPublications.push({ platform: platformKey, status: 'failed', message: 'Sanity connection not found' });
-          continue;
-        }
-        try {
-          const result = await publishToSanity(creds, {
-            title: post.title,
-            content: post.content || ''
-          });
-          platformPublications.push({
-            platform: platformKey,
-            status: 'published',
-            url: result?.url,
-            label: 'Sanity'
-          });
-        } catch (err) {
-          console.error('Sanity publish failed:', err.message);
-          platformPublications.push({
-            platform: platformKey,
-            status: 'failed',
-            message: err.message || 'Publish failed'
-          });
-        }
-      } else if (platformKey === 'jekyll') {
-        const creds = await getConnectionCredentials(context.userId, 'jekyll');
-        if (!creds) {
-          platformPublications.push({ platform: platformKey, status: 'failed', message: 'Jekyll connection not found' });
-          continue;
-        }
-        try {
-          const result = await publishToJekyll(creds, {
-            title: post.title,
-            content: post.content || ''
-          });
-          platformPublications.push({
-            platform: platformKey,
-            status: 'published',
-            url: result?.url,
-            label: 'Jekyll'
-          });
-        } catch (err) {
-          console.error('Jekyll publish failed:', err.message);
-          platformPublications.push({
-            platform: platformKey,
-            status: 'failed',
-            message: err.message || 'Publish failed'
-          });
-        }
-      } else if (platformKey === 'nextjs') {
-        const creds = await getConnectionCredentials(context.userId, 'nextjs');
-        if (!creds) {
-          platformPublications.push({ platform: platformKey, status: 'failed', message: 'Next.js connection not found' });
-          continue;
-        }
-        try {
-          const result = await publishToNextjs(creds, {
-            title: post.title,
-            content: post.content || ''
-          });
-          platformPublications.push({
-            platform: platformKey,
-            status: 'published',
-            url: result?.url,
-            label: 'Next.js'
-          });
-        } catch (err) {
-          console.error('Next.js publish failed:', err.message);
-          platformPublications.push({
-            platform: platformKey,
-            status: 'failed',
-            message: err.message || 'Publish failed'
+    // Organizations with required review only publish approved posts; remote drafts are always allowed
+    if (publishMode !== 'draft') {
+      const reviewResult = await db.query(
+        'SELECT id, user_id, review_state FROM blog_posts WHERE id = $1 AND user_id = $2',
+        [id, context.userId]
+      );
+      if (reviewResult.rows.length === 0) {
+        return res.status(404).json({
+          success: false,
+          error: 'Post not found or access denied'
+        });
+      }
+      try {
+        await assertPublishAllowed(reviewResult.rows[0]);
+      } catch (err) {
+        if (!(err instanceof InvariantViolation)) throw err;
+        return res.status(409).json({ success: false, error: 'Review required', message: err.message });
+      }
+    }
+
+    const publishOptions = {
+      platforms: [...new Set(normalizedPlatforms)],
+      draft: publishMode === 'draft',
+      updateExisting: updateExisting === true || updateExisting === 'true',
+      wordpressUseIndexPhpRestRoute: wordpress_use_index_php_rest_route === true || wordpress_use_index_php_rest_route === 'true'
+    };
+
+    let schedule = null;
+    if (scheduledAtInput !== undefined && scheduledAtInput !== null && scheduledAtInput !== '') {
+      if (publishOptions.draft || publishOptions.updateExisting) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid schedule',
+          message: 'scheduled_at cannot be combined with publish_mode "draft" or update_existing'
+        });
+      }
+      try {
+        schedule = resolveScheduledAt(scheduledAtInput, timezone);
+      } catch (err) {
+        if (!(err instanceof ValidationError)) throw err;
+        return res.status(400).json({ success: false, error: 'Invalid schedule', message: err.message });
+      }
+      publishOptions.scheduledAt = schedule.scheduledAt;
+      publishOptions.timezone = schedule.timezone;
+    }
+
+    if (runAsync === true || runAsync === 'true') {
+      const selectResult = await db.query(
+        'SELECT id, publication_status FROM blog_posts WHERE id = $1 AND user_id = $2',
+        [id, context.userId]
+      );
+      if (selectResult.rows.length === 0) {
+        return res.status(404).json({
+          success: false,
+          error: 'Post not found or access denied'
+        });
+      }
+      // Marked before the job is queued, so a fast worker's published / failed status is not overwritten.
+      const updateResult = await db.query(
+        `UPDATE blog_posts SET publication_status = 'publishing', updated_at = NOW()
+         WHERE id = $1 AND user_id = $2
+         RETURNING *`,
+        [id, context.userId]
+      );
+      let jobId;
+      try {
+        const input = { postId: id, ...publishOptions, ...(schedule && { scheduledAt: schedule.scheduledAt.toISOString() }) };
+        ({ jobId } = await createJob('publish_post', input, { userId: context.userId }));
+      } catch (err) {
+        await db.query(
+          `UPDATE blog_posts SET publication_status = $3, updated_at = NOW()
+           WHERE id = $1 AND user_id = $2 AND publication_status = 'publishing'`,
+          [id, context.userId, selectResult.rows[0].publication_status]
+        );
+        if (err instanceof ServiceUnavailableError) {
+          return res.status(503).json({
+            success: false,
+            error: 'Service unavailable',
+            message: err.message || 'Job queue is not configured (REDIS_URL required)'
           });
         }
-      } else {
-        // Other platforms: not yet implemented; leave as publishing
-        platformPublications.push({ platform: platformKey, status: 'publishing' });
+        throw err;
       }
+      return res.status(202).json({
+        success: true,
+        jobId,
+        post: formatPostForResponse(updateResult.rows[0])
+      });
     }
 
-    const anyPublished = platformPublications.some((p) => p.status === 'published');
-    const anyFailed = platformPublications.some((p) => p.status === 'failed');
-    const publicationStatus = anyFailed && !anyPublished ? 'failed' : anyPublished ? 'published' : 'publishing';
-
-    const updateResult = await db.query(
-      `UPDATE blog_posts
-       SET publication_status = $1, platform_publications = $2, updated_at = NOW()
-       WHERE id = $3 AND user_id = $4
-       RETURNING *`,
-      [publicationStatus, JSON.stringify(platformPublications), id, context.userId]
-    );
-    const updated = updateResult.rows[0];
+    let outcome;
+    try {
+      outcome = await publishPostToPlatforms(context.userId, id, publishOptions);
+    } catch (err) {
+      if (err instanceof NotFoundError) {
+        return res.status(404).json({
+          success: false,
+          error: 'Post not found or access denied'
+        });
+      }
+      throw err;
+    }
 
     res.json({
       success: true,
-      post: formatPostForResponse(updated)
+      post: formatPostForResponse(outcome.post),
+      changes: outcome.changes
     });
   } catch (error) {
     console.error('❌ Publish failed:', error);
@@ -734,10 +677,11 @@ router.post('/:id/unpublish', async (req, res) => {
     }
 
     const { id } = req.params;
-    const { platform } = req.body || {};
+    const { platform, mode, force } = req.body || {};
 
+    let key = null;
     if (platform !== undefined && platform !== null && String(platform).trim() !== '') {
-      const key = normalizePlatformKey(String(platform).trim());
+      key = normalizePlatformKey(String(platform).trim());
       if (!key) {
         return res.status(400).json({
           success: false,
@@ -746,6 +690,13 @@ router.post('/:id/unpublish', async (req, res) => {
         });
       }
     }
+    if (mode !== undefined && mode !== null && !['draft', 'delete'].includes(mode)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid mode',
+        message: 'mode must be "draft" or "delete" when provided'
+      });
+    }
 
     const selectResult = await db.query(
       'SELECT * FROM blog_posts WHERE id = $1 AND user_id = $2',
@@ -769,29 +720,28 @@ router.post('/:id/unpublish', async (req, res) => {
       platformPublications = [];
     }
 
-    let nextPublications;
-    let nextStatus;
-    if (platform === undefined || platform === null || String(platform).trim() === '') {
-      nextPublications = [];
-      nextStatus = 'draft';
-    } else {
-      const key = String(platform).toLowerCase();
-      nextPublications = platformPublications.filter((item) => String(item.platform).toLowerCase() !== key);
-      nextStatus = nextPublications.length === 0 ? 'draft' : post.publication_status;
+    const forceClear = force === true || force === 'true';
+    const nextPublications = [];
+    const unpublishResults = [];
+    for (const item of platformPublications) {
+      if (key && String(item.platform).toLowerCase() !== key) {
+        nextPublications.push(item);
+        continue;
+      }
+      const outcome = await unpublishPublication(context.userId, item, { mode, force: forceClear });
+      unpublishResults.push(outcome);
+      if (!outcome.cleared) nextPublications.push(item);
     }
 
-    const updateResult = await db.query(
-      `UPDATE blog_posts
-       SET platform_publications = $1, publication_status = $2, updated_at = NOW()
-       WHERE id = $3 AND user_id = $4
-       RETURNING *`,
-      [JSON.stringify(nextPublications), nextStatus, id, context.userId]
-    );
-    const updated = updateResult.rows[0];
+    const nextStatus = statusAfterRemoval(nextPublications, post.publication_status);
+
+    // review_state follows: a post that is no longer live anywhere goes back to approved
+    const updated = await savePublications(context.userId, id, nextPublications, nextStatus);
 
     res.json({
       success: true,
-      post: formatPostForResponse(updated)
+      post: formatPostForResponse(updated),
+      unpublish_results: unpublishResults
     });
   } catch (error) {
     console.error('❌ Unpublish failed:', error);
@@ -803,6 +753,97 @@ router.post('/:id/unpublish', async (req, res) => {
   }
 });
 
+// =============================================================================
+// SCHEDULE - Reschedule or cancel scheduled publications (requires JWT)
+// =============================================================================
+const parseSchedulePlatform = (value) => {
+  if (value === undefined || value === null || String(value).trim() === '') return { key: null };
+  const key = normalizePlatformKey(String(value).trim());
+  return key ? { key } : { error: `Unsupported platform. Supported: ${[...PLATFORM_KEYS].sort().join(', ')}` };
+};
+
+router.patch('/:id/schedule', async (req, res) => {
+  try {
+    const context = extractUserContext(req);
+    if (!context.isAuthenticated) {
+      return res.status(401).json({
+        success: false,
+        error: 'Authentication required',
+        message: 'Rescheduling requires a logged-in user. Use Authorization: Bearer <token>.'
+      });
+    }
+
+    const { id } = req.params;
+    const { scheduled_at: scheduledAtInput, timezone, platform } = req.body || {};
+    const { key, error: platformError } = parseSchedulePlatform(platform);
+    if (platformError) {
+      return res.status(400).json({ success: false, error: 'Invalid platform', message: platformError });
+    }
+
+    let schedule;
+    try {
+      schedule = resolveScheduledAt(scheduledAtInput, timezone);
+    } catch (err) {
+      if (!(err instanceof ValidationError)) throw err;
+      return res.status(400).json({ success: false, error: 'Invalid schedule', message: err.message });
+    }
+
+    const { post, results } = await rescheduleScheduledPublications(context.userId, id, { ...schedule, platform: key });
+    res.json({
+      success: true,
+      post: formatPostForResponse(post),
+      reschedule_results: results
+    });
+  } catch (error) {
+    if (error instanceof NotFoundError) {
+      return res.status(404).json({ success: false, error: error.resource === 'blog_post' ? 'Post not found or access denied' : error.message });
+    }
+    console.error('❌ Reschedule failed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to reschedule post',
+      details: error.message
+    });
+  }
+});
+
+router.delete('/:id/schedule', async (req, res) => {
+  try {
+    const context = extractUserContext(req);
+    if (!context.isAuthenticated) {
+      return res.status(401).json({
+        success: false,
+        error: 'Authentication required',
+        message: 'Cancelling a schedule requires a logged-in user. Use Authorization: Bearer <token>.'
+      });
+    }
+
+    const { id } = req.params;
+    const { key, error: platformError } = parseSchedulePlatform(req.query.platform ?? req.body?.platform);
+    if (platformError) {
+      return res.status(400).json({ success: false, error: 'Invalid platform', message: platformError });
+    }
+    const force = req.query.force === 'true' || req.body?.force === true;
+
+    const { post, results } = await cancelScheduledPublications(context.userId, id, { platform: key, force });
+    res.json({
+      success: true,
+      post: formatPostForResponse(post),
+      cancel_results: results
+    });
+  } catch (error) {
+    if (error instanceof NotFoundError) {
+      return res.status(404).json({ success: false, error: error.resource === 'blog_post' ? 'Post not found or access denied' : error.message });
+    }
+    console.error('❌ Cancel schedule failed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to cancel scheduled publication',
+      details: error.message
+    });
+  }
+});
+
 // =============================================================================
 // SESSION ADOPTION - Transfer posts from session to authenticated user
 // =============================================================================
@@ -935,6 +976,147 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+// =============================================================================
+// REVISIONS - History of title/content changes, word diff and restore
+// =============================================================================
+const sendRevisionError = (res, error, fallback) => {
+  if (error instanceof NotFoundError) {
+    return res.status(404).json({ success: false, error: error.message });
+  }
+  if (error instanceof ValidationError) {
+    return res.status(400).json({ success: false, error: error.message, message: error.details });
+  }
+  if (error instanceof ConflictError) {
+    return res.status(409).json({ success: false, error: error.message });
+  }
+  console.error(`❌ ${fallback}:`, error);
+  res.status(500).json({ success: false, error: fallback, details: error.message });
+};
+
+router.get('/:id/revisions', async (req, res) => {
+  try {
+    const context = extractUserContext(req);
+    validateUserContext(context);
+    const { revisions, current_revision } = await listRevisions(req.params.id, postOwner(context));
+    res.json({ success: true, revisions, current_revision });
+  } catch (error) {
+    sendRevisionError(res, error, 'Failed to list revisions');
+  }
+});
+
+router.get('/:id/revisions/diff', async (req, res) => {
+  try {
+    const context = extractUserContext(req);
+    validateUserContext(context);
+    const diff = await diffRevisions(req.params.id, postOwner(context), req.query.from, req.query.to || 'current');
+    res.json({ success: true, ...diff });
+  } catch (error) {
+    sendRevisionError(res, error, 'Failed to compare revisions');
+  }
+});
+
+router.get('/:id/revisions/:revision', async (req, res) => {
+  try {
+    const context = extractUserContext(req);
+    validateUserContext(context);
+    const revision = await getRevision(req.params.id, postOwner(context), req.params.revision);
+    res.json({ success: true, revision });
+  } catch (error) {
+    sendRevisionError(res, error, 'Failed to retrieve revision');
+  }
+});
+
+router.post('/:id/revisions/:revision/restore', async (req, res) => {
+  try {
+    const context = extractUserContext(req);
+    validateUserContext(context);
+    const { post, revision } = await restoreRevision(req.params.id, postOwner(context), req.params.revision);
+    res.json({
+      success: true,
+      post: formatPostForResponse(post),
+      revision,
+      restored_from: Number(req.params.revision)
+    });
+  } catch (error) {
+    sendRevisionError(res, error, 'Failed to restore revision');
+  }
+});
+
+// =============================================================================
+// INLINE EDITS - AI suggestion for a selected passage; accepting it creates a revision
+// =============================================================================
+router.post('/:id/inline-edits', async (req, res) => {
+  try {
+    const context = extractUserContext(req);
+    if (!context.isAuthenticated) {
+      return res.status(401).json({
+        success: false,
+        error: 'Authentication required',
+        message: 'Inline AI edits require a logged-in user.'
+      });
+    }
+    const { range, operation, options } = req.body || {};
+    // Imported here: inline-edits loads the OpenAI client, which the other post routes do not need
+    const { suggestInlineEdit } = await import('../services/inline-edits.js');
+    const suggestion = await suggestInlineEdit(req.params.id, postOwner(context), { range, operation, options });
+    res.json({ success: true, suggestion });
+  } catch (error) {
+    sendRevisionError(res, error, 'Inline edit failed');
+  }
+});
+
+router.post('/:id/inline-edits/accept', async (req, res) => {
+  try {
+    const context = extractUserContext(req);
+    validateUserContext(context);
+    const { range, original, replacement } = req.body || {};
+    const { applyInlineEdit } = await import('../services/inline-edits.js');
+    const { post, revision } = await applyInlineEdit(req.params.id, postOwner(context), { range, original, replacement });
+    res.json({ success: true, post: formatPostForResponse(post), revision });
+  } catch (error) {
+    sendRevisionError(res, error, 'Failed to apply inline edit');
+  }
+});
+
+// =============================================================================
+// STYLE GUIDE - Lint against the organization's style guide; apply the automatic fixes as a revision
+// =============================================================================
+router.get('/:id/style-lint', async (req, res) => {
+  try {
+    const context = extractUserContext(req);
+    validateUserContext(context);
+    const result = await lintPost(req.params.id, postOwner(context));
+    res.json({ success: true, ...result });
+  } catch (error) {
+    sendRevisionError(res, error, 'Style guide lint failed');
+  }
+});
+
+router.post('/:id/style-lint/fix', async (req, res) => {
+  try {
+    const context = extractUserContext(req);
+    validateUserContext(context);
+    const { post, revision, fixed, remaining } = await fixPost(req.params.id, postOwner(context));
+    res.json({ success: true, post: formatPostForResponse(post), revision, fixed, remaining });
+  } catch (error) {
+    sendRevisionError(res, error, 'Failed to apply style guide fixes');
+  }
+});
+
+// =============================================================================
+// INTERNAL LINKS - Anchor text + URL suggestions from the organization's pages and published posts
+// =============================================================================
+router.get('/:id/internal-link-suggestions', async (req, res) => {
+  try {
+    const context = extractUserContext(req);
+    validateUserContext(context);
+    const result = await suggestInternalLinksForPost(req.params.id, postOwner(context), { maxLinks: req.query.max_links });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    sendRevisionError(res, error, 'Failed to suggest internal links');
+  }
+});
+
 // =============================================================================
 // UPDATE POST - Update existing post
 // =============================================================================
@@ -954,75 +1136,51 @@ router.put('/:id', async (req, res) => {
       generation_metadata
     } = req.body;
     
-    // Build update query
-    const updateFields = [];
-    const params = [];
-    let paramIndex = 1;
-    
-    if (title !== undefined) {
-      updateFields.push(`title = $${paramIndex++}`);
-      params.push(title);
-    }
-    if (content !== undefined) {
-      updateFields.push(`content = $${paramIndex++}`);
-      params.push(content);
-    }
-    if (status !== undefined) {
-      updateFields.push(`status = $${paramIndex++}`);
-      params.push(status);
-    }
-    if (custom_feedback !== undefined) {
-      updateFields.push(`custom_feedback = $${paramIndex++}`);
-      params.push(custom_feedback);
-    }
-    if (topic_data !== undefined) {
-      updateFields.push(`topic_data = $${paramIndex++}`);
-      params.push(topic_data ? JSON.stringify(topic_data) : null);
-    }
+    // Columns to update; title/content changes are recorded as a revision (services/post-revisions.js)
+    const changes = {};
+    if (title !== undefined) changes.title = title;
+    if (content !== undefined) changes.content = content;
+    if (status !== undefined) changes.status = status;
+    if (custom_feedback !== undefined) changes.custom_feedback = custom_feedback;
+    if (topic_data !== undefined) changes.topic_data = topic_data ? JSON.stringify(topic_data) : null;
     if (generation_metadata !== undefined) {
-      updateFields.push(`generation_metadata = $${paramIndex++}`);
-      params.push(generation_metadata ? JSON.stringify(generation_metadata) : null);
+      changes.generation_metadata = generation_metadata ? JSON.stringify(generation_metadata) : null;
     }
-    
-    updateFields.push(`updated_at = NOW()`);
-    
-    // Add WHERE condition
-    let whereClause;
-    if (context.isAuthenticated) {
-      whereClause = `WHERE id = $${paramIndex++} AND user_id = $${paramIndex++}`;
-      params.push(id, context.userId);
-    } else {
-      whereClause = `WHERE id = $${paramIndex++} AND session_id = $${paramIndex++}`;
-      params.push(id, context.sessionId);
+
+    // Publishing metadata (slug, excerpt, SEO, featured image, tags, categories, author)
+    let publishingMetadata;
+    try {
+      publishingMetadata = normalizePublishingMetadata(req.body);
+    } catch (err) {
+      if (!(err instanceof ValidationError)) throw err;
+      return res.status(400).json({ success: false, error: 'Invalid publishing metadata', message: err.message, field: err.details?.field });
     }
-    
-    const query = `
-      UPDATE blog_posts 
-      SET ${updateFields.join(', ')} 
-      ${whereClause}
-      RETURNING *
-    `;
-    
-    const result = await db.query(query, params);
-    
-    if (result.rows.length === 0) {
+    Object.assign(changes, publishingMetadata);
+
+    let post;
+    try {
+      ({ post } = await updatePostWithRevision(id, changes, { owner: postOwner(context), source: 'manual_edit' }));
+    } catch (err) {
+      if (!(err instanceof NotFoundError)) throw err;
       return res.status(404).json({
         success: false,
         error: 'Post not found or access denied'
       });
     }
     
-    const post = result.rows[0];
-    
     console.log('✅ Post updated successfully:', {
       id: post.id,
       title: post.title,
       status: post.status
     });
     
+    // Report style-guide violations in edited text (null without a style guide)
+    const styleLint = title !== undefined || content !== undefined ? await lintSavedPost(post) : null;
+
     res.json({
       success: true,
-      post: formatPostForResponse(post)
+      post: formatPostForResponse(post),
+      style_lint: styleLint
     });
     
   } catch (error) {
@@ -1,14 +1,20 @@
 /**
- * Third-party publishing platform connections (WordPress, Medium, Substack, Ghost).
- * List, connect, disconnect. All endpoints require JWT except Medium OAuth callback.
+ * Third-party publishing platform connections (all 16 platforms).
+ * List, connect, disconnect, per-platform settings. All endpoints require JWT except the OAuth callbacks.
  * @see docs: Third-Party Publishing Services — Backend Handoff
  */
 import express from 'express';
 import jwt from 'jsonwebtoken';
 import crypto from 'crypto';
 import db from '../services/database.js';
-import oauthManager from '../services/oauth-manager.js';
-import { PLATFORM_KEYS, PLATFORM_LABELS, OAUTH_ONLY_PLATFORMS, normalizePlatformKey } from '../lib/publishing-platforms.js';
+import oauthManager, { publishingTokenExpiresAt } from '../services/oauth-manager.js';
+import { PLATFORM_KEYS, PLATFORM_LABELS, OAUTH_ONLY_PLATFORMS, getPublisher, normalizePlatformKey } from '../lib/publishing-platforms.js';
+import { DEFAULT_CONTENT_PATHS } from '../services/git-publish.js';
+import { getConnectionCredentials } from '../services/publishing-connections.js';
+import { CONTENTFUL_DEFAULT_FIELD_MAPPING } from '../services/contentful-publish.js';
+import { SANITY_DEFAULT_FIELD_MAPPING } from '../services/sanity-publish.js';
+import { WEBFLOW_DEFAULT_FIELD_MAPPING } from '../services/webflow-publish.js';
+import { resolveFieldMapping } from '../lib/cms-field-mapping.js';
 
 const router = express.Router();
 
@@ -57,30 +63,10 @@ const FRONTEND_BASE = () => (process.env.FRONTEND_URL || 'http://localhost:3000'
 const SUCCESS_REDIRECT = (platform) => `${FRONTEND_BASE()}/settings?publishing=connected&platform=${platform}`;
 const ERROR_REDIRECT = (message) => `${FRONTEND_BASE()}/settings?publishing=error&message=${encodeURIComponent(message)}`;
 
-/** Env var names per platform for fallback when no credentials in store. */
-const PUBLISHING_APP_ENV_KEYS = {
-  medium: ['MEDIUM_CLIENT_ID', 'MEDIUM_CLIENT_SECRET'],
-  shopify: ['SHOPIFY_CLIENT_ID', 'SHOPIFY_CLIENT_SECRET'],
-  webflow: ['WEBFLOW_CLIENT_ID', 'WEBFLOW_CLIENT_SECRET'],
-  squarespace: ['SQUARESPACE_CLIENT_ID', 'SQUARESPACE_CLIENT_SECRET'],
-  wix: ['WIX_APP_ID', 'WIX_APP_SECRET'],
-  hubspot: ['HUBSPOT_CLIENT_ID', 'HUBSPOT_CLIENT_SECRET'],
-  drupal: ['DRUPAL_CLIENT_ID', 'DRUPAL_CLIENT_SECRET']
-};
-
 /** Resolve OAuth app credentials: encrypted store first, then env. Returns { clientId, clientSecret } or null. */
 async function getPublishingAppCredentials(platformKey) {
-  const stored = await oauthManager.getPlatformPublishingAppCredentials(platformKey);
-  if (stored?.client_id && stored?.client_secret) {
-    return { clientId: stored.client_id, clientSecret: stored.client_secret };
-  }
-  const keys = PUBLISHING_APP_ENV_KEYS[platformKey];
-  if (!keys) return null;
-  const [idKey, secretKey] = keys;
-  const clientId = process.env[idKey];
-  const clientSecret = process.env[secretKey];
-  if (!clientId || !clientSecret) return null;
-  return { clientId, clientSecret };
+  const app = await oauthManager.resolvePublishingAppCredentials(platformKey);
+  return app ? { clientId: app.client_id, clientSecret: app.client_secret } : null;
 }
 
 function requireAuth(req, res, next) {
@@ -98,6 +84,45 @@ function normalizePlatform(platform) {
   return normalizePlatformKey(platform);
 }
 
+/**
+ * Test credentials with the platform's publisher adapter before saving a connection.
+ * Sends 400 with the adapter's message and resolves false when the platform rejects them.
+ */
+async function validateBeforeSave(platform, credentials, res) {
+  const publisher = getPublisher(platform);
+  if (!publisher) return true;
+  try {
+    await publisher.validateCredentials(credentials);
+    return true;
+  } catch (err) {
+    res.status(400).json({
+      success: false,
+      error: 'Connection test failed',
+      message: err?.message || `Could not verify ${PLATFORM_LABELS[platform]} credentials`
+    });
+    return false;
+  }
+}
+
+const CMS_DEFAULT_FIELD_MAPPINGS = {
+  contentful: CONTENTFUL_DEFAULT_FIELD_MAPPING,
+  sanity: SANITY_DEFAULT_FIELD_MAPPING,
+  webflow: WEBFLOW_DEFAULT_FIELD_MAPPING
+};
+
+/**
+ * Resolve a Contentful/Sanity/Webflow field_mapping against the platform defaults.
+ * Sends 400 and returns null when the mapping is invalid.
+ */
+function resolveCmsFieldMapping(platform, fieldMapping, res) {
+  try {
+    return resolveFieldMapping(fieldMapping, CMS_DEFAULT_FIELD_MAPPINGS[platform]);
+  } catch (err) {
+    res.status(400).json({ success: false, error: 'Invalid field mapping', message: err.message });
+    return null;
+  }
+}
+
 /** GET /connections — list all 16 platforms with connected true/false for the current user */
 router.get('/connections', requireAuth, async (req, res) => {
   try {
@@ -217,14 +242,14 @@ router.post('/connect', requireAuth, async (req, res) => {
       const wpUsername = typeof username === 'string' && username.trim() ? username.trim() : null;
       const url = String(site_url).trim().replace(/\/+$/, '');
       const useIndexPhpRestRoute = use_index_php_rest_route === true || use_index_php_rest_route === 'true';
-      const credentialsEncrypted = oauthManager.encryptToken(
-        JSON.stringify({
-          site_url: url,
-          username: wpUsername,
-          application_password: application_password.trim(),
-          useIndexPhpRestRoute: !!useIndexPhpRestRoute
-        })
-      );
+      const credentials = {
+        site_url: url,
+        username: wpUsername,
+        application_password: application_password.trim(),
+        useIndexPhpRestRoute: !!useIndexPhpRestRoute
+      };
+      if (!(await validateBeforeSave(platform, credentials, res))) return;
+      const credentialsEncrypted = oauthManager.encryptToken(JSON.stringify(credentials));
       await db.query(
         `INSERT INTO publishing_platform_connections
          (user_id, platform, credentials_encrypted, site_url, account, connected, updated_at)
@@ -251,9 +276,9 @@ router.post('/connect', requireAuth, async (req, res) => {
         });
       }
       const url = String(admin_url).trim().replace(/\/+$/, '');
-      const credentialsEncrypted = oauthManager.encryptToken(
-        JSON.stringify({ admin_url: url, admin_api_key: admin_api_key.trim() })
-      );
+      const credentials = { admin_url: url, admin_api_key: admin_api_key.trim() };
+      if (!(await validateBeforeSave(platform, credentials, res))) return;
+      const credentialsEncrypted = oauthManager.encryptToken(JSON.stringify(credentials));
       await db.query(
         `INSERT INTO publishing_platform_connections
          (user_id, platform, credentials_encrypted, site_url, connected, updated_at)
@@ -314,9 +339,9 @@ router.post('/connect', requireAuth, async (req, res) => {
         });
       }
       const pubUrl = publication_url && String(publication_url).trim();
-      const credentialsEncrypted = oauthManager.encryptToken(
-        JSON.stringify({ api_key: api_key.trim(), publication_url: pubUrl || null })
-      );
+      const credentials = { api_key: api_key.trim(), publication_url: pubUrl || null };
+      if (!(await validateBeforeSave(platform, credentials, res))) return;
+      const credentialsEncrypted = oauthManager.encryptToken(JSON.stringify(credentials));
       await db.query(
         `INSERT INTO publishing_platform_connections
          (user_id, platform, credentials_encrypted, site_url, account, connected, updated_at)
@@ -334,7 +359,7 @@ router.post('/connect', requireAuth, async (req, res) => {
     }
 
     if (platform === 'contentful') {
-      const { space_id, environment_id, management_token } = rest;
+      const { space_id, environment_id, management_token, content_type_id, locale, field_mapping } = rest;
       if (!space_id || typeof management_token !== 'string' || !management_token.trim()) {
         return res.status(400).json({
           success: false,
@@ -343,9 +368,18 @@ router.post('/connect', requireAuth, async (req, res) => {
         });
       }
       const envId = environment_id && String(environment_id).trim() ? String(environment_id).trim() : 'master';
-      const credentialsEncrypted = oauthManager.encryptToken(
-        JSON.stringify({ space_id: String(space_id).trim(), environment_id: envId, management_token: management_token.trim() })
-      );
+      const fieldMapping = resolveCmsFieldMapping(platform, field_mapping, res);
+      if (!fieldMapping) return;
+      const credentials = {
+        space_id: String(space_id).trim(),
+        environment_id: envId,
+        management_token: management_token.trim(),
+        content_type_id: content_type_id && String(content_type_id).trim() ? String(content_type_id).trim() : 'blogPost',
+        locale: locale && String(locale).trim() ? String(locale).trim() : 'en-US',
+        field_mapping: fieldMapping
+      };
+      if (!(await validateBeforeSave(platform, credentials, res))) return;
+      const credentialsEncrypted = oauthManager.encryptToken(JSON.stringify(credentials));
       const siteUrl = `https://app.contentful.com/spaces/${String(space_id).trim()}`;
       await db.query(
         `INSERT INTO publishing_platform_connections
@@ -363,7 +397,7 @@ router.post('/connect', requireAuth, async (req, res) => {
     }
 
     if (platform === 'sanity') {
-      const { project_id, dataset, api_token } = rest;
+      const { project_id, dataset, api_token, document_type, field_mapping, studio_url } = rest;
       if (!api_token || typeof api_token !== 'string' || !api_token.trim()) {
         return res.status(400).json({
           success: false,
@@ -373,9 +407,18 @@ router.post('/connect', requireAuth, async (req, res) => {
       }
       const projectId = project_id && String(project_id).trim() ? String(project_id).trim() : null;
       const datasetId = dataset && String(dataset).trim() ? String(dataset).trim() : 'production';
-      const credentialsEncrypted = oauthManager.encryptToken(
-        JSON.stringify({ project_id: projectId, dataset: datasetId, api_token: api_token.trim() })
-      );
+      const fieldMapping = resolveCmsFieldMapping(platform, field_mapping, res);
+      if (!fieldMapping) return;
+      const credentials = {
+        project_id: projectId,
+        dataset: datasetId,
+        api_token: api_token.trim(),
+        document_type: document_type && String(document_type).trim() ? String(document_type).trim() : 'post',
+        field_mapping: fieldMapping,
+        studio_url: studio_url && String(studio_url).trim() ? String(studio_url).trim().replace(/\/+$/, '') : null
+      };
+      if (!(await validateBeforeSave(platform, credentials, res))) return;
+      const credentialsEncrypted = oauthManager.encryptToken(JSON.stringify(credentials));
       const siteUrl = projectId ? `https://app.sanity.io/project/${projectId}` : null;
       await db.query(
         `INSERT INTO publishing_platform_connections
@@ -402,14 +445,14 @@ router.post('/connect', requireAuth, async (req, res) => {
         });
       }
       const repoUrl = String(repository_url).trim().replace(/\/+$/, '');
-      const credentialsEncrypted = oauthManager.encryptToken(
-        JSON.stringify({
-          repository_url: repoUrl,
-          access_token: access_token.trim(),
-          branch: branch && String(branch).trim() ? String(branch).trim() : 'main',
-          posts_path: posts_path && String(posts_path).trim() ? String(posts_path).trim() : '_posts'
-        })
-      );
+      const credentials = {
+        repository_url: repoUrl,
+        access_token: access_token.trim(),
+        branch: branch && String(branch).trim() ? String(branch).trim() : 'main',
+        posts_path: posts_path && String(posts_path).trim() ? String(posts_path).trim() : '_posts'
+      };
+      if (!(await validateBeforeSave(platform, credentials, res))) return;
+      const credentialsEncrypted = oauthManager.encryptToken(JSON.stringify(credentials));
       await db.query(
         `INSERT INTO publishing_platform_connections
          (user_id, platform, credentials_encrypted, site_url, connected, updated_at)
@@ -435,14 +478,49 @@ router.post('/connect', requireAuth, async (req, res) => {
         });
       }
       const repoUrl = String(repository_url).trim().replace(/\/+$/, '');
-      const credentialsEncrypted = oauthManager.encryptToken(
-        JSON.stringify({
-          repository_url: repoUrl,
-          access_token: access_token.trim(),
-          branch: branch && String(branch).trim() ? String(branch).trim() : 'main',
-          content_path: content_path && String(content_path).trim() ? String(content_path).trim() : 'content'
-        })
+      const credentials = {
+        repository_url: repoUrl,
+        access_token: access_token.trim(),
+        branch: branch && String(branch).trim() ? String(branch).trim() : 'main',
+        content_path: content_path && String(content_path).trim() ? String(content_path).trim() : 'content'
+      };
+      if (!(await validateBeforeSave(platform, credentials, res))) return;
+      const credentialsEncrypted = oauthManager.encryptToken(JSON.stringify(credentials));
+      await db.query(
+        `INSERT INTO publishing_platform_connections
+         (user_id, platform, credentials_encrypted, site_url, connected, updated_at)
+         VALUES ($1, $2, $3, $4, true, NOW())
+         ON CONFLICT (user_id, platform)
+         DO UPDATE SET
+           credentials_encrypted = EXCLUDED.credentials_encrypted,
+           site_url = EXCLUDED.site_url,
+           connected = true,
+           updated_at = NOW()`,
+        [userId, platform, credentialsEncrypted, repoUrl]
       );
+      return res.json({ success: true, platform });
+    }
+
+    // Hugo / Astro: same git-backed connection as Next.js; content_path defaults per generator
+    if (platform === 'hugo' || platform === 'astro') {
+      const { repository_url, access_token, branch, content_path } = rest;
+      const label = PLATFORM_LABELS[platform];
+      if (!repository_url || typeof access_token !== 'string' || !access_token.trim()) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid request',
+          message: `${label} connection requires repository_url and access_token`
+        });
+      }
+      const repoUrl = String(repository_url).trim().replace(/\/+$/, '');
+      const credentials = {
+        repository_url: repoUrl,
+        access_token: access_token.trim(),
+        branch: branch && String(branch).trim() ? String(branch).trim() : 'main',
+        content_path: content_path && String(content_path).trim() ? String(content_path).trim() : DEFAULT_CONTENT_PATHS[platform]
+      };
+      if (!(await validateBeforeSave(platform, credentials, res))) return;
+      const credentialsEncrypted = oauthManager.encryptToken(JSON.stringify(credentials));
       await db.query(
         `INSERT INTO publishing_platform_connections
          (user_id, platform, credentials_encrypted, site_url, connected, updated_at)
@@ -660,6 +738,127 @@ router.post('/connect', requireAuth, async (req, res) => {
   }
 });
 
+/**
+ * PUT /:platform/field-mapping — change the Contentful/Sanity/Webflow field mapping without reconnecting.
+ * Body: { field_mapping }. Merged over the platform defaults and re-validated against the CMS.
+ */
+router.put('/:platform/field-mapping', requireAuth, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const platform = normalizePlatform(req.params.platform);
+
+    if (!CMS_DEFAULT_FIELD_MAPPINGS[platform]) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid platform',
+        message: `Field mapping is supported for: ${Object.keys(CMS_DEFAULT_FIELD_MAPPINGS).join(', ')}`
+      });
+    }
+
+    const fieldMapping = resolveCmsFieldMapping(platform, req.body?.field_mapping, res);
+    if (!fieldMapping) return;
+
+    const existing = await getConnectionCredentials(userId, platform);
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not found',
+        message: `${PLATFORM_LABELS[platform]} is not connected for this account`
+      });
+    }
+
+    const credentials = { ...existing, field_mapping: fieldMapping };
+    if (!(await validateBeforeSave(platform, credentials, res))) return;
+    await db.query(
+      `UPDATE publishing_platform_connections
+       SET credentials_encrypted = $3, updated_at = NOW()
+       WHERE user_id = $1 AND platform = $2`,
+      [userId, platform, oauthManager.encryptToken(JSON.stringify(credentials))]
+    );
+
+    res.json({ success: true, platform, field_mapping: fieldMapping });
+  } catch (err) {
+    console.error('Update field mapping failed:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update field mapping',
+      message: err.message
+    });
+  }
+});
+
+/**
+ * PUT /:platform/settings — change publishing settings of an OAuth connection (e.g. Webflow collection_id,
+ * Wix member_id). Body: { settings: { key: string|null } }; keys are limited to the adapter's settings and
+ * null clears a value. The merged credentials are re-validated against the platform.
+ */
+router.put('/:platform/settings', requireAuth, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const platform = normalizePlatform(req.params.platform);
+    const allowed = getPublisher(platform)?.settings || [];
+
+    if (allowed.length === 0) {
+      const supported = [...PLATFORM_KEYS].filter((key) => getPublisher(key)?.settings?.length);
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid platform',
+        message: `Publishing settings are supported for: ${supported.join(', ')}`
+      });
+    }
+
+    const settings = req.body?.settings;
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+      return res.status(400).json({ success: false, error: 'Invalid settings', message: 'settings must be an object' });
+    }
+    const updates = {};
+    for (const [key, value] of Object.entries(settings)) {
+      if (!allowed.includes(key)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid settings',
+          message: `Unknown ${PLATFORM_LABELS[platform]} setting "${key}". Allowed: ${allowed.join(', ')}`
+        });
+      }
+      if (value !== null && typeof value !== 'string') {
+        return res.status(400).json({ success: false, error: 'Invalid settings', message: `${key} must be a string or null` });
+      }
+      updates[key] = value?.trim() || null;
+    }
+
+    const existing = await getConnectionCredentials(userId, platform);
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not found',
+        message: `${PLATFORM_LABELS[platform]} is not connected for this account`
+      });
+    }
+
+    const credentials = { ...existing, ...updates };
+    if (!(await validateBeforeSave(platform, credentials, res))) return;
+    await db.query(
+      `UPDATE publishing_platform_connections
+       SET credentials_encrypted = $3, updated_at = NOW()
+       WHERE user_id = $1 AND platform = $2`,
+      [userId, platform, oauthManager.encryptToken(JSON.stringify(credentials))]
+    );
+
+    res.json({
+      success: true,
+      platform,
+      settings: Object.fromEntries(allowed.map((key) => [key, credentials[key] ?? null]))
+    });
+  } catch (err) {
+    console.error('Update publishing settings failed:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update settings',
+      message: err.message
+    });
+  }
+});
+
 /** DELETE /:platform/disconnect — remove connection for the given platform */
 router.delete('/:platform/disconnect', requireAuth, async (req, res) => {
   try {
@@ -1012,7 +1211,11 @@ export async function squarespaceOAuthCallback(req, res) {
     const accessToken = data.access_token;
     if (!accessToken) throw new Error('Invalid response from Squarespace');
     return {
-      credentials: { access_token: accessToken, refresh_token: data.refresh_token || null },
+      credentials: {
+        access_token: accessToken,
+        refresh_token: data.refresh_token || null,
+        expires_at: publishingTokenExpiresAt(data, 'squarespace')
+      },
       site_url: undefined,
       site_name: undefined,
       account: 'Squarespace'
@@ -1051,7 +1254,11 @@ export async function wixOAuthCallback(req, res) {
     const accessToken = data.access_token;
     if (!accessToken) throw new Error('Invalid response from Wix');
     return {
-      credentials: { access_token: accessToken, refresh_token: data.refresh_token || null },
+      credentials: {
+        access_token: accessToken,
+        refresh_token: data.refresh_token || null,
+        expires_at: publishingTokenExpiresAt(data, 'wix')
+      },
       site_url: undefined,
       site_name: undefined,
       account: 'Wix'
@@ -1090,7 +1297,11 @@ export async function hubspotOAuthCallback(req, res) {
     const accessToken = data.access_token;
     if (!accessToken) throw new Error('Invalid response from HubSpot');
     return {
-      credentials: { access_token: accessToken, refresh_token: data.refresh_token || null, expires_in: data.expires_in },
+      credentials: {
+        access_token: accessToken,
+        refresh_token: data.refresh_token || null,
+        expires_at: publishingTokenExpiresAt(data, 'hubspot')
+      },
       site_url: undefined,
       site_name: undefined,
       account: 'HubSpot'
@@ -1150,7 +1361,14 @@ export async function drupalOAuthCallback(req, res) {
     const data = await tokenRes.json();
     const accessToken = data.access_token;
     if (!accessToken) return res.redirect(errorRedirect('Invalid response from Drupal'));
-    const credentialsEncrypted = oauthManager.encryptToken(JSON.stringify({ site_url: siteUrl, access_token: accessToken }));
+    const credentialsEncrypted = oauthManager.encryptToken(
+      JSON.stringify({
+        site_url: siteUrl,
+        access_token: accessToken,
+        refresh_token: data.refresh_token || null,
+        expires_at: publishingTokenExpiresAt(data, 'drupal')
+      })
+    );
     await db.query(
       `INSERT INTO publishing_platform_connections (user_id, platform, credentials_encrypted, site_url, site_name, account, connected, updated_at)
        VALUES ($1, 'drupal', $2, $3, $4, $5, true, NOW())
@@ -2,6 +2,7 @@ import { Router } from 'express';
 import crypto from 'crypto';
 import openaiService from '../services/openai.js';
 import db from '../services/database.js';
+import { scoreContent } from '../lib/seo-scorer.js';
 
 const router = Router();
 
@@ -803,6 +804,33 @@ Return analysis in this exact JSON structure:
 // Initialize service
 const seoAnalysisService = new ComprehensiveSEOAnalysisService();
 
+/**
+ * POST /api/v1/seo-analysis/local
+ * Deterministic SEO and readability score (no LLM call, nothing stored)
+ * Body: { content, title?, metaDescription?, keywords?: string[], siteUrl? }
+ */
+router.post('/local', (req, res) => {
+  const { content, title, metaDescription, keywords, siteUrl } = req.body || {};
+
+  if (typeof content !== 'string' || !content.trim()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Missing required field',
+      message: 'Content is required for analysis'
+    });
+  }
+  if (keywords !== undefined && !Array.isArray(keywords)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid keywords',
+      message: 'keywords must be an array of strings'
+    });
+  }
+
+  const analysis = scoreContent({ content, title, metaDescription, keywords, siteUrl });
+  res.json({ success: true, analysis });
+});
+
 /**
  * POST /api/v1/seo-analysis
  * Create comprehensive SEO analysis
@@ -7,6 +7,7 @@
 import express from 'express';
 import streamManager from '../services/stream-manager.js';
 import { writeSSE } from '../utils/streaming-helpers.js';
+import { connectionStreamKey, getLastEventId } from '../utils/stream-event-log.js';
 import { COOKIE_NAMES } from '../lib/auth-cookies.js';
 
 const router = express.Router();
@@ -48,7 +49,9 @@ function validateStreamAuth(authService, req) {
  * GET /api/v1/stream/:connectionId?token=JWT | ?sessionId=
  * Joins an existing stream by connectionId (returned from POST .../generate-stream).
  * Auth: ?token= (JWT) for logged-in users, or ?sessionId= for anonymous/session users.
- * Response: SSE stream of events for that connection.
+ * Response: SSE stream of events for that connection. Events carry ids; on reconnect with Last-Event-ID
+ * (or ?lastEventId=) the events missed since are replayed first. Token chunks (*-chunk) have no id and are not
+ * replayed; the completion events carry the full result.
  */
 function handleStreamByConnectionId(authService, req, res) {
   const connectionId = req.params.connectionId;
@@ -72,7 +75,10 @@ function handleStreamByConnectionId(authService, req, res) {
     userId: context.userId,
     sessionId: context.sessionId
   });
-  writeSSE(res, 'connected', { connectionId });
+  const lastEventId = getLastEventId(req);
+  writeSSE(res, 'connected', { connectionId, ...(lastEventId != null && { resumedFrom: lastEventId }) });
+  // Reconnect (EventSource sends Last-Event-ID): replay the events published while the client was away
+  streamManager.replayEvents(connectionId, connectionStreamKey(connectionId), lastEventId);
 }
 
 /**
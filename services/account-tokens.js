@@ -0,0 +1,167 @@
+/**
+ * Password reset and email verification. Tokens are random, single use and expiring; only their SHA-256 is stored
+ * (account_tokens), the token itself is only in the emailed link. Issuing a token supersedes the user's outstanding
+ * ones of the same purpose.
+ */
+import crypto from 'crypto';
+import bcrypt from 'bcrypt';
+import db from './database.js';
+import { InvariantViolation, NotFoundError, ValidationError } from '../lib/errors.js';
+
+// Loaded on first send: email.js builds the OpenAI client, which the publish gate below does not need
+const loadEmailService = () => import('./email.js').then((m) => m.default);
+
+const PASSWORD_RESET_TTL_MS = 60 * 60 * 1000; // the reset email says "expires in 1 hour"
+const EMAIL_VERIFICATION_TTL_MS = 24 * 60 * 60 * 1000;
+/** Minimum time between two emails of the same kind to one user. */
+const RESEND_INTERVAL_SECONDS = 60;
+const SALT_ROUNDS = 12;
+
+export const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+async function issueToken(client, userId, purpose, ttlMs) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  await client.query(
+    `UPDATE account_tokens SET expires_at = LEAST(expires_at, NOW())
+     WHERE user_id = $1 AND purpose = $2 AND used_at IS NULL`,
+    [userId, purpose]
+  );
+  await client.query(
+    `INSERT INTO account_tokens (user_id, purpose, token_hash, expires_at) VALUES ($1, $2, $3, $4)`,
+    [userId, purpose, hashToken(token), new Date(Date.now() + ttlMs)]
+  );
+  return token;
+}
+
+async function issuedRecently(userId, purpose) {
+  const result = await db.query(
+    `SELECT 1 FROM account_tokens
+     WHERE user_id = $1 AND purpose = $2 AND created_at > NOW() - make_interval(secs => $3)
+     LIMIT 1`,
+    [userId, purpose, RESEND_INTERVAL_SECONDS]
+  );
+  return result.rows.length > 0;
+}
+
+/** Mark a valid token used (atomically, so it works once) and return its user id, or null. */
+async function consumeToken(client, token, purpose) {
+  const result = await client.query(
+    `UPDATE account_tokens SET used_at = NOW()
+     WHERE token_hash = $1 AND purpose = $2 AND used_at IS NULL AND expires_at > NOW()
+     RETURNING user_id`,
+    [hashToken(token), purpose]
+  );
+  return result.rows[0]?.user_id ?? null;
+}
+
+/**
+ * Email a password reset link. Does nothing for unknown or inactive addresses (the caller answers the same either way)
+ * or when a link was sent less than RESEND_INTERVAL_SECONDS ago.
+ * @param {string} email - normalized (lowercase)
+ * @returns {Promise<{ sent: boolean }>}
+ */
+export async function requestPasswordReset(email) {
+  const result = await db.query(
+    `SELECT id, email FROM users WHERE LOWER(email) = $1 AND status = 'active'`,
+    [email]
+  );
+  const user = result.rows[0];
+  if (!user || (await issuedRecently(user.id, 'password_reset'))) return { sent: false };
+
+  const token = await db.transaction((client) => issueToken(client, user.id, 'password_reset', PASSWORD_RESET_TTL_MS));
+  await (await loadEmailService()).sendPasswordReset(user.email, token);
+  return { sent: true };
+}
+
+/**
+ * Set a new password with a reset token. Following the emailed link also confirms the address.
+ * @throws {ValidationError} token unknown, expired or already used
+ * @returns {Promise<{ userId: string }>}
+ */
+export async function resetPassword(token, newPassword) {
+  const passwordHash = await bcrypt.hash(newPassword, SALT_ROUNDS);
+  const userId = await db.transaction(async (client) => {
+    const id = await consumeToken(client, token, 'password_reset');
+    if (!id) return null;
+    await client.query(
+      `UPDATE users SET password_hash = $1, email_verified_at = COALESCE(email_verified_at, NOW()), updated_at = NOW()
+       WHERE id = $2`,
+      [passwordHash, id]
+    );
+    await client.query(
+      `UPDATE account_tokens SET expires_at = LEAST(expires_at, NOW())
+       WHERE user_id = $1 AND purpose = 'password_reset' AND used_at IS NULL`,
+      [id]
+    );
+    return id;
+  });
+  if (!userId) {
+    throw new ValidationError('Invalid or expired token', 'This password reset link is invalid, expired or has already been used. Request a new one.');
+  }
+
+  loadEmailService()
+    .then((emailService) => emailService.sendPasswordChangeConfirmation(userId))
+    .catch((err) => console.error('Failed to send password change confirmation:', err));
+  return { userId };
+}
+
+/**
+ * Email a verification link to the user's address.
+ * @param {string} userId
+ * @param {{ throttle?: boolean }} [options] - throttle: refuse within RESEND_INTERVAL_SECONDS of the previous link
+ * @throws {NotFoundError} unknown user
+ * @throws {InvariantViolation} 429 when throttled
+ * @returns {Promise<{ sent: boolean, alreadyVerified: boolean }>}
+ */
+export async function sendVerificationEmail(userId, { throttle = true } = {}) {
+  const result = await db.query('SELECT id, email_verified_at FROM users WHERE id = $1', [userId]);
+  const user = result.rows[0];
+  if (!user) throw new NotFoundError('User not found', 'user');
+  if (user.email_verified_at) return { sent: false, alreadyVerified: true };
+  if (throttle && (await issuedRecently(userId, 'email_verification'))) {
+    throw new InvariantViolation(`A verification email was sent less than ${RESEND_INTERVAL_SECONDS} seconds ago. Please wait before requesting another.`, 429);
+  }
+
+  const token = await db.transaction((client) => issueToken(client, userId, 'email_verification', EMAIL_VERIFICATION_TTL_MS));
+  await (await loadEmailService()).sendEmailVerification(userId, token);
+  return { sent: true, alreadyVerified: false };
+}
+
+/**
+ * Confirm the email address of the token's user.
+ * @throws {ValidationError} token unknown, expired or already used
+ * @returns {Promise<{ userId: string }>}
+ */
+export async function verifyEmail(token) {
+  const userId = await db.transaction(async (client) => {
+    const id = await consumeToken(client, token, 'email_verification');
+    if (id) {
+      await client.query(
+        'UPDATE users SET email_verified_at = COALESCE(email_verified_at, NOW()), updated_at = NOW() WHERE id = $1',
+        [id]
+      );
+    }
+    return id;
+  });
+  if (!userId) {
+    throw new ValidationError('Invalid or expired token', 'This verification link is invalid, expired or has already been used. Request a new one.');
+  }
+  return { userId };
+}
+
+/** REQUIRE_EMAIL_VERIFICATION_TO_PUBLISH=true: unverified users cannot publish. */
+export function isVerificationRequiredToPublish() {
+  return process.env.REQUIRE_EMAIL_VERIFICATION_TO_PUBLISH === 'true';
+}
+
+/**
+ * Refuse to publish for a user whose address is not confirmed, when the deployment requires it.
+ * @throws {InvariantViolation} 403
+ */
+export async function assertEmailVerifiedForPublishing(userId) {
+  if (!isVerificationRequiredToPublish()) return;
+  const result = await db.query('SELECT email_verified_at FROM users WHERE id = $1', [userId]);
+  if (!result.rows[0]?.email_verified_at) {
+    throw new InvariantViolation('Email not verified: confirm your email address before publishing. A new link can be requested from POST /api/v1/auth/resend-verification.', 403);
+  }
+}
@@ -0,0 +1,31 @@
+/**
+ * Publish a post to an Astro site by committing a new file to the repo.
+ * Requires repository_url, access_token, branch, content_path (stored in connection; default src/content/blog).
+ * Uses the GitHub contents API (services/git-publish.js) to create/update a file in the content collection.
+ * @see ASTRO_PUBLISHING_BACKEND_HANDOFF in frontend docs/publishing
+ */
+import { createGitPublisher, publishToGitRepository, unpublishFromGitRepository } from './git-publish.js';
+
+/**
+ * Publish a post to Astro (commit slug.md with title/description/pubDate front matter).
+ * @param {object} credentials - { repository_url, access_token, branch, content_path }
+ * @param {object} post - { title, content, date? }
+ * @param {{ draft?: boolean, path?: string }} [opts] - draft adds draft: true to front matter; path (id from an earlier publish) updates that file in place
+ * @returns {Promise<{ url: string, id: string, commit_sha: string, file_url: string }>} url is the commit URL; id is the file path
+ */
+export async function publishToAstro(credentials, post, opts = {}) {
+  return publishToGitRepository('astro', credentials, post, opts);
+}
+
+/**
+ * Unpublish from Astro by deleting the committed file.
+ * @param {object} credentials - same as publish
+ * @param {string} path - file path returned as id at publish time
+ * @returns {Promise<{ id: string, status: 'deleted'|'gone', commit_url: string|null }>}
+ */
+export async function unpublishFromAstro(credentials, path) {
+  return unpublishFromGitRepository('astro', credentials, path);
+}
+
+/** Publisher adapter (see lib/publishing-platforms.js). */
+export const astroPublisher = createGitPublisher('astro');
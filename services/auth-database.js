@@ -724,6 +724,7 @@ class DatabaseAuthService {
           usageLimit: user.usage_limit,
           currentUsage: user.current_usage,
           lastLoginAt: user.last_login_at,
+          emailVerified: !!user.email_verified_at,
           role: user.role_name || user.role || 'user',
           permissions: user.permissions || [],
           hierarchyLevel: user.hierarchy_level || 10
@@ -0,0 +1,490 @@
+/**
+ * Bulk content generation: a topic list or CSV upload (topic, keyword, audience, CTA, publish date) becomes a
+ * content_generation_batch job, which fans out one content_generation child job per row. The batch's progress and
+ * result (a link to each generated post, per-row failures) are rebuilt from its children each time one finishes;
+ * the last child to finish finishes the batch. Rows with a publish date get their post scheduled on the batch's
+ * platforms once it is saved (services/publish-schedule.js).
+ */
+
+import db from './database.js';
+import billingService from './billing.js';
+import { BATCH_JOB_TYPE, createJob } from './job-queue.js';
+import { decodeText } from './content-importers.js';
+import { assertEmailVerifiedForPublishing } from './account-tokens.js';
+import { assertPublishAllowed } from './editorial-review.js';
+import { loadPost, publishPostToPlatforms } from './post-publishing.js';
+import { isValidTimeZone, resolveScheduledAt } from './publish-schedule.js';
+import { InvariantViolation, ValidationError } from '../lib/errors.js';
+import { PLATFORM_LABELS, getConnectedPlatforms } from '../lib/publishing-platforms.js';
+
+/** Rows (posts) one batch may contain. */
+export const MAX_BULK_ROWS = 100;
+const MAX_TOPIC_LENGTH = 500; // blog_posts.title
+/** Local time (in the batch's timezone) a post with a date-only publish date is scheduled at. */
+const DEFAULT_PUBLISH_TIME = '09:00';
+
+/** Accepted CSV headers / topic object keys per field, after normalizeColumnName. */
+const COLUMN_ALIASES = Object.freeze({
+  topic: ['topic', 'title', 'topic_title', 'headline'],
+  keyword: ['keyword', 'keywords', 'focus_keyword', 'primary_keyword'],
+  audience: ['audience', 'target_audience'],
+  cta: ['cta', 'cta_text', 'call_to_action'],
+  ctaUrl: ['cta_url', 'cta_link', 'call_to_action_url'],
+  publishDate: ['publish_date', 'publish_on', 'publish_at', 'date']
+});
+
+/** "Publish Date", "publishDate", "publish-date" → "publish_date". */
+function normalizeColumnName(name) {
+  return String(name)
+    .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '');
+}
+
+function fieldForColumn(name) {
+  const normalized = normalizeColumnName(name);
+  return Object.keys(COLUMN_ALIASES).find((field) => COLUMN_ALIASES[field].includes(normalized)) ?? null;
+}
+
+/**
+ * Split CSV text into records of fields (RFC 4180: quoted fields may hold commas, doubled quotes and line breaks).
+ * Blank lines are dropped; each record keeps its 1-based line number.
+ * @param {string} text
+ * @returns {Array<{ line: number, fields: string[] }>}
+ */
+export function parseCsv(text) {
+  const records = [];
+  let fields = [];
+  let field = '';
+  let inQuotes = false;
+  let line = 1;
+  let recordLine = 1;
+  const endRecord = () => {
+    fields.push(field);
+    if (fields.some((f) => f.trim() !== '')) records.push({ line: recordLine, fields: fields.map((f) => f.trim()) });
+    fields = [];
+    field = '';
+  };
+
+  const source = String(text).replace(/^\uFEFF/, '');
+  for (let i = 0; i < source.length; i++) {
+    const c = source[i];
+    if (inQuotes) {
+      if (c === '"' && source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (c === '"') {
+        inQuotes = false;
+      } else {
+        if (c === '\n') line++;
+        field += c;
+      }
+    } else if (c === '"') {
+      inQuotes = true;
+    } else if (c === ',') {
+      fields.push(field);
+      field = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && source[i + 1] === '\n') i++;
+      endRecord();
+      line++;
+      recordLine = line;
+    } else {
+      field += c;
+    }
+  }
+  endRecord();
+  return records;
+}
+
+/** YYYY-MM-DD for date-only values, ISO 8601 otherwise; null when unparseable. */
+function normalizePublishDate(value) {
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    const date = new Date(`${value}T00:00:00Z`);
+    return Number.isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== value ? null : value;
+  }
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Validate one row's fields.
+ * @returns {{ row: number, topic: string, keyword: string|null, audience: string|null, cta: string|null, ctaUrl: string|null, publishDate: string|null }
+ *   | { row: number, topic: string|null, error: string }}
+ */
+function validateRow(fields, row) {
+  const value = (field) => {
+    const v = fields[field];
+    return v == null || String(v).trim() === '' ? null : String(v).trim();
+  };
+  const topic = value('topic');
+  if (!topic) return { row, topic: null, error: 'topic is required' };
+  if (topic.length > MAX_TOPIC_LENGTH) return { row, topic, error: `topic is longer than ${MAX_TOPIC_LENGTH} characters` };
+
+  const publishDate = value('publishDate') && normalizePublishDate(value('publishDate'));
+  if (value('publishDate') && !publishDate) {
+    return { row, topic, error: `Invalid publish date "${value('publishDate')}": expected YYYY-MM-DD or an ISO 8601 date` };
+  }
+  const ctaUrl = value('ctaUrl');
+  if (ctaUrl && !/^https?:\/\//i.test(ctaUrl)) return { row, topic, error: 'cta_url must be an http(s) URL' };
+
+  return {
+    row,
+    topic,
+    keyword: value('keyword'),
+    audience: value('audience'),
+    cta: value('cta'),
+    ctaUrl,
+    publishDate: publishDate || null
+  };
+}
+
+function splitRows(validated) {
+  if (validated.length === 0) throw new InvariantViolation('No rows: provide at least one topic', 400);
+  if (validated.length > MAX_BULK_ROWS) {
+    throw new InvariantViolation(`Too many rows: ${validated.length} (at most ${MAX_BULK_ROWS} per batch)`, 400);
+  }
+  const rows = validated.filter((r) => !r.error);
+  const invalid = validated.filter((r) => r.error);
+  if (rows.length === 0) {
+    const reasons = invalid.slice(0, 5).map((r) => `row ${r.row}: ${r.error}`).join('; ');
+    throw new InvariantViolation(`No valid rows (${reasons})`, 400);
+  }
+  return { rows, invalid };
+}
+
+/**
+ * Rows from a CSV upload. The header row names the columns (topic required; keyword, audience, cta, cta_url,
+ * publish_date optional; unknown columns ignored). Row numbers are spreadsheet line numbers (header = 1).
+ * @param {Buffer|string} csv
+ * @returns {{ rows: object[], invalid: Array<{ row: number, topic: string|null, error: string }> }}
+ * @throws {InvariantViolation} 400 without a topic column, without valid rows or with more than MAX_BULK_ROWS rows
+ */
+export function parseBulkCsv(csv) {
+  const records = parseCsv(Buffer.isBuffer(csv) ? decodeText(csv) : csv);
+  if (records.length === 0) throw new InvariantViolation('The CSV file is empty', 400);
+  const [header, ...data] = records;
+  const columns = header.fields.map(fieldForColumn);
+  if (!columns.includes('topic')) {
+    throw new InvariantViolation('The CSV header must have a topic column (topic, keyword, audience, cta, publish_date)', 400);
+  }
+  return splitRows(data.map(({ line, fields }) => {
+    const byField = {};
+    columns.forEach((field, i) => {
+      if (field && byField[field] == null) byField[field] = fields[i];
+    });
+    return validateRow(byField, line);
+  }));
+}
+
+/**
+ * Rows from a JSON topic list: strings, or objects with the CSV columns as keys (camelCase or snake_case).
+ * Row numbers are 1-based positions in the list.
+ * @param {Array<string|object>} topics
+ * @throws {InvariantViolation} 400 when not an array, without valid rows or with more than MAX_BULK_ROWS rows
+ */
+export function parseBulkTopics(topics) {
+  if (!Array.isArray(topics)) throw new InvariantViolation('topics must be an array', 400);
+  return splitRows(topics.map((item, i) => {
+    if (typeof item === 'string') return validateRow({ topic: item }, i + 1);
+    const byField = {};
+    for (const [key, v] of Object.entries(item && typeof item === 'object' ? item : {})) {
+      const field = fieldForColumn(key);
+      if (field && byField[field] == null) byField[field] = v;
+    }
+    return validateRow(byField, i + 1);
+  }));
+}
+
+/** The organization, when the user owns it or is a member. */
+async function getOrganizationForUser(organizationId, userId) {
+  const result = await db.query(
+    `SELECT o.id, o.business_type, o.target_audience
+     FROM organizations o
+     WHERE o.id = $1
+       AND (o.owner_user_id = $2 OR EXISTS (
+         SELECT 1 FROM organization_members om WHERE om.organization_id = o.id AND om.user_id = $2
+       ))`,
+    [organizationId, userId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Platforms and timezone to schedule dated rows with; null when no row has a publish date.
+ * @throws {InvariantViolation} 400 when dated rows have no platforms, or on an unknown or unconnected platform or an
+ *   unknown timezone
+ */
+async function resolveBatchSchedule(userId, rows, schedule) {
+  if (!rows.some((r) => r.publishDate)) return null;
+  const platforms = [...new Set((Array.isArray(schedule?.platforms) ? schedule.platforms : []).map((p) => String(p).trim().toLowerCase()))];
+  if (platforms.length === 0) {
+    throw new InvariantViolation('Rows with a publish_date need platforms to schedule the posts on', 400);
+  }
+  const unknown = platforms.filter((p) => !PLATFORM_LABELS[p]);
+  if (unknown.length > 0) throw new InvariantViolation(`Unknown platforms: ${unknown.join(', ')}`, 400);
+  const connected = await getConnectedPlatforms(userId);
+  const notConnected = platforms.filter((p) => !connected.has(p));
+  if (notConnected.length > 0) {
+    throw new InvariantViolation(`Platforms not connected for your account. Connect them in Settings first: ${notConnected.join(', ')}`, 400);
+  }
+  const timezone = schedule?.timezone || 'UTC';
+  if (!isValidTimeZone(timezone)) throw new InvariantViolation(`Unknown timezone: ${timezone}`, 400);
+  return { platforms, timezone };
+}
+
+/** Give dated rows the instant their post is scheduled at; rows whose date is not in the future become invalid. */
+function scheduleRows(rows, invalid, schedule) {
+  if (!schedule) return { rows, invalid };
+  const scheduled = [];
+  const rejected = [...invalid];
+  for (const r of rows) {
+    if (!r.publishDate) {
+      scheduled.push(r);
+      continue;
+    }
+    try {
+      const local = /^\d{4}-\d{2}-\d{2}$/.test(r.publishDate) ? `${r.publishDate}T${DEFAULT_PUBLISH_TIME}` : r.publishDate;
+      scheduled.push({ ...r, scheduledAt: resolveScheduledAt(local, schedule.timezone).scheduledAt.toISOString() });
+    } catch (err) {
+      if (!(err instanceof ValidationError)) throw err;
+      rejected.push({ row: r.row, topic: r.topic, error: `publish_date: ${err.message}` });
+    }
+  }
+  if (scheduled.length === 0) return splitRows(rejected.sort((a, b) => a.row - b.row));
+  return { rows: scheduled, invalid: rejected.sort((a, b) => a.row - b.row) };
+}
+
+/**
+ * Create a batch job for parsed rows. Refuses up front when the user has fewer credits than rows; each post still
+ * uses its credit when its child job saves it. Rows with a publish date are scheduled on schedule.platforms at that
+ * date (date-only values at DEFAULT_PUBLISH_TIME in schedule.timezone, default UTC); past dates make the row invalid.
+ * @param {string} userId
+ * @param {{ organizationId: string, rows: object[], invalid?: object[], additionalInstructions?: string|null, options?: object,
+ *   schedule?: { platforms?: string[], timezone?: string }|null }} batch
+ * @returns {Promise<{ jobId: string, totalRows: number, queuedRows: number, invalidRows: object[] }>}
+ * @throws {InvariantViolation} 404 unknown or inaccessible organization, 402 not enough credits, 400 invalid schedule,
+ *   403 dated rows while the user's email must be verified to publish
+ */
+export async function createBulkGenerationJob(userId, {
+  organizationId,
+  rows: parsedRows,
+  invalid: parsedInvalid = [],
+  additionalInstructions = null,
+  options = {},
+  schedule: requestedSchedule = null
+}) {
+  const schedule = await resolveBatchSchedule(userId, parsedRows, requestedSchedule);
+  if (schedule) await assertEmailVerifiedForPublishing(userId);
+  const { rows, invalid } = scheduleRows(parsedRows, parsedInvalid, schedule);
+
+  const organization = await getOrganizationForUser(organizationId, userId);
+  if (!organization) throw new InvariantViolation('Organization not found or access denied', 404);
+
+  if (!(await billingService.hasCredits(userId, rows.length))) {
+    throw new InvariantViolation(`Insufficient credits: this batch needs ${rows.length} credits, one per post`, 402);
+  }
+
+  const input = {
+    organizationId,
+    businessInfo: {
+      businessType: organization.business_type || 'Business',
+      targetAudience: organization.target_audience || 'General'
+    },
+    rows,
+    invalidRows: invalid,
+    additionalInstructions,
+    options,
+    ...(schedule && rows.some((r) => r.scheduledAt) && { schedule })
+  };
+  const { jobId } = await createJob(BATCH_JOB_TYPE, input, { userId, sessionId: null, tenantId: organizationId });
+  return { jobId, totalRows: rows.length + invalid.length, queuedRows: rows.length, invalidRows: invalid };
+}
+
+/** content_generation input for one row of a batch. */
+function childJobInput(batch, row, parentJobId) {
+  const instructions = [
+    batch.additionalInstructions,
+    row.keyword && `Target the keyword "${row.keyword}".`
+  ].filter(Boolean).join('\n');
+  return {
+    topic: { title: row.topic, ...(row.keyword && { keywords: [row.keyword] }) },
+    businessInfo: row.audience ? { ...batch.businessInfo, targetAudience: row.audience } : batch.businessInfo,
+    organizationId: batch.organizationId,
+    additionalInstructions: instructions || null,
+    options: { ...batch.options },
+    ...(row.cta && { ctas: [{ text: row.cta, ...(row.ctaUrl && { href: row.ctaUrl }) }] }),
+    batch: {
+      parentJobId,
+      row: row.row,
+      publishDate: row.publishDate,
+      ...(row.scheduledAt && batch.schedule && { scheduledAt: row.scheduledAt, ...batch.schedule })
+    }
+  };
+}
+
+/**
+ * Worker: schedule the saved post of a dated batch row on the batch's platforms; published right away when its
+ * time passed while the row waited in the queue. In organizations that require review the generated draft is
+ * not approved yet, so it is left unscheduled; so is it while the user's email must still be verified.
+ * @param {string} userId
+ * @param {string} postId
+ * @param {{ scheduledAt: string, platforms: string[], timezone: string }} batch - the child job's input.batch
+ * @returns {Promise<{ scheduledAt: string|null, platforms: Array<{ platform: string, status: string, message?: string }> }
+ *   | { error: string }>} stored as the child job's result.schedule
+ */
+export async function scheduleBatchPost(userId, postId, { scheduledAt, platforms, timezone }) {
+  try {
+    await assertEmailVerifiedForPublishing(userId);
+    await assertPublishAllowed(await loadPost(userId, postId));
+  } catch (err) {
+    if (err instanceof InvariantViolation) return { error: `Not scheduled: ${err.message}` };
+    throw err;
+  }
+  const at = new Date(scheduledAt);
+  const due = at.getTime() <= Date.now();
+  const { publications } = await publishPostToPlatforms(userId, postId, { platforms, ...(!due && { scheduledAt: at, timezone }) });
+  return {
+    scheduledAt: due ? null : at.toISOString(),
+    platforms: publications
+      .filter((p) => platforms.includes(p.platform))
+      .map(({ platform, status, message }) => ({ platform, status, ...(message && { message }) }))
+  };
+}
+
+/** Latest child job of each row of a batch. */
+async function getLatestChildren(parentJobId) {
+  const result = await db.query(
+    `SELECT DISTINCT ON ((input->'batch'->>'row')::int)
+            id, status, error, error_code, (input->'batch'->>'row')::int AS row,
+            result->'savedPost'->>'id' AS post_id,
+            COALESCE(result->'savedPost'->>'title', result->'data'->>'title') AS title,
+            result->'schedule' AS schedule
+     FROM jobs
+     WHERE parent_job_id = $1
+     ORDER BY (input->'batch'->>'row')::int, created_at DESC`,
+    [parentJobId]
+  );
+  return result.rows;
+}
+
+/**
+ * Worker: create a child job for each row of a running batch that has none yet, or whose child failed (so retrying a
+ * batch only regenerates its failed rows).
+ * @param {object} row - the batch's jobs row
+ * @returns {Promise<{ created: number }>}
+ * @throws {Error} code INSUFFICIENT_CREDITS when the user no longer has a credit per remaining row
+ */
+export async function fanOutBatch(row) {
+  const batch = row.input || {};
+  const children = new Map((await getLatestChildren(row.id)).map((child) => [child.row, child]));
+  const pending = (batch.rows || []).filter((r) => !children.has(r.row) || children.get(r.row).status === 'failed');
+  if (pending.length === 0) return { created: 0 };
+
+  if (!(await billingService.hasCredits(row.user_id, pending.length))) {
+    const err = new Error(`Insufficient credits: ${pending.length} posts need ${pending.length} credits`);
+    err.code = 'INSUFFICIENT_CREDITS';
+    throw err;
+  }
+  for (const r of pending) {
+    await createJob(
+      'content_generation',
+      childJobInput(batch, r, row.id),
+      { userId: row.user_id, sessionId: null, tenantId: batch.organizationId, parentJobId: row.id },
+      { priority: 'background' }
+    );
+  }
+  return { created: pending.length };
+}
+
+const postUrl = (postId) => `${process.env.FRONTEND_URL || ''}/posts/${postId}`;
+
+/**
+ * Batch summary from its rows and their latest child jobs. Invalid rows count as failed; a child that generated a
+ * post but could not save it too.
+ * @param {object} batch - the batch's input
+ * @param {object[]} children - getLatestChildren rows
+ */
+export function summarizeBatch(batch, children) {
+  const byRow = new Map(children.map((child) => [child.row, child]));
+  const rows = (batch.rows || []).map((r) => {
+    const child = byRow.get(r.row);
+    const entry = {
+      row: r.row,
+      topic: r.topic,
+      keyword: r.keyword ?? null,
+      publishDate: r.publishDate ?? null,
+      jobId: child?.id ?? null,
+      status: child?.status ?? 'queued'
+    };
+    if (child?.status === 'succeeded' && !child.post_id) {
+      return { ...entry, status: 'failed', error: 'The post was generated but could not be saved', errorCode: null };
+    }
+    if (child?.status === 'succeeded') {
+      return { ...entry, postId: child.post_id, title: child.title ?? r.topic, postUrl: postUrl(child.post_id), schedule: child.schedule ?? null };
+    }
+    if (child?.status === 'failed') return { ...entry, error: child.error || 'Job failed', errorCode: child.error_code ?? null };
+    return entry;
+  });
+  const invalid = (batch.invalidRows || []).map((r) => ({
+    row: r.row,
+    topic: r.topic ?? null,
+    jobId: null,
+    status: 'failed',
+    error: r.error,
+    errorCode: 'INVALID_ROW'
+  }));
+  const all = [...rows, ...invalid].sort((a, b) => a.row - b.row);
+
+  const succeeded = rows.filter((r) => r.status === 'succeeded').length;
+  const failedRows = rows.filter((r) => r.status === 'failed').length;
+  const finished = succeeded + failedRows;
+  return {
+    total: all.length,
+    succeeded,
+    failed: failedRows + invalid.length,
+    pending: rows.length - finished,
+    progress: rows.length ? Math.round((finished / rows.length) * 100) : 100,
+    posts: all.filter((r) => r.status === 'succeeded')
+      .map(({ row, postId, title, postUrl: url, publishDate, schedule }) => ({ row, postId, title, postUrl: url, publishDate, schedule })),
+    failures: all.filter((r) => r.status === 'failed').map(({ row, topic, jobId, error, errorCode }) => ({ row, topic, jobId, error, errorCode })),
+    rows: all
+  };
+}
+
+/**
+ * Recompute a running batch's progress and summary (stored as its result) from its children. When no row is
+ * pending, finish it: succeeded when at least one post was generated, failed otherwise or when it was cancelled.
+ * Only the caller whose update finishes the batch gets finished: true.
+ * @param {string} parentJobId
+ * @returns {Promise<null | { summary: object, finished: boolean, status: string, error: string|null }>}
+ *   null when the batch is not running
+ */
+export async function settleBatch(parentJobId) {
+  const parent = (await db.query(`SELECT id, status, input, cancelled_at FROM jobs WHERE id = $1`, [parentJobId])).rows[0];
+  if (!parent || parent.status !== 'running') return null;
+
+  const summary = summarizeBatch(parent.input || {}, await getLatestChildren(parentJobId));
+  if (summary.pending > 0) {
+    const done = summary.total - summary.pending;
+    await db.query(
+      `UPDATE jobs SET progress = $2, current_step = $3, result = $4, updated_at = NOW()
+       WHERE id = $1 AND status = 'running'`,
+      [parentJobId, Math.min(99, summary.progress), `${done} of ${summary.total} posts done`, summary]
+    );
+    return { summary, finished: false, status: 'running', error: null };
+  }
+
+  const cancelled = parent.cancelled_at != null;
+  const status = !cancelled && summary.succeeded > 0 ? 'succeeded' : 'failed';
+  const error = cancelled ? 'Cancelled' : (status === 'failed' ? `All ${summary.total} rows failed` : null);
+  const updated = await db.query(
+    `UPDATE jobs SET status = $2, progress = 100, current_step = NULL, estimated_seconds_remaining = NULL,
+            result = $3, error = $4, finished_at = NOW(), updated_at = NOW()
+     WHERE id = $1 AND status = 'running'
+     RETURNING id`,
+    [parentJobId, status, summary, error]
+  );
+  return { summary, finished: updated.rows.length > 0, status, error };
+}
@@ -18,6 +18,7 @@ export const CONTENT_CALENDAR_PHASES = Object.freeze([
 import openaiService from './openai.js';
 import googleContentOptimizer from './google-content-optimizer.js';
 import googleTrendsService from './google-trends.js';
+import { annotateCalendarIdeas } from './topic-overlap.js';
 
 /** Delay between Google Trends API calls to avoid rate limits (ms). */
 const TRENDS_FETCH_DELAY_MS = 2000;
@@ -221,13 +222,22 @@ export async function generateAndSaveContentCalendar(strategyId, userId = null)
       // Continue without Google data
     }
 
-    const ideas = await openaiService.generateContentCalendarIdeas(audience, orgContext, seoKeywords, googleData);
+    let ideas = await openaiService.generateContentCalendarIdeas(audience, orgContext, seoKeywords, googleData);
 
     if (!Array.isArray(ideas) || ideas.length < 1) {
       console.warn(`Content calendar produced no ideas for strategy ${strategyId}, not persisting`);
       return { strategyId, success: false, error: 'No ideas generated' };
     }
 
+    if (audience.organization_id) {
+      try {
+        ideas = await annotateCalendarIdeas(audience.organization_id, strategyId, ideas);
+      } catch (error) {
+        console.error('⚠️ Topic overlap check failed for calendar:', error.message);
+        // Save the ideas without overlap annotations
+      }
+    }
+
     const trendingSnapshot = googleData?.trending?.length
       ? googleData.trending.map((t) => ({ query: t.query, value: t.value }))
       : null;
@@ -1,6 +1,7 @@
 import { v4 as uuidv4 } from 'uuid';
 import db from './database.js';
 import { NotFoundError } from '../lib/errors.js';
+import { updatePostWithRevision } from './post-revisions.js';
 
 /**
  * Content Management Service
@@ -333,21 +334,19 @@ class ContentService {
   async updateBlogPost(postId, userId, updates) {
     try {
       if (this.databaseAvailable && this.useDatabaseStorage) {
-        const result = await db.query(`
-          UPDATE blog_posts 
-          SET title = COALESCE($1, title),
-              content = COALESCE($2, content),
-              status = COALESCE($3, status),
-              updated_at = NOW()
-          WHERE id = $4 AND user_id = $5
-          RETURNING id, title, status, updated_at
-        `, [updates.title, updates.content, updates.status, postId, userId]);
-
-        if (result.rows.length === 0) {
-          throw new NotFoundError('Blog post not found', 'blog_post');
+        // Only provided fields change; title/content changes are recorded as a revision
+        const changes = Object.fromEntries(
+          ['title', 'content', 'status'].filter((key) => updates[key] != null).map((key) => [key, updates[key]])
+        );
+        let post;
+        try {
+          ({ post } = await updatePostWithRevision(postId, changes, { owner: { userId }, source: 'manual_edit' }));
+        } catch (error) {
+          if (error instanceof NotFoundError) throw new NotFoundError('Blog post not found', 'blog_post');
+          throw error;
         }
 
-        return result.rows[0];
+        return { id: post.id, title: post.title, status: post.status, updated_at: post.updated_at };
       } else {
         const post = this.fallbackPosts.get(postId);
         if (!post || post.userId !== userId) {
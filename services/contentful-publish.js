@@ -1,22 +1,316 @@
 /**
- * Publish a post to Contentful (create/update entry).
- * Requires space_id, environment_id, management_token (stored in connection).
- * Content type for blog posts must be configured (e.g. via env or connection) for full implementation.
+ * Publish a post to Contentful via the Content Management API.
  * @see https://www.contentful.com/developers/docs/references/content-management-api/
+ *
+ * Connection credentials: space_id, environment_id (default master), management_token, plus
+ * content_type_id (default blogPost), locale (default en-US) and field_mapping (see lib/cms-field-mapping.js).
+ *
+ * Publish: images in the body and the hero image are uploaded as assets (create → process → publish),
+ * the body is converted to Rich Text, then POST /entries with X-Contentful-Content-Type and, unless drafting,
+ * PUT /entries/{id}/published. Update: PUT /entries/{id} with the current version.
+ * Unpublish: DELETE /entries/{id}/published (draft) or unpublish + DELETE /entries/{id} (delete).
  */
+import { NotFoundError } from '../lib/errors.js';
+import { resolveFieldMapping } from '../lib/cms-field-mapping.js';
+import { extractImageUrls, markdownToRichText, plainTextExcerpt } from '../lib/markdown-to-structured-content.js';
+import { slugify } from './git-publish.js';
+
+const CMA_BASE = 'https://api.contentful.com';
+const ASSET_PROCESS_POLLS = 10;
+const ASSET_PROCESS_DELAY_MS = 500;
+
+/** Field ids used when the connection has no field_mapping (matches Contentful's blog starter). */
+export const CONTENTFUL_DEFAULT_FIELD_MAPPING = Object.freeze({
+  title: 'title',
+  slug: 'slug',
+  body: 'body',
+  excerpt: 'excerpt',
+  hero_image: 'heroImage',
+  tags: 'tags',
+  categories: null,
+  meta_description: null,
+  canonical_url: null,
+  author: null
+});
+
+/**
+ * Resolve stored credentials into request settings shared by every call.
+ * @param {object} credentials
+ */
+function contentfulContext(credentials) {
+  const { space_id, environment_id, management_token } = credentials || {};
+  if (!space_id || !management_token) {
+    throw new Error('Contentful connection requires space_id and management_token. Reconnect Contentful in Settings.');
+  }
+  const environmentId = environment_id || 'master';
+  return {
+    baseUrl: `${CMA_BASE}/spaces/${encodeURIComponent(space_id)}/environments/${encodeURIComponent(environmentId)}`,
+    webUrl: `https://app.contentful.com/spaces/${encodeURIComponent(space_id)}/environments/${encodeURIComponent(environmentId)}`,
+    headers: {
+      Authorization: `Bearer ${management_token}`,
+      'Content-Type': 'application/vnd.contentful.management.v1+json'
+    },
+    contentTypeId: credentials.content_type_id || 'blogPost',
+    locale: credentials.locale || 'en-US',
+    mapping: resolveFieldMapping(credentials.field_mapping, CONTENTFUL_DEFAULT_FIELD_MAPPING)
+  };
+}
+
+async function contentfulErrorMessage(res) {
+  let message = `Contentful returned ${res.status}`;
+  try {
+    const data = JSON.parse(await res.text());
+    const details = (data?.details?.errors || [])
+      .map((e) => [e.path?.join('.'), e.details || e.name].filter(Boolean).join(': '))
+      .filter(Boolean);
+    if (data?.message) message = details.length > 0 ? `${data.message} (${details.join('; ')})` : data.message;
+  } catch {
+    /* keep status message */
+  }
+  if (res.status === 401 || res.status === 403) {
+    message = 'Contentful rejected the management token. Create a new token under Settings → CMA tokens.';
+  }
+  return message;
+}
+
+async function contentfulRequest(ctx, method, path, { body, version, headers = {} } = {}) {
+  return fetch(`${ctx.baseUrl}${path}`, {
+    method,
+    headers: {
+      ...ctx.headers,
+      ...(version != null && { 'X-Contentful-Version': String(version) }),
+      ...headers
+    },
+    ...(body !== undefined && { body: JSON.stringify(body) })
+  });
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const IMAGE_CONTENT_TYPES = { png: 'image/png', gif: 'image/gif', webp: 'image/webp', svg: 'image/svg+xml', avif: 'image/avif' };
+
+function fileNameAndType(url) {
+  let fileName = 'image.jpg';
+  try {
+    fileName = decodeURIComponent(new URL(url).pathname.split('/').pop() || '') || fileName;
+  } catch {
+    /* keep default */
+  }
+  const ext = (fileName.match(/\.([a-z0-9]+)$/i)?.[1] || 'jpg').toLowerCase();
+  return { fileName, contentType: IMAGE_CONTENT_TYPES[ext] || 'image/jpeg' };
+}
+
+/**
+ * Upload an image by URL as a published asset and return its id.
+ * Contentful fetches the file itself during processing; we poll until the processed file URL appears.
+ */
+async function createContentfulAsset(ctx, url, title) {
+  const { fileName, contentType } = fileNameAndType(url);
+  const createRes = await contentfulRequest(ctx, 'POST', '/assets', {
+    body: {
+      fields: {
+        title: { [ctx.locale]: (title || fileName).slice(0, 255) },
+        file: { [ctx.locale]: { contentType, fileName, upload: url } }
+      }
+    }
+  });
+  if (!createRes.ok) throw new Error(await contentfulErrorMessage(createRes));
+  const asset = await createRes.json();
+  const assetId = asset.sys.id;
+
+  const processRes = await contentfulRequest(ctx, 'PUT', `/assets/${assetId}/files/${encodeURIComponent(ctx.locale)}/process`, {
+    version: asset.sys.version
+  });
+  if (!processRes.ok) throw new Error(await contentfulErrorMessage(processRes));
+
+  for (let poll = 0; poll < ASSET_PROCESS_POLLS; poll++) {
+    const getRes = await contentfulRequest(ctx, 'GET', `/assets/${assetId}`);
+    if (!getRes.ok) throw new Error(await contentfulErrorMessage(getRes));
+    const current = await getRes.json();
+    if (current.fields?.file?.[ctx.locale]?.url) {
+      const publishRes = await contentfulRequest(ctx, 'PUT', `/assets/${assetId}/published`, { version: current.sys.version });
+      if (!publishRes.ok) throw new Error(await contentfulErrorMessage(publishRes));
+      return assetId;
+    }
+    await sleep(ASSET_PROCESS_DELAY_MS);
+  }
+  throw new Error(`Contentful did not finish processing ${fileName}`);
+}
+
+/**
+ * Upload the hero image and body images. Failed uploads are logged and left out: the hero field is
+ * skipped and body images fall back to a link.
+ * @returns {Promise<Record<string, string>>} image URL → asset id
+ */
+async function uploadPostImages(ctx, post) {
+  const urls = extractImageUrls(post.content);
+  if (ctx.mapping.hero_image && post.featured_image && !urls.includes(post.featured_image)) {
+    urls.unshift(post.featured_image);
+  }
+  const assetIds = {};
+  for (const url of urls) {
+    try {
+      assetIds[url] = await createContentfulAsset(ctx, url, post.title);
+    } catch (err) {
+      console.warn(`Contentful image upload failed for ${url}:`, err.message);
+    }
+  }
+  return assetIds;
+}
+
+/** Entry fields from a post, keyed by mapped field id and locale. */
+function contentfulEntryFields(ctx, post, assetIds) {
+  const { mapping, locale } = ctx;
+  const fields = {};
+  const set = (key, value) => {
+    if (mapping[key] && value !== undefined && value !== null) fields[mapping[key]] = { [locale]: value };
+  };
+  set('title', post.title || 'Untitled');
+  set('slug', post.slug || slugify(post.title));
+  set('body', markdownToRichText(post.content, { assetIds }));
+  set('excerpt', post.excerpt || plainTextExcerpt(post.content) || null);
+  const heroId = post.featured_image ? assetIds[post.featured_image] : null;
+  if (heroId) set('hero_image', { sys: { type: 'Link', linkType: 'Asset', id: heroId } });
+  if (Array.isArray(post.tags) && post.tags.length > 0) set('tags', post.tags);
+  if (Array.isArray(post.categories) && post.categories.length > 0) set('categories', post.categories);
+  set('meta_description', post.meta_description || null);
+  set('canonical_url', post.canonical_url || null);
+  set('author', post.author || null);
+  return fields;
+}
+
+async function publishEntry(ctx, entry) {
+  const res = await contentfulRequest(ctx, 'PUT', `/entries/${entry.sys.id}/published`, { version: entry.sys.version });
+  if (!res.ok) throw new Error(await contentfulErrorMessage(res));
+}
 
 /**
- * Publish a post to Contentful. Not yet implemented.
- * @param {object} credentials - { space_id, environment_id, management_token }
- * @param {object} post - { title, content }
+ * Create an entry for a post and publish it (or leave it as a draft).
+ * @param {object} credentials - { space_id, environment_id?, management_token, content_type_id?, locale?, field_mapping? }
+ * @param {object} post - { title, content (markdown), featured_image?, featured_image_alt?, tags?, categories?, excerpt?, slug?, meta_description?, canonical_url?, author? }
+ * @param {{ draft?: boolean }} [opts]
+ * @returns {Promise<{ url: string, id: string }>} url opens the entry in the Contentful web app
+ */
+export async function publishToContentful(credentials, post, opts = {}) {
+  const ctx = contentfulContext(credentials);
+  const assetIds = await uploadPostImages(ctx, post);
+  const res = await contentfulRequest(ctx, 'POST', '/entries', {
+    body: { fields: contentfulEntryFields(ctx, post, assetIds) },
+    headers: { 'X-Contentful-Content-Type': ctx.contentTypeId }
+  });
+  if (!res.ok) throw new Error(await contentfulErrorMessage(res));
+  const entry = await res.json();
+  if (!opts.draft) await publishEntry(ctx, entry);
+  return { url: `${ctx.webUrl}/entries/${entry.sys.id}`, id: entry.sys.id };
+}
+
+/**
+ * Replace an existing entry's mapped fields (other fields are kept) and republish it.
+ * @param {object} credentials
+ * @param {string} entryId - external_id stored at publish time
+ * @param {object} post
+ * @param {{ draft?: boolean }} [opts]
  * @returns {Promise<{ url: string, id: string }>}
- * @throws {Error} until Contentful entry creation is implemented
+ * @throws {NotFoundError} when the entry was deleted in Contentful
+ */
+export async function updateContentfulEntry(credentials, entryId, post, opts = {}) {
+  if (!entryId) throw new Error('Contentful entry id is required to update');
+  const ctx = contentfulContext(credentials);
+  const getRes = await contentfulRequest(ctx, 'GET', `/entries/${encodeURIComponent(entryId)}`);
+  if (getRes.status === 404) throw new NotFoundError(`Contentful entry ${entryId} no longer exists`, 'contentful_entry');
+  if (!getRes.ok) throw new Error(await contentfulErrorMessage(getRes));
+  const current = await getRes.json();
+
+  const assetIds = await uploadPostImages(ctx, post);
+  const res = await contentfulRequest(ctx, 'PUT', `/entries/${encodeURIComponent(entryId)}`, {
+    body: { fields: { ...current.fields, ...contentfulEntryFields(ctx, post, assetIds) } },
+    version: current.sys.version
+  });
+  if (res.status === 404) throw new NotFoundError(`Contentful entry ${entryId} no longer exists`, 'contentful_entry');
+  if (!res.ok) throw new Error(await contentfulErrorMessage(res));
+  const entry = await res.json();
+  if (!opts.draft) await publishEntry(ctx, entry);
+  return { url: `${ctx.webUrl}/entries/${entry.sys.id}`, id: entry.sys.id };
+}
+
+/**
+ * Unpublish an entry (keeps it as a draft) or delete it. A missing entry counts as success.
+ * @param {object} credentials
+ * @param {string} entryId
+ * @param {{ mode?: 'draft'|'delete' }} [opts]
+ * @returns {Promise<{ id: string, status: 'draft'|'deleted'|'gone' }>}
  */
-export async function publishToContentful(credentials, post) {
-  if (!credentials?.management_token) {
-    throw new Error('Contentful connection missing management_token. Reconnect Contentful in Settings.');
+export async function unpublishFromContentful(credentials, entryId, opts = {}) {
+  if (!entryId) throw new Error('Contentful entry id is required to unpublish');
+  const ctx = contentfulContext(credentials);
+  const path = `/entries/${encodeURIComponent(entryId)}`;
+  const unpublishRes = await contentfulRequest(ctx, 'DELETE', `${path}/published`);
+  if (unpublishRes.status === 404 && opts.mode !== 'delete') return { id: entryId, status: 'gone' };
+  // 400 means the entry was not published, which is fine for both modes
+  if (!unpublishRes.ok && unpublishRes.status !== 404 && unpublishRes.status !== 400) {
+    throw new Error(await contentfulErrorMessage(unpublishRes));
+  }
+  if (opts.mode !== 'delete') return { id: entryId, status: 'draft' };
+
+  const deleteRes = await contentfulRequest(ctx, 'DELETE', path);
+  if (deleteRes.status === 404) return { id: entryId, status: 'gone' };
+  if (!deleteRes.ok) throw new Error(await contentfulErrorMessage(deleteRes));
+  return { id: entryId, status: 'deleted' };
+}
+
+/**
+ * Test a connection before it is saved: the space/environment must be readable and the content type
+ * must have the mapped fields, with body as a Rich Text field.
+ * @param {object} credentials - { space_id, environment_id, management_token, content_type_id?, field_mapping? }
+ * @returns {Promise<void>}
+ * @throws {Error} with a user-facing message when the token, space, environment or content type is rejected
+ */
+export async function validateContentfulCredentials(credentials) {
+  const { space_id, environment_id, management_token } = credentials || {};
+  if (!space_id || !management_token) {
+    throw new Error('Contentful connection requires space_id and management_token');
+  }
+  const envId = environment_id || 'master';
+  const ctx = contentfulContext(credentials);
+  const res = await fetch(ctx.baseUrl, { headers: { Authorization: `Bearer ${management_token}` } });
+  if (res.status === 401 || res.status === 403) {
+    throw new Error('Contentful rejected the management token. Create a new token under Settings → CMA tokens.');
+  }
+  if (res.status === 404) {
+    throw new Error(`Contentful space "${space_id}" or environment "${envId}" not found`);
+  }
+  if (!res.ok) {
+    throw new Error(`Contentful returned ${res.status} when checking the connection`);
+  }
+
+  const typeRes = await contentfulRequest(ctx, 'GET', `/content_types/${encodeURIComponent(ctx.contentTypeId)}`);
+  if (typeRes.status === 404) {
+    throw new Error(`Contentful content type "${ctx.contentTypeId}" not found. Set content_type_id to your blog post content type.`);
+  }
+  if (!typeRes.ok) throw new Error(await contentfulErrorMessage(typeRes));
+  const contentType = await typeRes.json();
+  const fieldsById = new Map((contentType.fields || []).map((f) => [f.id, f]));
+  const missing = Object.entries(ctx.mapping)
+    .filter(([, fieldId]) => fieldId && !fieldsById.has(fieldId))
+    .map(([key, fieldId]) => `${key} → ${fieldId}`);
+  if (missing.length > 0) {
+    throw new Error(
+      `Contentful content type "${ctx.contentTypeId}" has no field for: ${missing.join(', ')}. Update field_mapping (set unused fields to null).`
+    );
+  }
+  if (fieldsById.get(ctx.mapping.body).type !== 'RichText') {
+    throw new Error(`Contentful field "${ctx.mapping.body}" must be a Rich Text field to receive the post body`);
   }
-  throw new Error(
-    'Contentful publish is not yet implemented. Create-entry flow and content type mapping need to be added. Use the Contentful dashboard to create entries in the meantime.'
-  );
 }
+
+/** Publisher adapter (see lib/publishing-platforms.js). */
+export const contentfulPublisher = {
+  key: 'contentful',
+  capabilities: { draft: true, update: true, unpublish: true },
+  validateCredentials: validateContentfulCredentials,
+  publish: (credentials, post, opts = {}) => publishToContentful(credentials, post, { draft: !!opts.draft }),
+  update: (credentials, externalId, post, opts = {}) =>
+    updateContentfulEntry(credentials, externalId, post, { draft: !!opts.draft }),
+  unpublish: (credentials, externalId, opts = {}) =>
+    unpublishFromContentful(credentials, externalId, { mode: opts.mode === 'delete' ? 'delete' : 'draft' })
+};
@@ -0,0 +1,152 @@
+/**
+ * Publish a post to Drupal as a node via JSON:API.
+ * @see https://www.drupal.org/docs/core-modules-and-themes/core-modules/jsonapi-module/creating-new-resources-post
+ *
+ * Connection credentials: site_url and access_token / refresh_token / expires_at from the site's OAuth
+ * server (Simple OAuth; refreshed by getConnectionCredentials), plus optional settings node_type (default
+ * article) and body_format (default full_html). The JSON:API module must allow create/update.
+ *
+ * Drafts are unpublished nodes (status false). external_id is the node UUID.
+ */
+import { NotFoundError } from '../lib/errors.js';
+import { markdownToHtml } from '../lib/markdown-to-html.js';
+import { plainTextExcerpt } from '../lib/markdown-to-structured-content.js';
+
+const JSONAPI_TYPE = 'application/vnd.api+json';
+const NODE_TYPE_RE = /^[a-z0-9_]+$/;
+
+function drupalContext(credentials) {
+  const { site_url, access_token } = credentials || {};
+  if (!site_url || !access_token) {
+    throw new Error('Drupal connection missing site_url or access_token. Reconnect Drupal in Settings.');
+  }
+  const nodeType = credentials.node_type || 'article';
+  if (!NODE_TYPE_RE.test(nodeType)) throw new Error(`Invalid Drupal node_type "${nodeType}"`);
+  const siteUrl = String(site_url).replace(/\/+$/, '');
+  return {
+    siteUrl,
+    nodeType,
+    bodyFormat: credentials.body_format || 'full_html',
+    collectionUrl: `${siteUrl}/jsonapi/node/${nodeType}`,
+    headers: { Authorization: `Bearer ${access_token}`, 'Content-Type': JSONAPI_TYPE, Accept: JSONAPI_TYPE }
+  };
+}
+
+async function drupalErrorMessage(res) {
+  if (res.status === 401) {
+    return 'Drupal rejected the access token. Reconnect Drupal in Settings.';
+  }
+  let message = `Drupal returned ${res.status}`;
+  try {
+    const data = JSON.parse(await res.text());
+    const error = data?.errors?.[0];
+    if (error) message = error.detail || error.title || message;
+  } catch {
+    /* keep status message */
+  }
+  return message;
+}
+
+function nodeAttributes(ctx, post, draft) {
+  const excerpt = post.excerpt || plainTextExcerpt(post.content);
+  return {
+    title: post.title || 'Untitled',
+    status: !draft,
+    body: { value: markdownToHtml(post.content || ''), format: ctx.bodyFormat, ...(excerpt && { summary: excerpt }) }
+  };
+}
+
+function nodeUrl(ctx, node) {
+  const alias = node?.attributes?.path?.alias;
+  const nid = node?.attributes?.drupal_internal__nid;
+  return alias ? `${ctx.siteUrl}${alias}` : nid ? `${ctx.siteUrl}/node/${nid}` : '';
+}
+
+/**
+ * Create a node, published or unpublished (draft).
+ * @param {object} credentials - { site_url, access_token, node_type?, body_format? }
+ * @param {object} post - { title, content (markdown), excerpt? }
+ * @param {{ draft?: boolean }} [opts]
+ * @returns {Promise<{ url: string, id: string }>} id is the node UUID
+ */
+export async function publishToDrupal(credentials, post, opts = {}) {
+  const ctx = drupalContext(credentials);
+  const res = await fetch(ctx.collectionUrl, {
+    method: 'POST',
+    headers: ctx.headers,
+    body: JSON.stringify({ data: { type: `node--${ctx.nodeType}`, attributes: nodeAttributes(ctx, post, !!opts.draft) } })
+  });
+  if (!res.ok) throw new Error(await drupalErrorMessage(res));
+  const { data } = await res.json();
+  return { url: nodeUrl(ctx, data), id: data.id };
+}
+
+/**
+ * Update a node in place (PATCH).
+ * @param {object} credentials
+ * @param {string} nodeId - node UUID stored as external_id
+ * @param {object} post
+ * @param {{ draft?: boolean }} [opts]
+ * @returns {Promise<{ url: string, id: string }>}
+ * @throws {NotFoundError} when the node was deleted in Drupal
+ */
+export async function updateDrupalNode(credentials, nodeId, post, opts = {}) {
+  const ctx = drupalContext(credentials);
+  const res = await fetch(`${ctx.collectionUrl}/${encodeURIComponent(nodeId)}`, {
+    method: 'PATCH',
+    headers: ctx.headers,
+    body: JSON.stringify({ data: { type: `node--${ctx.nodeType}`, id: nodeId, attributes: nodeAttributes(ctx, post, !!opts.draft) } })
+  });
+  if (res.status === 404) throw new NotFoundError(`Drupal node ${nodeId} no longer exists`, 'drupal_node');
+  if (!res.ok) throw new Error(await drupalErrorMessage(res));
+  const { data } = await res.json();
+  return { url: nodeUrl(ctx, data), id: nodeId };
+}
+
+/**
+ * Unpublish a node (status false) or delete it. A missing node counts as success.
+ * @param {object} credentials
+ * @param {string} nodeId
+ * @param {{ mode?: 'draft'|'delete' }} [opts]
+ * @returns {Promise<{ id: string, status: 'draft'|'deleted'|'gone' }>}
+ */
+export async function unpublishFromDrupal(credentials, nodeId, opts = {}) {
+  const ctx = drupalContext(credentials);
+  const url = `${ctx.collectionUrl}/${encodeURIComponent(nodeId)}`;
+  const res = opts.mode === 'delete'
+    ? await fetch(url, { method: 'DELETE', headers: ctx.headers })
+    : await fetch(url, {
+      method: 'PATCH',
+      headers: ctx.headers,
+      body: JSON.stringify({ data: { type: `node--${ctx.nodeType}`, id: nodeId, attributes: { status: false } } })
+    });
+  if (res.status === 404) return { id: nodeId, status: 'gone' };
+  if (!res.ok) throw new Error(await drupalErrorMessage(res));
+  return { id: nodeId, status: opts.mode === 'delete' ? 'deleted' : 'draft' };
+}
+
+/**
+ * Test a connection: the node type's JSON:API collection must be readable with the token.
+ * @param {object} credentials - { site_url, access_token, node_type? }
+ * @returns {Promise<void>}
+ */
+export async function validateDrupalCredentials(credentials) {
+  const ctx = drupalContext(credentials);
+  const res = await fetch(`${ctx.collectionUrl}?page[limit]=1`, { headers: ctx.headers });
+  if (res.status === 404) {
+    throw new Error(`Drupal JSON:API has no "${ctx.nodeType}" content type at ${ctx.siteUrl}. Check node_type and that JSON:API is enabled.`);
+  }
+  if (!res.ok) throw new Error(await drupalErrorMessage(res));
+}
+
+/** Publisher adapter (see lib/publishing-platforms.js). Tags and images are not sent (taxonomy/file fields vary per site). */
+export const drupalPublisher = {
+  key: 'drupal',
+  capabilities: { draft: true, update: true, unpublish: true },
+  settings: ['node_type', 'body_format'],
+  validateCredentials: validateDrupalCredentials,
+  publish: (credentials, post, opts = {}) => publishToDrupal(credentials, post, { draft: !!opts.draft }),
+  update: (credentials, externalId, post, opts = {}) => updateDrupalNode(credentials, externalId, post, { draft: !!opts.draft }),
+  unpublish: (credentials, externalId, opts = {}) =>
+    unpublishFromDrupal(credentials, externalId, { mode: opts.mode === 'delete' ? 'delete' : 'draft' })
+};
@@ -0,0 +1,353 @@
+/**
+ * Editorial review workflow for posts of organization members.
+ *
+ * States: draft → in_review → changes_requested | approved → scheduled | published.
+ * - The author submits (draft/changes_requested → in_review) and may withdraw back to draft.
+ * - Reviewers approve or request changes. Reviewers are organization owners/admins and the assigned member;
+ *   the author cannot review their own post when the organization requires review.
+ * - scheduled/published follow the post's publication_status (services/post-publishing.js savePublications).
+ * - Editing the title or content of an approved, scheduled or published post reopens review when the
+ *   organization requires it (called from services/post-revisions.js).
+ *
+ * The organization of a post is its author's active organization membership.
+ */
+import db from './database.js';
+import { InvariantViolation, NotFoundError, ValidationError } from '../lib/errors.js';
+
+export const REVIEW_STATES = Object.freeze(['draft', 'in_review', 'changes_requested', 'approved', 'scheduled', 'published']);
+
+/** States whose text has been approved; publishing is allowed from these when review is required. */
+const APPROVED_STATES = ['approved', 'scheduled', 'published'];
+
+/** Manual transitions: allowed source states, target state and who may perform them. */
+export const REVIEW_TRANSITIONS = Object.freeze({
+  submit: { from: ['draft', 'changes_requested'], to: 'in_review', by: 'author' },
+  withdraw: { from: ['in_review', 'changes_requested', 'approved'], to: 'draft', by: 'author' },
+  request_changes: { from: ['in_review'], to: 'changes_requested', by: 'reviewer' },
+  approve: { from: ['in_review'], to: 'approved', by: 'reviewer' }
+});
+
+const REVIEWER_ROLES = ['owner', 'admin'];
+const ASSIGNABLE_ROLES = ['owner', 'admin', 'member'];
+const COMMENT_MAX_LENGTH = 5000;
+
+/**
+ * The author's active organization with its review setting, or null for users without one.
+ * @param {object} [client] - db or a transaction client
+ */
+async function authorOrganization(authorId, client = db) {
+  if (!authorId) return null;
+  const { rows } = await client.query(
+    `SELECT o.id, o.require_post_review
+     FROM organization_members om
+     JOIN organizations o ON o.id = om.organization_id
+     WHERE om.user_id = $1 AND om.status = 'active'
+     ORDER BY om.created_at ASC
+     LIMIT 1`,
+    [authorId]
+  );
+  return rows[0] || null;
+}
+
+async function memberRole(organizationId, userId) {
+  const { rows } = await db.query(
+    `SELECT role FROM organization_members WHERE organization_id = $1 AND user_id = $2 AND status = 'active'`,
+    [organizationId, userId]
+  );
+  return rows[0]?.role || null;
+}
+
+/**
+ * Load a post with the acting user's relation to it.
+ * @returns {Promise<{ post: object, organization: { id: string, require_post_review: boolean }|null, actor: { userId: string, role: string|null, isAuthor: boolean, isAssignee: boolean, canReview: boolean } }>}
+ * @throws {NotFoundError} when the post does not exist or the user is neither its author nor in its organization
+ */
+export async function loadReviewContext(postId, userId) {
+  const { rows } = await db.query(
+    `SELECT id, user_id, title, content, status, review_state, review_assignee_id, review_state_changed_at,
+            publication_status, updated_at
+     FROM blog_posts WHERE id = $1`,
+    [postId]
+  );
+  const post = rows[0];
+  if (!post) throw new NotFoundError('Post not found or access denied', 'blog_post');
+
+  const organization = await authorOrganization(post.user_id);
+  const isAuthor = post.user_id === userId;
+  const role = organization ? await memberRole(organization.id, userId) : null;
+  if (!isAuthor && !role) throw new NotFoundError('Post not found or access denied', 'blog_post');
+
+  const isAssignee = !!post.review_assignee_id && post.review_assignee_id === userId;
+  const reviewerByRole = REVIEWER_ROLES.includes(role) || isAssignee;
+  // Without required review the author may approve their own post (e.g. a single-user account)
+  const canReview = isAuthor ? !organization?.require_post_review : reviewerByRole;
+  return { post, organization, actor: { userId, role, isAuthor, isAssignee, canReview } };
+}
+
+function allowedActions({ post, actor }) {
+  return Object.entries(REVIEW_TRANSITIONS)
+    .filter(([, t]) => t.from.includes(post.review_state) && (t.by === 'author' ? actor.isAuthor : actor.canReview))
+    .map(([action]) => action);
+}
+
+async function recordEvent(client, postId, { action, from = null, to = null, actorId = null, note = null }) {
+  await client.query(
+    `INSERT INTO post_review_events (blog_post_id, action, from_state, to_state, actor_user_id, note)
+     VALUES ($1, $2, $3, $4, $5, $6)`,
+    [postId, action, from, to, actorId, note]
+  );
+}
+
+function formatReview(context) {
+  const { post, organization } = context;
+  return {
+    post_id: post.id,
+    state: post.review_state,
+    assignee_user_id: post.review_assignee_id,
+    state_changed_at: post.review_state_changed_at,
+    require_review: !!organization?.require_post_review,
+    allowed_actions: allowedActions(context)
+  };
+}
+
+/**
+ * Review state, allowed actions for the user, comments and history.
+ * @throws {NotFoundError}
+ */
+export async function getReview(postId, userId) {
+  const context = await loadReviewContext(postId, userId);
+  const [comments, events] = await Promise.all([
+    db.query(
+      `SELECT id, author_user_id, body, anchor_start, anchor_end, quoted_text, revision_number, resolved_at, resolved_by, created_at
+       FROM post_review_comments WHERE blog_post_id = $1 ORDER BY created_at ASC`,
+      [postId]
+    ),
+    db.query(
+      `SELECT action, from_state, to_state, actor_user_id, note, created_at
+       FROM post_review_events WHERE blog_post_id = $1 ORDER BY created_at ASC`,
+      [postId]
+    )
+  ]);
+  return {
+    ...formatReview(context),
+    post: { id: context.post.id, title: context.post.title, content: context.post.content, updated_at: context.post.updated_at },
+    comments: comments.rows,
+    events: events.rows
+  };
+}
+
+/**
+ * Apply a manual transition (submit, withdraw, request_changes, approve).
+ * @param {{ note?: string }} [options]
+ * @throws {ValidationError} unknown action
+ * @throws {InvariantViolation} 403 when the user may not perform it, 409 when the post is not in a source state
+ */
+export async function transitionReview(postId, userId, action, { note = null } = {}) {
+  const transition = REVIEW_TRANSITIONS[action];
+  if (!transition) {
+    throw new ValidationError('Invalid action', `action must be one of: ${Object.keys(REVIEW_TRANSITIONS).join(', ')}`);
+  }
+  const context = await loadReviewContext(postId, userId);
+  const { post, actor } = context;
+  if (transition.by === 'author' ? !actor.isAuthor : !actor.canReview) {
+    const who = transition.by === 'author'
+      ? 'the post author'
+      : 'an organization owner/admin or the assigned reviewer (not the author)';
+    throw new InvariantViolation(`Only ${who} can ${action.replace('_', ' ')}`, 403);
+  }
+  if (!transition.from.includes(post.review_state)) {
+    throw new InvariantViolation(`Cannot ${action.replace('_', ' ')} a post that is ${post.review_state}`, 409);
+  }
+  const noteText = typeof note === 'string' && note.trim() ? note.trim().slice(0, COMMENT_MAX_LENGTH) : null;
+
+  const updated = await db.transaction(async (client) => {
+    // The state guard makes concurrent transitions fail instead of overwriting each other
+    const { rows } = await client.query(
+      `UPDATE blog_posts SET review_state = $1, review_state_changed_at = NOW()
+       WHERE id = $2 AND review_state = $3
+       RETURNING id, user_id, title, content, status, review_state, review_assignee_id, review_state_changed_at, publication_status, updated_at`,
+      [transition.to, postId, post.review_state]
+    );
+    if (rows.length === 0) throw new InvariantViolation('The post changed state; reload and try again', 409);
+    await recordEvent(client, postId, { action, from: post.review_state, to: transition.to, actorId: userId, note: noteText });
+    return rows[0];
+  });
+  return formatReview({ ...context, post: updated });
+}
+
+/**
+ * Assign (or with null, unassign) the reviewer. The author and organization owners/admins may assign;
+ * the assignee must be an active owner, admin or member of the post's organization and not the author.
+ * @throws {NotFoundError|ValidationError|InvariantViolation}
+ */
+export async function assignReviewer(postId, userId, assigneeId) {
+  const context = await loadReviewContext(postId, userId);
+  const { post, organization, actor } = context;
+  if (!actor.isAuthor && !REVIEWER_ROLES.includes(actor.role)) {
+    throw new InvariantViolation('Only the post author or an organization owner/admin can assign reviewers', 403);
+  }
+  if (assigneeId != null) {
+    if (typeof assigneeId !== 'string' || !assigneeId.trim()) {
+      throw new ValidationError('Invalid assignee', 'assignee_user_id must be a user id or null');
+    }
+    if (assigneeId === post.user_id) throw new ValidationError('Invalid assignee', 'The author cannot review their own post');
+    const role = organization ? await memberRole(organization.id, assigneeId) : null;
+    if (!ASSIGNABLE_ROLES.includes(role)) {
+      throw new ValidationError('Invalid assignee', 'The assignee must be an active member of the post\'s organization');
+    }
+  }
+  const updated = await db.transaction(async (client) => {
+    const { rows } = await client.query(
+      `UPDATE blog_posts SET review_assignee_id = $1 WHERE id = $2
+       RETURNING id, user_id, title, content, status, review_state, review_assignee_id, review_state_changed_at, publication_status, updated_at`,
+      [assigneeId ?? null, postId]
+    );
+    await recordEvent(client, postId, { action: assigneeId ? 'assign' : 'unassign', actorId: userId, note: assigneeId ?? null });
+    return rows[0];
+  });
+  return formatReview({ ...context, post: updated });
+}
+
+/**
+ * Add a comment, optionally anchored to content[start, end). The quoted text and the current revision number
+ * are stored so the anchor can be located again after later edits.
+ * @param {{ body: string, anchor?: { start: number, end: number }|null }} input
+ * @throws {NotFoundError|ValidationError}
+ */
+export async function addReviewComment(postId, userId, { body, anchor = null } = {}) {
+  const { post } = await loadReviewContext(postId, userId);
+  const text = typeof body === 'string' ? body.trim() : '';
+  if (!text) throw new ValidationError('Invalid comment', 'body is required');
+  if (text.length > COMMENT_MAX_LENGTH) {
+    throw new ValidationError('Invalid comment', `body must be at most ${COMMENT_MAX_LENGTH} characters`);
+  }
+  let start = null;
+  let end = null;
+  let quoted = null;
+  if (anchor != null) {
+    start = anchor.start;
+    end = anchor.end;
+    const length = (post.content || '').length;
+    if (!Number.isInteger(start) || !Number.isInteger(end) || start < 0 || end <= start || end > length) {
+      throw new ValidationError('Invalid anchor', `anchor must be { start, end } with 0 <= start < end <= ${length}`);
+    }
+    quoted = post.content.slice(start, end);
+  }
+  const { rows } = await db.query(
+    `INSERT INTO post_review_comments (blog_post_id, author_user_id, body, anchor_start, anchor_end, quoted_text, revision_number)
+     VALUES ($1, $2, $3, $4, $5, $6,
+             (SELECT MAX(revision_number) FROM blog_post_revisions WHERE blog_post_id = $1))
+     RETURNING id, author_user_id, body, anchor_start, anchor_end, quoted_text, revision_number, resolved_at, resolved_by, created_at`,
+    [postId, userId, text, start, end, quoted]
+  );
+  return rows[0];
+}
+
+/**
+ * Resolve or reopen a comment. The post author, reviewers and the comment's author may do this.
+ * @throws {NotFoundError|InvariantViolation}
+ */
+export async function setReviewCommentResolved(postId, userId, commentId, resolved) {
+  const { actor } = await loadReviewContext(postId, userId);
+  const { rows } = await db.query(
+    'SELECT author_user_id FROM post_review_comments WHERE id = $1 AND blog_post_id = $2',
+    [commentId, postId]
+  );
+  if (rows.length === 0) throw new NotFoundError('Comment not found', 'review_comment');
+  if (!actor.isAuthor && !actor.canReview && rows[0].author_user_id !== userId) {
+    throw new InvariantViolation('Only the post author, a reviewer or the comment author can resolve comments', 403);
+  }
+  const result = await db.query(
+    `UPDATE post_review_comments
+     SET resolved_at = CASE WHEN $1 THEN NOW() ELSE NULL END,
+         resolved_by = CASE WHEN $1 THEN $2::uuid ELSE NULL END
+     WHERE id = $3
+     RETURNING id, author_user_id, body, anchor_start, anchor_end, quoted_text, revision_number, resolved_at, resolved_by, created_at`,
+    [resolved === true, userId, commentId]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Posts waiting for review in the user's organization: assigned to the user, or any (other than the user's own)
+ * for owners/admins.
+ * @returns {Promise<Array<object>>}
+ */
+export async function listReviewQueue(userId) {
+  const { rows } = await db.query(
+    `SELECT p.id, p.title, p.user_id, p.review_state, p.review_assignee_id, p.review_state_changed_at, p.updated_at,
+            (p.review_assignee_id = $1) AS assigned_to_me
+     FROM organization_members me
+     JOIN organization_members author ON author.organization_id = me.organization_id AND author.status = 'active'
+     JOIN blog_posts p ON p.user_id = author.user_id
+     WHERE me.user_id = $1 AND me.status = 'active'
+       AND p.review_state = 'in_review'
+       AND p.user_id <> $1
+       AND (p.review_assignee_id = $1 OR me.role IN ('owner', 'admin'))
+     ORDER BY (p.review_assignee_id = $1) DESC, p.review_state_changed_at ASC NULLS LAST
+     LIMIT 200`,
+    [userId]
+  );
+  return rows;
+}
+
+/**
+ * Turn required review on or off for the user's organization (owners and admins).
+ * @returns {Promise<{ organization_id: string, require_post_review: boolean }>}
+ * @throws {NotFoundError|InvariantViolation}
+ */
+export async function setRequirePostReview(userId, enabled) {
+  const { rows } = await db.query(
+    `SELECT om.organization_id, om.role FROM organization_members om
+     WHERE om.user_id = $1 AND om.status = 'active'
+     ORDER BY om.created_at ASC LIMIT 1`,
+    [userId]
+  );
+  if (rows.length === 0) throw new NotFoundError('User is not a member of any organization', 'organization');
+  if (!REVIEWER_ROLES.includes(rows[0].role)) {
+    throw new InvariantViolation('Only organization owners and admins can change review settings', 403);
+  }
+  const result = await db.query(
+    `UPDATE organizations SET require_post_review = $1, updated_at = NOW() WHERE id = $2
+     RETURNING id AS organization_id, require_post_review`,
+    [enabled === true, rows[0].organization_id]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Refuse to publish a post that has not been approved when its organization requires review.
+ * @param {object} post - blog_posts row (user_id, review_state)
+ * @throws {InvariantViolation} 409
+ */
+export async function assertPublishAllowed(post) {
+  if (APPROVED_STATES.includes(post.review_state)) return;
+  const organization = await authorOrganization(post.user_id);
+  if (organization?.require_post_review) {
+    throw new InvariantViolation(
+      `Review required: this post is ${post.review_state ?? 'draft'}. Your organization only publishes approved posts.`,
+      409
+    );
+  }
+}
+
+/**
+ * After an edit of the title or content: an approved, scheduled or published post goes back to in_review when
+ * its organization requires review. Runs inside the edit's transaction.
+ * @param {object} client - pg client inside a transaction
+ * @param {object} post - updated blog_posts row
+ * @param {string|null} actorId
+ * @returns {Promise<boolean>} true when review was reopened
+ */
+export async function reopenReviewAfterEdit(client, post, actorId = null) {
+  if (!APPROVED_STATES.includes(post.review_state)) return false;
+  const organization = await authorOrganization(post.user_id, client);
+  if (!organization?.require_post_review) return false;
+  await client.query(
+    `UPDATE blog_posts SET review_state = 'in_review', review_state_changed_at = NOW() WHERE id = $1`,
+    [post.id]
+  );
+  await recordEvent(client, post.id, { action: 'reopen', from: post.review_state, to: 'in_review', actorId, note: 'Content edited after approval' });
+  post.review_state = 'in_review';
+  return true;
+}
@@ -8,6 +8,12 @@ import newsArticleSearch from './news-article-search.js';
 import emailService from './email.js';
 import crypto from 'crypto';
 import streamManager from './stream-manager.js';
+import { updatePostWithRevision } from './post-revisions.js';
+import { scoreContent } from '../lib/seo-scorer.js';
+import { describeStyleGuide } from '../lib/style-guide.js';
+import { fixDraft, loadStyleGuide } from './style-guide.js';
+import { applyLinkSuggestions, parseMaxLinks, suggestInternalLinks } from './internal-links.js';
+import { checkTopicOverlap } from './topic-overlap.js';
 
 /**
  * Enhanced Blog Generation Service
@@ -28,6 +34,28 @@ PRIORITIES (in order):
 
 OUTPUT: Return valid JSON. Put the "content" key first so the post body can stream. The content value must be raw markdown with real line breaks: use \\n in JSON after the # title, after each ## or ### heading, and a blank line between paragraphs.`;
 
+  /** System prompt for the outline phase of outline-first generation. */
+  static OUTLINE_SYSTEM_PROMPT = `You are an expert SEO content strategist planning a blog post before it is written. Produce an outline an editor can review and change: a clear H2/H3 hierarchy where every section has one job.
+
+RULES:
+- 4–8 H2 sections; use H3 only to split an H2 into distinct sub-points (never more than 4 H3s under one H2). The first section must be an H2 and opens the post; the last H2 wraps it up.
+- Headings are specific and scannable (under 70 characters); no "Introduction" or "Conclusion" labels.
+- intent: one sentence on what the reader gets from the section (question answered, decision supported, step explained).
+- target_keyword: the search phrase the section should rank for; vary keywords across sections instead of repeating the primary one.
+
+OUTPUT: Return valid JSON: {"title": string (50–60 chars), "meta_description": string (150–160 chars), "sections": [{"level": 2 or 3, "heading": string, "intent": string, "target_keyword": string}]}`;
+
+  /** System prompt for writing a single section of an outlined post. */
+  static SECTION_SYSTEM_PROMPT = `You are an expert blog writer filling in one section of a post whose outline has already been approved. Write only the section you are asked for: the rest of the post stays as it is, so do not repeat what neighbouring sections cover and make the transition from the previous section read naturally.
+
+RULES:
+- Deliver on the section's intent and use its target keyword naturally (heading-adjacent first paragraph when it fits, never stuffed).
+- Match the provided voice and brand context exactly.
+- Markdown body only: no heading line for the section itself and no H1/H2/H3 headings; use paragraphs, lists and #### sub-headings if needed.
+- Do not fabricate statistics, studies, expert names or case studies.
+
+OUTPUT: Return valid JSON: {"content": string} where content is raw markdown with real line breaks.`;
+
   constructor() {
     super();
     this.visualContentService = visualContentService;
@@ -152,6 +180,14 @@ OUTPUT: Return valid JSON. Put the "content" key first so the post body can stre
         if (e?.code !== '42P01') console.warn('Voice profile load skipped:', e?.message || e);
       }
 
+      // Team style guide (hard wording rules; see lib/style-guide.js)
+      let styleGuide = null;
+      try {
+        styleGuide = await loadStyleGuide(organizationId);
+      } catch (e) {
+        console.warn('Style guide load skipped:', e?.message || e);
+      }
+
       console.log('✅ [CTA DEBUG] Content Gen: Organization context loaded:', {
         organizationId,
         hasWebsiteData: Object.keys(websiteData).length > 0,
@@ -167,6 +203,7 @@ OUTPUT: Return valid JSON. Put the "content" key first so the post body can stre
         manualData,
         websiteData,
         voiceProfile,
+        styleGuide,
         hasManualFallbacks: Object.keys(manualData).length > 0,
         hasWebsiteData: Object.keys(websiteData).length > 0,
         completenessScore: availability.completeness_score || 0
@@ -1701,22 +1738,15 @@ Return the FULL blog post with explanatory text and tweet placeholders inserted.
   }
 
   /**
-   * Build enhanced generation prompt with all available data
-   * @param {Array<{ text: string, href?: string, type?: string, placement?: string }>} requestCtas - Optional CTAs from request (stream or job payload); overrides DB when provided
+   * Prompt section describing the voice profile from uploaded samples.
+   * @returns {string|null} null when there is no profile or its confidence is below 50
    */
-  buildEnhancedPrompt(topic, businessInfo, organizationContext, additionalInstructions = '', previousBoxTypes = [], realTweetUrls = [], requestCtas = []) {
-    const { availability, settings, manualData, websiteData, voiceProfile, completenessScore } = organizationContext;
-    const normalizedRequestCtas = this.normalizeRequestCtas(requestCtas);
-
-    // Build context sections based on available data
-    let contextSections = [];
-
-    // Voice & style from uploaded samples (before brand voice; only when confidence >= 50)
+  buildVoiceProfileSection(voiceProfile) {
     const confidence = voiceProfile?.confidence_score != null ? Number(voiceProfile.confidence_score) : 0;
-    if (voiceProfile && confidence >= 50) {
-      const compact = this.compactVoiceProfileForPrompt(voiceProfile);
-      const directives = this.deriveVoiceDirectives(compact);
-      const voiceSection = `VOICE & STYLE (from your uploaded samples — match this precisely):
+    if (!voiceProfile || confidence < 50) return null;
+    const compact = this.compactVoiceProfileForPrompt(voiceProfile);
+    const directives = this.deriveVoiceDirectives(compact);
+    return `VOICE & STYLE (from your uploaded samples — match this precisely):
 - Writing style: ${JSON.stringify(compact.style)}
 - Vocabulary & tone: ${JSON.stringify(compact.vocabulary)}
 - Structure: ${JSON.stringify(compact.structure)}
@@ -1724,19 +1754,104 @@ Return the FULL blog post with explanatory text and tweet placeholders inserted.
 ${directives}
 
 Match this writing style PRECISELY so the post feels like it was written by the same person.`;
-      contextSections.push(voiceSection);
+  }
+
+  /**
+   * Apply the style guide's automatic fixes to generated title and content (before tweet processing and SEO
+   * analysis) and record what is left in blogData.styleGuideLint. No-op without a style guide.
+   */
+  applyStyleGuide(blogData, styleGuide) {
+    if (!styleGuide || !blogData.content) return;
+    const { title, content, fixed, remaining } = fixDraft(blogData, styleGuide);
+    Object.assign(blogData, { title, content });
+    blogData.styleGuideLint = { fixed_count: fixed.length, violations: remaining };
+    console.log(`📏 Style guide: ${fixed.length} fixes applied, ${remaining.length} violations left`);
+  }
+
+  /**
+   * Link passages of the generated post to the organization's most relevant pages (services/internal-links.js),
+   * up to maxLinks internal links in total. The links added are appended to blogData.internalLinks. A failure only
+   * skips the links.
+   */
+  async applyInternalLinkSuggestions(blogData, organizationId, maxLinks) {
+    if (!blogData.content) return;
+    try {
+      const { suggestions } = await suggestInternalLinks(organizationId, blogData.content, { maxLinks: parseMaxLinks(maxLinks) });
+      const { content, applied } = applyLinkSuggestions(blogData.content, suggestions);
+      blogData.content = content;
+      blogData.internalLinks = [
+        ...(Array.isArray(blogData.internalLinks) ? blogData.internalLinks : []),
+        ...applied.map((s) => ({ anchorText: s.anchor_text, suggestedUrl: s.url, context: `Relevant page: ${s.title || s.url}`, score: s.score, source: 'relevance_index' }))
+      ];
+      console.log(`🔗 Internal links: ${applied.length} added from ${suggestions.length} suggestions`);
+    } catch (error) {
+      console.warn('Internal link suggestions skipped:', error?.message || error);
     }
+  }
 
-    // Brand voice and tone
-    let brandContext = '';
+  /**
+   * Existing posts, pages and calendar ideas the topic duplicates or competes with for its primary keyword
+   * (services/topic-overlap.js). Reported with the result, never blocks generation.
+   * @returns {Promise<Array<{ type: string, id: string, title: string|null, url: string|null, status: string, similarity: number, reasons: string[] }>>}
+   */
+  async findTopicOverlap(topic, organizationId, postId = null) {
+    if (!organizationId || !topic?.title) return [];
+    try {
+      const keywords = [topic.keywords, topic.seoKeywords].find((k) => Array.isArray(k) && k.length) || [];
+      const conflicts = await checkTopicOverlap(
+        organizationId,
+        { title: topic.title, description: topic.subheader || null, keywords },
+        { excludePostId: postId }
+      );
+      if (conflicts.length) console.warn(`⚠️ Topic overlaps ${conflicts.length} existing item(s): ${topic.title}`);
+      return conflicts.map(({ item, similarity, reasons }) => ({
+        type: item.type,
+        id: item.id,
+        title: item.title,
+        url: item.url || null,
+        status: item.status,
+        similarity,
+        reasons
+      }));
+    } catch (error) {
+      console.warn('Topic overlap check skipped:', error?.message || error);
+      return [];
+    }
+  }
+
+  /**
+   * Brand voice line: website tone analysis, else manual input, else the business info.
+   */
+  buildBrandVoiceContext(websiteData = {}, manualData = {}, businessInfo = {}) {
     if (websiteData.tone_analysis) {
-      brandContext = `BRAND VOICE (from website analysis): ${JSON.stringify(websiteData.tone_analysis)}`;
-    } else if (manualData.brand_voice) {
-      brandContext = `BRAND VOICE (manual input): ${JSON.stringify(manualData.brand_voice)}`;
-    } else {
-      brandContext = `BRAND VOICE: Professional ${businessInfo.businessType} voice, ${businessInfo.brandVoice}`;
+      return `BRAND VOICE (from website analysis): ${JSON.stringify(websiteData.tone_analysis)}`;
     }
-    contextSections.push(brandContext);
+    if (manualData.brand_voice) {
+      return `BRAND VOICE (manual input): ${JSON.stringify(manualData.brand_voice)}`;
+    }
+    return `BRAND VOICE: Professional ${businessInfo.businessType} voice, ${businessInfo.brandVoice}`;
+  }
+
+  /**
+   * Build enhanced generation prompt with all available data
+   * @param {Array<{ text: string, href?: string, type?: string, placement?: string }>} requestCtas - Optional CTAs from request (stream or job payload); overrides DB when provided
+   */
+  buildEnhancedPrompt(topic, businessInfo, organizationContext, additionalInstructions = '', previousBoxTypes = [], realTweetUrls = [], requestCtas = []) {
+    const { availability, settings, manualData, websiteData, voiceProfile, completenessScore } = organizationContext;
+    const normalizedRequestCtas = this.normalizeRequestCtas(requestCtas);
+
+    // Build context sections based on available data
+    let contextSections = [];
+
+    // Voice & style from uploaded samples (before brand voice; only when confidence >= 50)
+    const voiceSection = this.buildVoiceProfileSection(voiceProfile);
+    if (voiceSection) contextSections.push(voiceSection);
+
+    // Brand voice and tone
+    contextSections.push(this.buildBrandVoiceContext(websiteData, manualData, businessInfo));
+
+    const styleGuideSection = describeStyleGuide(organizationContext.styleGuide);
+    if (styleGuideSection) contextSections.push(styleGuideSection);
 
     // Internal linking context with real pages
     if (websiteData.internal_links && websiteData.internal_links.length > 0) {
@@ -2373,6 +2488,7 @@ Full JSON structure (content first, then metadata):
       if (blogData.content) {
         blogData.content = this.normalizeImagePlaceholders(blogData.content);
       }
+      this.applyStyleGuide(blogData, organizationContext.styleGuide);
 
       console.log('✅ [CTA DEBUG] Generation: OpenAI response received:', {
         organizationId,
@@ -2584,7 +2700,7 @@ Full JSON structure (content first, then metadata):
 
   /**
    * Update blog post content in database
-   * Used by async image/tweet generation to update post with generated content
+   * Used by async image/tweet generation to update post with generated content (recorded as an 'enrichment' revision)
    * @param {string} blogPostId - The ID of the blog post to update
    * @param {string} content - Updated content with images/tweets
    */
@@ -2592,13 +2708,7 @@ Full JSON structure (content first, then metadata):
     try {
       console.log(`📝 Updating blog post ${blogPostId} with generated content...`);
 
-      await db.query(
-        `UPDATE blog_posts
-         SET content = $1,
-             updated_at = NOW()
-         WHERE id = $2`,
-        [content, blogPostId]
-      );
+      await updatePostWithRevision(blogPostId, { content }, { source: 'enrichment' });
 
       console.log(`✅ Blog post ${blogPostId} content updated successfully`);
     } catch (error) {
@@ -2814,6 +2924,7 @@ Full JSON structure (content first, then metadata):
       if (blogData.content) {
         blogData.content = this.normalizeImagePlaceholders(blogData.content);
       }
+      this.applyStyleGuide(blogData, organizationContext.styleGuide);
       if (blogData.content && blogData.content.includes('![TWEET:')) {
         blogData.content = await this.processTweetPlaceholders(blogData.content);
       }
@@ -2854,11 +2965,13 @@ Full JSON structure (content first, then metadata):
 
       // Load organization context for quality recommendations
       const organizationContext = await this.getOrganizationContext(organizationId);
+      const topicOverlap = await this.findTopicOverlap(topic, organizationId, options.postId || null);
       if (typeof onPartialResult === 'function') {
         onPartialResult('context-result', {
           organizationId,
           completenessScore: organizationContext.completenessScore,
-          availability: organizationContext.availability || {}
+          availability: organizationContext.availability || {},
+          topicOverlap
         });
       }
 
@@ -2884,6 +2997,9 @@ Full JSON structure (content first, then metadata):
         options.additionalInstructions || '',
         { ctas: options.ctas, useVoiceProfile: options.useVoiceProfile }
       );
+      if (options.autoInternalLinks) {
+        await this.applyInternalLinkSuggestions(blogData, organizationId, options.maxInternalLinks);
+      }
       if (typeof onPartialResult === 'function') {
         onPartialResult('blog-result', {
           ...blogData,
@@ -2937,6 +3053,17 @@ Full JSON structure (content first, then metadata):
         }
       }
 
+      // Deterministic score alongside the LLM analysis (stable between runs; see lib/seo-scorer.js)
+      const localSeoAnalysis = blogData.content
+        ? scoreContent({
+            content: blogData.content,
+            title: blogData.title,
+            metaDescription: blogData.metaDescription,
+            keywords: blogData.seoKeywords?.length ? blogData.seoKeywords : topic.seoKeywords || [],
+            siteUrl: organizationContext.websiteData?.internal_links?.[0]?.target_url || businessInfo.websiteUrl || null
+          })
+        : null;
+
       // Combine everything into complete response (include embed data so frontend can replace [TWEET:0], [ARTICLE:0], [VIDEO:0])
       const completeResponse = {
         ...blogData,
@@ -2946,9 +3073,12 @@ Full JSON structure (content first, then metadata):
         visualContentSuggestions: visualSuggestions,
         enhancedGeneration: true,
         seoAnalysis: seoAnalysis, // Add detailed SEO analysis for user transparency
+        localSeoAnalysis,
+        topicOverlap,
         qualityPrediction: {
           expectedSEOScore: seoAnalysis?.overallScore || blogData.seoOptimizationScore || 85,
           actualSEOScore: seoAnalysis?.overallScore || null,
+          localSEOScore: localSeoAnalysis?.score ?? null,
           enhancementLevel: blogData.organizationContext.enhancementLevel,
           dataCompleteness: blogData.organizationContext.dataCompleteness,
           recommendations: this.generateQualityRecommendations(organizationContext),
@@ -3169,7 +3299,9 @@ Return analysis in this exact JSON structure with HONEST scores based on actual
   }
 
   /**
-   * Generate blog with iterative optimization to reach target score
+   * Generate blog with iterative optimization to reach target score.
+   * The stopping criterion is the deterministic local score (lib/seo-scorer.js), so the same post always gets the
+   * same verdict; its failing checks are fed back into the next attempt's instructions.
    */
   async generateWithOptimization(topic, businessInfo, organizationId, targetScore = 95, options = {}) {
     console.log(`🎯 Starting iterative optimization targeting ${targetScore}+ SEO score`);
@@ -3178,6 +3310,7 @@ Return analysis in this exact JSON structure with HONEST scores based on actual
     let currentIteration = 0;
     let bestResult = null;
     let bestScore = 0;
+    let bestIssues = [];
     const attempts = [];
 
     while (currentIteration < maxIterations) {
@@ -3187,7 +3320,7 @@ Return analysis in this exact JSON structure with HONEST scores based on actual
       try {
         // Generate blog post with improved instructions
         const iterationInstructions = currentIteration > 1 ? 
-          `${options.additionalInstructions || ''} Previous attempt scored ${bestScore}. Focus on improving SEO optimization, content depth, and keyword integration to reach ${targetScore}+ score.` : 
+          `${options.additionalInstructions || ''} Previous attempt scored ${bestScore}. Fix these issues to reach ${targetScore}+: ${bestIssues.join(' ') || 'improve SEO optimization, content depth, and keyword integration.'}` : 
           `${options.additionalInstructions || ''} Target ${targetScore}+ SEO score with comprehensive optimization.`;
 
         const blogResult = await this.generateCompleteEnhancedBlog(
@@ -3200,23 +3333,25 @@ Return analysis in this exact JSON structure with HONEST scores based on actual
           }
         );
 
-        // Use real SEO analysis score from generateCompleteEnhancedBlog
-        const score = blogResult.qualityPrediction?.actualSEOScore || blogResult.qualityPrediction?.expectedSEOScore || 0;
+        const score = blogResult.localSeoAnalysis?.score ?? 0;
+        const issues = blogResult.localSeoAnalysis?.recommendations?.slice(0, 4) || [];
 
-        console.log(`📊 Attempt ${currentIteration} SEO score: ${score}/100`);
-        if (blogResult.qualityPrediction?.topImprovements?.length > 0) {
-          console.log(`📋 Key improvements needed:`, blogResult.qualityPrediction.topImprovements.slice(0, 2));
+        console.log(`📊 Attempt ${currentIteration} SEO score: ${score}/100 (LLM analysis: ${blogResult.qualityPrediction?.actualSEOScore ?? 'n/a'})`);
+        if (issues.length > 0) {
+          console.log(`📋 Key improvements needed:`, issues);
         }
 
         attempts.push({
           iteration: currentIteration,
           score: score,
+          llmScore: blogResult.qualityPrediction?.actualSEOScore ?? null,
           blog: blogResult
         });
 
         // Update best result if this is better
-        if (score > bestScore) {
+        if (score > bestScore || !bestResult) {
           bestScore = score;
+          bestIssues = issues;
           bestResult = blogResult;
         }
 
@@ -3246,6 +3381,135 @@ Return analysis in this exact JSON structure with HONEST scores based on actual
     };
   }
 
+  /**
+   * Voice and brand context for outline-first generation. It is stored with the outline so every section written
+   * from it uses the same voice, even if the organization's voice profile is re-analyzed in between.
+   * @param {object} organizationContext - from getOrganizationContext
+   * @param {object} businessInfo
+   * @param {{ useVoiceProfile?: boolean }} [opts]
+   * @returns {{ voice_section: string|null, brand_voice: string, voice_adaptation_used: boolean, voice_profile_confidence: number|null }}
+   */
+  buildOutlineVoiceContext(organizationContext, businessInfo, { useVoiceProfile = true } = {}) {
+    const voiceSection = useVoiceProfile ? this.buildVoiceProfileSection(organizationContext.voiceProfile) : null;
+    return {
+      voice_section: voiceSection,
+      brand_voice: this.buildBrandVoiceContext(organizationContext.websiteData, organizationContext.manualData, businessInfo),
+      voice_adaptation_used: !!voiceSection,
+      voice_profile_confidence: voiceSection ? Number(organizationContext.voiceProfile.confidence_score) : null
+    };
+  }
+
+  buildOutlinePrompt(topic, businessInfo, voiceContext, additionalInstructions = '') {
+    const contextSections = [voiceContext.voice_section, voiceContext.brand_voice].filter(Boolean);
+    return `Plan a blog post outline.
+
+TOPIC: ${topic.title}
+${topic.subheader ? `ANGLE: ${topic.subheader}\n` : ''}BUSINESS: ${businessInfo.businessType}
+TARGET AUDIENCE: ${businessInfo.targetAudience}
+${topic.seoKeywords?.length ? `PRIMARY KEYWORDS: ${topic.seoKeywords.join(', ')}\n` : ''}
+${contextSections.join('\n\n')}
+${additionalInstructions ? `\nADDITIONAL INSTRUCTIONS: ${additionalInstructions}` : ''}`;
+  }
+
+  /**
+   * Prompt for one section: the whole outline for structure, the neighbouring text for flow, and the outline's
+   * stored voice context.
+   * @param {{ title: string, topic?: object, business_info?: object, voice_context: object, sections: object[] }} outline
+   * @param {number} index - position of the section in outline.sections
+   * @param {{ previousText?: string|null, nextText?: string|null, instructions?: string }} [context]
+   */
+  buildSectionPrompt(outline, index, { previousText = null, nextText = null, instructions = '' } = {}) {
+    const section = outline.sections[index];
+    const businessInfo = outline.business_info || {};
+    const outlineText = outline.sections
+      .map((s, i) => `${s.level === 3 ? '    ' : ''}${'#'.repeat(s.level)} ${s.heading}${i === index ? '   <-- WRITE THIS SECTION' : ''}`)
+      .join('\n');
+    const excerpt = (text, fromEnd) => {
+      if (!text) return null;
+      const trimmed = text.trim();
+      if (trimmed.length <= 1500) return trimmed;
+      return fromEnd ? `...${trimmed.slice(-1500)}` : `${trimmed.slice(0, 1500)}...`;
+    };
+    const previous = excerpt(previousText, true);
+    const next = excerpt(nextText, false);
+    const contextSections = [outline.voice_context?.voice_section, outline.voice_context?.brand_voice].filter(Boolean);
+
+    return `POST TITLE: ${outline.title}
+BUSINESS: ${businessInfo.businessType || 'n/a'}
+TARGET AUDIENCE: ${businessInfo.targetAudience || 'n/a'}
+
+OUTLINE:
+${outlineText}
+
+SECTION TO WRITE:
+- Heading (${'#'.repeat(section.level)}): ${section.heading}
+- Intent: ${section.intent || 'n/a'}
+- Target keyword: ${section.target_keyword || 'n/a'}
+${previous ? `\nEND OF THE PREVIOUS SECTION (already written, do not repeat):\n${previous}\n` : ''}${next ? `\nSTART OF THE NEXT SECTION (already written, lead into it without covering it):\n${next}\n` : ''}
+${contextSections.join('\n\n')}
+${outline.additional_instructions ? `\nPOST INSTRUCTIONS: ${outline.additional_instructions}` : ''}${instructions ? `\nINSTRUCTIONS FOR THIS SECTION: ${instructions}` : ''}`;
+  }
+
+  async requestGenerationJson(systemPrompt, userPrompt, maxTokens) {
+    const model = process.env.OPENAI_BLOG_MODEL || process.env.OPENAI_MODEL || 'gpt-4o';
+    const completion = await this.openai.chat.completions.create({
+      model,
+      messages: [
+        { role: 'system', content: systemPrompt },
+        { role: 'user', content: userPrompt }
+      ],
+      temperature: 0.3,
+      max_tokens: maxTokens,
+      response_format: { type: 'json_object' }
+    });
+    const choice = completion.choices?.[0];
+    if (choice?.finish_reason === 'length') {
+      throw new Error(`Response truncated at ${maxTokens} tokens`);
+    }
+    try {
+      return { data: JSON.parse(choice?.message?.content || ''), model, tokensUsed: completion.usage?.total_tokens };
+    } catch (error) {
+      throw new Error(`Invalid JSON from OpenAI: ${error.message}`);
+    }
+  }
+
+  /**
+   * First phase of outline-first generation: title, meta description and H2/H3 sections with intent and target
+   * keyword. Nothing is stored here; see services/post-outlines.js.
+   * @param {{ useVoiceProfile?: boolean }} [opts]
+   * @returns {Promise<{ title: string, meta_description: string|null, sections: object[], voice_context: object, generation: object }>}
+   */
+  async generateOutline(topic, businessInfo, organizationId, additionalInstructions = '', opts = {}) {
+    const organizationContext = await this.getOrganizationContext(organizationId);
+    const voiceContext = this.buildOutlineVoiceContext(organizationContext, businessInfo, opts);
+    const prompt = this.buildOutlinePrompt(topic, businessInfo, voiceContext, additionalInstructions);
+    const { data, model, tokensUsed } = await this.requestGenerationJson(EnhancedBlogGenerationService.OUTLINE_SYSTEM_PROMPT, prompt, 2000);
+    console.log(`🧭 Outline generated for "${topic.title}": ${Array.isArray(data.sections) ? data.sections.length : 0} sections`);
+    return {
+      title: typeof data.title === 'string' && data.title.trim() ? data.title.trim() : topic.title,
+      meta_description: typeof data.meta_description === 'string' ? data.meta_description.trim() : null,
+      sections: Array.isArray(data.sections) ? data.sections : [],
+      voice_context: voiceContext,
+      generation: { model, tokensUsed, generatedAt: new Date().toISOString() }
+    };
+  }
+
+  /**
+   * Second phase: write the body of one outline section (without its heading line).
+   * @param {object} outline - stored outline (see buildSectionPrompt)
+   * @param {number} index - position of the section in outline.sections
+   * @param {{ previousText?: string|null, nextText?: string|null, instructions?: string }} [context]
+   * @returns {Promise<string>} markdown body
+   */
+  async generateOutlineSection(outline, index, context = {}) {
+    const prompt = this.buildSectionPrompt(outline, index, context);
+    const { data } = await this.requestGenerationJson(EnhancedBlogGenerationService.SECTION_SYSTEM_PROMPT, prompt, 2500);
+    if (typeof data.content !== 'string' || !data.content.trim()) {
+      throw new Error('Section generation returned no content');
+    }
+    return data.content;
+  }
+
   /**
    * Save enhanced blog post to database with metadata
    */
@@ -3,8 +3,12 @@
  * @see https://ghost.org/docs/admin-api/#token-authentication
  * @see https://ghost.org/docs/admin-api/posts/creating-a-post
  * POST {admin_url}/ghost/api/admin/posts/?source=html
+ * Update: PUT .../posts/{id}/?source=html with the current updated_at
+ * Schedule: status 'scheduled' with published_at in the future; Ghost publishes it at that time
+ * Unpublish: PUT .../posts/{id}/ with status draft (needs current updated_at) or DELETE .../posts/{id}/
  */
 import jwt from 'jsonwebtoken';
+import { NotFoundError } from '../lib/errors.js';
 
 const GHOST_ACCEPT_VERSION = 'v5.0';
 
@@ -35,41 +39,63 @@ function ghostToken(adminApiKey) {
   );
 }
 
+/** Ghost's column limits for post metadata (custom_excerpt 300, feature_image_alt 191, meta_description 500). */
+const GHOST_LIMITS = { custom_excerpt: 300, feature_image_alt: 191, meta_description: 500 };
+
+/**
+ * Admin API post body fields shared by create and update. Scheduled posts need published_at.
+ * Metadata is cut to Ghost's limits, which otherwise fail the whole request with a validation error.
+ */
+function ghostPostFields(post, status, publishedAt) {
+  const fields = {
+    title: post.title || 'Untitled',
+    html: post.content || '',
+    status
+  };
+  if (status === 'scheduled') fields.published_at = publishedAt.toISOString();
+  if (post.slug) fields.slug = post.slug;
+  if (post.excerpt) fields.custom_excerpt = post.excerpt.slice(0, GHOST_LIMITS.custom_excerpt);
+  if (post.featured_image) {
+    fields.feature_image = post.featured_image;
+    if (post.featured_image_alt) fields.feature_image_alt = post.featured_image_alt.slice(0, GHOST_LIMITS.feature_image_alt);
+  }
+  if (post.meta_description) fields.meta_description = post.meta_description.slice(0, GHOST_LIMITS.meta_description);
+  if (post.canonical_url) fields.canonical_url = post.canonical_url;
+  if (Array.isArray(post.tags) && post.tags.length > 0) fields.tags = post.tags.map((name) => ({ name }));
+  return fields;
+}
+
+/**
+ * @param {{ status?: 'published'|'draft'|'scheduled', publishedAt?: Date }} opts
+ * @returns {'published'|'draft'|'scheduled'}
+ */
+function resolveGhostStatus(opts) {
+  if (opts.status === 'scheduled') {
+    if (!(opts.publishedAt instanceof Date) || Number.isNaN(opts.publishedAt.getTime())) {
+      throw new Error('A publish date is required to schedule a Ghost post');
+    }
+    return 'scheduled';
+  }
+  return opts.status === 'draft' ? 'draft' : 'published';
+}
+
 /**
  * Publish a post to Ghost.
  * @param {object} credentials - { admin_url, admin_api_key } from getConnectionCredentials(userId, 'ghost')
- * @param {object} post - { title, content } (content as HTML)
- * @param {{ status?: 'published'|'draft' }} [opts] - default 'published'
+ * @param {object} post - { title, content, slug?, excerpt?, featured_image?, featured_image_alt?, meta_description?, canonical_url?, tags?: string[] } (content as HTML)
+ * @param {{ status?: 'published'|'draft'|'scheduled', publishedAt?: Date }} [opts] - default 'published'; 'scheduled' publishes at publishedAt
  * @returns {Promise<{ url: string, id: string }>}
  */
 export async function publishToGhost(credentials, post, opts = {}) {
-  const { admin_url, admin_api_key } = credentials || {};
-  if (!admin_url || !admin_api_key) {
-    throw new Error('Ghost connection missing admin_url or admin_api_key. Reconnect Ghost in Settings.');
-  }
-
-  const baseUrl = String(admin_url).trim().replace(/\/+$/, '');
+  const { baseUrl, headers } = ghostAdminContext(credentials);
   const url = `${baseUrl}/ghost/api/admin/posts/?source=html`;
-  const token = ghostToken(admin_api_key);
-  const status = opts.status === 'draft' ? 'draft' : 'published';
-
-  const body = {
-    posts: [
-      {
-        title: post.title || 'Untitled',
-        html: post.content || '',
-        status
-      }
-    ]
-  };
+  const status = resolveGhostStatus(opts);
+
+  const body = { posts: [ghostPostFields(post, status, opts.publishedAt)] };
 
   const res = await fetch(url, {
     method: 'POST',
-    headers: {
-      Authorization: `Ghost ${token}`,
-      'Content-Type': 'application/json',
-      'Accept-Version': GHOST_ACCEPT_VERSION
-    },
+    headers,
     body: JSON.stringify(body)
   });
 
@@ -77,16 +103,7 @@ export async function publishToGhost(credentials, post, opts = {}) {
     throw new Error('Ghost rejected the API key. Check your Ghost Admin API key in Settings.');
   }
   if (!res.ok) {
-    const text = await res.text();
-    let message = `Ghost returned ${res.status}`;
-    try {
-      const json = JSON.parse(text);
-      if (json.errors?.[0]?.message) message = json.errors[0].message;
-      else if (json.message) message = json.message;
-    } catch {
-      if (text && text.length < 200) message = text;
-    }
-    throw new Error(message);
+    throw new Error(await ghostErrorMessage(res));
   }
 
   const data = await res.json();
@@ -101,3 +118,150 @@ export async function publishToGhost(credentials, post, opts = {}) {
     id: created.id || ''
   };
 }
+
+/**
+ * Build Admin API request helpers for a Ghost connection.
+ * @param {object} credentials - { admin_url, admin_api_key }
+ */
+function ghostAdminContext(credentials) {
+  const { admin_url, admin_api_key } = credentials || {};
+  if (!admin_url || !admin_api_key) {
+    throw new Error('Ghost connection missing admin_url or admin_api_key. Reconnect Ghost in Settings.');
+  }
+  const baseUrl = String(admin_url).trim().replace(/\/+$/, '');
+  const headers = {
+    Authorization: `Ghost ${ghostToken(admin_api_key)}`,
+    'Content-Type': 'application/json',
+    'Accept-Version': GHOST_ACCEPT_VERSION
+  };
+  return { baseUrl, headers };
+}
+
+async function ghostErrorMessage(res) {
+  const text = await res.text();
+  let message = `Ghost returned ${res.status}`;
+  try {
+    const json = JSON.parse(text);
+    if (json.errors?.[0]?.message) message = json.errors[0].message;
+    else if (json.message) message = json.message;
+  } catch {
+    if (text && text.length < 200) message = text;
+  }
+  return message;
+}
+
+/**
+ * Unpublish a Ghost post: switch it back to draft (default) or delete it.
+ * Ghost requires the current updated_at on edits (collision detection), so draft mode reads the post first.
+ * A 404 means the post is already gone and is treated as success.
+ * @param {object} credentials - { admin_url, admin_api_key }
+ * @param {string} postId - Ghost post id stored as external_id at publish time
+ * @param {{ mode?: 'draft'|'delete' }} [opts]
+ * @returns {Promise<{ id: string, status: 'draft'|'deleted'|'gone' }>}
+ */
+export async function unpublishFromGhost(credentials, postId, opts = {}) {
+  if (!postId) {
+    throw new Error('Ghost post id is required to unpublish');
+  }
+  const { baseUrl, headers } = ghostAdminContext(credentials);
+  const postUrl = `${baseUrl}/ghost/api/admin/posts/${encodeURIComponent(postId)}/`;
+
+  if (opts.mode === 'delete') {
+    const res = await fetch(postUrl, { method: 'DELETE', headers });
+    if (res.status === 404) return { id: postId, status: 'gone' };
+    if (res.status === 401) throw new Error('Ghost rejected the API key. Check your Ghost Admin API key in Settings.');
+    if (!res.ok) throw new Error(await ghostErrorMessage(res));
+    return { id: postId, status: 'deleted' };
+  }
+
+  const getRes = await fetch(postUrl, { headers });
+  if (getRes.status === 404) return { id: postId, status: 'gone' };
+  if (getRes.status === 401) throw new Error('Ghost rejected the API key. Check your Ghost Admin API key in Settings.');
+  if (!getRes.ok) throw new Error(await ghostErrorMessage(getRes));
+  const current = (await getRes.json())?.posts?.[0];
+
+  const res = await fetch(postUrl, {
+    method: 'PUT',
+    headers,
+    body: JSON.stringify({ posts: [{ status: 'draft', updated_at: current?.updated_at }] })
+  });
+  if (res.status === 404) return { id: postId, status: 'gone' };
+  if (!res.ok) throw new Error(await ghostErrorMessage(res));
+  return { id: postId, status: 'draft' };
+}
+
+/**
+ * Update an existing Ghost post in place (title, html, slug, excerpt, feature image, SEO meta, tags).
+ * Reads the post first for updated_at, which Ghost requires for collision detection.
+ * @param {object} credentials - { admin_url, admin_api_key }
+ * @param {string} postId - Ghost post id stored as external_id at publish time
+ * @param {object} post - { title, content, slug?, excerpt?, featured_image?, featured_image_alt?, meta_description?, canonical_url?, tags?: string[] }
+ * @param {{ status?: 'published'|'draft'|'scheduled', publishedAt?: Date }} [opts]
+ * @returns {Promise<{ url: string, id: string }>}
+ * @throws {NotFoundError} when the remote post was deleted
+ */
+export async function updateGhostPost(credentials, postId, post, opts = {}) {
+  if (!postId) {
+    throw new Error('Ghost post id is required to update');
+  }
+  const { baseUrl, headers } = ghostAdminContext(credentials);
+  const postUrl = `${baseUrl}/ghost/api/admin/posts/${encodeURIComponent(postId)}/`;
+  const status = resolveGhostStatus(opts);
+
+  const getRes = await fetch(postUrl, { headers });
+  if (getRes.status === 404) throw new NotFoundError(`Ghost post ${postId} no longer exists`, 'ghost_post');
+  if (getRes.status === 401) throw new Error('Ghost rejected the API key. Check your Ghost Admin API key in Settings.');
+  if (!getRes.ok) throw new Error(await ghostErrorMessage(getRes));
+  const current = (await getRes.json())?.posts?.[0];
+
+  const res = await fetch(`${postUrl}?source=html`, {
+    method: 'PUT',
+    headers,
+    body: JSON.stringify({ posts: [{ ...ghostPostFields(post, status, opts.publishedAt), updated_at: current?.updated_at }] })
+  });
+  if (res.status === 404) throw new NotFoundError(`Ghost post ${postId} no longer exists`, 'ghost_post');
+  if (!res.ok) throw new Error(await ghostErrorMessage(res));
+
+  const updated = (await res.json())?.posts?.[0];
+  return {
+    url: updated?.url || '',
+    id: updated?.id || postId
+  };
+}
+
+/**
+ * Test a connection before it is saved (GET /ghost/api/admin/site/ with the Admin API token).
+ * @param {object} credentials - { admin_url, admin_api_key }
+ * @returns {Promise<void>}
+ * @throws {Error} with a user-facing message when the key or URL is rejected
+ */
+export async function validateGhostCredentials(credentials) {
+  const { baseUrl, headers } = ghostAdminContext(credentials);
+  const res = await fetch(`${baseUrl}/ghost/api/admin/site/`, { headers });
+  if (res.status === 401 || res.status === 403) {
+    throw new Error('Ghost rejected the API key. Check your Ghost Admin API key in Settings.');
+  }
+  if (res.status === 404) {
+    throw new Error('Ghost Admin API not found. Check admin_url is your Ghost site URL (e.g. https://yoursite.ghost.io).');
+  }
+  if (!res.ok) throw new Error(await ghostErrorMessage(res));
+}
+
+/** Adapter publish options to Ghost status: scheduled posts use 'scheduled' with published_at. */
+function adapterStatus(opts) {
+  if (opts.scheduledAt) return { status: 'scheduled', publishedAt: opts.scheduledAt };
+  return { status: opts.draft ? 'draft' : 'published' };
+}
+
+/** Publisher adapter (see lib/publishing-platforms.js). */
+export const ghostPublisher = {
+  key: 'ghost',
+  capabilities: { draft: true, update: true, unpublish: true, schedule: true },
+  validateCredentials: validateGhostCredentials,
+  publish: (credentials, post, opts = {}) =>
+    publishToGhost(credentials, post, adapterStatus(opts)),
+  update: (credentials, externalId, post, opts = {}) =>
+    updateGhostPost(credentials, externalId, post, adapterStatus(opts)),
+  unpublish: (credentials, externalId, opts = {}) =>
+    unpublishFromGhost(credentials, externalId, { mode: opts.mode === 'delete' ? 'delete' : 'draft' })
+};
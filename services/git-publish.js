@@ -0,0 +1,457 @@
+/**
+ * Git-backed publishing for static-site generators (Jekyll, Hugo, Next.js, Astro).
+ * Renders a post to a markdown file with generator-specific front matter and commits it
+ * to the connected repository via the GitHub contents API.
+ * @see https://docs.github.com/en/rest/repos/contents#create-or-update-file-contents
+ *
+ * Credentials (stored per connection): { repository_url, access_token, branch, posts_path | content_path }.
+ * GitHub Enterprise: set api_base_url on the connection or GITHUB_API_URL (defaults to https://api.github.com).
+ */
+
+const DEFAULT_GITHUB_API_URL = 'https://api.github.com';
+
+/** Default directory per generator when the connection does not set one. */
+export const DEFAULT_CONTENT_PATHS = Object.freeze({
+  jekyll: '_posts',
+  hugo: 'content/posts',
+  nextjs: 'content',
+  astro: 'src/content/blog'
+});
+
+const GENERATOR_LABELS = {
+  jekyll: 'Jekyll',
+  hugo: 'Hugo',
+  nextjs: 'Next.js',
+  astro: 'Astro'
+};
+
+/**
+ * Parse a repository URL into owner/repo and the API base to call.
+ * Accepts https://github.com/owner/repo(.git), git@github.com:owner/repo.git and owner/repo.
+ * @param {string} repositoryUrl
+ * @param {string} [apiBaseUrl] - override for GitHub Enterprise
+ * @returns {{ owner: string, repo: string, apiBase: string, webBase: string }}
+ */
+export function parseRepositoryUrl(repositoryUrl, apiBaseUrl) {
+  const raw = String(repositoryUrl || '').trim().replace(/\/+$/, '').replace(/\.git$/, '');
+  let host = 'github.com';
+  let path = raw;
+  const sshMatch = raw.match(/^git@([^:]+):(.+)$/);
+  if (sshMatch) {
+    host = sshMatch[1];
+    path = sshMatch[2];
+  } else if (/^https?:\/\//i.test(raw)) {
+    const u = new URL(raw);
+    host = u.hostname;
+    path = u.pathname.replace(/^\/+/, '');
+  }
+  const [owner, repo] = path.split('/');
+  if (!owner || !repo) {
+    throw new Error('Repository URL must look like https://github.com/owner/repo');
+  }
+  const explicitApi = apiBaseUrl || process.env.GITHUB_API_URL;
+  let apiBase;
+  if (explicitApi) {
+    apiBase = String(explicitApi).trim().replace(/\/+$/, '');
+  } else if (host === 'github.com') {
+    apiBase = DEFAULT_GITHUB_API_URL;
+  } else {
+    throw new Error(`Unsupported git host "${host}". Only GitHub repositories are supported; set api_base_url for GitHub Enterprise.`);
+  }
+  return { owner, repo, apiBase, webBase: `https://${host}` };
+}
+
+/**
+ * URL-safe slug from a post title.
+ * @param {string} title
+ * @returns {string}
+ */
+export function slugify(title) {
+  const slug = String(title || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 80)
+    .replace(/-+$/, '');
+  return slug || 'untitled';
+}
+
+/** Quote a scalar for YAML front matter (always double-quoted so colons and # are safe). */
+function yamlScalar(value) {
+  if (typeof value === 'boolean' || typeof value === 'number') return String(value);
+  return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, ' ')}"`;
+}
+
+/**
+ * Render a YAML front matter block. Skips null/undefined/empty-array fields.
+ * @param {Record<string, string|number|boolean|string[]|null|undefined>} fields
+ * @returns {string}
+ */
+export function renderFrontMatter(fields) {
+  const lines = ['---'];
+  for (const [key, value] of Object.entries(fields)) {
+    if (value == null) continue;
+    if (Array.isArray(value)) {
+      if (value.length === 0) continue;
+      lines.push(`${key}: [${value.map(yamlScalar).join(', ')}]`);
+    } else {
+      lines.push(`${key}: ${yamlScalar(value)}`);
+    }
+  }
+  lines.push('---');
+  return lines.join('\n');
+}
+
+/**
+ * Turn app placeholders into plain markdown that static-site generators render as-is.
+ * Tweets become links; image/chart placeholders and index-based embeds are dropped (nothing to show yet).
+ * @param {string} content
+ * @returns {string}
+ */
+export function toStaticSiteMarkdown(content) {
+  return String(content ?? '')
+    .replace(/!\[TWEET:(https?:\/\/[^\]]+?)(?:::DATA::[^\]]+)?\]/g, (_, url) => `[View on X](${url})`)
+    .replace(/!\[IMAGE:\w+:[^\]]*\]/g, '')
+    .replace(/!\[CHART:[^\]]*\]/g, '')
+    .replace(/\[(TWEET|VIDEO|ARTICLE):\d+\]/g, '')
+    .replace(/\[(Image|Chart):[^\]]*\]/g, '')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+function pad(n) {
+  return String(n).padStart(2, '0');
+}
+
+/** Jekyll date format: YYYY-MM-DD HH:MM:SS +0000 */
+function jekyllDate(date) {
+  return `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())} ${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}:${pad(date.getUTCSeconds())} +0000`;
+}
+
+function isoDay(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Build the file path and body for a post on a given generator.
+ * @param {'jekyll'|'hugo'|'nextjs'|'astro'} generator
+ * Optional SEO fields use each generator's common theme keys (jekyll-seo-tag, Hugo's internal templates,
+ * the Next.js blog starter, Astro's blog template).
+ * @param {{ title: string, content: string, slug?: string, excerpt?: string, meta_description?: string, canonical_url?: string, featured_image?: string, author?: string, tags?: string[], categories?: string[], date?: Date|string }} post
+ * @param {{ contentPath?: string, draft?: boolean }} [opts]
+ * @returns {{ path: string, content: string, slug: string }}
+ */
+export function buildStaticSiteFile(generator, post, opts = {}) {
+  if (!DEFAULT_CONTENT_PATHS[generator]) {
+    throw new Error(`Unknown static-site generator: ${generator}`);
+  }
+  const title = post.title || 'Untitled';
+  const slug = post.slug ? slugify(post.slug) : slugify(title);
+  const date = post.date ? new Date(post.date) : new Date();
+  const draft = !!opts.draft;
+  const tags = Array.isArray(post.tags) ? post.tags : [];
+  const categories = Array.isArray(post.categories) ? post.categories : [];
+  const excerpt = post.excerpt || null;
+  const description = post.meta_description || excerpt;
+  const image = post.featured_image || null;
+  const author = post.author || null;
+  const canonical = post.canonical_url || null;
+  let dir = String(opts.contentPath || DEFAULT_CONTENT_PATHS[generator]).trim().replace(/^\/+|\/+$/g, '');
+
+  let fileName;
+  let frontMatter;
+  if (generator === 'jekyll') {
+    // Jekyll publishes everything in _posts; drafts live in _drafts without a date prefix
+    if (draft) {
+      dir = dir.replace(/_posts$/, '_drafts');
+      fileName = `${slug}.md`;
+    } else {
+      fileName = `${isoDay(date)}-${slug}.md`;
+    }
+    frontMatter = renderFrontMatter({
+      layout: 'post', title, date: jekyllDate(date), excerpt, description, image, author, canonical_url: canonical, categories, tags
+    });
+  } else if (generator === 'hugo') {
+    fileName = `${slug}.md`;
+    frontMatter = renderFrontMatter({
+      title, date: date.toISOString(), draft, slug, description, images: image ? [image] : null, author, canonicalURL: canonical, categories, tags
+    });
+  } else if (generator === 'nextjs') {
+    fileName = `${slug}.md`;
+    frontMatter = renderFrontMatter({ title, date: date.toISOString(), slug, excerpt, coverImage: image, author, draft: draft || null, tags });
+  } else {
+    fileName = `${slug}.md`;
+    frontMatter = renderFrontMatter({ title, description: description || title, pubDate: isoDay(date), heroImage: image, draft: draft || null, tags });
+  }
+
+  const body = toStaticSiteMarkdown(post.content);
+  return {
+    path: dir ? `${dir}/${fileName}` : fileName,
+    content: `${frontMatter}\n\n${body}\n`,
+    slug
+  };
+}
+
+/** Encode each path segment but keep slashes (GitHub contents API path). */
+function encodeRepoPath(path) {
+  return path.split('/').map(encodeURIComponent).join('/');
+}
+
+async function githubErrorMessage(res, label) {
+  const text = await res.text().catch(() => '');
+  let message = `${label} returned ${res.status}`;
+  try {
+    const json = JSON.parse(text);
+    if (json.message) message = json.message;
+  } catch {
+    if (text && text.length < 200) message = text;
+  }
+  return message;
+}
+
+const tokenRejectedMessage = (label) =>
+  `${label} repository rejected the access token. Check the token has contents:write access and reconnect ${label} in Settings.`;
+
+/**
+ * Resolve stored credentials into request settings shared by every GitHub call.
+ * @param {{ repository_url: string, access_token: string, branch?: string, api_base_url?: string }} credentials
+ * @returns {{ owner: string, repo: string, webBase: string, branch: string, repoUrl: string, headers: Record<string, string> }}
+ */
+function githubContext(credentials) {
+  const { owner, repo, apiBase, webBase } = parseRepositoryUrl(credentials.repository_url, credentials.api_base_url);
+  return {
+    owner,
+    repo,
+    webBase,
+    branch: String(credentials.branch || '').trim() || 'main',
+    repoUrl: `${apiBase}/repos/${encodeURIComponent(owner)}/${encodeURIComponent(repo)}`,
+    headers: {
+      Authorization: `Bearer ${credentials.access_token}`,
+      Accept: 'application/vnd.github+json',
+      'X-GitHub-Api-Version': '2022-11-28'
+    }
+  };
+}
+
+/** The file as it is on the connection's branch (404 when it does not exist there). */
+function getRepositoryFile(ctx, path) {
+  return fetch(`${ctx.repoUrl}/contents/${encodeRepoPath(path)}?ref=${encodeURIComponent(ctx.branch)}`, { headers: ctx.headers });
+}
+
+/** PUT (create/update) or DELETE a file on the connection's branch. */
+function writeRepositoryFile(ctx, method, path, body) {
+  return fetch(`${ctx.repoUrl}/contents/${encodeRepoPath(path)}`, {
+    method,
+    headers: { ...ctx.headers, 'Content-Type': 'application/json' },
+    body: JSON.stringify({ ...body, branch: ctx.branch })
+  });
+}
+
+/** html_url of the commit a contents API write made, or one built from its sha. */
+function commitUrlOf(ctx, data) {
+  const commitSha = data?.commit?.sha || '';
+  return data?.commit?.html_url || (commitSha ? `${ctx.webBase}/${ctx.owner}/${ctx.repo}/commit/${commitSha}` : '');
+}
+
+/**
+ * Create or update a single file on a branch via the GitHub contents API.
+ * Looks up the existing blob sha first so re-publishing the same post updates the file instead of failing.
+ * @param {{ repository_url: string, access_token: string, branch?: string, api_base_url?: string }} credentials
+ * @param {{ path: string, content: string, message: string }} file
+ * @param {string} [label] - platform label for error messages
+ * @returns {Promise<{ commitUrl: string, commitSha: string, fileUrl: string, path: string, created: boolean }>}
+ */
+export async function commitFileToRepository(credentials, file, label = 'GitHub') {
+  const ctx = githubContext(credentials);
+
+  let existingSha = null;
+  const getRes = await getRepositoryFile(ctx, file.path);
+  if (getRes.ok) {
+    const existing = await getRes.json();
+    existingSha = existing?.sha || null;
+  } else if (getRes.status === 401 || getRes.status === 403) {
+    throw new Error(tokenRejectedMessage(label));
+  } else if (getRes.status !== 404) {
+    throw new Error(await githubErrorMessage(getRes, label));
+  }
+
+  const putRes = await writeRepositoryFile(ctx, 'PUT', file.path, {
+    message: file.message,
+    content: Buffer.from(file.content, 'utf8').toString('base64'),
+    ...(existingSha && { sha: existingSha })
+  });
+  if (putRes.status === 401 || putRes.status === 403) {
+    throw new Error(tokenRejectedMessage(label));
+  }
+  if (putRes.status === 404) {
+    throw new Error(`${label} repository or branch "${ctx.branch}" not found. Check repository_url and branch in Settings.`);
+  }
+  if (!putRes.ok) {
+    throw new Error(await githubErrorMessage(putRes, label));
+  }
+
+  const data = await putRes.json();
+  return {
+    commitUrl: commitUrlOf(ctx, data),
+    commitSha: data?.commit?.sha || '',
+    fileUrl: data?.content?.html_url || `${ctx.webBase}/${ctx.owner}/${ctx.repo}/blob/${ctx.branch}/${file.path}`,
+    path: file.path,
+    created: !existingSha
+  };
+}
+
+/**
+ * Render and commit a post for one generator. Shared by jekyll/hugo/nextjs/astro publishers.
+ * With opts.path (the id returned by an earlier publish) the post is committed over that file so edits
+ * that change the title or date do not leave a second copy behind; if the target folder changed
+ * (Jekyll _drafts → _posts) the new file is written and the old one deleted.
+ * @param {'jekyll'|'hugo'|'nextjs'|'astro'} generator
+ * @param {object} credentials - { repository_url, access_token, branch?, posts_path?, content_path? }
+ * @param {object} post - { title, content, slug?, excerpt?, meta_description?, canonical_url?, featured_image?, author?, tags?, categories?, date? }
+ * @param {{ draft?: boolean, path?: string }} [opts]
+ * @returns {Promise<{ url: string, id: string, commit_sha: string, file_url: string }>}
+ */
+export async function publishToGitRepository(generator, credentials, post, opts = {}) {
+  const label = GENERATOR_LABELS[generator] || generator;
+  if (!credentials?.repository_url || !credentials?.access_token) {
+    throw new Error(`${label} connection missing repository_url or access_token. Reconnect ${label} in Settings.`);
+  }
+  const contentPath = generator === 'jekyll' ? credentials.posts_path : credentials.content_path;
+  const file = buildStaticSiteFile(generator, post, { contentPath, draft: opts.draft });
+  const previousPath = opts.path ? String(opts.path) : null;
+  const dirOf = (p) => p.slice(0, p.lastIndexOf('/') + 1);
+  if (previousPath && dirOf(previousPath) === dirOf(file.path)) {
+    file.path = previousPath;
+  }
+  const verb = opts.draft ? 'Draft' : previousPath ? 'Update' : 'Publish';
+  const commit = await commitFileToRepository(
+    credentials,
+    { path: file.path, content: file.content, message: `${verb}: ${post.title || 'Untitled'}` },
+    label
+  );
+  if (previousPath && previousPath !== file.path) {
+    await deleteFileFromRepository(credentials, { path: previousPath, message: `Move: ${previousPath} → ${file.path}` }, label);
+  }
+  return {
+    url: commit.commitUrl,
+    id: commit.path,
+    commit_sha: commit.commitSha,
+    file_url: commit.fileUrl
+  };
+}
+
+/**
+ * Delete a file from a branch via the GitHub contents API (requires the current blob sha).
+ * A missing file is treated as already removed.
+ * @param {{ repository_url: string, access_token: string, branch?: string, api_base_url?: string }} credentials
+ * @param {{ path: string, message: string }} file
+ * @param {string} [label] - platform label for error messages
+ * @returns {Promise<{ commitUrl: string|null, path: string, deleted: boolean }>}
+ */
+export async function deleteFileFromRepository(credentials, file, label = 'GitHub') {
+  const ctx = githubContext(credentials);
+
+  const getRes = await getRepositoryFile(ctx, file.path);
+  if (getRes.status === 404) {
+    return { commitUrl: null, path: file.path, deleted: false };
+  }
+  if (getRes.status === 401 || getRes.status === 403) {
+    throw new Error(tokenRejectedMessage(label));
+  }
+  if (!getRes.ok) {
+    throw new Error(await githubErrorMessage(getRes, label));
+  }
+  const existing = await getRes.json();
+
+  const delRes = await writeRepositoryFile(ctx, 'DELETE', file.path, { message: file.message, sha: existing?.sha });
+  if (delRes.status === 404) {
+    return { commitUrl: null, path: file.path, deleted: false };
+  }
+  if (!delRes.ok) {
+    throw new Error(await githubErrorMessage(delRes, label));
+  }
+  const data = await delRes.json();
+  return {
+    commitUrl: commitUrlOf(ctx, data) || null,
+    path: file.path,
+    deleted: true
+  };
+}
+
+/**
+ * Remove a previously published post file. Shared by jekyll/hugo/nextjs/astro unpublish.
+ * @param {'jekyll'|'hugo'|'nextjs'|'astro'} generator
+ * @param {object} credentials - { repository_url, access_token, branch? }
+ * @param {string} path - file path stored as external_id at publish time
+ * @returns {Promise<{ id: string, status: 'deleted'|'gone', commit_url: string|null }>}
+ */
+export async function unpublishFromGitRepository(generator, credentials, path) {
+  const label = GENERATOR_LABELS[generator] || generator;
+  if (!credentials?.repository_url || !credentials?.access_token) {
+    throw new Error(`${label} connection missing repository_url or access_token. Reconnect ${label} in Settings.`);
+  }
+  if (!path) {
+    throw new Error(`${label} file path is required to unpublish`);
+  }
+  const result = await deleteFileFromRepository(credentials, { path, message: `Unpublish: ${path}` }, label);
+  return { id: path, status: result.deleted ? 'deleted' : 'gone', commit_url: result.commitUrl };
+}
+
+/**
+ * Test a git-backed connection before it is saved: the token must reach the repository with push
+ * access and the configured branch must exist.
+ * @param {'jekyll'|'hugo'|'nextjs'|'astro'} generator
+ * @param {{ repository_url: string, access_token: string, branch?: string, api_base_url?: string }} credentials
+ * @returns {Promise<void>}
+ * @throws {Error} with a user-facing message when the repository, token or branch is rejected
+ */
+export async function validateRepositoryAccess(generator, credentials) {
+  const label = GENERATOR_LABELS[generator] || generator;
+  if (!credentials?.repository_url || !credentials?.access_token) {
+    throw new Error(`${label} connection requires repository_url and access_token`);
+  }
+  const { owner, repo, branch, repoUrl, headers } = githubContext(credentials);
+
+  const repoRes = await fetch(repoUrl, { headers });
+  if (repoRes.status === 401) {
+    throw new Error(`${label} repository rejected the access token. Check the token is valid and has contents:write access.`);
+  }
+  if (repoRes.status === 403 || repoRes.status === 404) {
+    throw new Error(`${label} repository ${owner}/${repo} not found, or the access token cannot see it.`);
+  }
+  if (!repoRes.ok) {
+    throw new Error(await githubErrorMessage(repoRes, label));
+  }
+  const repoData = await repoRes.json();
+  if (repoData?.permissions && repoData.permissions.push === false) {
+    throw new Error(`${label} access token is read-only for ${owner}/${repo}. Grant contents:write access.`);
+  }
+
+  const branchRes = await fetch(`${repoUrl}/branches/${encodeURIComponent(branch)}`, { headers });
+  if (branchRes.status === 404) {
+    throw new Error(`${label} branch "${branch}" not found in ${owner}/${repo}.`);
+  }
+  if (!branchRes.ok) {
+    throw new Error(await githubErrorMessage(branchRes, label));
+  }
+}
+
+/**
+ * Build the publisher adapter for a git-backed generator (see lib/publishing-platforms.js).
+ * The remote id is the committed file path, so update commits over it and unpublish deletes it.
+ * @param {'jekyll'|'hugo'|'nextjs'|'astro'} generator
+ */
+export function createGitPublisher(generator) {
+  return {
+    key: generator,
+    capabilities: { draft: true, update: true, unpublish: true },
+    validateCredentials: (credentials) => validateRepositoryAccess(generator, credentials),
+    publish: (credentials, post, opts = {}) =>
+      publishToGitRepository(generator, credentials, post, { draft: opts.draft }),
+    update: (credentials, path, post, opts = {}) =>
+      publishToGitRepository(generator, credentials, post, { draft: opts.draft, path }),
+    unpublish: (credentials, path) => unpublishFromGitRepository(generator, credentials, path)
+  };
+}
@@ -0,0 +1,183 @@
+/**
+ * Publish a post to HubSpot CMS blog (Blog Posts API v3).
+ * @see https://developers.hubspot.com/docs/api/cms/blog-post
+ *
+ * Connection credentials: access_token / refresh_token / expires_at from OAuth (tokens last 30 minutes and
+ * are refreshed by getConnectionCredentials), plus optional setting content_group_id (the blog; default:
+ * the account's first blog).
+ *
+ * New posts are created as drafts, then pushed live unless publish_mode is draft. Updates edit the draft
+ * version and push it live. Tags are matched by name and created when missing.
+ */
+import { NotFoundError } from '../lib/errors.js';
+import { markdownToHtml } from '../lib/markdown-to-html.js';
+import { plainTextExcerpt } from '../lib/markdown-to-structured-content.js';
+import { slugify } from './git-publish.js';
+
+const HUBSPOT_API = 'https://api.hubapi.com';
+
+function hubspotHeaders(credentials) {
+  if (!credentials?.access_token) {
+    throw new Error('HubSpot connection missing access_token. Reconnect HubSpot in Settings.');
+  }
+  return { Authorization: `Bearer ${credentials.access_token}`, 'Content-Type': 'application/json' };
+}
+
+async function hubspotErrorMessage(res) {
+  if (res.status === 401 || res.status === 403) {
+    return 'HubSpot rejected the access token. Reconnect HubSpot in Settings.';
+  }
+  let message = `HubSpot returned ${res.status}`;
+  try {
+    const data = JSON.parse(await res.text());
+    if (data?.message) message = data.message;
+  } catch {
+    /* keep status message */
+  }
+  return message;
+}
+
+async function hubspotRequest(headers, method, path, body) {
+  return fetch(`${HUBSPOT_API}${path}`, { method, headers, ...(body !== undefined && { body: JSON.stringify(body) }) });
+}
+
+/** The configured blog id, or the account's first blog. */
+async function resolveContentGroupId(credentials, headers) {
+  if (credentials.content_group_id) return String(credentials.content_group_id);
+  const res = await hubspotRequest(headers, 'GET', '/cms/v3/blog-settings/settings?limit=1');
+  if (!res.ok) throw new Error(await hubspotErrorMessage(res));
+  const blog = (await res.json())?.results?.[0];
+  if (!blog) throw new Error('This HubSpot account has no blog. Create one under Content → Blog.');
+  return String(blog.id);
+}
+
+/** Tag ids for tag names, creating missing tags. Tag failures are logged and skipped. */
+async function resolveTagIds(headers, tags) {
+  const ids = [];
+  for (const name of tags || []) {
+    try {
+      const findRes = await hubspotRequest(headers, 'GET', `/cms/v3/blogs/tags?name=${encodeURIComponent(name)}`);
+      if (!findRes.ok) throw new Error(await hubspotErrorMessage(findRes));
+      const existing = (await findRes.json())?.results?.find((t) => t.name?.toLowerCase() === name.toLowerCase());
+      if (existing) {
+        ids.push(existing.id);
+        continue;
+      }
+      const createRes = await hubspotRequest(headers, 'POST', '/cms/v3/blogs/tags', { name });
+      if (!createRes.ok) throw new Error(await hubspotErrorMessage(createRes));
+      ids.push((await createRes.json()).id);
+    } catch (err) {
+      console.warn(`HubSpot tag "${name}" skipped:`, err.message);
+    }
+  }
+  return ids;
+}
+
+async function blogPostFields(headers, post) {
+  const metaDescription = post.meta_description || post.excerpt || plainTextExcerpt(post.content, 160);
+  const tagIds = await resolveTagIds(headers, post.tags);
+  return {
+    name: post.title || 'Untitled',
+    htmlTitle: post.title || 'Untitled',
+    slug: post.slug || slugify(post.title),
+    postBody: markdownToHtml(post.content || ''),
+    ...(post.excerpt && { postSummary: post.excerpt }),
+    ...(metaDescription && { metaDescription }),
+    ...(post.canonical_url && { linkRelCanonicalUrl: post.canonical_url }),
+    ...(post.featured_image
+      ? { featuredImage: post.featured_image, featuredImageAltText: post.featured_image_alt || post.title || '', useFeaturedImage: true }
+      : { useFeaturedImage: false }),
+    ...(tagIds.length > 0 && { tagIds })
+  };
+}
+
+async function pushLive(headers, postId) {
+  const res = await hubspotRequest(headers, 'POST', `/cms/v3/blogs/posts/${encodeURIComponent(postId)}/draft/push-live`);
+  if (!res.ok) throw new Error(await hubspotErrorMessage(res));
+}
+
+/**
+ * Create a blog post and push it live (or leave it as a draft).
+ * @param {object} credentials - { access_token, content_group_id? }
+ * @param {object} post - { title, content (markdown), featured_image?, featured_image_alt?, tags?, excerpt?, slug?, meta_description?, canonical_url? }
+ * @param {{ draft?: boolean }} [opts]
+ * @returns {Promise<{ url: string, id: string }>}
+ */
+export async function publishToHubSpot(credentials, post, opts = {}) {
+  const headers = hubspotHeaders(credentials);
+  const contentGroupId = await resolveContentGroupId(credentials, headers);
+  const res = await hubspotRequest(headers, 'POST', '/cms/v3/blogs/posts', {
+    ...(await blogPostFields(headers, post)),
+    contentGroupId
+  });
+  if (!res.ok) throw new Error(await hubspotErrorMessage(res));
+  const created = await res.json();
+  if (!opts.draft) await pushLive(headers, created.id);
+  return { url: created.url || '', id: String(created.id) };
+}
+
+/**
+ * Update a blog post: edit its draft version, then push it live unless drafting.
+ * @param {object} credentials
+ * @param {string} postId - HubSpot post id stored as external_id
+ * @param {object} post
+ * @param {{ draft?: boolean }} [opts]
+ * @returns {Promise<{ url: string, id: string }>}
+ * @throws {NotFoundError} when the post was deleted in HubSpot
+ */
+export async function updateHubSpotPost(credentials, postId, post, opts = {}) {
+  const headers = hubspotHeaders(credentials);
+  const res = await hubspotRequest(
+    headers,
+    'PATCH',
+    `/cms/v3/blogs/posts/${encodeURIComponent(postId)}/draft`,
+    await blogPostFields(headers, post)
+  );
+  if (res.status === 404) throw new NotFoundError(`HubSpot post ${postId} no longer exists`, 'hubspot_post');
+  if (!res.ok) throw new Error(await hubspotErrorMessage(res));
+  const updated = await res.json();
+  if (!opts.draft) await pushLive(headers, postId);
+  return { url: updated.url || '', id: String(postId) };
+}
+
+/**
+ * Revert a blog post to draft or delete (archive) it. A missing post counts as success.
+ * @param {object} credentials
+ * @param {string} postId
+ * @param {{ mode?: 'draft'|'delete' }} [opts]
+ * @returns {Promise<{ id: string, status: 'draft'|'deleted'|'gone' }>}
+ */
+export async function unpublishFromHubSpot(credentials, postId, opts = {}) {
+  const headers = hubspotHeaders(credentials);
+  const path = `/cms/v3/blogs/posts/${encodeURIComponent(postId)}`;
+  const res = opts.mode === 'delete'
+    ? await hubspotRequest(headers, 'DELETE', path)
+    : await hubspotRequest(headers, 'PATCH', path, { state: 'DRAFT' });
+  if (res.status === 404) return { id: String(postId), status: 'gone' };
+  if (!res.ok) throw new Error(await hubspotErrorMessage(res));
+  return { id: String(postId), status: opts.mode === 'delete' ? 'deleted' : 'draft' };
+}
+
+/**
+ * Test a connection by reading blog settings (GET /cms/v3/blog-settings/settings).
+ * @param {object} credentials - { access_token }
+ * @returns {Promise<void>}
+ */
+export async function validateHubSpotCredentials(credentials) {
+  const headers = hubspotHeaders(credentials);
+  const res = await hubspotRequest(headers, 'GET', '/cms/v3/blog-settings/settings?limit=1');
+  if (!res.ok) throw new Error(await hubspotErrorMessage(res));
+}
+
+/** Publisher adapter (see lib/publishing-platforms.js). */
+export const hubspotPublisher = {
+  key: 'hubspot',
+  capabilities: { draft: true, update: true, unpublish: true },
+  settings: ['content_group_id'],
+  validateCredentials: validateHubSpotCredentials,
+  publish: (credentials, post, opts = {}) => publishToHubSpot(credentials, post, { draft: !!opts.draft }),
+  update: (credentials, externalId, post, opts = {}) =>
+    updateHubSpotPost(credentials, externalId, post, { draft: !!opts.draft }),
+  unpublish: (credentials, externalId, opts = {}) =>
+    unpublishFromHubSpot(credentials, externalId, { mode: opts.mode === 'delete' ? 'delete' : 'draft' })
+};
@@ -0,0 +1,31 @@
+/**
+ * Publish a post to a Hugo site by committing a new file to the repo.
+ * Requires repository_url, access_token, branch, content_path (stored in connection; default content/posts).
+ * Uses the GitHub contents API (services/git-publish.js) to create/update a file in the content section.
+ * @see HUGO_PUBLISHING_BACKEND_HANDOFF in frontend docs/publishing
+ */
+import { createGitPublisher, publishToGitRepository, unpublishFromGitRepository } from './git-publish.js';
+
+/**
+ * Publish a post to Hugo (commit slug.md with title/date/draft/slug front matter).
+ * @param {object} credentials - { repository_url, access_token, branch, content_path }
+ * @param {object} post - { title, content, date? }
+ * @param {{ draft?: boolean, path?: string }} [opts] - draft sets draft: true so Hugo skips it in production builds; path (id from an earlier publish) updates that file in place
+ * @returns {Promise<{ url: string, id: string, commit_sha: string, file_url: string }>} url is the commit URL; id is the file path
+ */
+export async function publishToHugo(credentials, post, opts = {}) {
+  return publishToGitRepository('hugo', credentials, post, opts);
+}
+
+/**
+ * Unpublish from Hugo by deleting the committed file.
+ * @param {object} credentials - same as publish
+ * @param {string} path - file path returned as id at publish time
+ * @returns {Promise<{ id: string, status: 'deleted'|'gone', commit_url: string|null }>}
+ */
+export async function unpublishFromHugo(credentials, path) {
+  return unpublishFromGitRepository('hugo', credentials, path);
+}
+
+/** Publisher adapter (see lib/publishing-platforms.js). */
+export const hugoPublisher = createGitPublisher('hugo');
@@ -0,0 +1,194 @@
+/**
+ * Inline AI edits: suggest a replacement for a selected passage of a post (rewrite, shorten, expand, change tone,
+ * simplify, add a cited statistic, convert to a list) in the organization's voice. Suggestions are not stored;
+ * the client sends an accepted one back and it is applied as an 'inline_edit' revision (services/post-revisions.js).
+ */
+import db from './database.js';
+import enhancedBlogGenerationService from './enhanced-blog-generation.js';
+import { getOwnedPost, updatePostWithRevision } from './post-revisions.js';
+import { ConflictError, ValidationError } from '../lib/errors.js';
+
+/** Operation → instruction for the model. */
+const OPERATION_INSTRUCTIONS = {
+  rewrite: () => 'Rewrite the passage to read better while keeping its meaning, facts and approximate length.',
+  shorten: () => 'Shorten the passage to roughly half its length, keeping the key point and any facts or links.',
+  expand: () => 'Expand the passage with more detail, an example or explanation (roughly 1.5–2× its length). Do not invent facts.',
+  change_tone: ({ tone }) => `Rewrite the passage in a ${tone} tone, keeping its meaning and facts.`,
+  simplify: ({ reading_level: level }) =>
+    `Rewrite the passage for a ${level ? `grade ${level}` : 'grade 8'} reading level: shorter sentences, common words, same meaning.`,
+  add_statistic: () =>
+    'Add one relevant statistic to the passage with a citation as a markdown link to its source. Only use a statistic you are confident is real and attributable; if you are not, return the passage unchanged with an empty citations list.',
+  convert_to_list: () => 'Convert the passage into a markdown bullet list (numbered if the order matters), keeping all of its points.'
+};
+
+export const INLINE_EDIT_OPERATIONS = Object.freeze(Object.keys(OPERATION_INSTRUCTIONS));
+
+const MAX_SELECTION_LENGTH = 4000;
+const CONTEXT_LENGTH = 600;
+
+const INLINE_EDIT_SYSTEM_PROMPT = `You are an editor improving one passage of a published-quality blog post. Change only the selected passage; the text around it is shown for context and stays as it is, so the replacement must fit between them.
+
+RULES:
+- Match the provided voice and brand context exactly.
+- Keep markdown formatting, links and placeholders such as ![IMAGE:...] unless the operation requires changing them.
+- Do not add headings, and do not repeat the surrounding text.
+- Do not fabricate statistics, studies, expert names or quotes.
+
+OUTPUT: Return valid JSON: {"replacement": string, "citations": [{"label": string, "url": string}]}`;
+
+/**
+ * Validate a selection against the post content.
+ * @returns {{ start: number, end: number }}
+ * @throws {ValidationError}
+ */
+export function parseSelection(range, content) {
+  const start = Number(range?.start);
+  const end = Number(range?.end);
+  if (!Number.isInteger(start) || !Number.isInteger(end) || start < 0 || end <= start || end > content.length) {
+    throw new ValidationError('Invalid range', `range must have integer start < end within the content (0–${content.length})`);
+  }
+  if (end - start > MAX_SELECTION_LENGTH) {
+    throw new ValidationError('Invalid range', `Select at most ${MAX_SELECTION_LENGTH} characters`);
+  }
+  if (!content.slice(start, end).trim()) throw new ValidationError('Invalid range', 'The selected text is empty');
+  return { start, end };
+}
+
+/**
+ * Validate operation-specific options.
+ * @returns {{ tone?: string, reading_level?: number }}
+ * @throws {ValidationError}
+ */
+export function parseOperationOptions(operation, options = {}) {
+  if (!INLINE_EDIT_OPERATIONS.includes(operation)) {
+    throw new ValidationError('Invalid operation', `operation must be one of: ${INLINE_EDIT_OPERATIONS.join(', ')}`);
+  }
+  if (operation === 'change_tone') {
+    const tone = typeof options?.tone === 'string' ? options.tone.trim() : '';
+    if (!tone || tone.length > 50) throw new ValidationError('Invalid options', 'change_tone requires options.tone (at most 50 characters)');
+    return { tone };
+  }
+  if (operation === 'simplify' && options?.reading_level !== undefined) {
+    const level = Number(options.reading_level);
+    if (!Number.isInteger(level) || level < 3 || level > 16) {
+      throw new ValidationError('Invalid options', 'options.reading_level must be a grade between 3 and 16');
+    }
+    return { reading_level: level };
+  }
+  return {};
+}
+
+/**
+ * Voice profile of the post's organization, or null. Posts created outside generation have no organization; they
+ * use the author's (first active membership).
+ */
+async function loadPostVoiceProfile(post) {
+  if (!post.organization_id && !post.user_id) return null;
+  try {
+    const { rows } = await db.query(
+      `SELECT avp.style, avp.vocabulary, avp.structure, avp.formatting, avp.confidence_score
+       FROM aggregated_voice_profiles avp
+       WHERE avp.organization_id = COALESCE($1, (
+         SELECT organization_id FROM organization_members
+         WHERE user_id = $2 AND status = 'active'
+         ORDER BY created_at ASC
+         LIMIT 1
+       ))`,
+      [post.organization_id ?? null, post.user_id ?? null]
+    );
+    return rows[0] || null;
+  } catch (error) {
+    if (error?.code !== '42P01') console.warn('Voice profile load skipped:', error?.message || error);
+    return null;
+  }
+}
+
+export function buildInlineEditPrompt({ content, start, end, operation, options, voiceSection }) {
+  const before = content.slice(Math.max(0, start - CONTEXT_LENGTH), start);
+  const after = content.slice(end, end + CONTEXT_LENGTH);
+  return `OPERATION: ${OPERATION_INSTRUCTIONS[operation](options)}
+
+${voiceSection || 'VOICE: Keep the voice of the surrounding text.'}
+
+TEXT BEFORE THE PASSAGE (context only):
+${before ? `${start > CONTEXT_LENGTH ? '...' : ''}${before}` : '(start of post)'}
+
+SELECTED PASSAGE (replace this):
+${content.slice(start, end)}
+
+TEXT AFTER THE PASSAGE (context only):
+${after ? `${after}${end + CONTEXT_LENGTH < content.length ? '...' : ''}` : '(end of post)'}`;
+}
+
+/**
+ * Suggest a replacement for a passage. Nothing is saved.
+ * @param {{ userId?: string|null, sessionId?: string|null }} owner
+ * @param {{ range: { start: number, end: number }, operation: string, options?: object }} request
+ * @returns {Promise<{ operation: string, range: { start: number, end: number }, original: string, replacement: string, citations: object[], warnings: string[], voice_adaptation_used: boolean }>}
+ * @throws {NotFoundError|ValidationError}
+ */
+export async function suggestInlineEdit(postId, owner, { range, operation, options } = {}) {
+  const parsedOptions = parseOperationOptions(operation, options);
+  const post = await getOwnedPost(postId, owner);
+  const content = post.content || '';
+  const { start, end } = parseSelection(range, content);
+
+  const voiceSection = enhancedBlogGenerationService.buildVoiceProfileSection(await loadPostVoiceProfile(post));
+  const prompt = buildInlineEditPrompt({ content, start, end, operation, options: parsedOptions, voiceSection });
+  const { data } = await enhancedBlogGenerationService.requestGenerationJson(INLINE_EDIT_SYSTEM_PROMPT, prompt, 2500);
+  if (typeof data.replacement !== 'string' || !data.replacement.trim()) {
+    throw new Error('Inline edit returned no replacement');
+  }
+
+  const citations = (Array.isArray(data.citations) ? data.citations : [])
+    .filter((c) => c && typeof c.url === 'string' && /^https?:\/\//i.test(c.url))
+    .map((c) => ({ label: typeof c.label === 'string' ? c.label : c.url, url: c.url }));
+  const warnings = [];
+  if (operation === 'add_statistic' && (citations.length === 0 || !/\]\(https?:\/\//i.test(data.replacement))) {
+    warnings.push('No cited statistic was added; check the suggestion before accepting it.');
+  }
+
+  // Keep the whitespace around the selection so the replacement drops into place
+  const original = content.slice(start, end);
+  const leading = original.match(/^\s*/)[0];
+  const trailing = original.match(/\s*$/)[0];
+  return {
+    operation,
+    range: { start, end },
+    original,
+    replacement: `${leading}${data.replacement.trim()}${trailing}`,
+    citations,
+    warnings,
+    voice_adaptation_used: !!voiceSection
+  };
+}
+
+/**
+ * Apply an accepted suggestion as a new revision. The passage must still read `original`: at the given range,
+ * or — when other parts of the post were edited since — at its only occurrence.
+ * @param {{ userId?: string|null, sessionId?: string|null }} owner
+ * @param {{ range: { start: number, end: number }, original: string, replacement: string }} edit
+ * @returns {Promise<{ post: object, revision: number|null }>}
+ * @throws {NotFoundError|ValidationError|ConflictError}
+ */
+export async function applyInlineEdit(postId, owner, { range, original, replacement } = {}) {
+  if (typeof original !== 'string' || !original) throw new ValidationError('Invalid original', 'original (the replaced passage) is required');
+  if (typeof replacement !== 'string') throw new ValidationError('Invalid replacement', 'replacement must be a string');
+
+  return updatePostWithRevision(
+    postId,
+    (current) => {
+      const content = current.content || '';
+      let start = Number(range?.start);
+      if (!Number.isInteger(start) || content.slice(start, start + original.length) !== original) {
+        const first = content.indexOf(original);
+        if (first === -1 || content.indexOf(original, first + 1) !== -1) {
+          throw new ConflictError('The selected passage changed since the suggestion was made; request a new suggestion');
+        }
+        start = first;
+      }
+      return { content: content.slice(0, start) + replacement + content.slice(start + original.length) };
+    },
+    { owner, source: 'inline_edit' }
+  );
+}
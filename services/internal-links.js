@@ -0,0 +1,277 @@
+/**
+ * Internal-link suggestions: match passages of a draft to the organization's most relevant existing pages (scraped
+ * website_pages and published blog_posts) with a local BM25 index (lib/relevance-index.js) and propose anchor text +
+ * target URL pairs. Each page is suggested at most once and pages the draft already links to are skipped. Generation
+ * inserts them when called with options.autoInternalLinks (EnhancedBlogGenerationService.generateCompleteEnhancedBlog).
+ */
+import db from './database.js';
+import { getOwnedPost } from './post-revisions.js';
+import { WORD_PATTERN, buildRelevanceIndex, inverseDocumentFrequency, normalizeTerm, rankDocuments } from '../lib/relevance-index.js';
+
+export const DEFAULT_MAX_LINKS = 5;
+const MAX_LINKS_LIMIT = 20;
+const MAX_INDEXED_DOCUMENTS = 500;
+const MAX_INDEXED_TEXT_LENGTH = 20000;
+const MAX_ANCHOR_WORDS = 4;
+const CANDIDATES_PER_PARAGRAPH = 5;
+/** Below this BM25 score a page shares too little with the paragraph to be worth a link. */
+const MIN_RELEVANCE = 2;
+
+const PROTECTED_PATTERNS = [
+  /```[\s\S]*?(?:```|$)/g, // fenced code
+  /`[^`\n]+`/g, // inline code
+  /!?\[[^\]\n]*\]\([^)\n]*\)/g, // existing links and images
+  /!?\[(?:IMAGE|CHART|TWEET|ARTICLE|VIDEO):[^\]]*\]/g, // embed placeholders
+  /<a\b[^>]*>[\s\S]*?<\/a>/gi, // HTML links
+  /<[^>\n]+>/g, // HTML tags
+  /https?:\/\/[^\s)<>"\]]+/g // bare URLs
+];
+
+const hostOf = (url) => {
+  try {
+    return new URL(url).hostname.replace(/^www\./, '').toLowerCase();
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Comparable form of a link target: its lowercased path without a trailing slash ('/' for the homepage).
+ * Relative URLs compare equal to absolute ones; absolute URLs on other hosts return null.
+ * @param {string} url
+ * @param {Set<string>} siteHosts - hosts of the organization's pages, without www.
+ */
+export function urlKey(url, siteHosts) {
+  if (typeof url !== 'string' || !url.trim() || /^(?:mailto|tel|javascript):|^#/i.test(url.trim())) return null;
+  try {
+    const parsed = new URL(url.trim(), 'https://relative.invalid');
+    const host = parsed.hostname.replace(/^www\./, '').toLowerCase();
+    if (host !== 'relative.invalid' && !siteHosts.has(host)) return null;
+    return decodeURIComponent(parsed.pathname).toLowerCase().replace(/\/+$/, '') || '/';
+  } catch {
+    return null;
+  }
+}
+
+function findProtectedRanges(content) {
+  const ranges = [];
+  for (const pattern of PROTECTED_PATTERNS) {
+    for (const m of content.matchAll(pattern)) ranges.push([m.index, m.index + m[0].length]);
+  }
+  return ranges;
+}
+
+/** Link targets in markdown and HTML links. */
+function findLinkTargets(content) {
+  return [
+    ...[...content.matchAll(/(?<!!)\[[^\]\n]*\]\(\s*<?([^)\s>]+)/g)].map((m) => m[1]),
+    ...[...content.matchAll(/<a\b[^>]*\bhref=["']([^"']+)["']/gi)].map((m) => m[1])
+  ];
+}
+
+/** Prose paragraphs (blocks of non-empty lines) with their offsets; headings, tables and HTML blocks are skipped. */
+function findParagraphs(content) {
+  return [...content.matchAll(/[^\n]+(?:\n[^\n]+)*/g)]
+    .filter((m) => !/^\s*(?:#|\||<|```|!\[)/.test(m[0]))
+    .map((m) => ({ text: m[0], start: m.index }));
+}
+
+/**
+ * Best anchor for a page inside a paragraph: a run of 1–4 words on one line whose content words all occur in the
+ * page, with at least one in its title. Title words weigh more, so the anchor says what the page is about.
+ */
+function findAnchor(paragraph, entry, index, isProtected) {
+  const words = [...paragraph.text.matchAll(WORD_PATTERN)].map((m) => ({
+    word: m[0],
+    term: normalizeTerm(m[0]),
+    start: paragraph.start + m.index,
+    end: paragraph.start + m.index + m[0].length
+  }));
+
+  let best = null;
+  for (let i = 0; i < words.length; i++) {
+    if (!words[i].term) continue;
+    let score = 0;
+    let titleMatches = 0;
+    for (let j = i; j < words.length && j < i + MAX_ANCHOR_WORDS; j++) {
+      if (j > i && !/^[ \t]+$/.test(paragraph.text.slice(words[j - 1].end - paragraph.start, words[j].start - paragraph.start))) break;
+      const { term } = words[j];
+      if (term) {
+        if (entry.titleTerms.has(term)) {
+          score += 2 * inverseDocumentFrequency(index, term);
+          titleMatches++;
+        } else if (entry.frequencies.has(term)) {
+          score += 0.5 * inverseDocumentFrequency(index, term);
+        } else {
+          break;
+        }
+      }
+      if (!term || titleMatches === 0 || isProtected(words[i].start, words[j].end)) continue;
+      if (!best || score > best.score) best = { score, start: words[i].start, end: words[j].end };
+    }
+  }
+  return best;
+}
+
+/**
+ * Suggest internal links for a draft.
+ * @param {object} index - from buildRelevanceIndex over documents { id, url, title, text, source }
+ * @param {string} content - markdown
+ * @param {{ maxLinks?: number, excludeUrls?: string[] }} [options] - maxLinks counts the internal links the draft
+ *   already has; excludeUrls are never suggested (e.g. the post's own URL)
+ * @returns {Array<{ anchor_text: string, url: string, title: string|null, source: string, score: number, start: number, end: number, matched_terms: string[] }>}
+ *   ordered by position; start/end locate the anchor text in the content
+ */
+export function findLinkSuggestions(index, content, { maxLinks = DEFAULT_MAX_LINKS, excludeUrls = [] } = {}) {
+  const text = typeof content === 'string' ? content : '';
+  if (!text || index.size === 0) return [];
+
+  const siteHosts = new Set(index.entries.map((e) => hostOf(e.document.url)).filter(Boolean));
+  const linkedKeys = new Set(findLinkTargets(text).map((url) => urlKey(url, siteHosts)).filter(Boolean));
+  const budget = maxLinks - linkedKeys.size;
+  if (budget <= 0) return [];
+  const excludedKeys = new Set([...linkedKeys, ...excludeUrls.map((url) => urlKey(url, siteHosts)).filter(Boolean)]);
+
+  const protectedRanges = findProtectedRanges(text);
+  const isProtected = (start, end) => protectedRanges.some(([s, e]) => start < e && end > s);
+
+  const candidates = [];
+  findParagraphs(text).forEach((paragraph, paragraphIndex) => {
+    for (const { entry, score, matchedTerms } of rankDocuments(index, paragraph.text, { limit: CANDIDATES_PER_PARAGRAPH })) {
+      if (score < MIN_RELEVANCE || excludedKeys.has(urlKey(entry.document.url, siteHosts))) continue;
+      const anchor = findAnchor(paragraph, entry, index, isProtected);
+      if (anchor) candidates.push({ entry, score, matchedTerms, anchor, paragraphIndex });
+    }
+  });
+
+  // Strongest matches first; one link per page and per paragraph
+  const usedKeys = new Set();
+  const usedParagraphs = new Set();
+  const chosen = [];
+  for (const candidate of candidates.sort((a, b) => b.score - a.score || a.anchor.start - b.anchor.start)) {
+    const key = urlKey(candidate.entry.document.url, siteHosts);
+    if (chosen.length >= budget) break;
+    if (usedKeys.has(key) || usedParagraphs.has(candidate.paragraphIndex)) continue;
+    usedKeys.add(key);
+    usedParagraphs.add(candidate.paragraphIndex);
+    chosen.push(candidate);
+  }
+
+  return chosen
+    .sort((a, b) => a.anchor.start - b.anchor.start)
+    .map(({ entry, score, matchedTerms, anchor }) => ({
+      anchor_text: text.slice(anchor.start, anchor.end),
+      url: entry.document.url,
+      title: entry.document.title || null,
+      source: entry.document.source,
+      score: Math.round(score * 100) / 100,
+      start: anchor.start,
+      end: anchor.end,
+      matched_terms: matchedTerms
+    }));
+}
+
+/**
+ * Turn suggested anchors into markdown links. Suggestions whose anchor text is no longer at its offsets are skipped.
+ * @returns {{ content: string, applied: object[] }}
+ */
+export function applyLinkSuggestions(content, suggestions) {
+  let result = content;
+  const applied = [];
+  let limit = Infinity;
+  for (const suggestion of [...suggestions].sort((a, b) => b.start - a.start)) {
+    if (suggestion.end > limit || result.slice(suggestion.start, suggestion.end) !== suggestion.anchor_text) continue;
+    result = `${result.slice(0, suggestion.start)}[${suggestion.anchor_text}](${suggestion.url})${result.slice(suggestion.end)}`;
+    applied.unshift(suggestion);
+    limit = suggestion.start;
+  }
+  return { content: result, applied };
+}
+
+/** Public URL of a published post: its canonical URL, else the first published platform URL. */
+export function publishedUrl(post) {
+  if (post.canonical_url) return post.canonical_url;
+  const publications = Array.isArray(post.platform_publications) ? post.platform_publications : [];
+  return publications.find((p) => p?.status === 'published' && p.url)?.url || null;
+}
+
+/**
+ * Documents to link to: scraped pages of the organization, then its published posts (by their public URL).
+ * @returns {Promise<Array<{ id: string, url: string, title: string|null, text: string, source: 'website_page'|'blog_post' }>>}
+ */
+export async function loadLinkTargets(organizationId) {
+  const [pages, posts] = await Promise.all([
+    db.query(
+      `SELECT id, url, title, meta_description, content
+       FROM website_pages
+       WHERE organization_id = $1 AND url IS NOT NULL
+       ORDER BY analysis_quality_score DESC NULLS LAST, scraped_at DESC
+       LIMIT ${MAX_INDEXED_DOCUMENTS}`,
+      [organizationId]
+    ),
+    db.query(
+      `SELECT id, title, meta_description, content, canonical_url, platform_publications
+       FROM blog_posts
+       WHERE organization_id = $1 AND publication_status = 'published'
+       ORDER BY updated_at DESC
+       LIMIT ${MAX_INDEXED_DOCUMENTS}`,
+      [organizationId]
+    )
+  ]);
+
+  const documents = [];
+  const seen = new Set();
+  const add = (row, url, source) => {
+    const key = url?.toLowerCase().replace(/^https?:\/\/(?:www\.)?/, '').replace(/\/+$/, '');
+    if (!key || seen.has(key)) return;
+    seen.add(key);
+    documents.push({
+      id: row.id,
+      url,
+      title: row.title || null,
+      text: `${row.meta_description || ''}\n${String(row.content || '').slice(0, MAX_INDEXED_TEXT_LENGTH)}`,
+      source
+    });
+  };
+  pages.rows.forEach((row) => add(row, row.url, 'website_page'));
+  posts.rows.forEach((row) => add(row, publishedUrl(row), 'blog_post'));
+  return documents;
+}
+
+export function parseMaxLinks(value) {
+  if (value === undefined || value === null || value === '') return DEFAULT_MAX_LINKS;
+  const maxLinks = Number(value);
+  return Number.isInteger(maxLinks) && maxLinks >= 0 ? Math.min(maxLinks, MAX_LINKS_LIMIT) : DEFAULT_MAX_LINKS;
+}
+
+/**
+ * Suggest internal links for content of an organization.
+ * @returns {Promise<{ suggestions: object[], indexed_pages: number }>}
+ */
+export async function suggestInternalLinks(organizationId, content, { maxLinks = DEFAULT_MAX_LINKS, excludeUrls = [] } = {}) {
+  if (!organizationId) return { suggestions: [], indexed_pages: 0 };
+  const index = buildRelevanceIndex(await loadLinkTargets(organizationId));
+  return { suggestions: findLinkSuggestions(index, content, { maxLinks, excludeUrls }), indexed_pages: index.size };
+}
+
+/**
+ * Suggest internal links for a saved post; its own URL is never suggested.
+ * @param {{ userId?: string|null, sessionId?: string|null }} owner
+ * @throws {NotFoundError}
+ */
+export async function suggestInternalLinksForPost(postId, owner, { maxLinks } = {}) {
+  const post = await getOwnedPost(postId, owner);
+  let organizationId = post.organization_id;
+  if (!organizationId && post.user_id) {
+    // Posts created outside generation have no organization; use the author's (first active membership)
+    const { rows } = await db.query(
+      "SELECT organization_id FROM organization_members WHERE user_id = $1 AND status = 'active' ORDER BY created_at ASC LIMIT 1",
+      [post.user_id]
+    );
+    organizationId = rows[0]?.organization_id ?? null;
+  }
+  return suggestInternalLinks(organizationId, post.content || '', {
+    maxLinks: parseMaxLinks(maxLinks),
+    excludeUrls: [publishedUrl(post)].filter(Boolean)
+  });
+}
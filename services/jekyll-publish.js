@@ -1,22 +1,32 @@
 /**
  * Publish a post to a Jekyll site by committing a new file to the repo.
  * Requires repository_url, access_token, branch, posts_path (stored in connection).
- * Uses Git provider API (e.g. GitHub) to create/update a file in _posts.
+ * Uses the GitHub contents API (services/git-publish.js) to create/update a file in _posts
+ * (or _drafts when publishing as draft).
  * @see JEKYLL_INTEGRATION_BACKEND_HANDOFF in frontend docs/publishing
  */
+import { createGitPublisher, publishToGitRepository, unpublishFromGitRepository } from './git-publish.js';
 
 /**
- * Publish a post to Jekyll (create file in repo). Not yet implemented.
+ * Publish a post to Jekyll (commit YYYY-MM-DD-slug.md with Jekyll front matter).
  * @param {object} credentials - { repository_url, access_token, branch, posts_path }
- * @param {object} post - { title, content }
- * @returns {Promise<{ url: string, id: string }>}
- * @throws {Error} until Git commit flow is implemented
+ * @param {object} post - { title, content, date? }
+ * @param {{ draft?: boolean, path?: string }} [opts] - draft commits to _drafts instead of _posts; path (id from an earlier publish) updates that file in place
+ * @returns {Promise<{ url: string, id: string, commit_sha: string, file_url: string }>} url is the commit URL; id is the file path
  */
-export async function publishToJekyll(credentials, post) {
-  if (!credentials?.repository_url || !credentials?.access_token) {
-    throw new Error('Jekyll connection missing repository_url or access_token. Reconnect Jekyll in Settings.');
-  }
-  throw new Error(
-    'Jekyll publish is not yet implemented. Git commit flow (create/update file in posts path) needs to be added. Push to your repo manually in the meantime.'
-  );
+export async function publishToJekyll(credentials, post, opts = {}) {
+  return publishToGitRepository('jekyll', credentials, post, opts);
 }
+
+/**
+ * Unpublish from Jekyll by deleting the committed file.
+ * @param {object} credentials - same as publish
+ * @param {string} path - file path returned as id at publish time
+ * @returns {Promise<{ id: string, status: 'deleted'|'gone', commit_url: string|null }>}
+ */
+export async function unpublishFromJekyll(credentials, path) {
+  return unpublishFromGitRepository('jekyll', credentials, path);
+}
+
+/** Publisher adapter (see lib/publishing-platforms.js). */
+export const jekyllPublisher = createGitPublisher('jekyll');
@@ -0,0 +1,314 @@
+/**
+ * Job history: paginated listing of jobs with type / status / date filters, for the owner
+ * (GET /api/v1/jobs, by user or session) and for admins across all users (admin panel),
+ * plus admin aggregates: throughput, failure rates by error_code and average duration per type,
+ * and the dead-letter queue (jobs that failed for good on an unexpected error, see lib/job-retry.js).
+ */
+
+import db from './database.js';
+import { JOB_TYPES } from './job-queue.js';
+import { InvariantViolation } from '../lib/errors.js';
+
+export const JOB_STATUSES = Object.freeze(['queued', 'running', 'succeeded', 'failed']);
+export const DEFAULT_PAGE_SIZE = 20;
+export const MAX_PAGE_SIZE = 100;
+/** Aggregates default to the last week; buckets are hourly up to 2 days, daily beyond. */
+const DEFAULT_AGGREGATE_WINDOW_MS = 7 * 24 * 60 * 60 * 1000;
+const HOURLY_BUCKET_MAX_MS = 2 * 24 * 60 * 60 * 1000;
+
+/** Comma-separated or repeated query values (?type=a,b or ?type=a&type=b). */
+function listParam(value) {
+  if (value == null || value === '') return [];
+  const values = Array.isArray(value) ? value : [value];
+  return values.flatMap((v) => String(v).split(',')).map((v) => v.trim()).filter(Boolean);
+}
+
+function enumParam(value, allowed, name) {
+  const values = listParam(value);
+  const invalid = values.filter((v) => !allowed.includes(v));
+  if (invalid.length) {
+    throw new InvariantViolation(`Invalid ${name}: ${invalid.join(', ')}. Allowed: ${allowed.join(', ')}`, 400);
+  }
+  return values;
+}
+
+function dateParam(value, name) {
+  if (value == null || value === '') return null;
+  const date = new Date(String(value));
+  if (Number.isNaN(date.getTime())) throw new InvariantViolation(`Invalid ${name}: expected an ISO 8601 date`, 400);
+  return date;
+}
+
+function intParam(value, fallback, min, max) {
+  const n = parseInt(value, 10);
+  if (Number.isNaN(n)) return fallback;
+  return Math.min(Math.max(n, min), max);
+}
+
+/**
+ * Parse listing filters from a query string object.
+ * @param {object} query - type, status, from, to (created_at range), limit, offset; userId for admins
+ * @returns {{ types: string[], statuses: string[], from: Date|null, to: Date|null, limit: number, offset: number, userId: string|null }}
+ * @throws {InvariantViolation} 400 on unknown type/status, unparseable dates or from after to
+ */
+export function parseJobFilters(query = {}) {
+  const filters = {
+    types: enumParam(query.type, JOB_TYPES, 'type'),
+    statuses: enumParam(query.status, JOB_STATUSES, 'status'),
+    from: dateParam(query.from, 'from'),
+    to: dateParam(query.to, 'to'),
+    limit: intParam(query.limit, DEFAULT_PAGE_SIZE, 1, MAX_PAGE_SIZE),
+    offset: intParam(query.offset, 0, 0, Number.MAX_SAFE_INTEGER),
+    userId: query.userId || query.user_id || null
+  };
+  if (filters.from && filters.to && filters.from > filters.to) {
+    throw new InvariantViolation('Invalid date range: from is after to', 400);
+  }
+  return filters;
+}
+
+/** WHERE clause and params for filters; owner restricts to a user and/or session (either matches). */
+function buildWhere(filters, owner = null) {
+  const conditions = [];
+  const params = [];
+  const param = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+
+  if (owner) {
+    const ownerConditions = [];
+    if (owner.userId) ownerConditions.push(`user_id = ${param(owner.userId)}`);
+    if (owner.sessionId) ownerConditions.push(`session_id = ${param(owner.sessionId)}`);
+    conditions.push(`(${ownerConditions.join(' OR ')})`);
+  } else if (filters.userId) {
+    conditions.push(`user_id = ${param(filters.userId)}`);
+  }
+  if (filters.types?.length) conditions.push(`type = ANY(${param(filters.types)})`);
+  if (filters.statuses?.length) conditions.push(`status = ANY(${param(filters.statuses)})`);
+  if (filters.deadLettered) {
+    conditions.push(`status = 'failed' AND dead_lettered_at IS NOT NULL AND dead_letter_discarded_at IS NULL`);
+  }
+  if (filters.from) conditions.push(`created_at >= ${param(filters.from)}`);
+  if (filters.to) conditions.push(`created_at <= ${param(filters.to)}`);
+
+  return { where: conditions.length ? `WHERE ${conditions.join(' AND ')}` : '', params };
+}
+
+const toIso = (value) => (value != null ? new Date(value).toISOString() : null);
+
+function durationSeconds(row) {
+  if (!row.started_at || !row.finished_at) return null;
+  return Math.round((new Date(row.finished_at) - new Date(row.started_at)) / 1000);
+}
+
+/** List entry: status fields without input/result payloads (use GET /:jobId/status for the result). */
+function rowToSummary(row, { includeOwner = false } = {}) {
+  return {
+    jobId: row.id,
+    type: row.type,
+    status: row.status,
+    progress: row.progress ?? 0,
+    currentStep: row.current_step ?? null,
+    error: row.error ?? null,
+    errorCode: row.error_code ?? null,
+    cancelled: row.cancelled_at != null,
+    ...(includeOwner && { userId: row.user_id ?? null, sessionId: row.session_id ?? null, tenantId: row.tenant_id ?? null }),
+    createdAt: toIso(row.created_at),
+    startedAt: toIso(row.started_at),
+    finishedAt: toIso(row.finished_at),
+    updatedAt: toIso(row.updated_at),
+    durationSeconds: durationSeconds(row)
+  };
+}
+
+async function queryJobs(filters, owner, { orderBy = 'created_at DESC, id' } = {}) {
+  const { where, params } = buildWhere(filters, owner);
+  const [rows, count] = await Promise.all([
+    db.query(
+      `SELECT id, tenant_id, user_id, session_id, type, status, progress, current_step, error, error_code,
+              cancelled_at, started_at, finished_at, created_at, updated_at, attempts, dead_lettered_at
+       FROM jobs
+       ${where}
+       ORDER BY ${orderBy}
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, filters.limit, filters.offset]
+    ),
+    db.query(`SELECT COUNT(*) AS total FROM jobs ${where}`, params)
+  ]);
+  const total = parseInt(count.rows[0]?.total ?? 0, 10);
+  return {
+    rows: rows.rows,
+    pagination: { total, limit: filters.limit, offset: filters.offset, hasMore: filters.offset + rows.rows.length < total }
+  };
+}
+
+/**
+ * Jobs of the caller, newest first. A job matches when it belongs to the user or to the session.
+ * @param {{ userId?: string|null, sessionId?: string|null }} context
+ * @param {ReturnType<typeof parseJobFilters>} filters - userId is ignored
+ * @returns {Promise<{ jobs: object[], pagination: { total: number, limit: number, offset: number, hasMore: boolean } }>}
+ */
+export async function listJobsForOwner(context, filters) {
+  const { userId = null, sessionId = null } = context;
+  if (!userId && !sessionId) throw new InvariantViolation('Either userId or sessionId is required', 401);
+  const { rows, pagination } = await queryJobs(filters, { userId, sessionId });
+  return { jobs: rows.map((row) => rowToSummary(row)), pagination };
+}
+
+/**
+ * Jobs of all users (admin), newest first, with owner ids. filters.userId narrows to one user.
+ * @param {ReturnType<typeof parseJobFilters>} filters
+ */
+export async function listAllJobs(filters) {
+  const { rows, pagination } = await queryJobs(filters, null);
+  return { jobs: rows.map((row) => rowToSummary(row, { includeOwner: true })), pagination };
+}
+
+/**
+ * Dead-lettered jobs of all users (admin), most recently dead-lettered first. filters.statuses is ignored.
+ * @param {ReturnType<typeof parseJobFilters>} filters
+ */
+export async function listDeadLetteredJobs(filters) {
+  const { rows, pagination } = await queryJobs(
+    { ...filters, statuses: [], deadLettered: true },
+    null,
+    { orderBy: 'dead_lettered_at DESC, id' }
+  );
+  return {
+    jobs: rows.map((row) => ({
+      ...rowToSummary(row, { includeOwner: true }),
+      attempts: row.attempts ?? 0,
+      deadLetteredAt: toIso(row.dead_lettered_at)
+    })),
+    pagination
+  };
+}
+
+/**
+ * One dead-lettered job with what is needed to diagnose it: input, error, error code and stack.
+ * @param {string} jobId
+ * @returns {Promise<object|null>} null when the job is not (or no longer) dead-lettered
+ */
+export async function getDeadLetteredJob(jobId) {
+  const result = await db.query(
+    `SELECT * FROM jobs
+     WHERE id = $1 AND status = 'failed' AND dead_lettered_at IS NOT NULL AND dead_letter_discarded_at IS NULL`,
+    [jobId]
+  );
+  const row = result.rows[0];
+  if (!row) return null;
+  return {
+    ...rowToSummary(row, { includeOwner: true }),
+    attempts: row.attempts ?? 0,
+    deadLetteredAt: toIso(row.dead_lettered_at),
+    parentJobId: row.parent_job_id ?? null,
+    input: row.input ?? null,
+    errorStack: row.error_stack ?? null
+  };
+}
+
+const rate = (part, whole) => (whole > 0 ? Math.round((part / whole) * 10000) / 10000 : 0);
+const toNumber = (value) => (value == null ? null : Number(value));
+
+/**
+ * Admin aggregates over jobs created in [from, to] (default: the last 7 days).
+ * - throughput: jobs created / succeeded / failed per hour (window up to 2 days) or per day
+ * - failures: failed jobs by error_code (null code = 'unknown'), with share of all failures and of finished jobs
+ * - byType: counts per status, failure rate and average / p95 run duration (started_at → finished_at) per type
+ * @param {{ types?: string[], from?: Date|null, to?: Date|null }} filters
+ */
+export async function getJobAggregates(filters = {}) {
+  const to = filters.to || new Date();
+  const from = filters.from || new Date(to.getTime() - DEFAULT_AGGREGATE_WINDOW_MS);
+  const bucket = to - from <= HOURLY_BUCKET_MAX_MS ? 'hour' : 'day';
+  const { where, params } = buildWhere({ types: filters.types, from, to });
+  const failedOnly = buildWhere({ types: filters.types, statuses: ['failed'], from, to });
+
+  const [throughput, failures, byType] = await Promise.all([
+    db.query(
+      `SELECT date_trunc('${bucket}', created_at) AS bucket,
+              COUNT(*) AS created,
+              COUNT(*) FILTER (WHERE status = 'succeeded') AS succeeded,
+              COUNT(*) FILTER (WHERE status = 'failed') AS failed
+       FROM jobs
+       ${where}
+       GROUP BY 1
+       ORDER BY 1`,
+      params
+    ),
+    db.query(
+      `SELECT COALESCE(error_code, 'unknown') AS error_code, type, COUNT(*) AS count
+       FROM jobs
+       ${failedOnly.where}
+       GROUP BY 1, 2
+       ORDER BY 3 DESC`,
+      failedOnly.params
+    ),
+    db.query(
+      `SELECT type,
+              COUNT(*) AS total,
+              COUNT(*) FILTER (WHERE status = 'queued') AS queued,
+              COUNT(*) FILTER (WHERE status = 'running') AS running,
+              COUNT(*) FILTER (WHERE status = 'succeeded') AS succeeded,
+              COUNT(*) FILTER (WHERE status = 'failed') AS failed,
+              AVG(EXTRACT(EPOCH FROM (finished_at - started_at))) FILTER (WHERE finished_at IS NOT NULL AND started_at IS NOT NULL) AS avg_duration_seconds,
+              PERCENTILE_CONT(0.95) WITHIN GROUP (ORDER BY EXTRACT(EPOCH FROM (finished_at - started_at)))
+                FILTER (WHERE finished_at IS NOT NULL AND started_at IS NOT NULL) AS p95_duration_seconds
+       FROM jobs
+       ${where}
+       GROUP BY type
+       ORDER BY type`,
+      params
+    )
+  ]);
+
+  const types = byType.rows.map((row) => {
+    const succeeded = parseInt(row.succeeded, 10);
+    const failed = parseInt(row.failed, 10);
+    const avg = toNumber(row.avg_duration_seconds);
+    const p95 = toNumber(row.p95_duration_seconds);
+    return {
+      type: row.type,
+      total: parseInt(row.total, 10),
+      queued: parseInt(row.queued, 10),
+      running: parseInt(row.running, 10),
+      succeeded,
+      failed,
+      failureRate: rate(failed, succeeded + failed),
+      avgDurationSeconds: avg == null ? null : Math.round(avg * 10) / 10,
+      p95DurationSeconds: p95 == null ? null : Math.round(p95 * 10) / 10
+    };
+  });
+  const finished = types.reduce((sum, t) => sum + t.succeeded + t.failed, 0);
+
+  const failuresByCode = new Map();
+  for (const row of failures.rows) {
+    const entry = failuresByCode.get(row.error_code) || { errorCode: row.error_code, count: 0, byType: {} };
+    const count = parseInt(row.count, 10);
+    entry.count += count;
+    entry.byType[row.type] = count;
+    failuresByCode.set(row.error_code, entry);
+  }
+  const totalFailed = types.reduce((sum, t) => sum + t.failed, 0);
+
+  return {
+    window: { from: from.toISOString(), to: to.toISOString(), bucket },
+    throughput: throughput.rows.map((row) => ({
+      bucket: toIso(row.bucket),
+      created: parseInt(row.created, 10),
+      succeeded: parseInt(row.succeeded, 10),
+      failed: parseInt(row.failed, 10)
+    })),
+    failures: [...failuresByCode.values()]
+      .sort((a, b) => b.count - a.count)
+      .map((entry) => ({ ...entry, shareOfFailures: rate(entry.count, totalFailed), rate: rate(entry.count, finished) })),
+    byType: types,
+    totals: {
+      total: types.reduce((sum, t) => sum + t.total, 0),
+      succeeded: finished - totalFailed,
+      failed: totalFailed,
+      failureRate: rate(totalFailed, finished)
+    }
+  };
+}
@@ -12,12 +12,27 @@ import IORedis from 'ioredis';
 import { v4 as uuidv4 } from 'uuid';
 import db from './database.js';
 import { InvariantViolation, ServiceUnavailableError } from '../lib/errors.js';
+import {
+  CAPPED_RETRY_DELAY_MS,
+  capReached,
+  concurrencyLimits,
+  estimateWaitSeconds,
+  jobPriority,
+  planTier,
+  workerConcurrency
+} from '../lib/job-scheduling.js';
 
 const QUEUE_NAME = 'amb-jobs';
-const JOB_TYPES = ['website_analysis', 'content_generation', 'analyze_voice_sample', 'content_calendar', 'content_calendar_post'];
+const JOB_TYPES = ['website_analysis', 'content_generation', 'analyze_voice_sample', 'content_calendar', 'content_calendar_post', 'publish_post', 'content_generation_batch'];
+/** Parent job type that only fans out child jobs and waits for them (services/bulk-generation.js). */
+export const BATCH_JOB_TYPE = 'content_generation_batch';
 
 /** Only failed jobs can be retried. */
 export const RETRIABLE_STATUS = 'failed';
+/** Back to a fresh queued job (retry, dead-letter requeue): outcome, attempts and dead-letter state cleared. */
+const REQUEUE_SET_SQL = `status = 'queued', progress = 0, current_step = NULL, error = NULL, error_code = NULL,
+      error_stack = NULL, result = NULL, cancelled_at = NULL, started_at = NULL, finished_at = NULL, attempts = 0,
+      dead_lettered_at = NULL, dead_letter_discarded_at = NULL, updated_at = NOW()`;
 /** Only queued or running jobs can be cancelled (worker checks cancelled_at). */
 export const CANCELLABLE_STATUSES = Object.freeze(['queued', 'running']);
 /** Documented transition rules for API and worker consumers. */
@@ -146,6 +161,8 @@ function rowToStatus(row) {
     estimatedTimeRemaining: row.estimated_seconds_remaining ?? null,
     error: row.error ?? null,
     errorCode: row.error_code ?? null,
+    queuePosition: null,
+    estimatedWaitSeconds: null,
     result: row.result ?? null,
     createdAt: row.created_at != null ? new Date(row.created_at).toISOString() : null,
     updatedAt: row.updated_at != null ? new Date(row.updated_at).toISOString() : null
@@ -161,26 +178,41 @@ export class UserNotFoundError extends Error {
   }
 }
 
+/** The user, with the plan of their active subscription (null when none). */
+const USER_PLAN_SQL = `SELECT u.id,
+       (SELECT s.plan_name FROM subscriptions s
+        WHERE s.user_id = u.id AND s.status = 'active' AND s.current_period_end > NOW()
+        ORDER BY s.created_at DESC LIMIT 1) AS plan_name
+FROM users u WHERE u.id = $1`;
+
 /**
  * Create a job, enqueue it, return jobId.
  * Supports anonymous jobs (sessionId only) and user jobs. If userId is set but that user
  * does not exist in DB (e.g. JWT for deleted user), we fall back to session-only when
  * sessionId is present so anonymous flow still works; otherwise throw UserNotFoundError.
+ * The job is enqueued with the priority of its type and the owner's plan (lib/job-scheduling.js).
  *
- * @param {string} type - 'website_analysis' | 'content_generation' | 'analyze_voice_sample' | 'content_calendar'
+ * @param {string} type - 'website_analysis' | 'content_generation' | 'analyze_voice_sample' | 'content_calendar' | 'content_calendar_post' | 'publish_post' | 'content_generation_batch'
  * @param {object} input - Job payload (stored for retry)
- * @param {object} context - { userId?, sessionId?, tenantId? }
- * @param {object} [queueOptions] - Optional BullMQ job options (e.g. attempts, backoff)
+ * @param {object} context - { userId?, sessionId?, tenantId?, parentJobId? } (parentJobId: batch job this one belongs to)
+ * @param {object} [queueOptions] - Optional BullMQ job options (e.g. attempts, backoff, delay) and scheduling hints:
+ *   priority ('interactive' | 'normal' | 'background') overrides the type's class; maxConcurrent caps how many jobs
+ *   of this type run at once for the owner
  * @returns {Promise<{ jobId: string }>}
  * @throws {UserNotFoundError} when context.userId is set, user does not exist, and no sessionId
  */
 export async function createJob(type, input, context = {}, queueOptions = {}) {
   if (!JOB_TYPES.includes(type)) throw new Error(`Invalid job type: ${type}`);
-  let { userId, sessionId, tenantId } = context;
+  let { userId, sessionId, tenantId, parentJobId = null } = context;
   if (!userId && !sessionId) throw new Error('Either userId or sessionId is required');
+  const { priority: priorityHint, maxConcurrent = null, ...bullOptions } = queueOptions;
+  if (maxConcurrent != null && !(Number.isInteger(maxConcurrent) && maxConcurrent > 0)) {
+    throw new Error(`Invalid maxConcurrent: ${maxConcurrent}`);
+  }
 
+  let planName = null;
   if (userId) {
-    const u = await db.query('SELECT id FROM users WHERE id = $1', [userId]);
+    const u = await db.query(USER_PLAN_SQL, [userId]);
     if (!u.rows.length) {
       if (sessionId) {
         userId = null;
@@ -188,19 +220,22 @@ export async function createJob(type, input, context = {}, queueOptions = {}) {
         throw new UserNotFoundError(userId);
       }
     }
+    planName = u.rows[0]?.plan_name ?? null;
   }
+  const plan = planTier(planName, { anonymous: !userId });
+  const priority = jobPriority(type, { plan, priority: priorityHint });
 
   ensureRedis();
   const jobId = uuidv4();
 
   await db.query(
-    `INSERT INTO jobs (id, tenant_id, user_id, session_id, type, status, input, updated_at)
-     VALUES ($1, $2, $3, $4, $5, 'queued', $6, NOW())`,
-    [jobId, tenantId || null, userId || null, sessionId || null, type, JSON.stringify(input)]
+    `INSERT INTO jobs (id, tenant_id, user_id, session_id, type, status, input, priority, plan_tier, max_concurrent, parent_job_id, updated_at)
+     VALUES ($1, $2, $3, $4, $5, 'queued', $6, $7, $8, $9, $10, NOW())`,
+    [jobId, tenantId || null, userId || null, sessionId || null, type, JSON.stringify(input), priority, plan, maxConcurrent, parentJobId]
   );
 
   const queue = getQueue();
-  await queue.add(type, { jobId }, { jobId, ...queueOptions });
+  await queue.add(type, { jobId }, { jobId, priority, ...bullOptions });
 
   return { jobId };
 }
@@ -278,13 +313,55 @@ export async function createVoiceAnalysisJob(voiceSampleId, organizationId, user
 }
 
 /**
- * Get job status. 404 if not found or not owned.
+ * 1-based position of a queued job among queued jobs (higher priority first, then oldest first) and the estimated
+ * seconds until it starts, from the recent average run time of the jobs ahead of it.
+ */
+async function getQueuePosition(row) {
+  const priority = row.priority ?? jobPriority(row.type);
+  const [ahead, durations] = await Promise.all([
+    db.query(
+      `SELECT type, COUNT(*) AS count FROM jobs
+       WHERE status = 'queued' AND cancelled_at IS NULL AND id <> $1
+         AND (COALESCE(priority, $2) < $2 OR (COALESCE(priority, $2) = $2 AND created_at < $3))
+       GROUP BY type`,
+      [row.id, priority, row.created_at]
+    ),
+    db.query(
+      `SELECT type, AVG(EXTRACT(EPOCH FROM (finished_at - started_at))) AS avg_seconds FROM jobs
+       WHERE status = 'succeeded' AND started_at IS NOT NULL AND finished_at > NOW() - INTERVAL '7 days'
+       GROUP BY type`
+    )
+  ]);
+  const aheadByType = Object.fromEntries(ahead.rows.map((r) => [r.type, parseInt(r.count, 10)]));
+  const avgSecondsByType = Object.fromEntries(durations.rows.map((r) => [r.type, Number(r.avg_seconds)]));
+  const jobsAhead = Object.values(aheadByType).reduce((sum, n) => sum + n, 0);
+  return {
+    queuePosition: jobsAhead + 1,
+    estimatedWaitSeconds: estimateWaitSeconds(aheadByType, avgSecondsByType, workerConcurrency())
+  };
+}
+
+/**
+ * Get job status. 404 if not found or not owned. Queued jobs include queuePosition and estimatedWaitSeconds.
  * @returns {Promise<object|null>} Status object or null
  */
 export async function getJobStatus(jobId, context) {
   const row = await getJobForAccess(jobId, context);
   if (!row) return null;
-  return rowToStatus(row);
+  const status = rowToStatus(row);
+  if (row.status === 'queued') Object.assign(status, await getQueuePosition(row));
+  return status;
+}
+
+/**
+ * Put a job back in the BullMQ queue under its own id. The queue keeps failed jobs (removeOnFail: false) and
+ * ignores an add whose id it still holds, so the previous BullMQ job is removed first.
+ * @param {{ id: string, type: string, priority?: number|null }} row
+ */
+async function enqueueAgain({ id, type, priority }) {
+  const queue = getQueue();
+  await (await queue.getJob(id))?.remove();
+  await queue.add(type, { jobId: id }, { jobId: id, ...(priority != null && { priority }) });
 }
 
 /**
@@ -299,20 +376,75 @@ export async function retryJob(jobId, context) {
   assertCanRetry(row.status);
 
   await db.query(
-    `UPDATE jobs SET status = 'queued', progress = 0, current_step = NULL, error = NULL, result = NULL,
-      cancelled_at = NULL, started_at = NULL, finished_at = NULL, updated_at = NOW()
+    `UPDATE jobs SET ${REQUEUE_SET_SQL}
      WHERE id = $1`,
     [jobId]
   );
 
-  const queue = getQueue();
-  await queue.add(row.type, { jobId }, { jobId });
+  await enqueueAgain(row);
 
   return { jobId };
 }
 
+/** Dead-lettered jobs requeued or discarded per admin request. */
+export const MAX_DEAD_LETTER_BATCH = 500;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const DEAD_LETTERED_SQL = `status = 'failed' AND dead_lettered_at IS NOT NULL AND dead_letter_discarded_at IS NULL`;
+
+function assertDeadLetterBatch(jobIds) {
+  if (!Array.isArray(jobIds) || jobIds.length === 0 || !jobIds.every((id) => UUID_PATTERN.test(String(id)))) {
+    throw new InvariantViolation('jobIds must be a non-empty array of job ids (UUIDs)', 400);
+  }
+  if (jobIds.length > MAX_DEAD_LETTER_BATCH) {
+    throw new InvariantViolation(`At most ${MAX_DEAD_LETTER_BATCH} jobs per request`, 400);
+  }
+}
+
+/**
+ * Admin: put dead-lettered jobs back in the queue as new (attempts reset), keeping their id, input and priority.
+ * Ids that are not dead-lettered (unknown, discarded, already requeued) are skipped.
+ * @param {string[]} jobIds
+ * @returns {Promise<{ requeued: string[], skipped: string[] }>}
+ * @throws {InvariantViolation} 400 on an empty or oversized list
+ * @throws {ServiceUnavailableError} without Redis
+ */
+export async function requeueDeadLetteredJobs(jobIds) {
+  assertDeadLetterBatch(jobIds);
+  ensureRedis();
+  const result = await db.query(
+    `UPDATE jobs SET ${REQUEUE_SET_SQL}
+     WHERE id = ANY($1::uuid[]) AND ${DEAD_LETTERED_SQL}
+     RETURNING id, type, priority`,
+    [jobIds]
+  );
+
+  for (const row of result.rows) await enqueueAgain(row);
+  const requeued = result.rows.map((row) => row.id);
+  return { requeued, skipped: jobIds.filter((id) => !requeued.includes(id)) };
+}
+
+/**
+ * Admin: drop dead-lettered jobs from the dead-letter queue. They stay failed with their input, error and stack.
+ * @param {string[]} jobIds
+ * @returns {Promise<{ discarded: string[], skipped: string[] }>}
+ * @throws {InvariantViolation} 400 on an empty or oversized list
+ */
+export async function discardDeadLetteredJobs(jobIds) {
+  assertDeadLetterBatch(jobIds);
+  const result = await db.query(
+    `UPDATE jobs SET dead_letter_discarded_at = NOW(), updated_at = NOW()
+     WHERE id = ANY($1::uuid[]) AND ${DEAD_LETTERED_SQL}
+     RETURNING id`,
+    [jobIds]
+  );
+  const discarded = result.rows.map((row) => row.id);
+  return { discarded, skipped: jobIds.filter((id) => !discarded.includes(id)) };
+}
+
 /**
  * Request cancellation. Sets cancelled_at. Worker checks and marks failed with "Cancelled".
+ * Cancelling a batch job also cancels its unfinished child jobs.
  * @returns {Promise<{ cancelled: true }|null>} null if not found
  */
 export async function cancelJob(jobId, context) {
@@ -321,12 +453,77 @@ export async function cancelJob(jobId, context) {
   assertCanCancel(row.status);
 
   await db.query(
-    `UPDATE jobs SET cancelled_at = NOW(), updated_at = NOW() WHERE id = $1`,
+    `UPDATE jobs SET cancelled_at = NOW(), updated_at = NOW()
+     WHERE id = $1 OR (parent_job_id = $1 AND status IN ('queued', 'running') AND cancelled_at IS NULL)`,
     [jobId]
   );
   return { cancelled: true };
 }
 
+/** Running jobs started longer ago than this are presumed abandoned (worker died) and do not hold a slot. */
+const STALE_RUNNING_JOB_MINUTES = 30;
+
+const CAP_MESSAGES = {
+  user: 'Waiting for your other running jobs to finish',
+  organization: "Waiting for your organization's other running jobs to finish",
+  type: 'Waiting for your other jobs of this kind to finish'
+};
+
+/**
+ * Move a queued job to running unless its owner (user, or session when anonymous) or organization already has as
+ * many running jobs as its plan allows, or the job's maxConcurrent hint is reached (worker uses this).
+ * Claims are serialized per owner and organization so two workers cannot both take the last slot.
+ * Batch jobs only fan out and wait for their children: they neither count toward nor wait for a cap.
+ * @param {object} row - jobs row
+ * @returns {Promise<{ claimed: true } | { claimed: false, cap: 'user'|'organization'|'type'|null, message?: string, retryInMs?: number }>}
+ *   cap null: the job is no longer queued
+ */
+export async function claimJobSlot(row) {
+  return db.transaction(async (client) => {
+    const cap = row.type === BATCH_JOB_TYPE ? null : await reachedCap(client, row);
+    if (cap) return { claimed: false, cap, message: CAP_MESSAGES[cap], retryInMs: CAPPED_RETRY_DELAY_MS };
+
+    const updated = await client.query(
+      `UPDATE jobs SET status = 'running', attempts = attempts + 1, started_at = NOW(), updated_at = NOW()
+       WHERE id = $1 AND status = 'queued'
+       RETURNING id`,
+      [row.id]
+    );
+    return updated.rows.length ? { claimed: true } : { claimed: false, cap: null };
+  });
+}
+
+/** Cap keeping the job from starting now, under the owner's (and organization's) claim lock. */
+async function reachedCap(client, row) {
+  const ownerColumn = row.user_id ? 'user_id' : 'session_id';
+  const owner = row.user_id ?? row.session_id;
+  const limits = concurrencyLimits(row.plan_tier || planTier(null, { anonymous: !row.user_id }));
+
+  await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`jobs:${ownerColumn}:${owner}`]);
+  if (row.tenant_id) {
+    await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`jobs:tenant_id:${row.tenant_id}`]);
+  }
+  const counts = await client.query(
+    `SELECT COUNT(*) FILTER (WHERE ${ownerColumn} = $2) AS owner_running,
+            COUNT(*) FILTER (WHERE ${ownerColumn} = $2 AND type = $4) AS same_type_running,
+            COUNT(*) FILTER (WHERE tenant_id = $3) AS organization_running
+     FROM jobs
+     WHERE status = 'running' AND id <> $1 AND type <> '${BATCH_JOB_TYPE}' AND (${ownerColumn} = $2 OR tenant_id = $3)
+       AND COALESCE(started_at, updated_at) > NOW() - INTERVAL '1 minute' * $5`,
+    [row.id, owner, row.tenant_id ?? null, row.type, STALE_RUNNING_JOB_MINUTES]
+  );
+  const c = counts.rows[0] || {};
+  return capReached(
+    {
+      user: parseInt(c.owner_running ?? 0, 10),
+      organization: parseInt(c.organization_running ?? 0, 10),
+      sameType: parseInt(c.same_type_running ?? 0, 10)
+    },
+    limits,
+    row.max_concurrent ?? null
+  );
+}
+
 /**
  * Update job progress (used by worker).
  */
@@ -339,6 +536,8 @@ export async function updateJobProgress(jobId, updates) {
     result,
     error,
     error_code,
+    error_stack,
+    dead_lettered_at,
     started_at,
     finished_at
   } = updates;
@@ -354,6 +553,8 @@ export async function updateJobProgress(jobId, updates) {
   if (result !== undefined) { sets.push(`result = $${i++}`); values.push(result); }
   if (error !== undefined) { sets.push(`error = $${i++}`); values.push(error); }
   if (error_code !== undefined) { sets.push(`error_code = $${i++}`); values.push(error_code); }
+  if (error_stack !== undefined) { sets.push(`error_stack = $${i++}`); values.push(error_stack); }
+  if (dead_lettered_at !== undefined) { sets.push(`dead_lettered_at = $${i++}`); values.push(dead_lettered_at); }
   if (started_at !== undefined) { sets.push(`started_at = $${i++}`); values.push(started_at); }
   if (finished_at !== undefined) { sets.push(`finished_at = $${i++}`); values.push(finished_at); }
 
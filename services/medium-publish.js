@@ -2,9 +2,22 @@
  * Publish a post to Medium via OAuth API.
  * @see https://github.com/Medium/medium-api-docs#33-posts
  * POST https://api.medium.com/v1/users/{userId}/posts
+ *
+ * The Medium API has no update or delete endpoint, so posts cannot be unpublished remotely;
+ * the author has to unlist or delete them from medium.com.
  */
 
 const MEDIUM_ME_URL = 'https://api.medium.com/v1/me';
+const MEDIUM_MAX_TAGS = 5;
+const MEDIUM_TAG_MAX_LENGTH = 25;
+
+/** Shown when unpublishing from Medium: the API offers no way to remove a post. */
+export const MEDIUM_UNPUBLISH_UNSUPPORTED_MESSAGE =
+  'Medium does not allow removing posts through its API. The local record was cleared; delete or unlist the story on medium.com.';
+
+/** Shown when republishing to Medium with update_existing: creating again would duplicate the story. */
+export const MEDIUM_UPDATE_UNSUPPORTED_MESSAGE =
+  'Medium does not allow editing posts through its API. The existing story was left unchanged; edit it on medium.com.';
 
 /**
  * Resolve Medium user id from credentials or by calling /me.
@@ -33,7 +46,7 @@ async function getMediumUserId(credentials) {
 /**
  * Publish a post to Medium.
  * @param {object} credentials - { access_token, medium_user_id? } from getConnectionCredentials(userId, 'medium')
- * @param {object} post - { title, content } (content can be HTML or markdown)
+ * @param {object} post - { title, content, tags?: string[], canonical_url? } (content can be HTML or markdown)
  * @param {{ publishStatus?: 'public'|'draft'|'unlisted' }} [opts] - default publishStatus 'public'
  * @returns {Promise<{ url: string, id: string }>}
  */
@@ -54,6 +67,10 @@ export async function publishToMedium(credentials, post, opts = {}) {
     license: 'all-rights-reserved',
     publishStatus
   };
+  // Medium keeps the first 5 tags and rejects tags longer than 25 characters
+  const tags = (post.tags || []).filter((tag) => tag.length <= MEDIUM_TAG_MAX_LENGTH).slice(0, MEDIUM_MAX_TAGS);
+  if (tags.length > 0) body.tags = tags;
+  if (post.canonical_url) body.canonicalUrl = post.canonical_url;
 
   const res = await fetch(url, {
     method: 'POST',
@@ -96,3 +113,28 @@ export async function publishToMedium(credentials, post, opts = {}) {
     id: created.id || ''
   };
 }
+
+/**
+ * Test a connection by resolving the Medium user (GET /v1/me).
+ * @param {object} credentials - { access_token }
+ * @returns {Promise<void>}
+ */
+export async function validateMediumCredentials(credentials) {
+  if (!credentials?.access_token) {
+    throw new Error('Medium connection missing access_token. Reconnect Medium in Settings.');
+  }
+  await getMediumUserId({ access_token: credentials.access_token });
+}
+
+/** Publisher adapter (see lib/publishing-platforms.js). Medium's API can only create posts. */
+export const mediumPublisher = {
+  key: 'medium',
+  capabilities: { draft: true, update: false, unpublish: false },
+  unsupported: {
+    update: MEDIUM_UPDATE_UNSUPPORTED_MESSAGE,
+    unpublish: MEDIUM_UNPUBLISH_UNSUPPORTED_MESSAGE
+  },
+  validateCredentials: validateMediumCredentials,
+  publish: (credentials, post, opts = {}) =>
+    publishToMedium(credentials, post, { publishStatus: opts.draft ? 'draft' : 'public' })
+};
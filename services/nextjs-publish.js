@@ -1,22 +1,31 @@
 /**
  * Publish a post to a Next.js site by committing a new file to the repo.
  * Requires repository_url, access_token, branch, content_path (stored in connection).
- * Uses Git provider API to create/update a file in the content path.
+ * Uses the GitHub contents API (services/git-publish.js) to create/update a file in the content path.
  * @see NEXTJS_PUBLISHING_BACKEND_HANDOFF in frontend docs/publishing
  */
+import { createGitPublisher, publishToGitRepository, unpublishFromGitRepository } from './git-publish.js';
 
 /**
- * Publish a post to Next.js (create file in repo). Not yet implemented.
+ * Publish a post to Next.js (commit slug.md with title/date/slug front matter).
  * @param {object} credentials - { repository_url, access_token, branch, content_path }
- * @param {object} post - { title, content }
- * @returns {Promise<{ url: string, id: string }>}
- * @throws {Error} until Git commit flow is implemented
+ * @param {object} post - { title, content, date? }
+ * @param {{ draft?: boolean, path?: string }} [opts] - draft adds draft: true to front matter; path (id from an earlier publish) updates that file in place
+ * @returns {Promise<{ url: string, id: string, commit_sha: string, file_url: string }>} url is the commit URL; id is the file path
  */
-export async function publishToNextjs(credentials, post) {
-  if (!credentials?.repository_url || !credentials?.access_token) {
-    throw new Error('Next.js connection missing repository_url or access_token. Reconnect Next.js in Settings.');
-  }
-  throw new Error(
-    'Next.js publish is not yet implemented. Git commit flow (create/update file in content path) needs to be added. Push to your repo manually in the meantime.'
-  );
+export async function publishToNextjs(credentials, post, opts = {}) {
+  return publishToGitRepository('nextjs', credentials, post, opts);
 }
+
+/**
+ * Unpublish from Next.js by deleting the committed file.
+ * @param {object} credentials - same as publish
+ * @param {string} path - file path returned as id at publish time
+ * @returns {Promise<{ id: string, status: 'deleted'|'gone', commit_url: string|null }>}
+ */
+export async function unpublishFromNextjs(credentials, path) {
+  return unpublishFromGitRepository('nextjs', credentials, path);
+}
+
+/** Publisher adapter (see lib/publishing-platforms.js). */
+export const nextjsPublisher = createGitPublisher('nextjs');
@@ -42,6 +42,48 @@ function getEncryptionKeyBuffer() {
   return buf;
 }
 
+/** Env var names per publishing platform, used when no app credentials are in the encrypted store. */
+export const PUBLISHING_APP_ENV_KEYS = {
+  medium: ['MEDIUM_CLIENT_ID', 'MEDIUM_CLIENT_SECRET'],
+  shopify: ['SHOPIFY_CLIENT_ID', 'SHOPIFY_CLIENT_SECRET'],
+  webflow: ['WEBFLOW_CLIENT_ID', 'WEBFLOW_CLIENT_SECRET'],
+  squarespace: ['SQUARESPACE_CLIENT_ID', 'SQUARESPACE_CLIENT_SECRET'],
+  wix: ['WIX_APP_ID', 'WIX_APP_SECRET'],
+  hubspot: ['HUBSPOT_CLIENT_ID', 'HUBSPOT_CLIENT_SECRET'],
+  drupal: ['DRUPAL_CLIENT_ID', 'DRUPAL_CLIENT_SECRET']
+};
+
+/**
+ * Refresh-token endpoints for publishing platforms whose access tokens expire.
+ * Shopify and Webflow tokens do not expire; Medium tokens are long-lived integration tokens.
+ * defaultExpiresIn is used when the token response has no lifetime (Wix access tokens last 5 minutes).
+ */
+const PUBLISHING_TOKEN_REFRESH = {
+  hubspot: { url: () => 'https://api.hubapi.com/oauth/v1/token', format: 'form' },
+  wix: { url: () => 'https://www.wixapis.com/oauth/access', format: 'json', defaultExpiresIn: 300 },
+  squarespace: { url: () => 'https://login.squarespace.com/api/1/login/oauth/provider/tokens', format: 'json' },
+  drupal: { url: (credentials) => `${String(credentials.site_url).replace(/\/+$/, '')}/oauth2/token`, format: 'form' }
+};
+
+/** Refresh publishing tokens this long before they expire. */
+const PUBLISHING_REFRESH_MARGIN_MS = 5 * 60 * 1000;
+
+/**
+ * Expiry (ISO string) for a publishing token response, or null when the token does not expire.
+ * Accepts expires_in (seconds) or Squarespace's access_token_expires_at (epoch seconds).
+ * @param {object} tokenData - token endpoint response
+ * @param {string} platformKey
+ * @param {Date} [now]
+ * @returns {string|null}
+ */
+export function publishingTokenExpiresAt(tokenData, platformKey, now = new Date()) {
+  if (tokenData?.access_token_expires_at) {
+    return new Date(Number(tokenData.access_token_expires_at) * 1000).toISOString();
+  }
+  const expiresIn = Number(tokenData?.expires_in) || PUBLISHING_TOKEN_REFRESH[platformKey]?.defaultExpiresIn;
+  return expiresIn ? new Date(now.getTime() + expiresIn * 1000).toISOString() : null;
+}
+
 /**
  * OAuth Manager Service
  * Handles encrypted storage and automatic refresh of OAuth tokens
@@ -209,6 +251,82 @@ export class OAuthManager {
     };
   }
 
+  /**
+   * Publishing OAuth app credentials: encrypted store first, then env (PUBLISHING_APP_ENV_KEYS).
+   * Returns { client_id, client_secret } or null.
+   */
+  async resolvePublishingAppCredentials(platformKey) {
+    const stored = await this.getPlatformPublishingAppCredentials(platformKey);
+    if (stored?.client_id && stored?.client_secret) return stored;
+    const [idKey, secretKey] = PUBLISHING_APP_ENV_KEYS[platformKey] || [];
+    const clientId = idKey && process.env[idKey];
+    const clientSecret = secretKey && process.env[secretKey];
+    if (!clientId || !clientSecret) return null;
+    return { client_id: clientId, client_secret: clientSecret };
+  }
+
+  /**
+   * Whether a publishing connection's access token should be refreshed before use: the platform issues
+   * expiring tokens, a refresh token is stored, and expires_at is within 5 minutes (or was never recorded).
+   */
+  publishingTokenNeedsRefresh(platformKey, credentials, now = new Date()) {
+    if (!PUBLISHING_TOKEN_REFRESH[platformKey] || !credentials?.refresh_token) return false;
+    if (!credentials.expires_at) return true;
+    return new Date(credentials.expires_at).getTime() - now.getTime() <= PUBLISHING_REFRESH_MARGIN_MS;
+  }
+
+  /**
+   * Refresh a publishing connection's access token and save it back to publishing_platform_connections.
+   * @param {string} userId
+   * @param {string} platformKey
+   * @param {object} credentials - decrypted connection credentials with refresh_token
+   * @returns {Promise<object>} credentials with the new access_token, refresh_token and expires_at
+   */
+  async refreshPublishingCredentials(userId, platformKey, credentials) {
+    const config = PUBLISHING_TOKEN_REFRESH[platformKey];
+    if (!config || !credentials?.refresh_token) {
+      throw new Error(`No refresh token available for ${platformKey}`);
+    }
+    const app = await this.resolvePublishingAppCredentials(platformKey);
+    if (!app) {
+      throw new Error(`${platformKey} OAuth is not configured`);
+    }
+
+    const params = {
+      grant_type: 'refresh_token',
+      client_id: app.client_id,
+      client_secret: app.client_secret,
+      refresh_token: credentials.refresh_token
+    };
+    const response = await fetch(config.url(credentials), {
+      method: 'POST',
+      headers: { 'Content-Type': config.format === 'json' ? 'application/json' : 'application/x-www-form-urlencoded' },
+      body: config.format === 'json' ? JSON.stringify(params) : new URLSearchParams(params)
+    });
+    if (!response.ok) {
+      throw new Error(`Token refresh failed: ${response.status}`);
+    }
+
+    const tokens = await response.json();
+    if (!tokens.access_token) {
+      throw new Error('Token refresh returned no access token');
+    }
+    const refreshed = {
+      ...credentials,
+      access_token: tokens.access_token,
+      refresh_token: tokens.refresh_token || credentials.refresh_token, // Some platforms rotate it, others don't
+      expires_at: publishingTokenExpiresAt(tokens, platformKey)
+    };
+
+    await db.query(
+      `UPDATE publishing_platform_connections
+       SET credentials_encrypted = $3, updated_at = NOW()
+       WHERE user_id = $1 AND platform = $2`,
+      [userId, platformKey, this.encryptToken(JSON.stringify(refreshed))]
+    );
+    return refreshed;
+  }
+
   /**
    * Store OAuth tokens for user
    */
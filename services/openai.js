@@ -1279,60 +1279,6 @@ The content should be 1000-1500 words and demonstrate expertise through empathy,
     }
   }
 
-  /**
-   * Generate export content in different formats
-   */
-  async generateExportContent(blogPost, format) {
-    try {
-      let prompt = '';
-      
-      switch (format.toLowerCase()) {
-        case 'markdown':
-          prompt = `Convert this blog post to clean markdown format:
-Title: ${blogPost.title}
-Content: ${blogPost.content}
-
-Return only the markdown content, properly formatted.`;
-          break;
-          
-        case 'html':
-          prompt = `Convert this blog post to clean HTML format:
-Title: ${blogPost.title}
-Content: ${blogPost.content}
-
-Return a complete HTML document with proper structure, meta tags, and styling.`;
-          break;
-          
-        case 'json':
-          return JSON.stringify(blogPost, null, 2);
-          
-        default:
-          throw new Error(`Unsupported export format: ${format}`);
-      }
-
-      const completion = await openai.chat.completions.create({
-        model: process.env.OPENAI_MODEL || 'gpt-3.5-turbo',
-        messages: [
-          {
-            role: 'system',
-            content: 'You are a content formatter that converts blog posts to different formats while maintaining quality and structure.'
-          },
-          {
-            role: 'user',
-            content: prompt
-          }
-        ],
-        temperature: 0.1,
-        max_tokens: 2000
-      });
-
-      return completion.choices[0].message.content;
-    } catch (error) {
-      console.error('OpenAI export generation error:', error);
-      throw new Error('Failed to generate export content with AI');
-    }
-  }
-
   /**
    * Generate image using DALL-E for blog topics
    */
@@ -0,0 +1,603 @@
+/**
+ * Local export of posts to downloadable files (POST /api/export). Rendering is deterministic and done here from
+ * the post markdown (lib/markdown-to-html.js, lib/markdown-to-structured-content.js); nothing is sent to an LLM.
+ *
+ * Formats:
+ * - markdown / markdown_frontmatter: one .md file per post (front matter as for static-site publishing)
+ * - html: one standalone document with inline CSS; pdf: the same document printed by headless Chromium
+ * - docx: Word document; epub: EPUB 3 book with one chapter per post
+ * - wxr: WordPress eXtended RSS file for Tools → Import (posts are imported as drafts; featured images as
+ *   attachments the importer downloads)
+ * - json: the posts as sent
+ *
+ * With include_images, the images a post references are fetched and packaged: markdown and HTML exports become
+ * a zip with an images/ folder, DOCX and EPUB embed them. Without it DOCX and EPUB show images as links (EPUB
+ * readers do not load remote images). Several markdown posts are always zipped.
+ */
+import JSZip from 'jszip';
+import puppeteer from 'puppeteer-core';
+import { v4 as uuidv4 } from 'uuid';
+import { ServiceUnavailableError, ValidationError } from '../lib/errors.js';
+import { markdownToHtml, prepareMarkdownForStructuredContent } from '../lib/markdown-to-html.js';
+import { extractImageUrls, markdownToWordprocessingML } from '../lib/markdown-to-structured-content.js';
+import { assertPublicUrl, fetchPublicUrl, readBodyWithLimit } from '../utils/public-url.js';
+import { renderFrontMatter, slugify } from './git-publish.js';
+import { buildPublishablePost } from './publishable-post.js';
+import webScraperService from './webscraper.js';
+
+/** Supported formats: file extension and content type of a single-file export. */
+export const EXPORT_FORMATS = Object.freeze({
+  markdown: { extension: 'md', contentType: 'text/markdown; charset=utf-8' },
+  markdown_frontmatter: { extension: 'md', contentType: 'text/markdown; charset=utf-8' },
+  html: { extension: 'html', contentType: 'text/html; charset=utf-8' },
+  json: { extension: 'json', contentType: 'application/json; charset=utf-8' },
+  pdf: { extension: 'pdf', contentType: 'application/pdf' },
+  docx: { extension: 'docx', contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document' },
+  epub: { extension: 'epub', contentType: 'application/epub+zip' },
+  wxr: { extension: 'xml', contentType: 'application/rss+xml; charset=utf-8' }
+});
+
+const ZIP_CONTENT_TYPE = 'application/zip';
+const MAX_POSTS = 50;
+const MAX_IMAGES = 100;
+const MAX_IMAGE_BYTES = 10 * 1024 * 1024;
+const IMAGE_FETCH_TIMEOUT_MS = 15000;
+const PDF_TIMEOUT_MS = 30000;
+
+const IMAGE_EXTENSIONS = { 'image/png': 'png', 'image/jpeg': 'jpg', 'image/gif': 'gif', 'image/webp': 'webp', 'image/svg+xml': 'svg' };
+
+/**
+ * Validate the export request body.
+ * @param {{ blogPost?: object, blogPosts?: object[], format?: string, include_images?: boolean, title?: string }} body
+ * @returns {{ rows: object[], format: string, includeImages: boolean, title: string|null, bundle: boolean }}
+ * @throws {ValidationError}
+ */
+export function parseExportRequest(body = {}) {
+  const bundle = Array.isArray(body.blogPosts);
+  const rows = bundle ? body.blogPosts : body.blogPost ? [body.blogPost] : [];
+  if (rows.length === 0 || !body.format) {
+    throw new ValidationError('Missing required parameters', 'blogPost (or blogPosts) and format are required');
+  }
+  if (rows.length > MAX_POSTS) {
+    throw new ValidationError('Too many posts', `Export at most ${MAX_POSTS} posts at a time`);
+  }
+  if (rows.some((row) => !row || typeof row !== 'object' || (typeof row.title !== 'string' && typeof row.content !== 'string'))) {
+    throw new ValidationError('Invalid post', 'Each post needs a title or content');
+  }
+  const format = String(body.format).toLowerCase();
+  if (!EXPORT_FORMATS[format]) {
+    throw new ValidationError('Unsupported format', `Supported formats: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+  }
+  const title = typeof body.title === 'string' && body.title.trim() ? body.title.trim() : null;
+  return { rows, format, includeImages: body.include_images === true, title, bundle };
+}
+
+// --- Shared rendering -------------------------------------------------------------------
+
+function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/** Post body markdown without app placeholders and without a leading H1 (exports render the title themselves). */
+function bodyMarkdown(post) {
+  return prepareMarkdownForStructuredContent(post.content).replace(/^#\s+[^\n]*\n*/, '');
+}
+
+function postDate(post) {
+  const date = post.date ? new Date(post.date) : null;
+  return date && !Number.isNaN(date.getTime()) ? date : null;
+}
+
+function bylineText(post) {
+  const date = postDate(post);
+  return [post.author, date ? date.toISOString().slice(0, 10) : null].filter(Boolean).join(' · ');
+}
+
+/** Replace image URLs with packaged paths. */
+function rewriteImageUrls(text, images, prefix = '') {
+  let out = text;
+  for (const [url, image] of images) out = out.split(url).join(`${prefix}${image.path}`);
+  return out;
+}
+
+function postImageUrls(post) {
+  const urls = extractImageUrls(post.content);
+  if (post.featured_image && /^https?:\/\//i.test(post.featured_image) && !urls.includes(post.featured_image)) {
+    urls.unshift(post.featured_image);
+  }
+  return urls;
+}
+
+/** Pixel size from PNG, GIF, JPEG or WebP headers; null for other formats. */
+export function imageDimensions(data) {
+  if (data.length >= 24 && data.readUInt32BE(0) === 0x89504e47) {
+    return { width: data.readUInt32BE(16), height: data.readUInt32BE(20) };
+  }
+  if (data.length >= 10 && data.toString('ascii', 0, 3) === 'GIF') {
+    return { width: data.readUInt16LE(6), height: data.readUInt16LE(8) };
+  }
+  if (data.length >= 30 && data.toString('ascii', 0, 4) === 'RIFF' && data.toString('ascii', 8, 12) === 'WEBP') {
+    const chunk = data.toString('ascii', 12, 16);
+    if (chunk === 'VP8X') return { width: 1 + data.readUIntLE(24, 3), height: 1 + data.readUIntLE(27, 3) };
+    if (chunk === 'VP8 ') return { width: data.readUInt16LE(26) & 0x3fff, height: data.readUInt16LE(28) & 0x3fff };
+    if (chunk === 'VP8L') {
+      const bits = data.readUInt32LE(21);
+      return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+    }
+    return null;
+  }
+  if (data.length >= 4 && data[0] === 0xff && data[1] === 0xd8) {
+    let offset = 2;
+    while (offset + 9 < data.length) {
+      if (data[offset] !== 0xff) return null;
+      const marker = data[offset + 1];
+      const length = data.readUInt16BE(offset + 2);
+      // SOF0–SOF15 except DHT (C4), JPG (C8) and DAC (CC) carry the frame size
+      if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+        return { width: data.readUInt16BE(offset + 7), height: data.readUInt16BE(offset + 5) };
+      }
+      offset += 2 + length;
+    }
+  }
+  return null;
+}
+
+/** Image type of a response: its Content-Type, or the path extension when the server sends a generic type. */
+function responseImageExtension(res, url) {
+  const contentType = (res.headers.get('content-type') || '').split(';')[0].trim().toLowerCase();
+  if (IMAGE_EXTENSIONS[contentType]) return { contentType, extension: IMAGE_EXTENSIONS[contentType] };
+  if (contentType && contentType !== 'application/octet-stream') return { contentType, extension: null };
+  const extension = new URL(url).pathname.match(/\.(png|jpe?g|gif|webp|svg)$/i)?.[1].toLowerCase() ?? null;
+  return { contentType, extension: extension === 'jpeg' ? 'jpg' : extension };
+}
+
+/**
+ * Fetch images for packaging. Only public hosts are fetched (utils/public-url.js). Failures, non-images and
+ * oversized images are logged and left out (the export keeps the URL).
+ * @param {string[]} urls
+ * @returns {Promise<Map<string, { path: string, data: Buffer, contentType: string, width?: number, height?: number }>>}
+ */
+export async function fetchExportImages(urls) {
+  const images = new Map();
+  for (const url of [...new Set(urls)].slice(0, MAX_IMAGES)) {
+    try {
+      const res = await fetchPublicUrl(url, { signal: AbortSignal.timeout(IMAGE_FETCH_TIMEOUT_MS) });
+      if (!res.ok) {
+        await res.body?.cancel();
+        throw new Error(`HTTP ${res.status}`);
+      }
+      const { contentType, extension } = responseImageExtension(res, url);
+      if (!extension) {
+        await res.body?.cancel();
+        throw new Error(`not an image (${contentType || 'unknown type'})`);
+      }
+      const data = await readBodyWithLimit(res, MAX_IMAGE_BYTES);
+      const base = slugify(decodeURIComponent(new URL(url).pathname.split('/').pop() || '').replace(/\.[a-z0-9]+$/i, '')).slice(0, 40);
+      images.set(url, {
+        path: `images/${images.size + 1}-${base}.${extension}`,
+        data,
+        contentType: contentType.startsWith('image/') ? contentType : `image/${extension === 'jpg' ? 'jpeg' : extension === 'svg' ? 'svg+xml' : extension}`,
+        ...imageDimensions(data)
+      });
+    } catch (err) {
+      console.warn(`Export image skipped ${url.slice(0, 100)}:`, err.message);
+    }
+  }
+  return images;
+}
+
+function addImagesToZip(zip, images, folder = '') {
+  for (const image of images.values()) zip.file(`${folder}${image.path}`, image.data);
+}
+
+function zipBuffer(zip) {
+  return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+}
+
+// --- Markdown ---------------------------------------------------------------------------
+
+function renderMarkdown(post, { frontMatter }) {
+  const body = bodyMarkdown(post);
+  if (!frontMatter) return `# ${post.title}\n\n${body}\n`;
+  const date = postDate(post);
+  const header = renderFrontMatter({
+    title: post.title,
+    date: date ? date.toISOString() : null,
+    slug: post.slug,
+    description: post.meta_description || null,
+    excerpt: post.excerpt || null,
+    author: post.author,
+    image: post.featured_image,
+    canonical_url: post.canonical_url,
+    categories: post.categories,
+    tags: post.tags
+  });
+  return `${header}\n\n${body}\n`;
+}
+
+// --- HTML / PDF -------------------------------------------------------------------------
+
+const HTML_STYLES = `
+  body { margin: 0; background: #fff; color: #1f2328; font: 17px/1.65 Georgia, 'Times New Roman', serif; }
+  article { max-width: 720px; margin: 0 auto; padding: 48px 24px; }
+  article + article { border-top: 1px solid #e5e7eb; }
+  h1, h2, h3, h4, h5, h6 { font-family: -apple-system, 'Segoe UI', Helvetica, Arial, sans-serif; line-height: 1.25; margin: 1.6em 0 0.6em; }
+  h1 { font-size: 2.1em; margin-top: 0; }
+  .byline { color: #6b7280; font: 14px -apple-system, 'Segoe UI', Helvetica, Arial, sans-serif; margin: -0.4em 0 2em; }
+  img { max-width: 100%; height: auto; border-radius: 6px; }
+  .featured-image { margin: 0 0 2em; }
+  a { color: #2563eb; }
+  blockquote { margin: 1.5em 0; padding: 0.2em 1em; border-left: 4px solid #d1d5db; color: #4b5563; }
+  pre { background: #f6f8fa; padding: 12px 16px; border-radius: 6px; overflow-x: auto; font-size: 0.85em; }
+  code { font-family: Menlo, Consolas, monospace; }
+  table { border-collapse: collapse; margin: 1.5em 0; }
+  th, td { border: 1px solid #d1d5db; padding: 6px 12px; text-align: left; }
+  @media print { article { padding: 0; } article + article { border: 0; break-before: page; } }
+`.trim();
+
+function articleHtml(post) {
+  const bodyHtml = markdownToHtml(bodyMarkdown(post));
+  const byline = bylineText(post);
+  const featured = post.featured_image && !bodyHtml.includes(post.featured_image)
+    ? `<img class="featured-image" src="${escapeHtml(post.featured_image)}" alt="${escapeHtml(post.featured_image_alt || '')}">`
+    : '';
+  return `<article>\n<h1>${escapeHtml(post.title)}</h1>\n${byline ? `<p class="byline">${escapeHtml(byline)}</p>\n` : ''}${featured}\n${bodyHtml}</article>`;
+}
+
+function renderHtmlDocument(posts, title) {
+  const single = posts.length === 1 ? posts[0] : null;
+  const head = [
+    '<meta charset="utf-8">',
+    '<meta name="viewport" content="width=device-width, initial-scale=1">',
+    `<title>${escapeHtml(title)}</title>`,
+    single?.meta_description ? `<meta name="description" content="${escapeHtml(single.meta_description)}">` : '',
+    single?.canonical_url ? `<link rel="canonical" href="${escapeHtml(single.canonical_url)}">` : '',
+    `<style>\n${HTML_STYLES}\n</style>`
+  ].filter(Boolean);
+  return `<!DOCTYPE html>\n<html lang="en">\n<head>\n${head.join('\n')}\n</head>\n<body>\n${posts.map(articleHtml).join('\n')}\n</body>\n</html>\n`;
+}
+
+/** Resources a printed document may load: inline data and https URLs on public hosts. */
+async function isAllowedPdfResource(url) {
+  if (url.startsWith('data:') || url === 'about:blank') return true;
+  try {
+    await assertPublicUrl(url, { protocols: ['https:'] });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Print an HTML document to PDF with headless Chromium (same browser setup as the website scraper).
+ * The document comes from the request (markdown passes raw HTML through), so scripts are off and every
+ * resource request is vetted by isAllowedPdfResource.
+ * @throws {ServiceUnavailableError} when no browser can be launched
+ */
+async function renderPdf(html) {
+  let browser;
+  try {
+    const config = await webScraperService.getPuppeteerConfig();
+    browser = await puppeteer.launch({ ...config, timeout: PDF_TIMEOUT_MS });
+  } catch (err) {
+    console.error('PDF export browser launch failed:', err.message);
+    throw new ServiceUnavailableError('PDF export is unavailable: no headless browser could be started');
+  }
+  try {
+    const page = await browser.newPage();
+    await page.setJavaScriptEnabled(false);
+    await page.setRequestInterception(true);
+    page.on('request', (request) => {
+      isAllowedPdfResource(request.url())
+        .then((allowed) => (allowed ? request.continue() : request.abort('blockedbyclient')))
+        .catch((err) => console.warn('PDF export request handling failed:', err.message));
+    });
+    await page.setContent(html, { waitUntil: 'networkidle0', timeout: PDF_TIMEOUT_MS });
+    const pdf = await page.pdf({ format: 'A4', printBackground: true, margin: { top: '20mm', bottom: '20mm', left: '18mm', right: '18mm' } });
+    return Buffer.from(pdf);
+  } finally {
+    await browser.close();
+  }
+}
+
+// --- DOCX -------------------------------------------------------------------------------
+
+const DOCX_NAMESPACES =
+  'xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main" ' +
+  'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships" ' +
+  'xmlns:wp="http://schemas.openxmlformats.org/drawingml/2006/wordprocessingDrawing"';
+
+const DOCX_STYLES = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:styles xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">
+<w:docDefaults><w:rPrDefault><w:rPr><w:rFonts w:ascii="Calibri" w:hAnsi="Calibri" w:cs="Calibri"/><w:sz w:val="22"/></w:rPr></w:rPrDefault><w:pPrDefault><w:pPr><w:spacing w:after="160" w:line="276" w:lineRule="auto"/></w:pPr></w:pPrDefault></w:docDefaults>
+<w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/></w:style>
+<w:style w:type="paragraph" w:styleId="Title"><w:name w:val="Title"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:pPr><w:spacing w:after="120"/></w:pPr><w:rPr><w:sz w:val="52"/></w:rPr></w:style>
+<w:style w:type="paragraph" w:styleId="Byline"><w:name w:val="Byline"/><w:basedOn w:val="Normal"/><w:rPr><w:color w:val="6B7280"/><w:sz w:val="20"/></w:rPr></w:style>
+${[40, 32, 28, 24, 22, 22].map((size, i) => `<w:style w:type="paragraph" w:styleId="Heading${i + 1}"><w:name w:val="heading ${i + 1}"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:pPr><w:keepNext/><w:spacing w:before="240" w:after="80"/><w:outlineLvl w:val="${i}"/></w:pPr><w:rPr><w:b/><w:sz w:val="${size}"/></w:rPr></w:style>`).join('\n')}
+<w:style w:type="paragraph" w:styleId="Quote"><w:name w:val="Quote"/><w:basedOn w:val="Normal"/><w:pPr><w:ind w:left="720"/></w:pPr><w:rPr><w:i/><w:color w:val="4B5563"/></w:rPr></w:style>
+<w:style w:type="paragraph" w:styleId="Code"><w:name w:val="Code"/><w:basedOn w:val="Normal"/><w:pPr><w:shd w:val="clear" w:color="auto" w:fill="F6F8FA"/><w:spacing w:after="0"/></w:pPr><w:rPr><w:rFonts w:ascii="Courier New" w:hAnsi="Courier New" w:cs="Courier New"/><w:sz w:val="18"/></w:rPr></w:style>
+<w:style w:type="character" w:styleId="Hyperlink"><w:name w:val="Hyperlink"/><w:rPr><w:color w:val="2563EB"/><w:u w:val="single"/></w:rPr></w:style>
+</w:styles>`;
+
+function escapeXml(text) {
+  return escapeHtml(text).replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+}
+
+async function renderDocx(posts, title, images) {
+  const relationships = [
+    '<Relationship Id="rIdStyles" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>'
+  ];
+  const linkIds = new Map();
+  const linkRel = (url) => {
+    if (!linkIds.has(url)) {
+      const id = `rIdLink${linkIds.size + 1}`;
+      linkIds.set(url, id);
+      relationships.push(`<Relationship Id="${id}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/hyperlink" Target="${escapeXml(url)}" TargetMode="External"/>`);
+    }
+    return linkIds.get(url);
+  };
+  const embedded = {};
+  [...images.entries()].forEach(([url, image], i) => {
+    const id = `rIdImage${i + 1}`;
+    embedded[url] = { relId: id, width: image.width, height: image.height };
+    relationships.push(`<Relationship Id="${id}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/image" Target="media/${image.path.slice('images/'.length)}"/>`);
+  });
+  let drawingId = 0;
+  const nextDrawingId = () => ++drawingId;
+  const paragraph = (text, style) => `<w:p><w:pPr><w:pStyle w:val="${style}"/></w:pPr><w:r><w:t xml:space="preserve">${escapeXml(text)}</w:t></w:r></w:p>`;
+
+  const sections = posts.map((post) => {
+    const byline = bylineText(post);
+    const featured = post.featured_image && !extractImageUrls(post.content).includes(post.featured_image)
+      ? markdownToWordprocessingML(`![${post.featured_image_alt || ''}](${post.featured_image})`, { images: embedded, linkRel, nextDrawingId })
+      : '';
+    return paragraph(post.title, 'Title') +
+      (byline ? paragraph(byline, 'Byline') : '') +
+      featured +
+      markdownToWordprocessingML(bodyMarkdown(post), { images: embedded, linkRel, nextDrawingId });
+  });
+  const pageBreak = '<w:p><w:r><w:br w:type="page"/></w:r></w:p>';
+  const document = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:document ${DOCX_NAMESPACES}><w:body>${sections.join(pageBreak)}<w:sectPr><w:pgSz w:w="12240" w:h="15840"/><w:pgMar w:top="1440" w:right="1440" w:bottom="1440" w:left="1440" w:header="720" w:footer="720" w:gutter="0"/></w:sectPr></w:body></w:document>`;
+
+  const imageTypes = [...new Set([...images.values()].map((image) => image.path.split('.').pop()))]
+    .map((ext) => `<Default Extension="${ext}" ContentType="${ext === 'jpg' ? 'image/jpeg' : ext === 'svg' ? 'image/svg+xml' : `image/${ext}`}"/>`)
+    .join('');
+  const zip = new JSZip();
+  zip.file('[Content_Types].xml', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/>${imageTypes}<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/><Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/><Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/></Types>`);
+  zip.file('_rels/.rels', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/><Relationship Id="rId2" Type="http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties" Target="docProps/core.xml"/></Relationships>`);
+  zip.file('docProps/core.xml', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"><dc:title>${escapeXml(title)}</dc:title>${posts[0].author ? `<dc:creator>${escapeXml(posts[0].author)}</dc:creator>` : ''}<dcterms:created xsi:type="dcterms:W3CDTF">${new Date().toISOString().replace(/\.\d+Z$/, 'Z')}</dcterms:created></cp:coreProperties>`);
+  zip.file('word/document.xml', document);
+  zip.file('word/styles.xml', DOCX_STYLES);
+  zip.file('word/_rels/document.xml.rels', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">${relationships.join('')}</Relationships>`);
+  for (const image of images.values()) zip.file(`word/media/${image.path.slice('images/'.length)}`, image.data);
+  return zipBuffer(zip);
+}
+
+// --- EPUB -------------------------------------------------------------------------------
+
+const XHTML_VOID_ELEMENTS = /<(area|br|col|hr|img|input|meta|source|wbr)\b([^>]*?)\s*\/?>/gi;
+const HTML_ENTITIES = { nbsp: 160, mdash: 8212, ndash: 8211, hellip: 8230, lsquo: 8216, rsquo: 8217, ldquo: 8220, rdquo: 8221, copy: 169, reg: 174, trade: 8482, middot: 183 };
+
+/** Make marked's HTML well-formed XHTML: self-closed void elements and numeric entities. */
+function toXhtml(html) {
+  return html
+    .replace(XHTML_VOID_ELEMENTS, (_, tag, attrs) => `<${tag}${attrs} />`)
+    .replace(/&([a-z]+);/gi, (entity, name) => {
+      if (['amp', 'lt', 'gt', 'quot', 'apos'].includes(name)) return entity;
+      return HTML_ENTITIES[name] ? `&#${HTML_ENTITIES[name]};` : `&amp;${name};`;
+    });
+}
+
+/** Replace img tags whose source was not packaged with a link to the image. */
+function linkUnpackagedImages(html, images) {
+  return html.replace(/<img\b[^>]*>/gi, (tag) => {
+    const src = tag.match(/\ssrc="([^"]*)"/i)?.[1];
+    if (!src || images.has(src.replace(/&amp;/g, '&')) || !/^https?:/i.test(src)) return tag;
+    const alt = tag.match(/\salt="([^"]*)"/i)?.[1];
+    return `<a href="${src}">${alt || 'Image'}</a>`;
+  });
+}
+
+async function renderEpub(posts, title, images) {
+  const id = `urn:uuid:${uuidv4()}`;
+  const modified = new Date().toISOString().replace(/\.\d+Z$/, 'Z');
+  const authors = [...new Set(posts.map((post) => post.author).filter(Boolean))];
+  const chapters = posts.map((post, i) => {
+    const html = rewriteImageUrls(linkUnpackagedImages(articleHtml(post), images), images);
+    return {
+      file: `chapter-${i + 1}.xhtml`,
+      title: post.title,
+      xhtml: `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" lang="en" xml:lang="en">
+<head><meta charset="utf-8" /><title>${escapeXml(post.title)}</title><link rel="stylesheet" type="text/css" href="style.css" /></head>
+<body>
+${toXhtml(html)}
+</body>
+</html>
+`
+    };
+  });
+  const cover = posts.length === 1 && posts[0].featured_image ? images.get(posts[0].featured_image) : null;
+  const manifest = [
+    '<item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>',
+    '<item id="css" href="style.css" media-type="text/css"/>',
+    ...chapters.map((chapter, i) => `<item id="chapter-${i + 1}" href="${chapter.file}" media-type="application/xhtml+xml"/>`),
+    ...[...images.values()].map((image, i) =>
+      `<item id="image-${i + 1}" href="${image.path}" media-type="${image.contentType}"${image === cover ? ' properties="cover-image"' : ''}/>`)
+  ];
+
+  const zip = new JSZip();
+  // The mimetype entry must come first and be stored uncompressed
+  zip.file('mimetype', 'application/epub+zip', { compression: 'STORE' });
+  zip.file('META-INF/container.xml', `<?xml version="1.0" encoding="UTF-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container"><rootfiles><rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/></rootfiles></container>
+`);
+  zip.file('OEBPS/content.opf', `<?xml version="1.0" encoding="UTF-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id" xml:lang="en">
+<metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+<dc:identifier id="book-id">${id}</dc:identifier>
+<dc:title>${escapeXml(title)}</dc:title>
+<dc:language>en</dc:language>
+${authors.map((author) => `<dc:creator>${escapeXml(author)}</dc:creator>`).join('\n')}
+<meta property="dcterms:modified">${modified}</meta>
+</metadata>
+<manifest>
+${manifest.join('\n')}
+</manifest>
+<spine>
+${chapters.map((_, i) => `<itemref idref="chapter-${i + 1}"/>`).join('\n')}
+</spine>
+</package>
+`);
+  zip.file('OEBPS/nav.xhtml', `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" lang="en" xml:lang="en">
+<head><meta charset="utf-8" /><title>${escapeXml(title)}</title></head>
+<body><nav epub:type="toc" id="toc"><h1>Contents</h1><ol>
+${chapters.map((chapter) => `<li><a href="${chapter.file}">${escapeXml(chapter.title)}</a></li>`).join('\n')}
+</ol></nav></body>
+</html>
+`);
+  zip.file('OEBPS/style.css', `${HTML_STYLES}\n`);
+  for (const chapter of chapters) zip.file(`OEBPS/${chapter.file}`, chapter.xhtml);
+  addImagesToZip(zip, images, 'OEBPS/');
+  return zipBuffer(zip);
+}
+
+// --- WordPress WXR ----------------------------------------------------------------------
+
+function cdata(text) {
+  return `<![CDATA[${String(text ?? '').replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+}
+
+/** WordPress post_date format (YYYY-MM-DD HH:MM:SS, UTC). */
+function wpDate(date) {
+  return date.toISOString().slice(0, 19).replace('T', ' ');
+}
+
+function renderWxr(posts, title) {
+  const now = new Date();
+  const authors = [...new Set(posts.map((post) => post.author).filter(Boolean))];
+  const login = (name) => slugify(name).replace(/-/g, '_');
+  const items = [];
+  let nextId = 1;
+  for (const post of posts) {
+    const postId = nextId++;
+    const date = postDate(post) || now;
+    const terms = [
+      ...post.categories.map((name) => `<category domain="category" nicename="${escapeXml(slugify(name))}">${cdata(name)}</category>`),
+      ...post.tags.map((name) => `<category domain="post_tag" nicename="${escapeXml(slugify(name))}">${cdata(name)}</category>`)
+    ];
+    const attachmentId = post.featured_image ? nextId++ : null;
+    const meta = attachmentId ? `<wp:postmeta><wp:meta_key>_thumbnail_id</wp:meta_key><wp:meta_value>${attachmentId}</wp:meta_value></wp:postmeta>` : '';
+    const common = (id, status) =>
+      `<wp:post_id>${id}</wp:post_id><wp:post_date>${cdata(wpDate(date))}</wp:post_date><wp:post_date_gmt>${cdata(wpDate(date))}</wp:post_date_gmt>` +
+      `<wp:comment_status>closed</wp:comment_status><wp:ping_status>closed</wp:ping_status><wp:status>${status}</wp:status><wp:menu_order>0</wp:menu_order><wp:post_password></wp:post_password><wp:is_sticky>0</wp:is_sticky>`;
+    items.push(`<item>
+<title>${cdata(post.title)}</title>
+<pubDate>${date.toUTCString()}</pubDate>
+<dc:creator>${cdata(post.author ? login(post.author) : 'admin')}</dc:creator>
+<guid isPermaLink="false">automatemyblog-export-${postId}-${escapeXml(post.slug)}</guid>
+<description></description>
+<content:encoded>${cdata(markdownToHtml(bodyMarkdown(post)))}</content:encoded>
+<excerpt:encoded>${cdata(post.excerpt)}</excerpt:encoded>
+${common(postId, 'draft')}<wp:post_name>${cdata(post.slug)}</wp:post_name><wp:post_parent>0</wp:post_parent><wp:post_type>${cdata('post')}</wp:post_type>
+${terms.join('\n')}${meta}
+</item>`);
+    if (attachmentId) {
+      items.push(`<item>
+<title>${cdata(post.featured_image_alt || post.title)}</title>
+<dc:creator>${cdata(post.author ? login(post.author) : 'admin')}</dc:creator>
+<guid isPermaLink="false">${escapeXml(post.featured_image)}</guid>
+<content:encoded>${cdata('')}</content:encoded>
+<excerpt:encoded>${cdata('')}</excerpt:encoded>
+${common(attachmentId, 'inherit')}<wp:post_name>${cdata(`${post.slug}-featured-image`)}</wp:post_name><wp:post_parent>${postId}</wp:post_parent><wp:post_type>${cdata('attachment')}</wp:post_type>
+<wp:attachment_url>${cdata(post.featured_image)}</wp:attachment_url>
+<wp:postmeta><wp:meta_key>_wp_attachment_image_alt</wp:meta_key><wp:meta_value>${cdata(post.featured_image_alt || '')}</wp:meta_value></wp:postmeta>
+</item>`);
+    }
+  }
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:excerpt="http://wordpress.org/export/1.2/excerpt/" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:wfw="http://wellformedweb.org/CommentAPI/" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:wp="http://wordpress.org/export/1.2/">
+<channel>
+<title>${escapeXml(title)}</title>
+<link></link>
+<description></description>
+<pubDate>${now.toUTCString()}</pubDate>
+<language>en</language>
+<wp:wxr_version>1.2</wp:wxr_version>
+${authors.map((name, i) => `<wp:author><wp:author_id>${i + 1}</wp:author_id><wp:author_login>${cdata(login(name))}</wp:author_login><wp:author_display_name>${cdata(name)}</wp:author_display_name></wp:author>`).join('\n')}
+${items.join('\n')}
+</channel>
+</rss>
+`;
+}
+
+// --- Entry point ------------------------------------------------------------------------
+
+/**
+ * Render posts in an export format.
+ * @param {{ rows: object[], format: string, includeImages?: boolean, title?: string|null, bundle?: boolean }} request - from parseExportRequest
+ * @returns {Promise<{ body: Buffer|string, contentType: string, filename: string }>}
+ */
+export async function exportPosts({ rows, format, includeImages = false, title = null, bundle = false }) {
+  const posts = rows.map((row) => buildPublishablePost(row));
+  const docTitle = title || (posts.length === 1 ? posts[0].title || 'Untitled' : 'Blog posts');
+  const baseName = posts.length === 1 && !title ? posts[0].slug : slugify(docTitle);
+  const { extension, contentType } = EXPORT_FORMATS[format];
+  const single = (body) => ({ body, contentType, filename: `${baseName}.${extension}` });
+  const packagesImages = includeImages && ['markdown', 'markdown_frontmatter', 'html', 'docx', 'epub'].includes(format);
+  const images = packagesImages ? await fetchExportImages(posts.flatMap(postImageUrls)) : new Map();
+
+  switch (format) {
+    case 'json':
+      return single(JSON.stringify(bundle ? rows : rows[0], null, 2));
+    case 'markdown':
+    case 'markdown_frontmatter': {
+      const files = posts.map((post) => ({
+        name: `${post.slug}.md`,
+        text: rewriteImageUrls(renderMarkdown(post, { frontMatter: format === 'markdown_frontmatter' }), images)
+      }));
+      if (files.length === 1 && images.size === 0) return single(files[0].text);
+      const zip = new JSZip();
+      const used = new Set();
+      for (const file of files) {
+        // Posts with the same title get numbered file names
+        let name = file.name;
+        for (let n = 2; used.has(name); n++) name = file.name.replace(/\.md$/, `-${n}.md`);
+        used.add(name);
+        zip.file(name, file.text);
+      }
+      addImagesToZip(zip, images);
+      return { body: await zipBuffer(zip), contentType: ZIP_CONTENT_TYPE, filename: `${baseName}.zip` };
+    }
+    case 'html': {
+      const html = rewriteImageUrls(renderHtmlDocument(posts, docTitle), images);
+      if (images.size === 0) return single(html);
+      const zip = new JSZip();
+      zip.file(`${baseName}.html`, html);
+      addImagesToZip(zip, images);
+      return { body: await zipBuffer(zip), contentType: ZIP_CONTENT_TYPE, filename: `${baseName}.zip` };
+    }
+    case 'pdf':
+      return single(await renderPdf(renderHtmlDocument(posts, docTitle)));
+    case 'docx':
+      return single(await renderDocx(posts, docTitle, images));
+    case 'epub':
+      return single(await renderEpub(posts, docTitle, images));
+    case 'wxr':
+      return single(renderWxr(posts, docTitle));
+    default:
+      throw new ValidationError('Unsupported format', `Supported formats: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+  }
+}
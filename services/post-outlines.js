@@ -0,0 +1,369 @@
+/**
+ * Outline-first generation. An outline (title, meta description and H2/H3 sections with intent and target keyword)
+ * is generated and stored first, edited through the API, then written one section at a time. Every section is
+ * generated with the voice context captured when the outline was created and with its neighbours as read-only
+ * context, so writing or rewriting one section leaves the rest of the post alone.
+ *
+ * createPostFromOutline turns a fully written outline into a draft post. After that, a regenerated section replaces
+ * only its own part of the post (found by heading) and is recorded as a 'section_generation' revision.
+ */
+import { v4 as uuidv4 } from 'uuid';
+import db from './database.js';
+import enhancedBlogGenerationService from './enhanced-blog-generation.js';
+import { updatePostWithRevision } from './post-revisions.js';
+import { ConflictError, NotFoundError, ValidationError } from '../lib/errors.js';
+
+export const MAX_OUTLINE_SECTIONS = 30;
+const MAX_HEADING_LENGTH = 200;
+const MAX_INTENT_LENGTH = 500;
+const MAX_KEYWORD_LENGTH = 100;
+const MAX_INSTRUCTIONS_LENGTH = 1000;
+
+function optionalText(value, name, maxLength) {
+  if (value === undefined || value === null) return null;
+  if (typeof value !== 'string') throw new ValidationError('Invalid sections', `${name} must be a string`);
+  const text = value.replace(/\s+/g, ' ').trim();
+  if (text.length > maxLength) throw new ValidationError('Invalid sections', `${name} must be at most ${maxLength} characters`);
+  return text || null;
+}
+
+/**
+ * Validate outline sections and merge them with the stored ones. Sections sent back with their id keep their
+ * generated content; content whose heading, level, intent or keyword changed is marked stale. Sections without
+ * an id are new.
+ * @param {any} input
+ * @param {object[]} [existing] - sections currently stored
+ * @returns {{ id: string, level: 2|3, heading: string, intent: string|null, target_keyword: string|null, content: string|null, status: 'pending'|'generated'|'stale', generated_at: string|null }[]}
+ * @throws {ValidationError}
+ */
+export function normalizeOutlineSections(input, existing = []) {
+  if (!Array.isArray(input) || input.length === 0) {
+    throw new ValidationError('Invalid sections', 'sections must be a non-empty array');
+  }
+  if (input.length > MAX_OUTLINE_SECTIONS) {
+    throw new ValidationError('Invalid sections', `An outline can have at most ${MAX_OUTLINE_SECTIONS} sections`);
+  }
+  const storedById = new Map(existing.map((section) => [section.id, section]));
+  const seenIds = new Set();
+  const seenHeadings = new Set();
+
+  return input.map((raw, i) => {
+    if (!raw || typeof raw !== 'object') throw new ValidationError('Invalid sections', `sections[${i}] must be an object`);
+    const level = Number(raw.level);
+    if (level !== 2 && level !== 3) throw new ValidationError('Invalid sections', `sections[${i}].level must be 2 or 3`);
+    if (i === 0 && level !== 2) throw new ValidationError('Invalid sections', 'The first section must be an H2');
+
+    const heading = typeof raw.heading === 'string' ? raw.heading.replace(/^#+/, '').replace(/\s+/g, ' ').trim() : '';
+    if (!heading || heading.length > MAX_HEADING_LENGTH) {
+      throw new ValidationError('Invalid sections', `sections[${i}].heading is required (at most ${MAX_HEADING_LENGTH} characters)`);
+    }
+    // Headings locate sections in the finished post, so they must be unique
+    if (seenHeadings.has(heading.toLowerCase())) {
+      throw new ValidationError('Invalid sections', `Headings must be unique: "${heading}" appears more than once`);
+    }
+    seenHeadings.add(heading.toLowerCase());
+
+    const intent = optionalText(raw.intent, `sections[${i}].intent`, MAX_INTENT_LENGTH);
+    const targetKeyword = optionalText(raw.target_keyword, `sections[${i}].target_keyword`, MAX_KEYWORD_LENGTH);
+
+    let stored = null;
+    if (raw.id !== undefined && raw.id !== null) {
+      stored = storedById.get(raw.id);
+      if (!stored || seenIds.has(raw.id)) {
+        throw new ValidationError('Invalid sections', `sections[${i}].id does not match a section of this outline`);
+      }
+      seenIds.add(raw.id);
+    }
+
+    const section = {
+      id: stored?.id ?? uuidv4(),
+      level,
+      heading,
+      intent,
+      target_keyword: targetKeyword,
+      content: stored?.content ?? null,
+      status: 'pending',
+      generated_at: stored?.generated_at ?? null
+    };
+    if (section.content) {
+      const changed = stored.level !== level || stored.heading !== heading ||
+        stored.intent !== intent || stored.target_keyword !== targetKeyword;
+      section.status = changed || stored.status === 'stale' ? 'stale' : 'generated';
+    }
+    return section;
+  });
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Character range of a section's body in post content: from the end of its heading line to the next H1–H3
+ * heading (or the end of the content).
+ * @returns {{ start: number, end: number }|null} null when the heading is not in the content
+ */
+export function findSectionBody(content, section) {
+  const heading = new RegExp(`^#{${section.level}}[ \\t]+${escapeRegExp(section.heading)}[ \\t]*$`, 'm').exec(content);
+  if (!heading) return null;
+  const start = heading.index + heading[0].length;
+  const next = /^#{1,3}[ \t]/m.exec(content.slice(start));
+  return { start, end: next ? start + next.index : content.length };
+}
+
+/** Replace the body under a section's heading, leaving the rest of the content untouched. */
+export function replaceSectionBody(content, section, body) {
+  const range = findSectionBody(content, section);
+  if (!range) return null;
+  const after = content.slice(range.end);
+  return `${content.slice(0, range.start)}\n\n${body}\n${after ? `\n${after}` : ''}`;
+}
+
+/**
+ * Generated section bodies must not open new H1–H3 sections (that would break the outline's structure);
+ * demote any such headings to H4.
+ */
+export function sanitizeSectionBody(body) {
+  return String(body).replace(/^#{1,3}[ \t]+/gm, '#### ').trim();
+}
+
+/** Markdown for the whole post: the title as H1 followed by every section. */
+export function assembleOutlineContent(outline) {
+  const sections = outline.sections.map((section) => `${'#'.repeat(section.level)} ${section.heading}\n\n${(section.content || '').trim()}`);
+  return `# ${outline.title}\n\n${sections.join('\n\n')}\n`;
+}
+
+function presentOutline(row) {
+  const { user_id: _userId, voice_context: voiceContext, ...outline } = row;
+  const sections = row.sections || [];
+  return {
+    ...outline,
+    voice_adaptation_used: !!voiceContext?.voice_adaptation_used,
+    voice_profile_confidence: voiceContext?.voice_profile_confidence ?? null,
+    progress: {
+      total: sections.length,
+      generated: sections.filter((section) => section.status === 'generated').length,
+      stale: sections.filter((section) => section.status === 'stale').length,
+      pending: sections.filter((section) => section.status === 'pending').length
+    }
+  };
+}
+
+async function loadOutline(client, outlineId, userId, { lock = false } = {}) {
+  const { rows } = await client.query(
+    `SELECT * FROM post_outlines WHERE id = $1 AND user_id = $2${lock ? ' FOR UPDATE' : ''}`,
+    [outlineId, userId]
+  );
+  if (rows.length === 0) throw new NotFoundError('Outline not found', 'post_outline');
+  return rows[0];
+}
+
+/**
+ * Generate and store an outline for a topic. Voice and brand context are captured now and reused for every
+ * section.
+ * @param {string} userId
+ * @param {{ topic: object, businessInfo: object, organizationId: string, additionalInstructions?: string, useVoiceProfile?: boolean }} request
+ * @returns {Promise<object>} the stored outline
+ */
+export async function createOutline(userId, { topic, businessInfo, organizationId, additionalInstructions = '', useVoiceProfile = true }) {
+  const generated = await enhancedBlogGenerationService.generateOutline(
+    topic,
+    businessInfo,
+    organizationId,
+    additionalInstructions,
+    { useVoiceProfile }
+  );
+
+  let sections;
+  try {
+    sections = normalizeOutlineSections(
+      generated.sections.map(({ level, heading, intent, target_keyword: targetKeyword }) => ({ level, heading, intent, target_keyword: targetKeyword }))
+    );
+  } catch (error) {
+    if (error instanceof ValidationError) throw new Error(`Outline generation returned an invalid outline: ${error.details}`);
+    throw error;
+  }
+
+  const { rows } = await db.query(
+    `INSERT INTO post_outlines (
+       user_id, organization_id, title, meta_description, topic, business_info, additional_instructions,
+       voice_context, sections, generation_metadata
+     ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+     RETURNING *`,
+    [
+      userId,
+      organizationId,
+      generated.title,
+      generated.meta_description,
+      JSON.stringify(topic),
+      JSON.stringify(businessInfo),
+      additionalInstructions || null,
+      JSON.stringify(generated.voice_context),
+      JSON.stringify(sections),
+      JSON.stringify(generated.generation)
+    ]
+  );
+  return presentOutline(rows[0]);
+}
+
+/**
+ * @throws {NotFoundError}
+ */
+export async function getOutline(outlineId, userId) {
+  return presentOutline(await loadOutline(db, outlineId, userId));
+}
+
+/**
+ * Edit the title, meta description and/or sections (reorder, rename, add, remove). The request must carry the
+ * version it was based on so concurrent edits are not lost.
+ * @param {{ version: number, title?: string, meta_description?: string|null, sections?: object[] }} edit
+ * @throws {NotFoundError|ValidationError|ConflictError}
+ */
+export async function updateOutline(outlineId, userId, { version, title, meta_description: metaDescription, sections } = {}) {
+  if (!Number.isInteger(version)) throw new ValidationError('Invalid version', 'version (the outline version being edited) is required');
+  if (title !== undefined && (typeof title !== 'string' || !title.trim() || title.trim().length > 500)) {
+    throw new ValidationError('Invalid title', 'title must be a non-empty string of at most 500 characters');
+  }
+  if (metaDescription !== undefined && metaDescription !== null && typeof metaDescription !== 'string') {
+    throw new ValidationError('Invalid meta_description', 'meta_description must be a string or null');
+  }
+
+  return db.transaction(async (client) => {
+    const outline = await loadOutline(client, outlineId, userId, { lock: true });
+    if (outline.version !== version) {
+      throw new ConflictError(`Outline was changed since version ${version} (now ${outline.version}); reload it and apply your edits again`);
+    }
+    const nextSections = sections === undefined ? outline.sections : normalizeOutlineSections(sections, outline.sections);
+    const { rows } = await client.query(
+      `UPDATE post_outlines
+       SET title = $2, meta_description = $3, sections = $4, version = version + 1, updated_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [
+        outlineId,
+        title === undefined ? outline.title : title.trim(),
+        metaDescription === undefined ? outline.meta_description : metaDescription?.trim() || null,
+        JSON.stringify(nextSections)
+      ]
+    );
+    return presentOutline(rows[0]);
+  });
+}
+
+/**
+ * Write (or rewrite) one section. Its neighbours — from the post once one exists, else from the outline — are
+ * passed as context only. When the outline has a post, only this section of the post is replaced.
+ * @param {{ instructions?: string }} [options] - extra guidance for this section only
+ * @returns {Promise<{ outline: object, section: object, post: { id: string, revision: number|null }|null }>}
+ * @throws {NotFoundError|ValidationError|ConflictError}
+ */
+export async function generateSection(outlineId, userId, sectionId, { instructions } = {}) {
+  if (instructions !== undefined && instructions !== null &&
+    (typeof instructions !== 'string' || instructions.length > MAX_INSTRUCTIONS_LENGTH)) {
+    throw new ValidationError('Invalid instructions', `instructions must be a string of at most ${MAX_INSTRUCTIONS_LENGTH} characters`);
+  }
+  const outline = await loadOutline(db, outlineId, userId);
+  const index = outline.sections.findIndex((section) => section.id === sectionId);
+  if (index === -1) throw new NotFoundError('Section not found', 'outline_section');
+  const section = outline.sections[index];
+  const previous = outline.sections[index - 1];
+  const next = outline.sections[index + 1];
+
+  let neighbourText = (neighbour) => neighbour?.content ?? null;
+  if (outline.blog_post_id) {
+    const { rows } = await db.query('SELECT content FROM blog_posts WHERE id = $1 AND user_id = $2', [outline.blog_post_id, userId]);
+    const content = rows[0]?.content ?? '';
+    if (!findSectionBody(content, section)) {
+      throw new ConflictError(`Heading "${section.heading}" was not found in the post; make the post and outline headings match first`);
+    }
+    neighbourText = (neighbour) => {
+      const range = neighbour && findSectionBody(content, neighbour);
+      return range ? content.slice(range.start, range.end) : null;
+    };
+  }
+
+  const body = sanitizeSectionBody(await enhancedBlogGenerationService.generateOutlineSection(outline, index, {
+    previousText: neighbourText(previous),
+    nextText: neighbourText(next),
+    instructions: instructions?.trim() || ''
+  }));
+
+  let post = null;
+  if (outline.blog_post_id) {
+    const { revision } = await updatePostWithRevision(
+      outline.blog_post_id,
+      (current) => {
+        const content = replaceSectionBody(current.content || '', section, body);
+        if (content === null) throw new ConflictError(`Heading "${section.heading}" was not found in the post`);
+        return { content };
+      },
+      { owner: { userId }, source: 'section_generation' }
+    );
+    post = { id: outline.blog_post_id, revision };
+  }
+
+  const updated = await db.transaction(async (client) => {
+    const current = await loadOutline(client, outlineId, userId, { lock: true });
+    const target = current.sections.find((candidate) => candidate.id === sectionId);
+    if (!target) throw new ConflictError('Section was removed from the outline while it was being generated');
+    // An edit made while the section was being written means the content no longer matches its heading or intent
+    const unchanged = target.level === section.level && target.heading === section.heading &&
+      target.intent === section.intent && target.target_keyword === section.target_keyword;
+    Object.assign(target, { content: body, status: unchanged ? 'generated' : 'stale', generated_at: new Date().toISOString() });
+    const { rows } = await client.query(
+      'UPDATE post_outlines SET sections = $2, version = version + 1, updated_at = NOW() WHERE id = $1 RETURNING *',
+      [outlineId, JSON.stringify(current.sections)]
+    );
+    return rows[0];
+  });
+
+  return {
+    outline: presentOutline(updated),
+    section: updated.sections.find((candidate) => candidate.id === sectionId),
+    post
+  };
+}
+
+/**
+ * Create a draft post from an outline whose sections have all been written. An outline makes at most one post.
+ * @returns {Promise<{ outline: object, post: object }>}
+ * @throws {NotFoundError|ConflictError}
+ */
+export async function createPostFromOutline(outlineId, userId) {
+  const outline = await loadOutline(db, outlineId, userId);
+  if (outline.blog_post_id) {
+    throw new ConflictError('A post was already created from this outline; regenerate sections to change it');
+  }
+  const pending = outline.sections.filter((section) => !section.content);
+  if (pending.length > 0) {
+    throw new ConflictError(`${pending.length} section(s) have not been generated yet: ${pending.map((section) => section.heading).join(', ')}`);
+  }
+
+  const seoKeywords = [...new Set(outline.sections.map((section) => section.target_keyword).filter(Boolean))];
+  const post = await enhancedBlogGenerationService.saveEnhancedBlogPost(userId, outline.organization_id, {
+    title: outline.title,
+    content: assembleOutlineContent(outline),
+    metaDescription: outline.meta_description,
+    tags: outline.topic?.tags,
+    seoKeywords,
+    generationMetadata: {
+      ...outline.generation_metadata,
+      mode: 'outline',
+      outlineId,
+      voiceAdaptationUsed: !!outline.voice_context?.voice_adaptation_used
+    }
+  });
+
+  const { rows } = await db.query(
+    `UPDATE post_outlines SET blog_post_id = $2, version = version + 1, updated_at = NOW()
+     WHERE id = $1 AND blog_post_id IS NULL
+     RETURNING *`,
+    [outlineId, post.id]
+  );
+  if (rows.length === 0) {
+    // Another request created the post first; keep only that one
+    await db.query('DELETE FROM blog_posts WHERE id = $1', [post.id]);
+    throw new ConflictError('A post was already created from this outline');
+  }
+  return { outline: presentOutline(rows[0]), post };
+}
@@ -0,0 +1,378 @@
+/**
+ * Publish a blog post to one or more platforms through the publisher registry.
+ * Shared by POST /api/v1/posts/:id/publish (synchronous) and the publish_post job (jobs/job-worker.js).
+ *
+ * Each platform's outcome is written to blog_posts.platform_publications as soon as it is known, tagged
+ * with the job id when run from a job. If the worker dies midway, finished platforms stay recorded and
+ * a re-run of the same job skips the ones it already published; the job's failure handler settles
+ * publication_status.
+ */
+import db from './database.js';
+import { NotFoundError } from '../lib/errors.js';
+import { PLATFORM_LABELS, getPublisher } from '../lib/publishing-platforms.js';
+import { getConnectionCredentials } from './publishing-connections.js';
+import { diffPublishedSnapshots, publishedSnapshot } from './publish-diff.js';
+import { loadPublishablePost } from './publishable-post.js';
+
+/** Retry policy for publish_post jobs; the synchronous route makes a single attempt. */
+export const PUBLISH_JOB_RETRY = Object.freeze({ attempts: 3, baseDelayMs: 2000 });
+
+/**
+ * @param {unknown} value - platform_publications column (JSONB or legacy string)
+ * @returns {Array<object>}
+ */
+export function parsePlatformPublications(value) {
+  let parsed = value;
+  if (typeof parsed === 'string') {
+    try {
+      parsed = JSON.parse(parsed);
+    } catch {
+      parsed = null;
+    }
+  }
+  return Array.isArray(parsed) ? parsed : [];
+}
+
+/**
+ * Overall publication_status from per-platform entries: published if any platform is live,
+ * scheduled if any is waiting for its publish time, failed if this run only produced failures,
+ * otherwise publishing.
+ * @param {Array<object>} entries - all entries on the post
+ * @param {Array<object>} [runEntries] - entries produced by this run (defaults to all)
+ * @returns {'published'|'scheduled'|'failed'|'publishing'}
+ */
+export function derivePublicationStatus(entries, runEntries = entries) {
+  if (entries.some((p) => p.status === 'published')) return 'published';
+  if (entries.some((p) => p.status === 'scheduled')) return 'scheduled';
+  return runEntries.some((p) => p.status === 'failed') ? 'failed' : 'publishing';
+}
+
+/**
+ * Transient failures worth retrying: network errors, timeouts, rate limits and 5xx responses.
+ * Credential, permission and validation errors are not retried.
+ * @param {Error} err
+ * @returns {boolean}
+ */
+export function isRetryablePublishError(err) {
+  if (!err || err instanceof NotFoundError) return false;
+  if (err.name === 'TypeError' || err.name === 'AbortError' || err.name === 'TimeoutError') return true;
+  const message = String(err.message || '');
+  return /\b(429|5\d\d)\b|timed? ?out|ECONNRESET|ETIMEDOUT|ENOTFOUND|EAI_AGAIN|fetch failed|socket hang up/i.test(message);
+}
+
+/**
+ * Run fn, retrying retryable errors with exponential backoff (baseDelayMs, 2x, 4x ...).
+ * @param {(attempt: number) => Promise<T>} fn
+ * @param {{ attempts?: number, baseDelayMs?: number, onRetry?: (err: Error, attempt: number, delayMs: number) => void, sleep?: (ms: number) => Promise<void> }} [opts]
+ * @returns {Promise<T>}
+ * @template T
+ */
+export async function withRetry(fn, opts = {}) {
+  const attempts = Math.max(1, opts.attempts ?? 1);
+  const baseDelayMs = opts.baseDelayMs ?? 0;
+  const sleep = opts.sleep || ((ms) => new Promise((resolve) => setTimeout(resolve, ms)));
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (err) {
+      if (attempt >= attempts || !isRetryablePublishError(err)) throw err;
+      const delayMs = baseDelayMs * 2 ** (attempt - 1);
+      opts.onRetry?.(err, attempt, delayMs);
+      await sleep(delayMs);
+    }
+  }
+}
+
+/**
+ * Update the remote post when we have its id, otherwise create it. If the remote post was deleted
+ * on the platform since the last publish, it is created again.
+ * @returns {Promise<{ result: object, action: 'created'|'updated'|'recreated' }>}
+ */
+async function publishOrUpdate(externalId, create, update) {
+  if (!externalId) {
+    return { result: await create(), action: 'created' };
+  }
+  try {
+    return { result: await update(externalId), action: 'updated' };
+  } catch (err) {
+    if (!(err instanceof NotFoundError)) throw err;
+    return { result: await create(), action: 'recreated' };
+  }
+}
+
+/**
+ * The remote post a platform_publications entry stands for: the entry itself when it is live, otherwise the
+ * earlier live post it kept while an update of it is failed, pending or scheduled (entry.live).
+ * @param {object|undefined} entry
+ * @returns {{ external_id: string, url?: string, published?: object }|null}
+ */
+export function liveCopyOf(entry) {
+  if (entry?.status === 'published' && entry.external_id) {
+    return { external_id: entry.external_id, url: entry.url, published: entry.published };
+  }
+  return entry?.live?.external_id ? entry.live : null;
+}
+
+/**
+ * @param {string} userId
+ * @param {string} postId
+ * @returns {Promise<object>} blog_posts row
+ * @throws {NotFoundError} when the post does not exist or is not owned by userId
+ */
+export async function loadPost(userId, postId) {
+  const result = await db.query('SELECT * FROM blog_posts WHERE id = $1 AND user_id = $2', [postId, userId]);
+  if (result.rows.length === 0) {
+    throw new NotFoundError('Post not found or access denied', 'blog_post');
+  }
+  return result.rows[0];
+}
+
+/**
+ * Write platform_publications and publication_status together. The editorial review_state follows:
+ * scheduled/published when the post is, and back to approved when it no longer is (unpublished or cancelled).
+ * @returns {Promise<object>} updated blog_posts row
+ */
+export async function savePublications(userId, postId, publications, publicationStatus) {
+  const result = await db.query(
+    `UPDATE blog_posts
+     SET publication_status = $1, platform_publications = $2, updated_at = NOW(),
+         review_state = CASE
+           WHEN $1 IN ('scheduled', 'published') THEN $1
+           WHEN $1 IN ('draft', 'failed') AND review_state IN ('scheduled', 'published') THEN 'approved'
+           ELSE review_state
+         END,
+         review_state_changed_at = CASE
+           WHEN $1 IN ('scheduled', 'published') AND review_state IS DISTINCT FROM $1 THEN NOW()
+           WHEN $1 IN ('draft', 'failed') AND review_state IN ('scheduled', 'published') THEN NOW()
+           ELSE review_state_changed_at
+         END
+     WHERE id = $3 AND user_id = $4
+     RETURNING *`,
+    [publicationStatus, JSON.stringify(publications), postId, userId]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Publish a post on each platform and persist the outcomes. A platform that already holds a live post gets it
+ * updated in place (or left unchanged when the platform cannot edit posts), never a second copy.
+ * @param {string} userId
+ * @param {string} postId
+ * @param {object} options
+ * @param {string[]} options.platforms - normalized, connected platform keys
+ * @param {boolean} [options.draft] - publish_mode 'draft'
+ * @param {boolean} [options.updateExisting] - accepted for compatibility; live posts are always updated in place
+ * @param {boolean} [options.wordpressUseIndexPhpRestRoute]
+ * @param {Date} [options.scheduledAt] - publish at this time instead of now; platforms with native scheduling
+ *   get the post right away with a future date, the rest are published by the scheduler when it is due
+ * @param {string} [options.timezone] - IANA zone the schedule was chosen in, stored for display
+ * @param {string} [options.jobId] - publish_post job id; entries are tagged with it and ones it published are skipped on re-run
+ * @param {{ attempts?: number, baseDelayMs?: number, sleep?: (ms: number) => Promise<void> }} [options.retry]
+ * @param {object} [hooks]
+ * @param {(event: { platform: string, status: 'publishing'|'retrying'|'published'|'scheduled'|'failed'|'skipped', index: number, total: number, attempt?: number, message?: string, url?: string }) => void} [hooks.onPlatformProgress]
+ * @param {() => Promise<boolean>} [hooks.isCancelled] - checked before each platform
+ * @returns {Promise<{ post: object, changes: Array<object>, publications: Array<object> }>} post is the updated blog_posts row
+ * @throws {NotFoundError} when the post does not exist or is not owned by userId
+ */
+export async function publishPostToPlatforms(userId, postId, options, hooks = {}) {
+  const {
+    platforms,
+    draft = false,
+    wordpressUseIndexPhpRestRoute = false,
+    scheduledAt = null,
+    timezone = 'UTC',
+    jobId = null,
+    retry = {}
+  } = options;
+  const notify = (event) => {
+    try {
+      hooks.onPlatformProgress?.(event);
+    } catch (e) {
+      console.warn('Publish progress callback failed:', e.message);
+    }
+  };
+
+  let post = await loadPost(userId, postId);
+  const previousByPlatform = new Map(
+    parsePlatformPublications(post.platform_publications).map((p) => [String(p.platform).toLowerCase(), p])
+  );
+  /**
+   * Live post a platform already holds. It is updated in place rather than duplicated, and entries that do not
+   * replace it (failed, pending, scheduled) keep it as live so it can still be updated or unpublished later.
+   */
+  const liveCopyFor = (platformKey) => liveCopyOf(previousByPlatform.get(platformKey));
+  const keepLiveCopy = (platformKey, entry) => {
+    const live = liveCopyFor(platformKey);
+    return live && entry.status !== 'published' ? { ...entry, live } : entry;
+  };
+  const payload = await loadPublishablePost(post);
+  const snapshot = publishedSnapshot(payload);
+
+  const targeted = new Set(platforms);
+  const untouched = [...previousByPlatform.entries()]
+    .filter(([platformKey]) => !targeted.has(platformKey))
+    .map(([, entry]) => entry);
+  const runEntries = new Map();
+  const actions = new Map();
+  const currentPublications = () => [...untouched, ...platforms.map((p) => runEntries.get(p) || previousByPlatform.get(p)).filter(Boolean)];
+
+  const record = async (platformKey, entry) => {
+    const kept = keepLiveCopy(platformKey, entry);
+    runEntries.set(platformKey, jobId ? { ...kept, job_id: jobId } : kept);
+    const all = currentPublications();
+    const pending = platforms.some((p) => !runEntries.has(p));
+    post = await savePublications(userId, postId, all, pending ? 'publishing' : derivePublicationStatus(all, [...runEntries.values()]));
+  };
+
+  const total = platforms.length;
+  for (let index = 0; index < total; index++) {
+    const platformKey = platforms[index];
+    const label = PLATFORM_LABELS[platformKey] || platformKey;
+    const previous = previousByPlatform.get(platformKey);
+
+    if (jobId && previous?.job_id === jobId && (previous.status === 'published' || previous.status === 'scheduled')) {
+      // Published by an earlier run of this job (worker restarted or job retried); don't post it twice
+      runEntries.set(platformKey, previous);
+      notify({ platform: platformKey, status: 'skipped', index, total, message: 'Already processed' });
+      continue;
+    }
+    if (hooks.isCancelled && await hooks.isCancelled()) {
+      await record(platformKey, { platform: platformKey, status: 'failed', message: 'Cancelled' });
+      notify({ platform: platformKey, status: 'failed', index, total, message: 'Cancelled' });
+      continue;
+    }
+
+    const publisher = getPublisher(platformKey);
+    const existingId = liveCopyFor(platformKey)?.external_id ?? null;
+    if (scheduledAt && (!publisher?.capabilities.schedule || existingId)) {
+      // Published by the scheduler (jobs/scheduledPublishing.js) once scheduled_at has passed. A live post is
+      // scheduled here too: a native schedule would be a second remote post, the scheduler updates it in place
+      const entry = { platform: platformKey, status: 'scheduled', scheduled_at: scheduledAt.toISOString(), timezone, native: false, label };
+      actions.set(platformKey, 'scheduled');
+      await record(platformKey, entry);
+      notify({ platform: platformKey, status: 'scheduled', index, total });
+      continue;
+    }
+    if (!publisher) {
+      // No direct publishing for this platform yet; leave as publishing
+      runEntries.set(platformKey, keepLiveCopy(platformKey, { platform: platformKey, status: 'publishing' }));
+      continue;
+    }
+    notify({ platform: platformKey, status: 'publishing', index, total });
+
+    let creds;
+    try {
+      creds = await getConnectionCredentials(userId, platformKey);
+    } catch (err) {
+      // Expired OAuth token that could not be refreshed
+      await record(platformKey, { platform: platformKey, status: 'failed', message: err.message });
+      notify({ platform: platformKey, status: 'failed', index, total, message: err.message });
+      continue;
+    }
+    if (!creds) {
+      const message = `${label} connection not found`;
+      await record(platformKey, { platform: platformKey, status: 'failed', message });
+      notify({ platform: platformKey, status: 'failed', index, total, message });
+      continue;
+    }
+    if (platformKey === 'wordpress' && wordpressUseIndexPhpRestRoute) {
+      creds = { ...creds, useIndexPhpRestRoute: true };
+    }
+
+    if (existingId && !publisher.capabilities.update) {
+      // Platform cannot edit posts; keep the live copy rather than creating a duplicate
+      runEntries.set(platformKey, previous);
+      actions.set(platformKey, 'unsupported');
+      notify({ platform: platformKey, status: 'skipped', index, total, message: publisher.unsupported?.update });
+      continue;
+    }
+
+    try {
+      const opts = scheduledAt ? { draft, scheduledAt } : { draft };
+      const { result, action } = await withRetry(
+        () => publishOrUpdate(
+          existingId,
+          () => publisher.publish(creds, payload, opts),
+          (externalId) => publisher.update(creds, externalId, payload, opts)
+        ),
+        {
+          ...retry,
+          onRetry: (err, attempt, delayMs) => {
+            console.warn(`${label} publish attempt ${attempt} failed, retrying in ${delayMs}ms:`, err.message);
+            notify({ platform: platformKey, status: 'retrying', index, total, attempt, message: err.message });
+          }
+        }
+      );
+      const status = scheduledAt ? 'scheduled' : 'published';
+      actions.set(platformKey, scheduledAt ? 'scheduled' : action);
+      await record(platformKey, {
+        platform: platformKey,
+        status,
+        ...(scheduledAt && { scheduled_at: scheduledAt.toISOString(), timezone, native: true }),
+        external_id: result?.id || existingId || undefined,
+        published: snapshot,
+        url: result?.url || undefined,
+        label
+      });
+      notify({ platform: platformKey, status, index, total, url: result?.url || undefined });
+    } catch (err) {
+      console.error(`${label} publish failed:`, err.message);
+      const message = err.message || 'Publish failed';
+      await record(platformKey, { platform: platformKey, status: 'failed', message });
+      notify({ platform: platformKey, status: 'failed', index, total, message });
+    }
+  }
+
+  const publications = currentPublications();
+  post = await savePublications(userId, postId, publications, derivePublicationStatus(publications, [...runEntries.values()]));
+
+  const changes = [];
+  for (const [platformKey, action] of actions) {
+    if (action === 'unsupported') {
+      const label = PLATFORM_LABELS[platformKey] || platformKey;
+      const message = getPublisher(platformKey)?.unsupported?.update
+        || `${label} does not support editing published posts. The existing post was left unchanged.`;
+      changes.push({ platform: platformKey, action, message });
+    } else if (action === 'scheduled') {
+      changes.push({ platform: platformKey, action, scheduled_at: scheduledAt.toISOString() });
+    } else if (action === 'updated') {
+      changes.push({ platform: platformKey, action, diff: diffPublishedSnapshots(liveCopyFor(platformKey)?.published, snapshot) });
+    } else {
+      changes.push({ platform: platformKey, action });
+    }
+  }
+
+  return { post, changes, publications };
+}
+
+/**
+ * Settle a post after a publish_post job failed for good (cancelled, or the worker gave up):
+ * platforms this job never finished are marked failed unless they still hold a live or scheduled post
+ * from an earlier publish, and publication_status is recomputed so the post does not stay 'publishing'.
+ * @param {string} userId
+ * @param {string} postId
+ * @param {string} jobId
+ * @param {string[]} platforms - platforms the job targeted
+ * @param {string} message - recorded on the unfinished platforms
+ * @returns {Promise<object|null>} updated blog_posts row, or null if the post is gone
+ */
+export async function settleAbandonedPublish(userId, postId, jobId, platforms, message) {
+  let post;
+  try {
+    post = await loadPost(userId, postId);
+  } catch (err) {
+    if (err instanceof NotFoundError) return null;
+    throw err;
+  }
+  const byPlatform = new Map(
+    parsePlatformPublications(post.platform_publications).map((p) => [String(p.platform).toLowerCase(), p])
+  );
+  for (const platform of platforms) {
+    const entry = byPlatform.get(platform);
+    if (entry?.job_id === jobId || entry?.status === 'published' || entry?.status === 'scheduled') continue;
+    const live = liveCopyOf(entry);
+    byPlatform.set(platform, { platform, status: 'failed', message, job_id: jobId, ...(live && { live }) });
+  }
+  const next = [...byPlatform.values()];
+  return savePublications(userId, postId, next, derivePublicationStatus(next, next.filter((p) => p.job_id === jobId)));
+}
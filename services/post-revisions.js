@@ -0,0 +1,222 @@
+/**
+ * Post revision history. Changes to a post's title or content go through updatePostWithRevision, which applies
+ * the update and appends an immutable blog_post_revisions row in the same transaction. The first recorded change
+ * also stores the text it replaced (source 'original'). Revisions can be listed, compared word by word and
+ * restored (a restore is itself a new revision). Edits, restores, section regenerations and accepted inline AI edits
+ * of an approved post reopen editorial review when the organization requires it (services/editorial-review.js).
+ */
+import db from './database.js';
+import { NotFoundError, ValidationError } from '../lib/errors.js';
+import { diffWords } from '../lib/word-diff.js';
+import { reopenReviewAfterEdit } from './editorial-review.js';
+
+export const REVISION_SOURCES = Object.freeze(['original', 'manual_edit', 'seo_reanalysis', 'enrichment', 'restore', 'section_generation', 'inline_edit', 'style_fix']);
+
+// Changes a user asked for; they send an approved post back to review
+const REOPENING_SOURCES = ['manual_edit', 'restore', 'section_generation', 'inline_edit', 'style_fix'];
+
+const REVISION_COLUMNS = 'revision_number, title, word_count, seo_score, source, restored_from, author_user_id, author_session_id, created_at';
+
+function countWords(text) {
+  const trimmed = String(text || '').trim();
+  return trimmed ? trimmed.split(/\s+/).length : 0;
+}
+
+/**
+ * WHERE condition limiting a post to its owner: the user, else the anonymous session. No owner means no
+ * restriction (background enrichment of a post that was just saved).
+ * @param {{ userId?: string|null, sessionId?: string|null }|null} owner
+ * @param {number} paramIndex - placeholder number for the owner value
+ */
+function ownerCondition(owner, paramIndex) {
+  if (!owner) return { sql: '', params: [] };
+  if (owner.userId) return { sql: ` AND user_id = $${paramIndex}`, params: [owner.userId] };
+  return { sql: ` AND session_id = $${paramIndex}`, params: [owner.sessionId ?? null] };
+}
+
+async function loadPost(client, postId, owner, { lock = false } = {}) {
+  const condition = ownerCondition(owner, 2);
+  const result = await client.query(
+    `SELECT * FROM blog_posts WHERE id = $1${condition.sql}${lock ? ' FOR UPDATE' : ''}`,
+    [postId, ...condition.params]
+  );
+  if (result.rows.length === 0) throw new NotFoundError('Post not found or access denied', 'blog_post');
+  return result.rows[0];
+}
+
+function parseRevisionNumber(value, name = 'revision') {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new ValidationError(`Invalid ${name}`, `${name} must be a positive revision number`);
+  }
+  return number;
+}
+
+async function insertRevision(client, postId, revisionNumber, row, { source, author, restoredFrom = null, createdAt = null }) {
+  await client.query(
+    `INSERT INTO blog_post_revisions (
+       blog_post_id, revision_number, title, content, word_count, seo_score, source, restored_from,
+       author_user_id, author_session_id, created_at
+     ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, COALESCE($11, NOW()))`,
+    [
+      postId,
+      revisionNumber,
+      row.title ?? null,
+      row.content ?? '',
+      countWords(row.content),
+      row.seo_score_prediction ?? null,
+      source,
+      restoredFrom,
+      author?.userId ?? null,
+      author?.userId ? null : author?.sessionId ?? null,
+      createdAt
+    ]
+  );
+}
+
+/**
+ * Append revisions for a change already applied in the client's transaction. The post row must be locked
+ * (SELECT ... FOR UPDATE) so revision numbers cannot race.
+ * Nothing is recorded when title, content and SEO score are unchanged (e.g. a status-only edit).
+ * @param {object} client - pg client inside a transaction
+ * @param {object} before - blog_posts row before the change
+ * @param {object} after - blog_posts row after the change
+ * @param {{ source: string, author?: { userId?: string|null, sessionId?: string|null }|null, restoredFrom?: number|null }} meta
+ * @returns {Promise<number|null>} the new revision number, or null when nothing changed
+ */
+export async function recordRevision(client, before, after, { source, author = null, restoredFrom = null }) {
+  if (!REVISION_SOURCES.includes(source)) throw new Error(`Unknown revision source: ${source}`);
+  const changed = before.title !== after.title ||
+    before.content !== after.content ||
+    (before.seo_score_prediction ?? null) !== (after.seo_score_prediction ?? null);
+  if (!changed) return null;
+
+  const { rows } = await client.query(
+    'SELECT COALESCE(MAX(revision_number), 0) AS latest FROM blog_post_revisions WHERE blog_post_id = $1',
+    [after.id]
+  );
+  let latest = Number(rows[0]?.latest) || 0;
+  if (latest === 0) {
+    // Keep the text this first recorded change replaces
+    latest = 1;
+    await insertRevision(client, after.id, latest, before, { source: 'original', createdAt: before.updated_at ?? null });
+  }
+  await insertRevision(client, after.id, latest + 1, after, { source, author, restoredFrom });
+  return latest + 1;
+}
+
+/**
+ * Update columns of a post and record the change as a revision, in one transaction.
+ * @param {string} postId
+ * @param {Record<string, any>|((before: object) => Record<string, any>)} changes - column → value, or a function of the
+ *   locked row returning them (for changes derived from the current content); column names come from callers,
+ *   never from request input
+ * @param {{ owner?: { userId?: string|null, sessionId?: string|null }|null, source: string, author?: object|null, restoredFrom?: number|null }} options
+ *   owner limits the update to the user's or session's post; author defaults to owner
+ * @returns {Promise<{ post: object, revision: number|null }>}
+ * @throws {NotFoundError} when the post does not exist or is not the owner's
+ */
+export async function updatePostWithRevision(postId, changes, { owner = null, source, author = owner, restoredFrom = null }) {
+  return db.transaction(async (client) => {
+    const before = await loadPost(client, postId, owner, { lock: true });
+    const values = typeof changes === 'function' ? changes(before) : changes;
+    const columns = Object.keys(values);
+    const assignments = [...columns.map((column, i) => `${column} = $${i + 2}`), 'updated_at = NOW()'];
+    const { rows } = await client.query(
+      `UPDATE blog_posts SET ${assignments.join(', ')} WHERE id = $1 RETURNING *`,
+      [postId, ...columns.map((column) => values[column])]
+    );
+    const post = rows[0];
+    const revision = await recordRevision(client, before, post, { source, author, restoredFrom });
+    if (revision && REOPENING_SOURCES.includes(source)) {
+      await reopenReviewAfterEdit(client, post, author?.userId ?? null);
+    }
+    return { post, revision };
+  });
+}
+
+/**
+ * The post row when it belongs to the owner.
+ * @throws {NotFoundError}
+ */
+export async function getOwnedPost(postId, owner) {
+  return loadPost(db, postId, owner);
+}
+
+/**
+ * Revisions of a post, newest first, without their content.
+ * @returns {Promise<{ revisions: object[], current_revision: number|null }>}
+ * @throws {NotFoundError}
+ */
+export async function listRevisions(postId, owner) {
+  await loadPost(db, postId, owner);
+  const { rows } = await db.query(
+    `SELECT ${REVISION_COLUMNS} FROM blog_post_revisions WHERE blog_post_id = $1 ORDER BY revision_number DESC`,
+    [postId]
+  );
+  return { revisions: rows, current_revision: rows[0]?.revision_number ?? null };
+}
+
+/**
+ * One revision with its content.
+ * @throws {NotFoundError|ValidationError}
+ */
+export async function getRevision(postId, owner, revisionNumber) {
+  const number = parseRevisionNumber(revisionNumber);
+  await loadPost(db, postId, owner);
+  const { rows } = await db.query(
+    `SELECT ${REVISION_COLUMNS}, content FROM blog_post_revisions WHERE blog_post_id = $1 AND revision_number = $2`,
+    [postId, number]
+  );
+  if (rows.length === 0) throw new NotFoundError(`Revision ${number} not found`, 'revision');
+  return rows[0];
+}
+
+/**
+ * Word-level diff between two revisions. 'current' compares against the post as it is now (which differs from
+ * the latest revision only for posts never edited since revisions were introduced).
+ * @param {string|number} from - revision number or 'current'
+ * @param {string|number} [to='current']
+ * @returns {Promise<{ from: object, to: object, title: object, content: object }>}
+ * @throws {NotFoundError|ValidationError}
+ */
+export async function diffRevisions(postId, owner, from, to = 'current') {
+  if (from === undefined || from === null || from === '') {
+    throw new ValidationError('Invalid from', 'from must be a positive revision number or "current"');
+  }
+  const post = await loadPost(db, postId, owner);
+  const resolve = async (value, name) => {
+    if (value === 'current') return { revision_number: null, title: post.title, content: post.content, label: 'current' };
+    const number = parseRevisionNumber(value, name);
+    const { rows } = await db.query(
+      'SELECT revision_number, title, content, source, created_at FROM blog_post_revisions WHERE blog_post_id = $1 AND revision_number = $2',
+      [postId, number]
+    );
+    if (rows.length === 0) throw new NotFoundError(`Revision ${number} not found`, 'revision');
+    return rows[0];
+  };
+  const older = await resolve(from, 'from');
+  const newer = await resolve(to, 'to');
+  const summary = ({ content, ...rest }) => rest;
+  return {
+    from: summary(older),
+    to: summary(newer),
+    title: diffWords(older.title || '', newer.title || ''),
+    content: diffWords(older.content || '', newer.content || '')
+  };
+}
+
+/**
+ * Make a revision's title and content current again. Recorded as a new 'restore' revision.
+ * @param {{ userId?: string|null, sessionId?: string|null }} owner
+ * @returns {Promise<{ post: object, revision: number|null }>} revision is null when the post already matched
+ * @throws {NotFoundError|ValidationError}
+ */
+export async function restoreRevision(postId, owner, revisionNumber) {
+  const revision = await getRevision(postId, owner, revisionNumber);
+  return updatePostWithRevision(
+    postId,
+    { title: revision.title, content: revision.content },
+    { owner, source: 'restore', restoredFrom: revision.revision_number }
+  );
+}
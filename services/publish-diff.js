@@ -0,0 +1,88 @@
+/**
+ * Republish support: the fields we push to a platform, a compact snapshot of them stored on each
+ * platform_publications entry, and a diff between the last published snapshot and the current post.
+ * Content is snapshotted as a hash + word count so the JSONB column does not grow with every post body.
+ */
+import crypto from 'crypto';
+
+const MARKDOWN_IMAGE_RE = /!\[[^\]]*\]\((https?:\/\/[^\s)]+)[^)]*\)/;
+const HTML_IMAGE_RE = /<img[^>]+src="(https?:\/\/[^"]+)"/i;
+
+function countWords(text) {
+  const trimmed = String(text || '').trim();
+  return trimmed ? trimmed.split(/\s+/).length : 0;
+}
+
+/**
+ * Fields pushed to a platform, derived from a blog_posts row.
+ * featured_image is the first real image URL in the content (matches WordPress featured_media selection);
+ * tags come from topic_data.tags when the generator stored them.
+ * @param {object} row - blog_posts row ({ title, content, topic_data })
+ * @returns {{ title: string, content: string, featured_image: string|null, tags: string[] }}
+ */
+export function publishableFields(row) {
+  const content = row?.content || '';
+  const imageMatch = content.match(MARKDOWN_IMAGE_RE) || content.match(HTML_IMAGE_RE);
+  let topicData = row?.topic_data;
+  if (typeof topicData === 'string') {
+    try {
+      topicData = JSON.parse(topicData);
+    } catch {
+      topicData = null;
+    }
+  }
+  const tags = Array.isArray(topicData?.tags)
+    ? [...new Set(topicData.tags.filter((t) => typeof t === 'string' && t.trim()).map((t) => t.trim()))]
+    : [];
+  return {
+    title: row?.title || '',
+    content,
+    featured_image: imageMatch ? imageMatch[1] : null,
+    tags
+  };
+}
+
+/**
+ * Snapshot of published fields stored on a platform_publications entry.
+ * @param {{ title: string, content: string, featured_image: string|null, tags: string[] }} fields
+ * @returns {{ title: string, content_hash: string, word_count: number, featured_image: string|null, tags: string[] }}
+ */
+export function publishedSnapshot(fields) {
+  return {
+    title: fields.title,
+    content_hash: crypto.createHash('sha256').update(fields.content || '').digest('hex'),
+    word_count: countWords(fields.content),
+    featured_image: fields.featured_image || null,
+    tags: [...(fields.tags || [])]
+  };
+}
+
+/**
+ * Diff the last published snapshot against the snapshot about to be published.
+ * Only changed fields appear; an empty object means nothing changed. Without a previous snapshot
+ * (entries published before snapshots were stored) the change set is unknown and null is returned.
+ * @param {object|null|undefined} previous
+ * @param {object} next
+ * @returns {{ title?: { from: string, to: string }, content?: { words_before: number, words_after: number }, featured_image?: { from: string|null, to: string|null }, tags?: { added: string[], removed: string[] } }|null}
+ */
+export function diffPublishedSnapshots(previous, next) {
+  if (!previous || typeof previous !== 'object') return null;
+  const diff = {};
+  if ((previous.title || '') !== (next.title || '')) {
+    diff.title = { from: previous.title || '', to: next.title || '' };
+  }
+  if (previous.content_hash !== next.content_hash) {
+    diff.content = { words_before: previous.word_count ?? 0, words_after: next.word_count };
+  }
+  if ((previous.featured_image || null) !== (next.featured_image || null)) {
+    diff.featured_image = { from: previous.featured_image || null, to: next.featured_image || null };
+  }
+  const before = new Set(previous.tags || []);
+  const after = new Set(next.tags || []);
+  const added = [...after].filter((t) => !before.has(t));
+  const removed = [...before].filter((t) => !after.has(t));
+  if (added.length > 0 || removed.length > 0) {
+    diff.tags = { added, removed };
+  }
+  return diff;
+}
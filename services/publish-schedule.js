@@ -0,0 +1,291 @@
+/**
+ * Scheduled publishing: resolve scheduled_at + timezone from publish requests, reschedule or cancel
+ * scheduled platform_publications entries, and claim due entries for the scheduler.
+ *
+ * Platforms with native scheduling (adapter capabilities.schedule: WordPress 'future', Ghost 'scheduled')
+ * hold the post remotely and publish it themselves; their entries have native: true and the remote id.
+ * Other platforms keep a local entry (native: false) that jobs/scheduledPublishing.js hands to a
+ * publish_post job once scheduled_at has passed.
+ */
+import db from './database.js';
+import { NotFoundError, ValidationError } from '../lib/errors.js';
+import { PLATFORM_LABELS, getPublisher } from '../lib/publishing-platforms.js';
+import { getConnectionCredentials } from './publishing-connections.js';
+import { publishedSnapshot } from './publish-diff.js';
+import { loadPublishablePost } from './publishable-post.js';
+import { derivePublicationStatus, loadPost, parsePlatformPublications, savePublications } from './post-publishing.js';
+
+const LOCAL_DATE_TIME_RE = /^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2}))?$/;
+const EXPLICIT_OFFSET_RE = /(?:Z|[+-]\d{2}:?\d{2})$/i;
+
+/**
+ * @param {string} timeZone
+ * @returns {boolean} true for IANA zones known to the runtime (e.g. 'America/New_York', 'UTC')
+ */
+export function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || !timeZone.trim()) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/** Offset of timeZone from UTC at the given instant, in milliseconds. */
+function timeZoneOffsetMs(date, timeZone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }).formatToParts(date).map((p) => [p.type, p.value])
+  );
+  const asUtc = Date.UTC(+parts.year, +parts.month - 1, +parts.day, +parts.hour, +parts.minute, +parts.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * Resolve a publish request's scheduled_at to an instant.
+ * A value with Z or an offset is taken as is; a local date-time ("2026-03-10T09:00") is read in timezone.
+ * @param {string} scheduledAt
+ * @param {string} [timezone] - IANA zone (default UTC); stored on the entries for display
+ * @param {Date} [now]
+ * @returns {{ scheduledAt: Date, timezone: string }}
+ * @throws {ValidationError} on an unparseable date, unknown zone, or a time that is not in the future
+ */
+export function resolveScheduledAt(scheduledAt, timezone = 'UTC', now = new Date()) {
+  const zone = timezone == null || timezone === '' ? 'UTC' : timezone;
+  if (!isValidTimeZone(zone)) {
+    throw new ValidationError(`Unknown timezone: ${zone}. Use an IANA name such as "America/New_York".`);
+  }
+  const value = typeof scheduledAt === 'string' ? scheduledAt.trim() : '';
+  let date = null;
+  const local = value.match(LOCAL_DATE_TIME_RE);
+  if (local) {
+    const [, y, mo, d, h, mi, sec = '0'] = local;
+    const wallClock = Date.UTC(+y, +mo - 1, +d, +h, +mi, +sec);
+    // Two passes so the offset is the one in force at the resulting instant (DST changes)
+    const firstGuess = wallClock - timeZoneOffsetMs(new Date(wallClock), zone);
+    date = new Date(wallClock - timeZoneOffsetMs(new Date(firstGuess), zone));
+  } else if (EXPLICIT_OFFSET_RE.test(value) && !Number.isNaN(Date.parse(value))) {
+    date = new Date(value);
+  }
+  if (!date || Number.isNaN(date.getTime())) {
+    throw new ValidationError('scheduled_at must be an ISO 8601 date-time, e.g. "2026-03-10T09:00" with a timezone');
+  }
+  if (date.getTime() <= now.getTime()) {
+    throw new ValidationError('scheduled_at must be in the future');
+  }
+  return { scheduledAt: date, timezone: zone };
+}
+
+/**
+ * publication_status after scheduled or published entries were removed: live and scheduled entries win,
+ * and a post that was only scheduled or published goes back to draft.
+ * @param {Array<object>} entries - remaining entries
+ * @param {string} previousStatus
+ * @returns {string}
+ */
+export function statusAfterRemoval(entries, previousStatus) {
+  if (entries.some((p) => p.status === 'published' || p.status === 'scheduled')) {
+    return derivePublicationStatus(entries, []);
+  }
+  if (entries.length === 0 || previousStatus === 'scheduled' || previousStatus === 'published') return 'draft';
+  return previousStatus;
+}
+
+/**
+ * Cancel one scheduled entry. Native schedules are deleted on the platform; local ones need no remote call.
+ * @param {string} userId
+ * @param {object} entry - platform_publications entry with status 'scheduled'
+ * @returns {Promise<{ platform: string, status: 'cancelled'|'failed', message?: string }>}
+ */
+export async function cancelScheduledEntry(userId, entry) {
+  const platform = String(entry.platform).toLowerCase();
+  if (!entry.native || !entry.external_id) {
+    return { platform, status: 'cancelled' };
+  }
+  const label = PLATFORM_LABELS[platform] || platform;
+  const publisher = getPublisher(platform);
+  if (!publisher?.capabilities.unpublish) {
+    return { platform, status: 'failed', message: `Remote cancel is not supported for ${label}` };
+  }
+  try {
+    const creds = await getConnectionCredentials(userId, platform);
+    if (!creds) {
+      return { platform, status: 'failed', message: `${label} connection not found` };
+    }
+    await publisher.unpublish(creds, entry.external_id, { mode: 'delete' });
+    return { platform, status: 'cancelled' };
+  } catch (err) {
+    console.error(`${label} schedule cancel failed:`, err.message);
+    return { platform, status: 'failed', message: err.message || 'Cancel failed' };
+  }
+}
+
+/** The published entry a scheduled update of a live post replaced; it is live again once the schedule is cancelled. */
+function liveEntryOf(entry) {
+  const { platform, label, live } = entry;
+  return { platform, status: 'published', ...live, ...(label && { label }) };
+}
+
+function scheduledTargets(entries, platform) {
+  const targets = entries.filter((e) => e.status === 'scheduled' && (!platform || String(e.platform).toLowerCase() === platform));
+  if (targets.length === 0) {
+    throw new NotFoundError(
+      platform ? `No scheduled publication for ${PLATFORM_LABELS[platform] || platform} on this post` : 'No scheduled publications on this post',
+      'scheduled_publication'
+    );
+  }
+  return new Set(targets);
+}
+
+/**
+ * Cancel scheduled publications on a post (all, or one platform). Entries whose remote cancel
+ * failed are kept unless force is set.
+ * @param {string} userId
+ * @param {string} postId
+ * @param {{ platform?: string|null, force?: boolean }} [opts]
+ * @returns {Promise<{ post: object, results: Array<{ platform: string, status: 'cancelled'|'failed', message?: string }> }>}
+ * @throws {NotFoundError} when the post or a matching scheduled entry does not exist
+ */
+export async function cancelScheduledPublications(userId, postId, { platform = null, force = false } = {}) {
+  const post = await loadPost(userId, postId);
+  const entries = parsePlatformPublications(post.platform_publications);
+  const targets = scheduledTargets(entries, platform);
+  const next = [];
+  const results = [];
+  for (const entry of entries) {
+    if (!targets.has(entry)) {
+      next.push(entry);
+      continue;
+    }
+    const outcome = await cancelScheduledEntry(userId, entry);
+    results.push(outcome);
+    if (outcome.status === 'failed' && !force) next.push(entry);
+    else if (entry.live) next.push(liveEntryOf(entry));
+  }
+  const updated = await savePublications(userId, postId, next, statusAfterRemoval(next, post.publication_status));
+  return { post: updated, results };
+}
+
+/**
+ * Move scheduled publications to a new time. Native schedules are updated on the platform
+ * (with the post's current content); local ones just get the new scheduled_at.
+ * @param {string} userId
+ * @param {string} postId
+ * @param {{ scheduledAt: Date, timezone: string, platform?: string|null }} opts
+ * @returns {Promise<{ post: object, results: Array<{ platform: string, status: 'rescheduled'|'failed', scheduled_at?: string, message?: string }> }>}
+ * @throws {NotFoundError} when the post or a matching scheduled entry does not exist
+ */
+export async function rescheduleScheduledPublications(userId, postId, { scheduledAt, timezone, platform = null }) {
+  const post = await loadPost(userId, postId);
+  const entries = parsePlatformPublications(post.platform_publications);
+  const targets = scheduledTargets(entries, platform);
+  const payload = await loadPublishablePost(post);
+  const scheduled_at = scheduledAt.toISOString();
+  const next = [];
+  const results = [];
+  for (const entry of entries) {
+    if (!targets.has(entry)) {
+      next.push(entry);
+      continue;
+    }
+    const platformKey = String(entry.platform).toLowerCase();
+    if (!entry.native) {
+      next.push({ ...entry, scheduled_at, timezone });
+      results.push({ platform: platformKey, status: 'rescheduled', scheduled_at });
+      continue;
+    }
+    const label = PLATFORM_LABELS[platformKey] || platformKey;
+    try {
+      const publisher = getPublisher(platformKey);
+      if (!publisher?.capabilities.update) throw new Error(`Rescheduling is not supported for ${label}`);
+      const creds = await getConnectionCredentials(userId, platformKey);
+      if (!creds) throw new Error(`${label} connection not found`);
+      const result = await publisher.update(creds, entry.external_id, payload, { scheduledAt });
+      next.push({
+        ...entry,
+        scheduled_at,
+        timezone,
+        external_id: result?.id || entry.external_id,
+        url: result?.url || entry.url,
+        published: publishedSnapshot(payload)
+      });
+      results.push({ platform: platformKey, status: 'rescheduled', scheduled_at });
+    } catch (err) {
+      console.error(`${label} reschedule failed:`, err.message);
+      next.push(entry);
+      results.push({ platform: platformKey, status: 'failed', message: err.message || 'Reschedule failed' });
+    }
+  }
+  const updated = await savePublications(userId, postId, next, derivePublicationStatus(next, []));
+  return { post: updated, results };
+}
+
+/**
+ * Claim scheduled entries whose time has passed. Native entries become 'published' (the platform
+ * published them itself); local entries become 'publishing' and are returned so the caller can
+ * enqueue a publish_post job. Each post is claimed with a compare-and-set on platform_publications,
+ * so overlapping scheduler runs never claim the same entry twice.
+ * @param {Date} [now]
+ * @returns {Promise<Array<{ postId: string, userId: string, platforms: string[] }>>} local entries to publish now
+ */
+export async function claimDueScheduledPublications(now = new Date()) {
+  const result = await db.query(
+    `SELECT id, user_id, platform_publications
+     FROM blog_posts
+     WHERE platform_publications @> '[{"status": "scheduled"}]'::jsonb`
+  );
+  const claims = [];
+  for (const row of result.rows) {
+    const entries = parsePlatformPublications(row.platform_publications);
+    const isDue = (e) => e.status === 'scheduled' && new Date(e.scheduled_at).getTime() <= now.getTime();
+    if (!entries.some(isDue)) continue;
+
+    const platforms = [];
+    const next = entries.map((entry) => {
+      if (!isDue(entry)) return entry;
+      if (entry.native) {
+        const { native: _native, timezone: _timezone, ...rest } = entry;
+        return { ...rest, status: 'published' };
+      }
+      platforms.push(String(entry.platform).toLowerCase());
+      return { ...entry, status: 'publishing' };
+    });
+    const claimed = await db.query(
+      `UPDATE blog_posts
+       SET platform_publications = $1, publication_status = $2, updated_at = NOW()
+       WHERE id = $3 AND platform_publications = $4::jsonb
+       RETURNING id`,
+      [JSON.stringify(next), derivePublicationStatus(next, []), row.id, JSON.stringify(entries)]
+    );
+    if (claimed.rows.length > 0 && platforms.length > 0) {
+      claims.push({ postId: row.id, userId: row.user_id, platforms });
+    }
+  }
+  return claims;
+}
+
+/**
+ * Put claimed local entries back to 'scheduled' (e.g. the job could not be enqueued) so the next run retries.
+ * @param {string} userId
+ * @param {string} postId
+ * @param {string[]} platforms
+ * @returns {Promise<void>}
+ */
+export async function releaseScheduledPublications(userId, postId, platforms) {
+  const post = await loadPost(userId, postId);
+  const next = parsePlatformPublications(post.platform_publications).map((entry) =>
+    entry.status === 'publishing' && entry.scheduled_at && platforms.includes(String(entry.platform).toLowerCase())
+      ? { ...entry, status: 'scheduled' }
+      : entry
+  );
+  await savePublications(userId, postId, next, derivePublicationStatus(next, []));
+}
@@ -0,0 +1,168 @@
+/**
+ * Canonical publishable post: everything a publisher may send to a platform, built once from the
+ * blog_posts row, the post's generated hero image (generated_visual_content) and the SEO output stored by
+ * generation (meta_description, topic_data.seoKeywords). Publishers map these fields to the platform's
+ * native equivalents and ignore what the platform has no place for.
+ *
+ * Values the user set on the post (slug, excerpt, meta_description, canonical_url, featured_image_url,
+ * tags, categories, author_name columns) win over derived ones.
+ */
+import db from './database.js';
+import { ValidationError } from '../lib/errors.js';
+import { plainTextExcerpt } from '../lib/markdown-to-structured-content.js';
+import { slugify } from './git-publish.js';
+import { publishableFields } from './publish-diff.js';
+
+/** Longest excerpt sent; platforms with tighter limits cut it further. */
+const EXCERPT_MAX_LENGTH = 300;
+const META_DESCRIPTION_MAX_LENGTH = 160;
+
+/**
+ * @typedef {object} PublishablePost
+ * @property {string} title
+ * @property {string} content - markdown with app placeholders
+ * @property {string} slug
+ * @property {string} excerpt - plain text, up to 300 characters ('' when the post has no paragraph)
+ * @property {string} meta_description - plain text, up to 160 characters for generated values
+ * @property {string|null} canonical_url
+ * @property {string|null} featured_image - absolute URL
+ * @property {string|null} featured_image_alt
+ * @property {string[]} tags
+ * @property {string[]} categories
+ * @property {string|null} author - display name
+ * @property {string[]} keywords - SEO keywords from generation
+ * @property {Date|string|null} date - post creation time
+ */
+
+function parseJson(value) {
+  if (typeof value !== 'string') return value ?? null;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return null;
+  }
+}
+
+function stringList(value) {
+  const list = parseJson(value);
+  if (!Array.isArray(list)) return [];
+  return [...new Set(list.filter((v) => typeof v === 'string' && v.trim()).map((v) => v.trim()))];
+}
+
+const text = (value) => (typeof value === 'string' && value.trim() ? value.trim() : null);
+
+/** Publishing metadata columns the user can set on a post (PUT /api/v1/posts/:id). */
+export const PUBLISHING_METADATA_FIELDS = Object.freeze([
+  'slug', 'excerpt', 'meta_description', 'canonical_url', 'featured_image_url', 'tags', 'categories', 'author_name'
+]);
+
+const URL_FIELDS = new Set(['canonical_url', 'featured_image_url']);
+const LIST_FIELDS = new Set(['tags', 'categories']);
+const TEXT_MAX_LENGTH = { excerpt: 1000, meta_description: 500, author_name: 200 };
+
+/**
+ * Validate publishing metadata from a request body. Only keys present in the body are returned;
+ * null or '' clears a value. Lists are stored as JSON strings for the JSONB columns.
+ * @param {object} body
+ * @returns {Record<string, string|null>} column → value
+ * @throws {ValidationError} with details.field for the first invalid value
+ */
+export function normalizePublishingMetadata(body) {
+  const values = {};
+  for (const field of PUBLISHING_METADATA_FIELDS) {
+    if (body?.[field] === undefined) continue;
+    const value = body[field];
+    if (value === null || value === '') {
+      values[field] = null;
+    } else if (LIST_FIELDS.has(field)) {
+      if (!Array.isArray(value) || value.some((v) => typeof v !== 'string')) {
+        throw new ValidationError(`${field} must be an array of strings`, { field });
+      }
+      const list = stringList(value);
+      values[field] = list.length > 0 ? JSON.stringify(list) : null;
+    } else if (typeof value !== 'string') {
+      throw new ValidationError(`${field} must be a string`, { field });
+    } else if (URL_FIELDS.has(field)) {
+      let url;
+      try {
+        url = new URL(value.trim());
+      } catch {
+        url = null;
+      }
+      if (!url || !['http:', 'https:'].includes(url.protocol)) {
+        throw new ValidationError(`${field} must be an http(s) URL`, { field });
+      }
+      values[field] = url.toString();
+    } else if (field === 'slug') {
+      if (!/[a-z0-9]/i.test(value.normalize('NFKD'))) {
+        throw new ValidationError('slug must contain letters or digits', { field });
+      }
+      values[field] = slugify(value);
+    } else {
+      if (value.trim().length > TEXT_MAX_LENGTH[field]) {
+        throw new ValidationError(`${field} must be at most ${TEXT_MAX_LENGTH[field]} characters`, { field });
+      }
+      values[field] = value.trim() || null;
+    }
+  }
+  return values;
+}
+
+/**
+ * Build the publishable post from a blog_posts row and related data (pure; see loadPublishablePost).
+ * @param {object} row - blog_posts row
+ * @param {{ heroImage?: { url: string, alt?: string|null }|null, authorName?: string|null }} [sources]
+ * @returns {PublishablePost}
+ */
+export function buildPublishablePost(row, sources = {}) {
+  const base = publishableFields(row);
+  const topicData = parseJson(row?.topic_data) || {};
+  const excerpt = text(row?.excerpt) || plainTextExcerpt(base.content, EXCERPT_MAX_LENGTH);
+  const metaDescription = text(row?.meta_description) || plainTextExcerpt(base.content, META_DESCRIPTION_MAX_LENGTH);
+  const heroImage = sources.heroImage?.url ? sources.heroImage : null;
+  const ownImage = text(row?.featured_image_url);
+  const tags = stringList(row?.tags);
+  const categories = stringList(row?.categories);
+
+  return {
+    title: base.title,
+    content: base.content,
+    slug: slugify(text(row?.slug) || base.title),
+    excerpt,
+    meta_description: metaDescription,
+    canonical_url: text(row?.canonical_url),
+    featured_image: ownImage || heroImage?.url || base.featured_image,
+    featured_image_alt: (!ownImage && text(heroImage?.alt)) || base.title || null,
+    tags: tags.length > 0 ? tags : base.tags,
+    categories: categories.length > 0 ? categories : stringList(topicData.categories),
+    author: text(row?.author_name) || text(sources.authorName),
+    keywords: stringList(topicData.seoKeywords),
+    date: row?.created_at ?? null
+  };
+}
+
+/**
+ * Load the hero image and author for a post and build its publishable model.
+ * Lookup failures are logged and the post is built from the row alone.
+ * @param {object} row - blog_posts row (from loadPost)
+ * @returns {Promise<PublishablePost>}
+ */
+export async function loadPublishablePost(row) {
+  let sources = {};
+  try {
+    const result = await db.query(
+      `SELECT
+         (SELECT json_build_object('url', image_url, 'alt', alt_text)
+            FROM generated_visual_content
+           WHERE post_id = $1 AND content_type = 'hero_image' AND generation_status = 'completed'
+           ORDER BY created_at DESC LIMIT 1) AS hero_image,
+         (SELECT NULLIF(TRIM(CONCAT(first_name, ' ', last_name)), '') FROM users WHERE id = $2) AS author_name`,
+      [row.id, row.user_id]
+    );
+    const found = result.rows[0] || {};
+    sources = { heroImage: parseJson(found.hero_image), authorName: found.author_name };
+  } catch (err) {
+    console.warn(`Publishable post lookups failed for ${row.id}:`, err.message);
+  }
+  return buildPublishablePost(row, sources);
+}
@@ -4,12 +4,15 @@
  */
 import db from './database.js';
 import oauthManager from './oauth-manager.js';
+import { PLATFORM_LABELS } from '../lib/publishing-platforms.js';
 
 /**
  * Get decrypted credentials for a connected platform.
  * @param {string} userId
- * @param {string} platform - wordpress | medium | substack | ghost
- * @returns {Promise<object|null>} Decrypted payload (e.g. { site_url, username, application_password } for WordPress) or null
+ * @param {string} platform - platform key (see PLATFORM_KEYS)
+ * @returns {Promise<object|null>} Decrypted payload (e.g. { site_url, username, application_password } for WordPress) or null.
+ *   Expiring OAuth tokens (HubSpot, Wix, Squarespace, Drupal) are refreshed first via oauth-manager.
+ * @throws {Error} when an expired token cannot be refreshed
  */
 export async function getConnectionCredentials(userId, platform) {
   const result = await db.query(
@@ -18,11 +21,19 @@ export async function getConnectionCredentials(userId, platform) {
     [userId, platform]
   );
   if (result.rows.length === 0) return null;
+  let credentials;
   try {
     const raw = oauthManager.decryptToken(result.rows[0].credentials_encrypted);
-    return JSON.parse(raw);
+    credentials = JSON.parse(raw);
   } catch (e) {
     console.error('Failed to decrypt publishing connection:', e.message);
     return null;
   }
+  if (!oauthManager.publishingTokenNeedsRefresh(platform, credentials)) return credentials;
+  try {
+    return await oauthManager.refreshPublishingCredentials(userId, platform, credentials);
+  } catch (e) {
+    console.error(`Failed to refresh ${platform} publishing token:`, e.message);
+    throw new Error(`${PLATFORM_LABELS[platform] || platform} authorization expired and could not be renewed. Reconnect it in Settings.`);
+  }
 }
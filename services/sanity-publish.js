@@ -1,22 +1,285 @@
 /**
- * Publish a post to Sanity (create/update document).
- * Requires project_id, dataset, api_token (stored in connection).
- * Document type and field mapping need to be configured for full implementation.
+ * Publish a post to Sanity via the HTTP API (mutations + assets).
  * @see https://www.sanity.io/docs/http-api
+ *
+ * Connection credentials: project_id, dataset, api_token, plus document_type (default post),
+ * field_mapping (see lib/cms-field-mapping.js) and an optional studio_url used for edit links.
+ *
+ * Documents get a generated id that is stored as external_id. Drafts live at drafts.<id> (Sanity's
+ * convention); publishing writes <id> and removes the draft. Images are downloaded and uploaded as
+ * image assets so Portable Text and the hero field can reference them.
  */
+import { randomUUID } from 'crypto';
+import { NotFoundError } from '../lib/errors.js';
+import { resolveFieldMapping } from '../lib/cms-field-mapping.js';
+import { extractImageUrls, markdownToPortableText, plainTextExcerpt } from '../lib/markdown-to-structured-content.js';
+import { slugify } from './git-publish.js';
+
+const SANITY_API_VERSION = 'v2021-06-07';
+
+/** Field names used when the connection has no field_mapping (matches Sanity's blog template). */
+export const SANITY_DEFAULT_FIELD_MAPPING = Object.freeze({
+  title: 'title',
+  slug: 'slug',
+  body: 'body',
+  excerpt: 'excerpt',
+  hero_image: 'mainImage',
+  tags: 'tags',
+  categories: null,
+  meta_description: null,
+  canonical_url: null,
+  author: null
+});
 
 /**
- * Publish a post to Sanity. Not yet implemented.
- * @param {object} credentials - { project_id, dataset, api_token }
- * @param {object} post - { title, content }
- * @returns {Promise<{ url: string, id: string }>}
- * @throws {Error} until Sanity document creation is implemented
+ * Resolve stored credentials into request settings shared by every call.
+ * @param {object} credentials
  */
-export async function publishToSanity(credentials, post) {
-  if (!credentials?.api_token) {
-    throw new Error('Sanity connection missing api_token. Reconnect Sanity in Settings.');
+function sanityContext(credentials) {
+  const { project_id, dataset, api_token } = credentials || {};
+  if (!project_id || !api_token) {
+    throw new Error('Sanity connection requires project_id and api_token. Reconnect Sanity in Settings.');
+  }
+  const datasetName = dataset || 'production';
+  return {
+    projectId: project_id,
+    dataset: datasetName,
+    baseUrl: `https://${encodeURIComponent(project_id)}.api.sanity.io/${SANITY_API_VERSION}`,
+    authHeaders: { Authorization: `Bearer ${api_token}` },
+    documentType: credentials.document_type || 'post',
+    studioUrl: credentials.studio_url ? String(credentials.studio_url).replace(/\/+$/, '') : null,
+    mapping: resolveFieldMapping(credentials.field_mapping, SANITY_DEFAULT_FIELD_MAPPING)
+  };
+}
+
+async function sanityErrorMessage(res) {
+  let message = `Sanity returned ${res.status}`;
+  try {
+    const data = JSON.parse(await res.text());
+    const detail = data?.error?.description || data?.message || (typeof data?.error === 'string' ? data.error : null);
+    if (detail) message = detail;
+  } catch {
+    /* keep status message */
   }
-  throw new Error(
-    'Sanity publish is not yet implemented. Document creation and schema mapping need to be added. Use the Sanity Studio to create documents in the meantime.'
+  if (res.status === 401 || res.status === 403) {
+    message = 'Sanity rejected the API token. Create a token with Editor access under API → Tokens.';
+  }
+  return message;
+}
+
+async function sanityMutate(ctx, mutations) {
+  const res = await fetch(`${ctx.baseUrl}/data/mutate/${encodeURIComponent(ctx.dataset)}?returnIds=true`, {
+    method: 'POST',
+    headers: { ...ctx.authHeaders, 'Content-Type': 'application/json' },
+    body: JSON.stringify({ mutations })
+  });
+  if (!res.ok) throw new Error(await sanityErrorMessage(res));
+  return res.json();
+}
+
+/**
+ * Fetch documents by id; ids that do not exist are left out of the result.
+ * @returns {Promise<Map<string, object>>} _id → document
+ */
+async function sanityGetDocuments(ctx, ids) {
+  const res = await fetch(
+    `${ctx.baseUrl}/data/doc/${encodeURIComponent(ctx.dataset)}/${ids.map(encodeURIComponent).join(',')}`,
+    { headers: ctx.authHeaders }
   );
+  if (!res.ok) throw new Error(await sanityErrorMessage(res));
+  const data = await res.json();
+  return new Map((data.documents || []).filter(Boolean).map((doc) => [doc._id, doc]));
+}
+
+/** Download an image and upload it as a Sanity image asset; returns the asset _id. */
+async function uploadSanityImage(ctx, url) {
+  const imageRes = await fetch(url);
+  if (!imageRes.ok) throw new Error(`Image download returned ${imageRes.status}`);
+  const contentType = imageRes.headers.get('content-type') || 'application/octet-stream';
+  let filename = 'image';
+  try {
+    filename = decodeURIComponent(new URL(url).pathname.split('/').pop() || '') || filename;
+  } catch {
+    /* keep default */
+  }
+  const res = await fetch(
+    `${ctx.baseUrl}/assets/images/${encodeURIComponent(ctx.dataset)}?filename=${encodeURIComponent(filename)}`,
+    {
+      method: 'POST',
+      headers: { ...ctx.authHeaders, 'Content-Type': contentType },
+      body: Buffer.from(await imageRes.arrayBuffer())
+    }
+  );
+  if (!res.ok) throw new Error(await sanityErrorMessage(res));
+  const data = await res.json();
+  return data.document._id;
+}
+
+/**
+ * Upload the hero image and body images. Failed uploads are logged and left out: the hero field is
+ * skipped and body images fall back to a link.
+ * @returns {Promise<Record<string, string>>} image URL → asset _id
+ */
+async function uploadPostImages(ctx, post) {
+  const urls = extractImageUrls(post.content);
+  if (ctx.mapping.hero_image && post.featured_image && !urls.includes(post.featured_image)) {
+    urls.unshift(post.featured_image);
+  }
+  const assetIds = {};
+  for (const url of urls) {
+    try {
+      assetIds[url] = await uploadSanityImage(ctx, url);
+    } catch (err) {
+      console.warn(`Sanity image upload failed for ${url}:`, err.message);
+    }
+  }
+  return assetIds;
+}
+
+/** Document fields from a post, keyed by mapped field name. */
+function sanityDocumentFields(ctx, post, assetIds) {
+  const { mapping } = ctx;
+  const fields = {};
+  const set = (key, value) => {
+    if (mapping[key] && value !== undefined && value !== null) fields[mapping[key]] = value;
+  };
+  set('title', post.title || 'Untitled');
+  set('slug', { _type: 'slug', current: post.slug || slugify(post.title) });
+  set('body', markdownToPortableText(post.content, { imageAssetIds: assetIds }));
+  set('excerpt', post.excerpt || plainTextExcerpt(post.content) || null);
+  const heroId = post.featured_image ? assetIds[post.featured_image] : null;
+  if (heroId) set('hero_image', { _type: 'image', asset: { _type: 'reference', _ref: heroId } });
+  if (Array.isArray(post.tags) && post.tags.length > 0) set('tags', post.tags);
+  if (Array.isArray(post.categories) && post.categories.length > 0) set('categories', post.categories);
+  set('meta_description', post.meta_description || null);
+  set('canonical_url', post.canonical_url || null);
+  set('author', post.author || null);
+  return fields;
+}
+
+function documentUrl(ctx, id) {
+  if (ctx.studioUrl) return `${ctx.studioUrl}/intent/edit/id=${encodeURIComponent(id)};type=${encodeURIComponent(ctx.documentType)}`;
+  return `https://app.sanity.io/project/${encodeURIComponent(ctx.projectId)}`;
+}
+
+/**
+ * Write the post to <id> (publish) or drafts.<id> (draft). Publishing removes any pending draft so
+ * the Studio does not show stale edits on top of the new version.
+ */
+async function writeSanityDocument(ctx, id, post, opts, existing) {
+  const assetIds = await uploadPostImages(ctx, post);
+  const targetId = opts.draft ? `drafts.${id}` : id;
+  const document = {
+    ...existing,
+    ...sanityDocumentFields(ctx, post, assetIds),
+    _id: targetId,
+    _type: ctx.documentType
+  };
+  const mutations = [{ createOrReplace: document }];
+  if (!opts.draft) mutations.push({ delete: { id: `drafts.${id}` } });
+  await sanityMutate(ctx, mutations);
+  return { url: documentUrl(ctx, id), id };
+}
+
+/**
+ * Create a document for a post, published or as a draft.
+ * @param {object} credentials - { project_id, dataset, api_token, document_type?, field_mapping?, studio_url? }
+ * @param {object} post - { title, content (markdown), featured_image?, featured_image_alt?, tags?, categories?, excerpt?, slug?, meta_description?, canonical_url?, author? }
+ * @param {{ draft?: boolean }} [opts]
+ * @returns {Promise<{ url: string, id: string }>} id is the published document id (without drafts.)
+ */
+export async function publishToSanity(credentials, post, opts = {}) {
+  const ctx = sanityContext(credentials);
+  return writeSanityDocument(ctx, randomUUID(), post, opts);
 }
+
+/**
+ * Replace an existing document's mapped fields (other fields are kept).
+ * @param {object} credentials
+ * @param {string} documentId - external_id stored at publish time
+ * @param {object} post
+ * @param {{ draft?: boolean }} [opts]
+ * @returns {Promise<{ url: string, id: string }>}
+ * @throws {NotFoundError} when neither the document nor its draft exists in Sanity
+ */
+export async function updateSanityDocument(credentials, documentId, post, opts = {}) {
+  if (!documentId) throw new Error('Sanity document id is required to update');
+  const ctx = sanityContext(credentials);
+  const docs = await sanityGetDocuments(ctx, [documentId, `drafts.${documentId}`]);
+  const existing = docs.get(`drafts.${documentId}`) || docs.get(documentId);
+  if (!existing) throw new NotFoundError(`Sanity document ${documentId} no longer exists`, 'sanity_document');
+  const { _id, _rev, _createdAt, _updatedAt, ...fields } = existing;
+  return writeSanityDocument(ctx, documentId, post, opts, fields);
+}
+
+/**
+ * Unpublish a document (moves it back to drafts.<id>) or delete it and its draft.
+ * A missing document counts as success.
+ * @param {object} credentials
+ * @param {string} documentId
+ * @param {{ mode?: 'draft'|'delete' }} [opts]
+ * @returns {Promise<{ id: string, status: 'draft'|'deleted'|'gone' }>}
+ */
+export async function unpublishFromSanity(credentials, documentId, opts = {}) {
+  if (!documentId) throw new Error('Sanity document id is required to unpublish');
+  const ctx = sanityContext(credentials);
+  const draftId = `drafts.${documentId}`;
+  const docs = await sanityGetDocuments(ctx, [documentId, draftId]);
+
+  if (opts.mode === 'delete') {
+    if (docs.size === 0) return { id: documentId, status: 'gone' };
+    await sanityMutate(ctx, [{ delete: { id: documentId } }, { delete: { id: draftId } }]);
+    return { id: documentId, status: 'deleted' };
+  }
+
+  const published = docs.get(documentId);
+  if (!published) return { id: documentId, status: docs.has(draftId) ? 'draft' : 'gone' };
+  const { _rev, _createdAt, _updatedAt, ...fields } = published;
+  // createIfNotExists keeps unpublished edits if the draft already exists
+  await sanityMutate(ctx, [{ createIfNotExists: { ...fields, _id: draftId } }, { delete: { id: documentId } }]);
+  return { id: documentId, status: 'draft' };
+}
+
+/**
+ * Test a connection before it is saved: the token must be accepted and the dataset must exist.
+ * Sanity schemas live in the Studio, so mapped field names cannot be checked here.
+ * @param {object} credentials - { project_id, dataset, api_token, field_mapping? }
+ * @returns {Promise<void>}
+ * @throws {Error} with a user-facing message when the project, token or dataset is rejected
+ */
+export async function validateSanityCredentials(credentials) {
+  const { project_id, api_token } = credentials || {};
+  if (!project_id || !api_token) {
+    throw new Error('Sanity connection requires project_id and api_token');
+  }
+  const ctx = sanityContext(credentials);
+  const res = await fetch(`${ctx.baseUrl}/users/me`, { headers: ctx.authHeaders });
+  if (res.status === 401 || res.status === 403) {
+    throw new Error('Sanity rejected the API token. Create a token with Editor access under API → Tokens.');
+  }
+  if (res.status === 404) {
+    throw new Error(`Sanity project "${project_id}" not found`);
+  }
+  if (!res.ok) {
+    throw new Error(`Sanity returned ${res.status} when checking the connection`);
+  }
+
+  const datasetsRes = await fetch(`${ctx.baseUrl}/datasets`, { headers: ctx.authHeaders });
+  if (!datasetsRes.ok) throw new Error(await sanityErrorMessage(datasetsRes));
+  const datasets = await datasetsRes.json();
+  if (Array.isArray(datasets) && !datasets.some((d) => d.name === ctx.dataset)) {
+    throw new Error(`Sanity dataset "${ctx.dataset}" not found in project "${project_id}"`);
+  }
+}
+
+/** Publisher adapter (see lib/publishing-platforms.js). */
+export const sanityPublisher = {
+  key: 'sanity',
+  capabilities: { draft: true, update: true, unpublish: true },
+  validateCredentials: validateSanityCredentials,
+  publish: (credentials, post, opts = {}) => publishToSanity(credentials, post, { draft: !!opts.draft }),
+  update: (credentials, externalId, post, opts = {}) =>
+    updateSanityDocument(credentials, externalId, post, { draft: !!opts.draft }),
+  unpublish: (credentials, externalId, opts = {}) =>
+    unpublishFromSanity(credentials, externalId, { mode: opts.mode === 'delete' ? 'delete' : 'draft' })
+};
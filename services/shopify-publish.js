@@ -0,0 +1,192 @@
+/**
+ * Publish a post to Shopify as a blog article (Admin REST API).
+ * @see https://shopify.dev/docs/api/admin-rest/latest/resources/article
+ *
+ * Connection credentials: shop (*.myshopify.com) and access_token from OAuth (offline tokens do not expire),
+ * plus optional settings blog_id (default: the store's first blog) and author.
+ *
+ * external_id is "<blog_id>:<article_id>" because article endpoints are nested under the blog.
+ * Drafts are articles with published: false. Unpublish sets published: false (draft) or deletes the article.
+ */
+import { NotFoundError } from '../lib/errors.js';
+import { markdownToHtml } from '../lib/markdown-to-html.js';
+import { plainTextExcerpt } from '../lib/markdown-to-structured-content.js';
+import { slugify } from './git-publish.js';
+
+export const SHOPIFY_API_VERSION = '2024-10';
+
+function shopifyContext(credentials) {
+  const { shop, access_token } = credentials || {};
+  if (!shop || !access_token) {
+    throw new Error('Shopify connection missing shop or access_token. Reconnect Shopify in Settings.');
+  }
+  return {
+    shop,
+    baseUrl: `https://${shop}/admin/api/${SHOPIFY_API_VERSION}`,
+    headers: { 'X-Shopify-Access-Token': access_token, 'Content-Type': 'application/json', Accept: 'application/json' }
+  };
+}
+
+async function shopifyErrorMessage(res) {
+  if (res.status === 401 || res.status === 403) {
+    return 'Shopify rejected the access token. Reconnect Shopify in Settings.';
+  }
+  let message = `Shopify returned ${res.status}`;
+  try {
+    const { errors } = JSON.parse(await res.text());
+    if (typeof errors === 'string') message = errors;
+    else if (errors && typeof errors === 'object') {
+      message = Object.entries(errors)
+        .map(([field, msgs]) => `${field} ${[].concat(msgs).join(', ')}`)
+        .join('; ');
+    }
+  } catch {
+    /* keep status message */
+  }
+  return message;
+}
+
+function shopifyGet(ctx, path) {
+  return fetch(`${ctx.baseUrl}${path}`, { headers: ctx.headers });
+}
+
+/** The configured blog, or the store's first blog. */
+async function resolveBlog(ctx, blogId) {
+  if (blogId) {
+    const res = await shopifyGet(ctx, `/blogs/${encodeURIComponent(blogId)}.json`);
+    if (res.status === 404) throw new Error(`Shopify blog ${blogId} not found. Update blog_id in the Shopify publishing settings.`);
+    if (!res.ok) throw new Error(await shopifyErrorMessage(res));
+    return (await res.json()).blog;
+  }
+  const res = await shopifyGet(ctx, '/blogs.json');
+  if (!res.ok) throw new Error(await shopifyErrorMessage(res));
+  const { blogs = [] } = await res.json();
+  if (blogs.length === 0) throw new Error('This Shopify store has no blog. Create one under Online Store → Blog posts.');
+  return blogs[0];
+}
+
+function escapeHtml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Article fields shared by create and update. The connection's author setting wins over the post author.
+ * The SEO description (global.description_tag metafield) is only sent on create: nested metafield writes on
+ * update fail once the metafield exists, so later edits keep the first description.
+ */
+function articleFields(credentials, post, draft, { create = false } = {}) {
+  const excerpt = post.excerpt || plainTextExcerpt(post.content);
+  const author = credentials.author || post.author;
+  return {
+    title: post.title || 'Untitled',
+    handle: post.slug || slugify(post.title),
+    body_html: markdownToHtml(post.content || ''),
+    ...(excerpt && { summary_html: `<p>${escapeHtml(excerpt)}</p>` }),
+    tags: Array.isArray(post.tags) ? post.tags.join(', ') : '',
+    ...(author && { author }),
+    ...(post.featured_image && { image: { src: post.featured_image, alt: post.featured_image_alt || post.title || '' } }),
+    ...(create && post.meta_description && {
+      metafields: [{ namespace: 'global', key: 'description_tag', value: post.meta_description, type: 'single_line_text_field' }]
+    }),
+    published: !draft
+  };
+}
+
+function parseArticleId(externalId) {
+  const [blogId, articleId] = String(externalId || '').split(':');
+  if (!blogId || !articleId) throw new Error(`Invalid Shopify article id "${externalId}"`);
+  return { blogId, articleId };
+}
+
+const articleUrl = (ctx, blog, article) => `https://${ctx.shop}/blogs/${blog.handle}/${article.handle}`;
+
+/**
+ * Create a blog article, published or hidden (draft).
+ * @param {object} credentials - { shop, access_token, blog_id?, author? }
+ * @param {object} post - { title, content (markdown), featured_image?, featured_image_alt?, tags?, excerpt?, slug?, meta_description?, author? }
+ * @param {{ draft?: boolean }} [opts]
+ * @returns {Promise<{ url: string, id: string }>}
+ */
+export async function publishToShopify(credentials, post, opts = {}) {
+  const ctx = shopifyContext(credentials);
+  const blog = await resolveBlog(ctx, credentials.blog_id);
+  const res = await fetch(`${ctx.baseUrl}/blogs/${blog.id}/articles.json`, {
+    method: 'POST',
+    headers: ctx.headers,
+    body: JSON.stringify({ article: articleFields(credentials, post, !!opts.draft, { create: true }) })
+  });
+  if (!res.ok) throw new Error(await shopifyErrorMessage(res));
+  const { article } = await res.json();
+  return { url: articleUrl(ctx, blog, article), id: `${blog.id}:${article.id}` };
+}
+
+/**
+ * Update an article in place.
+ * @param {object} credentials
+ * @param {string} externalId - "<blog_id>:<article_id>"
+ * @param {object} post
+ * @param {{ draft?: boolean }} [opts]
+ * @returns {Promise<{ url: string, id: string }>}
+ * @throws {NotFoundError} when the article was deleted in Shopify
+ */
+export async function updateShopifyArticle(credentials, externalId, post, opts = {}) {
+  const ctx = shopifyContext(credentials);
+  const { blogId, articleId } = parseArticleId(externalId);
+  const res = await fetch(`${ctx.baseUrl}/blogs/${encodeURIComponent(blogId)}/articles/${encodeURIComponent(articleId)}.json`, {
+    method: 'PUT',
+    headers: ctx.headers,
+    body: JSON.stringify({ article: { id: Number(articleId) || articleId, ...articleFields(credentials, post, !!opts.draft) } })
+  });
+  if (res.status === 404) throw new NotFoundError(`Shopify article ${articleId} no longer exists`, 'shopify_article');
+  if (!res.ok) throw new Error(await shopifyErrorMessage(res));
+  const { article } = await res.json();
+  const blog = await resolveBlog(ctx, blogId);
+  return { url: articleUrl(ctx, blog, article), id: externalId };
+}
+
+/**
+ * Hide an article (draft) or delete it. A missing article counts as success.
+ * @param {object} credentials
+ * @param {string} externalId - "<blog_id>:<article_id>"
+ * @param {{ mode?: 'draft'|'delete' }} [opts]
+ * @returns {Promise<{ id: string, status: 'draft'|'deleted'|'gone' }>}
+ */
+export async function unpublishFromShopify(credentials, externalId, opts = {}) {
+  const ctx = shopifyContext(credentials);
+  const { blogId, articleId } = parseArticleId(externalId);
+  const url = `${ctx.baseUrl}/blogs/${encodeURIComponent(blogId)}/articles/${encodeURIComponent(articleId)}.json`;
+  const res = opts.mode === 'delete'
+    ? await fetch(url, { method: 'DELETE', headers: ctx.headers })
+    : await fetch(url, {
+      method: 'PUT',
+      headers: ctx.headers,
+      body: JSON.stringify({ article: { id: Number(articleId) || articleId, published: false } })
+    });
+  if (res.status === 404) return { id: externalId, status: 'gone' };
+  if (!res.ok) throw new Error(await shopifyErrorMessage(res));
+  return { id: externalId, status: opts.mode === 'delete' ? 'deleted' : 'draft' };
+}
+
+/**
+ * Test a connection (GET /shop.json).
+ * @param {object} credentials - { shop, access_token }
+ * @returns {Promise<void>}
+ */
+export async function validateShopifyCredentials(credentials) {
+  const ctx = shopifyContext(credentials);
+  const res = await shopifyGet(ctx, '/shop.json');
+  if (!res.ok) throw new Error(await shopifyErrorMessage(res));
+}
+
+/** Publisher adapter (see lib/publishing-platforms.js). */
+export const shopifyPublisher = {
+  key: 'shopify',
+  capabilities: { draft: true, update: true, unpublish: true },
+  settings: ['blog_id', 'author'],
+  validateCredentials: validateShopifyCredentials,
+  publish: (credentials, post, opts = {}) => publishToShopify(credentials, post, { draft: !!opts.draft }),
+  update: (credentials, externalId, post, opts = {}) =>
+    updateShopifyArticle(credentials, externalId, post, { draft: !!opts.draft }),
+  unpublish: (credentials, externalId, opts = {}) =>
+    unpublishFromShopify(credentials, externalId, { mode: opts.mode === 'delete' ? 'delete' : 'draft' })
+};
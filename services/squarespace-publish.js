@@ -0,0 +1,43 @@
+/**
+ * Squarespace publishing.
+ *
+ * Squarespace's public APIs (Commerce, Inventory, Orders, Profiles, Webhooks) have no endpoint for blog
+ * posts, so a connected Squarespace site cannot receive posts. The adapter fails the publish with an
+ * explanation instead of leaving the platform in `publishing`.
+ * @see https://developers.squarespace.com/commerce-apis/overview
+ */
+
+/** Shown when publishing to Squarespace. */
+export const SQUARESPACE_PUBLISH_UNSUPPORTED_MESSAGE =
+  'Squarespace does not offer an API for blog posts. Export the post (copy or download) and paste it into the Squarespace editor.';
+
+/**
+ * Always throws: Squarespace has no blog post API.
+ * @returns {Promise<never>}
+ */
+export async function publishToSquarespace() {
+  throw new Error(SQUARESPACE_PUBLISH_UNSUPPORTED_MESSAGE);
+}
+
+/**
+ * Check that the OAuth connection holds a token. There is no blog endpoint to test it against.
+ * @param {object} credentials - { access_token }
+ * @returns {Promise<void>}
+ */
+export async function validateSquarespaceCredentials(credentials) {
+  if (!credentials?.access_token) {
+    throw new Error('Squarespace connection missing access_token. Reconnect Squarespace in Settings.');
+  }
+}
+
+/** Publisher adapter (see lib/publishing-platforms.js). */
+export const squarespacePublisher = {
+  key: 'squarespace',
+  capabilities: { draft: false, update: false, unpublish: false },
+  unsupported: {
+    update: SQUARESPACE_PUBLISH_UNSUPPORTED_MESSAGE,
+    unpublish: SQUARESPACE_PUBLISH_UNSUPPORTED_MESSAGE
+  },
+  validateCredentials: validateSquarespaceCredentials,
+  publish: publishToSquarespace
+};
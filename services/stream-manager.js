@@ -8,6 +8,12 @@ import { EventEmitter } from 'events';
 import { v4 as uuidv4 } from 'uuid';
 import { getConnection } from './job-queue.js';
 import { writeSSE, sendKeepalive, DEFAULT_KEEPALIVE_MS } from '../utils/streaming-helpers.js';
+import {
+  appendStreamEvent,
+  connectionStreamKey,
+  jobStreamKey,
+  readStreamEventsAfter
+} from '../utils/stream-event-log.js';
 
 import {
   getJobEventsChannel as getJobEventsChannelUtil,
@@ -16,6 +22,8 @@ import {
 } from '../utils/job-stream-channels.js';
 
 const STREAM_CHANNEL_PREFIX = 'stream:';
+/** Token events (content-chunk, topic-chunk, ...): too frequent to log, so they carry no id and are not replayed. */
+const isChunkEvent = (event) => event.endsWith('-chunk');
 const STREAM_CHANNEL_PATTERN = 'stream:*';
 /** Redis channel for job progress events: jobs:{jobId}:events (Phase 5) */
 export const JOB_EVENTS_CHANNEL_PREFIX = 'jobs:';
@@ -23,8 +31,9 @@ const JOB_EVENTS_CHANNEL_SUFFIX = ':events';
 const JOB_NARRATIVE_SUFFIX = ':narrative';
 
 /**
- * Single SSE connection record.
- * @typedef {{ res: import('express').Response, userId?: string, sessionId?: string, createdAt: number, keepaliveTimer?: ReturnType<typeof setInterval> }} ConnectionRecord
+ * Single SSE connection record. lastEventId: highest logged event id written (later duplicates are dropped);
+ * replayBuffer: live events held back while missed events are replayed, so the client gets them in order.
+ * @typedef {{ res: import('express').Response, userId?: string, sessionId?: string, createdAt: number, keepaliveTimer?: ReturnType<typeof setInterval>, lastEventId?: number, replayBuffer?: object[] | null }} ConnectionRecord
  */
 
 export { getJobEventsChannelUtil as getJobEventsChannel };
@@ -48,11 +57,13 @@ class StreamManager extends EventEmitter {
     /** @type {Promise<void> | null} Resolves when narrative pattern is subscribed. */
     this._narrativePatternSubscribePromise = null;
     this._keepaliveMs = DEFAULT_KEEPALIVE_MS;
-    /** @type {{ connectionIds: string[], event: string, data: object }[]} Queue so job events are sent one per tick (avoids frontend bursts). */
+    /** @type {{ connectionIds: string[], event: string, data: object, id?: number }[]} Queue so job events are sent one per tick (avoids frontend bursts). */
     this._jobEventQueue = [];
     this._jobEventDrainScheduled = false;
     /** @type {Map<string, () => void | Promise<void>>} Run when a connection is first established (e.g. start topic generation so events are not lost). */
     this._pendingOnConnect = new Map();
+    /** @type {Map<string, Promise<void>>} connectionId -> last delivery still waiting on a log write (keeps publish order). */
+    this._pendingDeliveries = new Map();
   }
 
   /**
@@ -60,9 +71,10 @@ class StreamManager extends EventEmitter {
    * @param {string[]} connectionIds
    * @param {string} event
    * @param {object} data
+   * @param {number} [id] - Job stream event id
    */
-  _enqueueJobEventDelivery(connectionIds, event, data) {
-    this._jobEventQueue.push({ connectionIds, event, data });
+  _enqueueJobEventDelivery(connectionIds, event, data, id) {
+    this._jobEventQueue.push({ connectionIds, event, data, id });
     if (!this._jobEventDrainScheduled) {
       this._jobEventDrainScheduled = true;
       setImmediate(() => this._drainJobEventQueue());
@@ -74,7 +86,7 @@ class StreamManager extends EventEmitter {
     const item = this._jobEventQueue.shift();
     if (!item) return;
     for (const connectionId of item.connectionIds) {
-      this.sendToConnection(connectionId, item.event, item.data);
+      this.sendToConnection(connectionId, item.event, item.data, item.id);
     }
     if (this._jobEventQueue.length > 0) {
       this._jobEventDrainScheduled = true;
@@ -243,6 +255,7 @@ class StreamManager extends EventEmitter {
 
   /**
    * Publish a job event to Redis (for worker or API). Subscribers to jobs:{jobId}:events will receive it.
+   * The event is logged with the job stream's next id for replay on reconnect.
    * @param {string} jobId
    * @param {string} event - e.g. 'progress-update', 'step-change', 'complete', 'failed'
    * @param {object} data
@@ -250,42 +263,123 @@ class StreamManager extends EventEmitter {
   publishJobEvent(jobId, event, data) {
     const conn = getConnection();
     if (!conn) return;
-    const channel = getJobEventsChannelUtil(jobId);
-    const payload = JSON.stringify({ event, data });
-    conn.publish(channel, payload).catch((err) => {
+    appendStreamEvent(conn, jobStreamKey(jobId), event, data, getJobEventsChannelUtil(jobId)).catch((err) => {
       console.error('[stream-manager] Redis publishJobEvent error:', err?.message || err);
     });
   }
 
   /**
    * Send an SSE event to a single connection (in-process).
+   * Logged events (with id) already written to the connection are skipped; during a replay they are held back.
    * @param {string} connectionId
    * @param {string} event - Event type
    * @param {string|object} data - Payload
+   * @param {number} [id] - Stream event id
    * @returns {boolean} true if sent, false if connection not found or ended
    */
-  sendToConnection(connectionId, event, data) {
+  sendToConnection(connectionId, event, data, id) {
     const record = this.connections.get(connectionId);
     if (!record || record.res.writableEnded) return false;
-    writeSSE(record.res, event, data);
+    if (id != null && record.replayBuffer) {
+      record.replayBuffer.push({ id, event, data });
+      return true;
+    }
+    this._writeEvent(record, event, data, id);
     return true;
   }
 
+  _writeEvent(record, event, data, id) {
+    if (id != null) {
+      if (record.lastEventId != null && id <= record.lastEventId) return;
+      record.lastEventId = id;
+    }
+    writeSSE(record.res, event, data, id);
+  }
+
   /**
-   * Publish an event to a connection via Redis. Delivered to the process that owns the connection;
-   * if this process owns it, we deliver directly; otherwise Redis subscriber will deliver.
+   * Publish an event to a connection. With Redis, the event is first logged under the connection's next id (for
+   * replay on reconnect); it is then delivered directly if this process owns the connection, otherwise through Redis.
+   * Chunk events skip the log and go out at once, unless an earlier event of the connection is still being logged.
    * @param {string} connectionId
    * @param {string} event - Event type
    * @param {string|object} data - Payload (will be JSON.stringify'd if object)
    */
   publish(connectionId, event, data) {
-    if (this.sendToConnection(connectionId, event, data)) return;
     const conn = getConnection();
-    if (!conn) return;
-    const payload = JSON.stringify({ event, data: typeof data === 'string' ? data : data });
-    conn.publish(STREAM_CHANNEL_PREFIX + connectionId, payload).catch((err) => {
-      console.error('[stream-manager] Redis publish error:', err?.message || err);
+    if (!conn) {
+      this.sendToConnection(connectionId, event, data);
+      return;
+    }
+    const local = this.connections.has(connectionId);
+    const channel = STREAM_CHANNEL_PREFIX + connectionId;
+    if (isChunkEvent(event)) {
+      this._deliverInOrder(connectionId, () => {
+        if (local) {
+          this.sendToConnection(connectionId, event, data);
+          return undefined;
+        }
+        return conn.publish(channel, JSON.stringify({ event, data })).catch((err) => {
+          console.error('[stream-manager] Redis publish error:', err?.message || err);
+        });
+      });
+      return;
+    }
+    this._deliverInOrder(connectionId, () =>
+      appendStreamEvent(conn, connectionStreamKey(connectionId), event, data, local ? null : channel)
+        .then(({ id }) => {
+          if (local) this.sendToConnection(connectionId, event, data, id);
+        })
+        .catch((err) => {
+          console.error('[stream-manager] Redis publish error:', err?.message || err);
+          this.sendToConnection(connectionId, event, data);
+        }));
+  }
+
+  /**
+   * Run a connection's deliveries in publish order: a delivery waits for the ones before it that are still pending.
+   * @param {string} connectionId
+   * @param {() => Promise<void>|undefined} deliver - must not reject
+   */
+  _deliverInOrder(connectionId, deliver) {
+    const previous = this._pendingDeliveries.get(connectionId);
+    const result = previous ? previous.then(deliver) : deliver();
+    if (!result) return;
+    const pending = result.finally(() => {
+      if (this._pendingDeliveries.get(connectionId) === pending) this._pendingDeliveries.delete(connectionId);
     });
+    this._pendingDeliveries.set(connectionId, pending);
+  }
+
+  /**
+   * Write the logged events a reconnecting client missed (id > lastEventId), then the live events that arrived
+   * meanwhile. Sends 'replay-gap' { from, to } first when some of them are no longer in the log.
+   * @param {string} connectionId
+   * @param {string} streamKey - jobStreamKey(jobId) or connectionStreamKey(connectionId)
+   * @param {number|null} lastEventId - from the Last-Event-ID header; null: nothing to replay
+   * @returns {Promise<Array<{ id: number, event: string, data: object }>>} replayed events
+   */
+  async replayEvents(connectionId, streamKey, lastEventId) {
+    const record = this.connections.get(connectionId);
+    const conn = getConnection();
+    if (!record || !conn || lastEventId == null) return [];
+    record.replayBuffer = [];
+    record.lastEventId = Math.max(record.lastEventId ?? 0, lastEventId);
+    let events = [];
+    try {
+      const log = await readStreamEventsAfter(conn, streamKey, lastEventId);
+      events = log.events;
+      if (log.gap && !record.res.writableEnded) writeSSE(record.res, 'replay-gap', log.gap);
+      for (const item of events) this._writeEvent(record, item.event, item.data, item.id);
+    } catch (err) {
+      console.error('[stream-manager] replay error:', err?.message || err);
+    } finally {
+      const buffered = record.replayBuffer.sort((a, b) => a.id - b.id);
+      record.replayBuffer = null;
+      if (!record.res.writableEnded) {
+        for (const item of buffered) this._writeEvent(record, item.event, item.data, item.id);
+      }
+    }
+    return events;
   }
 
   /**
@@ -305,8 +399,8 @@ class StreamManager extends EventEmitter {
         if (channel.startsWith(STREAM_CHANNEL_PREFIX)) {
           const connectionId = channel.slice(STREAM_CHANNEL_PREFIX.length);
           try {
-            const { event, data } = JSON.parse(message);
-            this.sendToConnection(connectionId, event, data);
+            const { event, data, id } = JSON.parse(message);
+            this.sendToConnection(connectionId, event, data, id);
           } catch (e) {
             console.error('[stream-manager] Invalid Redis stream message:', e?.message || e);
           }
@@ -337,8 +431,8 @@ class StreamManager extends EventEmitter {
           const set = this.jobSubscriptions.get(jobId);
           if (!set || set.size === 0) return;
           try {
-            const { event, data } = JSON.parse(message);
-            this._enqueueJobEventDelivery(Array.from(set), event, data);
+            const { event, data, id } = JSON.parse(message);
+            this._enqueueJobEventDelivery(Array.from(set), event, data, id);
           } catch (e) {
             console.error('[stream-manager] Invalid Redis job event message:', e?.message || e);
           }
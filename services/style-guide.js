@@ -0,0 +1,138 @@
+/**
+ * Organization style guide (the 'style_guide' manual input): loading it, and linting / auto-fixing posts against
+ * it. The rules engine itself is in lib/style-guide.js. The rules are written by the team, so they apply as soon
+ * as they are saved (unlike inferred manual inputs, they do not wait for validation).
+ */
+import db from './database.js';
+import { getOwnedPost, updatePostWithRevision } from './post-revisions.js';
+import { applyStyleFixes, lintContent, normalizeStyleGuide } from '../lib/style-guide.js';
+
+function parseStoredStyleGuide(row) {
+  if (!row) return null;
+  try {
+    const data = typeof row.input_data === 'string' ? JSON.parse(row.input_data) : row.input_data;
+    const styleGuide = normalizeStyleGuide(data);
+    return styleGuide.rules.length > 0 ? styleGuide : null;
+  } catch (error) {
+    console.warn('Stored style guide ignored:', error?.details || error?.message || error);
+    return null;
+  }
+}
+
+/**
+ * Style guide of an organization, or null when it has none.
+ * @returns {Promise<{ rules: object[] }|null>}
+ */
+export async function loadStyleGuide(organizationId) {
+  if (!organizationId) return null;
+  const { rows } = await db.query(
+    "SELECT input_data FROM user_manual_inputs WHERE organization_id = $1 AND input_type = 'style_guide'",
+    [organizationId]
+  );
+  return parseStoredStyleGuide(rows[0]);
+}
+
+/**
+ * Style guide of a post's organization, or null. Posts created outside generation have no organization; they use
+ * the author's (first active membership).
+ */
+async function loadStyleGuideForPost(post) {
+  if (!post?.organization_id && !post?.user_id) return null;
+  const { rows } = await db.query(
+    `SELECT umi.input_data
+     FROM user_manual_inputs umi
+     WHERE umi.input_type = 'style_guide'
+       AND umi.organization_id = COALESCE($1, (
+         SELECT organization_id FROM organization_members
+         WHERE user_id = $2 AND status = 'active'
+         ORDER BY created_at ASC
+         LIMIT 1
+       ))`,
+    [post.organization_id ?? null, post.user_id ?? null]
+  );
+  return parseStoredStyleGuide(rows[0]);
+}
+
+/**
+ * Lint title and content of a draft. The title is linted as the H1 heading; offsets refer to the field.
+ * @returns {{ violations: object[], fixable: number }} violations carry a `field` ('title' | 'content')
+ */
+export function lintDraft({ title, content }, styleGuide) {
+  const titleViolations = typeof title === 'string' && title
+    ? lintContent(`# ${title}`, styleGuide).map((v) => ({ ...v, field: 'title', start: v.start - 2, end: v.end - 2, column: v.column - 2 }))
+    : [];
+  const violations = [...titleViolations, ...lintContent(content, styleGuide).map((v) => ({ ...v, field: 'content' }))];
+  return { violations, fixable: violations.filter((v) => v.fix !== null).length };
+}
+
+/**
+ * Apply the automatic fixes to title and content of a draft.
+ * @returns {{ title: string|null|undefined, content: string|null|undefined, fixed: object[], remaining: object[] }}
+ */
+export function fixDraft({ title, content }, styleGuide) {
+  const titleResult = typeof title === 'string' && title ? applyStyleFixes(`# ${title}`, styleGuide) : null;
+  const contentResult = typeof content === 'string' && content ? applyStyleFixes(content, styleGuide) : null;
+  const fixedTitle = titleResult ? titleResult.content.slice(2) : title;
+  const fixedContent = contentResult ? contentResult.content : content;
+  return {
+    title: fixedTitle,
+    content: fixedContent,
+    fixed: [
+      ...(titleResult?.fixed || []).map((v) => ({ ...v, field: 'title', start: v.start - 2, end: v.end - 2, column: v.column - 2 })),
+      ...(contentResult?.fixed || []).map((v) => ({ ...v, field: 'content' }))
+    ],
+    remaining: lintDraft({ title: fixedTitle, content: fixedContent }, styleGuide).violations
+  };
+}
+
+/**
+ * Lint a post against its organization's style guide.
+ * @param {{ userId?: string|null, sessionId?: string|null }} owner
+ * @returns {Promise<{ style_guide: boolean, violations: object[], fixable: number }>}
+ * @throws {NotFoundError}
+ */
+export async function lintPost(postId, owner) {
+  const post = await getOwnedPost(postId, owner);
+  const styleGuide = await loadStyleGuideForPost(post);
+  return { style_guide: !!styleGuide, ...lintDraft(post, styleGuide) };
+}
+
+/**
+ * Lint content just saved by the author (manual edits). Never throws: a failed lint must not fail the save.
+ * @returns {Promise<{ violations: object[], fixable: number }|null>} null when the organization has no style guide
+ */
+export async function lintSavedPost(post) {
+  try {
+    const styleGuide = await loadStyleGuideForPost(post);
+    return styleGuide ? lintDraft(post, styleGuide) : null;
+  } catch (error) {
+    console.warn('Style guide lint skipped:', error?.message || error);
+    return null;
+  }
+}
+
+/**
+ * Apply the automatic style-guide fixes to a post as a 'style_fix' revision.
+ * @param {{ userId?: string|null, sessionId?: string|null }} owner
+ * @returns {Promise<{ post: object, revision: number|null, fixed: object[], remaining: object[] }>}
+ * @throws {NotFoundError}
+ */
+export async function fixPost(postId, owner) {
+  const current = await getOwnedPost(postId, owner);
+  const styleGuide = await loadStyleGuideForPost(current);
+  let result = fixDraft(current, styleGuide);
+  if (result.fixed.length === 0) {
+    return { post: current, revision: null, fixed: [], remaining: result.remaining };
+  }
+
+  // Fix again on the locked row in case it changed in between
+  const { post, revision } = await updatePostWithRevision(
+    postId,
+    (current) => {
+      result = fixDraft(current, styleGuide);
+      return result.fixed.length > 0 ? { title: result.title, content: result.content } : {};
+    },
+    { owner, source: 'style_fix' }
+  );
+  return { post, revision, fixed: result.fixed, remaining: result.remaining };
+}
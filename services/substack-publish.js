@@ -22,3 +22,23 @@ export async function publishToSubstack(credentials, post) {
     'Substack post creation is not yet supported via the API key. The Partner API does not expose a create-post endpoint. Publish from your Substack dashboard or use a supported integration when available.'
   );
 }
+
+/**
+ * Check the connection has an API key. The Partner API has no documented endpoint to verify
+ * a key, so this only checks presence.
+ * @param {object} credentials - { api_key, publication_url? }
+ * @returns {Promise<void>}
+ */
+export async function validateSubstackCredentials(credentials) {
+  if (!credentials?.api_key || !String(credentials.api_key).trim()) {
+    throw new Error('Substack connection requires api_key (from https://auth.substackapi.dev/)');
+  }
+}
+
+/** Publisher adapter (see lib/publishing-platforms.js). */
+export const substackPublisher = {
+  key: 'substack',
+  capabilities: { draft: false, update: false, unpublish: false },
+  validateCredentials: validateSubstackCredentials,
+  publish: (credentials, post) => publishToSubstack(credentials, post)
+};
@@ -0,0 +1,173 @@
+/**
+ * Topic overlap for an organization: its blog posts, scraped website pages and planned content calendar ideas,
+ * compared with lib/topic-overlap.js. Lists cannibalization clusters (GET /api/v1/organizations/:id/cannibalization)
+ * and checks a topic before it is generated or scheduled (content calendar, enhanced blog generation).
+ */
+import db from './database.js';
+import { publishedUrl } from './internal-links.js';
+import { findClusters, findConflicts } from '../lib/topic-overlap.js';
+
+const MAX_ITEMS_PER_SOURCE = 500;
+/** Page types that carry a topic of their own (not home, about, contact, legal ...). */
+const TOPIC_PAGE_TYPES = ['blog_post', 'landing_page', 'service_page', 'product_page'];
+
+const urlKey = (url) => url?.toLowerCase().replace(/^https?:\/\/(?:www\.)?/, '').replace(/[?#].*$/, '').replace(/\/+$/, '') || null;
+
+function postKeywords(post) {
+  const keywords = post.topic_data?.seoKeywords ?? post.topic_data?.keywords;
+  return Array.isArray(keywords) ? keywords.filter((k) => typeof k === 'string' && k.trim()) : [];
+}
+
+/**
+ * Content items of an organization, in the shape lib/topic-overlap.js compares.
+ * A scraped page with the URL of a published post is that post; a calendar day already turned into a post is that post.
+ * @param {string} organizationId
+ * @param {{ excludeAudienceId?: string, excludePostId?: string }} [options]
+ * @returns {Promise<object[]>}
+ */
+export async function loadTopicItems(organizationId, { excludeAudienceId = null, excludePostId = null } = {}) {
+  const [posts, pages, audiences] = await Promise.all([
+    db.query(
+      `SELECT id, title, meta_description, topic_data, status, publication_status, canonical_url,
+              platform_publications, word_count, created_at
+       FROM blog_posts
+       WHERE organization_id = $1 AND COALESCE(status, 'draft') NOT IN ('deleted', 'archived')
+       ORDER BY created_at DESC
+       LIMIT ${MAX_ITEMS_PER_SOURCE}`,
+      [organizationId]
+    ),
+    db.query(
+      `SELECT id, url, title, meta_description, word_count, scraped_at
+       FROM website_pages
+       WHERE organization_id = $1 AND url IS NOT NULL AND page_type = ANY($2)
+       ORDER BY scraped_at DESC
+       LIMIT ${MAX_ITEMS_PER_SOURCE}`,
+      [organizationId, TOPIC_PAGE_TYPES]
+    ),
+    db.query(
+      `SELECT a.id, a.content_ideas,
+              COALESCE((SELECT array_agg(ccp.day_number) FROM content_calendar_posts ccp
+                        WHERE ccp.audience_id = a.id AND ccp.blog_post_id IS NOT NULL), '{}') AS posted_days
+       FROM audiences a
+       JOIN organization_intelligence oi ON oi.id = a.organization_intelligence_id
+       WHERE oi.organization_id = $1 AND a.content_ideas IS NOT NULL`,
+      [organizationId]
+    )
+  ]);
+
+  const items = [];
+  const postUrls = new Set();
+  for (const post of posts.rows) {
+    if (excludePostId && String(post.id) === String(excludePostId)) continue;
+    const published = post.publication_status === 'published';
+    const url = published ? publishedUrl(post) : null;
+    if (url) postUrls.add(urlKey(url));
+    const keywords = postKeywords(post);
+    items.push({
+      type: 'blog_post',
+      id: post.id,
+      title: post.title || null,
+      description: post.meta_description || null,
+      keywords,
+      primary_keyword: keywords[0] || null,
+      url,
+      status: published ? 'published' : 'draft',
+      word_count: post.word_count || 0,
+      created_at: post.created_at
+    });
+  }
+
+  for (const page of pages.rows) {
+    if (postUrls.has(urlKey(page.url))) continue;
+    items.push({
+      type: 'website_page',
+      id: page.id,
+      title: page.title || null,
+      description: page.meta_description || null,
+      keywords: [],
+      primary_keyword: null,
+      url: page.url,
+      status: 'published',
+      word_count: page.word_count || 0,
+      created_at: page.scraped_at
+    });
+  }
+
+  for (const audience of audiences.rows) {
+    if (excludeAudienceId && String(audience.id) === String(excludeAudienceId)) continue;
+    const ideas = typeof audience.content_ideas === 'string' ? JSON.parse(audience.content_ideas) : audience.content_ideas;
+    if (!Array.isArray(ideas)) continue;
+    const postedDays = new Set((audience.posted_days || []).map(Number));
+    for (const idea of ideas) {
+      if (!idea?.title || postedDays.has(Number(idea.dayNumber))) continue;
+      const keywords = Array.isArray(idea.keywords) ? idea.keywords.filter((k) => typeof k === 'string' && k.trim()) : [];
+      items.push({
+        type: 'calendar_item',
+        id: `${audience.id}:${idea.dayNumber}`,
+        title: idea.title,
+        description: null,
+        keywords,
+        primary_keyword: keywords[0] || null,
+        url: null,
+        status: 'planned',
+        word_count: 0,
+        created_at: null,
+        audience_id: audience.id,
+        day_number: idea.dayNumber ?? null
+      });
+    }
+  }
+  return items;
+}
+
+/**
+ * Cannibalization clusters of an organization with suggested merge / redirect / differentiate actions.
+ * @returns {Promise<{ clusters: object[], items_compared: number }>}
+ */
+export async function listCannibalizationClusters(organizationId) {
+  const items = await loadTopicItems(organizationId);
+  return { clusters: findClusters(items), items_compared: items.length };
+}
+
+/**
+ * Existing content a planned topic would duplicate or compete with.
+ * @param {string} organizationId
+ * @param {{ title: string, keywords?: string[], description?: string }} topic - keywords[0] is the primary keyword
+ * @param {{ excludeAudienceId?: string, excludePostId?: string, items?: object[] }} [options] - items skips loading
+ * @returns {Promise<Array<{ item: object, similarity: number, reasons: string[] }>>}
+ */
+export async function checkTopicOverlap(organizationId, topic, options = {}) {
+  const items = options.items || (await loadTopicItems(organizationId, options));
+  return findConflicts(items, topic);
+}
+
+/**
+ * Mark generated calendar ideas that overlap existing content (or each other) with `overlaps`, so they can be
+ * reviewed before they are scheduled. Ideas without overlaps are returned unchanged.
+ * @param {string} organizationId
+ * @param {string} audienceId - the calendar being (re)generated; its previous ideas are replaced, so not compared
+ * @param {object[]} ideas
+ */
+export async function annotateCalendarIdeas(organizationId, audienceId, ideas) {
+  const existing = await loadTopicItems(organizationId, { excludeAudienceId: audienceId });
+  const planned = [];
+  return ideas.map((idea) => {
+    const keywords = Array.isArray(idea?.keywords) ? idea.keywords : [];
+    const conflicts = idea?.title ? findConflicts([...existing, ...planned], { title: idea.title, keywords }) : [];
+    if (idea?.title) {
+      planned.push({ type: 'calendar_item', id: `${audienceId}:${idea.dayNumber}`, title: idea.title, keywords, primary_keyword: keywords[0] || null, status: 'planned' });
+    }
+    if (conflicts.length === 0) return idea;
+    return {
+      ...idea,
+      overlaps: conflicts.slice(0, 3).map(({ item, similarity, reasons }) => ({
+        type: item.type,
+        id: item.id,
+        title: item.title,
+        url: item.url || null,
+        similarity,
+        reasons
+      }))
+    };
+  });
+}
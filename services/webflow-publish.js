@@ -0,0 +1,246 @@
+/**
+ * Publish a post to Webflow as a CMS collection item (Data API v2).
+ * @see https://developers.webflow.com/data/reference/cms/collection-items/live-items/create-item-live
+ *
+ * Connection credentials: access_token from OAuth (Webflow tokens do not expire), plus optional settings
+ * site_id, collection_id and field_mapping (see lib/cms-field-mapping.js). Without settings the only site
+ * and its blog collection (slug blog / posts / blog-posts, or the only collection) are used.
+ *
+ * external_id is "<collection_id>:<item_id>" so updates still reach the item if collection_id changes later.
+ * Publish: POST /collections/{id}/items/live (drafts: POST /collections/{id}/items with isDraft).
+ * Unpublish: DELETE .../items/{item}/live (draft) or also DELETE .../items/{item} (delete).
+ */
+import { NotFoundError } from '../lib/errors.js';
+import { resolveFieldMapping } from '../lib/cms-field-mapping.js';
+import { markdownToHtml } from '../lib/markdown-to-html.js';
+import { plainTextExcerpt } from '../lib/markdown-to-structured-content.js';
+import { slugify } from './git-publish.js';
+
+const WEBFLOW_API = 'https://api.webflow.com/v2';
+const BLOG_COLLECTION_SLUGS = ['blog', 'posts', 'blog-posts'];
+
+/** Field slugs used when the connection has no field_mapping (matches Webflow's blog template). */
+export const WEBFLOW_DEFAULT_FIELD_MAPPING = Object.freeze({
+  title: 'name',
+  slug: 'slug',
+  body: 'post-body',
+  excerpt: 'post-summary',
+  hero_image: 'main-image',
+  tags: null,
+  categories: null,
+  meta_description: null,
+  canonical_url: null,
+  author: null
+});
+
+function webflowHeaders(credentials) {
+  if (!credentials?.access_token) {
+    throw new Error('Webflow connection missing access_token. Reconnect Webflow in Settings.');
+  }
+  return {
+    Authorization: `Bearer ${credentials.access_token}`,
+    'Content-Type': 'application/json',
+    Accept: 'application/json'
+  };
+}
+
+async function webflowErrorMessage(res) {
+  if (res.status === 401 || res.status === 403) {
+    return 'Webflow rejected the access token. Reconnect Webflow in Settings.';
+  }
+  let message = `Webflow returned ${res.status}`;
+  try {
+    const data = JSON.parse(await res.text());
+    const details = (data?.details || []).map((d) => (typeof d === 'string' ? d : d?.message || d?.param)).filter(Boolean);
+    if (data?.message) message = details.length > 0 ? `${data.message} (${details.join('; ')})` : data.message;
+  } catch {
+    /* keep status message */
+  }
+  return message;
+}
+
+async function webflowGet(credentials, path) {
+  const res = await fetch(`${WEBFLOW_API}${path}`, { headers: webflowHeaders(credentials) });
+  if (!res.ok) throw new Error(await webflowErrorMessage(res));
+  return res.json();
+}
+
+/** The configured site, or the only site the token can access. */
+async function resolveSite(credentials) {
+  if (credentials.site_id) {
+    return webflowGet(credentials, `/sites/${encodeURIComponent(credentials.site_id)}`);
+  }
+  const { sites = [] } = await webflowGet(credentials, '/sites');
+  if (sites.length === 1) return sites[0];
+  if (sites.length === 0) throw new Error('No Webflow sites are authorized for this connection');
+  throw new Error(
+    `Several Webflow sites are authorized: ${sites.map((s) => `${s.displayName} (${s.id})`).join(', ')}. Set site_id in the Webflow publishing settings.`
+  );
+}
+
+/** The configured collection, or the site's blog collection; returned with its field definitions. */
+async function resolveCollection(credentials, site) {
+  let collectionId = credentials.collection_id;
+  if (!collectionId) {
+    const { collections = [] } = await webflowGet(credentials, `/sites/${encodeURIComponent(site.id)}/collections`);
+    const blog = collections.find((c) => BLOG_COLLECTION_SLUGS.includes(c.slug)) || (collections.length === 1 ? collections[0] : null);
+    if (!blog) {
+      throw new Error(
+        `Could not pick a Webflow collection for blog posts. Set collection_id in the Webflow publishing settings${
+          collections.length > 0 ? ` (${collections.map((c) => `${c.displayName}: ${c.id}`).join(', ')})` : ''
+        }.`
+      );
+    }
+    collectionId = blog.id;
+  }
+  return webflowGet(credentials, `/collections/${encodeURIComponent(collectionId)}`);
+}
+
+function siteBaseUrl(site) {
+  const domain = site.customDomains?.[0]?.url;
+  return domain ? `https://${domain.replace(/^https?:\/\//, '')}` : `https://${site.shortName}.webflow.io`;
+}
+
+/**
+ * Item fieldData for a post. Only fields that exist on the collection are sent; tags and categories are sent
+ * to plain-text fields as comma-separated lists.
+ */
+function webflowFieldData(collection, mapping, post) {
+  const fieldsBySlug = new Map((collection.fields || []).map((f) => [f.slug, f]));
+  const bodyField = fieldsBySlug.get(mapping.body);
+  if (!bodyField) {
+    throw new Error(`Webflow collection "${collection.displayName}" has no field "${mapping.body}" for the post body. Update field_mapping.`);
+  }
+  const fieldData = {};
+  const set = (key, value) => {
+    const slug = mapping[key];
+    if (slug && fieldsBySlug.has(slug) && value !== undefined && value !== null && value !== '') fieldData[slug] = value;
+  };
+  set('title', post.title || 'Untitled');
+  set('slug', post.slug || slugify(post.title));
+  set('body', markdownToHtml(post.content || ''));
+  set('excerpt', post.excerpt || plainTextExcerpt(post.content));
+  if (post.featured_image) set('hero_image', { url: post.featured_image, alt: post.featured_image_alt || post.title || '' });
+  for (const key of ['tags', 'categories']) {
+    if (Array.isArray(post[key]) && post[key].length > 0 && fieldsBySlug.get(mapping[key])?.type === 'PlainText') {
+      set(key, post[key].join(', '));
+    }
+  }
+  set('meta_description', post.meta_description);
+  set('canonical_url', post.canonical_url);
+  set('author', post.author);
+  return fieldData;
+}
+
+function parseItemId(externalId) {
+  const [collectionId, itemId] = String(externalId || '').split(':');
+  if (!collectionId || !itemId) throw new Error(`Invalid Webflow item id "${externalId}"`);
+  return { collectionId, itemId };
+}
+
+async function webflowContext(credentials) {
+  const mapping = resolveFieldMapping(credentials.field_mapping, WEBFLOW_DEFAULT_FIELD_MAPPING);
+  const site = await resolveSite(credentials);
+  const collection = await resolveCollection(credentials, site);
+  return { mapping, site, collection };
+}
+
+/**
+ * Create a collection item for a post, live or as a draft.
+ * @param {object} credentials - { access_token, site_id?, collection_id?, field_mapping? }
+ * @param {object} post - { title, content (markdown), featured_image?, featured_image_alt?, tags?, categories?, excerpt?, slug?, meta_description?, canonical_url?, author? }
+ * @param {{ draft?: boolean }} [opts]
+ * @returns {Promise<{ url: string, id: string }>} url is the item's page on the live site
+ */
+export async function publishToWebflow(credentials, post, opts = {}) {
+  const headers = webflowHeaders(credentials);
+  const { mapping, site, collection } = await webflowContext(credentials);
+  const path = `/collections/${encodeURIComponent(collection.id)}/items${opts.draft ? '' : '/live'}`;
+  const res = await fetch(`${WEBFLOW_API}${path}`, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify({ isDraft: !!opts.draft, isArchived: false, fieldData: webflowFieldData(collection, mapping, post) })
+  });
+  if (!res.ok) throw new Error(await webflowErrorMessage(res));
+  const item = await res.json();
+  return {
+    url: opts.draft ? '' : `${siteBaseUrl(site)}/${collection.slug}/${item.fieldData?.slug || ''}`,
+    id: `${collection.id}:${item.id}`
+  };
+}
+
+/**
+ * Update an item in place. Live updates go to the live item; drafts only change the staged item.
+ * @param {object} credentials
+ * @param {string} externalId - "<collection_id>:<item_id>"
+ * @param {object} post
+ * @param {{ draft?: boolean }} [opts]
+ * @returns {Promise<{ url: string, id: string }>}
+ * @throws {NotFoundError} when the item was deleted in Webflow
+ */
+export async function updateWebflowItem(credentials, externalId, post, opts = {}) {
+  const headers = webflowHeaders(credentials);
+  const { collectionId, itemId } = parseItemId(externalId);
+  const mapping = resolveFieldMapping(credentials.field_mapping, WEBFLOW_DEFAULT_FIELD_MAPPING);
+  const site = await resolveSite(credentials);
+  const collection = await webflowGet(credentials, `/collections/${encodeURIComponent(collectionId)}`);
+  const path = `/collections/${encodeURIComponent(collectionId)}/items/${encodeURIComponent(itemId)}${opts.draft ? '' : '/live'}`;
+  const res = await fetch(`${WEBFLOW_API}${path}`, {
+    method: 'PATCH',
+    headers,
+    body: JSON.stringify({ isDraft: !!opts.draft, fieldData: webflowFieldData(collection, mapping, post) })
+  });
+  if (res.status === 404) throw new NotFoundError(`Webflow item ${itemId} no longer exists`, 'webflow_item');
+  if (!res.ok) throw new Error(await webflowErrorMessage(res));
+  const item = await res.json();
+  return {
+    url: opts.draft ? '' : `${siteBaseUrl(site)}/${collection.slug}/${item.fieldData?.slug || ''}`,
+    id: externalId
+  };
+}
+
+/**
+ * Take an item off the live site (draft) or delete it. A missing item counts as success.
+ * @param {object} credentials
+ * @param {string} externalId - "<collection_id>:<item_id>"
+ * @param {{ mode?: 'draft'|'delete' }} [opts]
+ * @returns {Promise<{ id: string, status: 'draft'|'deleted'|'gone' }>}
+ */
+export async function unpublishFromWebflow(credentials, externalId, opts = {}) {
+  const headers = webflowHeaders(credentials);
+  const { collectionId, itemId } = parseItemId(externalId);
+  const itemPath = `${WEBFLOW_API}/collections/${encodeURIComponent(collectionId)}/items/${encodeURIComponent(itemId)}`;
+
+  const liveRes = await fetch(`${itemPath}/live`, { method: 'DELETE', headers });
+  if (!liveRes.ok && liveRes.status !== 404) throw new Error(await webflowErrorMessage(liveRes));
+  if (opts.mode !== 'delete') {
+    return { id: externalId, status: liveRes.status === 404 ? 'gone' : 'draft' };
+  }
+
+  const res = await fetch(itemPath, { method: 'DELETE', headers });
+  if (res.status === 404) return { id: externalId, status: 'gone' };
+  if (!res.ok) throw new Error(await webflowErrorMessage(res));
+  return { id: externalId, status: 'deleted' };
+}
+
+/**
+ * Test a connection by listing authorized sites (GET /v2/sites).
+ * @param {object} credentials - { access_token }
+ * @returns {Promise<void>}
+ */
+export async function validateWebflowCredentials(credentials) {
+  await webflowGet(credentials, '/sites');
+}
+
+/** Publisher adapter (see lib/publishing-platforms.js). */
+export const webflowPublisher = {
+  key: 'webflow',
+  capabilities: { draft: true, update: true, unpublish: true },
+  settings: ['site_id', 'collection_id'],
+  validateCredentials: validateWebflowCredentials,
+  publish: (credentials, post, opts = {}) => publishToWebflow(credentials, post, { draft: !!opts.draft }),
+  update: (credentials, externalId, post, opts = {}) =>
+    updateWebflowItem(credentials, externalId, post, { draft: !!opts.draft }),
+  unpublish: (credentials, externalId, opts = {}) =>
+    unpublishFromWebflow(credentials, externalId, { mode: opts.mode === 'delete' ? 'delete' : 'draft' })
+};
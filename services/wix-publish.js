@@ -0,0 +1,159 @@
+/**
+ * Publish a post to Wix Blog (Blog API v3 draft posts).
+ * @see https://dev.wix.com/docs/rest/business-solutions/blog/draft-posts/create-draft-post
+ *
+ * Connection credentials: access_token / refresh_token / expires_at from OAuth (access tokens last 5 minutes
+ * and are refreshed by getConnectionCredentials), plus the setting member_id: apps must name the site member
+ * who authors the post.
+ *
+ * Every post is created as a draft post; publish: true publishes it in the same call. The body is converted
+ * to Ricos rich content. The meta description and canonical URL go to seoData tags. The featured image is not
+ * sent: Wix cover images must first be imported into the site's Media Manager, which needs a separate scope.
+ * Unpublish moves the post back to drafts or deletes it (to the trash).
+ */
+import { NotFoundError } from '../lib/errors.js';
+import { markdownToRicos, plainTextExcerpt } from '../lib/markdown-to-structured-content.js';
+import { slugify } from './git-publish.js';
+
+const WIX_BLOG_API = 'https://www.wixapis.com/blog/v3';
+
+function wixHeaders(credentials) {
+  if (!credentials?.access_token) {
+    throw new Error('Wix connection missing access_token. Reconnect Wix in Settings.');
+  }
+  // Wix app tokens are sent without the Bearer prefix
+  return { Authorization: credentials.access_token, 'Content-Type': 'application/json' };
+}
+
+async function wixErrorMessage(res) {
+  if (res.status === 401 || res.status === 403) {
+    return 'Wix rejected the access token. Reconnect Wix in Settings.';
+  }
+  let message = `Wix returned ${res.status}`;
+  try {
+    const data = JSON.parse(await res.text());
+    if (data?.message) message = data.message;
+  } catch {
+    /* keep status message */
+  }
+  return message;
+}
+
+/** SEO tags Wix renders in the post page head. */
+function seoTags(post) {
+  const tags = [];
+  if (post.meta_description) tags.push({ type: 'meta', props: { name: 'description', content: post.meta_description } });
+  if (post.canonical_url) tags.push({ type: 'link', props: { rel: 'canonical', href: post.canonical_url } });
+  return tags;
+}
+
+function draftPostFields(post) {
+  const excerpt = post.excerpt || plainTextExcerpt(post.content, 140);
+  const tags = seoTags(post);
+  return {
+    title: post.title || 'Untitled',
+    richContent: markdownToRicos(post.content || ''),
+    ...(excerpt && { excerpt }),
+    hashtags: Array.isArray(post.tags) ? post.tags : [],
+    seoSlug: post.slug || slugify(post.title),
+    ...(tags.length > 0 && { seoData: { tags } })
+  };
+}
+
+function postUrl(draftPost) {
+  const { base, path } = draftPost?.url || {};
+  return base && path ? `${base.replace(/\/+$/, '')}${path}` : '';
+}
+
+/**
+ * Create a Wix blog post, published or as a draft.
+ * @param {object} credentials - { access_token, member_id }
+ * @param {object} post - { title, content (markdown), tags?, excerpt?, slug?, meta_description?, canonical_url? }
+ * @param {{ draft?: boolean }} [opts]
+ * @returns {Promise<{ url: string, id: string }>}
+ */
+export async function publishToWix(credentials, post, opts = {}) {
+  const headers = wixHeaders(credentials);
+  if (!credentials.member_id) {
+    throw new Error('Set member_id (the Wix site member who authors posts) in the Wix publishing settings.');
+  }
+  const res = await fetch(`${WIX_BLOG_API}/draft-posts`, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify({
+      draftPost: { ...draftPostFields(post), memberId: credentials.member_id },
+      publish: !opts.draft,
+      fieldsets: ['URL']
+    })
+  });
+  if (!res.ok) throw new Error(await wixErrorMessage(res));
+  const { draftPost } = await res.json();
+  return { url: opts.draft ? '' : postUrl(draftPost), id: draftPost.id };
+}
+
+/**
+ * Update a Wix blog post; UPDATE_PUBLISH republishes it, UPDATE only changes the draft.
+ * @param {object} credentials
+ * @param {string} postId - draft post id stored as external_id
+ * @param {object} post
+ * @param {{ draft?: boolean }} [opts]
+ * @returns {Promise<{ url: string, id: string }>}
+ * @throws {NotFoundError} when the post was deleted in Wix
+ */
+export async function updateWixPost(credentials, postId, post, opts = {}) {
+  const headers = wixHeaders(credentials);
+  const res = await fetch(`${WIX_BLOG_API}/draft-posts/${encodeURIComponent(postId)}`, {
+    method: 'PATCH',
+    headers,
+    body: JSON.stringify({
+      draftPost: { id: postId, ...draftPostFields(post) },
+      action: opts.draft ? 'UPDATE' : 'UPDATE_PUBLISH',
+      fieldsets: ['URL']
+    })
+  });
+  if (res.status === 404) throw new NotFoundError(`Wix post ${postId} no longer exists`, 'wix_post');
+  if (!res.ok) throw new Error(await wixErrorMessage(res));
+  const { draftPost } = await res.json();
+  return { url: opts.draft ? '' : postUrl(draftPost), id: postId };
+}
+
+/**
+ * Unpublish a Wix blog post (back to drafts) or delete it. A missing post counts as success.
+ * @param {object} credentials
+ * @param {string} postId
+ * @param {{ mode?: 'draft'|'delete' }} [opts]
+ * @returns {Promise<{ id: string, status: 'draft'|'deleted'|'gone' }>}
+ */
+export async function unpublishFromWix(credentials, postId, opts = {}) {
+  const headers = wixHeaders(credentials);
+  const path = `${WIX_BLOG_API}/draft-posts/${encodeURIComponent(postId)}`;
+  const res = opts.mode === 'delete'
+    ? await fetch(path, { method: 'DELETE', headers })
+    : await fetch(`${path}/unpublish`, { method: 'POST', headers, body: '{}' });
+  if (res.status === 404) return { id: postId, status: 'gone' };
+  if (!res.ok) throw new Error(await wixErrorMessage(res));
+  return { id: postId, status: opts.mode === 'delete' ? 'deleted' : 'draft' };
+}
+
+/**
+ * Test a connection by listing draft posts (GET /blog/v3/draft-posts).
+ * @param {object} credentials - { access_token }
+ * @returns {Promise<void>}
+ */
+export async function validateWixCredentials(credentials) {
+  const headers = wixHeaders(credentials);
+  const res = await fetch(`${WIX_BLOG_API}/draft-posts?paging.limit=1`, { headers });
+  if (!res.ok) throw new Error(await wixErrorMessage(res));
+}
+
+/** Publisher adapter (see lib/publishing-platforms.js). */
+export const wixPublisher = {
+  key: 'wix',
+  capabilities: { draft: true, update: true, unpublish: true },
+  settings: ['member_id'],
+  validateCredentials: validateWixCredentials,
+  publish: (credentials, post, opts = {}) => publishToWix(credentials, post, { draft: !!opts.draft }),
+  update: (credentials, externalId, post, opts = {}) => updateWixPost(credentials, externalId, post, { draft: !!opts.draft }),
+  unpublish: (credentials, externalId, opts = {}) =>
+    unpublishFromWix(credentials, externalId, { mode: opts.mode === 'delete' ? 'delete' : 'draft' })
+};
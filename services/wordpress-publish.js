@@ -6,12 +6,16 @@
  * 1. Convert post content from markdown to HTML; replace tweet placeholders with Twitter oEmbed.
  * 2. Upload all external images (placeholders and real generated images) to the WordPress media library
  *    (POST /wp/v2/media) and replace img src with the uploaded media URLs so images are served from WordPress.
- * 3. Create the post (POST /wp/v2/posts) with the final content and optional featured_media (first image id).
+ * 3. Create the post (POST /wp/v2/posts) with the final content, slug, excerpt, tags and categories (resolved to
+ *    term ids, created when missing) and featured_media: the post's featured image uploaded with its alt text
+ *    (reusing the upload when it also appears in the content), else the first content image. Or update it in place (POST /wp/v2/posts/{id}) when republishing. Scheduled posts are sent with
+ *    status 'future' and date_gmt; WordPress publishes them at that time.
  *
  * Supports two REST URL styles for both posts and media:
  * - Pretty: /wp-json/wp/v2/posts and /wp-json/wp/v2/media
  * - Index.php: index.php?rest_route=/wp/v2/posts and .../wp/v2/media. Set credentials.useIndexPhpRestRoute = true.
  */
+import { NotFoundError } from '../lib/errors.js';
 import { markdownToHtml, TWEET_EMBED_MARKER } from '../lib/markdown-to-html.js';
 
 const WP_POSTS_PATH = '/wp-json/wp/v2/posts';
@@ -19,6 +23,11 @@ const WP_POSTS_REST_ROUTE = '/index.php?rest_route=/wp/v2/posts';
 const WP_MEDIA_PATH = '/wp-json/wp/v2/media';
 const WP_MEDIA_REST_ROUTE = '/index.php?rest_route=/wp/v2/media';
 
+const WP_REST_NOT_FOUND_MESSAGE =
+  'WordPress REST API not found. Ensure your site has REST API enabled and the URL is correct. If your site uses index.php for the REST API, reconnect WordPress and enable "Use index.php?rest_route= for REST API".';
+const WP_NO_PUBLISH_PERMISSION_MESSAGE =
+  'WordPress user does not have permission to create posts. In WordPress, set the user\'s role to Editor or Administrator (Users → edit user → Role).';
+
 /** Fetch Twitter/X oEmbed HTML for a tweet URL. Returns embed HTML or fallback link on failure. */
 async function fetchTweetOEmbedHtml(tweetUrl) {
   try {
@@ -82,7 +91,7 @@ async function prepareContentForWordPress(content) {
 
 /**
  * Upload all external images (placeholders and real generated images) to WordPress media and replace img src.
- * Skips URLs that are already on the same WordPress site. Returns { contentHtml, featuredMediaId }.
+ * Skips URLs that are already on the same WordPress site. Returns { contentHtml, featuredMediaId, urlToMedia }.
  */
 async function uploadExternalImagesAndReplace(ctx, contentHtml) {
   const matches = [...contentHtml.matchAll(EXTERNAL_IMAGE_SRC_RE)];
@@ -93,7 +102,7 @@ async function uploadExternalImagesAndReplace(ctx, contentHtml) {
   } catch {
     // keep all if baseUrl invalid
   }
-  if (uniqueUrls.length === 0) return { contentHtml, featuredMediaId: 0 };
+  if (uniqueUrls.length === 0) return { contentHtml, featuredMediaId: 0, urlToMedia: new Map() };
   const urlToMedia = new Map();
   for (let i = 0; i < uniqueUrls.length; i++) {
     const url = uniqueUrls[i];
@@ -111,7 +120,27 @@ async function uploadExternalImagesAndReplace(ctx, contentHtml) {
     out = out.split(url).join(media.source_url);
   }
   const firstMedia = urlToMedia.get(uniqueUrls[0]);
-  return { contentHtml: out, featuredMediaId: firstMedia ? firstMedia.id : 0 };
+  return { contentHtml: out, featuredMediaId: firstMedia ? firstMedia.id : 0, urlToMedia };
+}
+
+/**
+ * Media id for the post's featured image: reuse the content upload of the same URL, else upload it with its
+ * alt text. Returns 0 when the post has no featured image or the upload fails (caller falls back).
+ */
+async function uploadFeaturedImage(ctx, post, urlToMedia) {
+  const url = post.featured_image;
+  if (!url || !/^https?:\/\//.test(url)) return 0;
+  if (urlToMedia.has(url)) return urlToMedia.get(url).id;
+  try {
+    const media = await uploadImageToWordPressMedia(ctx, url, {
+      filename: filenameFromImageUrl(url),
+      alt: post.featured_image_alt || post.title
+    });
+    return media.id;
+  } catch (e) {
+    console.warn('WordPress featured image upload failed:', url.substring(0, 80), e?.message || e);
+    return 0;
+  }
 }
 
 function buildPostsUrl(baseUrl, useIndexPhpRestRoute) {
@@ -205,14 +234,11 @@ async function uploadImageToWordPressMedia(ctx, imageUrl, opts = {}) {
 }
 
 /**
- * Publish a post to WordPress.
+ * Validate stored credentials and build the request context shared by publish and unpublish.
  * @param {object} credentials - { site_url, username, application_password, useIndexPhpRestRoute?: boolean }
- * @param {object} post - { title, content }
- * @param {{ status?: 'publish'|'draft' }} [opts] - optional status (default 'publish')
- * @returns {Promise<{ url: string, id: number }>}
- * @throws {Error} on auth failure, invalid response, or network error
+ * @returns {{ baseUrl: string, auth: string, useIndexPhpRestRoute: boolean }}
  */
-export async function publishToWordPress(credentials, post, opts = {}) {
+function resolveWordPressContext(credentials) {
   const { site_url, username, application_password, useIndexPhpRestRoute } = credentials || {};
   if (!site_url || !application_password) {
     throw new Error('WordPress connection missing site_url or application_password');
@@ -220,34 +246,96 @@ export async function publishToWordPress(credentials, post, opts = {}) {
   if (!username || !String(username).trim()) {
     throw new Error('WordPress connection missing username. Reconnect WordPress in Settings and provide your WordPress username.');
   }
+  return {
+    baseUrl: String(site_url).trim().replace(/\/+$/, ''),
+    auth: Buffer.from(`${username}:${application_password}`, 'utf8').toString('base64'),
+    useIndexPhpRestRoute: !!useIndexPhpRestRoute
+  };
+}
+
+/**
+ * Resolve term names to WordPress term ids, creating missing terms. Failures are logged and skipped.
+ * @param {object} ctx - { baseUrl, auth, useIndexPhpRestRoute }
+ * @param {'tags'|'categories'} taxonomy - REST collection of the taxonomy
+ * @param {string[]} names
+ * @returns {Promise<number[]>}
+ */
+async function resolveWordPressTermIds(ctx, taxonomy, names) {
+  const { baseUrl, auth, useIndexPhpRestRoute } = ctx;
+  const base = String(baseUrl).trim().replace(/\/+$/, '');
+  const termsUrl = useIndexPhpRestRoute ? `${base}/index.php?rest_route=/wp/v2/${taxonomy}` : `${base}/wp-json/wp/v2/${taxonomy}`;
+  const sep = useIndexPhpRestRoute ? '&' : '?';
+  const headers = { Authorization: `Basic ${auth}`, 'Content-Type': 'application/json' };
+  const ids = [];
+  for (const name of names) {
+    try {
+      const searchRes = await fetch(`${termsUrl}${sep}search=${encodeURIComponent(name)}`, { headers });
+      if (searchRes.ok) {
+        const found = (await searchRes.json()).find((t) => String(t.name).toLowerCase() === name.toLowerCase());
+        if (found) {
+          ids.push(found.id);
+          continue;
+        }
+      }
+      const createRes = await fetch(termsUrl, { method: 'POST', headers, body: JSON.stringify({ name }) });
+      const data = await createRes.json();
+      // WordPress answers 400 term_exists with the existing id when search missed it (e.g. HTML entities)
+      const id = createRes.ok ? data.id : data?.data?.term_id;
+      if (id) ids.push(id);
+    } catch (e) {
+      console.warn(`WordPress ${taxonomy} lookup failed for:`, name, e?.message || e);
+    }
+  }
+  return ids;
+}
 
-  const baseUrl = String(site_url).trim().replace(/\/+$/, '');
-  const auth = Buffer.from(`${username}:${application_password}`, 'utf8').toString('base64');
-  const useIndexPhp = !!useIndexPhpRestRoute;
-  const ctx = { baseUrl, auth, useIndexPhpRestRoute: useIndexPhp };
-  const status = opts.status === 'draft' ? 'draft' : 'publish';
+/**
+ * Create (postId null) or update a WordPress post and return its link and id.
+ * Retries with index.php?rest_route= on 404 when pretty permalinks were tried first.
+ * @throws {NotFoundError} when updating a post that no longer exists
+ */
+async function saveWordPressPost(ctx, postId, post, { status, date }) {
+  const { baseUrl, auth, useIndexPhpRestRoute } = ctx;
   let contentHtml = await prepareContentForWordPress(post.content);
-  const { contentHtml: contentWithMedia, featuredMediaId } = await uploadExternalImagesAndReplace(ctx, contentHtml);
+  const { contentHtml: contentWithMedia, featuredMediaId: firstMediaId, urlToMedia } =
+    await uploadExternalImagesAndReplace(ctx, contentHtml);
   contentHtml = contentWithMedia;
+  const featuredMediaId = (await uploadFeaturedImage(ctx, post, urlToMedia)) || firstMediaId;
   const postPayload = {
     title: post.title || 'Untitled',
     content: contentHtml,
     status
   };
+  if (post.slug) postPayload.slug = post.slug;
+  if (post.excerpt) postPayload.excerpt = post.excerpt;
+  // Scheduled posts: WordPress publishes them itself at date_gmt
+  if (status === 'future') postPayload.date_gmt = date.toISOString().slice(0, 19);
   if (featuredMediaId > 0) postPayload.featured_media = featuredMediaId;
+  if (Array.isArray(post.tags) && post.tags.length > 0) {
+    const tagIds = await resolveWordPressTermIds(ctx, 'tags', post.tags);
+    if (tagIds.length > 0) postPayload.tags = tagIds;
+  }
+  if (Array.isArray(post.categories) && post.categories.length > 0) {
+    const categoryIds = await resolveWordPressTermIds(ctx, 'categories', post.categories);
+    if (categoryIds.length > 0) postPayload.categories = categoryIds;
+  }
   const body = JSON.stringify(postPayload);
 
   const headers = {
     Authorization: `Basic ${auth}`,
     'Content-Type': 'application/json'
   };
+  const postUrl = (useIndex) => {
+    const url = buildPostsUrl(baseUrl, useIndex);
+    return postId != null ? `${url}/${encodeURIComponent(postId)}` : url;
+  };
 
-  let url = buildPostsUrl(baseUrl, !!useIndexPhpRestRoute);
+  let url = postUrl(!!useIndexPhpRestRoute);
   let res = await fetch(url, { method: 'POST', headers, body });
 
   // If 404 and we used pretty permalinks, retry with index.php?rest_route= (sites without pretty REST)
   if (res.status === 404 && !useIndexPhpRestRoute) {
-    url = buildPostsUrl(baseUrl, true);
+    url = postUrl(true);
     res = await fetch(url, { method: 'POST', headers, body });
   }
 
@@ -256,15 +344,18 @@ export async function publishToWordPress(credentials, post, opts = {}) {
     try {
       const json = JSON.parse(text);
       if (json.code === 'rest_cannot_create' || (json.message && json.message.includes('not allowed to create posts'))) {
-        throw new Error('WordPress user does not have permission to create posts. In WordPress, set the user\'s role to Editor or Administrator (Users → edit user → Role).');
+        throw new Error(WP_NO_PUBLISH_PERMISSION_MESSAGE);
       }
     } catch (e) {
       if (e.message && e.message.includes('permission to create posts')) throw e;
     }
     throw new Error('WordPress rejected credentials. Check username and application password.');
   }
-  if (res.status === 404) {
-    throw new Error('WordPress REST API not found. Ensure your site has REST API enabled and the URL is correct. If your site uses index.php for the REST API, reconnect WordPress and enable "Use index.php?rest_route= for REST API".');
+  if (res.status === 404 || (postId != null && res.status === 410)) {
+    if (postId != null && /rest_post_invalid_id|rest_already_trashed/.test(text)) {
+      throw new NotFoundError(`WordPress post ${postId} no longer exists`, 'wordpress_post');
+    }
+    throw new Error(WP_REST_NOT_FOUND_MESSAGE);
   }
   const looksLikeHtml = /^\s*<\s*!?\s*DOCTYPE|^\s*<\s*html\b/i.test(text.trim());
 
@@ -303,3 +394,151 @@ export async function publishToWordPress(credentials, post, opts = {}) {
     id
   };
 }
+
+/**
+ * Post status and schedule date from publish options; 'future' requires a date.
+ * @param {{ status?: 'publish'|'draft'|'future', date?: Date }} opts
+ */
+function resolveWordPressStatus(opts) {
+  if (opts.status === 'future') {
+    if (!(opts.date instanceof Date) || Number.isNaN(opts.date.getTime())) {
+      throw new Error('A publish date is required to schedule a WordPress post');
+    }
+    return { status: 'future', date: opts.date };
+  }
+  return { status: opts.status === 'draft' ? 'draft' : 'publish' };
+}
+
+/**
+ * Publish a post to WordPress.
+ * @param {object} credentials - { site_url, username, application_password, useIndexPhpRestRoute?: boolean }
+ * @param {object} post - { title, content, slug?, excerpt?, featured_image?, featured_image_alt?, tags?, categories? }
+ * @param {{ status?: 'publish'|'draft'|'future', date?: Date }} [opts] - optional status (default 'publish'); 'future' schedules the post for date
+ * @returns {Promise<{ url: string, id: number }>}
+ * @throws {Error} on auth failure, invalid response, or network error
+ */
+export async function publishToWordPress(credentials, post, opts = {}) {
+  const ctx = resolveWordPressContext(credentials);
+  return saveWordPressPost(ctx, null, post, resolveWordPressStatus(opts));
+}
+
+/**
+ * Update an existing WordPress post in place (title, content, slug, excerpt, featured image, tags, categories).
+ * @param {object} credentials - { site_url, username, application_password, useIndexPhpRestRoute?: boolean }
+ * @param {number|string} postId - WordPress post id stored as external_id at publish time
+ * @param {object} post - { title, content, slug?, excerpt?, featured_image?, featured_image_alt?, tags?, categories? }
+ * @param {{ status?: 'publish'|'draft'|'future', date?: Date }} [opts]
+ * @returns {Promise<{ url: string, id: number }>}
+ * @throws {NotFoundError} when the remote post was deleted or trashed
+ */
+export async function updateWordPressPost(credentials, postId, post, opts = {}) {
+  const ctx = resolveWordPressContext(credentials);
+  if (postId == null || postId === '') {
+    throw new Error('WordPress post id is required to update');
+  }
+  return saveWordPressPost(ctx, postId, post, resolveWordPressStatus(opts));
+}
+
+/**
+ * Unpublish a WordPress post: move it to trash (default) or revert it to draft.
+ * A 404/410 from WordPress means the post is already gone and is treated as success.
+ * @param {object} credentials - { site_url, username, application_password, useIndexPhpRestRoute?: boolean }
+ * @param {number|string} postId - WordPress post id stored as external_id at publish time
+ * @param {{ mode?: 'trash'|'draft' }} [opts]
+ * @returns {Promise<{ id: number|string, status: 'trash'|'draft'|'gone' }>}
+ */
+export async function unpublishFromWordPress(credentials, postId, opts = {}) {
+  const { baseUrl, auth, useIndexPhpRestRoute } = resolveWordPressContext(credentials);
+  if (postId == null || postId === '') {
+    throw new Error('WordPress post id is required to unpublish');
+  }
+  const mode = opts.mode === 'draft' ? 'draft' : 'trash';
+  const headers = { Authorization: `Basic ${auth}`, 'Content-Type': 'application/json' };
+  const request = (useIndex) => {
+    const url = `${buildPostsUrl(baseUrl, useIndex)}/${encodeURIComponent(postId)}`;
+    return mode === 'draft'
+      ? fetch(url, { method: 'POST', headers, body: JSON.stringify({ status: 'draft' }) })
+      : fetch(url, { method: 'DELETE', headers });
+  };
+
+  let res = await request(useIndexPhpRestRoute);
+  if (res.status === 404 && !useIndexPhpRestRoute) {
+    res = await request(true);
+  }
+  if (res.status === 404 || res.status === 410) {
+    return { id: postId, status: 'gone' };
+  }
+  if (res.status === 401 || res.status === 403) {
+    throw new Error('WordPress rejected the request. Check the user can edit/delete posts and reconnect WordPress in Settings.');
+  }
+  if (!res.ok) {
+    const text = await res.text();
+    let message = `WordPress returned ${res.status}`;
+    try {
+      const json = JSON.parse(text);
+      if (json.message) message = json.message;
+      else if (json.code) message = json.code;
+    } catch {
+      if (text && text.length < 200) message = text;
+    }
+    throw new Error(message);
+  }
+  return { id: postId, status: mode };
+}
+
+/**
+ * Test a connection before it is saved: the REST API must answer and the user must be able to edit posts.
+ * Uses GET /wp/v2/users/me?context=edit, which needs a valid application password.
+ * @param {object} credentials - { site_url, username, application_password, useIndexPhpRestRoute?: boolean }
+ * @returns {Promise<void>}
+ * @throws {Error} with a user-facing message when the site or credentials are rejected
+ */
+export async function validateWordPressCredentials(credentials) {
+  const { baseUrl, auth, useIndexPhpRestRoute } = resolveWordPressContext(credentials);
+  const meUrl = (useIndex) => (useIndex
+    ? `${baseUrl}/index.php?rest_route=/wp/v2/users/me&context=edit`
+    : `${baseUrl}/wp-json/wp/v2/users/me?context=edit`);
+  const headers = { Authorization: `Basic ${auth}` };
+
+  let res = await fetch(meUrl(useIndexPhpRestRoute), { headers });
+  if (res.status === 404 && !useIndexPhpRestRoute) {
+    res = await fetch(meUrl(true), { headers });
+  }
+  if (res.status === 401 || res.status === 403) {
+    throw new Error('WordPress rejected credentials. Check username and application password.');
+  }
+  if (res.status === 404) {
+    throw new Error(WP_REST_NOT_FOUND_MESSAGE);
+  }
+  if (!res.ok) {
+    throw new Error(`WordPress returned ${res.status} when checking the connection`);
+  }
+  let data;
+  try {
+    data = await res.json();
+  } catch {
+    throw new Error('WordPress response was not valid JSON. The server may be returning an HTML or error page.');
+  }
+  if (data?.capabilities && !data.capabilities.edit_posts) {
+    throw new Error(WP_NO_PUBLISH_PERMISSION_MESSAGE);
+  }
+}
+
+/** Adapter publish options to WordPress status: scheduled posts use 'future'. */
+function adapterStatus(opts) {
+  if (opts.scheduledAt) return { status: 'future', date: opts.scheduledAt };
+  return { status: opts.draft ? 'draft' : 'publish' };
+}
+
+/** Publisher adapter (see lib/publishing-platforms.js). */
+export const wordpressPublisher = {
+  key: 'wordpress',
+  capabilities: { draft: true, update: true, unpublish: true, schedule: true },
+  validateCredentials: validateWordPressCredentials,
+  publish: (credentials, post, opts = {}) =>
+    publishToWordPress(credentials, post, adapterStatus(opts)),
+  update: (credentials, externalId, post, opts = {}) =>
+    updateWordPressPost(credentials, externalId, post, adapterStatus(opts)),
+  unpublish: (credentials, externalId, opts = {}) =>
+    unpublishFromWordPress(credentials, externalId, { mode: opts.mode === 'draft' ? 'draft' : 'trash' })
+};
@@ -0,0 +1,129 @@
+/**
+ * Unit tests: password reset and email verification tokens (services/account-tokens.js).
+ */
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { InvariantViolation, ValidationError } from '../../lib/errors.js';
+
+const mockQuery = vi.fn();
+vi.mock('../../services/database.js', () => ({
+  default: {
+    query: (...args) => mockQuery(...args),
+    transaction: (fn) => fn({ query: (...args) => mockQuery(...args) })
+  }
+}));
+
+const mockEmail = {
+  sendPasswordReset: vi.fn(async () => ({})),
+  sendPasswordChangeConfirmation: vi.fn(async () => ({})),
+  sendEmailVerification: vi.fn(async () => ({}))
+};
+vi.mock('../../services/email.js', () => ({ default: mockEmail }));
+
+const {
+  assertEmailVerifiedForPublishing,
+  hashToken,
+  requestPasswordReset,
+  resetPassword,
+  sendVerificationEmail,
+  verifyEmail
+} = await import('../../services/account-tokens.js');
+
+/** In-memory account_tokens honoring the service's single-use and expiry conditions. */
+function stubDb({ user = { id: 'user-1', email: 'a@acme.com', email_verified_at: null }, recent = false } = {}) {
+  const tokens = [];
+  mockQuery.mockImplementation(async (sql, params) => {
+    if (sql.includes('FROM users')) return { rows: user ? [user] : [] };
+    if (sql.includes('SELECT 1 FROM account_tokens')) return { rows: recent ? [{}] : [] };
+    if (sql.includes('INSERT INTO account_tokens')) {
+      const [userId, purpose, tokenHash, expiresAt] = params;
+      tokens.push({ user_id: userId, purpose, token_hash: tokenHash, expires_at: expiresAt, used_at: null });
+      return { rows: [] };
+    }
+    if (sql.includes('SET used_at = NOW()')) {
+      const [tokenHash, purpose] = params;
+      const token = tokens.find((t) => t.token_hash === tokenHash && t.purpose === purpose && !t.used_at && t.expires_at > new Date());
+      if (!token) return { rows: [] };
+      token.used_at = new Date();
+      return { rows: [{ user_id: token.user_id }] };
+    }
+    return { rows: [] };
+  });
+  return tokens;
+}
+
+describe('account-tokens', () => {
+  beforeEach(() => {
+    mockQuery.mockReset();
+    Object.values(mockEmail).forEach((fn) => fn.mockClear());
+  });
+
+  afterEach(() => {
+    delete process.env.REQUIRE_EMAIL_VERIFICATION_TO_PUBLISH;
+  });
+
+  it('stores only the hash of the emailed reset token, which works once', async () => {
+    const tokens = stubDb();
+
+    await expect(requestPasswordReset('a@acme.com')).resolves.toEqual({ sent: true });
+    const [, token] = mockEmail.sendPasswordReset.mock.calls[0];
+    expect(tokens).toEqual([expect.objectContaining({ purpose: 'password_reset', token_hash: hashToken(token) })]);
+    expect(JSON.stringify(mockQuery.mock.calls)).not.toContain(token);
+
+    await expect(resetPassword(token, 'new-password-1')).resolves.toEqual({ userId: 'user-1' });
+    const update = mockQuery.mock.calls.find(([sql]) => sql.includes('SET password_hash'));
+    expect(update[1][0]).toMatch(/^\$2[aby]\$12\$/);
+    // Sent in the background, without delaying the reset
+    await vi.waitFor(() => expect(mockEmail.sendPasswordChangeConfirmation).toHaveBeenCalledWith('user-1'));
+
+    await expect(resetPassword(token, 'new-password-2')).rejects.toThrow(ValidationError);
+  });
+
+  it('rejects expired tokens', async () => {
+    const tokens = stubDb();
+    await requestPasswordReset('a@acme.com');
+    tokens[0].expires_at = new Date(Date.now() - 1000);
+
+    await expect(resetPassword(mockEmail.sendPasswordReset.mock.calls[0][1], 'new-password-1')).rejects.toThrow('Invalid or expired token');
+    expect(mockQuery.mock.calls.some(([sql]) => sql.includes('SET password_hash'))).toBe(false);
+  });
+
+  it('sends nothing for unknown addresses or within the resend interval', async () => {
+    stubDb({ user: null });
+    await expect(requestPasswordReset('nobody@acme.com')).resolves.toEqual({ sent: false });
+
+    stubDb({ recent: true });
+    await expect(requestPasswordReset('a@acme.com')).resolves.toEqual({ sent: false });
+    expect(mockEmail.sendPasswordReset).not.toHaveBeenCalled();
+  });
+
+  it('verifies email with a verification token and throttles resends', async () => {
+    stubDb();
+    await expect(sendVerificationEmail('user-1')).resolves.toEqual({ sent: true, alreadyVerified: false });
+    const [, token] = mockEmail.sendEmailVerification.mock.calls[0];
+
+    await expect(resetPassword(token, 'new-password-1')).rejects.toThrow(ValidationError);
+    await expect(verifyEmail(token)).resolves.toEqual({ userId: 'user-1' });
+    expect(mockQuery.mock.calls.some(([sql, params]) => sql.includes('SET email_verified_at') && params[0] === 'user-1')).toBe(true);
+
+    stubDb({ recent: true });
+    await expect(sendVerificationEmail('user-1')).rejects.toMatchObject({ statusCode: 429 });
+    await expect(sendVerificationEmail('user-1', { throttle: false })).resolves.toMatchObject({ sent: true });
+
+    stubDb({ user: { id: 'user-1', email_verified_at: new Date() } });
+    await expect(sendVerificationEmail('user-1')).resolves.toEqual({ sent: false, alreadyVerified: true });
+  });
+
+  it('blocks publishing for unverified users only when configured', async () => {
+    stubDb();
+    await expect(assertEmailVerifiedForPublishing('user-1')).resolves.toBeUndefined();
+    expect(mockQuery).not.toHaveBeenCalled();
+
+    process.env.REQUIRE_EMAIL_VERIFICATION_TO_PUBLISH = 'true';
+    const error = await assertEmailVerifiedForPublishing('user-1').catch((e) => e);
+    expect(error).toBeInstanceOf(InvariantViolation);
+    expect(error.statusCode).toBe(403);
+
+    stubDb({ user: { id: 'user-1', email_verified_at: new Date() } });
+    await expect(assertEmailVerifiedForPublishing('user-1')).resolves.toBeUndefined();
+  });
+});
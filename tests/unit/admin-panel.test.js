@@ -1,5 +1,5 @@
 /**
- * Unit tests: Admin panel (stats, cache view/clear, requireAdmin).
+ * Unit tests: Admin panel (stats, cache view/clear, jobs and dead-letter queue, requireAdmin).
  */
 import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
 import express from 'express';
@@ -15,8 +15,13 @@ vi.mock('../../services/database.js', () => ({
 }));
 
 const mockGetConnection = vi.fn();
+const mockRequeueDeadLettered = vi.fn();
+const mockDiscardDeadLettered = vi.fn();
 vi.mock('../../services/job-queue.js', () => ({
   getConnection: () => mockGetConnection(),
+  requeueDeadLetteredJobs: (...args) => mockRequeueDeadLettered(...args),
+  discardDeadLetteredJobs: (...args) => mockDiscardDeadLettered(...args),
+  JOB_TYPES: ['website_analysis', 'content_generation'],
 }));
 
 describe('admin panel', () => {
@@ -48,6 +53,8 @@ describe('admin panel', () => {
     mockQuery.mockReset();
     mockTransaction.mockReset();
     mockGetConnection.mockReset();
+    mockRequeueDeadLettered.mockReset();
+    mockDiscardDeadLettered.mockReset();
   });
 
   describe('requireAdmin', () => {
@@ -280,6 +287,109 @@ describe('admin panel', () => {
     });
   });
 
+  describe('GET /jobs/aggregates', () => {
+    it('returns throughput, failures by error code and duration per type', async () => {
+      mockQuery.mockImplementation(async (sql) => {
+        if (sql.includes('date_trunc')) return { rows: [{ bucket: '2026-01-01T00:00:00Z', created: '4', succeeded: '3', failed: '1' }] };
+        if (sql.includes('error_code')) return { rows: [{ error_code: 'TIMEOUT', type: 'website_analysis', count: '1' }] };
+        return { rows: [{ type: 'website_analysis', total: '4', queued: '0', running: '0', succeeded: '3', failed: '1', avg_duration_seconds: '42.25', p95_duration_seconds: '80' }] };
+      });
+      const res = await request(app)
+        .get('/api/v1/admin-panel/jobs/aggregates')
+        .query({ from: '2026-01-01T00:00:00Z', to: '2026-01-02T00:00:00Z' })
+        .set('x-admin-key', ADMIN_KEY)
+        .expect(200);
+      expect(res.body.window.bucket).toBe('hour');
+      expect(res.body.throughput).toEqual([{ bucket: '2026-01-01T00:00:00.000Z', created: 4, succeeded: 3, failed: 1 }]);
+      expect(res.body.failures).toEqual([{ errorCode: 'TIMEOUT', count: 1, byType: { website_analysis: 1 }, shareOfFailures: 1, rate: 0.25 }]);
+      expect(res.body.byType[0]).toMatchObject({ type: 'website_analysis', failureRate: 0.25, avgDurationSeconds: 42.3, p95DurationSeconds: 80 });
+    });
+
+    it('returns 400 for an unknown type', async () => {
+      await request(app)
+        .get('/api/v1/admin-panel/jobs/aggregates')
+        .query({ type: 'nope' })
+        .set('x-admin-key', ADMIN_KEY)
+        .expect(400);
+      expect(mockQuery).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('dead-letter queue', () => {
+    const DEAD_JOB = {
+      id: 'j1', type: 'content_generation', status: 'failed', progress: 40, error: 'Rate limit reached', error_code: null,
+      user_id: 'u1', attempts: 3, created_at: '2026-01-01T00:00:00Z', dead_lettered_at: '2026-01-01T00:05:00Z'
+    };
+
+    it('lists dead-lettered jobs, most recent first', async () => {
+      mockQuery.mockImplementation(async (sql) => (sql.includes('COUNT(*)') ? { rows: [{ total: '1' }] } : { rows: [DEAD_JOB] }));
+      const res = await request(app)
+        .get('/api/v1/admin-panel/jobs/dead-letter')
+        .set('x-admin-key', ADMIN_KEY)
+        .expect(200);
+      expect(res.body.jobs).toEqual([
+        expect.objectContaining({ jobId: 'j1', userId: 'u1', attempts: 3, deadLetteredAt: '2026-01-01T00:05:00.000Z' })
+      ]);
+      expect(res.body.pagination.total).toBe(1);
+      const [sql] = mockQuery.mock.calls.find(([q]) => q.includes('ORDER BY'));
+      expect(sql).toContain('dead_lettered_at IS NOT NULL');
+      expect(sql).toContain('ORDER BY dead_lettered_at DESC');
+    });
+
+    it('returns one dead-lettered job with input and stack, or 404', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [{ ...DEAD_JOB, input: { topic: { title: 'SEO' } }, error_stack: 'Error: Rate limit reached\n    at x' }] });
+      const res = await request(app)
+        .get('/api/v1/admin-panel/jobs/dead-letter/j1')
+        .set('x-admin-key', ADMIN_KEY)
+        .expect(200);
+      expect(res.body.job).toMatchObject({ jobId: 'j1', input: { topic: { title: 'SEO' } }, errorStack: expect.stringContaining('Rate limit') });
+
+      mockQuery.mockResolvedValueOnce({ rows: [] });
+      await request(app)
+        .get('/api/v1/admin-panel/jobs/dead-letter/j2')
+        .set('x-admin-key', ADMIN_KEY)
+        .expect(404);
+    });
+
+    it('requeues and discards jobs by id', async () => {
+      mockRequeueDeadLettered.mockResolvedValue({ requeued: ['j1'], skipped: ['j2'] });
+      mockDiscardDeadLettered.mockResolvedValue({ discarded: ['j2'], skipped: [] });
+
+      const requeued = await request(app)
+        .post('/api/v1/admin-panel/jobs/dead-letter/requeue')
+        .set('x-admin-key', ADMIN_KEY)
+        .send({ jobIds: ['j1', 'j2'] })
+        .expect(200);
+      expect(requeued.body).toEqual({ success: true, requeued: ['j1'], skipped: ['j2'] });
+      expect(mockRequeueDeadLettered).toHaveBeenCalledWith(['j1', 'j2']);
+
+      const discarded = await request(app)
+        .post('/api/v1/admin-panel/jobs/dead-letter/discard')
+        .set('x-admin-key', ADMIN_KEY)
+        .send({ jobIds: ['j2'] })
+        .expect(200);
+      expect(discarded.body).toEqual({ success: true, discarded: ['j2'], skipped: [] });
+    });
+
+    it('maps invalid id lists to 400 and a missing Redis to 503', async () => {
+      const { InvariantViolation, ServiceUnavailableError } = await import('../../lib/errors.js');
+      mockRequeueDeadLettered.mockRejectedValueOnce(new InvariantViolation('jobIds must be a non-empty array of job ids (UUIDs)', 400));
+      const bad = await request(app)
+        .post('/api/v1/admin-panel/jobs/dead-letter/requeue')
+        .set('x-admin-key', ADMIN_KEY)
+        .send({})
+        .expect(400);
+      expect(bad.body.error).toMatch(/jobIds/);
+
+      mockRequeueDeadLettered.mockRejectedValueOnce(new ServiceUnavailableError('REDIS_URL is not configured'));
+      await request(app)
+        .post('/api/v1/admin-panel/jobs/dead-letter/requeue')
+        .set('x-admin-key', ADMIN_KEY)
+        .send({ jobIds: ['j1'] })
+        .expect(503);
+    });
+  });
+
   describe('GET /cache/urls', () => {
     it('returns list of cached URLs', async () => {
       mockQuery.mockResolvedValue({
@@ -0,0 +1,310 @@
+/**
+ * Unit tests: bulk content generation (services/bulk-generation.js) — CSV / topic list parsing, batch creation,
+ * child fan-out and the batch summary.
+ */
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+const mockQuery = vi.fn();
+vi.mock('../../services/database.js', () => ({
+  default: {
+    query: (...args) => mockQuery(...args),
+    transaction: (fn) => fn({ query: (...args) => mockQuery(...args) })
+  }
+}));
+
+const mockHasCredits = vi.fn();
+vi.mock('../../services/billing.js', () => ({
+  default: { hasCredits: (...args) => mockHasCredits(...args) }
+}));
+
+const mockCreateJob = vi.fn();
+vi.mock('../../services/job-queue.js', () => ({
+  createJob: (...args) => mockCreateJob(...args),
+  BATCH_JOB_TYPE: 'content_generation_batch'
+}));
+
+const mockPublishPostToPlatforms = vi.fn();
+const mockAssertPublishAllowed = vi.fn();
+vi.mock('../../services/post-publishing.js', async (importOriginal) => ({
+  ...(await importOriginal()),
+  loadPost: vi.fn(async (userId, postId) => ({ id: postId, user_id: userId, review_state: 'draft' })),
+  publishPostToPlatforms: (...args) => mockPublishPostToPlatforms(...args)
+}));
+vi.mock('../../services/editorial-review.js', () => ({
+  assertPublishAllowed: (...args) => mockAssertPublishAllowed(...args)
+}));
+const mockGetConnectedPlatforms = vi.fn();
+vi.mock('../../lib/publishing-platforms.js', async (importOriginal) => ({
+  ...(await importOriginal()),
+  getConnectedPlatforms: (...args) => mockGetConnectedPlatforms(...args)
+}));
+const mockAssertEmailVerified = vi.fn();
+vi.mock('../../services/account-tokens.js', () => ({
+  assertEmailVerifiedForPublishing: (...args) => mockAssertEmailVerified(...args)
+}));
+const emailNotVerified = () => new InvariantViolation('Email not verified: confirm your email address before publishing.', 403);
+
+const { InvariantViolation } = await import('../../lib/errors.js');
+const {
+  parseCsv,
+  parseBulkCsv,
+  parseBulkTopics,
+  createBulkGenerationJob,
+  fanOutBatch,
+  settleBatch,
+  scheduleBatchPost,
+  MAX_BULK_ROWS
+} = await import('../../services/bulk-generation.js');
+
+const ROWS = [
+  { row: 2, topic: 'Email tips', keyword: 'email marketing', audience: 'Agencies', cta: 'Book a demo', ctaUrl: 'https://acme.com/demo', publishDate: '2030-03-01' },
+  { row: 3, topic: 'SEO basics', keyword: null, audience: null, cta: null, ctaUrl: null, publishDate: null }
+];
+const BATCH_INPUT = {
+  organizationId: 'org-1',
+  businessInfo: { businessType: 'SaaS', targetAudience: 'Marketers' },
+  rows: ROWS,
+  invalidRows: [{ row: 4, topic: null, error: 'topic is required' }],
+  additionalInstructions: 'Friendly tone.',
+  options: { includeVisuals: false }
+};
+
+describe('bulk-generation', () => {
+  beforeEach(() => {
+    mockQuery.mockReset();
+    mockHasCredits.mockReset();
+    mockCreateJob.mockReset();
+    mockPublishPostToPlatforms.mockReset();
+    mockAssertPublishAllowed.mockReset();
+    mockAssertEmailVerified.mockReset();
+    mockGetConnectedPlatforms.mockReset().mockResolvedValue(new Set(['wordpress', 'ghost']));
+  });
+
+  it('parses quoted CSV fields with commas, doubled quotes and line breaks', () => {
+    const records = parseCsv('\uFEFFtopic,cta\r\n"Why ""AI"" matters, really","Line one\nline two"\r\n\r\nPlain,x');
+    expect(records).toEqual([
+      { line: 1, fields: ['topic', 'cta'] },
+      { line: 2, fields: ['Why "AI" matters, really', 'Line one\nline two'] },
+      { line: 5, fields: ['Plain', 'x'] }
+    ]);
+  });
+
+  it('maps CSV header aliases and reports invalid rows by line number', () => {
+    const csv = [
+      'Title,Focus Keyword,Target Audience,Call to Action,CTA URL,Publish Date,Notes',
+      'Email tips,email marketing,Agencies,Book a demo,https://acme.com/demo,2030-03-01,ignored',
+      ',no topic,,,,,',
+      'Bad date,,,,,2025-02-30,',
+      'Bad link,,,Click,acme.com,,'
+    ].join('\n');
+
+    const { rows, invalid } = parseBulkCsv(Buffer.from(csv));
+
+    expect(rows).toEqual([ROWS[0]]);
+    expect(invalid).toEqual([
+      { row: 3, topic: null, error: 'topic is required' },
+      { row: 4, topic: 'Bad date', error: expect.stringContaining('Invalid publish date "2025-02-30"') },
+      { row: 5, topic: 'Bad link', error: 'cta_url must be an http(s) URL' }
+    ]);
+    expect(() => parseBulkCsv('keyword\nseo')).toThrow(/topic column/);
+    expect(() => parseBulkCsv('topic,keyword\n,seo\n')).toThrow(/No valid rows \(row 2: topic is required\)/);
+  });
+
+  it('parses topic lists of strings and objects, and caps the batch size', () => {
+    const { rows } = parseBulkTopics(['SEO basics', { title: 'Email tips', publishDate: '2030-03-01T09:00:00+02:00', cta_text: 'Subscribe' }]);
+
+    expect(rows.map((r) => [r.row, r.topic, r.cta, r.publishDate])).toEqual([
+      [1, 'SEO basics', null, null],
+      [2, 'Email tips', 'Subscribe', '2030-03-01T07:00:00.000Z']
+    ]);
+    expect(() => parseBulkTopics('SEO basics')).toThrow(/must be an array/);
+    expect(() => parseBulkTopics(Array.from({ length: MAX_BULK_ROWS + 1 }, (_, i) => `Topic ${i}`))).toThrow(/Too many rows/);
+  });
+
+  it('creates the batch job with the organization profile after checking a credit per row', async () => {
+    mockQuery.mockResolvedValue({ rows: [{ id: 'org-1', business_type: 'SaaS', target_audience: 'Marketers' }] });
+    mockHasCredits.mockResolvedValue(true);
+    mockCreateJob.mockResolvedValue({ jobId: 'batch-1' });
+
+    const created = await createBulkGenerationJob('u1', {
+      organizationId: 'org-1',
+      rows: ROWS,
+      invalid: BATCH_INPUT.invalidRows,
+      additionalInstructions: 'Friendly tone.',
+      options: { includeVisuals: false },
+      schedule: { platforms: ['WordPress'], timezone: 'America/New_York' }
+    });
+
+    expect(created).toEqual({ jobId: 'batch-1', totalRows: 3, queuedRows: 2, invalidRows: BATCH_INPUT.invalidRows });
+    expect(mockQuery.mock.calls[0][1]).toEqual(['org-1', 'u1']);
+    expect(mockHasCredits).toHaveBeenCalledWith('u1', 2);
+    expect(mockCreateJob).toHaveBeenCalledWith(
+      'content_generation_batch',
+      {
+        ...BATCH_INPUT,
+        rows: [{ ...ROWS[0], scheduledAt: '2030-03-01T14:00:00.000Z' }, ROWS[1]],
+        schedule: { platforms: ['wordpress'], timezone: 'America/New_York' }
+      },
+      { userId: 'u1', sessionId: null, tenantId: 'org-1' }
+    );
+  });
+
+  it('needs platforms for dated rows and reports past publish dates as invalid rows', async () => {
+    mockQuery.mockResolvedValue({ rows: [{ id: 'org-1' }] });
+    mockHasCredits.mockResolvedValue(true);
+    mockCreateJob.mockResolvedValue({ jobId: 'batch-1' });
+
+    await expect(createBulkGenerationJob('u1', { organizationId: 'org-1', rows: ROWS })).rejects.toThrow(/need platforms/);
+    await expect(createBulkGenerationJob('u1', { organizationId: 'org-1', rows: ROWS, schedule: { platforms: ['myspace'] } }))
+      .rejects.toMatchObject({ statusCode: 400, message: 'Unknown platforms: myspace' });
+    await expect(createBulkGenerationJob('u1', { organizationId: 'org-1', rows: ROWS, schedule: { platforms: ['ghost', 'medium'] } }))
+      .rejects.toMatchObject({ statusCode: 400, message: expect.stringMatching(/not connected.*: medium$/) });
+    expect(mockGetConnectedPlatforms).toHaveBeenCalledWith('u1');
+    expect(mockCreateJob).not.toHaveBeenCalled();
+
+    const past = { ...ROWS[0], publishDate: '2020-01-01' };
+    const created = await createBulkGenerationJob('u1', { organizationId: 'org-1', rows: [past, ROWS[1]], schedule: { platforms: ['ghost'] } });
+    expect(created).toMatchObject({ queuedRows: 1, invalidRows: [{ row: 2, topic: 'Email tips', error: expect.stringMatching(/^publish_date: .*future/) }] });
+    expect(mockCreateJob.mock.calls[0][1]).not.toHaveProperty('schedule');
+  });
+
+  it('refuses dated rows while the user must still verify their email, but not undated batches', async () => {
+    mockQuery.mockResolvedValue({ rows: [{ id: 'org-1' }] });
+    mockHasCredits.mockResolvedValue(true);
+    mockCreateJob.mockResolvedValue({ jobId: 'batch-1' });
+    mockAssertEmailVerified.mockRejectedValue(emailNotVerified());
+
+    await expect(createBulkGenerationJob('u1', { organizationId: 'org-1', rows: ROWS, schedule: { platforms: ['wordpress'] } }))
+      .rejects.toMatchObject({ statusCode: 403 });
+    expect(mockCreateJob).not.toHaveBeenCalled();
+
+    await expect(createBulkGenerationJob('u1', { organizationId: 'org-1', rows: [ROWS[1]] })).resolves.toMatchObject({ queuedRows: 1 });
+    expect(mockAssertEmailVerified).toHaveBeenCalledTimes(1);
+  });
+
+  it('refuses batches for inaccessible organizations or without enough credits', async () => {
+    mockQuery.mockResolvedValue({ rows: [] });
+    await expect(createBulkGenerationJob('u1', { organizationId: 'org-2', rows: [ROWS[1]] })).rejects.toMatchObject({ statusCode: 404 });
+
+    mockQuery.mockResolvedValue({ rows: [{ id: 'org-1' }] });
+    mockHasCredits.mockResolvedValue(false);
+    await expect(createBulkGenerationJob('u1', { organizationId: 'org-1', rows: [ROWS[1]] })).rejects.toMatchObject({
+      name: 'InvariantViolation',
+      statusCode: 402
+    });
+    expect(mockCreateJob).not.toHaveBeenCalled();
+  });
+
+  it('fans out a child job per row without one, or whose child failed', async () => {
+    mockQuery.mockResolvedValue({ rows: [{ id: 'c2', row: 2, status: 'failed' }, { id: 'c3', row: 3, status: 'succeeded', post_id: 'p3' }] });
+    mockHasCredits.mockResolvedValue(true);
+    mockCreateJob.mockResolvedValue({ jobId: 'child' });
+
+    const { created } = await fanOutBatch({ id: 'batch-1', user_id: 'u1', input: BATCH_INPUT });
+
+    expect(created).toBe(1);
+    expect(mockHasCredits).toHaveBeenCalledWith('u1', 1);
+    expect(mockCreateJob).toHaveBeenCalledWith(
+      'content_generation',
+      {
+        topic: { title: 'Email tips', keywords: ['email marketing'] },
+        businessInfo: { businessType: 'SaaS', targetAudience: 'Agencies' },
+        organizationId: 'org-1',
+        additionalInstructions: 'Friendly tone.\nTarget the keyword "email marketing".',
+        options: { includeVisuals: false },
+        ctas: [{ text: 'Book a demo', href: 'https://acme.com/demo' }],
+        batch: { parentJobId: 'batch-1', row: 2, publishDate: '2030-03-01' }
+      },
+      { userId: 'u1', sessionId: null, tenantId: 'org-1', parentJobId: 'batch-1' },
+      { priority: 'background' }
+    );
+
+    mockHasCredits.mockResolvedValue(false);
+    await expect(fanOutBatch({ id: 'batch-1', user_id: 'u1', input: BATCH_INPUT })).rejects.toMatchObject({ code: 'INSUFFICIENT_CREDITS' });
+  });
+
+  it('carries the schedule of dated rows to their child jobs', async () => {
+    mockQuery.mockResolvedValue({ rows: [] });
+    mockHasCredits.mockResolvedValue(true);
+    mockCreateJob.mockResolvedValue({ jobId: 'child' });
+    const schedule = { platforms: ['wordpress'], timezone: 'UTC' };
+    const rows = [{ ...ROWS[0], scheduledAt: '2030-03-01T09:00:00.000Z' }, ROWS[1]];
+
+    await fanOutBatch({ id: 'batch-1', user_id: 'u1', input: { ...BATCH_INPUT, rows, schedule } });
+
+    expect(mockCreateJob.mock.calls.map(([, input]) => input.batch)).toEqual([
+      { parentJobId: 'batch-1', row: 2, publishDate: '2030-03-01', scheduledAt: '2030-03-01T09:00:00.000Z', platforms: ['wordpress'], timezone: 'UTC' },
+      { parentJobId: 'batch-1', row: 3, publishDate: null }
+    ]);
+  });
+
+  it('schedules a saved batch post on the platforms, unless its organization requires review or the email is unverified', async () => {
+    mockPublishPostToPlatforms.mockResolvedValue({
+      publications: [
+        { platform: 'wordpress', status: 'scheduled', native: true, external_id: 7 },
+        { platform: 'ghost', status: 'failed', message: 'Ghost connection not found' }
+      ]
+    });
+    const batch = { scheduledAt: '2030-03-01T09:00:00.000Z', platforms: ['wordpress', 'ghost'], timezone: 'UTC' };
+
+    await expect(scheduleBatchPost('u1', 'p2', batch)).resolves.toEqual({
+      scheduledAt: '2030-03-01T09:00:00.000Z',
+      platforms: [{ platform: 'wordpress', status: 'scheduled' }, { platform: 'ghost', status: 'failed', message: 'Ghost connection not found' }]
+    });
+    expect(mockPublishPostToPlatforms).toHaveBeenCalledWith('u1', 'p2', {
+      platforms: ['wordpress', 'ghost'],
+      scheduledAt: new Date('2030-03-01T09:00:00.000Z'),
+      timezone: 'UTC'
+    });
+
+    mockAssertPublishAllowed.mockRejectedValueOnce(new InvariantViolation('Review required: this post is draft.', 409));
+    await expect(scheduleBatchPost('u1', 'p2', batch)).resolves.toEqual({ error: 'Not scheduled: Review required: this post is draft.' });
+    mockAssertEmailVerified.mockRejectedValueOnce(emailNotVerified());
+    await expect(scheduleBatchPost('u1', 'p2', { ...batch, scheduledAt: '2020-01-01T09:00:00.000Z' }))
+      .resolves.toEqual({ error: 'Not scheduled: Email not verified: confirm your email address before publishing.' });
+    expect(mockPublishPostToPlatforms).toHaveBeenCalledTimes(1);
+  });
+
+  it('updates progress while rows are pending and finishes the batch with links and per-row failures', async () => {
+    const parent = { id: 'batch-1', status: 'running', input: BATCH_INPUT, cancelled_at: null };
+    const children = [{ id: 'c2', row: 2, status: 'succeeded', post_id: 'p2', title: 'Email tips that work' }];
+    mockQuery.mockImplementation(async (sql) => {
+      if (sql.includes('SELECT id, status, input, cancelled_at')) return { rows: [parent] };
+      if (sql.includes('DISTINCT ON')) return { rows: children };
+      if (sql.includes('RETURNING id')) return { rows: [{ id: 'batch-1' }] };
+      return { rows: [] };
+    });
+
+    const running = await settleBatch('batch-1');
+    expect(running).toMatchObject({ finished: false, summary: { total: 3, succeeded: 1, failed: 1, pending: 1, progress: 50 } });
+    expect(mockQuery).toHaveBeenCalledWith(expect.stringContaining('SET progress = $2'), ['batch-1', 50, '2 of 3 posts done', running.summary]);
+
+    children.push({ id: 'c3', row: 3, status: 'failed', error: 'Insufficient credits', error_code: 'INSUFFICIENT_CREDITS' });
+    const done = await settleBatch('batch-1');
+    expect(done).toMatchObject({ finished: true, status: 'succeeded', error: null });
+    expect(done.summary.posts).toEqual([
+      { row: 2, postId: 'p2', title: 'Email tips that work', postUrl: expect.stringMatching(/\/posts\/p2$/), publishDate: '2030-03-01', schedule: null }
+    ]);
+    expect(done.summary.failures).toEqual([
+      { row: 3, topic: 'SEO basics', jobId: 'c3', error: 'Insufficient credits', errorCode: 'INSUFFICIENT_CREDITS' },
+      { row: 4, topic: null, jobId: null, error: 'topic is required', errorCode: 'INVALID_ROW' }
+    ]);
+
+    parent.status = 'succeeded';
+    await expect(settleBatch('batch-1')).resolves.toBeNull();
+  });
+
+  it('fails a batch whose rows all failed or that was cancelled', async () => {
+    const parent = { id: 'batch-1', status: 'running', input: { ...BATCH_INPUT, rows: [ROWS[1]], invalidRows: [] }, cancelled_at: new Date() };
+    mockQuery.mockImplementation(async (sql) => {
+      if (sql.includes('SELECT id, status, input, cancelled_at')) return { rows: [parent] };
+      if (sql.includes('DISTINCT ON')) return { rows: [{ id: 'c3', row: 3, status: 'failed', error: 'Cancelled' }] };
+      if (sql.includes('RETURNING id')) return { rows: [] };
+      return { rows: [] };
+    });
+
+    await expect(settleBatch('batch-1')).resolves.toMatchObject({ finished: false, status: 'failed', error: 'Cancelled' });
+    parent.cancelled_at = null;
+    await expect(settleBatch('batch-1')).resolves.toMatchObject({ status: 'failed', error: 'All 1 rows failed' });
+  });
+});
@@ -8,6 +8,7 @@ const mockQuery = vi.fn();
 vi.mock('../../services/database.js', () => ({
   default: {
     query: (...args) => mockQuery(...args),
+    transaction: (fn) => fn({ query: (...args) => mockQuery(...args) }),
     testConnection: vi.fn().mockResolvedValue(undefined),
   },
 }));
@@ -140,14 +141,22 @@ describe('content (DB path)', () => {
   });
 
   describe('updateBlogPost', () => {
-    it('updates in database and returns row', async () => {
-      mockQuery.mockResolvedValueOnce({
-        rows: [{ id: 'bp-1', title: 'Updated', status: 'published', updated_at: new Date() }],
-      });
+    it('updates in database, records a revision and returns row', async () => {
+      mockQuery
+        .mockResolvedValueOnce({ rows: [{ id: 'bp-1', title: 'Old', content: 'Body', status: 'draft' }] })
+        .mockResolvedValueOnce({ rows: [{ id: 'bp-1', title: 'Updated', content: 'Body', status: 'published', updated_at: new Date() }] })
+        .mockResolvedValueOnce({ rows: [{ latest: 3 }] })
+        .mockResolvedValueOnce({ rows: [] });
 
       const out = await content.updateBlogPost('bp-1', 'user-1', { title: 'Updated', status: 'published' });
       expect(out.title).toBe('Updated');
       expect(out.status).toBe('published');
+      expect(mockQuery.mock.calls[0][1]).toEqual(['bp-1', 'user-1']);
+      expect(mockQuery.mock.calls[1][1]).toEqual(['bp-1', 'Updated', 'published']);
+      const insert = mockQuery.mock.calls[3];
+      expect(insert[0]).toContain('INSERT INTO blog_post_revisions');
+      expect(insert[1].slice(0, 3)).toEqual(['bp-1', 4, 'Updated']);
+      expect(insert[1][6]).toBe('manual_edit');
     });
   });
 
@@ -0,0 +1,237 @@
+/**
+ * Unit tests: blog importers (services/content-importers.js) — WXR, Ghost JSON, Medium zip, RSS/Atom, decoding, dedupe.
+ */
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import JSZip from 'jszip';
+import { ValidationError } from '../../lib/errors.js';
+
+const mockQuery = vi.fn();
+vi.mock('../../services/database.js', () => ({
+  default: {
+    query: (...args) => mockQuery(...args),
+    transaction: (fn) => fn({ query: (...args) => mockQuery(...args) })
+  }
+}));
+
+const mockLookup = vi.fn();
+vi.mock('node:dns', () => ({ promises: { lookup: (...args) => mockLookup(...args) } }));
+
+const { InvariantViolation } = await import('../../lib/errors.js');
+const { decodeText, detectImportFormat, fetchFeed, importItems, parseFeed, parseGhostJson, parseImportFile } = await import('../../services/content-importers.js');
+
+const WXR = `<?xml version="1.0" encoding="UTF-8" ?>
+<rss version="2.0" xmlns:excerpt="http://wordpress.org/export/1.2/excerpt/" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:wp="http://wordpress.org/export/1.2/">
+<channel>
+  <title>Acme Blog</title>
+  <link>https://acme.com</link>
+  <wp:wxr_version>1.2</wp:wxr_version>
+  <wp:author><wp:author_login><![CDATA[jdoe]]></wp:author_login><wp:author_display_name><![CDATA[Jordan Doe]]></wp:author_display_name></wp:author>
+  <item>
+    <title><![CDATA[Email tips & tricks]]></title>
+    <link>https://acme.com/email-tips/</link>
+    <pubDate>Fri, 01 Mar 2024 09:30:00 +0000</pubDate>
+    <dc:creator><![CDATA[jdoe]]></dc:creator>
+    <content:encoded><![CDATA[<h2>Why email</h2><p>Email still <strong>works</strong>.</p><p>Second paragraph.</p>]]></content:encoded>
+    <excerpt:encoded><![CDATA[Short excerpt]]></excerpt:encoded>
+    <wp:post_id>12</wp:post_id>
+    <wp:post_date_gmt><![CDATA[2024-03-01 09:30:00]]></wp:post_date_gmt>
+    <wp:post_name><![CDATA[email-tips]]></wp:post_name>
+    <wp:status><![CDATA[publish]]></wp:status>
+    <wp:post_type><![CDATA[post]]></wp:post_type>
+    <category domain="category" nicename="marketing"><![CDATA[Marketing]]></category>
+    <category domain="post_tag" nicename="email"><![CDATA[Email]]></category>
+    <category domain="post_tag" nicename="tips"><![CDATA[Tips]]></category>
+    <wp:postmeta><wp:meta_key><![CDATA[_yoast_wpseo_canonical]]></wp:meta_key><wp:meta_value><![CDATA[https://acme.com/guides/email-tips/]]></wp:meta_value></wp:postmeta>
+  </item>
+  <item>
+    <title>Draft idea</title>
+    <link>https://acme.com/?p=13</link>
+    <wp:post_id>13</wp:post_id>
+    <wp:post_date_gmt>0000-00-00 00:00:00</wp:post_date_gmt>
+    <wp:status>draft</wp:status>
+    <wp:post_type>post</wp:post_type>
+    <content:encoded><![CDATA[<p>Not ready.</p>]]></content:encoded>
+  </item>
+  <item>
+    <title>logo.png</title>
+    <wp:post_type>attachment</wp:post_type>
+  </item>
+</channel>
+</rss>`;
+
+const GHOST = {
+  db: [{
+    meta: { version: '5.80.0' },
+    data: {
+      posts: [
+        { id: 'g1', title: 'Ghost post', slug: 'ghost-post', html: '<p>Hello from Ghost.</p>', status: 'published', published_at: '2024-02-02T10:00:00.000Z', type: 'post', canonical_url: null, custom_excerpt: 'Hi' },
+        { id: 'g2', title: 'Old post', slug: 'old-post', lexical: JSON.stringify({ root: { children: [{ children: [{ text: 'Lexical ' }, { text: 'body.' }] }] } }), status: 'published', published_at: '2023-01-01T00:00:00.000Z', type: 'post' }
+      ],
+      tags: [{ id: 't1', name: 'Growth' }, { id: 't2', name: '#internal' }],
+      posts_tags: [{ post_id: 'g1', tag_id: 't1', sort_order: 0 }, { post_id: 'g1', tag_id: 't2', sort_order: 1 }],
+      users: [{ id: 'u1', name: 'Sam Writer' }],
+      posts_authors: [{ post_id: 'g1', author_id: 'u1', sort_order: 0 }]
+    }
+  }]
+};
+
+const ATOM = `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>Acme</title>
+  <entry>
+    <title>Atom entry</title>
+    <id>tag:acme.com,2024:1</id>
+    <link rel="alternate" href="https://acme.com/blog/atom-entry"/>
+    <link rel="edit" href="https://acme.com/api/1"/>
+    <published>2024-04-01T08:00:00Z</published>
+    <author><name>Alex</name></author>
+    <category term="news" label="News"/>
+    <content type="html">&lt;p&gt;Atom body text.&lt;/p&gt;</content>
+  </entry>
+</feed>`;
+
+const RSS = `<?xml version="1.0"?>
+<rss version="2.0" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:content="http://purl.org/rss/1.0/modules/content/">
+  <channel>
+    <title>Acme</title>
+    <item>
+      <title>RSS item</title>
+      <guid isPermaLink="true">https://acme.com/blog/rss-item</guid>
+      <pubDate>Mon, 06 May 2024 12:00:00 GMT</pubDate>
+      <dc:creator>Robin</dc:creator>
+      <category>SEO</category>
+      <description>&lt;b&gt;Teaser&lt;/b&gt;</description>
+      <content:encoded><![CDATA[<p>Full RSS body.</p>]]></content:encoded>
+    </item>
+  </channel>
+</rss>`;
+
+describe('content-importers', () => {
+  beforeEach(() => {
+    mockQuery.mockReset();
+  });
+
+  it('detects formats from content and decodes legacy encodings', () => {
+    expect(detectImportFormat('export.xml', Buffer.from(WXR))).toBe('wordpress_wxr');
+    expect(detectImportFormat('feed.xml', Buffer.from(ATOM))).toBe('feed');
+    expect(detectImportFormat('ghost.json', Buffer.from(JSON.stringify(GHOST)))).toBe('ghost_json');
+    expect(detectImportFormat('notes.json', Buffer.from('{"title":"x"}'))).toBeNull();
+
+    expect(decodeText(Buffer.from([0x93, 0x43, 0x61, 0x66, 0xe9, 0x94]))).toBe('“Café”');
+    expect(decodeText(Buffer.from('<?xml version="1.0" encoding="ISO-8859-1"?><a>\xe9</a>', 'latin1'))).toContain('<a>é</a>');
+    expect(decodeText(Buffer.concat([Buffer.from([0xff, 0xfe]), Buffer.from('<rss>', 'utf16le')]))).toBe('<rss>');
+  });
+
+  it('parses WordPress posts with slug, GMT date, author, taxonomy and canonical URL, skipping attachments', async () => {
+    const { format, items } = await parseImportFile(Buffer.from(WXR), 'export.xml');
+
+    expect(format).toBe('wordpress_wxr');
+    expect(items).toHaveLength(2);
+    expect(items[0]).toMatchObject({
+      title: 'Email tips & tricks',
+      slug: 'email-tips',
+      url: 'https://acme.com/email-tips/',
+      canonical_url: 'https://acme.com/guides/email-tips/',
+      published_at: '2024-03-01T09:30:00.000Z',
+      author: 'Jordan Doe',
+      categories: ['Marketing'],
+      tags: ['Email', 'Tips'],
+      excerpt: 'Short excerpt',
+      status: 'published'
+    });
+    expect(items[1]).toMatchObject({ status: 'draft', published_at: null });
+  });
+
+  it('parses Ghost exports, building URLs from the site URL and reading lexical bodies', () => {
+    const items = parseGhostJson(JSON.stringify(GHOST), { siteUrl: 'https://blog.acme.com/' });
+
+    expect(items[0]).toMatchObject({ url: 'https://blog.acme.com/ghost-post/', author: 'Sam Writer', tags: ['Growth'], excerpt: 'Hi' });
+    expect(items[1].html).toBe('<p>Lexical body.</p>');
+    expect(() => parseGhostJson('{"db":[]}')).toThrow(ValidationError);
+  });
+
+  it('parses Medium export zips, marking drafts by their file name', async () => {
+    const zip = new JSZip();
+    zip.file('README.html', '<p>Your Medium data</p>');
+    zip.file('posts/2024-01-05_Hello-Medium-0123456789ab.html', `<html><body><article class="h-entry">
+      <h1 class="p-name">Hello Medium</h1>
+      <section data-field="subtitle" class="p-summary">A subtitle</section>
+      <section data-field="body" class="e-content"><p>Medium body.</p></section>
+      <footer><a href="https://medium.com/@sam" class="p-author h-card">Sam</a>
+      <time class="dt-published" datetime="2024-01-05T10:00:00.000Z">Jan 5</time>
+      <a href="https://medium.com/@sam/hello-medium-0123456789ab" class="p-canonical">Canonical link</a></footer>
+    </article></body></html>`);
+    zip.file('posts/draft_Untitled-fedcba987654.html', '<html><body><h1 class="p-name">Untitled</h1></body></html>');
+
+    const buffer = await zip.generateAsync({ type: 'nodebuffer' });
+    const { format, items } = await parseImportFile(buffer, 'medium-export.zip');
+
+    expect(format).toBe('medium_zip');
+    expect(items.map((i) => [i.title, i.slug, i.status])).toEqual([
+      ['Hello Medium', 'hello-medium', 'published'],
+      ['Untitled', 'Untitled', 'draft']
+    ]);
+    expect(items[0]).toMatchObject({ author: 'Sam', canonical_url: 'https://medium.com/@sam/hello-medium-0123456789ab', excerpt: 'A subtitle', published_at: '2024-01-05T10:00:00.000Z' });
+  });
+
+  it('parses Atom and RSS feeds', () => {
+    expect(parseFeed(ATOM)[0]).toMatchObject({ title: 'Atom entry', url: 'https://acme.com/blog/atom-entry', slug: 'atom-entry', author: 'Alex', categories: ['News'], html: '<p>Atom body text.</p>' });
+    expect(parseFeed(RSS)[0]).toMatchObject({ url: 'https://acme.com/blog/rss-item', author: 'Robin', categories: ['SEO'], html: '<p>Full RSS body.</p>', excerpt: 'Teaser', published_at: '2024-05-06T12:00:00.000Z' });
+    expect(() => parseFeed('<html></html>')).toThrow(ValidationError);
+  });
+
+  describe('fetchFeed', () => {
+    const originalFetch = globalThis.fetch;
+    beforeEach(() => {
+      mockLookup.mockImplementation(async (host) => [{ address: host === 'internal.acme.com' ? '10.0.0.5' : '93.184.216.34', family: 4 }]);
+      globalThis.fetch = vi.fn(async () => new Response(RSS, { headers: { 'content-type': 'application/rss+xml' } }));
+    });
+    afterEach(() => {
+      globalThis.fetch = originalFetch;
+    });
+
+    it('downloads a feed from a public host', async () => {
+      const body = await fetchFeed('https://acme.com/feed.xml');
+      expect(parseFeed(decodeText(body))[0]).toMatchObject({ url: 'https://acme.com/blog/rss-item' });
+      expect(globalThis.fetch.mock.calls[0][1]).toMatchObject({ redirect: 'manual' });
+    });
+
+    it('refuses private hosts, directly or through a redirect, with the same message as any other failure', async () => {
+      await expect(fetchFeed('http://169.254.169.254/latest/meta-data/')).rejects.toMatchObject({ statusCode: 502, message: 'Could not fetch feed' });
+      await expect(fetchFeed('http://internal.acme.com/feed')).rejects.toThrow(InvariantViolation);
+      expect(globalThis.fetch).not.toHaveBeenCalled();
+
+      globalThis.fetch.mockResolvedValueOnce(new Response(null, { status: 302, headers: { location: 'http://127.0.0.1:6379/' } }));
+      await expect(fetchFeed('https://acme.com/feed.xml')).rejects.toMatchObject({ statusCode: 502, message: 'Could not fetch feed' });
+      expect(globalThis.fetch).toHaveBeenCalledTimes(1);
+
+      globalThis.fetch.mockResolvedValueOnce(new Response('Not found', { status: 404 }));
+      await expect(fetchFeed('https://acme.com/feed.xml')).rejects.toMatchObject({ statusCode: 502, message: 'Could not fetch feed' });
+      await expect(fetchFeed('ftp://acme.com/feed.xml')).rejects.toThrow(ValidationError);
+    });
+  });
+
+  it('imports published items once and reports every item', async () => {
+    mockQuery.mockImplementation(async (sql) => {
+      if (sql.startsWith('SELECT url, canonical_url FROM website_pages')) return { rows: [{ url: 'https://www.acme.com/blog/rss-item', canonical_url: null }] };
+      if (sql.includes('INSERT INTO website_pages')) return { rows: [{ id: `page-${mockQuery.mock.calls.length}` }] };
+      return { rows: [] };
+    });
+    const { items } = await parseImportFile(Buffer.from(WXR), 'export.xml');
+    const [rssItem] = parseFeed(RSS);
+
+    const { results, summary } = await importItems('org-1', [...items, rssItem, items[0]], { source: 'wordpress_wxr' });
+
+    expect(results.map((r) => [r.title, r.status, r.reason ?? null])).toEqual([
+      ['Email tips & tricks', 'imported', null],
+      ['Draft idea', 'skipped', 'Not published (draft)'],
+      ['RSS item', 'duplicate', 'URL already imported'],
+      ['Email tips & tricks', 'duplicate', 'URL already imported']
+    ]);
+    expect(summary).toEqual({ total: 4, imported: 1, duplicates: 2, skipped: 1, failed: 0 });
+
+    const params = mockQuery.mock.calls.find(([sql]) => sql.includes('INSERT INTO website_pages'))[1];
+    expect(params.slice(1, 5)).toEqual(['https://acme.com/email-tips/', 'blog_post', 'Email tips & tricks', 'Why email\n\nEmail still works.\n\nSecond paragraph.']);
+    expect(params.slice(9, 15)).toEqual(['["Why email"]', 'email-tips', 'https://acme.com/guides/email-tips/', '["Marketing"]', '["Email","Tips"]', 'wordpress_wxr']);
+  });
+});
@@ -0,0 +1,174 @@
+/**
+ * Unit tests for Contentful publish/update/unpublish service.
+ */
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { NotFoundError } from '../../lib/errors.js';
+import {
+  publishToContentful,
+  unpublishFromContentful,
+  updateContentfulEntry,
+  validateContentfulCredentials
+} from '../../services/contentful-publish.js';
+
+const creds = { space_id: 'sp1', environment_id: 'master', management_token: 'cfpat-x' };
+const BASE = 'https://api.contentful.com/spaces/sp1/environments/master';
+
+const ok = (body, status = 200) => ({ ok: true, status, json: async () => body, text: async () => JSON.stringify(body) });
+const fail = (status, body = {}) => ({ ok: false, status, json: async () => body, text: async () => JSON.stringify(body) });
+
+describe('contentful-publish', () => {
+  const originalFetch = globalThis.fetch;
+
+  beforeEach(() => {
+    globalThis.fetch = vi.fn();
+  });
+
+  afterEach(() => {
+    globalThis.fetch = originalFetch;
+  });
+
+  describe('publishToContentful', () => {
+    it('creates an entry with mapped, localized fields and publishes it', async () => {
+      globalThis.fetch
+        .mockResolvedValueOnce(ok({ sys: { id: 'e1', version: 1 } }, 201))
+        .mockResolvedValueOnce(ok({ sys: { id: 'e1', version: 2 } }));
+
+      const result = await publishToContentful(
+        { ...creds, field_mapping: { body: 'content', excerpt: null } },
+        { title: 'Hello World', content: 'First **para**.', tags: ['seo'] }
+      );
+
+      expect(result).toEqual({ id: 'e1', url: 'https://app.contentful.com/spaces/sp1/environments/master/entries/e1' });
+      const [url, opts] = globalThis.fetch.mock.calls[0];
+      expect(url).toBe(`${BASE}/entries`);
+      expect(opts.method).toBe('POST');
+      expect(opts.headers['X-Contentful-Content-Type']).toBe('blogPost');
+      expect(opts.headers['Content-Type']).toBe('application/vnd.contentful.management.v1+json');
+      const { fields } = JSON.parse(opts.body);
+      expect(fields.title).toEqual({ 'en-US': 'Hello World' });
+      expect(fields.slug).toEqual({ 'en-US': 'hello-world' });
+      expect(fields.tags).toEqual({ 'en-US': ['seo'] });
+      expect(fields.content['en-US'].nodeType).toBe('document');
+      expect(fields).not.toHaveProperty('body');
+      expect(fields).not.toHaveProperty('excerpt');
+
+      const [publishUrl, publishOpts] = globalThis.fetch.mock.calls[1];
+      expect(publishUrl).toBe(`${BASE}/entries/e1/published`);
+      expect(publishOpts.method).toBe('PUT');
+      expect(publishOpts.headers['X-Contentful-Version']).toBe('1');
+    });
+
+    it('leaves drafts unpublished', async () => {
+      globalThis.fetch.mockResolvedValueOnce(ok({ sys: { id: 'e1', version: 1 } }, 201));
+      await publishToContentful(creds, { title: 'T', content: 'Body' }, { draft: true });
+      expect(globalThis.fetch).toHaveBeenCalledTimes(1);
+    });
+
+    it('uploads the hero image as an asset and links it', async () => {
+      const image = 'https://img.example.com/hero.png';
+      globalThis.fetch
+        .mockResolvedValueOnce(ok({ sys: { id: 'a1', version: 1 } }, 201))
+        .mockResolvedValueOnce(ok({}, 204))
+        .mockResolvedValueOnce(ok({ sys: { id: 'a1', version: 2 }, fields: { file: { 'en-US': { url: '//images.ctfassets.net/a1' } } } }))
+        .mockResolvedValueOnce(ok({ sys: { id: 'a1', version: 3 } }))
+        .mockResolvedValueOnce(ok({ sys: { id: 'e1', version: 1 } }, 201))
+        .mockResolvedValueOnce(ok({ sys: { id: 'e1', version: 2 } }));
+
+      await publishToContentful(creds, { title: 'T', content: 'Body', featured_image: image });
+
+      const assetBody = JSON.parse(globalThis.fetch.mock.calls[0][1].body);
+      expect(assetBody.fields.file['en-US']).toEqual({ contentType: 'image/png', fileName: 'hero.png', upload: image });
+      expect(globalThis.fetch.mock.calls[1][0]).toBe(`${BASE}/assets/a1/files/en-US/process`);
+      expect(globalThis.fetch.mock.calls[3][0]).toBe(`${BASE}/assets/a1/published`);
+      const entryFields = JSON.parse(globalThis.fetch.mock.calls[4][1].body).fields;
+      expect(entryFields.heroImage).toEqual({ 'en-US': { sys: { type: 'Link', linkType: 'Asset', id: 'a1' } } });
+    });
+
+    it('surfaces Contentful validation errors', async () => {
+      globalThis.fetch.mockResolvedValueOnce(
+        fail(422, { message: 'Validation error', details: { errors: [{ path: ['fields', 'slug'], name: 'unique' }] } })
+      );
+      await expect(publishToContentful(creds, { title: 'T', content: 'Body' })).rejects.toThrow(
+        'Validation error (fields.slug: unique)'
+      );
+    });
+  });
+
+  describe('updateContentfulEntry', () => {
+    it('puts merged fields with the current version and republishes', async () => {
+      globalThis.fetch
+        .mockResolvedValueOnce(ok({ sys: { id: 'e1', version: 5 }, fields: { author: { 'en-US': 'Ann' } } }))
+        .mockResolvedValueOnce(ok({ sys: { id: 'e1', version: 6 } }))
+        .mockResolvedValueOnce(ok({ sys: { id: 'e1', version: 7 } }));
+
+      await updateContentfulEntry(creds, 'e1', { title: 'New', content: 'Body' });
+
+      const [url, opts] = globalThis.fetch.mock.calls[1];
+      expect(url).toBe(`${BASE}/entries/e1`);
+      expect(opts.method).toBe('PUT');
+      expect(opts.headers['X-Contentful-Version']).toBe('5');
+      const { fields } = JSON.parse(opts.body);
+      expect(fields.author).toEqual({ 'en-US': 'Ann' });
+      expect(fields.title).toEqual({ 'en-US': 'New' });
+      expect(globalThis.fetch.mock.calls[2][1].headers['X-Contentful-Version']).toBe('6');
+    });
+
+    it('throws NotFoundError when the entry was deleted', async () => {
+      globalThis.fetch.mockResolvedValueOnce(fail(404));
+      await expect(updateContentfulEntry(creds, 'e1', { title: 'T', content: 'B' })).rejects.toBeInstanceOf(NotFoundError);
+    });
+  });
+
+  describe('unpublishFromContentful', () => {
+    it('unpublishes in draft mode and treats 404 as gone', async () => {
+      globalThis.fetch.mockResolvedValueOnce(ok({ sys: { id: 'e1' } }));
+      await expect(unpublishFromContentful(creds, 'e1')).resolves.toEqual({ id: 'e1', status: 'draft' });
+      expect(globalThis.fetch.mock.calls[0]).toEqual([`${BASE}/entries/e1/published`, expect.objectContaining({ method: 'DELETE' })]);
+
+      globalThis.fetch.mockResolvedValueOnce(fail(404));
+      await expect(unpublishFromContentful(creds, 'e1')).resolves.toEqual({ id: 'e1', status: 'gone' });
+    });
+
+    it('unpublishes then deletes in delete mode', async () => {
+      globalThis.fetch.mockResolvedValueOnce(fail(400)).mockResolvedValueOnce(ok({}, 204));
+      await expect(unpublishFromContentful(creds, 'e1', { mode: 'delete' })).resolves.toEqual({ id: 'e1', status: 'deleted' });
+      expect(globalThis.fetch.mock.calls[1]).toEqual([`${BASE}/entries/e1`, expect.objectContaining({ method: 'DELETE' })]);
+    });
+  });
+
+  describe('validateContentfulCredentials', () => {
+    it('checks that the content type has the mapped fields and a Rich Text body', async () => {
+      const contentType = {
+        fields: [
+          { id: 'title', type: 'Symbol' },
+          { id: 'slug', type: 'Symbol' },
+          { id: 'body', type: 'Text' },
+          { id: 'excerpt', type: 'Text' },
+          { id: 'heroImage', type: 'Link' },
+          { id: 'tags', type: 'Array' }
+        ]
+      };
+      globalThis.fetch.mockResolvedValueOnce(ok({})).mockResolvedValueOnce(ok(contentType));
+      await expect(validateContentfulCredentials(creds)).rejects.toThrow(/must be a Rich Text field/);
+
+      globalThis.fetch.mockResolvedValueOnce(ok({})).mockResolvedValueOnce(ok({ fields: [{ id: 'title' }, { id: 'body' }] }));
+      await expect(validateContentfulCredentials(creds)).rejects.toThrow(/slug → slug/);
+
+      globalThis.fetch.mockResolvedValueOnce(ok({})).mockResolvedValueOnce(fail(404));
+      await expect(validateContentfulCredentials(creds)).rejects.toThrow(/content type "blogPost" not found/);
+    });
+
+    it('accepts a matching content type', async () => {
+      globalThis.fetch
+        .mockResolvedValueOnce(ok({}))
+        .mockResolvedValueOnce(ok({ fields: [{ id: 'title', type: 'Symbol' }, { id: 'content', type: 'RichText' }] }));
+      await expect(
+        validateContentfulCredentials({
+          ...creds,
+          field_mapping: { body: 'content', slug: null, excerpt: null, hero_image: null, tags: null }
+        })
+      ).resolves.toBeUndefined();
+      expect(globalThis.fetch.mock.calls[1][0]).toBe(`${BASE}/content_types/blogPost`);
+    });
+  });
+});
@@ -0,0 +1,124 @@
+/**
+ * Unit tests for Drupal JSON:API publish/update/unpublish service.
+ */
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { NotFoundError } from '../../lib/errors.js';
+import {
+  publishToDrupal,
+  unpublishFromDrupal,
+  updateDrupalNode,
+  validateDrupalCredentials
+} from '../../services/drupal-publish.js';
+
+const creds = { site_url: 'https://drupal.example.com/', access_token: 'dr-token' };
+const NODES = 'https://drupal.example.com/jsonapi/node/article';
+
+const ok = (body, status = 200) => ({ ok: true, status, json: async () => body, text: async () => JSON.stringify(body) });
+const fail = (status, body = {}) => ({ ok: false, status, json: async () => body, text: async () => JSON.stringify(body) });
+
+describe('drupal-publish', () => {
+  const originalFetch = globalThis.fetch;
+
+  beforeEach(() => {
+    globalThis.fetch = vi.fn();
+  });
+
+  afterEach(() => {
+    globalThis.fetch = originalFetch;
+  });
+
+  describe('publishToDrupal', () => {
+    it('creates a published article node with an HTML body', async () => {
+      globalThis.fetch.mockResolvedValueOnce(
+        ok({ data: { id: 'uuid-1', attributes: { drupal_internal__nid: 5, path: { alias: '/blog/hello-world' } } } }, 201)
+      );
+
+      const result = await publishToDrupal(creds, { title: 'Hello World', content: 'First **para**.' });
+
+      expect(result).toEqual({ url: 'https://drupal.example.com/blog/hello-world', id: 'uuid-1' });
+      const [url, opts] = globalThis.fetch.mock.calls[0];
+      expect(url).toBe(NODES);
+      expect(opts.method).toBe('POST');
+      expect(opts.headers['Content-Type']).toBe('application/vnd.api+json');
+      expect(opts.headers.Authorization).toBe('Bearer dr-token');
+      expect(JSON.parse(opts.body)).toEqual({
+        data: {
+          type: 'node--article',
+          attributes: {
+            title: 'Hello World',
+            status: true,
+            body: { value: '<p>First <strong>para</strong>.</p>\n', format: 'full_html', summary: 'First para.' }
+          }
+        }
+      });
+    });
+
+    it('uses the configured node type and format, and falls back to /node/<nid> URLs', async () => {
+      globalThis.fetch.mockResolvedValueOnce(ok({ data: { id: 'uuid-2', attributes: { drupal_internal__nid: 6, path: { alias: null } } } }, 201));
+
+      const result = await publishToDrupal(
+        { ...creds, node_type: 'blog_post', body_format: 'basic_html' },
+        { title: 'X', content: 'Body' },
+        { draft: true }
+      );
+
+      expect(result).toEqual({ url: 'https://drupal.example.com/node/6', id: 'uuid-2' });
+      expect(globalThis.fetch.mock.calls[0][0]).toBe('https://drupal.example.com/jsonapi/node/blog_post');
+      const { data } = JSON.parse(globalThis.fetch.mock.calls[0][1].body);
+      expect(data.type).toBe('node--blog_post');
+      expect(data.attributes.status).toBe(false);
+      expect(data.attributes.body.format).toBe('basic_html');
+    });
+
+    it('rejects unsafe node types and surfaces JSON:API errors', async () => {
+      await expect(publishToDrupal({ ...creds, node_type: '../user' }, { title: 'X', content: 'Body' })).rejects.toThrow(/Invalid Drupal node_type/);
+
+      globalThis.fetch.mockResolvedValueOnce(fail(422, { errors: [{ title: 'Unprocessable', detail: 'title: This value should not be null.' }] }));
+      await expect(publishToDrupal(creds, { title: 'X', content: 'Body' })).rejects.toThrow('title: This value should not be null.');
+    });
+  });
+
+  describe('updateDrupalNode', () => {
+    it('PATCHes the node by UUID', async () => {
+      globalThis.fetch.mockResolvedValueOnce(ok({ data: { id: 'uuid-1', attributes: { path: { alias: '/blog/edited' } } } }));
+
+      const result = await updateDrupalNode(creds, 'uuid-1', { title: 'Edited', content: 'Body' });
+
+      expect(result).toEqual({ url: 'https://drupal.example.com/blog/edited', id: 'uuid-1' });
+      const [url, opts] = globalThis.fetch.mock.calls[0];
+      expect(url).toBe(`${NODES}/uuid-1`);
+      expect(opts.method).toBe('PATCH');
+      expect(JSON.parse(opts.body).data).toMatchObject({ type: 'node--article', id: 'uuid-1' });
+    });
+
+    it('throws NotFoundError when the node was deleted', async () => {
+      globalThis.fetch.mockResolvedValueOnce(fail(404));
+      await expect(updateDrupalNode(creds, 'uuid-1', { title: 'X', content: 'Body' })).rejects.toBeInstanceOf(NotFoundError);
+    });
+  });
+
+  describe('unpublishFromDrupal', () => {
+    it('unpublishes, deletes in delete mode and treats 404 as gone', async () => {
+      globalThis.fetch.mockResolvedValueOnce(ok({ data: {} }));
+      await expect(unpublishFromDrupal(creds, 'uuid-1')).resolves.toEqual({ id: 'uuid-1', status: 'draft' });
+      expect(JSON.parse(globalThis.fetch.mock.calls[0][1].body).data.attributes).toEqual({ status: false });
+
+      globalThis.fetch.mockResolvedValueOnce(ok({}, 204));
+      await expect(unpublishFromDrupal(creds, 'uuid-1', { mode: 'delete' })).resolves.toEqual({ id: 'uuid-1', status: 'deleted' });
+      expect(globalThis.fetch.mock.calls[1][1].method).toBe('DELETE');
+
+      globalThis.fetch.mockResolvedValueOnce(fail(404));
+      await expect(unpublishFromDrupal(creds, 'uuid-1')).resolves.toEqual({ id: 'uuid-1', status: 'gone' });
+    });
+  });
+
+  describe('validateDrupalCredentials', () => {
+    it('explains a missing content type and maps 401 to a reconnect message', async () => {
+      await expect(validateDrupalCredentials({ access_token: 'x' })).rejects.toThrow(/missing site_url/);
+      globalThis.fetch.mockResolvedValueOnce(fail(404));
+      await expect(validateDrupalCredentials(creds)).rejects.toThrow(/no "article" content type/);
+      globalThis.fetch.mockResolvedValueOnce(fail(401));
+      await expect(validateDrupalCredentials(creds)).rejects.toThrow(/Reconnect Drupal/);
+    });
+  });
+});
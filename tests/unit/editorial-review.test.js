@@ -0,0 +1,164 @@
+/**
+ * Unit tests: editorial review workflow (services/editorial-review.js).
+ */
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { InvariantViolation, NotFoundError, ValidationError } from '../../lib/errors.js';
+
+const mockQuery = vi.fn();
+vi.mock('../../services/database.js', () => ({
+  default: {
+    query: (...args) => mockQuery(...args),
+    transaction: (fn) => fn({ query: (...args) => mockQuery(...args) })
+  }
+}));
+
+const review = await import('../../services/editorial-review.js');
+
+const AUTHOR = 'user-author';
+const ADMIN = 'user-admin';
+const MEMBER = 'user-member';
+const ORG = { id: 'org-1', require_post_review: true };
+
+/**
+ * Serve the post, the author's organization and member roles; UPDATE ... RETURNING echoes the post with the new state.
+ * @param {object} post
+ * @param {{ organization?: object|null, roles?: Record<string, string> }} [options]
+ */
+function stubDb(post, { organization = ORG, roles = { [AUTHOR]: 'owner', [ADMIN]: 'admin', [MEMBER]: 'member' } } = {}) {
+  mockQuery.mockImplementation(async (sql, params) => {
+    if (sql.includes('FROM blog_posts WHERE id = $1')) return { rows: post ? [post] : [] };
+    if (sql.includes('JOIN organizations o')) return { rows: organization ? [organization] : [] };
+    if (sql.includes('SELECT role FROM organization_members')) return { rows: roles[params[1]] ? [{ role: roles[params[1]] }] : [] };
+    if (sql.includes('SET review_state = $1')) {
+      return params[2] === post.review_state ? { rows: [{ ...post, review_state: params[0] }] } : { rows: [] };
+    }
+    if (sql.includes('SET review_assignee_id')) return { rows: [{ ...post, review_assignee_id: params[0] }] };
+    if (sql.includes('INSERT INTO post_review_comments')) {
+      return { rows: [{ id: 'c1', body: params[2], anchor_start: params[3], anchor_end: params[4], quoted_text: params[5] }] };
+    }
+    return { rows: [] };
+  });
+}
+
+const post = (overrides = {}) => ({
+  id: 'p1',
+  user_id: AUTHOR,
+  title: 'Draft',
+  content: 'Growth starts with focus.',
+  review_state: 'draft',
+  review_assignee_id: null,
+  ...overrides
+});
+
+const events = () => mockQuery.mock.calls.filter(([sql]) => sql.includes('INSERT INTO post_review_events')).map(([, params]) => params);
+
+describe('editorial-review', () => {
+  beforeEach(() => {
+    mockQuery.mockReset();
+  });
+
+  describe('transitionReview', () => {
+    it('lets the author submit and records the event', async () => {
+      stubDb(post());
+
+      const result = await review.transitionReview('p1', AUTHOR, 'submit', { note: ' Ready ' });
+
+      expect(result).toMatchObject({ state: 'in_review', require_review: true, allowed_actions: ['withdraw'] });
+      expect(events()).toEqual([['p1', 'submit', 'draft', 'in_review', AUTHOR, 'Ready']]);
+    });
+
+    it('lets an admin or the assignee approve, but not the author when review is required', async () => {
+      stubDb(post({ review_state: 'in_review', review_assignee_id: MEMBER }));
+
+      await expect(review.transitionReview('p1', ADMIN, 'approve')).resolves.toMatchObject({ state: 'approved' });
+      await expect(review.transitionReview('p1', MEMBER, 'request_changes')).resolves.toMatchObject({ state: 'changes_requested' });
+
+      const denied = review.transitionReview('p1', AUTHOR, 'approve');
+      await expect(denied).rejects.toBeInstanceOf(InvariantViolation);
+      await expect(review.transitionReview('p1', AUTHOR, 'approve')).rejects.toMatchObject({ statusCode: 403 });
+    });
+
+    it('allows self-approval when the organization does not require review', async () => {
+      stubDb(post({ review_state: 'in_review' }), { organization: { ...ORG, require_post_review: false } });
+      await expect(review.transitionReview('p1', AUTHOR, 'approve')).resolves.toMatchObject({ state: 'approved' });
+    });
+
+    it('rejects transitions from the wrong state, unknown actions and outsiders', async () => {
+      stubDb(post({ review_state: 'approved' }));
+
+      await expect(review.transitionReview('p1', ADMIN, 'approve')).rejects.toMatchObject({ statusCode: 409 });
+      await expect(review.transitionReview('p1', AUTHOR, 'publish')).rejects.toBeInstanceOf(ValidationError);
+      await expect(review.transitionReview('p1', 'stranger', 'approve')).rejects.toBeInstanceOf(NotFoundError);
+    });
+
+    it('fails with 409 when the state changed concurrently', async () => {
+      const current = post({ review_state: 'in_review' });
+      stubDb(current);
+      mockQuery.mockImplementation(async (sql, params) => {
+        if (sql.includes('SET review_state = $1')) return { rows: [] };
+        if (sql.includes('FROM blog_posts WHERE id = $1')) return { rows: [current] };
+        if (sql.includes('JOIN organizations o')) return { rows: [ORG] };
+        if (sql.includes('SELECT role')) return { rows: params[1] === ADMIN ? [{ role: 'admin' }] : [] };
+        return { rows: [] };
+      });
+
+      await expect(review.transitionReview('p1', ADMIN, 'approve')).rejects.toThrow(/changed state/);
+    });
+  });
+
+  describe('assignReviewer', () => {
+    it('assigns an organization member and rejects the author or outsiders', async () => {
+      stubDb(post({ review_state: 'in_review' }));
+
+      await expect(review.assignReviewer('p1', AUTHOR, MEMBER)).resolves.toMatchObject({ assignee_user_id: MEMBER });
+      expect(events().at(-1)).toEqual(['p1', 'assign', null, null, AUTHOR, MEMBER]);
+
+      await expect(review.assignReviewer('p1', AUTHOR, AUTHOR)).rejects.toThrow(ValidationError);
+      await expect(review.assignReviewer('p1', AUTHOR, 'stranger')).rejects.toMatchObject({ details: expect.stringMatching(/active member/) });
+      await expect(review.assignReviewer('p1', MEMBER, ADMIN)).rejects.toMatchObject({ statusCode: 403 });
+    });
+  });
+
+  describe('addReviewComment', () => {
+    it('stores the quoted text of an anchored comment', async () => {
+      stubDb(post());
+
+      const comment = await review.addReviewComment('p1', MEMBER, { body: 'Too vague', anchor: { start: 19, end: 24 } });
+
+      expect(comment).toMatchObject({ body: 'Too vague', anchor_start: 19, anchor_end: 24, quoted_text: 'focus' });
+    });
+
+    it('validates body and anchor range', async () => {
+      stubDb(post());
+
+      await expect(review.addReviewComment('p1', MEMBER, { body: ' ' })).rejects.toThrow('Invalid comment');
+      await expect(review.addReviewComment('p1', MEMBER, { body: 'x', anchor: { start: 5, end: 500 } })).rejects.toThrow('Invalid anchor');
+      await expect(review.addReviewComment('p1', MEMBER, { body: 'x', anchor: { start: 3, end: 3 } })).rejects.toThrow('Invalid anchor');
+    });
+  });
+
+  describe('assertPublishAllowed', () => {
+    it('blocks unapproved posts only when the organization requires review', async () => {
+      stubDb(null);
+      await expect(review.assertPublishAllowed(post({ review_state: 'changes_requested' }))).rejects.toMatchObject({ statusCode: 409 });
+      await expect(review.assertPublishAllowed(post({ review_state: 'approved' }))).resolves.toBeUndefined();
+
+      stubDb(null, { organization: null });
+      await expect(review.assertPublishAllowed(post())).resolves.toBeUndefined();
+    });
+  });
+
+  describe('reopenReviewAfterEdit', () => {
+    it('moves an approved post back to in_review when review is required', async () => {
+      stubDb(null);
+      const client = { query: mockQuery };
+      const edited = post({ review_state: 'approved' });
+
+      await expect(review.reopenReviewAfterEdit(client, edited, AUTHOR)).resolves.toBe(true);
+
+      expect(edited.review_state).toBe('in_review');
+      expect(events()).toEqual([['p1', 'reopen', 'approved', 'in_review', AUTHOR, 'Content edited after approval']]);
+      await expect(review.reopenReviewAfterEdit(client, post({ review_state: 'draft' }))).resolves.toBe(false);
+    });
+  });
+});
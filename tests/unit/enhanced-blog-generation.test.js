@@ -328,4 +328,60 @@ describe('enhanced-blog-generation', () => {
       expect(generic).not.toContain('VOICE & STYLE (from your uploaded samples');
     });
   });
+
+  describe('outline-first generation prompts', () => {
+    const organizationContext = {
+      manualData: {},
+      websiteData: { tone_analysis: { tone: 'warm' } },
+      voiceProfile: { style: { voice_perspective: 'first person' }, vocabulary: {}, structure: {}, formatting: {}, confidence_score: 72 }
+    };
+    const businessInfo = { businessType: 'Coaching', targetAudience: 'Founders', brandVoice: 'warm' };
+
+    it('captures voice and brand context, or only brand context for the generic voice', () => {
+      const voice = service.buildOutlineVoiceContext(organizationContext, businessInfo);
+      expect(voice.voice_section).toContain('VOICE & STYLE (from your uploaded samples');
+      expect(voice.brand_voice).toContain('BRAND VOICE (from website analysis)');
+      expect(voice).toMatchObject({ voice_adaptation_used: true, voice_profile_confidence: 72 });
+
+      const generic = service.buildOutlineVoiceContext(organizationContext, businessInfo, { useVoiceProfile: false });
+      expect(generic).toMatchObject({ voice_section: null, voice_adaptation_used: false, voice_profile_confidence: null });
+    });
+
+    it('builds a section prompt from the stored voice context and neighbouring text', () => {
+      const outline = {
+        title: 'Focus',
+        business_info: businessInfo,
+        voice_context: { voice_section: 'STORED VOICE', brand_voice: 'STORED BRAND' },
+        sections: [
+          { id: 's1', level: 2, heading: 'Why focus wins', intent: 'Make the case', target_keyword: 'focus' },
+          { id: 's2', level: 3, heading: 'Saying no', intent: 'Show how', target_keyword: 'saying no' }
+        ]
+      };
+
+      const prompt = service.buildSectionPrompt(outline, 1, { previousText: 'Focus compounds.', instructions: 'Use an example' });
+
+      expect(prompt).toContain('### Saying no   <-- WRITE THIS SECTION');
+      expect(prompt).toContain('Target keyword: saying no');
+      expect(prompt).toContain('END OF THE PREVIOUS SECTION (already written, do not repeat):\nFocus compounds.');
+      expect(prompt).not.toContain('START OF THE NEXT SECTION');
+      expect(prompt).toContain('STORED VOICE\n\nSTORED BRAND');
+      expect(prompt).toContain('INSTRUCTIONS FOR THIS SECTION: Use an example');
+    });
+  });
+
+  describe('generateWithOptimization', () => {
+    it('stops on the local SEO score and feeds its recommendations into the next attempt', async () => {
+      const generate = vi.spyOn(service, 'generateCompleteEnhancedBlog')
+        .mockResolvedValueOnce({ localSeoAnalysis: { score: 72, recommendations: ['Shorten the title.', 'Add alt text.'] }, qualityPrediction: { actualSEOScore: 98 } })
+        .mockResolvedValueOnce({ localSeoAnalysis: { score: 91, recommendations: [] }, qualityPrediction: { actualSEOScore: 80 } });
+
+      const result = await service.generateWithOptimization({ title: 'Focus' }, {}, 'org-1', 90, { maxIterations: 3 });
+
+      expect(generate).toHaveBeenCalledTimes(2);
+      expect(generate.mock.calls[1][3].additionalInstructions).toContain('Previous attempt scored 72. Fix these issues to reach 90+: Shorten the title. Add alt text.');
+      expect(result).toMatchObject({ finalScore: 91, targetReached: true, iterations: 2 });
+      expect(result.attempts.map((a) => [a.score, a.llmScore])).toEqual([[72, 98], [91, 80]]);
+      generate.mockRestore();
+    });
+  });
 });
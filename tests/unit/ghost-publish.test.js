@@ -0,0 +1,138 @@
+/**
+ * Unit tests for Ghost publish/unpublish service.
+ */
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { NotFoundError } from '../../lib/errors.js';
+import { ghostPublisher, unpublishFromGhost, updateGhostPost, validateGhostCredentials } from '../../services/ghost-publish.js';
+
+const creds = { admin_url: 'https://ghost.example.com/', admin_api_key: 'abc123:deadbeef' };
+
+describe('ghost-publish', () => {
+  const originalFetch = globalThis.fetch;
+
+  beforeEach(() => {
+    globalThis.fetch = vi.fn();
+  });
+
+  afterEach(() => {
+    globalThis.fetch = originalFetch;
+  });
+
+  describe('unpublishFromGhost', () => {
+    it('throws when credentials are missing', async () => {
+      await expect(unpublishFromGhost({ admin_url: 'https://g.example.com' }, 'p1')).rejects.toThrow(/admin_api_key/);
+      expect(globalThis.fetch).not.toHaveBeenCalled();
+    });
+
+    it('reverts to draft with the current updated_at', async () => {
+      globalThis.fetch
+        .mockResolvedValueOnce({ ok: true, status: 200, json: async () => ({ posts: [{ id: 'p1', updated_at: '2026-01-01T00:00:00.000Z' }] }) })
+        .mockResolvedValueOnce({ ok: true, status: 200, json: async () => ({}) });
+
+      const result = await unpublishFromGhost(creds, 'p1');
+
+      expect(result).toEqual({ id: 'p1', status: 'draft' });
+      const [url, opts] = globalThis.fetch.mock.calls[1];
+      expect(url).toBe('https://ghost.example.com/ghost/api/admin/posts/p1/');
+      expect(opts.method).toBe('PUT');
+      expect(JSON.parse(opts.body)).toEqual({ posts: [{ status: 'draft', updated_at: '2026-01-01T00:00:00.000Z' }] });
+      expect(opts.headers.Authorization).toMatch(/^Ghost /);
+    });
+
+    it('deletes in delete mode and treats 404 as already gone', async () => {
+      globalThis.fetch.mockResolvedValueOnce({ ok: true, status: 204 });
+      await expect(unpublishFromGhost(creds, 'p1', { mode: 'delete' })).resolves.toEqual({ id: 'p1', status: 'deleted' });
+      expect(globalThis.fetch.mock.calls[0][1].method).toBe('DELETE');
+
+      globalThis.fetch.mockResolvedValueOnce({ ok: false, status: 404, text: async () => '' });
+      await expect(unpublishFromGhost(creds, 'p1', { mode: 'delete' })).resolves.toEqual({ id: 'p1', status: 'gone' });
+    });
+
+    it('surfaces Ghost error messages', async () => {
+      globalThis.fetch.mockResolvedValueOnce({
+        ok: false,
+        status: 422,
+        text: async () => JSON.stringify({ errors: [{ message: 'Validation failed' }] })
+      });
+      await expect(unpublishFromGhost(creds, 'p1')).rejects.toThrow('Validation failed');
+    });
+  });
+
+  describe('updateGhostPost', () => {
+    it('PUTs title, html, feature image and tags with the current updated_at', async () => {
+      globalThis.fetch
+        .mockResolvedValueOnce({ ok: true, status: 200, json: async () => ({ posts: [{ id: 'p1', updated_at: '2026-01-01T00:00:00.000Z' }] }) })
+        .mockResolvedValueOnce({ ok: true, status: 200, json: async () => ({ posts: [{ id: 'p1', url: 'https://ghost.example.com/edited/' }] }) });
+
+      const result = await updateGhostPost(creds, 'p1', {
+        title: 'Edited',
+        content: '<p>Body</p>',
+        featured_image: 'https://img.example.com/a.png',
+        tags: ['SEO']
+      });
+
+      expect(result).toEqual({ url: 'https://ghost.example.com/edited/', id: 'p1' });
+      const [url, opts] = globalThis.fetch.mock.calls[1];
+      expect(url).toBe('https://ghost.example.com/ghost/api/admin/posts/p1/?source=html');
+      expect(JSON.parse(opts.body).posts[0]).toEqual({
+        title: 'Edited',
+        html: '<p>Body</p>',
+        status: 'published',
+        feature_image: 'https://img.example.com/a.png',
+        tags: [{ name: 'SEO' }],
+        updated_at: '2026-01-01T00:00:00.000Z'
+      });
+    });
+
+    it('sends slug, excerpt, image alt and SEO meta cut to Ghost limits', async () => {
+      globalThis.fetch.mockResolvedValueOnce({ ok: true, status: 201, json: async () => ({ posts: [{ id: 'p3', url: 'https://ghost.example.com/p3/' }] }) });
+
+      await ghostPublisher.publish(creds, {
+        title: 'T',
+        content: 'C',
+        slug: 'custom-slug',
+        excerpt: 'e'.repeat(400),
+        featured_image: 'https://img.example.com/a.png',
+        featured_image_alt: 'A chart',
+        meta_description: 'Meta.',
+        canonical_url: 'https://acme.com/original'
+      });
+
+      const sent = JSON.parse(globalThis.fetch.mock.calls[0][1].body).posts[0];
+      expect(sent).toMatchObject({
+        slug: 'custom-slug',
+        feature_image_alt: 'A chart',
+        meta_description: 'Meta.',
+        canonical_url: 'https://acme.com/original'
+      });
+      expect(sent.custom_excerpt).toHaveLength(300);
+    });
+
+    it('schedules natively with published_at', async () => {
+      globalThis.fetch.mockResolvedValueOnce({ ok: true, status: 201, json: async () => ({ posts: [{ id: 'p2', url: 'https://ghost.example.com/p/p2/' }] }) });
+
+      await ghostPublisher.publish(creds, { title: 'T', content: 'C' }, { scheduledAt: new Date('2026-11-03T14:00:00.000Z') });
+
+      expect(JSON.parse(globalThis.fetch.mock.calls[0][1].body).posts[0]).toMatchObject({
+        status: 'scheduled',
+        published_at: '2026-11-03T14:00:00.000Z'
+      });
+    });
+
+    it('throws NotFoundError when the post was deleted in Ghost', async () => {
+      globalThis.fetch.mockResolvedValueOnce({ ok: false, status: 404, text: async () => '' });
+      await expect(updateGhostPost(creds, 'p1', { title: 'T', content: 'C' })).rejects.toBeInstanceOf(NotFoundError);
+    });
+  });
+
+  describe('validateGhostCredentials', () => {
+    it('reads the site endpoint and rejects a bad key', async () => {
+      globalThis.fetch.mockResolvedValueOnce({ ok: true, status: 200 });
+      await expect(validateGhostCredentials(creds)).resolves.toBeUndefined();
+      expect(globalThis.fetch.mock.calls[0][0]).toBe('https://ghost.example.com/ghost/api/admin/site/');
+
+      globalThis.fetch.mockResolvedValueOnce({ ok: false, status: 401 });
+      await expect(validateGhostCredentials(creds)).rejects.toThrow(/rejected the API key/);
+    });
+  });
+});
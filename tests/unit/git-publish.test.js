@@ -0,0 +1,244 @@
+/**
+ * Unit tests for git-backed static-site publishing (Jekyll, Hugo, Next.js, Astro).
+ * Stubs the GitHub contents API via globalThis.fetch.
+ */
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import {
+  parseRepositoryUrl,
+  slugify,
+  buildStaticSiteFile,
+  toStaticSiteMarkdown,
+  commitFileToRepository,
+  deleteFileFromRepository,
+  validateRepositoryAccess
+} from '../../services/git-publish.js';
+import { publishToJekyll } from '../../services/jekyll-publish.js';
+import { publishToHugo, unpublishFromHugo } from '../../services/hugo-publish.js';
+import { publishToNextjs } from '../../services/nextjs-publish.js';
+import { publishToAstro } from '../../services/astro-publish.js';
+
+const creds = {
+  repository_url: 'https://github.com/acme/blog',
+  access_token: 'ghp_test',
+  branch: 'main'
+};
+
+const putResponse = {
+  content: { path: 'x', html_url: 'https://github.com/acme/blog/blob/main/x' },
+  commit: { sha: 'abc123', html_url: 'https://github.com/acme/blog/commit/abc123' }
+};
+
+/** Stub: GET returns 404 (new file) or an existing sha; PUT returns a commit. */
+function stubGitHub({ existingSha = null } = {}) {
+  globalThis.fetch.mockImplementation((url, opts = {}) => {
+    if (!opts.method || opts.method === 'GET') {
+      if (existingSha) {
+        return Promise.resolve({ ok: true, status: 200, json: async () => ({ sha: existingSha }) });
+      }
+      return Promise.resolve({ ok: false, status: 404, text: async () => '{"message":"Not Found"}' });
+    }
+    if (opts.method === 'PUT') {
+      return Promise.resolve({ ok: true, status: existingSha ? 200 : 201, json: async () => putResponse });
+    }
+    return Promise.reject(new Error(`Unexpected fetch: ${url}`));
+  });
+}
+
+function putBody() {
+  const call = globalThis.fetch.mock.calls.find(([, o]) => o?.method === 'PUT');
+  return { url: call[0], body: JSON.parse(call[1].body) };
+}
+
+function decoded(body) {
+  return Buffer.from(body.content, 'base64').toString('utf8');
+}
+
+describe('git-publish', () => {
+  const originalFetch = globalThis.fetch;
+
+  beforeEach(() => {
+    globalThis.fetch = vi.fn();
+  });
+
+  afterEach(() => {
+    globalThis.fetch = originalFetch;
+  });
+
+  describe('parseRepositoryUrl', () => {
+    it('parses https, ssh and .git forms', () => {
+      expect(parseRepositoryUrl('https://github.com/acme/blog')).toMatchObject({ owner: 'acme', repo: 'blog', apiBase: 'https://api.github.com' });
+      expect(parseRepositoryUrl('https://github.com/acme/blog.git/')).toMatchObject({ owner: 'acme', repo: 'blog' });
+      expect(parseRepositoryUrl('git@github.com:acme/blog.git')).toMatchObject({ owner: 'acme', repo: 'blog' });
+    });
+
+    it('rejects non-GitHub hosts without api_base_url', () => {
+      expect(() => parseRepositoryUrl('https://gitlab.com/acme/blog')).toThrow(/Only GitHub/);
+      expect(parseRepositoryUrl('https://git.acme.dev/acme/blog', 'https://git.acme.dev/api/v3').apiBase).toBe('https://git.acme.dev/api/v3');
+    });
+  });
+
+  it('slugify strips accents and punctuation', () => {
+    expect(slugify('Café: 10 Tips & Tricks!')).toBe('cafe-10-tips-tricks');
+    expect(slugify('')).toBe('untitled');
+  });
+
+  it('toStaticSiteMarkdown turns tweets into links and drops image placeholders', () => {
+    const out = toStaticSiteMarkdown('Intro\n\n![TWEET:https://x.com/a/status/1]\n\n![IMAGE:hero_image:A sunset]\n\n[VIDEO:2]\n\nEnd');
+    expect(out).toContain('[View on X](https://x.com/a/status/1)');
+    expect(out).not.toContain('IMAGE:');
+    expect(out).not.toContain('[VIDEO:2]');
+  });
+
+  describe('buildStaticSiteFile', () => {
+    const post = { title: 'Hello: "World"', content: '# Body', date: '2026-03-05T10:20:30Z' };
+
+    it('jekyll: dated file in _posts with layout/date front matter', () => {
+      const file = buildStaticSiteFile('jekyll', post);
+      expect(file.path).toBe('_posts/2026-03-05-hello-world.md');
+      expect(file.content).toMatch(/^---\nlayout: "post"\ntitle: "Hello: \\"World\\""\ndate: "2026-03-05 10:20:30 \+0000"\n---\n\n# Body\n$/);
+    });
+
+    it('jekyll: drafts go to _drafts without date prefix', () => {
+      expect(buildStaticSiteFile('jekyll', post, { draft: true }).path).toBe('_drafts/hello-world.md');
+    });
+
+    it('hugo: draft flag and slug in front matter', () => {
+      const file = buildStaticSiteFile('hugo', post, { draft: true });
+      expect(file.path).toBe('content/posts/hello-world.md');
+      expect(file.content).toContain('draft: true');
+      expect(file.content).toContain('slug: "hello-world"');
+    });
+
+    it('nextjs and astro honour custom content path', () => {
+      expect(buildStaticSiteFile('nextjs', post, { contentPath: '/posts/' }).path).toBe('posts/hello-world.md');
+      const astro = buildStaticSiteFile('astro', post);
+      expect(astro.path).toBe('src/content/blog/hello-world.md');
+      expect(astro.content).toContain('pubDate: "2026-03-05"');
+    });
+  });
+
+  describe('commitFileToRepository', () => {
+    it('creates a new file on the configured branch and returns the commit URL', async () => {
+      stubGitHub();
+      const result = await commitFileToRepository(creds, { path: '_posts/a.md', content: 'hi', message: 'Publish: A' });
+      expect(result).toMatchObject({ commitUrl: 'https://github.com/acme/blog/commit/abc123', commitSha: 'abc123', created: true });
+      const { url, body } = putBody();
+      expect(url).toBe('https://api.github.com/repos/acme/blog/contents/_posts/a.md');
+      expect(body.branch).toBe('main');
+      expect(body.sha).toBeUndefined();
+      expect(decoded(body)).toBe('hi');
+    });
+
+    it('passes the existing sha so re-publishing updates the file', async () => {
+      stubGitHub({ existingSha: 'old-sha' });
+      const result = await commitFileToRepository(creds, { path: '_posts/a.md', content: 'hi', message: 'm' });
+      expect(result.created).toBe(false);
+      expect(putBody().body.sha).toBe('old-sha');
+    });
+
+    it('throws a reconnect hint on 401', async () => {
+      globalThis.fetch.mockResolvedValueOnce({ ok: false, status: 401, text: async () => '' });
+      await expect(commitFileToRepository(creds, { path: 'a.md', content: 'x', message: 'm' }, 'Hugo')).rejects.toThrow(/reconnect Hugo/);
+    });
+
+    it('throws when branch or repo missing (404 on PUT)', async () => {
+      globalThis.fetch
+        .mockResolvedValueOnce({ ok: false, status: 404, text: async () => '' })
+        .mockResolvedValueOnce({ ok: false, status: 404, text: async () => '' });
+      await expect(commitFileToRepository(creds, { path: 'a.md', content: 'x', message: 'm' })).rejects.toThrow(/branch "main" not found/);
+    });
+  });
+
+  describe('platform publishers', () => {
+    it('throw before any request when credentials are incomplete', async () => {
+      await expect(publishToJekyll({ repository_url: 'https://github.com/a/b' }, { title: 'T', content: 'C' })).rejects.toThrow(/Jekyll connection missing/);
+      await expect(publishToNextjs({ access_token: 't' }, { title: 'T', content: 'C' })).rejects.toThrow(/Next.js connection missing/);
+      expect(globalThis.fetch).not.toHaveBeenCalled();
+    });
+
+    it.each([
+      ['jekyll', publishToJekyll, { ...creds, posts_path: '_posts' }, /^_posts\/\d{4}-\d{2}-\d{2}-my-post\.md$/],
+      ['hugo', publishToHugo, { ...creds, content_path: 'content/posts' }, /^content\/posts\/my-post\.md$/],
+      ['nextjs', publishToNextjs, { ...creds, content_path: 'content' }, /^content\/my-post\.md$/],
+      ['astro', publishToAstro, creds, /^src\/content\/blog\/my-post\.md$/]
+    ])('%s commits to its content path and returns commit url', async (_key, publish, c, pathRe) => {
+      stubGitHub();
+      const result = await publish(c, { title: 'My Post', content: 'Body' });
+      expect(result.url).toBe('https://github.com/acme/blog/commit/abc123');
+      expect(result.id).toMatch(pathRe);
+      expect(putBody().body.message).toBe('Publish: My Post');
+    });
+  });
+
+  describe('unpublish', () => {
+    it('deletes the file with its current sha on the configured branch', async () => {
+      globalThis.fetch
+        .mockResolvedValueOnce({ ok: true, status: 200, json: async () => ({ sha: 'file-sha' }) })
+        .mockResolvedValueOnce({ ok: true, status: 200, json: async () => putResponse });
+
+      const result = await unpublishFromHugo(creds, 'content/posts/my-post.md');
+
+      expect(result).toEqual({ id: 'content/posts/my-post.md', status: 'deleted', commit_url: 'https://github.com/acme/blog/commit/abc123' });
+      const [url, opts] = globalThis.fetch.mock.calls[1];
+      expect(url).toBe('https://api.github.com/repos/acme/blog/contents/content/posts/my-post.md');
+      expect(opts.method).toBe('DELETE');
+      expect(JSON.parse(opts.body)).toMatchObject({ sha: 'file-sha', branch: 'main' });
+    });
+
+    it('reports a missing file as already removed', async () => {
+      globalThis.fetch.mockResolvedValueOnce({ ok: false, status: 404, text: async () => '' });
+
+      const result = await deleteFileFromRepository(creds, { path: 'gone.md', message: 'm' });
+
+      expect(result).toEqual({ commitUrl: null, path: 'gone.md', deleted: false });
+      expect(globalThis.fetch).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('republish', () => {
+    it('commits over the previously published path when the title changed', async () => {
+      stubGitHub({ existingSha: 'old-sha' });
+
+      const result = await publishToHugo(creds, { title: 'Renamed Post', content: 'Body' }, { path: 'content/posts/my-post.md' });
+
+      expect(result.id).toBe('content/posts/my-post.md');
+      expect(putBody().body).toMatchObject({ sha: 'old-sha', message: 'Update: Renamed Post' });
+    });
+
+    it('moves a Jekyll draft into _posts and deletes the old file', async () => {
+      globalThis.fetch.mockImplementation((url, opts = {}) => {
+        if (opts.method === 'PUT') return Promise.resolve({ ok: true, status: 201, json: async () => putResponse });
+        if (opts.method === 'DELETE') return Promise.resolve({ ok: true, status: 200, json: async () => putResponse });
+        if (url.includes('_drafts/')) return Promise.resolve({ ok: true, status: 200, json: async () => ({ sha: 'draft-sha' }) });
+        return Promise.resolve({ ok: false, status: 404, text: async () => '' });
+      });
+
+      const result = await publishToJekyll(creds, { title: 'My Post', content: 'Body', date: '2026-03-05' }, { path: '_drafts/my-post.md' });
+
+      expect(result.id).toBe('_posts/2026-03-05-my-post.md');
+      const del = globalThis.fetch.mock.calls.find(([, o]) => o?.method === 'DELETE');
+      expect(del[0]).toBe('https://api.github.com/repos/acme/blog/contents/_drafts/my-post.md');
+      expect(JSON.parse(del[1].body).sha).toBe('draft-sha');
+    });
+  });
+
+  describe('validateRepositoryAccess', () => {
+    it('checks push access and that the branch exists', async () => {
+      globalThis.fetch
+        .mockResolvedValueOnce({ ok: true, status: 200, json: async () => ({ permissions: { push: true } }) })
+        .mockResolvedValueOnce({ ok: true, status: 200 });
+      await expect(validateRepositoryAccess('hugo', creds)).resolves.toBeUndefined();
+      expect(globalThis.fetch.mock.calls[1][0]).toBe('https://api.github.com/repos/acme/blog/branches/main');
+    });
+
+    it('rejects read-only tokens and missing branches', async () => {
+      globalThis.fetch.mockResolvedValueOnce({ ok: true, status: 200, json: async () => ({ permissions: { push: false } }) });
+      await expect(validateRepositoryAccess('hugo', creds)).rejects.toThrow(/read-only/);
+
+      globalThis.fetch
+        .mockResolvedValueOnce({ ok: true, status: 200, json: async () => ({ permissions: { push: true } }) })
+        .mockResolvedValueOnce({ ok: false, status: 404, text: async () => '' });
+      await expect(validateRepositoryAccess('jekyll', { ...creds, branch: 'gh-pages' })).rejects.toThrow(/Jekyll branch "gh-pages" not found/);
+    });
+  });
+});
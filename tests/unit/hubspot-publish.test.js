@@ -0,0 +1,138 @@
+/**
+ * Unit tests for HubSpot blog publish/update/unpublish service.
+ */
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { NotFoundError } from '../../lib/errors.js';
+import {
+  publishToHubSpot,
+  unpublishFromHubSpot,
+  updateHubSpotPost,
+  validateHubSpotCredentials
+} from '../../services/hubspot-publish.js';
+
+const API = 'https://api.hubapi.com';
+const creds = { access_token: 'hs-token' };
+
+const ok = (body, status = 200) => ({ ok: true, status, json: async () => body, text: async () => JSON.stringify(body) });
+const fail = (status, body = {}) => ({ ok: false, status, json: async () => body, text: async () => JSON.stringify(body) });
+
+describe('hubspot-publish', () => {
+  const originalFetch = globalThis.fetch;
+
+  beforeEach(() => {
+    globalThis.fetch = vi.fn();
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    globalThis.fetch = originalFetch;
+    vi.restoreAllMocks();
+  });
+
+  describe('publishToHubSpot', () => {
+    it('creates the post on the first blog with resolved tags, then pushes it live', async () => {
+      globalThis.fetch
+        .mockResolvedValueOnce(ok({ results: [{ id: 42 }] }))
+        .mockResolvedValueOnce(ok({ results: [{ id: 7, name: 'SEO' }] }))
+        .mockResolvedValueOnce(ok({ results: [] }))
+        .mockResolvedValueOnce(ok({ id: 8, name: 'AI' }, 201))
+        .mockResolvedValueOnce(ok({ id: 'p1', url: 'https://blog.acme.com/hello-world' }, 201))
+        .mockResolvedValueOnce(ok({}, 204));
+
+      const result = await publishToHubSpot(creds, {
+        title: 'Hello World',
+        content: 'First **para**.',
+        featured_image: 'https://img.example.com/a.png',
+        featured_image_alt: 'A chart',
+        meta_description: 'Why hello matters.',
+        canonical_url: 'https://acme.com/hello',
+        tags: ['seo', 'AI']
+      });
+
+      expect(result).toEqual({ url: 'https://blog.acme.com/hello-world', id: 'p1' });
+      expect(globalThis.fetch.mock.calls[0][0]).toBe(`${API}/cms/v3/blog-settings/settings?limit=1`);
+      const [url, opts] = globalThis.fetch.mock.calls[4];
+      expect(url).toBe(`${API}/cms/v3/blogs/posts`);
+      expect(opts.headers.Authorization).toBe('Bearer hs-token');
+      expect(JSON.parse(opts.body)).toEqual({
+        name: 'Hello World',
+        htmlTitle: 'Hello World',
+        slug: 'hello-world',
+        postBody: '<p>First <strong>para</strong>.</p>\n',
+        metaDescription: 'Why hello matters.',
+        linkRelCanonicalUrl: 'https://acme.com/hello',
+        featuredImage: 'https://img.example.com/a.png',
+        featuredImageAltText: 'A chart',
+        useFeaturedImage: true,
+        tagIds: [7, 8],
+        contentGroupId: '42'
+      });
+      expect(globalThis.fetch.mock.calls[5][0]).toBe(`${API}/cms/v3/blogs/posts/p1/draft/push-live`);
+    });
+
+    it('leaves drafts unpublished and skips tags that fail', async () => {
+      globalThis.fetch
+        .mockResolvedValueOnce(fail(500))
+        .mockResolvedValueOnce(ok({ id: 'p2', url: '' }, 201));
+
+      const result = await publishToHubSpot({ ...creds, content_group_id: '42' }, { title: 'X', content: 'Body', tags: ['x'] }, { draft: true });
+
+      expect(result).toEqual({ url: '', id: 'p2' });
+      expect(globalThis.fetch).toHaveBeenCalledTimes(2);
+      const body = JSON.parse(globalThis.fetch.mock.calls[1][1].body);
+      expect(body.contentGroupId).toBe('42');
+      expect(body).not.toHaveProperty('tagIds');
+      expect(console.warn).toHaveBeenCalled();
+    });
+
+    it('fails clearly when the account has no blog', async () => {
+      globalThis.fetch.mockResolvedValueOnce(ok({ results: [] }));
+      await expect(publishToHubSpot(creds, { title: 'X', content: 'Body' })).rejects.toThrow(/has no blog/);
+    });
+  });
+
+  describe('updateHubSpotPost', () => {
+    it('PATCHes the draft version and pushes it live', async () => {
+      globalThis.fetch
+        .mockResolvedValueOnce(ok({ id: 'p1', url: 'https://blog.acme.com/edited' }))
+        .mockResolvedValueOnce(ok({}, 204));
+
+      const result = await updateHubSpotPost(creds, 'p1', { title: 'Edited', content: 'Body' });
+
+      expect(result).toEqual({ url: 'https://blog.acme.com/edited', id: 'p1' });
+      expect(globalThis.fetch.mock.calls[0][0]).toBe(`${API}/cms/v3/blogs/posts/p1/draft`);
+      expect(globalThis.fetch.mock.calls[0][1].method).toBe('PATCH');
+      expect(globalThis.fetch.mock.calls[1][0]).toBe(`${API}/cms/v3/blogs/posts/p1/draft/push-live`);
+    });
+
+    it('throws NotFoundError when the post was deleted', async () => {
+      globalThis.fetch.mockResolvedValueOnce(fail(404));
+      await expect(updateHubSpotPost(creds, 'p1', { title: 'X', content: 'Body' })).rejects.toBeInstanceOf(NotFoundError);
+    });
+  });
+
+  describe('unpublishFromHubSpot', () => {
+    it('reverts to draft, deletes in delete mode and treats 404 as gone', async () => {
+      globalThis.fetch.mockResolvedValueOnce(ok({}));
+      await expect(unpublishFromHubSpot(creds, 'p1')).resolves.toEqual({ id: 'p1', status: 'draft' });
+      expect(JSON.parse(globalThis.fetch.mock.calls[0][1].body)).toEqual({ state: 'DRAFT' });
+
+      globalThis.fetch.mockResolvedValueOnce(ok({}, 204));
+      await expect(unpublishFromHubSpot(creds, 'p1', { mode: 'delete' })).resolves.toEqual({ id: 'p1', status: 'deleted' });
+      expect(globalThis.fetch.mock.calls[1][1].method).toBe('DELETE');
+
+      globalThis.fetch.mockResolvedValueOnce(fail(404));
+      await expect(unpublishFromHubSpot(creds, 'p1', { mode: 'delete' })).resolves.toEqual({ id: 'p1', status: 'gone' });
+    });
+  });
+
+  describe('validateHubSpotCredentials', () => {
+    it('surfaces HubSpot messages and maps 401 to a reconnect message', async () => {
+      await expect(validateHubSpotCredentials({})).rejects.toThrow(/missing access_token/);
+      globalThis.fetch.mockResolvedValueOnce(fail(401));
+      await expect(validateHubSpotCredentials(creds)).rejects.toThrow(/Reconnect HubSpot/);
+      globalThis.fetch.mockResolvedValueOnce(fail(400, { message: 'Missing scope: content' }));
+      await expect(validateHubSpotCredentials(creds)).rejects.toThrow('Missing scope: content');
+    });
+  });
+});
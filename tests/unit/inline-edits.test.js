@@ -0,0 +1,145 @@
+/**
+ * Unit tests: inline AI edits on a selected passage (services/inline-edits.js).
+ */
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { ConflictError, NotFoundError, ValidationError } from '../../lib/errors.js';
+
+const mockQuery = vi.fn();
+vi.mock('../../services/database.js', () => ({
+  default: {
+    query: (...args) => mockQuery(...args),
+    transaction: (fn) => fn({ query: (...args) => mockQuery(...args) })
+  }
+}));
+
+const mockRequestGenerationJson = vi.fn();
+vi.mock('../../services/enhanced-blog-generation.js', () => ({
+  default: {
+    buildVoiceProfileSection: (profile) => (profile ? `VOICE ${profile.confidence_score}` : null),
+    requestGenerationJson: (...args) => mockRequestGenerationJson(...args)
+  }
+}));
+
+const { applyInlineEdit, parseOperationOptions, suggestInlineEdit } = await import('../../services/inline-edits.js');
+
+const CONTENT = '# Focus\n\nFocus compounds over time. Most teams spread themselves thin.\n';
+const POST = { id: 'p1', user_id: 'u1', title: 'Focus', content: CONTENT };
+const OWNER = { userId: 'u1' };
+
+/** Serve the post and the author's voice profile; UPDATE ... RETURNING echoes the new content. */
+function stubDb(post = POST, voiceProfile = { confidence_score: 70 }) {
+  mockQuery.mockImplementation(async (sql, params) => {
+    if (sql.includes('FROM blog_posts WHERE id = $1')) return { rows: post ? [post] : [] };
+    if (sql.includes('FROM aggregated_voice_profiles')) return { rows: voiceProfile ? [voiceProfile] : [] };
+    if (sql.includes('UPDATE blog_posts SET')) return { rows: [{ ...post, content: params[1] }] };
+    if (sql.includes('MAX(revision_number)')) return { rows: [{ latest: 2 }] };
+    return { rows: [] };
+  });
+}
+
+const selection = (text) => ({ start: CONTENT.indexOf(text), end: CONTENT.indexOf(text) + text.length });
+
+describe('inline-edits', () => {
+  beforeEach(() => {
+    mockQuery.mockReset();
+    mockRequestGenerationJson.mockReset();
+  });
+
+  describe('parseOperationOptions', () => {
+    it('validates the operation and its options', () => {
+      expect(parseOperationOptions('change_tone', { tone: ' playful ' })).toEqual({ tone: 'playful' });
+      expect(parseOperationOptions('simplify', { reading_level: 6 })).toEqual({ reading_level: 6 });
+      expect(parseOperationOptions('shorten')).toEqual({});
+      expect(() => parseOperationOptions('change_tone', {})).toThrow(ValidationError);
+      expect(() => parseOperationOptions('simplify', { reading_level: 30 })).toThrow(ValidationError);
+      expect(() => parseOperationOptions('translate')).toThrow(ValidationError);
+    });
+  });
+
+  describe('suggestInlineEdit', () => {
+    it('prompts with the selection, its surroundings and the voice profile', async () => {
+      stubDb();
+      mockRequestGenerationJson.mockResolvedValue({ data: { replacement: ' Focus pays off. ', citations: [] } });
+
+      const suggestion = await suggestInlineEdit('p1', OWNER, { range: selection('Focus compounds over time. '), operation: 'shorten' });
+
+      const [, prompt] = mockRequestGenerationJson.mock.calls[0];
+      expect(prompt).toContain('OPERATION: Shorten the passage');
+      expect(prompt).toContain('VOICE 70');
+      expect(prompt).toContain('SELECTED PASSAGE (replace this):\nFocus compounds over time. \n');
+      expect(prompt).toContain('TEXT AFTER THE PASSAGE (context only):\nMost teams');
+      expect(suggestion).toMatchObject({
+        operation: 'shorten',
+        original: 'Focus compounds over time. ',
+        replacement: 'Focus pays off. ',
+        warnings: [],
+        voice_adaptation_used: true
+      });
+    });
+
+    it("uses the voice profile of the post's organization, or the author's when the post has none", async () => {
+      mockRequestGenerationJson.mockResolvedValue({ data: { replacement: 'Focus pays off.', citations: [] } });
+      const voiceQuery = () => mockQuery.mock.calls.find(([sql]) => sql.includes('FROM aggregated_voice_profiles'));
+
+      stubDb({ ...POST, organization_id: 'org-2' });
+      await suggestInlineEdit('p1', OWNER, { range: selection('Focus compounds over time. '), operation: 'shorten' });
+      expect(voiceQuery()[0]).toMatch(/COALESCE\(\$1, \(\s*SELECT organization_id FROM organization_members/);
+      expect(voiceQuery()[1]).toEqual(['org-2', 'u1']);
+
+      mockQuery.mockReset();
+      stubDb({ ...POST, organization_id: null });
+      await suggestInlineEdit('p1', OWNER, { range: selection('Focus compounds over time. '), operation: 'shorten' });
+      expect(voiceQuery()[1]).toEqual([null, 'u1']);
+    });
+
+    it('warns when add_statistic returns no citation', async () => {
+      stubDb(POST, null);
+      mockRequestGenerationJson.mockResolvedValue({ data: { replacement: 'Most teams spread themselves thin.', citations: [{ url: 'not a url' }] } });
+
+      const suggestion = await suggestInlineEdit('p1', OWNER, { range: selection('Most teams spread themselves thin.'), operation: 'add_statistic' });
+
+      expect(suggestion.citations).toEqual([]);
+      expect(suggestion.warnings).toHaveLength(1);
+      expect(suggestion.voice_adaptation_used).toBe(false);
+    });
+
+    it('rejects ranges outside the content and posts of other owners', async () => {
+      stubDb();
+      await expect(suggestInlineEdit('p1', OWNER, { range: { start: 5, end: 500 }, operation: 'rewrite' })).rejects.toBeInstanceOf(ValidationError);
+      await expect(suggestInlineEdit('p1', OWNER, { range: { start: 7, end: 9 }, operation: 'rewrite' })).rejects.toThrow('Invalid range');
+
+      stubDb(null);
+      await expect(suggestInlineEdit('p1', OWNER, { range: { start: 0, end: 3 }, operation: 'rewrite' })).rejects.toBeInstanceOf(NotFoundError);
+      expect(mockRequestGenerationJson).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('applyInlineEdit', () => {
+    it('replaces the passage and records an inline_edit revision', async () => {
+      stubDb();
+
+      const { revision } = await applyInlineEdit('p1', OWNER, {
+        range: selection('Most teams spread themselves thin.'),
+        original: 'Most teams spread themselves thin.',
+        replacement: '- Most teams\n- spread thin'
+      });
+
+      const update = mockQuery.mock.calls.find(([sql]) => sql.includes('UPDATE blog_posts SET'));
+      expect(update[1][1]).toBe('# Focus\n\nFocus compounds over time. - Most teams\n- spread thin\n');
+      const revisionInsert = mockQuery.mock.calls.filter(([sql]) => sql.includes('INSERT INTO blog_post_revisions')).at(-1);
+      expect(revisionInsert[1]).toContain('inline_edit');
+      expect(revision).toBe(3);
+    });
+
+    it('follows the passage when earlier text moved it, and conflicts when it is gone', async () => {
+      stubDb({ ...POST, content: `# Focus\n\nNew intro.\n\n${CONTENT.slice(9)}` });
+      await applyInlineEdit('p1', OWNER, { range: { start: 9, end: 35 }, original: 'Focus compounds over time.', replacement: 'Focus wins.' });
+      const update = mockQuery.mock.calls.find(([sql]) => sql.includes('UPDATE blog_posts SET'));
+      expect(update[1][1]).toContain('New intro.\n\nFocus wins. Most teams');
+
+      stubDb({ ...POST, content: '# Focus\n\nRewritten entirely.' });
+      await expect(applyInlineEdit('p1', OWNER, { range: { start: 9, end: 35 }, original: 'Focus compounds over time.', replacement: 'x' }))
+        .rejects.toBeInstanceOf(ConflictError);
+    });
+  });
+});
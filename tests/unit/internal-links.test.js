@@ -0,0 +1,110 @@
+/**
+ * Unit tests: BM25 relevance index (lib/relevance-index.js) and internal-link suggestions (services/internal-links.js).
+ */
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { buildRelevanceIndex, normalizeTerm, rankDocuments } from '../../lib/relevance-index.js';
+
+const mockQuery = vi.fn();
+vi.mock('../../services/database.js', () => ({
+  default: {
+    query: (...args) => mockQuery(...args),
+    transaction: (fn) => fn({ query: (...args) => mockQuery(...args) })
+  }
+}));
+
+const { applyLinkSuggestions, findLinkSuggestions, suggestInternalLinksForPost, urlKey } = await import('../../services/internal-links.js');
+
+const PAGES = [
+  { id: 'w1', url: 'https://www.acme.com/services/email-marketing', title: 'Email Marketing Services', text: 'We run email marketing campaigns, newsletters, automation and list growth for small businesses.', source: 'website_page' },
+  { id: 'w2', url: 'https://acme.com/pricing', title: 'Pricing', text: 'Plans and pricing for our marketing services. Monthly plans, no contracts.', source: 'website_page' },
+  { id: 'b1', url: 'https://acme.com/blog/seo-basics', title: 'SEO Basics for Small Business', text: 'Search engine optimization basics: keywords, titles, meta descriptions and links.', source: 'blog_post' },
+  { id: 'w3', url: 'https://acme.com/about', title: 'About us', text: 'Our team of marketers has helped hundreds of businesses.', source: 'website_page' }
+];
+
+const DRAFT = `# Growing a small business online
+
+Email marketing is still the best channel for small businesses: newsletters and automation keep customers coming back.
+
+## Search
+
+Good SEO basics such as keywords and meta descriptions help people find you. See [our pricing](/pricing).
+
+Email newsletters work well with automation too.`;
+
+describe('internal-links', () => {
+  beforeEach(() => {
+    mockQuery.mockReset();
+  });
+
+  describe('relevance index', () => {
+    it('normalizes plurals and drops stopwords', () => {
+      expect(['Businesses', 'companies', 'pages', 'analysis', 'the', "Acme's"].map(normalizeTerm))
+        .toEqual(['business', 'company', 'page', 'analysis', null, 'acme']);
+    });
+
+    it('ranks the page a passage is about first', () => {
+      const index = buildRelevanceIndex(PAGES);
+      const ranked = rankDocuments(index, 'Which keywords and meta descriptions matter for SEO?');
+      expect(ranked[0].entry.document.id).toBe('b1');
+      expect(ranked[0].matchedTerms).toEqual(['keyword', 'meta', 'description', 'seo']);
+    });
+  });
+
+  describe('findLinkSuggestions', () => {
+    it('proposes one link per page with anchors from the page title, skipping pages already linked', () => {
+      const suggestions = findLinkSuggestions(buildRelevanceIndex(PAGES), DRAFT);
+
+      expect(suggestions.map((s) => [s.anchor_text, s.url, s.source])).toEqual([
+        ['Email marketing', 'https://www.acme.com/services/email-marketing', 'website_page'],
+        ['SEO basics', 'https://acme.com/blog/seo-basics', 'blog_post']
+      ]);
+      expect(DRAFT.slice(suggestions[0].start, suggestions[0].end)).toBe('Email marketing');
+      expect(suggestions[0].score).toBeGreaterThan(2);
+    });
+
+    it('counts existing internal links against maxLinks and honours excluded URLs', () => {
+      const index = buildRelevanceIndex(PAGES);
+      expect(findLinkSuggestions(index, DRAFT, { maxLinks: 2 })).toHaveLength(1);
+      expect(findLinkSuggestions(index, DRAFT, { maxLinks: 1 })).toEqual([]);
+      expect(findLinkSuggestions(index, DRAFT, { excludeUrls: ['https://acme.com/blog/seo-basics/'] }).map((s) => s.url))
+        .toEqual(['https://www.acme.com/services/email-marketing']);
+    });
+
+    it('compares link targets by path on the organization hosts only', () => {
+      const hosts = new Set(['acme.com']);
+      expect(urlKey('https://www.acme.com/Pricing/', hosts)).toBe('/pricing');
+      expect(urlKey('/pricing?plan=pro', hosts)).toBe('/pricing');
+      expect(urlKey('https://other.com/pricing', hosts)).toBeNull();
+      expect(urlKey('mailto:hi@acme.com', hosts)).toBeNull();
+    });
+  });
+
+  it('turns suggestions into markdown links', () => {
+    const suggestions = findLinkSuggestions(buildRelevanceIndex(PAGES), DRAFT);
+    const { content, applied } = applyLinkSuggestions(DRAFT, suggestions);
+
+    expect(applied).toHaveLength(2);
+    expect(content).toContain('[Email marketing](https://www.acme.com/services/email-marketing) is still');
+    expect(content).toContain('Good [SEO basics](https://acme.com/blog/seo-basics) such as');
+    expect(applyLinkSuggestions('Changed text', suggestions)).toEqual({ content: 'Changed text', applied: [] });
+  });
+
+  it('indexes scraped pages and published posts of the post organization, never the post itself', async () => {
+    mockQuery.mockImplementation(async (sql) => {
+      if (sql.includes('FROM blog_posts WHERE id = $1')) {
+        return { rows: [{ id: 'p1', user_id: 'u1', organization_id: 'org-1', content: DRAFT, canonical_url: 'https://acme.com/blog/seo-basics' }] };
+      }
+      if (sql.includes('FROM website_pages')) return { rows: PAGES.filter((p) => p.source === 'website_page').map(({ text, ...p }) => ({ ...p, content: text })) };
+      if (sql.includes("publication_status = 'published'")) {
+        return { rows: [{ id: 'b1', title: PAGES[2].title, content: PAGES[2].text, canonical_url: null, platform_publications: [{ platform: 'wordpress', status: 'published', url: PAGES[2].url }] }] };
+      }
+      return { rows: [] };
+    });
+
+    const result = await suggestInternalLinksForPost('p1', { userId: 'u1' }, { maxLinks: '3' });
+
+    expect(result.indexed_pages).toBe(4);
+    expect(result.suggestions.map((s) => s.url)).toEqual(['https://www.acme.com/services/email-marketing']);
+    expect(mockQuery.mock.calls.find(([sql]) => sql.includes('FROM website_pages'))[1]).toEqual(['org-1']);
+  });
+});
@@ -0,0 +1,63 @@
+/**
+ * Unit tests: job history listing and filters (services/job-history.js).
+ */
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { InvariantViolation } from '../../lib/errors.js';
+
+const mockQuery = vi.fn();
+vi.mock('../../services/database.js', () => ({
+  default: { query: (...args) => mockQuery(...args) }
+}));
+
+const { listAllJobs, listJobsForOwner, parseJobFilters } = await import('../../services/job-history.js');
+
+const ROW = {
+  id: 'j1', tenant_id: 'org-1', user_id: 'u1', session_id: 's1', type: 'content_generation', status: 'succeeded',
+  progress: 100, current_step: null, error: null, error_code: null, cancelled_at: null,
+  started_at: new Date('2026-01-01T00:00:10Z'), finished_at: new Date('2026-01-01T00:01:40Z'),
+  created_at: new Date('2026-01-01T00:00:00Z'), updated_at: new Date('2026-01-01T00:01:40Z')
+};
+
+describe('job-history', () => {
+  beforeEach(() => {
+    mockQuery.mockReset();
+    mockQuery.mockImplementation(async (sql) => (sql.includes('COUNT(*)') ? { rows: [{ total: '3' }] } : { rows: [ROW] }));
+  });
+
+  describe('parseJobFilters', () => {
+    it('accepts comma-separated and repeated values and clamps paging', () => {
+      expect(parseJobFilters({ type: ['website_analysis,content_generation'], status: ['failed', 'queued'], limit: '500', offset: '-4' }))
+        .toMatchObject({ types: ['website_analysis', 'content_generation'], statuses: ['failed', 'queued'], limit: 100, offset: 0 });
+      expect(parseJobFilters({})).toMatchObject({ types: [], statuses: [], from: null, to: null, limit: 20, offset: 0 });
+    });
+
+    it('rejects unknown values and inverted ranges', () => {
+      expect(() => parseJobFilters({ type: 'website_analysis,mining' })).toThrow(/Invalid type: mining/);
+      expect(() => parseJobFilters({ status: 'cancelled' })).toThrow(InvariantViolation);
+      expect(() => parseJobFilters({ from: '2026-02-01', to: '2026-01-01' })).toThrow('from is after to');
+    });
+  });
+
+  it('lists jobs owned by the user or the session without payloads', async () => {
+    const filters = parseJobFilters({ status: 'succeeded', from: '2026-01-01', limit: '1' });
+
+    const { jobs, pagination } = await listJobsForOwner({ userId: 'u1', sessionId: 's1' }, filters);
+
+    const [sql, params] = mockQuery.mock.calls.find(([q]) => q.includes('ORDER BY'));
+    expect(sql).toContain('(user_id = $1 OR session_id = $2) AND status = ANY($3) AND created_at >= $4');
+    expect(params).toEqual(['u1', 's1', ['succeeded'], new Date('2026-01-01'), 1, 0]);
+    expect(jobs).toEqual([expect.objectContaining({ jobId: 'j1', status: 'succeeded', cancelled: false, durationSeconds: 90, createdAt: '2026-01-01T00:00:00.000Z' })]);
+    expect(jobs[0]).not.toHaveProperty('result');
+    expect(jobs[0]).not.toHaveProperty('userId');
+    expect(pagination).toEqual({ total: 3, limit: 1, offset: 0, hasMore: true });
+  });
+
+  it('lists all users jobs for admins, optionally for one user', async () => {
+    const { jobs } = await listAllJobs(parseJobFilters({ userId: 'u2' }));
+
+    const [sql, params] = mockQuery.mock.calls.find(([q]) => q.includes('ORDER BY'));
+    expect(sql).toContain('WHERE user_id = $1');
+    expect(params).toEqual(['u2', 20, 0]);
+    expect(jobs[0]).toMatchObject({ userId: 'u1', sessionId: 's1', tenantId: 'org-1' });
+  });
+});
@@ -4,10 +4,16 @@
  */
 import { describe, it, expect, vi, beforeAll, afterEach } from 'vitest';
 
-const mockAdd = vi.fn().mockResolvedValue({ id: 'mock-bull-id' });
+/** Jobs held by the mocked BullMQ queue. Like BullMQ, add() ignores a job id the queue still holds. */
+const bullJobs = new Map();
+const mockAdd = vi.fn(async (name, data, opts = {}) => {
+  if (opts.jobId && !bullJobs.has(opts.jobId)) bullJobs.set(opts.jobId, { name, data, opts, state: 'waiting' });
+  return { id: opts.jobId ?? 'mock-bull-id' };
+});
+const mockGetJob = vi.fn(async (id) => (bullJobs.has(id) ? { id, remove: async () => { bullJobs.delete(id); } } : undefined));
 
 vi.mock('../../services/database.js', () => ({
-  default: { query: vi.fn() },
+  default: { query: vi.fn(), transaction: vi.fn() },
 }));
 
 vi.mock('ioredis', () => ({
@@ -17,7 +23,7 @@ vi.mock('ioredis', () => ({
 }));
 
 vi.mock('bullmq', () => ({
-  Queue: vi.fn().mockImplementation(function MockQueue() { return { add: mockAdd }; }),
+  Queue: vi.fn().mockImplementation(function MockQueue() { return { add: mockAdd, getJob: mockGetJob }; }),
 }));
 
 const db = (await import('../../services/database.js')).default;
@@ -31,7 +37,9 @@ beforeAll(async () => {
 
 afterEach(() => {
   vi.mocked(db.query).mockReset();
+  vi.mocked(db.transaction).mockReset();
   mockAdd.mockClear();
+  bullJobs.clear();
 });
 
 describe('job-queue', () => {
@@ -95,7 +103,7 @@ describe('job-queue', () => {
         expect.stringContaining('INSERT INTO jobs'),
         expect.any(Array)
       );
-      expect(mockAdd).toHaveBeenCalledWith('website_analysis', { jobId }, { jobId });
+      expect(mockAdd).toHaveBeenCalledWith('website_analysis', { jobId }, { jobId, priority: 3 });
     });
 
     it('accepts userId and tenantId', async () => {
@@ -106,7 +114,7 @@ describe('job-queue', () => {
         userId: 'u1',
         tenantId: 'org1',
       });
-      expect(db.query).toHaveBeenNthCalledWith(1, 'SELECT id FROM users WHERE id = $1', ['u1']);
+      expect(db.query).toHaveBeenNthCalledWith(1, expect.stringContaining('FROM users u WHERE u.id = $1'), ['u1']);
       const [, params] = vi.mocked(db.query).mock.calls[1];
       expect(params[0]).toBeDefined();
       expect(params[2]).toBe('u1');
@@ -118,7 +126,7 @@ describe('job-queue', () => {
       await expect(
         jobQueue.createJob('website_analysis', { url: 'https://x.com' }, { userId: 'nonexistent-user-id' })
       ).rejects.toMatchObject({ name: 'UserNotFoundError', userId: 'nonexistent-user-id' });
-      expect(db.query).toHaveBeenCalledWith('SELECT id FROM users WHERE id = $1', ['nonexistent-user-id']);
+      expect(db.query).toHaveBeenCalledWith(expect.stringContaining('FROM users u WHERE u.id = $1'), ['nonexistent-user-id']);
       expect(db.query).not.toHaveBeenCalledWith(expect.stringContaining('INSERT INTO jobs'), expect.any(Array));
     });
 
@@ -131,13 +139,37 @@ describe('job-queue', () => {
         sessionId: 'session_anon_123',
       });
       expect(jobId).toBeDefined();
-      expect(db.query).toHaveBeenNthCalledWith(1, 'SELECT id FROM users WHERE id = $1', ['deleted-user-id']);
+      expect(db.query).toHaveBeenNthCalledWith(1, expect.stringContaining('FROM users u WHERE u.id = $1'), ['deleted-user-id']);
       const [, params] = vi.mocked(db.query).mock.calls[1];
       expect(params[2]).toBe(null);
       expect(params[3]).toBe('session_anon_123');
     });
   });
 
+  describe('createJob scheduling', () => {
+    it('enqueues with the priority of the type and plan and stores the hints', async () => {
+      vi.mocked(db.query)
+        .mockResolvedValueOnce({ rows: [{ id: 'u1', plan_name: 'Professional' }] })
+        .mockResolvedValueOnce({ rows: [], rowCount: 1 });
+      const { jobId } = await jobQueue.createJob('content_calendar_post', { audienceId: 'a1', dayNumber: 3 }, { userId: 'u1' }, {
+        maxConcurrent: 1,
+        attempts: 2,
+      });
+      expect(mockAdd).toHaveBeenCalledWith('content_calendar_post', { jobId }, { jobId, priority: 9, attempts: 2 });
+      const [sql, params] = vi.mocked(db.query).mock.calls[1];
+      expect(sql).toContain('priority, plan_tier, max_concurrent');
+      expect(params.slice(6)).toEqual([9, 'pro', 1, null]);
+    });
+
+    it('lets the caller pick the priority class', async () => {
+      vi.mocked(db.query).mockResolvedValue({ rows: [], rowCount: 1 });
+      await jobQueue.createJob('content_generation', {}, { sessionId: 's1' }, { priority: 'background' });
+      expect(mockAdd.mock.calls[0][2].priority).toBe(11);
+      await expect(jobQueue.createJob('content_generation', {}, { sessionId: 's1' }, { priority: 'urgent' })).rejects.toThrow('Invalid priority');
+      await expect(jobQueue.createJob('content_generation', {}, { sessionId: 's1' }, { maxConcurrent: 0 })).rejects.toThrow('Invalid maxConcurrent');
+    });
+  });
+
   describe('createContentCalendarJob', () => {
     it('creates content_calendar job with strategyIds', async () => {
       vi.mocked(db.query)
@@ -242,6 +274,78 @@ describe('job-queue', () => {
     });
   });
 
+  describe('getJobStatus queue position', () => {
+    it('adds position and estimated wait for queued jobs', async () => {
+      process.env.JOB_WORKER_CONCURRENCY = '2';
+      vi.mocked(db.query).mockImplementation(async (sql) => {
+        if (sql.includes('SELECT * FROM jobs')) {
+          return { rows: [{ id: 'j3', user_id: 'u1', type: 'website_analysis', status: 'queued', priority: 2, created_at: new Date() }] };
+        }
+        if (sql.includes("status = 'queued'")) return { rows: [{ type: 'website_analysis', count: '3' }, { type: 'publish_post', count: '1' }] };
+        return { rows: [{ type: 'website_analysis', avg_seconds: '40' }] };
+      });
+      const status = await jobQueue.getJobStatus('j3', { userId: 'u1' });
+      delete process.env.JOB_WORKER_CONCURRENCY;
+      expect(status).toMatchObject({ status: 'queued', queuePosition: 5, estimatedWaitSeconds: 90 });
+      const [, params] = vi.mocked(db.query).mock.calls.find(([sql]) => sql.includes("status = 'queued'"));
+      expect(params.slice(0, 2)).toEqual(['j3', 2]);
+    });
+  });
+
+  describe('claimJobSlot', () => {
+    const row = { id: 'j1', user_id: 'u1', session_id: null, tenant_id: 'org1', type: 'content_calendar_post', plan_tier: 'standard', max_concurrent: null };
+
+    function stubClaim(counts) {
+      const client = {
+        query: vi.fn(async (sql) => {
+          if (sql.includes('COUNT(*)')) return { rows: [counts] };
+          if (sql.includes('UPDATE jobs')) return { rows: [{ id: 'j1' }] };
+          return { rows: [] };
+        }),
+      };
+      vi.mocked(db.transaction).mockImplementation((fn) => fn(client));
+      return client;
+    }
+
+    it('claims the job when the owner and organization are under their caps', async () => {
+      const client = stubClaim({ owner_running: '1', organization_running: '2', same_type_running: '1' });
+      await expect(jobQueue.claimJobSlot(row)).resolves.toEqual({ claimed: true });
+      expect(client.query).toHaveBeenCalledWith('SELECT pg_advisory_xact_lock(hashtext($1))', ['jobs:user_id:u1']);
+      expect(client.query).toHaveBeenCalledWith('SELECT pg_advisory_xact_lock(hashtext($1))', ['jobs:tenant_id:org1']);
+      expect(client.query).toHaveBeenCalledWith(expect.stringContaining("SET status = 'running'"), ['j1']);
+    });
+
+    it('defers the job at the plan cap or the caller hint', async () => {
+      stubClaim({ owner_running: '2', organization_running: '2', same_type_running: '0' });
+      await expect(jobQueue.claimJobSlot(row)).resolves.toMatchObject({ claimed: false, cap: 'user', retryInMs: expect.any(Number) });
+
+      stubClaim({ owner_running: '0', organization_running: '3', same_type_running: '0' });
+      await expect(jobQueue.claimJobSlot(row)).resolves.toMatchObject({ claimed: false, cap: 'organization' });
+
+      const client = stubClaim({ owner_running: '1', organization_running: '1', same_type_running: '1' });
+      await expect(jobQueue.claimJobSlot({ ...row, max_concurrent: 1 })).resolves.toMatchObject({ claimed: false, cap: 'type' });
+      expect(client.query).not.toHaveBeenCalledWith(expect.stringContaining('UPDATE jobs'), expect.anything());
+    });
+
+    it('claims batch jobs without counting or waiting for running jobs', async () => {
+      const client = stubClaim({ owner_running: '9', organization_running: '9', same_type_running: '9' });
+      await expect(jobQueue.claimJobSlot({ ...row, type: 'content_generation_batch' })).resolves.toEqual({ claimed: true });
+      expect(client.query).not.toHaveBeenCalledWith(expect.stringContaining('COUNT(*)'), expect.anything());
+
+      await jobQueue.claimJobSlot(row);
+      const [sql] = client.query.mock.calls.find(([q]) => q.includes('COUNT(*)'));
+      expect(sql).toContain("type <> 'content_generation_batch'");
+    });
+
+    it('counts anonymous jobs by session', async () => {
+      const client = stubClaim({ owner_running: '0', organization_running: '0', same_type_running: '0' });
+      await jobQueue.claimJobSlot({ ...row, user_id: null, session_id: 's1', tenant_id: null, plan_tier: null });
+      const [sql, params] = client.query.mock.calls.find(([q]) => q.includes('COUNT(*)'));
+      expect(sql).toContain('session_id = $2');
+      expect(params.slice(0, 3)).toEqual(['j1', 's1', null]);
+    });
+  });
+
   describe('retryJob', () => {
     it('returns null when job not found', async () => {
       vi.mocked(db.query).mockResolvedValue({ rows: [] });
@@ -271,6 +375,61 @@ describe('job-queue', () => {
       expect(db.query).toHaveBeenCalledTimes(2);
       expect(mockAdd).toHaveBeenCalledWith('content_generation', { jobId: 'j1' }, { jobId: 'j1' });
     });
+
+    it('replaces the failed BullMQ job the queue still holds, so the retry runs', async () => {
+      bullJobs.set('j1', { name: 'content_generation', state: 'failed' });
+      vi.mocked(db.query)
+        .mockResolvedValueOnce({ rows: [{ id: 'j1', user_id: 'u1', session_id: null, status: 'failed', type: 'content_generation' }] })
+        .mockResolvedValueOnce({ rows: [], rowCount: 1 });
+
+      await jobQueue.retryJob('j1', { userId: 'u1' });
+
+      expect(bullJobs.get('j1')).toMatchObject({ state: 'waiting' });
+    });
+  });
+
+  describe('dead-letter queue', () => {
+    const J1 = '11111111-1111-4111-8111-111111111111';
+    const J2 = '22222222-2222-4222-8222-222222222222';
+
+    it('rejects empty, malformed or oversized id lists', async () => {
+      for (const jobIds of [[], 'j1', ['not-a-uuid'], Array(jobQueue.MAX_DEAD_LETTER_BATCH + 1).fill(J1)]) {
+        await expect(jobQueue.requeueDeadLetteredJobs(jobIds)).rejects.toMatchObject({ name: 'InvariantViolation', statusCode: 400 });
+      }
+      await expect(jobQueue.discardDeadLetteredJobs([])).rejects.toMatchObject({ statusCode: 400 });
+      expect(db.query).not.toHaveBeenCalled();
+    });
+
+    it('requeues dead-lettered jobs with fresh attempts and their priority, skipping the rest', async () => {
+      vi.mocked(db.query).mockResolvedValue({ rows: [{ id: J1, type: 'content_generation', priority: 3 }] });
+
+      const out = await jobQueue.requeueDeadLetteredJobs([J1, J2]);
+
+      expect(out).toEqual({ requeued: [J1], skipped: [J2] });
+      const [sql, params] = vi.mocked(db.query).mock.calls[0];
+      expect(sql).toContain('attempts = 0');
+      expect(sql).toContain('dead_lettered_at IS NOT NULL AND dead_letter_discarded_at IS NULL');
+      expect(params).toEqual([[J1, J2]]);
+      expect(mockAdd).toHaveBeenCalledTimes(1);
+      expect(mockAdd).toHaveBeenCalledWith('content_generation', { jobId: J1 }, { jobId: J1, priority: 3 });
+    });
+
+    it('replaces the failed BullMQ job of a requeued job', async () => {
+      bullJobs.set(J1, { name: 'content_generation', state: 'failed' });
+      vi.mocked(db.query).mockResolvedValue({ rows: [{ id: J1, type: 'content_generation', priority: 3 }] });
+
+      await jobQueue.requeueDeadLetteredJobs([J1]);
+
+      expect(bullJobs.get(J1)).toMatchObject({ state: 'waiting', opts: { jobId: J1, priority: 3 } });
+    });
+
+    it('discards dead-lettered jobs without enqueueing them', async () => {
+      vi.mocked(db.query).mockResolvedValue({ rows: [{ id: J2 }] });
+
+      await expect(jobQueue.discardDeadLetteredJobs([J1, J2])).resolves.toEqual({ discarded: [J2], skipped: [J1] });
+      expect(vi.mocked(db.query).mock.calls[0][0]).toContain('SET dead_letter_discarded_at = NOW()');
+      expect(mockAdd).not.toHaveBeenCalled();
+    });
   });
 
   describe('cancelJob', () => {
@@ -0,0 +1,69 @@
+/**
+ * Unit tests: job failure policy — transient errors, retry backoff and dead-lettering (lib/job-retry.js).
+ */
+import { describe, it, expect } from 'vitest';
+import {
+  isTransientJobError,
+  jobFailureDisposition,
+  maxJobAttempts,
+  retryDelayMs,
+  DEFAULT_MAX_ATTEMPTS,
+  RETRY_BASE_DELAY_MS,
+  RETRY_MAX_DELAY_MS
+} from '../../lib/job-retry.js';
+
+const withProps = (message, props) => Object.assign(new Error(message), props);
+
+describe('job-retry', () => {
+  it('treats rate limits, upstream 5xx, network errors and timeouts as transient', () => {
+    const transient = [
+      withProps('Rate limit reached', { status: 429 }),
+      withProps('Bad gateway', { status: 502 }),
+      withProps('Request failed', { response: { status: 503 } }),
+      withProps('socket hang up', { code: 'ECONNRESET' }),
+      withProps('fetch failed', { cause: { code: 'UND_ERR_CONNECT_TIMEOUT' } }),
+      withProps('Connection error.', { name: 'APIConnectionError' }),
+      new Error('Navigation timeout of 30000 ms exceeded'),
+      new Error('Request timed out')
+    ];
+    const permanent = [
+      withProps('Invalid API key', { status: 401 }),
+      withProps('Bad request', { status: 400 }),
+      withProps('Insufficient credits', { code: 'INSUFFICIENT_CREDITS' }),
+      new TypeError("Cannot read properties of undefined (reading 'title')"),
+      null
+    ];
+
+    expect(transient.map(isTransientJobError)).toEqual(transient.map(() => true));
+    expect(permanent.map(isTransientJobError)).toEqual(permanent.map(() => false));
+  });
+
+  it('gives publish_post a single attempt and honors JOB_MAX_ATTEMPTS for other types', () => {
+    expect(maxJobAttempts('content_generation', {})).toBe(DEFAULT_MAX_ATTEMPTS);
+    expect(maxJobAttempts('content_generation', { JOB_MAX_ATTEMPTS: '5' })).toBe(5);
+    expect(maxJobAttempts('content_generation', { JOB_MAX_ATTEMPTS: '0' })).toBe(DEFAULT_MAX_ATTEMPTS);
+    expect(maxJobAttempts('publish_post', { JOB_MAX_ATTEMPTS: '5' })).toBe(1);
+  });
+
+  it('backs off exponentially, honors Retry-After and caps the delay', () => {
+    expect([1, 2, 3].map((attempt) => retryDelayMs(attempt))).toEqual([
+      RETRY_BASE_DELAY_MS,
+      RETRY_BASE_DELAY_MS * 2,
+      RETRY_BASE_DELAY_MS * 4
+    ]);
+    expect(retryDelayMs(1, withProps('Rate limited', { headers: { 'retry-after': '45' } }))).toBe(45 * 1000);
+    expect(retryDelayMs(1, withProps('Rate limited', { headers: new Headers({ 'retry-after': '2' }) }))).toBe(RETRY_BASE_DELAY_MS);
+    expect(retryDelayMs(1, withProps('Rate limited', { response: { headers: { 'retry-after': '3600' } } }))).toBe(RETRY_MAX_DELAY_MS);
+    expect(retryDelayMs(20)).toBe(RETRY_MAX_DELAY_MS);
+  });
+
+  it('retries transient errors while attempts remain, then dead-letters; never for cancelled or expected failures', () => {
+    const rateLimited = withProps('Rate limit reached', { status: 429 });
+    expect(jobFailureDisposition(rateLimited, { attempt: 1, maxAttempts: 3 })).toBe('retry');
+    expect(jobFailureDisposition(rateLimited, { attempt: 3, maxAttempts: 3 })).toBe('dead_letter');
+    expect(jobFailureDisposition(new Error('Unexpected token < in JSON'), { attempt: 1, maxAttempts: 3 })).toBe('dead_letter');
+    expect(jobFailureDisposition(rateLimited, { attempt: 1, maxAttempts: 3, cancelled: true })).toBe('fail');
+    expect(jobFailureDisposition(withProps('Insufficient credits', { code: 'INSUFFICIENT_CREDITS' }), { attempt: 1, maxAttempts: 3 }))
+      .toBe('fail');
+  });
+});
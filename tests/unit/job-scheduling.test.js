@@ -0,0 +1,43 @@
+/**
+ * Unit tests: job priorities, concurrency caps and wait estimate (lib/job-scheduling.js).
+ */
+import { describe, it, expect } from 'vitest';
+import { capReached, concurrencyLimits, estimateWaitSeconds, jobPriority, planTier, workerConcurrency } from '../../lib/job-scheduling.js';
+
+describe('job-scheduling', () => {
+  it('maps subscription plans to tiers', () => {
+    expect(['Professional', 'Pro', 'Starter', 'Free', 'Pay as You Go', null].map((name) => planTier(name)))
+      .toEqual(['pro', 'pro', 'standard', 'free', 'free', 'free']);
+    expect(planTier('Professional', { anonymous: true })).toBe('anonymous');
+  });
+
+  it('orders interactive before background work whatever the plan', () => {
+    const interactiveFree = jobPriority('website_analysis', { plan: 'free' });
+    const backgroundPro = jobPriority('content_calendar', { plan: 'pro' });
+    expect(interactiveFree).toBeLessThan(backgroundPro);
+    expect(jobPriority('website_analysis', { plan: 'pro' })).toBeLessThan(interactiveFree);
+    expect(jobPriority('website_analysis', { plan: 'pro', priority: 'background' })).toBe(backgroundPro);
+    expect(jobPriority('website_analysis', { plan: 'pro' })).toBeGreaterThanOrEqual(1);
+  });
+
+  it('reads caps from the plan, overridable by env', () => {
+    expect(concurrencyLimits('standard', {})).toEqual({ perUser: 2, perOrganization: 3 });
+    expect(concurrencyLimits('unknown', {})).toEqual(concurrencyLimits('free', {}));
+    expect(concurrencyLimits('pro', { JOB_MAX_CONCURRENT_PER_USER: '1', JOB_MAX_CONCURRENT_PER_ORG: 'x' })).toEqual({ perUser: 1, perOrganization: 5 });
+    expect(workerConcurrency({ JOB_WORKER_CONCURRENCY: '6' })).toBe(6);
+    expect(workerConcurrency({})).toBe(3);
+  });
+
+  it('reports the first cap reached', () => {
+    const limits = { perUser: 2, perOrganization: 3 };
+    expect(capReached({ user: 1, organization: 2, sameType: 1 }, limits)).toBeNull();
+    expect(capReached({ user: 2, organization: 3, sameType: 0 }, limits)).toBe('user');
+    expect(capReached({ user: 1, organization: 3, sameType: 0 }, limits)).toBe('organization');
+    expect(capReached({ user: 1, organization: 1, sameType: 1 }, limits, 1)).toBe('type');
+  });
+
+  it('estimates the wait from the work ahead and the worker slots', () => {
+    expect(estimateWaitSeconds({ website_analysis: 2, publish_post: 1 }, { website_analysis: 30 }, 3)).toBe(40);
+    expect(estimateWaitSeconds({}, {}, 3)).toBe(0);
+  });
+});
@@ -13,6 +13,8 @@ const mockCancelJob = vi.fn();
 const mockGetJobRow = vi.fn();
 const mockGetNarrativeStream = vi.fn();
 const mockGetConnection = vi.fn();
+const mockListJobsForOwner = vi.fn();
+const mockCreateBulkGenerationJob = vi.fn();
 
 vi.mock('../../services/job-queue.js', () => ({
   createJob: (...args) => mockCreateJob(...args),
@@ -22,6 +24,21 @@ vi.mock('../../services/job-queue.js', () => ({
   getJobRow: (...args) => mockGetJobRow(...args),
   getNarrativeStream: (...args) => mockGetNarrativeStream(...args),
   getConnection: () => mockGetConnection(),
+  JOB_TYPES: ['website_analysis', 'content_generation'],
+  BATCH_JOB_TYPE: 'content_generation_batch',
+}));
+
+// The real CSV/topic parsers are used; billing (which loads the OpenAI email generator) is not reached
+vi.mock('../../services/billing.js', () => ({ default: {} }));
+
+vi.mock('../../services/bulk-generation.js', async (importOriginal) => ({
+  ...(await importOriginal()),
+  createBulkGenerationJob: (...args) => mockCreateBulkGenerationJob(...args),
+}));
+
+vi.mock('../../services/job-history.js', async (importOriginal) => ({
+  ...(await importOriginal()),
+  listJobsForOwner: (...args) => mockListJobsForOwner(...args),
 }));
 
 const mockWhenNarrativePatternReady = vi.fn().mockResolvedValue(undefined);
@@ -67,11 +84,41 @@ describe('jobs api', () => {
     mockGetJobRow.mockReset();
     mockGetNarrativeStream.mockReset();
     mockGetConnection.mockReset();
+    mockListJobsForOwner.mockReset();
+    mockCreateBulkGenerationJob.mockReset();
     mockWhenNarrativePatternReady.mockReset();
     mockRegisterNarrativeStream.mockReset();
     mockUnregisterNarrativeStream.mockReset();
   });
 
+  describe('GET /api/v1/jobs', () => {
+    it('returns 401 without auth or session', async () => {
+      await request(app).get('/api/v1/jobs').expect(401);
+      expect(mockListJobsForOwner).not.toHaveBeenCalled();
+    });
+
+    it('lists the caller jobs with parsed filters', async () => {
+      const pagination = { total: 1, limit: 10, offset: 0, hasMore: false };
+      mockListJobsForOwner.mockResolvedValue({ jobs: [{ jobId: 'j1', type: 'website_analysis', status: 'failed' }], pagination });
+      const res = await request(app)
+        .get('/api/v1/jobs')
+        .query({ type: 'website_analysis', status: 'failed,running', from: '2026-01-01', limit: 10 })
+        .set('x-session-id', 's1')
+        .expect(200);
+      expect(res.body).toEqual({ success: true, jobs: [{ jobId: 'j1', type: 'website_analysis', status: 'failed' }], pagination });
+      expect(mockListJobsForOwner).toHaveBeenCalledWith(
+        { userId: null, sessionId: 's1' },
+        expect.objectContaining({ types: ['website_analysis'], statuses: ['failed', 'running'], from: new Date('2026-01-01'), to: null, limit: 10, offset: 0 })
+      );
+    });
+
+    it('returns 400 for an unknown status or a bad date', async () => {
+      await request(app).get('/api/v1/jobs').query({ status: 'done' }).set('x-test-user-id', 'u1').expect(400);
+      await request(app).get('/api/v1/jobs').query({ from: 'yesterday' }).set('x-test-user-id', 'u1').expect(400);
+      expect(mockListJobsForOwner).not.toHaveBeenCalled();
+    });
+  });
+
   describe('POST /api/v1/jobs/website-analysis', () => {
     it('returns 401 without auth or session', async () => {
       await request(app)
@@ -169,6 +216,63 @@ describe('jobs api', () => {
     });
   });
 
+  describe('POST /api/v1/jobs/content-generation/bulk', () => {
+    it('returns 401 without user', async () => {
+      await request(app)
+        .post('/api/v1/jobs/content-generation/bulk')
+        .set('x-session-id', 's1')
+        .send({ organizationId: 'org1', topics: ['x'] })
+        .expect(401);
+      expect(mockCreateBulkGenerationJob).not.toHaveBeenCalled();
+    });
+
+    it('creates a batch from an uploaded CSV, reporting invalid rows', async () => {
+      mockCreateBulkGenerationJob.mockImplementation(async (_userId, { rows, invalid }) => ({
+        jobId: 'b1', totalRows: rows.length + invalid.length, queuedRows: rows.length, invalidRows: invalid
+      }));
+      const csv = 'Topic,Keyword,Publish Date\n"Email tips, 2025",email marketing,2025-03-01\n,orphan keyword,\n';
+      const res = await request(app)
+        .post('/api/v1/jobs/content-generation/bulk')
+        .set('x-test-user-id', 'u1')
+        .field('organizationId', 'org1')
+        .field('options', '{"includeVisuals":false}')
+        .field('platforms', 'wordpress,ghost')
+        .field('timezone', 'Europe/Berlin')
+        .attach('file', Buffer.from(csv), { filename: 'topics.csv', contentType: 'text/csv' })
+        .expect(201);
+
+      expect(res.body).toMatchObject({ jobId: 'b1', totalRows: 2, queuedRows: 1, invalidRows: [{ row: 3, error: 'topic is required' }] });
+      const [userId, batch] = mockCreateBulkGenerationJob.mock.calls[0];
+      expect(userId).toBe('u1');
+      expect(batch).toMatchObject({
+        organizationId: 'org1',
+        options: { includeVisuals: false },
+        schedule: { platforms: ['wordpress', 'ghost'], timezone: 'Europe/Berlin' }
+      });
+      expect(batch.rows).toEqual([
+        { row: 2, topic: 'Email tips, 2025', keyword: 'email marketing', audience: null, cta: null, ctaUrl: null, publishDate: '2025-03-01' }
+      ]);
+    });
+
+    it('returns 400 for unusable input and 402 without enough credits', async () => {
+      await request(app)
+        .post('/api/v1/jobs/content-generation/bulk')
+        .set('x-test-user-id', 'u1')
+        .send({ organizationId: 'org1', csv: 'keyword\nseo' })
+        .expect(400);
+      expect(mockCreateBulkGenerationJob).not.toHaveBeenCalled();
+
+      const { InvariantViolation } = await import('../../lib/errors.js');
+      mockCreateBulkGenerationJob.mockRejectedValue(new InvariantViolation('Insufficient credits: this batch needs 2 credits, one per post', 402));
+      const res = await request(app)
+        .post('/api/v1/jobs/content-generation/bulk')
+        .set('x-test-user-id', 'u1')
+        .send({ organizationId: 'org1', topics: ['One', { title: 'Two', publishDate: '2025-04-01' }] })
+        .expect(402);
+      expect(res.body).toMatchObject({ success: false, error: 'Insufficient credits' });
+    });
+  });
+
   describe('GET /api/v1/jobs/:jobId/status', () => {
     it('returns 401 without auth or session', async () => {
       await request(app).get('/api/v1/jobs/j1/status').expect(401);
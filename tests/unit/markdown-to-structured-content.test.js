@@ -0,0 +1,161 @@
+/**
+ * Unit tests: markdown → Contentful Rich Text / Sanity Portable Text / Wix Ricos / WordprocessingML, and CMS field mapping.
+ */
+import { describe, it, expect } from 'vitest';
+import {
+  extractImageUrls,
+  markdownToPortableText,
+  markdownToRichText,
+  markdownToRicos,
+  markdownToWordprocessingML,
+  plainTextExcerpt
+} from '../../lib/markdown-to-structured-content.js';
+import { prepareMarkdownForStructuredContent } from '../../lib/markdown-to-html.js';
+import { resolveFieldMapping } from '../../lib/cms-field-mapping.js';
+
+const IMAGE = 'https://img.example.com/a.png';
+const tweet = (url, data) => `![TWEET:${url}::DATA::${Buffer.from(JSON.stringify(data)).toString('base64')}]`;
+
+describe('prepareMarkdownForStructuredContent', () => {
+  it('turns tweet placeholders into quotes and drops image/chart placeholders', () => {
+    const md = [
+      'Intro',
+      '',
+      tweet('https://x.com/dev/status/1', { text: 'Ship it', author_name: '@dev' }),
+      '',
+      '![IMAGE:hero:A sunset]',
+      '',
+      '[TWEET:0]',
+      '',
+      'Outro'
+    ].join('\n');
+    const out = prepareMarkdownForStructuredContent(md);
+    expect(out).toContain('> Ship it');
+    expect(out).toContain('[View on X](https://x.com/dev/status/1)');
+    expect(out).toContain('— @dev');
+    expect(out).not.toMatch(/\[(IMAGE|TWEET):/);
+    expect(out).not.toMatch(/\n{3,}/);
+  });
+});
+
+describe('markdownToRichText', () => {
+  it('builds headings, marks, links, lists and embedded assets', () => {
+    const doc = markdownToRichText(
+      `## Intro\n\nSome **bold** and [a link](https://x.com).\n\n![Alt](${IMAGE})\n\n- one\n- two\n`,
+      { assetIds: { [IMAGE]: 'asset1' } }
+    );
+    expect(doc.nodeType).toBe('document');
+    expect(doc.content.map((n) => n.nodeType)).toEqual(['heading-2', 'paragraph', 'embedded-asset-block', 'unordered-list']);
+    const [, paragraph, asset, list] = doc.content;
+    expect(paragraph.content[1]).toMatchObject({ nodeType: 'text', value: 'bold', marks: [{ type: 'bold' }] });
+    expect(paragraph.content[3]).toMatchObject({ nodeType: 'hyperlink', data: { uri: 'https://x.com' } });
+    expect(asset.data.target.sys).toEqual({ type: 'Link', linkType: 'Asset', id: 'asset1' });
+    expect(list.content).toHaveLength(2);
+    expect(list.content[0].content[0].content[0].value).toBe('one');
+  });
+
+  it('links images that were not uploaded and returns an empty paragraph for empty input', () => {
+    const doc = markdownToRichText(`![Alt](${IMAGE})`);
+    expect(doc.content[0].nodeType).toBe('paragraph');
+    expect(doc.content[0].content[0]).toMatchObject({ nodeType: 'hyperlink', data: { uri: IMAGE } });
+    expect(markdownToRichText('').content).toEqual([
+      { nodeType: 'paragraph', data: {}, content: [{ nodeType: 'text', value: '', marks: [], data: {} }] }
+    ]);
+  });
+});
+
+describe('markdownToPortableText', () => {
+  it('builds blocks with marks, link markDefs, list items and image references', () => {
+    const blocks = markdownToPortableText(
+      `## Intro\n\nSome **bold** and [a link](https://x.com).\n\n![Alt](${IMAGE})\n\n1. first\n`,
+      { imageAssetIds: { [IMAGE]: 'image-abc' } }
+    );
+    expect(blocks[0]).toMatchObject({ _type: 'block', style: 'h2' });
+    const paragraph = blocks[1];
+    expect(paragraph.children.find((c) => c.text === 'bold').marks).toEqual(['strong']);
+    const link = paragraph.markDefs[0];
+    expect(link).toMatchObject({ _type: 'link', href: 'https://x.com' });
+    expect(paragraph.children.find((c) => c.text === 'a link').marks).toEqual([link._key]);
+    expect(blocks[2]).toMatchObject({ _type: 'image', asset: { _type: 'reference', _ref: 'image-abc' }, alt: 'Alt' });
+    expect(blocks[3]).toMatchObject({ listItem: 'number', level: 1 });
+  });
+
+  it('produces the same keys for the same input', () => {
+    expect(markdownToPortableText('a\n\nb')).toEqual(markdownToPortableText('a\n\nb'));
+  });
+});
+
+describe('markdownToRicos', () => {
+  it('maps headings, decorated text, links and images', () => {
+    const { nodes } = markdownToRicos(`## Intro\n\nSome **bold** and [a link](https://x.com).\n\n![Alt](${IMAGE})`);
+
+    expect(nodes.map((n) => n.type)).toEqual(['HEADING', 'PARAGRAPH', 'IMAGE']);
+    expect(nodes[0].headingData).toEqual({ level: 2 });
+    const [, bold, , link] = nodes[1].nodes;
+    expect(bold.textData).toEqual({ text: 'bold', decorations: [{ type: 'BOLD' }] });
+    expect(link.textData.decorations).toEqual([{ type: 'LINK', linkData: { link: { url: 'https://x.com', target: 'BLANK' } } }]);
+    expect(nodes[2].imageData.image.src.url).toBe(IMAGE);
+    expect(nodes[2].imageData.altText).toBe('Alt');
+  });
+
+  it('nests list items, quotes and code blocks with unique ids', () => {
+    const { nodes } = markdownToRicos('1. one\n2. two\n\n> quoted\n\n```\ncode\n```\n\n---');
+
+    expect(nodes.map((n) => n.type)).toEqual(['ORDERED_LIST', 'BLOCKQUOTE', 'CODE_BLOCK', 'DIVIDER']);
+    expect(nodes[0].nodes.map((item) => item.nodes[0].nodes[0].textData.text)).toEqual(['one', 'two']);
+    expect(nodes[1].nodes[0].type).toBe('PARAGRAPH');
+    expect(nodes[2].nodes[0].textData.text).toBe('code');
+    const ids = [];
+    const collect = (list) => list.forEach((n) => { ids.push(n.id); collect(n.nodes); });
+    collect(nodes);
+    expect(new Set(ids).size).toBe(ids.length);
+  });
+});
+
+describe('markdownToWordprocessingML', () => {
+  it('maps headings, marks, lists, quotes and code to styled paragraphs', () => {
+    const xml = markdownToWordprocessingML('## Intro\n\nSome **bold** & text.\n\n1. one\n\n> quoted\n\n```\ncode\n```');
+
+    expect(xml).toContain('<w:pStyle w:val="Heading2"/>');
+    expect(xml).toContain('<w:r><w:rPr><w:b/></w:rPr><w:t xml:space="preserve">bold</w:t></w:r>');
+    expect(xml).toContain(' &amp; text.');
+    expect(xml).toContain('<w:t xml:space="preserve">1.</w:t><w:tab/>');
+    expect(xml).toContain('<w:pStyle w:val="Quote"/>');
+    expect(xml).toContain('<w:pStyle w:val="Code"/>');
+  });
+
+  it('embeds known images and links the rest', () => {
+    const embedded = markdownToWordprocessingML(`![Alt](${IMAGE})`, { images: { [IMAGE]: { relId: 'rId9', width: 100, height: 50 } } });
+    expect(embedded).toContain('<a:blip r:embed="rId9"/>');
+    expect(embedded).toContain('<wp:extent cx="952500" cy="476250"/>');
+
+    const linked = markdownToWordprocessingML(`![Alt](${IMAGE})`, { linkRel: () => 'rIdLink1' });
+    expect(linked).toContain('<w:hyperlink r:id="rIdLink1">');
+    expect(linked).not.toContain('<w:drawing>');
+  });
+});
+
+describe('extractImageUrls / plainTextExcerpt', () => {
+  it('lists unique image URLs and strips markdown from excerpts', () => {
+    expect(extractImageUrls(`![a](${IMAGE})\n\n![b](${IMAGE})`)).toEqual([IMAGE]);
+    expect(plainTextExcerpt('## Intro\n\nSome **bold** text.')).toBe('Some bold text.');
+    expect(plainTextExcerpt('word '.repeat(100), 30).length).toBeLessThanOrEqual(31);
+  });
+});
+
+describe('resolveFieldMapping', () => {
+  const defaults = { title: 'title', slug: 'slug', body: 'body', excerpt: 'excerpt', hero_image: 'heroImage', tags: 'tags' };
+
+  it('merges over defaults and disables fields mapped to null', () => {
+    expect(resolveFieldMapping({ body: 'content', tags: null }, defaults)).toEqual({ ...defaults, body: 'content', tags: null });
+    expect(resolveFieldMapping(undefined, defaults)).toEqual(defaults);
+  });
+
+  it('rejects unknown keys, invalid ids and unmapped title/body', () => {
+    expect(() => resolveFieldMapping({ publisher: 'publisher' }, defaults)).toThrow(/Unknown field_mapping key/);
+    expect(resolveFieldMapping({ author: 'authorName' }, defaults).author).toBe('authorName');
+    expect(() => resolveFieldMapping({ body: 'has space' }, defaults)).toThrow(/field_mapping.body/);
+    expect(() => resolveFieldMapping({ body: null }, defaults)).toThrow(/body is required/);
+    expect(() => resolveFieldMapping(['body'], defaults)).toThrow(/must be an object/);
+  });
+});
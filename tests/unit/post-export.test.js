@@ -0,0 +1,279 @@
+/**
+ * Unit tests: local post export (services/post-export.js).
+ */
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import JSZip from 'jszip';
+import { ServiceUnavailableError, ValidationError } from '../../lib/errors.js';
+
+const browser = {
+  newPage: vi.fn(),
+  close: vi.fn()
+};
+vi.mock('puppeteer-core', () => ({ default: { launch: vi.fn() } }));
+vi.mock('../../services/webscraper.js', () => ({ default: { getPuppeteerConfig: vi.fn(async () => ({ headless: true })) } }));
+const mockLookup = vi.fn();
+vi.mock('node:dns', () => ({ promises: { lookup: (...args) => mockLookup(...args) } }));
+
+const puppeteer = (await import('puppeteer-core')).default;
+const { exportPosts, imageDimensions, parseExportRequest } = await import('../../services/post-export.js');
+
+const IMAGE = 'https://cdn.example.com/photos/chart.png';
+const HERO = 'https://cdn.example.com/hero.png';
+
+/** Minimal PNG header carrying only the IHDR size. */
+function png(width, height) {
+  const data = Buffer.alloc(24);
+  data.writeUInt32BE(0x89504e47, 0);
+  data.writeUInt32BE(width, 16);
+  data.writeUInt32BE(height, 20);
+  return data;
+}
+
+const post = {
+  title: 'Ten Ways to Grow',
+  content: `# Ten Ways to Grow\n\nGrowth starts with **focus** & care.\n\n![A chart](${IMAGE})\n\n- one\n- two`,
+  featured_image_url: HERO,
+  tags: ['growth'],
+  categories: ['Guides'],
+  author_name: 'Ada Lovelace',
+  excerpt: 'How to grow.',
+  created_at: '2026-03-05T10:00:00Z'
+};
+
+const exportOf = (body) => exportPosts(parseExportRequest(body));
+
+describe('post-export', () => {
+  const originalFetch = globalThis.fetch;
+
+  beforeEach(() => {
+    globalThis.fetch = vi.fn(async () => new Response(png(1600, 900), { headers: { 'content-type': 'image/png' } }));
+    mockLookup.mockResolvedValue([{ address: '93.184.215.14', family: 4 }]);
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    globalThis.fetch = originalFetch;
+    vi.restoreAllMocks();
+  });
+
+  describe('parseExportRequest', () => {
+    it('accepts a post or a bundle and rejects unknown formats', () => {
+      expect(parseExportRequest({ blogPost: post, format: 'HTML' })).toMatchObject({ rows: [post], format: 'html', bundle: false, includeImages: false });
+      expect(parseExportRequest({ blogPosts: [post, post], format: 'epub', title: ' Guide ', include_images: true }))
+        .toMatchObject({ bundle: true, title: 'Guide', includeImages: true });
+
+      expect(() => parseExportRequest({ blogPost: post })).toThrow(ValidationError);
+      expect(() => parseExportRequest({ blogPost: post, format: 'txt' })).toThrow('Unsupported format');
+      expect(() => parseExportRequest({ blogPosts: [{}], format: 'html' })).toThrow('Invalid post');
+      expect(() => parseExportRequest({ blogPosts: Array(51).fill(post), format: 'html' })).toThrow('Too many posts');
+    });
+  });
+
+  it('exports markdown without the duplicate H1 and front-matter markdown with post metadata', async () => {
+    const plain = await exportOf({ blogPost: post, format: 'markdown' });
+    expect(plain).toMatchObject({ contentType: 'text/markdown; charset=utf-8', filename: 'ten-ways-to-grow.md' });
+    expect(plain.body.match(/# Ten Ways to Grow/g)).toHaveLength(1);
+
+    const { body } = await exportOf({ blogPost: post, format: 'markdown_frontmatter' });
+    expect(body).toMatch(/^---\ntitle: "Ten Ways to Grow"/);
+    expect(body).toContain('slug: "ten-ways-to-grow"');
+    expect(body).toContain('author: "Ada Lovelace"');
+    expect(body).toContain(`image: "${HERO}"`);
+    expect(body).not.toContain('# Ten Ways to Grow');
+    expect(globalThis.fetch).not.toHaveBeenCalled();
+  });
+
+  it('exports a standalone HTML document with inline CSS and SEO tags', async () => {
+    const { body, contentType } = await exportOf({ blogPost: { ...post, meta_description: 'Meta "quoted"', canonical_url: 'https://acme.com/grow' }, format: 'html' });
+
+    expect(contentType).toBe('text/html; charset=utf-8');
+    expect(body).toMatch(/^<!DOCTYPE html>/);
+    expect(body).toContain('<style>');
+    expect(body).toContain('<meta name="description" content="Meta &quot;quoted&quot;">');
+    expect(body).toContain('<link rel="canonical" href="https://acme.com/grow">');
+    expect(body).toContain('<strong>focus</strong>');
+    expect(body).toContain(`class="featured-image" src="${HERO}"`);
+  });
+
+  it('packages fetched images into a zip and rewrites their URLs', async () => {
+    const { body, contentType, filename } = await exportOf({ blogPost: post, format: 'html', include_images: true });
+
+    expect(contentType).toBe('application/zip');
+    expect(filename).toBe('ten-ways-to-grow.zip');
+    const zip = await JSZip.loadAsync(body);
+    expect(Object.keys(zip.files).sort()).toEqual(['images/', 'images/1-hero.png', 'images/2-chart.png', 'ten-ways-to-grow.html']);
+    const html = await zip.file('ten-ways-to-grow.html').async('string');
+    expect(html).toContain('src="images/2-chart.png"');
+    expect(html).not.toContain(IMAGE);
+  });
+
+  it('keeps remote URLs for images that fail to download', async () => {
+    globalThis.fetch.mockResolvedValue(new Response('Not found', { status: 404 }));
+
+    const { body, contentType } = await exportOf({ blogPost: post, format: 'markdown', include_images: true });
+
+    expect(contentType).toBe('text/markdown; charset=utf-8');
+    expect(body).toContain(IMAGE);
+    expect(console.warn).toHaveBeenCalled();
+  });
+
+  it('does not fetch images from private hosts, including through redirects', async () => {
+    mockLookup.mockImplementation(async (host) => [{ address: host === 'cdn.example.com' ? '93.184.215.14' : '10.0.0.5', family: 4 }]);
+    globalThis.fetch.mockImplementation(async (url) => (url === HERO
+      ? new Response(null, { status: 302, headers: { location: 'http://169.254.169.254/latest/meta-data/' } })
+      : new Response(png(1600, 900), { headers: { 'content-type': 'image/png' } })));
+
+    const { body } = await exportOf({
+      blogPost: { ...post, content: `${post.content}\n\n![Internal](http://intranet.local/secret.png)` },
+      format: 'markdown',
+      include_images: true
+    });
+
+    const zip = await JSZip.loadAsync(body);
+    expect(Object.keys(zip.files).filter((name) => name.startsWith('images/') && name !== 'images/')).toEqual(['images/1-chart.png']);
+    expect(globalThis.fetch.mock.calls.map(([url]) => url)).toEqual([HERO, IMAGE]);
+    expect(globalThis.fetch.mock.calls[0][1]).toMatchObject({ redirect: 'manual' });
+  });
+
+  it('skips oversized images and responses that are not images', async () => {
+    globalThis.fetch.mockImplementation(async (url) => (url === HERO
+      ? new Response(new Uint8Array(11 * 1024 * 1024), { headers: { 'content-type': 'image/png' } })
+      : new Response('<svg onload="x">', { headers: { 'content-type': 'text/html' } })));
+
+    const { body } = await exportOf({ blogPost: { ...post, content: '![A chart](https://cdn.example.com/page#x.png)' }, format: 'markdown', include_images: true });
+
+    expect(body).toContain('https://cdn.example.com/page#x.png');
+    expect(console.warn.mock.calls.map(([, message]) => message)).toEqual(['larger than 10 MB', 'not an image (text/html)']);
+  });
+
+  it('zips several markdown posts with distinct file names', async () => {
+    const { body, filename } = await exportOf({ blogPosts: [post, post], format: 'markdown' });
+
+    expect(filename).toBe('blog-posts.zip');
+    const zip = await JSZip.loadAsync(body);
+    expect(Object.keys(zip.files).sort()).toEqual(['ten-ways-to-grow-2.md', 'ten-ways-to-grow.md']);
+  });
+
+  it('builds a DOCX with styles, embedded images and link relationships', async () => {
+    const { body, contentType } = await exportOf({
+      blogPost: { ...post, content: `${post.content}\n\nSee [the docs](https://docs.example.com).` },
+      format: 'docx',
+      include_images: true
+    });
+
+    expect(contentType).toBe('application/vnd.openxmlformats-officedocument.wordprocessingml.document');
+    const zip = await JSZip.loadAsync(body);
+    expect(zip.file('word/media/2-chart.png')).toBeTruthy();
+    const document = await zip.file('word/document.xml').async('string');
+    expect(document).toContain('<w:pStyle w:val="Title"/>');
+    expect(document).toContain('focus');
+    expect(document).toContain('&amp; care');
+    expect(document.match(/<a:blip r:embed=/g)).toHaveLength(2);
+    const rels = await zip.file('word/_rels/document.xml.rels').async('string');
+    expect(rels).toContain('Target="media/2-chart.png"');
+    expect(rels).toContain('Target="https://docs.example.com" TargetMode="External"');
+    expect(await zip.file('[Content_Types].xml').async('string')).toContain('<Default Extension="png" ContentType="image/png"/>');
+  });
+
+  it('builds an EPUB with one chapter per post and no remote images', async () => {
+    const { body, filename } = await exportOf({ blogPosts: [post, { ...post, title: 'Second Post' }], format: 'epub', title: 'Growth Guide' });
+
+    expect(filename).toBe('growth-guide.epub');
+    const zip = await JSZip.loadAsync(body);
+    expect(Object.keys(zip.files)[0]).toBe('mimetype');
+    expect(await zip.file('mimetype').async('string')).toBe('application/epub+zip');
+    const opf = await zip.file('OEBPS/content.opf').async('string');
+    expect(opf).toContain('<dc:title>Growth Guide</dc:title>');
+    expect(opf).toMatch(/<dc:identifier id="book-id">urn:uuid:[0-9a-f-]{36}<\/dc:identifier>/);
+    expect(opf.match(/<itemref /g)).toHaveLength(2);
+    expect(await zip.file('OEBPS/nav.xhtml').async('string')).toContain('<a href="chapter-2.xhtml">Second Post</a>');
+    const chapter = await zip.file('OEBPS/chapter-1.xhtml').async('string');
+    expect(chapter).not.toMatch(/<img\b/);
+    expect(chapter).toContain(`<a href="${IMAGE}">A chart</a>`);
+  });
+
+  it('builds a WordPress WXR file with draft posts, terms and a featured image attachment', async () => {
+    const { body, contentType, filename } = await exportOf({ blogPost: { ...post, excerpt: 'Ends with ]]> marker' }, format: 'wxr' });
+
+    expect(contentType).toBe('application/rss+xml; charset=utf-8');
+    expect(filename).toBe('ten-ways-to-grow.xml');
+    expect(body).toContain('<wp:wxr_version>1.2</wp:wxr_version>');
+    expect(body).toContain('<wp:status>draft</wp:status>');
+    expect(body).toContain('<wp:post_name><![CDATA[ten-ways-to-grow]]></wp:post_name>');
+    expect(body).toContain('<category domain="category" nicename="guides"><![CDATA[Guides]]></category>');
+    expect(body).toContain('<category domain="post_tag" nicename="growth"><![CDATA[growth]]></category>');
+    expect(body).toContain(`<wp:attachment_url><![CDATA[${HERO}]]></wp:attachment_url>`);
+    expect(body).toContain('<wp:meta_key>_thumbnail_id</wp:meta_key><wp:meta_value>2</wp:meta_value>');
+    expect(body).toContain(']]]]><![CDATA[>');
+  });
+
+  it('returns the posts as sent for json', async () => {
+    const { body } = await exportOf({ blogPosts: [post], format: 'json' });
+    expect(JSON.parse(body)).toEqual([post]);
+  });
+
+  describe('pdf', () => {
+    it('prints the HTML document and closes the browser', async () => {
+      const page = {
+        setJavaScriptEnabled: vi.fn(),
+        setRequestInterception: vi.fn(),
+        on: vi.fn(),
+        setContent: vi.fn(),
+        pdf: vi.fn(async () => new Uint8Array([37, 80, 68, 70]))
+      };
+      browser.newPage.mockResolvedValue(page);
+      puppeteer.launch.mockResolvedValue(browser);
+
+      const { body, contentType, filename } = await exportOf({ blogPost: post, format: 'pdf' });
+
+      expect(contentType).toBe('application/pdf');
+      expect(filename).toBe('ten-ways-to-grow.pdf');
+      expect(body.toString()).toBe('%PDF');
+      expect(page.setContent.mock.calls[0][0]).toContain('<h1>Ten Ways to Grow</h1>');
+      expect(puppeteer.launch.mock.calls[0][0]).toMatchObject({ headless: true });
+      expect(browser.close).toHaveBeenCalled();
+      expect(page.setJavaScriptEnabled).toHaveBeenCalledWith(false);
+      expect(page.setRequestInterception).toHaveBeenCalledWith(true);
+      expect(page.setJavaScriptEnabled.mock.invocationCallOrder[0]).toBeLessThan(page.setContent.mock.invocationCallOrder[0]);
+    });
+
+    it('lets the page load only data: URLs and public https resources', async () => {
+      const page = { setJavaScriptEnabled: vi.fn(), setRequestInterception: vi.fn(), on: vi.fn(), setContent: vi.fn(), pdf: vi.fn(async () => new Uint8Array()) };
+      browser.newPage.mockResolvedValue(page);
+      puppeteer.launch.mockResolvedValue(browser);
+      await exportOf({ blogPost: post, format: 'pdf' });
+      const onRequest = page.on.mock.calls.find(([event]) => event === 'request')[1];
+
+      const outcome = async (url) => {
+        const request = { url: () => url, continue: vi.fn(), abort: vi.fn() };
+        onRequest(request);
+        await vi.waitFor(() => expect(request.continue.mock.calls.length + request.abort.mock.calls.length).toBe(1));
+        return request.continue.mock.calls.length ? 'continue' : 'abort';
+      };
+      expect(await outcome('data:image/png;base64,iVBORw0KGgo=')).toBe('continue');
+      expect(await outcome(HERO)).toBe('continue');
+      expect(await outcome('http://cdn.example.com/hero.png')).toBe('abort');
+      expect(await outcome('https://169.254.169.254/latest/meta-data/')).toBe('abort');
+      expect(await outcome('file:///etc/passwd')).toBe('abort');
+    });
+
+    it('throws ServiceUnavailableError when no browser can be launched', async () => {
+      puppeteer.launch.mockRejectedValue(new Error('Could not find Chrome'));
+      await expect(exportOf({ blogPost: post, format: 'pdf' })).rejects.toBeInstanceOf(ServiceUnavailableError);
+    });
+  });
+
+  describe('imageDimensions', () => {
+    it('reads PNG, GIF and JPEG sizes', () => {
+      expect(imageDimensions(png(640, 480))).toEqual({ width: 640, height: 480 });
+
+      const gif = Buffer.from('GIF89a\x20\x03\x58\x02', 'latin1');
+      expect(imageDimensions(gif)).toEqual({ width: 800, height: 600 });
+
+      const jpeg = Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0x00, 0x04, 0, 0, 0xff, 0xc0, 0x00, 0x11, 0x08, 0x01, 0x2c, 0x01, 0x90, 0x03]);
+      expect(imageDimensions(jpeg)).toEqual({ width: 400, height: 300 });
+      expect(imageDimensions(Buffer.from('not an image'))).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,180 @@
+/**
+ * Unit tests: outline-first generation (services/post-outlines.js).
+ */
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { ConflictError, ValidationError } from '../../lib/errors.js';
+
+const mockQuery = vi.fn();
+vi.mock('../../services/database.js', () => ({
+  default: {
+    query: (...args) => mockQuery(...args),
+    transaction: (fn) => fn({ query: (...args) => mockQuery(...args) })
+  }
+}));
+
+const mockGenerateOutlineSection = vi.fn();
+const mockSaveEnhancedBlogPost = vi.fn();
+vi.mock('../../services/enhanced-blog-generation.js', () => ({
+  default: {
+    generateOutlineSection: (...args) => mockGenerateOutlineSection(...args),
+    saveEnhancedBlogPost: (...args) => mockSaveEnhancedBlogPost(...args)
+  }
+}));
+
+const outlines = await import('../../services/post-outlines.js');
+
+const sections = () => [
+  { id: 's1', level: 2, heading: 'Why focus wins', intent: 'Make the case', target_keyword: 'focus', content: 'Focus compounds.', status: 'generated', generated_at: '2026-10-01T00:00:00Z' },
+  { id: 's2', level: 3, heading: 'Saying no', intent: 'Show how', target_keyword: 'saying no', content: 'Decline politely.', status: 'generated', generated_at: '2026-10-01T00:00:00Z' },
+  { id: 's3', level: 2, heading: 'Next steps', intent: 'Wrap up', target_keyword: null, content: null, status: 'pending', generated_at: null }
+];
+
+const outlineRow = (overrides = {}) => ({
+  id: 'o1',
+  user_id: 'u1',
+  organization_id: 'org-1',
+  blog_post_id: null,
+  title: 'Focus',
+  meta_description: 'How focus helps',
+  topic: { title: 'Focus' },
+  business_info: { businessType: 'Coaching', targetAudience: 'Founders' },
+  voice_context: { voice_section: 'VOICE', brand_voice: 'BRAND', voice_adaptation_used: true, voice_profile_confidence: 80 },
+  sections: sections(),
+  version: 3,
+  ...overrides
+});
+
+/** Serve the outline and the post; UPDATE ... RETURNING echoes what was written. */
+function stubDb(outline, post = null) {
+  mockQuery.mockImplementation(async (sql, params) => {
+    if (sql.includes('FROM post_outlines WHERE id = $1')) return { rows: outline ? [structuredClone(outline)] : [] };
+    if (sql.includes('UPDATE post_outlines SET sections')) {
+      return { rows: [{ ...outline, sections: JSON.parse(params[1]), version: outline.version + 1 }] };
+    }
+    if (sql.includes('UPDATE post_outlines SET blog_post_id')) return { rows: [{ ...outline, blog_post_id: params[1] }] };
+    if (sql.includes('SELECT content FROM blog_posts')) return { rows: post ? [post] : [] };
+    if (sql.includes('FROM blog_posts WHERE id = $1')) return { rows: post ? [post] : [] };
+    if (sql.includes('UPDATE blog_posts SET')) return { rows: [{ ...post, content: params[1] }] };
+    if (sql.includes('MAX(revision_number)')) return { rows: [{ latest: 4 }] };
+    return { rows: [] };
+  });
+}
+
+describe('post-outlines', () => {
+  beforeEach(() => {
+    mockQuery.mockReset();
+    mockGenerateOutlineSection.mockReset();
+    mockSaveEnhancedBlogPost.mockReset();
+  });
+
+  describe('normalizeOutlineSections', () => {
+    it('keeps content of sections sent back by id and marks edited ones stale', () => {
+      const result = outlines.normalizeOutlineSections([
+        { id: 's2', level: 2, heading: '## Saying no', intent: 'Show how', target_keyword: 'saying no' },
+        { id: 's1', level: 2, heading: 'Why focus wins', intent: 'Make the case', target_keyword: 'deep focus' },
+        { level: 3, heading: 'Protecting your calendar' }
+      ], sections());
+
+      expect(result.map((s) => [s.id, s.heading, s.status])).toEqual([
+        ['s2', 'Saying no', 'stale'],
+        ['s1', 'Why focus wins', 'stale'],
+        [expect.any(String), 'Protecting your calendar', 'pending']
+      ]);
+      expect(result[1].content).toBe('Focus compounds.');
+    });
+
+    it('rejects a leading H3, duplicate headings and unknown ids', () => {
+      expect(() => outlines.normalizeOutlineSections([{ level: 3, heading: 'A' }])).toThrow(ValidationError);
+      expect(() => outlines.normalizeOutlineSections([{ level: 2, heading: 'A' }, { level: 2, heading: 'a' }])).toThrow(expect.objectContaining({ details: expect.stringMatching(/unique/) }));
+      expect(() => outlines.normalizeOutlineSections([{ id: 'nope', level: 2, heading: 'A' }], sections())).toThrow(ValidationError);
+      expect(() => outlines.normalizeOutlineSections([])).toThrow(ValidationError);
+    });
+  });
+
+  describe('replaceSectionBody', () => {
+    it('replaces only the body under the heading', () => {
+      const content = '# Focus\n\n## Why focus wins\n\nOld body.\n\n### Saying no\n\nDecline politely.\n';
+
+      expect(outlines.replaceSectionBody(content, { level: 2, heading: 'Why focus wins' }, 'New body.'))
+        .toBe('# Focus\n\n## Why focus wins\n\nNew body.\n\n### Saying no\n\nDecline politely.\n');
+      expect(outlines.replaceSectionBody(content, { level: 3, heading: 'Saying no' }, 'Just say no.'))
+        .toBe('# Focus\n\n## Why focus wins\n\nOld body.\n\n### Saying no\n\nJust say no.\n');
+      expect(outlines.replaceSectionBody(content, { level: 2, heading: 'Missing' }, 'x')).toBeNull();
+    });
+
+    it('assembles the post and demotes headings inside generated bodies', () => {
+      const outline = { title: 'Focus', sections: sections().slice(0, 2) };
+      expect(outlines.assembleOutlineContent(outline)).toBe('# Focus\n\n## Why focus wins\n\nFocus compounds.\n\n### Saying no\n\nDecline politely.\n');
+      expect(outlines.sanitizeSectionBody('Intro\n## Sneaky\nText')).toBe('Intro\n#### Sneaky\nText');
+    });
+  });
+
+  describe('updateOutline', () => {
+    it('rejects edits based on an old version', async () => {
+      stubDb(outlineRow());
+
+      await expect(outlines.updateOutline('o1', 'u1', { version: 2, title: 'New' })).rejects.toBeInstanceOf(ConflictError);
+      await expect(outlines.updateOutline('o1', 'u1', { title: 'New' })).rejects.toBeInstanceOf(ValidationError);
+    });
+  });
+
+  describe('generateSection', () => {
+    it('writes the section with its neighbours as context and stores it', async () => {
+      stubDb(outlineRow());
+      mockGenerateOutlineSection.mockResolvedValue('Ship one thing.');
+
+      const result = await outlines.generateSection('o1', 'u1', 's3', { instructions: ' Be brief ' });
+
+      expect(mockGenerateOutlineSection).toHaveBeenCalledWith(expect.objectContaining({ id: 'o1' }), 2, {
+        previousText: 'Decline politely.',
+        nextText: null,
+        instructions: 'Be brief'
+      });
+      expect(result.section).toMatchObject({ id: 's3', content: 'Ship one thing.', status: 'generated' });
+      expect(result.outline.progress).toEqual({ total: 3, generated: 3, stale: 0, pending: 0 });
+      expect(result.post).toBeNull();
+    });
+
+    it('splices a regenerated section into the post and records a revision', async () => {
+      const post = { id: 'p1', user_id: 'u1', title: 'Focus', content: '# Focus\n\n## Why focus wins\n\nFocus compounds.\n\n### Saying no\n\nDecline politely.\n' };
+      stubDb(outlineRow({ blog_post_id: 'p1' }), post);
+      mockGenerateOutlineSection.mockResolvedValue('Focus compounds faster than effort.');
+
+      const result = await outlines.generateSection('o1', 'u1', 's1');
+
+      const update = mockQuery.mock.calls.find(([sql]) => sql.includes('UPDATE blog_posts SET'));
+      expect(update[1][1]).toBe('# Focus\n\n## Why focus wins\n\nFocus compounds faster than effort.\n\n### Saying no\n\nDecline politely.\n');
+      const revision = mockQuery.mock.calls.find(([sql]) => sql.includes('INSERT INTO blog_post_revisions'));
+      expect(revision[1]).toContain('section_generation');
+      expect(result.post).toEqual({ id: 'p1', revision: 5 });
+    });
+
+    it('refuses to regenerate when the heading is no longer in the post', async () => {
+      stubDb(outlineRow({ blog_post_id: 'p1' }), { id: 'p1', content: '# Focus\n\n## Renamed\n\nText' });
+
+      await expect(outlines.generateSection('o1', 'u1', 's1')).rejects.toBeInstanceOf(ConflictError);
+      expect(mockGenerateOutlineSection).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('createPostFromOutline', () => {
+    it('requires every section to be written', async () => {
+      stubDb(outlineRow());
+      await expect(outlines.createPostFromOutline('o1', 'u1')).rejects.toThrow(/Next steps/);
+    });
+
+    it('saves the assembled post and links it to the outline', async () => {
+      const written = sections().map((s) => ({ ...s, content: s.content ?? 'Pick one goal.', status: 'generated' }));
+      stubDb(outlineRow({ sections: written }));
+      mockSaveEnhancedBlogPost.mockResolvedValue({ id: 'p9' });
+
+      const result = await outlines.createPostFromOutline('o1', 'u1');
+
+      const [userId, organizationId, blogData] = mockSaveEnhancedBlogPost.mock.calls[0];
+      expect([userId, organizationId]).toEqual(['u1', 'org-1']);
+      expect(blogData).toMatchObject({ title: 'Focus', seoKeywords: ['focus', 'saying no'], generationMetadata: { mode: 'outline', outlineId: 'o1' } });
+      expect(blogData.content).toContain('## Next steps\n\nPick one goal.');
+      expect(result.outline.blog_post_id).toBe('p9');
+    });
+  });
+});
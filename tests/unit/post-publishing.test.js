@@ -0,0 +1,251 @@
+/**
+ * Unit tests: shared post publishing service (retry policy, incremental persistence, job resume/settle).
+ */
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { NotFoundError } from '../../lib/errors.js';
+
+const mockQuery = vi.fn();
+const mockGetConnectionCredentials = vi.fn();
+const publishers = {};
+
+vi.mock('../../services/database.js', () => ({
+  default: { query: (...args) => mockQuery(...args) }
+}));
+
+vi.mock('../../services/publishing-connections.js', () => ({
+  getConnectionCredentials: (...args) => mockGetConnectionCredentials(...args)
+}));
+
+vi.mock('../../lib/publishing-platforms.js', async (importOriginal) => {
+  const actual = await importOriginal();
+  return { ...actual, getPublisher: (key) => publishers[key] || null };
+});
+
+const {
+  derivePublicationStatus,
+  isRetryablePublishError,
+  publishPostToPlatforms,
+  settleAbandonedPublish,
+  withRetry
+} = await import('../../services/post-publishing.js');
+
+const USER = 'user-1';
+const POST_ID = 'post-1';
+const noSleep = async () => {};
+
+function fakeAdapter(key) {
+  return {
+    key,
+    capabilities: { draft: true, update: true, unpublish: true },
+    validateCredentials: vi.fn(),
+    publish: vi.fn(async () => ({ id: `${key}-new`, url: `https://${key}.example.com/new` })),
+    update: vi.fn(async (_c, id) => ({ id, url: `https://${key}.example.com/${id}` }))
+  };
+}
+
+/** Keep the post row in memory so each save is visible to the next SELECT. */
+function stubPost(row) {
+  let current = { ...row };
+  mockQuery.mockImplementation(async (sql, params) => {
+    if (sql.trim().startsWith('SELECT')) return { rows: current ? [current] : [] };
+    current = { ...current, publication_status: params[0], platform_publications: JSON.parse(params[1]) };
+    return { rows: [current] };
+  });
+  return () => current;
+}
+
+function savedStatuses() {
+  return mockQuery.mock.calls.filter(([sql]) => sql.includes('UPDATE blog_posts')).map(([, params]) => params[0]);
+}
+
+describe('post-publishing', () => {
+  beforeEach(() => {
+    mockQuery.mockReset();
+    mockGetConnectionCredentials.mockReset().mockResolvedValue({ token: 't' });
+    for (const key of Object.keys(publishers)) delete publishers[key];
+  });
+
+  describe('isRetryablePublishError', () => {
+    it('retries network errors, timeouts, rate limits and 5xx', () => {
+      expect(isRetryablePublishError(new TypeError('fetch failed'))).toBe(true);
+      expect(isRetryablePublishError(new Error('WordPress API 503: Service Unavailable'))).toBe(true);
+      expect(isRetryablePublishError(new Error('Ghost API 429: Too Many Requests'))).toBe(true);
+      expect(isRetryablePublishError(new Error('connect ETIMEDOUT 1.2.3.4:443'))).toBe(true);
+    });
+
+    it('does not retry credential, validation or not-found errors', () => {
+      expect(isRetryablePublishError(new Error('WordPress API 401: Unauthorized'))).toBe(false);
+      expect(isRetryablePublishError(new Error('Ghost rejected the API key.'))).toBe(false);
+      expect(isRetryablePublishError(new NotFoundError('gone'))).toBe(false);
+    });
+  });
+
+  describe('withRetry', () => {
+    it('backs off exponentially until the call succeeds', async () => {
+      const sleep = vi.fn(noSleep);
+      const onRetry = vi.fn();
+      const fn = vi.fn()
+        .mockRejectedValueOnce(new Error('API 502'))
+        .mockRejectedValueOnce(new Error('API 503'))
+        .mockResolvedValueOnce('ok');
+
+      await expect(withRetry(fn, { attempts: 3, baseDelayMs: 100, sleep, onRetry })).resolves.toBe('ok');
+      expect(sleep.mock.calls.map(([ms]) => ms)).toEqual([100, 200]);
+      expect(onRetry.mock.calls.map(([, attempt]) => attempt)).toEqual([1, 2]);
+    });
+
+    it('gives up after the last attempt and on non-retryable errors', async () => {
+      const transient = vi.fn().mockRejectedValue(new Error('API 500'));
+      await expect(withRetry(transient, { attempts: 2, sleep: noSleep })).rejects.toThrow('API 500');
+      expect(transient).toHaveBeenCalledTimes(2);
+
+      const permanent = vi.fn().mockRejectedValue(new Error('API 401'));
+      await expect(withRetry(permanent, { attempts: 3, sleep: noSleep })).rejects.toThrow('API 401');
+      expect(permanent).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  it('derivePublicationStatus prefers live posts over failures from this run', () => {
+    const failed = { platform: 'ghost', status: 'failed' };
+    expect(derivePublicationStatus([failed])).toBe('failed');
+    expect(derivePublicationStatus([{ platform: 'wordpress', status: 'published' }, failed])).toBe('published');
+    expect(derivePublicationStatus([{ platform: 'wix', status: 'publishing' }])).toBe('publishing');
+  });
+
+  describe('publishPostToPlatforms', () => {
+    it('persists each platform as it finishes and reports progress', async () => {
+      publishers.wordpress = fakeAdapter('wordpress');
+      publishers.ghost = fakeAdapter('ghost');
+      stubPost({ id: POST_ID, title: 'T', content: 'C', platform_publications: [] });
+      const events = [];
+
+      const { post, changes } = await publishPostToPlatforms(
+        USER,
+        POST_ID,
+        { platforms: ['wordpress', 'ghost'], jobId: 'job-1' },
+        { onPlatformProgress: (e) => events.push(`${e.platform}:${e.status}`) }
+      );
+
+      expect(savedStatuses()).toEqual(['publishing', 'published', 'published']);
+      expect(events).toEqual(['wordpress:publishing', 'wordpress:published', 'ghost:publishing', 'ghost:published']);
+      expect(post.platform_publications.map((p) => p.job_id)).toEqual(['job-1', 'job-1']);
+      expect(changes).toEqual([{ platform: 'wordpress', action: 'created' }, { platform: 'ghost', action: 'created' }]);
+    });
+
+    it('retries transient failures with the given policy', async () => {
+      publishers.ghost = fakeAdapter('ghost');
+      publishers.ghost.publish.mockRejectedValueOnce(new TypeError('fetch failed'));
+      stubPost({ id: POST_ID, title: 'T', content: 'C', platform_publications: [] });
+      const events = [];
+
+      const { post } = await publishPostToPlatforms(
+        USER,
+        POST_ID,
+        { platforms: ['ghost'], retry: { attempts: 3, baseDelayMs: 1, sleep: noSleep } },
+        { onPlatformProgress: (e) => events.push(e.status) }
+      );
+
+      expect(publishers.ghost.publish).toHaveBeenCalledTimes(2);
+      expect(events).toEqual(['publishing', 'retrying', 'published']);
+      expect(post.publication_status).toBe('published');
+    });
+
+    it('skips platforms the same job already published when re-run', async () => {
+      publishers.wordpress = fakeAdapter('wordpress');
+      publishers.ghost = fakeAdapter('ghost');
+      stubPost({
+        id: POST_ID,
+        title: 'T',
+        content: 'C',
+        platform_publications: [{ platform: 'wordpress', status: 'published', external_id: 7, job_id: 'job-1' }]
+      });
+
+      const { post } = await publishPostToPlatforms(USER, POST_ID, { platforms: ['wordpress', 'ghost'], jobId: 'job-1' });
+
+      expect(publishers.wordpress.publish).not.toHaveBeenCalled();
+      expect(publishers.ghost.publish).toHaveBeenCalledTimes(1);
+      expect(post.platform_publications.map((p) => [p.platform, p.external_id])).toEqual([['wordpress', 7], ['ghost', 'ghost-new']]);
+    });
+
+    it('marks remaining platforms cancelled once the job is cancelled', async () => {
+      publishers.ghost = fakeAdapter('ghost');
+      stubPost({ id: POST_ID, title: 'T', content: 'C', platform_publications: [] });
+
+      const { post } = await publishPostToPlatforms(USER, POST_ID, { platforms: ['ghost'] }, { isCancelled: async () => true });
+
+      expect(publishers.ghost.publish).not.toHaveBeenCalled();
+      expect(post.platform_publications).toEqual([{ platform: 'ghost', status: 'failed', message: 'Cancelled' }]);
+      expect(post.publication_status).toBe('failed');
+    });
+
+    it('updates a live post in place on a plain republish instead of creating a second one', async () => {
+      publishers.ghost = fakeAdapter('ghost');
+      stubPost({ id: POST_ID, title: 'T', content: 'C', platform_publications: [{ platform: 'ghost', status: 'published', external_id: 'g-old' }] });
+
+      const { post, changes } = await publishPostToPlatforms(USER, POST_ID, { platforms: ['ghost'] });
+
+      expect(publishers.ghost.publish).not.toHaveBeenCalled();
+      expect(publishers.ghost.update).toHaveBeenCalledWith({ token: 't' }, 'g-old', expect.anything(), { draft: false });
+      expect(post.platform_publications).toEqual([expect.objectContaining({ platform: 'ghost', status: 'published', external_id: 'g-old' })]);
+      expect(changes.map((c) => c.action)).toEqual(['updated']);
+    });
+
+    it('keeps the live post on the entry when its update fails, and updates it on the next run', async () => {
+      publishers.ghost = fakeAdapter('ghost');
+      publishers.ghost.update.mockRejectedValueOnce(new Error('Ghost API 401: Unauthorized'));
+      const current = stubPost({
+        id: POST_ID,
+        title: 'T',
+        content: 'C',
+        platform_publications: [{ platform: 'ghost', status: 'published', external_id: 'g-old', url: 'https://ghost.example.com/g-old' }]
+      });
+
+      await publishPostToPlatforms(USER, POST_ID, { platforms: ['ghost'] });
+      expect(current().platform_publications).toEqual([{
+        platform: 'ghost',
+        status: 'failed',
+        message: 'Ghost API 401: Unauthorized',
+        live: { external_id: 'g-old', url: 'https://ghost.example.com/g-old' }
+      }]);
+
+      await publishPostToPlatforms(USER, POST_ID, { platforms: ['ghost'] });
+      expect(publishers.ghost.update).toHaveBeenLastCalledWith({ token: 't' }, 'g-old', expect.anything(), { draft: false });
+      expect(publishers.ghost.publish).not.toHaveBeenCalled();
+      expect(current().platform_publications[0]).not.toHaveProperty('live');
+    });
+
+    it('throws NotFoundError when the post is missing', async () => {
+      mockQuery.mockResolvedValue({ rows: [] });
+      await expect(publishPostToPlatforms(USER, POST_ID, { platforms: ['ghost'] })).rejects.toBeInstanceOf(NotFoundError);
+    });
+  });
+
+  describe('settleAbandonedPublish', () => {
+    it('fails unfinished platforms but keeps finished and previously live ones', async () => {
+      const current = stubPost({
+        id: POST_ID,
+        publication_status: 'publishing',
+        platform_publications: [
+          { platform: 'wordpress', status: 'published', external_id: 7, job_id: 'job-1' },
+          { platform: 'ghost', status: 'published', external_id: 'g-old' },
+          { platform: 'hubspot', status: 'publishing', live: { external_id: 'h1' } }
+        ]
+      });
+
+      await settleAbandonedPublish(USER, POST_ID, 'job-1', ['wordpress', 'ghost', 'hubspot', 'hugo'], 'Worker crashed');
+
+      expect(current().platform_publications).toEqual([
+        { platform: 'wordpress', status: 'published', external_id: 7, job_id: 'job-1' },
+        { platform: 'ghost', status: 'published', external_id: 'g-old' },
+        { platform: 'hubspot', status: 'failed', message: 'Worker crashed', job_id: 'job-1', live: { external_id: 'h1' } },
+        { platform: 'hugo', status: 'failed', message: 'Worker crashed', job_id: 'job-1' }
+      ]);
+      expect(current().publication_status).toBe('published');
+    });
+
+    it('returns null when the post was deleted', async () => {
+      mockQuery.mockResolvedValue({ rows: [] });
+      await expect(settleAbandonedPublish(USER, POST_ID, 'job-1', ['ghost'], 'x')).resolves.toBeNull();
+    });
+  });
+});
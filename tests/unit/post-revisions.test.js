@@ -0,0 +1,148 @@
+/**
+ * Unit tests: post revision history (services/post-revisions.js) and word diff (lib/word-diff.js).
+ */
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { NotFoundError, ValidationError } from '../../lib/errors.js';
+import { diffWords } from '../../lib/word-diff.js';
+
+const mockQuery = vi.fn();
+vi.mock('../../services/database.js', () => ({
+  default: {
+    query: (...args) => mockQuery(...args),
+    transaction: (fn) => fn({ query: (...args) => mockQuery(...args) })
+  }
+}));
+
+const { diffRevisions, recordRevision, restoreRevision, updatePostWithRevision } = await import('../../services/post-revisions.js');
+
+const POST = { id: 'p1', title: 'Draft', content: 'The quick brown fox', seo_score_prediction: null, updated_at: '2026-10-01T00:00:00Z' };
+
+const inserts = () => mockQuery.mock.calls.filter(([sql]) => sql.includes('INSERT INTO blog_post_revisions')).map(([, params]) => params);
+
+describe('diffWords', () => {
+  it('reports inserted and deleted words between equal runs', () => {
+    const { segments, words_added, words_removed } = diffWords('The quick brown fox jumps', 'The slow brown fox jumps high');
+
+    expect(segments).toEqual([
+      { type: 'equal', text: 'The ' },
+      { type: 'delete', text: 'quick' },
+      { type: 'insert', text: 'slow' },
+      { type: 'equal', text: ' brown fox jumps' },
+      { type: 'insert', text: ' high' }
+    ]);
+    expect(words_added).toBe(2);
+    expect(words_removed).toBe(1);
+  });
+
+  it('rebuilds both texts from the segments', () => {
+    const before = 'a b c d e f g h';
+    const after = 'a c d x f g h i';
+    const { segments } = diffWords(before, after);
+    expect(segments.filter((s) => s.type !== 'insert').map((s) => s.text).join('')).toBe(before);
+    expect(segments.filter((s) => s.type !== 'delete').map((s) => s.text).join('')).toBe(after);
+    expect(diffWords('', '')).toEqual({ segments: [], words_added: 0, words_removed: 0 });
+  });
+});
+
+describe('post-revisions', () => {
+  beforeEach(() => {
+    mockQuery.mockReset();
+  });
+
+  describe('recordRevision', () => {
+    it('stores the replaced text as the original revision on the first change', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [{ latest: 0 }] }).mockResolvedValue({ rows: [] });
+      const client = { query: mockQuery };
+
+      const number = await recordRevision(client, POST, { ...POST, content: 'The slow brown fox' }, {
+        source: 'manual_edit',
+        author: { userId: 'u1' }
+      });
+
+      expect(number).toBe(2);
+      const [original, edit] = inserts();
+      expect(original.slice(1, 8)).toEqual([1, 'Draft', 'The quick brown fox', 4, null, 'original', null]);
+      expect(original[10]).toBe('2026-10-01T00:00:00Z');
+      expect(edit.slice(1, 10)).toEqual([2, 'Draft', 'The slow brown fox', 4, null, 'manual_edit', null, 'u1', null]);
+    });
+
+    it('records nothing when title, content and SEO score are unchanged', async () => {
+      await expect(recordRevision({ query: mockQuery }, POST, { ...POST, status: 'published' }, { source: 'manual_edit' })).resolves.toBeNull();
+      expect(mockQuery).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('updatePostWithRevision', () => {
+    it('locks the owner\'s post, updates it and appends the next revision', async () => {
+      mockQuery
+        .mockResolvedValueOnce({ rows: [POST] })
+        .mockResolvedValueOnce({ rows: [{ ...POST, seo_score_prediction: 81 }] })
+        .mockResolvedValueOnce({ rows: [{ latest: 4 }] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      const { post, revision } = await updatePostWithRevision('p1', { seo_score_prediction: 81 }, {
+        owner: { sessionId: 's1' },
+        source: 'seo_reanalysis'
+      });
+
+      expect(revision).toBe(5);
+      expect(post.seo_score_prediction).toBe(81);
+      expect(mockQuery.mock.calls[0][0]).toMatch(/AND session_id = \$2 FOR UPDATE$/);
+      expect(mockQuery.mock.calls[0][1]).toEqual(['p1', 's1']);
+      expect(mockQuery.mock.calls[1][0]).toContain('SET seo_score_prediction = $2, updated_at = NOW()');
+      expect(inserts()[0].slice(5, 10)).toEqual([81, 'seo_reanalysis', null, null, 's1']);
+    });
+
+    it('throws NotFoundError for another owner\'s post', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [] });
+      await expect(updatePostWithRevision('p1', { content: 'x' }, { owner: { userId: 'u2' }, source: 'manual_edit' }))
+        .rejects.toBeInstanceOf(NotFoundError);
+    });
+  });
+
+  describe('diffRevisions', () => {
+    it('compares a revision with the current post', async () => {
+      mockQuery
+        .mockResolvedValueOnce({ rows: [{ ...POST, content: 'The slow brown fox' }] })
+        .mockResolvedValueOnce({ rows: [{ revision_number: 1, title: 'Draft', content: 'The quick brown fox', source: 'original' }] });
+
+      const diff = await diffRevisions('p1', { userId: 'u1' }, '1');
+
+      expect(diff.from).toMatchObject({ revision_number: 1, source: 'original' });
+      expect(diff.from.content).toBeUndefined();
+      expect(diff.to).toMatchObject({ label: 'current' });
+      expect(diff.title.segments).toEqual([{ type: 'equal', text: 'Draft' }]);
+      expect(diff.content).toMatchObject({ words_added: 1, words_removed: 1 });
+    });
+
+    it('rejects missing or invalid revision numbers', async () => {
+      await expect(diffRevisions('p1', { userId: 'u1' })).rejects.toBeInstanceOf(ValidationError);
+      mockQuery.mockResolvedValueOnce({ rows: [POST] });
+      await expect(diffRevisions('p1', { userId: 'u1' }, 'abc')).rejects.toThrow('Invalid from');
+    });
+  });
+
+  describe('restoreRevision', () => {
+    it('writes the revision back as a new restore revision', async () => {
+      mockQuery
+        .mockResolvedValueOnce({ rows: [POST] })
+        .mockResolvedValueOnce({ rows: [{ revision_number: 1, title: 'First', content: 'Old text' }] })
+        .mockResolvedValueOnce({ rows: [POST] })
+        .mockResolvedValueOnce({ rows: [{ ...POST, title: 'First', content: 'Old text' }] })
+        .mockResolvedValueOnce({ rows: [{ latest: 3 }] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      const { post, revision } = await restoreRevision('p1', { userId: 'u1' }, '1');
+
+      expect(revision).toBe(4);
+      expect(post.title).toBe('First');
+      expect(mockQuery.mock.calls[3][1]).toEqual(['p1', 'First', 'Old text']);
+      expect(inserts()[0].slice(1, 9)).toEqual([4, 'First', 'Old text', 2, null, 'restore', 1, 'u1']);
+    });
+
+    it('throws NotFoundError for an unknown revision', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [POST] }).mockResolvedValueOnce({ rows: [] });
+      await expect(restoreRevision('p1', { userId: 'u1' }, 9)).rejects.toThrow('Revision 9 not found');
+    });
+  });
+});
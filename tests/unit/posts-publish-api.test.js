@@ -0,0 +1,333 @@
+/**
+ * Unit tests: POST /posts/:id/publish and /unpublish dispatch through the publisher registry.
+ * Uses minimal Express app with mocked database, connections and publisher adapters.
+ */
+import { describe, it, expect, vi, beforeAll, beforeEach } from 'vitest';
+import express from 'express';
+import request from 'supertest';
+import { NotFoundError, ServiceUnavailableError } from '../../lib/errors.js';
+import { publishableFields, publishedSnapshot } from '../../services/publish-diff.js';
+
+const mockQuery = vi.fn();
+const mockGetConnectionCredentials = vi.fn();
+const mockCreateJob = vi.fn();
+const publishers = {};
+
+vi.mock('../../services/database.js', () => ({
+  default: { query: (...args) => mockQuery(...args) }
+}));
+
+vi.mock('../../services/publishing-connections.js', () => ({
+  getConnectionCredentials: (...args) => mockGetConnectionCredentials(...args)
+}));
+
+vi.mock('../../services/job-queue.js', () => ({
+  createJob: (...args) => mockCreateJob(...args)
+}));
+
+vi.mock('../../routes/posts-automation.js', async () => {
+  const { default: expressMod } = await import('express');
+  return { default: expressMod.Router() };
+});
+
+vi.mock('../../lib/publishing-platforms.js', async (importOriginal) => {
+  const actual = await importOriginal();
+  return {
+    ...actual,
+    getConnectedPlatforms: async () => new Set(Object.keys(publishers)),
+    getPublisher: (key) => publishers[key] || null
+  };
+});
+
+const USER = 'user-1';
+const POST_ID = '00000000-0000-0000-0000-000000000001';
+
+function fakeAdapter(key, capabilities = { draft: true, update: true, unpublish: true }) {
+  return {
+    key,
+    capabilities,
+    validateCredentials: vi.fn(),
+    publish: vi.fn(async () => ({ id: `${key}-new`, url: `https://${key}.example.com/new` })),
+    update: vi.fn(async (_c, id) => ({ id, url: `https://${key}.example.com/${id}` })),
+    unpublish: vi.fn(async (_c, id) => ({ id, status: 'trash' }))
+  };
+}
+
+/** Serve SELECT with the given row and echo UPDATE params back as the updated row. */
+function stubPost(row) {
+  mockQuery.mockImplementation(async (sql, params) => {
+    if (sql.trim().startsWith('SELECT')) return { rows: [row] };
+    if (sql.includes("AND publication_status = 'publishing'")) return { rows: [] };
+    if (sql.includes("SET publication_status = 'publishing'")) {
+      return { rows: [{ ...row, publication_status: 'publishing' }] };
+    }
+    if (sql.includes('SET publication_status')) {
+      return { rows: [{ ...row, publication_status: params[0], platform_publications: JSON.parse(params[1]) }] };
+    }
+    return { rows: [{ ...row, platform_publications: JSON.parse(params[0]), publication_status: params[1] }] };
+  });
+}
+
+/** platform_publications as last written (publishing saves after every platform). */
+function savedPublications() {
+  const call = mockQuery.mock.calls.filter(([sql]) => sql.includes('UPDATE blog_posts')).at(-1);
+  const params = call[1];
+  return JSON.parse(call[0].includes('SET publication_status') ? params[1] : params[0]);
+}
+
+describe('posts publish api', () => {
+  /** @type {import('express').Express} */
+  let app;
+
+  beforeAll(async () => {
+    const { default: postsRouter } = await import('../../routes/posts.js');
+    app = express();
+    app.use(express.json());
+    app.use('/api/v1/posts', postsRouter);
+  });
+
+  beforeEach(() => {
+    mockQuery.mockReset();
+    mockGetConnectionCredentials.mockReset().mockResolvedValue({ token: 't' });
+    mockCreateJob.mockReset().mockResolvedValue({ jobId: 'job-1' });
+    for (const key of Object.keys(publishers)) delete publishers[key];
+  });
+
+  const publish = (body) => request(app)
+    .post(`/api/v1/posts/${POST_ID}/publish`)
+    .set('x-mock-user-id', USER)
+    .send(body);
+
+  const unpublish = (body) => request(app)
+    .post(`/api/v1/posts/${POST_ID}/unpublish`)
+    .set('x-mock-user-id', USER)
+    .send(body);
+
+  it('publishes through the adapter and keeps entries for other platforms', async () => {
+    publishers.ghost = fakeAdapter('ghost');
+    stubPost({
+      id: POST_ID,
+      title: 'Hello',
+      content: 'Body',
+      platform_publications: [{ platform: 'medium', status: 'published', external_id: 'm1' }]
+    });
+
+    const res = await publish({ platforms: ['ghost'], publish_mode: 'draft' }).expect(200);
+
+    expect(publishers.ghost.publish).toHaveBeenCalledWith({ token: 't' }, expect.objectContaining({ title: 'Hello' }), { draft: true });
+    expect(res.body.changes).toEqual([{ platform: 'ghost', action: 'created' }]);
+    const saved = savedPublications();
+    expect(saved.map((p) => p.platform)).toEqual(['medium', 'ghost']);
+    expect(saved[1]).toMatchObject({ status: 'published', external_id: 'ghost-new', label: 'Ghost' });
+  });
+
+  it('records a failed entry when the adapter throws', async () => {
+    publishers.ghost = fakeAdapter('ghost');
+    publishers.ghost.publish.mockRejectedValueOnce(new Error('Ghost rejected the API key.'));
+    stubPost({ id: POST_ID, title: 'T', content: 'C', platform_publications: [] });
+
+    const res = await publish({ platforms: ['ghost'] }).expect(200);
+
+    expect(res.body.post.publication_status).toBe('failed');
+    expect(savedPublications()[0]).toEqual({ platform: 'ghost', status: 'failed', message: 'Ghost rejected the API key.' });
+  });
+
+  it('refuses to publish an unapproved post when the organization requires review', async () => {
+    publishers.ghost = fakeAdapter('ghost');
+    mockQuery.mockImplementation(async (sql) => {
+      if (sql.includes('FROM organization_members')) return { rows: [{ id: 'org-1', require_post_review: true }] };
+      return { rows: [{ id: POST_ID, user_id: USER, title: 'T', content: 'C', review_state: 'in_review' }] };
+    });
+
+    const res = await publish({ platforms: ['ghost'] }).expect(409);
+
+    expect(res.body).toMatchObject({ success: false, error: 'Review required' });
+    expect(res.body.message).toMatch(/in_review/);
+    expect(publishers.ghost.publish).not.toHaveBeenCalled();
+    expect(mockCreateJob).not.toHaveBeenCalled();
+  });
+
+  it('updates in place with update_existing and returns a diff', async () => {
+    publishers.wordpress = fakeAdapter('wordpress');
+    const previous = publishedSnapshot(publishableFields({ title: 'Old title', content: 'Body' }));
+    stubPost({
+      id: POST_ID,
+      title: 'New title',
+      content: 'Body',
+      platform_publications: [{ platform: 'wordpress', status: 'published', external_id: 42, published: previous }]
+    });
+
+    const res = await publish({ platforms: ['wordpress'], update_existing: true }).expect(200);
+
+    expect(publishers.wordpress.publish).not.toHaveBeenCalled();
+    expect(publishers.wordpress.update.mock.calls[0][1]).toBe(42);
+    expect(res.body.changes).toEqual([
+      { platform: 'wordpress', action: 'updated', diff: { title: { from: 'Old title', to: 'New title' } } }
+    ]);
+  });
+
+  it('recreates the remote post when it was deleted on the platform', async () => {
+    publishers.wordpress = fakeAdapter('wordpress');
+    publishers.wordpress.update.mockRejectedValueOnce(new NotFoundError('gone'));
+    stubPost({
+      id: POST_ID,
+      title: 'T',
+      content: 'C',
+      platform_publications: [{ platform: 'wordpress', status: 'published', external_id: 42 }]
+    });
+
+    const res = await publish({ platforms: ['wordpress'], update_existing: true }).expect(200);
+
+    expect(publishers.wordpress.publish).toHaveBeenCalledTimes(1);
+    expect(res.body.changes[0].action).toBe('recreated');
+    expect(savedPublications()[0].external_id).toBe('wordpress-new');
+  });
+
+  it('leaves the live post alone when the platform cannot update', async () => {
+    publishers.medium = { ...fakeAdapter('medium', { draft: true, update: false, unpublish: false }), unsupported: { update: 'No edits on Medium' } };
+    const entry = { platform: 'medium', status: 'published', external_id: 'm1', url: 'https://medium.com/p/m1' };
+    stubPost({ id: POST_ID, title: 'T', content: 'C', platform_publications: [entry] });
+
+    const res = await publish({ platforms: ['medium'], update_existing: true }).expect(200);
+
+    expect(publishers.medium.publish).not.toHaveBeenCalled();
+    expect(res.body.changes).toEqual([{ platform: 'medium', action: 'unsupported', message: 'No edits on Medium' }]);
+    expect(savedPublications()).toEqual([entry]);
+  });
+
+  it('queues a publish_post job when async is set', async () => {
+    publishers.ghost = fakeAdapter('ghost');
+    stubPost({ id: POST_ID, title: 'T', content: 'C', publication_status: 'draft', platform_publications: [] });
+
+    const res = await publish({ platforms: ['Ghost', 'ghost'], publish_mode: 'draft', async: true }).expect(202);
+
+    expect(res.body).toMatchObject({ success: true, jobId: 'job-1' });
+    expect(res.body.post.publication_status).toBe('publishing');
+    const markedAt = mockQuery.mock.calls.findIndex(([sql]) => sql.includes("SET publication_status = 'publishing'"));
+    expect(mockQuery.mock.invocationCallOrder[markedAt]).toBeLessThan(mockCreateJob.mock.invocationCallOrder[0]);
+    expect(mockCreateJob).toHaveBeenCalledWith(
+      'publish_post',
+      { postId: POST_ID, platforms: ['ghost'], draft: true, updateExisting: false, wordpressUseIndexPhpRestRoute: false },
+      { userId: USER }
+    );
+    expect(publishers.ghost.publish).not.toHaveBeenCalled();
+  });
+
+  it('returns 503 and restores the status for async publishing when the job queue is unavailable', async () => {
+    publishers.ghost = fakeAdapter('ghost');
+    stubPost({ id: POST_ID, title: 'T', content: 'C', publication_status: 'draft', platform_publications: [] });
+    mockCreateJob.mockRejectedValueOnce(new ServiceUnavailableError('REDIS_URL is required for job queue'));
+
+    const res = await publish({ platforms: ['ghost'], async: true }).expect(503);
+
+    expect(res.body.error).toBe('Service unavailable');
+    expect(mockQuery).toHaveBeenLastCalledWith(expect.stringContaining("AND publication_status = 'publishing'"), [POST_ID, USER, 'draft']);
+  });
+
+  it('rejects invalid schedules before publishing', async () => {
+    publishers.ghost = fakeAdapter('ghost');
+    stubPost({ id: POST_ID, title: 'T', content: 'C', platform_publications: [] });
+
+    const past = await publish({ platforms: ['ghost'], scheduled_at: '2001-01-01T09:00', timezone: 'UTC' }).expect(400);
+    expect(past.body).toMatchObject({ error: 'Invalid schedule', message: 'scheduled_at must be in the future' });
+    const draft = await publish({ platforms: ['ghost'], publish_mode: 'draft', scheduled_at: '2999-01-01T09:00' }).expect(400);
+    expect(draft.body.message).toMatch(/cannot be combined/);
+    expect(publishers.ghost.publish).not.toHaveBeenCalled();
+  });
+
+  it('cancels scheduled publications via DELETE /schedule', async () => {
+    stubPost({
+      id: POST_ID,
+      title: 'T',
+      content: 'C',
+      publication_status: 'scheduled',
+      platform_publications: [{ platform: 'hugo', status: 'scheduled', native: false, scheduled_at: '2999-01-01T09:00:00.000Z' }]
+    });
+
+    const res = await request(app)
+      .delete(`/api/v1/posts/${POST_ID}/schedule?platform=hugo`)
+      .set('x-mock-user-id', USER)
+      .expect(200);
+
+    expect(res.body.cancel_results).toEqual([{ platform: 'hugo', status: 'cancelled' }]);
+    expect(savedPublications()).toEqual([]);
+    expect(res.body.post.publication_status).toBe('draft');
+  });
+
+  it('unpublishes through the adapter and keeps entries whose remote call failed', async () => {
+    publishers.wordpress = fakeAdapter('wordpress');
+    publishers.ghost = fakeAdapter('ghost');
+    publishers.ghost.unpublish.mockRejectedValueOnce(new Error('Ghost is down'));
+    stubPost({
+      id: POST_ID,
+      title: 'T',
+      content: 'C',
+      publication_status: 'published',
+      platform_publications: [
+        { platform: 'wordpress', status: 'published', external_id: 42 },
+        { platform: 'ghost', status: 'published', external_id: 'g1' }
+      ]
+    });
+
+    const res = await unpublish({ mode: 'draft' }).expect(200);
+
+    expect(publishers.wordpress.unpublish).toHaveBeenCalledWith({ token: 't' }, 42, { mode: 'draft' });
+    expect(res.body.unpublish_results.map((r) => [r.platform, r.status])).toEqual([['wordpress', 'unpublished'], ['ghost', 'failed']]);
+    expect(savedPublications().map((p) => p.platform)).toEqual(['ghost']);
+    expect(res.body.post.publication_status).toBe('published');
+  });
+
+  it('unpublishes the live post a failed update kept', async () => {
+    publishers.ghost = fakeAdapter('ghost');
+    stubPost({
+      id: POST_ID,
+      title: 'T',
+      content: 'C',
+      platform_publications: [{ platform: 'ghost', status: 'failed', message: 'Ghost is down', live: { external_id: 'g1' } }]
+    });
+
+    const res = await unpublish({ platform: 'ghost' }).expect(200);
+
+    expect(publishers.ghost.unpublish).toHaveBeenCalledWith({ token: 't' }, 'g1', expect.anything());
+    expect(res.body.unpublish_results[0]).toMatchObject({ platform: 'ghost', status: 'unpublished', cleared: true });
+    expect(savedPublications()).toEqual([]);
+  });
+
+  it('clears platforms that cannot unpublish and reports them as unsupported', async () => {
+    publishers.medium = fakeAdapter('medium', { draft: true, update: false, unpublish: false });
+    stubPost({
+      id: POST_ID,
+      title: 'T',
+      content: 'C',
+      platform_publications: [{ platform: 'medium', status: 'published', external_id: 'm1' }]
+    });
+
+    const res = await unpublish({ platform: 'medium' }).expect(200);
+
+    expect(res.body.unpublish_results[0]).toMatchObject({ platform: 'medium', status: 'unsupported', cleared: true });
+    expect(savedPublications()).toEqual([]);
+    expect(res.body.post.publication_status).toBe('draft');
+  });
+
+  it('moves review_state back with the publication status once the post is offline everywhere', async () => {
+    publishers.wordpress = fakeAdapter('wordpress');
+    stubPost({
+      id: POST_ID,
+      title: 'T',
+      content: 'C',
+      publication_status: 'published',
+      review_state: 'published',
+      platform_publications: [
+        { platform: 'wordpress', status: 'published', external_id: 42 },
+        { platform: 'ghost', status: 'failed', message: 'Ghost is down' }
+      ]
+    });
+
+    await unpublish({ platform: 'wordpress' }).expect(200);
+
+    const [sql, params] = mockQuery.mock.calls.filter(([q]) => q.includes('UPDATE blog_posts')).at(-1);
+    expect(sql).toMatch(/review_state = CASE/);
+    expect(params[0]).toBe('draft');
+    expect(JSON.parse(params[1]).map((p) => p.platform)).toEqual(['ghost']);
+  });
+});
@@ -0,0 +1,37 @@
+/**
+ * Unit tests for republish field extraction, snapshots and diffs.
+ */
+import { describe, it, expect } from 'vitest';
+import { diffPublishedSnapshots, publishableFields, publishedSnapshot } from '../../services/publish-diff.js';
+
+describe('publish-diff', () => {
+  it('publishableFields takes the first image and topic_data tags', () => {
+    const fields = publishableFields({
+      title: 'T',
+      content: 'Intro\n\n![Hero](https://img.example.com/hero.png "Hero")\n\n![Two](https://img.example.com/two.png)',
+      topic_data: JSON.stringify({ tags: ['SEO', ' SEO ', '', 'Growth'] })
+    });
+    expect(fields.featured_image).toBe('https://img.example.com/hero.png');
+    expect(fields.tags).toEqual(['SEO', 'Growth']);
+  });
+
+  it('publishableFields tolerates missing topic_data and images', () => {
+    expect(publishableFields({ title: 'T', content: 'Plain' })).toEqual({ title: 'T', content: 'Plain', featured_image: null, tags: [] });
+  });
+
+  it('diff reports only changed fields', () => {
+    const before = publishedSnapshot({ title: 'Old', content: 'one two three', featured_image: 'https://a/1.png', tags: ['a', 'b'] });
+    const after = publishedSnapshot({ title: 'New', content: 'one two three four', featured_image: 'https://a/1.png', tags: ['b', 'c'] });
+    expect(diffPublishedSnapshots(before, after)).toEqual({
+      title: { from: 'Old', to: 'New' },
+      content: { words_before: 3, words_after: 4 },
+      tags: { added: ['c'], removed: ['a'] }
+    });
+  });
+
+  it('diff is empty when nothing changed and null without a previous snapshot', () => {
+    const snap = publishedSnapshot({ title: 'T', content: 'C', featured_image: null, tags: [] });
+    expect(diffPublishedSnapshots(snap, { ...snap })).toEqual({});
+    expect(diffPublishedSnapshots(undefined, snap)).toBeNull();
+  });
+});
@@ -0,0 +1,285 @@
+/**
+ * Unit tests: scheduled publishing (scheduled_at parsing, reschedule/cancel, due-entry claims).
+ */
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { NotFoundError, ValidationError } from '../../lib/errors.js';
+
+const mockQuery = vi.fn();
+const mockGetConnectionCredentials = vi.fn();
+const mockCreateJob = vi.fn();
+const publishers = {};
+
+vi.mock('../../services/database.js', () => ({
+  default: { query: (...args) => mockQuery(...args) }
+}));
+
+vi.mock('../../services/publishing-connections.js', () => ({
+  getConnectionCredentials: (...args) => mockGetConnectionCredentials(...args)
+}));
+
+vi.mock('../../services/job-queue.js', () => ({
+  createJob: (...args) => mockCreateJob(...args)
+}));
+
+vi.mock('../../lib/publishing-platforms.js', async (importOriginal) => {
+  const actual = await importOriginal();
+  return { ...actual, getPublisher: (key) => publishers[key] || null };
+});
+
+const {
+  cancelScheduledPublications,
+  claimDueScheduledPublications,
+  rescheduleScheduledPublications,
+  resolveScheduledAt,
+  statusAfterRemoval
+} = await import('../../services/publish-schedule.js');
+const { publishPostToPlatforms } = await import('../../services/post-publishing.js');
+const { processScheduledPublications } = await import('../../jobs/scheduledPublishing.js');
+
+const USER = 'user-1';
+const POST_ID = 'post-1';
+const NOW = new Date('2026-10-19T12:00:00.000Z');
+
+function nativeAdapter(key) {
+  return {
+    key,
+    capabilities: { draft: true, update: true, unpublish: true, schedule: true },
+    validateCredentials: vi.fn(),
+    publish: vi.fn(async () => ({ id: `${key}-1`, url: `https://${key}.example.com/?p=1` })),
+    update: vi.fn(async (_c, id) => ({ id, url: `https://${key}.example.com/?p=${id}` })),
+    unpublish: vi.fn(async (_c, id) => ({ id, status: 'trash' }))
+  };
+}
+
+/** Keep the post row in memory so each save is visible to the next SELECT. */
+function stubPost(row) {
+  let current = { ...row };
+  mockQuery.mockImplementation(async (sql, params) => {
+    if (sql.trim().startsWith('SELECT')) return { rows: [current] };
+    current = { ...current, publication_status: params[0], platform_publications: JSON.parse(params[1]) };
+    return { rows: [current] };
+  });
+  return () => current;
+}
+
+describe('publish-schedule', () => {
+  beforeEach(() => {
+    mockQuery.mockReset();
+    mockGetConnectionCredentials.mockReset().mockResolvedValue({ token: 't' });
+    mockCreateJob.mockReset().mockResolvedValue({ jobId: 'job-1' });
+    for (const key of Object.keys(publishers)) delete publishers[key];
+  });
+
+  describe('resolveScheduledAt', () => {
+    it('reads a local date-time in the given timezone, across DST', () => {
+      expect(resolveScheduledAt('2026-10-27T09:00', 'America/New_York', NOW).scheduledAt.toISOString()).toBe('2026-10-27T13:00:00.000Z');
+      expect(resolveScheduledAt('2026-11-10T09:00', 'America/New_York', NOW).scheduledAt.toISOString()).toBe('2026-11-10T14:00:00.000Z');
+      expect(resolveScheduledAt('2026-10-27 09:30:15', undefined, NOW)).toEqual({
+        scheduledAt: new Date('2026-10-27T09:30:15.000Z'),
+        timezone: 'UTC'
+      });
+    });
+
+    it('takes values with an explicit offset as is and keeps the timezone for display', () => {
+      const { scheduledAt, timezone } = resolveScheduledAt('2026-10-27T09:00:00+02:00', 'Europe/Berlin', NOW);
+      expect(scheduledAt.toISOString()).toBe('2026-10-27T07:00:00.000Z');
+      expect(timezone).toBe('Europe/Berlin');
+    });
+
+    it('rejects unknown zones, unparseable values and past times', () => {
+      expect(() => resolveScheduledAt('2026-10-27T09:00', 'Mars/Olympus', NOW)).toThrow(/Unknown timezone/);
+      expect(() => resolveScheduledAt('next tuesday', 'UTC', NOW)).toThrow(ValidationError);
+      expect(() => resolveScheduledAt('2026-10-19T11:59:00Z', 'UTC', NOW)).toThrow(/in the future/);
+    });
+  });
+
+  it('statusAfterRemoval falls back to draft once nothing is scheduled or live', () => {
+    expect(statusAfterRemoval([], 'published')).toBe('draft');
+    expect(statusAfterRemoval([{ status: 'failed' }], 'scheduled')).toBe('draft');
+    expect(statusAfterRemoval([{ status: 'failed' }], 'published')).toBe('draft');
+    expect(statusAfterRemoval([{ status: 'failed' }], 'failed')).toBe('failed');
+    expect(statusAfterRemoval([{ status: 'scheduled' }], 'published')).toBe('scheduled');
+  });
+
+  it('publishPostToPlatforms schedules natively where supported and locally elsewhere', async () => {
+    publishers.wordpress = nativeAdapter('wordpress');
+    stubPost({ id: POST_ID, title: 'T', content: 'C', platform_publications: [] });
+    const scheduledAt = new Date('2026-10-27T13:00:00.000Z');
+
+    const { post, changes } = await publishPostToPlatforms(USER, POST_ID, {
+      platforms: ['wordpress', 'substack'],
+      scheduledAt,
+      timezone: 'America/New_York'
+    });
+
+    expect(publishers.wordpress.publish).toHaveBeenCalledWith({ token: 't' }, expect.anything(), { draft: false, scheduledAt });
+    expect(post.publication_status).toBe('scheduled');
+    expect(post.platform_publications).toEqual([
+      expect.objectContaining({ platform: 'wordpress', status: 'scheduled', native: true, external_id: 'wordpress-1', scheduled_at: '2026-10-27T13:00:00.000Z' }),
+      expect.objectContaining({ platform: 'substack', status: 'scheduled', native: false, timezone: 'America/New_York' })
+    ]);
+    expect(changes.map((c) => c.action)).toEqual(['scheduled', 'scheduled']);
+  });
+
+  it('schedules an update of a live post locally, keeps the live post and updates it in place when due', async () => {
+    publishers.wordpress = nativeAdapter('wordpress');
+    const live = { platform: 'wordpress', status: 'published', external_id: 7, url: 'https://wordpress.example.com/?p=7' };
+    const current = stubPost({ id: POST_ID, title: 'T', content: 'C', platform_publications: [live] });
+    const scheduledAt = new Date('2026-10-27T13:00:00.000Z');
+
+    await publishPostToPlatforms(USER, POST_ID, { platforms: ['wordpress'], scheduledAt, timezone: 'UTC' });
+
+    expect(publishers.wordpress.publish).not.toHaveBeenCalled();
+    expect(current().platform_publications).toEqual([
+      expect.objectContaining({ status: 'scheduled', native: false, live: { external_id: 7, url: live.url } })
+    ]);
+
+    current().platform_publications[0].status = 'publishing'; // claimed by the scheduler
+    await publishPostToPlatforms(USER, POST_ID, { platforms: ['wordpress'] });
+
+    expect(publishers.wordpress.update).toHaveBeenCalledWith({ token: 't' }, 7, expect.anything(), { draft: false });
+    expect(current().platform_publications).toEqual([expect.objectContaining({ status: 'published', external_id: 7 })]);
+  });
+
+  describe('rescheduleScheduledPublications', () => {
+    it('updates native schedules remotely and local ones in place', async () => {
+      publishers.ghost = nativeAdapter('ghost');
+      const current = stubPost({
+        id: POST_ID,
+        title: 'T',
+        content: 'C',
+        platform_publications: [
+          { platform: 'ghost', status: 'scheduled', native: true, external_id: 'g1', scheduled_at: '2026-10-27T13:00:00.000Z' },
+          { platform: 'hugo', status: 'scheduled', native: false, scheduled_at: '2026-10-27T13:00:00.000Z' },
+          { platform: 'medium', status: 'published', external_id: 'm1' }
+        ]
+      });
+      const scheduledAt = new Date('2026-10-30T08:00:00.000Z');
+
+      const { results } = await rescheduleScheduledPublications(USER, POST_ID, { scheduledAt, timezone: 'UTC' });
+
+      expect(publishers.ghost.update).toHaveBeenCalledWith({ token: 't' }, 'g1', expect.objectContaining({ title: 'T' }), { scheduledAt });
+      expect(results.map((r) => r.status)).toEqual(['rescheduled', 'rescheduled']);
+      expect(current().platform_publications.map((p) => p.scheduled_at)).toEqual([
+        '2026-10-30T08:00:00.000Z',
+        '2026-10-30T08:00:00.000Z',
+        undefined
+      ]);
+    });
+
+    it('throws NotFoundError when nothing is scheduled for the platform', async () => {
+      stubPost({ id: POST_ID, platform_publications: [{ platform: 'ghost', status: 'published' }] });
+      await expect(
+        rescheduleScheduledPublications(USER, POST_ID, { scheduledAt: NOW, timezone: 'UTC', platform: 'ghost' })
+      ).rejects.toBeInstanceOf(NotFoundError);
+    });
+  });
+
+  it('cancelScheduledPublications deletes native schedules and keeps failed ones unless forced', async () => {
+    publishers.wordpress = nativeAdapter('wordpress');
+    publishers.ghost = nativeAdapter('ghost');
+    publishers.ghost.unpublish.mockRejectedValueOnce(new Error('Ghost is down'));
+    const current = stubPost({
+      id: POST_ID,
+      publication_status: 'scheduled',
+      platform_publications: [
+        { platform: 'wordpress', status: 'scheduled', native: true, external_id: 42 },
+        { platform: 'ghost', status: 'scheduled', native: true, external_id: 'g1' },
+        { platform: 'hugo', status: 'scheduled', native: false }
+      ]
+    });
+
+    const { results } = await cancelScheduledPublications(USER, POST_ID);
+
+    expect(publishers.wordpress.unpublish).toHaveBeenCalledWith({ token: 't' }, 42, { mode: 'delete' });
+    expect(results.map((r) => [r.platform, r.status])).toEqual([['wordpress', 'cancelled'], ['ghost', 'failed'], ['hugo', 'cancelled']]);
+    expect(current().platform_publications.map((p) => p.platform)).toEqual(['ghost']);
+    expect(current().publication_status).toBe('scheduled');
+  });
+
+  it('cancelScheduledPublications puts back the live post a scheduled update was for', async () => {
+    const current = stubPost({
+      id: POST_ID,
+      publication_status: 'scheduled',
+      platform_publications: [{ platform: 'ghost', status: 'scheduled', native: false, label: 'Ghost', live: { external_id: 'g1', url: 'https://ghost.example.com/g1' } }]
+    });
+
+    await cancelScheduledPublications(USER, POST_ID);
+
+    expect(current().platform_publications).toEqual([
+      { platform: 'ghost', status: 'published', external_id: 'g1', url: 'https://ghost.example.com/g1', label: 'Ghost' }
+    ]);
+    expect(current().publication_status).toBe('published');
+  });
+
+  describe('claimDueScheduledPublications', () => {
+    const due = '2026-10-19T11:59:00.000Z';
+    const later = '2026-10-20T09:00:00.000Z';
+
+    it('marks due native entries published and claims due local ones', async () => {
+      const entries = [
+        { platform: 'wordpress', status: 'scheduled', native: true, external_id: 42, scheduled_at: due, timezone: 'UTC' },
+        { platform: 'hugo', status: 'scheduled', native: false, scheduled_at: due },
+        { platform: 'astro', status: 'scheduled', native: false, scheduled_at: later }
+      ];
+      mockQuery
+        .mockResolvedValueOnce({ rows: [{ id: POST_ID, user_id: USER, platform_publications: entries }] })
+        .mockResolvedValueOnce({ rows: [{ id: POST_ID }] });
+
+      const claims = await claimDueScheduledPublications(NOW);
+
+      expect(claims).toEqual([{ postId: POST_ID, userId: USER, platforms: ['hugo'] }]);
+      const [sql, params] = mockQuery.mock.calls[1];
+      expect(sql).toContain('platform_publications = $4::jsonb');
+      expect(JSON.parse(params[0])).toEqual([
+        { platform: 'wordpress', status: 'published', external_id: 42, scheduled_at: due },
+        { ...entries[1], status: 'publishing' },
+        entries[2]
+      ]);
+      expect(params[1]).toBe('published');
+      expect(JSON.parse(params[3])).toEqual(entries);
+    });
+
+    it('skips posts another run claimed first', async () => {
+      mockQuery
+        .mockResolvedValueOnce({ rows: [{ id: POST_ID, user_id: USER, platform_publications: [{ platform: 'hugo', status: 'scheduled', scheduled_at: due }] }] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      await expect(claimDueScheduledPublications(NOW)).resolves.toEqual([]);
+    });
+  });
+
+  describe('processScheduledPublications', () => {
+    const claimed = [{ platform: 'hugo', status: 'scheduled', native: false, scheduled_at: '2000-01-01T00:00:00.000Z' }];
+
+    it('enqueues a publish_post job per claimed post', async () => {
+      mockQuery
+        .mockResolvedValueOnce({ rows: [{ id: POST_ID, user_id: USER, platform_publications: claimed }] })
+        .mockResolvedValueOnce({ rows: [{ id: POST_ID }] });
+
+      await expect(processScheduledPublications()).resolves.toEqual({ enqueued: 1, due: 1, errors: [] });
+      expect(mockCreateJob).toHaveBeenCalledWith(
+        'publish_post',
+        { postId: POST_ID, platforms: ['hugo'], draft: false, updateExisting: false },
+        { userId: USER, sessionId: null, tenantId: null }
+      );
+    });
+
+    it('puts entries back to scheduled when the job cannot be enqueued', async () => {
+      mockCreateJob.mockRejectedValueOnce(new Error('REDIS_URL is required for job queue'));
+      mockQuery
+        .mockResolvedValueOnce({ rows: [{ id: POST_ID, user_id: USER, platform_publications: claimed }] })
+        .mockResolvedValueOnce({ rows: [{ id: POST_ID }] })
+        .mockResolvedValueOnce({ rows: [{ id: POST_ID, platform_publications: [{ ...claimed[0], status: 'publishing' }] }] })
+        .mockImplementationOnce(async (_sql, params) => ({ rows: [{ platform_publications: JSON.parse(params[1]), publication_status: params[0] }] }));
+
+      const { enqueued, errors } = await processScheduledPublications();
+
+      expect(enqueued).toBe(0);
+      expect(errors[0]).toMatch(/REDIS_URL/);
+      const [, params] = mockQuery.mock.calls[3];
+      expect(JSON.parse(params[1])[0].status).toBe('scheduled');
+      expect(params[0]).toBe('scheduled');
+    });
+  });
+});
@@ -0,0 +1,123 @@
+/**
+ * Unit tests: canonical publishable post and publishing metadata validation (services/publishable-post.js).
+ */
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { ValidationError } from '../../lib/errors.js';
+
+vi.mock('../../services/database.js', () => ({ default: { query: vi.fn() } }));
+
+const db = (await import('../../services/database.js')).default;
+const { buildPublishablePost, loadPublishablePost, normalizePublishingMetadata } = await import('../../services/publishable-post.js');
+
+const row = {
+  id: 'p1',
+  user_id: 'u1',
+  title: 'Ten Ways to Grow',
+  content: '# Ten Ways to Grow\n\nGrowth starts with **focus**.\n\n![chart](https://cdn.example.com/body.png)',
+  topic_data: JSON.stringify({ tags: ['growth'], seoKeywords: ['grow', 'focus'] }),
+  created_at: '2026-03-05T10:00:00Z'
+};
+
+describe('buildPublishablePost', () => {
+  it('derives slug, excerpt, meta description, image, tags and keywords from the row', () => {
+    const post = buildPublishablePost(row, { heroImage: { url: 'https://cdn.example.com/hero.png', alt: 'A sprout' }, authorName: 'Ada Lovelace' });
+
+    expect(post).toMatchObject({
+      title: 'Ten Ways to Grow',
+      slug: 'ten-ways-to-grow',
+      excerpt: 'Growth starts with focus.',
+      meta_description: 'Growth starts with focus.',
+      canonical_url: null,
+      featured_image: 'https://cdn.example.com/hero.png',
+      featured_image_alt: 'A sprout',
+      tags: ['growth'],
+      categories: [],
+      author: 'Ada Lovelace',
+      keywords: ['grow', 'focus'],
+      date: '2026-03-05T10:00:00Z'
+    });
+  });
+
+  it('prefers values set on the post and falls back to the first content image', () => {
+    const overridden = buildPublishablePost(
+      {
+        ...row,
+        slug: 'grow',
+        excerpt: 'Custom excerpt',
+        meta_description: 'Custom meta',
+        canonical_url: 'https://acme.com/grow',
+        featured_image_url: 'https://cdn.example.com/own.png',
+        tags: ['a', 'a', ' b '],
+        categories: '["Guides"]',
+        author_name: 'Team Acme'
+      },
+      { heroImage: { url: 'https://cdn.example.com/hero.png', alt: 'A sprout' }, authorName: 'Ada Lovelace' }
+    );
+    expect(overridden).toMatchObject({
+      slug: 'grow',
+      excerpt: 'Custom excerpt',
+      meta_description: 'Custom meta',
+      canonical_url: 'https://acme.com/grow',
+      featured_image: 'https://cdn.example.com/own.png',
+      featured_image_alt: 'Ten Ways to Grow',
+      tags: ['a', 'b'],
+      categories: ['Guides'],
+      author: 'Team Acme'
+    });
+
+    expect(buildPublishablePost(row).featured_image).toBe('https://cdn.example.com/body.png');
+  });
+});
+
+describe('loadPublishablePost', () => {
+  beforeEach(() => {
+    db.query.mockReset();
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('looks up the hero image and author name in one query', async () => {
+    db.query.mockResolvedValueOnce({ rows: [{ hero_image: { url: 'https://cdn.example.com/hero.png', alt: 'A sprout' }, author_name: 'Ada' }] });
+
+    const post = await loadPublishablePost(row);
+
+    expect(db.query.mock.calls[0][1]).toEqual(['p1', 'u1']);
+    expect(post).toMatchObject({ featured_image: 'https://cdn.example.com/hero.png', author: 'Ada' });
+  });
+
+  it('builds from the row alone when the lookup fails', async () => {
+    db.query.mockRejectedValueOnce(new Error('relation does not exist'));
+
+    const post = await loadPublishablePost(row);
+
+    expect(post.featured_image).toBe('https://cdn.example.com/body.png');
+    expect(post.author).toBeNull();
+    expect(console.warn).toHaveBeenCalled();
+  });
+});
+
+describe('normalizePublishingMetadata', () => {
+  it('returns only the fields present, trimmed, with lists as JSON and empty values cleared', () => {
+    expect(normalizePublishingMetadata({ title: 'ignored', slug: ' My Post! ', excerpt: '  Hi  ', tags: [' seo ', 'seo', ''], author_name: '', categories: null }))
+      .toEqual({ slug: 'my-post', excerpt: 'Hi', tags: '["seo"]', author_name: null, categories: null });
+    expect(normalizePublishingMetadata({})).toEqual({});
+  });
+
+  it('rejects non-http URLs, non-string lists and over-long text', () => {
+    const invalid = [
+      [{ canonical_url: 'javascript:alert(1)' }, /canonical_url must be an http\(s\) URL/],
+      [{ featured_image_url: 'not a url' }, /featured_image_url must be an http\(s\) URL/],
+      [{ tags: 'seo' }, /tags must be an array of strings/],
+      [{ categories: [1] }, /categories must be an array of strings/],
+      [{ meta_description: 'x'.repeat(501) }, /at most 500 characters/],
+      [{ slug: '!!!' }, /slug must contain letters or digits/]
+    ];
+    for (const [body, message] of invalid) {
+      expect(() => normalizePublishingMetadata(body)).toThrow(ValidationError);
+      expect(() => normalizePublishingMetadata(body)).toThrow(message);
+    }
+  });
+});
@@ -0,0 +1,112 @@
+/**
+ * Unit tests: publishing connection credentials and OAuth token refresh (services/publishing-connections.js).
+ */
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+
+vi.mock('../../services/database.js', () => ({ default: { query: vi.fn() } }));
+
+process.env.OAUTH_ENCRYPTION_KEY = 'a'.repeat(64);
+
+const db = (await import('../../services/database.js')).default;
+const { default: oauthManager, publishingTokenExpiresAt } = await import('../../services/oauth-manager.js');
+const { getConnectionCredentials } = await import('../../services/publishing-connections.js');
+
+const connectionRow = (credentials) => ({ rows: [{ credentials_encrypted: oauthManager.encryptToken(JSON.stringify(credentials)) }] });
+const inMinutes = (minutes) => new Date(Date.now() + minutes * 60 * 1000).toISOString();
+
+describe('getConnectionCredentials', () => {
+  const originalFetch = globalThis.fetch;
+
+  beforeEach(() => {
+    db.query.mockReset();
+    globalThis.fetch = vi.fn();
+    process.env.HUBSPOT_CLIENT_ID = 'hs-client';
+    process.env.HUBSPOT_CLIENT_SECRET = 'hs-secret';
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    globalThis.fetch = originalFetch;
+    delete process.env.HUBSPOT_CLIENT_ID;
+    delete process.env.HUBSPOT_CLIENT_SECRET;
+    vi.restoreAllMocks();
+  });
+
+  it('returns null when the platform is not connected', async () => {
+    db.query.mockResolvedValueOnce({ rows: [] });
+    await expect(getConnectionCredentials('u1', 'hubspot')).resolves.toBeNull();
+  });
+
+  it('returns stored credentials while the token is valid', async () => {
+    const stored = { access_token: 'a1', refresh_token: 'r1', expires_at: inMinutes(20) };
+    db.query.mockResolvedValueOnce(connectionRow(stored));
+
+    await expect(getConnectionCredentials('u1', 'hubspot')).resolves.toEqual(stored);
+    expect(globalThis.fetch).not.toHaveBeenCalled();
+  });
+
+  it('never refreshes platforms whose tokens do not expire', async () => {
+    const stored = { shop: 'acme.myshopify.com', access_token: 'a1', refresh_token: 'r1' };
+    db.query.mockResolvedValueOnce(connectionRow(stored));
+
+    await expect(getConnectionCredentials('u1', 'shopify')).resolves.toEqual(stored);
+    expect(globalThis.fetch).not.toHaveBeenCalled();
+  });
+
+  it('refreshes a token about to expire and saves the new one', async () => {
+    db.query
+      .mockResolvedValueOnce(connectionRow({ access_token: 'a1', refresh_token: 'r1', expires_at: inMinutes(2), content_group_id: '42' }))
+      .mockResolvedValueOnce({ rows: [] })
+      .mockResolvedValueOnce({ rowCount: 1 });
+    globalThis.fetch.mockResolvedValueOnce({
+      ok: true,
+      status: 200,
+      json: async () => ({ access_token: 'a2', refresh_token: 'r2', expires_in: 1800 })
+    });
+
+    const credentials = await getConnectionCredentials('u1', 'hubspot');
+
+    expect(credentials).toMatchObject({ access_token: 'a2', refresh_token: 'r2', content_group_id: '42' });
+    expect(new Date(credentials.expires_at).getTime()).toBeGreaterThan(Date.now() + 25 * 60 * 1000);
+    const [url, opts] = globalThis.fetch.mock.calls[0];
+    expect(url).toBe('https://api.hubapi.com/oauth/v1/token');
+    expect(Object.fromEntries(opts.body)).toEqual({
+      grant_type: 'refresh_token',
+      client_id: 'hs-client',
+      client_secret: 'hs-secret',
+      refresh_token: 'r1'
+    });
+    const [sql, params] = db.query.mock.calls[2];
+    expect(sql).toMatch(/UPDATE publishing_platform_connections/);
+    expect(params.slice(0, 2)).toEqual(['u1', 'hubspot']);
+    expect(JSON.parse(oauthManager.decryptToken(params[2]))).toEqual(credentials);
+  });
+
+  it('uses the site token endpoint for Drupal and JSON for Wix', async () => {
+    db.query
+      .mockResolvedValueOnce(connectionRow({ site_url: 'https://drupal.example.com/', access_token: 'a1', refresh_token: 'r1' }))
+      .mockResolvedValueOnce({ rows: [] });
+    process.env.DRUPAL_CLIENT_ID = 'd';
+    process.env.DRUPAL_CLIENT_SECRET = 's';
+    globalThis.fetch.mockResolvedValueOnce({ ok: true, status: 200, json: async () => ({ access_token: 'a2', expires_in: 300 }) });
+
+    await expect(getConnectionCredentials('u1', 'drupal')).resolves.toMatchObject({ access_token: 'a2', refresh_token: 'r1' });
+    expect(globalThis.fetch.mock.calls[0][0]).toBe('https://drupal.example.com/oauth2/token');
+    delete process.env.DRUPAL_CLIENT_ID;
+    delete process.env.DRUPAL_CLIENT_SECRET;
+
+    expect(publishingTokenExpiresAt({ access_token: 'x' }, 'wix', new Date(0))).toBe(new Date(300 * 1000).toISOString());
+    expect(publishingTokenExpiresAt({ access_token: 'x' }, 'shopify')).toBeNull();
+  });
+
+  it('asks the user to reconnect when the refresh fails', async () => {
+    db.query
+      .mockResolvedValueOnce(connectionRow({ access_token: 'a1', refresh_token: 'r1', expires_at: inMinutes(-10) }))
+      .mockResolvedValueOnce({ rows: [] });
+    globalThis.fetch.mockResolvedValueOnce({ ok: false, status: 400, json: async () => ({}) });
+
+    await expect(getConnectionCredentials('u1', 'hubspot')).rejects.toThrow(
+      'HubSpot authorization expired and could not be renewed. Reconnect it in Settings.'
+    );
+  });
+});
@@ -0,0 +1,87 @@
+/**
+ * Unit tests: PUT /publishing-platforms/:platform/settings.
+ * Uses minimal Express app with mocked database and connections; req.user is set by a stub auth middleware.
+ */
+import { describe, it, expect, vi, beforeAll, beforeEach } from 'vitest';
+import express from 'express';
+import request from 'supertest';
+
+const mockQuery = vi.fn();
+const mockGetConnectionCredentials = vi.fn();
+
+vi.mock('../../services/database.js', () => ({
+  default: { query: (...args) => mockQuery(...args) }
+}));
+
+vi.mock('../../services/publishing-connections.js', () => ({
+  getConnectionCredentials: (...args) => mockGetConnectionCredentials(...args)
+}));
+
+vi.mock('../../services/oauth-manager.js', () => ({
+  default: { encryptToken: (value) => `enc:${value}` },
+  publishingTokenExpiresAt: () => null
+}));
+
+const USER = 'user-1';
+
+describe('publishing platform settings api', () => {
+  /** @type {import('express').Express} */
+  let app;
+  let webflowPublisher;
+
+  beforeAll(async () => {
+    const { default: router } = await import('../../routes/publishing-platforms.js');
+    ({ webflowPublisher } = await import('../../services/webflow-publish.js'));
+    app = express();
+    app.use(express.json());
+    app.use((req, _res, next) => {
+      req.user = { userId: req.headers['x-mock-user-id'] };
+      next();
+    });
+    app.use('/api/v1/publishing-platforms', router);
+  });
+
+  beforeEach(() => {
+    mockQuery.mockReset().mockResolvedValue({ rowCount: 1 });
+    mockGetConnectionCredentials.mockReset().mockResolvedValue({ access_token: 'wf', site_id: 's1' });
+    vi.spyOn(webflowPublisher, 'validateCredentials').mockResolvedValue();
+  });
+
+  const putSettings = (platform, body) => request(app)
+    .put(`/api/v1/publishing-platforms/${platform}/settings`)
+    .set('x-mock-user-id', USER)
+    .send(body);
+
+  it('merges allowed settings into the credentials and clears null values', async () => {
+    const res = await putSettings('webflow', { settings: { collection_id: ' c9 ', site_id: null } });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ success: true, platform: 'webflow', settings: { site_id: null, collection_id: 'c9' } });
+    expect(webflowPublisher.validateCredentials).toHaveBeenCalledWith({ access_token: 'wf', site_id: null, collection_id: 'c9' });
+    const [sql, params] = mockQuery.mock.calls[0];
+    expect(sql).toMatch(/UPDATE publishing_platform_connections/);
+    expect(params[2]).toBe(`enc:${JSON.stringify({ access_token: 'wf', site_id: null, collection_id: 'c9' })}`);
+  });
+
+  it('rejects keys the adapter does not list and platforms without settings', async () => {
+    const unknown = await putSettings('webflow', { settings: { access_token: 'stolen' } });
+    expect(unknown.status).toBe(400);
+    expect(unknown.body.message).toMatch(/Unknown Webflow setting "access_token"/);
+
+    const platform = await putSettings('wordpress', { settings: {} });
+    expect(platform.status).toBe(400);
+    expect(platform.body.message).toMatch(/supported for: .*webflow/);
+    expect(mockQuery).not.toHaveBeenCalled();
+  });
+
+  it('returns 404 when not connected and 400 when the platform rejects the settings', async () => {
+    mockGetConnectionCredentials.mockResolvedValueOnce(null);
+    expect((await putSettings('webflow', { settings: { site_id: 's2' } })).status).toBe(404);
+
+    webflowPublisher.validateCredentials.mockRejectedValueOnce(new Error('Site not found'));
+    const res = await putSettings('webflow', { settings: { site_id: 'nope' } });
+    expect(res.status).toBe(400);
+    expect(res.body).toMatchObject({ error: 'Connection test failed', message: 'Site not found' });
+    expect(mockQuery).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,40 @@
+/**
+ * Unit tests: publisher adapter registry in lib/publishing-platforms.js.
+ */
+import { describe, it, expect, vi } from 'vitest';
+
+vi.mock('../../services/database.js', () => ({ default: { query: vi.fn() } }));
+
+const { PLATFORM_KEYS, getPublisher, registerPublisher } = await import('../../lib/publishing-platforms.js');
+
+describe('publisher registry', () => {
+  it.each([...PLATFORM_KEYS])('%s adapter implements the methods its capabilities declare', (key) => {
+    const adapter = getPublisher(key);
+    expect(adapter.key).toBe(key);
+    expect(typeof adapter.validateCredentials).toBe('function');
+    expect(typeof adapter.publish).toBe('function');
+    for (const capability of ['update', 'unpublish']) {
+      expect(typeof adapter[capability] === 'function').toBe(adapter.capabilities[capability]);
+    }
+  });
+
+  it('returns null for unknown platforms', () => {
+    expect(getPublisher('myspace')).toBeNull();
+  });
+
+  it('lists settings only as credential keys', () => {
+    expect(getPublisher('webflow').settings).toEqual(['site_id', 'collection_id']);
+    expect(getPublisher('wix').settings).toEqual(['member_id']);
+    expect(getPublisher('wordpress').settings).toBeUndefined();
+  });
+
+  it('rejects unknown keys and adapters missing declared methods', () => {
+    const registered = getPublisher('wix');
+    const base = { validateCredentials: async () => {}, publish: async () => ({}) };
+    expect(() => registerPublisher({ ...base, key: 'myspace', capabilities: {} })).toThrow(/Unknown publishing platform/);
+    expect(() => registerPublisher({ key: 'wix', capabilities: {}, publish: base.publish })).toThrow(/validateCredentials/);
+    expect(() => registerPublisher({ ...base, key: 'wix', capabilities: { update: true } })).toThrow(/declares update/);
+    expect(() => registerPublisher({ ...base, key: 'wix', capabilities: { schedule: true } })).toThrow(/declares schedule/);
+    expect(getPublisher('wix')).toBe(registered);
+  });
+});
@@ -0,0 +1,155 @@
+/**
+ * Unit tests for Sanity publish/update/unpublish service.
+ */
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { NotFoundError } from '../../lib/errors.js';
+import {
+  publishToSanity,
+  unpublishFromSanity,
+  updateSanityDocument,
+  validateSanityCredentials
+} from '../../services/sanity-publish.js';
+
+const creds = { project_id: 'proj1', dataset: 'production', api_token: 'sk-x' };
+const BASE = 'https://proj1.api.sanity.io/v2021-06-07';
+
+const ok = (body, status = 200) => ({ ok: true, status, json: async () => body, text: async () => JSON.stringify(body) });
+const fail = (status, body = {}) => ({ ok: false, status, json: async () => body, text: async () => JSON.stringify(body) });
+
+const mutations = (call) => JSON.parse(call[1].body).mutations;
+
+describe('sanity-publish', () => {
+  const originalFetch = globalThis.fetch;
+
+  beforeEach(() => {
+    globalThis.fetch = vi.fn();
+  });
+
+  afterEach(() => {
+    globalThis.fetch = originalFetch;
+  });
+
+  describe('publishToSanity', () => {
+    it('writes the published document with Portable Text and removes any draft', async () => {
+      globalThis.fetch.mockResolvedValueOnce(ok({ results: [] }));
+
+      const result = await publishToSanity(
+        { ...creds, studio_url: 'https://blog.sanity.studio/' },
+        { title: 'Hello World', content: 'First **para**.', tags: ['seo'] }
+      );
+
+      const [url, opts] = globalThis.fetch.mock.calls[0];
+      expect(url).toBe(`${BASE}/data/mutate/production?returnIds=true`);
+      expect(opts.headers.Authorization).toBe('Bearer sk-x');
+      const [{ createOrReplace: doc }, { delete: del }] = mutations(globalThis.fetch.mock.calls[0]);
+      expect(doc._id).toBe(result.id);
+      expect(doc._type).toBe('post');
+      expect(doc.title).toBe('Hello World');
+      expect(doc.slug).toEqual({ _type: 'slug', current: 'hello-world' });
+      expect(doc.tags).toEqual(['seo']);
+      expect(doc.body[0]).toMatchObject({ _type: 'block', style: 'normal' });
+      expect(doc.excerpt).toBe('First para.');
+      expect(del).toEqual({ id: `drafts.${result.id}` });
+      expect(result.url).toBe(`https://blog.sanity.studio/intent/edit/id=${result.id};type=post`);
+    });
+
+    it('writes drafts to drafts.<id> with the mapped field names', async () => {
+      globalThis.fetch.mockResolvedValueOnce(ok({ results: [] }));
+
+      const result = await publishToSanity(
+        { ...creds, document_type: 'article', field_mapping: { body: 'content', tags: null } },
+        { title: 'T', content: 'Body', tags: ['seo'] },
+        { draft: true }
+      );
+
+      const muts = mutations(globalThis.fetch.mock.calls[0]);
+      expect(muts).toHaveLength(1);
+      const doc = muts[0].createOrReplace;
+      expect(doc._id).toBe(`drafts.${result.id}`);
+      expect(doc._type).toBe('article');
+      expect(doc.content).toBeInstanceOf(Array);
+      expect(doc).not.toHaveProperty('body');
+      expect(doc).not.toHaveProperty('tags');
+    });
+
+    it('uploads the hero image and references the asset', async () => {
+      const image = 'https://img.example.com/hero.png';
+      globalThis.fetch
+        .mockResolvedValueOnce({ ok: true, status: 200, headers: new Headers({ 'content-type': 'image/png' }), arrayBuffer: async () => new ArrayBuffer(4) })
+        .mockResolvedValueOnce(ok({ document: { _id: 'image-abc-800x400-png' } }))
+        .mockResolvedValueOnce(ok({ results: [] }));
+
+      await publishToSanity(creds, { title: 'T', content: 'Body', featured_image: image });
+
+      expect(globalThis.fetch.mock.calls[0][0]).toBe(image);
+      const [uploadUrl, uploadOpts] = globalThis.fetch.mock.calls[1];
+      expect(uploadUrl).toBe(`${BASE}/assets/images/production?filename=hero.png`);
+      expect(uploadOpts.headers['Content-Type']).toBe('image/png');
+      const doc = mutations(globalThis.fetch.mock.calls[2])[0].createOrReplace;
+      expect(doc.mainImage).toEqual({ _type: 'image', asset: { _type: 'reference', _ref: 'image-abc-800x400-png' } });
+    });
+
+    it('surfaces Sanity error descriptions', async () => {
+      globalThis.fetch.mockResolvedValueOnce(fail(400, { error: { description: 'Document is not of valid type' } }));
+      await expect(publishToSanity(creds, { title: 'T', content: 'B' })).rejects.toThrow('Document is not of valid type');
+    });
+  });
+
+  describe('updateSanityDocument', () => {
+    it('keeps unmapped fields and replaces the published document', async () => {
+      globalThis.fetch
+        .mockResolvedValueOnce(ok({ documents: [{ _id: 'd1', _type: 'post', _rev: 'r1', author: { _ref: 'a1' }, title: 'Old' }] }))
+        .mockResolvedValueOnce(ok({ results: [] }));
+
+      const result = await updateSanityDocument(creds, 'd1', { title: 'New', content: 'Body' });
+
+      expect(result.id).toBe('d1');
+      expect(globalThis.fetch.mock.calls[0][0]).toBe(`${BASE}/data/doc/production/d1,drafts.d1`);
+      const doc = mutations(globalThis.fetch.mock.calls[1])[0].createOrReplace;
+      expect(doc).toMatchObject({ _id: 'd1', title: 'New', author: { _ref: 'a1' } });
+      expect(doc).not.toHaveProperty('_rev');
+    });
+
+    it('throws NotFoundError when neither the document nor its draft exists', async () => {
+      globalThis.fetch.mockResolvedValueOnce(ok({ documents: [] }));
+      await expect(updateSanityDocument(creds, 'd1', { title: 'T', content: 'B' })).rejects.toBeInstanceOf(NotFoundError);
+    });
+  });
+
+  describe('unpublishFromSanity', () => {
+    it('moves the published document back to drafts', async () => {
+      globalThis.fetch
+        .mockResolvedValueOnce(ok({ documents: [{ _id: 'd1', _type: 'post', _rev: 'r1', title: 'T' }] }))
+        .mockResolvedValueOnce(ok({ results: [] }));
+
+      await expect(unpublishFromSanity(creds, 'd1')).resolves.toEqual({ id: 'd1', status: 'draft' });
+      expect(mutations(globalThis.fetch.mock.calls[1])).toEqual([
+        { createIfNotExists: { _id: 'drafts.d1', _type: 'post', title: 'T' } },
+        { delete: { id: 'd1' } }
+      ]);
+    });
+
+    it('deletes both ids in delete mode and treats missing documents as gone', async () => {
+      globalThis.fetch
+        .mockResolvedValueOnce(ok({ documents: [{ _id: 'drafts.d1', _type: 'post' }] }))
+        .mockResolvedValueOnce(ok({ results: [] }));
+      await expect(unpublishFromSanity(creds, 'd1', { mode: 'delete' })).resolves.toEqual({ id: 'd1', status: 'deleted' });
+      expect(mutations(globalThis.fetch.mock.calls[1])).toEqual([{ delete: { id: 'd1' } }, { delete: { id: 'drafts.d1' } }]);
+
+      globalThis.fetch.mockResolvedValueOnce(ok({ documents: [null] }));
+      await expect(unpublishFromSanity(creds, 'd1', { mode: 'delete' })).resolves.toEqual({ id: 'd1', status: 'gone' });
+    });
+  });
+
+  describe('validateSanityCredentials', () => {
+    it('rejects a dataset that does not exist', async () => {
+      globalThis.fetch.mockResolvedValueOnce(ok({ id: 'u1' })).mockResolvedValueOnce(ok([{ name: 'staging' }]));
+      await expect(validateSanityCredentials(creds)).rejects.toThrow(/dataset "production" not found/);
+    });
+
+    it('rejects an invalid field mapping before calling Sanity', async () => {
+      await expect(validateSanityCredentials({ ...creds, field_mapping: { body: null } })).rejects.toThrow(/body is required/);
+      expect(globalThis.fetch).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,77 @@
+/**
+ * Unit tests: deterministic SEO and readability scorer (lib/seo-scorer.js).
+ */
+import { describe, it, expect } from 'vitest';
+import { countSyllables, scoreContent } from '../../lib/seo-scorer.js';
+
+const META = 'Learn how small teams use content marketing to win customers on a budget, with a weekly plan, simple tools and ways to measure what actually works for you.';
+
+const POST = `# Content marketing for small teams: a practical guide
+
+Content marketing helps small teams win customers without a big budget. This guide shows how to plan, write and share posts that work.
+
+## Why content marketing works
+
+Small teams can move fast. You know your customers well, so you can answer their real questions. See [our services](/services) and [pricing](https://www.example.com/pricing).
+
+Companies that blog get more leads, according to [HubSpot research](https://hubspot.com/research).
+
+## Planning your calendar
+
+- Pick three themes
+- Publish once a week
+
+### Tools that help
+
+![Content calendar in a spreadsheet](https://cdn.example.com/cal.png)
+
+## Next steps
+
+Start with one post this week. Keep it short and useful.`;
+
+const byId = (result) => Object.fromEntries(result.checks.map((c) => [c.id, c]));
+
+describe('seo-scorer', () => {
+  it('counts syllables with the usual heuristics', () => {
+    expect(['the', 'table', 'marketing', 'focused', 'everyone'].map(countSyllables)).toEqual([1, 2, 3, 2, 3]);
+  });
+
+  it('returns the same explainable score for the same input', () => {
+    const input = { content: POST, metaDescription: META, keywords: ['content marketing', 'small teams'], siteUrl: 'example.com' };
+    const result = scoreContent(input);
+
+    expect(scoreContent(input)).toEqual(result);
+    expect(result.score).toBeGreaterThanOrEqual(90);
+    const checks = byId(result);
+    expect(checks.links.value).toEqual({ internal: 2, external: 1 });
+    expect(checks.keyword_placement.value).toEqual({ title: true, introduction: true, 'a subheading': true, 'meta description': true });
+    expect(checks.heading_hierarchy.value).toMatchObject({ h1: 1, h2: 3, h3: 1 });
+    expect(checks.image_alt_text.score).toBe(100);
+    expect(result.metrics.title_length).toBe('Content marketing for small teams: a practical guide'.length);
+  });
+
+  it('explains the points lost, largest first', () => {
+    const content = `# Guide\n\n#### Deep heading\n\n${'Comprehensive organizational transformation necessitates considerable interdepartmental coordination and extraordinarily sophisticated implementation methodologies '.repeat(12)}\n\n![](https://cdn.example.com/a.png)`;
+
+    const result = scoreContent({ content, keywords: ['onboarding'] });
+    const checks = byId(result);
+
+    expect(checks.readability.passed).toBe(false);
+    expect(checks.heading_hierarchy.message).toMatch(/skipped levels: H4 "Deep heading" follows H1/);
+    expect(checks.keyword_density.value).toEqual({ onboarding: 0 });
+    expect(checks.meta_description_length.message).toMatch(/Add a meta description/);
+    expect(checks.image_alt_text.value).toEqual({ images: 1, with_alt: 0 });
+    expect(checks.paragraph_length.value.long_paragraphs).toBe(1);
+    expect(result.recommendations.slice(0, 2)).toEqual([checks.keyword_placement.message, checks.readability.message]);
+    expect(result.score).toBeLessThan(40);
+  });
+
+  it('skips checks that do not apply instead of failing them', () => {
+    const result = scoreContent({ content: '# Short note that has a reasonably descriptive title\n\nJust a quick update for everyone.' });
+    const checks = byId(result);
+
+    expect(checks.keyword_placement).toMatchObject({ applicable: false, score: null, passed: null });
+    expect(checks.image_alt_text.applicable).toBe(false);
+    expect(result.recommendations).not.toContain('No images.');
+  });
+});
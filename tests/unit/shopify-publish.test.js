@@ -0,0 +1,130 @@
+/**
+ * Unit tests for Shopify blog article publish/update/unpublish service.
+ */
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { NotFoundError } from '../../lib/errors.js';
+import {
+  SHOPIFY_API_VERSION,
+  publishToShopify,
+  unpublishFromShopify,
+  updateShopifyArticle,
+  validateShopifyCredentials
+} from '../../services/shopify-publish.js';
+
+const creds = { shop: 'acme.myshopify.com', access_token: 'shpat_x' };
+const BASE = `https://acme.myshopify.com/admin/api/${SHOPIFY_API_VERSION}`;
+
+const ok = (body, status = 200) => ({ ok: true, status, json: async () => body, text: async () => JSON.stringify(body) });
+const fail = (status, body = {}) => ({ ok: false, status, json: async () => body, text: async () => JSON.stringify(body) });
+
+describe('shopify-publish', () => {
+  const originalFetch = globalThis.fetch;
+
+  beforeEach(() => {
+    globalThis.fetch = vi.fn();
+  });
+
+  afterEach(() => {
+    globalThis.fetch = originalFetch;
+  });
+
+  describe('publishToShopify', () => {
+    it('creates an article on the first blog', async () => {
+      globalThis.fetch
+        .mockResolvedValueOnce(ok({ blogs: [{ id: 11, handle: 'news' }, { id: 12, handle: 'other' }] }))
+        .mockResolvedValueOnce(ok({ article: { id: 99, handle: 'hello-world' } }, 201));
+
+      const result = await publishToShopify(
+        { ...creds, author: 'Jo' },
+        { title: 'Hello World', content: 'Intro & **more**.', featured_image: 'https://img.example.com/a.png', tags: ['seo', 'ai'] }
+      );
+
+      expect(result).toEqual({ url: 'https://acme.myshopify.com/blogs/news/hello-world', id: '11:99' });
+      const [url, opts] = globalThis.fetch.mock.calls[1];
+      expect(url).toBe(`${BASE}/blogs/11/articles.json`);
+      expect(opts.method).toBe('POST');
+      expect(opts.headers['X-Shopify-Access-Token']).toBe('shpat_x');
+      expect(JSON.parse(opts.body).article).toEqual({
+        title: 'Hello World',
+        handle: 'hello-world',
+        body_html: '<p>Intro &amp; <strong>more</strong>.</p>\n',
+        summary_html: '<p>Intro &amp; more.</p>',
+        tags: 'seo, ai',
+        author: 'Jo',
+        image: { src: 'https://img.example.com/a.png', alt: 'Hello World' },
+        published: true
+      });
+    });
+
+    it('uses the configured blog and creates hidden articles for drafts', async () => {
+      globalThis.fetch
+        .mockResolvedValueOnce(ok({ blog: { id: 12, handle: 'other' } }))
+        .mockResolvedValueOnce(ok({ article: { id: 5, handle: 'x' } }, 201));
+
+      await publishToShopify({ ...creds, blog_id: '12' }, { title: 'X', content: 'Body' }, { draft: true });
+
+      expect(globalThis.fetch.mock.calls[0][0]).toBe(`${BASE}/blogs/12.json`);
+      expect(JSON.parse(globalThis.fetch.mock.calls[1][1].body).article.published).toBe(false);
+    });
+
+    it('fails clearly when the store has no blog or the blog_id is wrong', async () => {
+      globalThis.fetch.mockResolvedValueOnce(ok({ blogs: [] }));
+      await expect(publishToShopify(creds, { title: 'X', content: 'Body' })).rejects.toThrow(/has no blog/);
+
+      globalThis.fetch.mockResolvedValueOnce(fail(404));
+      await expect(publishToShopify({ ...creds, blog_id: '1' }, { title: 'X', content: 'Body' })).rejects.toThrow(/blog 1 not found/);
+    });
+
+    it('surfaces field errors', async () => {
+      globalThis.fetch
+        .mockResolvedValueOnce(ok({ blogs: [{ id: 11, handle: 'news' }] }))
+        .mockResolvedValueOnce(fail(422, { errors: { handle: ['has already been taken'] } }));
+      await expect(publishToShopify(creds, { title: 'X', content: 'Body' })).rejects.toThrow('handle has already been taken');
+    });
+  });
+
+  describe('updateShopifyArticle', () => {
+    it('PUTs the article under its blog', async () => {
+      globalThis.fetch
+        .mockResolvedValueOnce(ok({ article: { id: 99, handle: 'edited' } }))
+        .mockResolvedValueOnce(ok({ blog: { id: 11, handle: 'news' } }));
+
+      const result = await updateShopifyArticle(creds, '11:99', { title: 'Edited', content: 'Body' });
+
+      expect(result).toEqual({ url: 'https://acme.myshopify.com/blogs/news/edited', id: '11:99' });
+      const [url, opts] = globalThis.fetch.mock.calls[0];
+      expect(url).toBe(`${BASE}/blogs/11/articles/99.json`);
+      expect(opts.method).toBe('PUT');
+      expect(JSON.parse(opts.body).article).toMatchObject({ id: 99, title: 'Edited', published: true });
+    });
+
+    it('throws NotFoundError when the article was deleted', async () => {
+      globalThis.fetch.mockResolvedValueOnce(fail(404));
+      await expect(updateShopifyArticle(creds, '11:99', { title: 'X', content: 'Body' })).rejects.toBeInstanceOf(NotFoundError);
+    });
+  });
+
+  describe('unpublishFromShopify', () => {
+    it('hides the article in draft mode and deletes it in delete mode', async () => {
+      globalThis.fetch.mockResolvedValueOnce(ok({ article: { id: 99 } }));
+      await expect(unpublishFromShopify(creds, '11:99')).resolves.toEqual({ id: '11:99', status: 'draft' });
+      expect(JSON.parse(globalThis.fetch.mock.calls[0][1].body)).toEqual({ article: { id: 99, published: false } });
+
+      globalThis.fetch.mockResolvedValueOnce(ok({}));
+      await expect(unpublishFromShopify(creds, '11:99', { mode: 'delete' })).resolves.toEqual({ id: '11:99', status: 'deleted' });
+      expect(globalThis.fetch.mock.calls[1][1].method).toBe('DELETE');
+
+      globalThis.fetch.mockResolvedValueOnce(fail(404));
+      await expect(unpublishFromShopify(creds, '11:99', { mode: 'delete' })).resolves.toEqual({ id: '11:99', status: 'gone' });
+    });
+  });
+
+  describe('validateShopifyCredentials', () => {
+    it('requires shop and token and maps 401 to a reconnect message', async () => {
+      await expect(validateShopifyCredentials({ access_token: 'x' })).rejects.toThrow(/missing shop/);
+      globalThis.fetch.mockResolvedValueOnce(fail(401));
+      await expect(validateShopifyCredentials(creds)).rejects.toThrow(/Reconnect Shopify/);
+      expect(globalThis.fetch.mock.calls[0][0]).toBe(`${BASE}/shop.json`);
+    });
+  });
+});
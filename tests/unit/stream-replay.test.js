@@ -0,0 +1,166 @@
+/**
+ * Unit tests: SSE event log and Last-Event-ID replay (utils/stream-event-log.js, stream-manager replayEvents).
+ */
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { EventEmitter } from 'events';
+
+let redis = null;
+vi.mock('../../services/job-queue.js', () => ({
+  getConnection: () => redis,
+}));
+
+const {
+  appendStreamEvent,
+  connectionStreamKey,
+  getLastEventId,
+  jobStreamKey,
+  readStreamEventsAfter,
+  STREAM_LOG_MAX_EVENTS,
+} = await import('../../utils/stream-event-log.js');
+const { default: streamManager } = await import('../../services/stream-manager.js');
+
+/** In-memory Redis with the commands the event log uses. */
+function fakeRedis() {
+  const values = new Map();
+  const lists = new Map();
+  const published = [];
+  const list = (key) => {
+    if (!lists.has(key)) lists.set(key, []);
+    return lists.get(key);
+  };
+  return {
+    published,
+    incr: async (key) => {
+      const value = (parseInt(values.get(key), 10) || 0) + 1;
+      values.set(key, String(value));
+      return value;
+    },
+    get: async (key) => values.get(key) ?? null,
+    publish: async (channel, message) => { published.push([channel, message]); },
+    lrange: async (key) => [...list(key)],
+    duplicate: () => ({ on: vi.fn(), psubscribe: vi.fn() }),
+    multi() {
+      const ops = [];
+      const tx = {
+        rpush: (key, value) => { ops.push(() => list(key).push(value)); return tx; },
+        ltrim: (key, start) => { ops.push(() => lists.set(key, list(key).slice(start))); return tx; },
+        expire: () => tx,
+        publish: (channel, message) => { ops.push(() => published.push([channel, message])); return tx; },
+        exec: async () => ops.forEach((op) => op()),
+      };
+      return tx;
+    },
+  };
+}
+
+function fakeResponse() {
+  const res = new EventEmitter();
+  res.writableEnded = false;
+  res.chunks = [];
+  res.write = (chunk) => res.chunks.push(chunk);
+  res.events = () => res.chunks.join('').split('\n\n').filter(Boolean);
+  return res;
+}
+
+describe('stream event log', () => {
+  beforeEach(() => {
+    redis = fakeRedis();
+  });
+
+  it('numbers events per stream and publishes them with their id', async () => {
+    await appendStreamEvent(redis, jobStreamKey('j1'), 'step-change', { progress: 10 }, 'jobs:j1:events');
+    const second = await appendStreamEvent(redis, jobStreamKey('j1'), 'complete', { result: {} }, 'jobs:j1:events');
+    const other = await appendStreamEvent(redis, connectionStreamKey('c1'), 'topic-chunk', { text: 'a' });
+
+    expect(second.id).toBe(2);
+    expect(other.id).toBe(1);
+    expect(redis.published.map(([, message]) => JSON.parse(message))).toEqual([
+      { id: 1, event: 'step-change', data: { progress: 10 } },
+      { id: 2, event: 'complete', data: { result: {} } },
+    ]);
+    const { events, gap } = await readStreamEventsAfter(redis, jobStreamKey('j1'), 1);
+    expect(events.map((e) => e.id)).toEqual([2]);
+    expect(gap).toBeNull();
+  });
+
+  it('reports a gap when missed events were trimmed from the log', async () => {
+    for (let i = 0; i < STREAM_LOG_MAX_EVENTS + 5; i++) {
+      await appendStreamEvent(redis, connectionStreamKey('c1'), 'topic-chunk', { text: String(i) });
+    }
+    const { events, gap } = await readStreamEventsAfter(redis, connectionStreamKey('c1'), 2);
+    expect(events).toHaveLength(STREAM_LOG_MAX_EVENTS);
+    expect(gap).toEqual({ from: 3, to: 5 });
+  });
+
+  it('reads Last-Event-ID from the header or the query', () => {
+    expect(getLastEventId({ headers: { 'last-event-id': '12' }, query: {} })).toBe(12);
+    expect(getLastEventId({ headers: {}, query: { lastEventId: '3' } })).toBe(3);
+    expect(getLastEventId({ headers: { 'last-event-id': 'abc' }, query: {} })).toBeNull();
+  });
+});
+
+describe('stream-manager replay', () => {
+  beforeEach(() => {
+    redis = fakeRedis();
+  });
+
+  it('replays missed events in order before live ones and drops duplicates', async () => {
+    const key = connectionStreamKey('conn-replay-1');
+    for (const text of ['a', 'b', 'c']) await appendStreamEvent(redis, key, 'topic-chunk', { text });
+    const res = fakeResponse();
+    streamManager.createConnectionWithId('conn-replay-1', res, { sessionId: 's1' }, { keepalive: false });
+
+    const replay = streamManager.replayEvents('conn-replay-1', key, 1);
+    streamManager.sendToConnection('conn-replay-1', 'topic-chunk', { text: 'd' }, 4);
+    streamManager.sendToConnection('conn-replay-1', 'topic-chunk', { text: 'c' }, 3);
+    const replayed = await replay;
+    streamManager.sendToConnection('conn-replay-1', 'topic-chunk', { text: 'b' }, 2);
+
+    expect(replayed.map((e) => e.id)).toEqual([2, 3]);
+    expect(res.events()).toEqual([
+      'id: 2\nevent: topic-chunk\ndata: {"text":"b"}',
+      'id: 3\nevent: topic-chunk\ndata: {"text":"c"}',
+      'id: 4\nevent: topic-chunk\ndata: {"text":"d"}',
+    ]);
+    streamManager.removeConnection('conn-replay-1');
+  });
+
+  it('logs published connection events and delivers them with their id', async () => {
+    const res = fakeResponse();
+    streamManager.createConnectionWithId('conn-replay-2', res, { sessionId: 's1' }, { keepalive: false });
+
+    streamManager.publish('conn-replay-2', 'topic-complete', { topic: { title: 'T' } });
+    await vi.waitFor(() => expect(res.chunks).toHaveLength(1));
+
+    expect(res.events()).toEqual(['id: 1\nevent: topic-complete\ndata: {"topic":{"title":"T"}}']);
+    const { events } = await readStreamEventsAfter(redis, connectionStreamKey('conn-replay-2'), 0);
+    expect(events).toEqual([{ id: 1, event: 'topic-complete', data: { topic: { title: 'T' } } }]);
+    streamManager.removeConnection('conn-replay-2');
+  });
+
+  it('delivers chunk events at once without logging them, after events still being logged', async () => {
+    const res = fakeResponse();
+    streamManager.createConnectionWithId('conn-replay-3', res, { sessionId: 's1' }, { keepalive: false });
+
+    streamManager.publish('conn-replay-3', 'content-chunk', { content: 'a' });
+    expect(res.events()).toEqual(['event: content-chunk\ndata: {"content":"a"}']);
+
+    streamManager.publish('conn-replay-3', 'topic-start', { index: 0 });
+    streamManager.publish('conn-replay-3', 'content-chunk', { content: 'b' });
+    expect(res.chunks).toHaveLength(1);
+    await vi.waitFor(() => expect(res.chunks).toHaveLength(3));
+
+    expect(res.events().slice(1)).toEqual(['id: 1\nevent: topic-start\ndata: {"index":0}', 'event: content-chunk\ndata: {"content":"b"}']);
+    const { events } = await readStreamEventsAfter(redis, connectionStreamKey('conn-replay-3'), 0);
+    expect(events.map((e) => e.event)).toEqual(['topic-start']);
+    streamManager.removeConnection('conn-replay-3');
+  });
+
+  it('publishes chunk events for a connection owned by another process without logging them', async () => {
+    streamManager.publish('conn-elsewhere', 'topic-chunk', { text: 'a' });
+    await vi.waitFor(() => expect(redis.published).toHaveLength(1));
+
+    expect(redis.published).toEqual([['stream:conn-elsewhere', JSON.stringify({ event: 'topic-chunk', data: { text: 'a' } })]]);
+    expect(await redis.get('stream-log:connection:conn-elsewhere:seq')).toBeNull();
+  });
+});
@@ -20,6 +20,9 @@ describe('streaming-helpers', () => {
     it('escapes newlines in data as multiple data lines', () => {
       expect(formatSSE('x', 'a\nb')).toBe('event: x\ndata: a\ndata: b\n\n');
     });
+    it('prefixes the event id when given', () => {
+      expect(formatSSE('step-change', { progress: 10 }, 7)).toBe('id: 7\nevent: step-change\ndata: {"progress":10}\n\n');
+    });
   });
 
   describe('writeSSE', () => {
@@ -0,0 +1,174 @@
+/**
+ * Unit tests: organization style guide rules engine (lib/style-guide.js) and post lint/fix (services/style-guide.js).
+ */
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { ValidationError } from '../../lib/errors.js';
+import { applyStyleFixes, describeStyleGuide, lintContent, normalizeStyleGuide } from '../../lib/style-guide.js';
+
+const mockQuery = vi.fn();
+vi.mock('../../services/database.js', () => ({
+  default: {
+    query: (...args) => mockQuery(...args),
+    transaction: (fn) => fn({ query: (...args) => mockQuery(...args) })
+  }
+}));
+
+const { fixPost, lintPost, lintSavedPost } = await import('../../services/style-guide.js');
+
+const GUIDE = normalizeStyleGuide({
+  rules: [
+    { type: 'avoid_term', terms: ['utilize', 'in order to'], replacement: 'use' },
+    { id: 'ecommerce', type: 'prefer_term', term: 'e-commerce', variants: ['ecommerce', 'e commerce'] },
+    { type: 'forbidden_mention', names: ['Acme Corp'] },
+    { type: 'no_heading_exclamation' },
+    { type: 'oxford_comma' }
+  ]
+});
+
+const CONTENT = [
+  '# Grow your ecommerce store!',
+  '',
+  'Utilize email, ads and SEO. Read the [ecommerce guide](https://shop.example.com/ecommerce) or run `utilize()`.',
+  '',
+  '## Wow! Big wins!!',
+  '',
+  'Unlike Acme Corp, we answer within a day.'
+].join('\n');
+
+describe('style-guide', () => {
+  beforeEach(() => {
+    mockQuery.mockReset();
+  });
+
+  describe('normalizeStyleGuide', () => {
+    it('fills in ids and default severities', () => {
+      expect(GUIDE.rules.map((r) => [r.id, r.severity])).toEqual([
+        ['avoid_term-1', 'warning'],
+        ['ecommerce', 'warning'],
+        ['forbidden_mention-3', 'error'],
+        ['no_heading_exclamation-4', 'warning'],
+        ['oxford_comma-5', 'warning']
+      ]);
+    });
+
+    it('rejects unknown types, empty term lists and variants equal to the term', () => {
+      expect(() => normalizeStyleGuide({ rules: [{ type: 'no_passive_voice' }] })).toThrow(ValidationError);
+      expect(() => normalizeStyleGuide({ rules: [{ type: 'avoid_term', terms: [] }] })).toThrow(ValidationError);
+      expect(() => normalizeStyleGuide({ rules: [{ type: 'prefer_term', term: 'e-commerce', variants: ['E-Commerce'] }] }))
+        .toThrow(expect.objectContaining({ details: expect.stringMatching(/capitalization/) }));
+      expect(() => normalizeStyleGuide({ rules: [{ id: 'a', type: 'oxford_comma' }, { id: 'a', type: 'no_heading_exclamation' }] })).toThrow(ValidationError);
+      expect(() => normalizeStyleGuide(['utilize'])).toThrow(ValidationError);
+    });
+  });
+
+  describe('lintContent', () => {
+    it('reports violations with positions, skipping code and link targets', () => {
+      const violations = lintContent(CONTENT, GUIDE);
+
+      expect(violations.map((v) => [v.rule_id, v.match, v.line, v.column, v.fix])).toEqual([
+        ['ecommerce', 'ecommerce', 1, 13, 'e-commerce'],
+        ['no_heading_exclamation-4', '!', 1, 28, ''],
+        ['avoid_term-1', 'Utilize', 3, 1, 'Use'],
+        ['oxford_comma-5', 'ads and', 3, 16, null],
+        ['ecommerce', 'ecommerce', 3, 39, 'e-commerce'],
+        ['no_heading_exclamation-4', '!', 5, 7, '.'],
+        ['no_heading_exclamation-4', '!!', 5, 17, ''],
+        ['forbidden_mention-3', 'Acme Corp', 7, 8, null]
+      ]);
+      const first = violations[0];
+      expect(CONTENT.slice(first.start, first.end)).toBe('ecommerce');
+      expect(violations.find((v) => v.type === 'forbidden_mention').severity).toBe('error');
+    });
+
+    it('matches whole phrases only and returns nothing without rules', () => {
+      expect(lintContent('We utilized it in order\nto win.', GUIDE).map((v) => v.match)).toEqual(['in order\nto']);
+      expect(lintContent(CONTENT, null)).toEqual([]);
+    });
+  });
+
+  describe('applyStyleFixes', () => {
+    it('applies the mechanical fixes and leaves the rest for the author', () => {
+      const { content, fixed, remaining } = applyStyleFixes(CONTENT, GUIDE);
+
+      expect(content).toBe([
+        '# Grow your e-commerce store',
+        '',
+        'Use email, ads and SEO. Read the [e-commerce guide](https://shop.example.com/ecommerce) or run `utilize()`.',
+        '',
+        '## Wow. Big wins',
+        '',
+        'Unlike Acme Corp, we answer within a day.'
+      ].join('\n'));
+      expect(fixed).toHaveLength(6);
+      expect(remaining.map((v) => v.type)).toEqual(['oxford_comma', 'forbidden_mention']);
+    });
+  });
+
+  it('describes the rules for the generation prompt', () => {
+    const section = describeStyleGuide(GUIDE);
+    expect(section).toContain('- Never use "utilize", "in order to"; write "use" instead.');
+    expect(section).toContain('- Always write "e-commerce" (not "ecommerce", "e commerce").');
+    expect(describeStyleGuide({ rules: [] })).toBeNull();
+  });
+
+  describe('posts', () => {
+    const POST = { id: 'p1', user_id: 'u1', title: 'Why ecommerce wins!', content: 'We utilize data.' };
+
+    /** Serve the post and the author's style guide; UPDATE ... RETURNING echoes the new title and content. */
+    function stubDb(post = POST, styleGuide = GUIDE) {
+      mockQuery.mockImplementation(async (sql, params) => {
+        if (sql.includes('FROM blog_posts WHERE id = $1')) return { rows: [post] };
+        if (sql.includes("input_type = 'style_guide'")) return { rows: styleGuide ? [{ input_data: styleGuide }] : [] };
+        if (sql.includes('UPDATE blog_posts SET')) return { rows: [{ ...post, title: params[1], content: params[2] }] };
+        if (sql.includes('MAX(revision_number)')) return { rows: [{ latest: 1 }] };
+        return { rows: [] };
+      });
+    }
+
+    it('lints the title as a heading, with offsets within the title', async () => {
+      stubDb();
+
+      const result = await lintPost('p1', { userId: 'u1' });
+
+      expect(result.style_guide).toBe(true);
+      expect(result.violations.map((v) => [v.field, v.match, v.start, v.column])).toEqual([
+        ['title', 'ecommerce', 4, 5],
+        ['title', '!', 18, 19],
+        ['content', 'utilize', 3, 4]
+      ]);
+      expect(result.fixable).toBe(3);
+    });
+
+    it('applies the fixes as a style_fix revision, and skips the update when nothing is fixable', async () => {
+      stubDb();
+
+      const { post, revision, fixed } = await fixPost('p1', { userId: 'u1' });
+
+      expect([post.title, post.content]).toEqual(['Why e-commerce wins', 'We use data.']);
+      expect(fixed).toHaveLength(3);
+      const revisionInsert = mockQuery.mock.calls.filter(([sql]) => sql.includes('INSERT INTO blog_post_revisions')).at(-1);
+      expect(revisionInsert[1]).toContain('style_fix');
+      expect(revision).toBe(2);
+
+      mockQuery.mockReset();
+      stubDb(POST, null);
+      const unchanged = await fixPost('p1', { userId: 'u1' });
+      expect(unchanged.revision).toBeNull();
+      expect(mockQuery.mock.calls.some(([sql]) => sql.includes('UPDATE blog_posts SET'))).toBe(false);
+    });
+
+    it("uses the style guide of the post's organization, or the author's when the post has none", async () => {
+      const guideQuery = () => mockQuery.mock.calls.find(([sql]) => sql.includes("input_type = 'style_guide'"));
+
+      stubDb({ ...POST, organization_id: 'org-2' });
+      await lintPost('p1', { userId: 'u1' });
+      expect(guideQuery()[0]).toMatch(/COALESCE\(\$1, \(\s*SELECT organization_id FROM organization_members/);
+      expect(guideQuery()[1]).toEqual(['org-2', 'u1']);
+
+      mockQuery.mockReset();
+      stubDb();
+      await expect(lintSavedPost({ ...POST, organization_id: null })).resolves.toMatchObject({ fixable: 3 });
+      expect(guideQuery()[1]).toEqual([null, 'u1']);
+    });
+  });
+});
@@ -0,0 +1,125 @@
+/**
+ * Unit tests: duplicate topic / keyword cannibalization detection (lib/topic-overlap.js, services/topic-overlap.js).
+ */
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { findClusters, findConflicts, keywordKey } from '../../lib/topic-overlap.js';
+
+const mockQuery = vi.fn();
+vi.mock('../../services/database.js', () => ({
+  default: {
+    query: (...args) => mockQuery(...args),
+    transaction: (fn) => fn({ query: (...args) => mockQuery(...args) })
+  }
+}));
+
+const { annotateCalendarIdeas, listCannibalizationClusters } = await import('../../services/topic-overlap.js');
+
+const ITEMS = [
+  { type: 'blog_post', id: 'p1', title: 'Email Marketing Tips for Small Businesses', keywords: ['email marketing tips'], primary_keyword: 'email marketing tips', url: 'https://acme.com/blog/email-tips', status: 'published', word_count: 1800 },
+  { type: 'website_page', id: 'w1', title: 'Email marketing tips for small business owners', keywords: [], primary_keyword: null, url: 'https://acme.com/resources/email', status: 'published', word_count: 600 },
+  { type: 'blog_post', id: 'p2', title: 'How to Choose an Email Platform', keywords: ['Tips for email marketing'], primary_keyword: 'Tips for email marketing', url: null, status: 'draft', word_count: 1200 },
+  { type: 'blog_post', id: 'p3', title: 'Local SEO Checklist for Restaurants', keywords: ['local seo'], primary_keyword: 'local seo', url: 'https://acme.com/blog/local-seo', status: 'published', word_count: 1500 },
+  { type: 'calendar_item', id: 'a1:4', title: 'Local SEO checklist for restaurants and cafes', keywords: ['restaurant seo'], primary_keyword: 'restaurant seo', url: null, status: 'planned', word_count: 0 },
+  { type: 'website_page', id: 'w2', title: 'Pricing plans', keywords: [], primary_keyword: null, url: 'https://acme.com/pricing', status: 'published', word_count: 300 }
+];
+
+describe('topic-overlap', () => {
+  beforeEach(() => {
+    mockQuery.mockReset();
+  });
+
+  it('compares keywords by their terms, ignoring order, stopwords and plurals', () => {
+    expect(keywordKey('Tips for email marketing')).toBe(keywordKey('email marketing tip'));
+    expect(keywordKey('the')).toBeNull();
+  });
+
+  describe('findClusters', () => {
+    it('groups near duplicates and same-keyword items around the strongest live item', () => {
+      const clusters = findClusters(ITEMS);
+
+      expect(clusters.map((c) => [c.id, c.items.map((i) => i.id).sort(), c.reasons])).toEqual([
+        ['blog_post:p1', ['p1', 'p2', 'w1'], ['near_duplicate_topic', 'same_primary_keyword']],
+        ['blog_post:p3', ['a1:4', 'p3'], ['near_duplicate_topic']]
+      ]);
+      expect(clusters[0].primary_keyword).toBe('email marketing tips');
+      expect(clusters[0].similarity).toBeGreaterThanOrEqual(0.6);
+    });
+
+    it('suggests merge + redirect for live duplicates and differentiation for planned or keyword-only overlaps', () => {
+      const [email, seo] = findClusters(ITEMS);
+
+      expect(email.actions.map((a) => [a.action, a.item.id])).toEqual([
+        ['merge', 'w1'],
+        ['redirect', 'w1'],
+        ['differentiate', 'p2']
+      ]);
+      expect(email.actions[1]).toMatchObject({ from: 'https://acme.com/resources/email', to: 'https://acme.com/blog/email-tips' });
+      expect(email.actions[2].detail).toContain('"Tips for email marketing"');
+      expect(seo.actions.map((a) => [a.action, a.item.id])).toEqual([['differentiate', 'a1:4']]);
+    });
+  });
+
+  it('lists conflicts of a planned topic, most similar first', () => {
+    const conflicts = findConflicts(ITEMS, { title: 'Email marketing tips every small business needs', keywords: ['email marketing tips'] });
+
+    expect(conflicts.map((c) => [c.item.id, c.reasons])).toEqual([
+      ['p1', ['near_duplicate_topic', 'same_primary_keyword']],
+      ['w1', ['near_duplicate_topic']],
+      ['p2', ['same_primary_keyword']]
+    ]);
+    expect(findConflicts(ITEMS, { title: 'Hiring your first designer', keywords: ['hiring designers'] })).toEqual([]);
+  });
+
+  describe('service', () => {
+    /** Posts, scraped pages and one calendar whose day 2 has already been turned into post p1. */
+    function stubDb() {
+      mockQuery.mockImplementation(async (sql) => {
+        if (sql.includes('FROM blog_posts')) {
+          return {
+            rows: [
+              { id: 'p1', title: ITEMS[0].title, topic_data: { seoKeywords: ['email marketing tips'] }, status: 'published', publication_status: 'published', canonical_url: null, platform_publications: [{ platform: 'wordpress', status: 'published', url: 'https://acme.com/blog/email-tips' }], word_count: 1800 },
+              { id: 'p2', title: ITEMS[2].title, topic_data: { seoKeywords: ['Tips for email marketing'] }, status: 'draft', publication_status: 'draft', word_count: 1200 }
+            ]
+          };
+        }
+        if (sql.includes('FROM website_pages')) {
+          return {
+            rows: [
+              { id: 'w0', url: 'https://www.acme.com/blog/email-tips/', title: ITEMS[0].title },
+              { id: 'w1', url: ITEMS[1].url, title: ITEMS[1].title, word_count: 600 }
+            ]
+          };
+        }
+        if (sql.includes('FROM audiences')) {
+          return { rows: [{ id: 'a1', posted_days: [2], content_ideas: JSON.stringify([{ dayNumber: 2, title: ITEMS[0].title, keywords: ['email marketing tips'] }]) }] };
+        }
+        return { rows: [] };
+      });
+    }
+
+    it('treats a scraped copy of a published post and a calendar day already posted as that post', async () => {
+      stubDb();
+
+      const { clusters, items_compared } = await listCannibalizationClusters('org-1');
+
+      expect(items_compared).toBe(3);
+      expect(clusters).toHaveLength(1);
+      expect(clusters[0].items.map((i) => i.id).sort()).toEqual(['p1', 'p2', 'w1']);
+      expect(mockQuery.mock.calls.find(([sql]) => sql.includes('FROM website_pages'))[1][0]).toBe('org-1');
+    });
+
+    it('annotates new calendar ideas that repeat existing content or each other', async () => {
+      stubDb();
+
+      const ideas = await annotateCalendarIdeas('org-1', 'a1', [
+        { dayNumber: 1, title: 'Email marketing tips for small business owners in 2026', keywords: ['email marketing tips'] },
+        { dayNumber: 2, title: 'Hiring your first designer', keywords: ['hiring designers'] },
+        { dayNumber: 3, title: 'Hiring your first designer: a guide', keywords: ['hiring designers'] }
+      ]);
+
+      expect(ideas[0].overlaps.map((o) => o.id)).toEqual(['w1', 'p1', 'p2']);
+      expect(ideas[1]).not.toHaveProperty('overlaps');
+      expect(ideas[2].overlaps).toEqual([expect.objectContaining({ type: 'calendar_item', id: 'a1:2', reasons: expect.arrayContaining(['same_primary_keyword']) })]);
+    });
+  });
+});
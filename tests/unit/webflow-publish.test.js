@@ -0,0 +1,178 @@
+/**
+ * Unit tests for Webflow CMS publish/update/unpublish service.
+ */
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { NotFoundError } from '../../lib/errors.js';
+import {
+  publishToWebflow,
+  unpublishFromWebflow,
+  updateWebflowItem,
+  validateWebflowCredentials
+} from '../../services/webflow-publish.js';
+
+const API = 'https://api.webflow.com/v2';
+const creds = { access_token: 'wf-token' };
+
+const ok = (body, status = 200) => ({ ok: true, status, json: async () => body, text: async () => JSON.stringify(body) });
+const fail = (status, body = {}) => ({ ok: false, status, json: async () => body, text: async () => JSON.stringify(body) });
+
+const site = { id: 's1', displayName: 'Acme', shortName: 'acme', customDomains: [{ url: 'www.acme.com' }] };
+const collection = {
+  id: 'c1',
+  slug: 'blog',
+  displayName: 'Blog Posts',
+  fields: [
+    { slug: 'name', type: 'PlainText' },
+    { slug: 'slug', type: 'PlainText' },
+    { slug: 'post-body', type: 'RichText' },
+    { slug: 'post-summary', type: 'PlainText' },
+    { slug: 'main-image', type: 'Image' },
+    { slug: 'keywords', type: 'PlainText' }
+  ]
+};
+
+describe('webflow-publish', () => {
+  const originalFetch = globalThis.fetch;
+
+  beforeEach(() => {
+    globalThis.fetch = vi.fn();
+  });
+
+  afterEach(() => {
+    globalThis.fetch = originalFetch;
+  });
+
+  describe('publishToWebflow', () => {
+    it('finds the only site and its blog collection and creates a live item', async () => {
+      globalThis.fetch
+        .mockResolvedValueOnce(ok({ sites: [site] }))
+        .mockResolvedValueOnce(ok({ collections: [{ id: 'c0', slug: 'authors' }, { id: 'c1', slug: 'blog' }] }))
+        .mockResolvedValueOnce(ok(collection))
+        .mockResolvedValueOnce(ok({ id: 'i1', fieldData: { slug: 'hello-world' } }, 202));
+
+      const result = await publishToWebflow(
+        { ...creds, field_mapping: { tags: 'keywords' } },
+        { title: 'Hello World', content: 'First **para**.', featured_image: 'https://img.example.com/a.png', tags: ['seo', 'ai'] }
+      );
+
+      expect(result).toEqual({ url: 'https://www.acme.com/blog/hello-world', id: 'c1:i1' });
+      expect(globalThis.fetch.mock.calls[1][0]).toBe(`${API}/sites/s1/collections`);
+      const [url, opts] = globalThis.fetch.mock.calls[3];
+      expect(url).toBe(`${API}/collections/c1/items/live`);
+      expect(opts.method).toBe('POST');
+      expect(opts.headers.Authorization).toBe('Bearer wf-token');
+      const { isDraft, fieldData } = JSON.parse(opts.body);
+      expect(isDraft).toBe(false);
+      expect(fieldData).toEqual({
+        name: 'Hello World',
+        slug: 'hello-world',
+        'post-body': '<p>First <strong>para</strong>.</p>\n',
+        'post-summary': 'First para.',
+        'main-image': { url: 'https://img.example.com/a.png', alt: 'Hello World' },
+        keywords: 'seo, ai'
+      });
+    });
+
+    it('creates a staged draft item without a URL', async () => {
+      globalThis.fetch
+        .mockResolvedValueOnce(ok(site))
+        .mockResolvedValueOnce(ok(collection))
+        .mockResolvedValueOnce(ok({ id: 'i2', fieldData: { slug: 'x' } }, 202));
+
+      const result = await publishToWebflow({ ...creds, site_id: 's1', collection_id: 'c1' }, { title: 'X', content: 'Body' }, { draft: true });
+
+      expect(result).toEqual({ url: '', id: 'c1:i2' });
+      expect(globalThis.fetch.mock.calls[0][0]).toBe(`${API}/sites/s1`);
+      const [url, opts] = globalThis.fetch.mock.calls[2];
+      expect(url).toBe(`${API}/collections/c1/items`);
+      expect(JSON.parse(opts.body).isDraft).toBe(true);
+    });
+
+    it('asks for site_id when several sites are authorized', async () => {
+      globalThis.fetch.mockResolvedValueOnce(ok({ sites: [site, { ...site, id: 's2', displayName: 'Other' }] }));
+      await expect(publishToWebflow(creds, { title: 'X', content: 'Body' })).rejects.toThrow(/Set site_id/);
+    });
+
+    it('asks for collection_id when no blog collection is found', async () => {
+      globalThis.fetch
+        .mockResolvedValueOnce(ok({ sites: [site] }))
+        .mockResolvedValueOnce(ok({ collections: [{ id: 'c8', slug: 'team', displayName: 'Team' }, { id: 'c9', slug: 'jobs', displayName: 'Jobs' }] }));
+      await expect(publishToWebflow(creds, { title: 'X', content: 'Body' })).rejects.toThrow(/Set collection_id.*\(Team: c8, Jobs: c9\)/);
+    });
+
+    it('fails when the collection has no body field', async () => {
+      globalThis.fetch
+        .mockResolvedValueOnce(ok(site))
+        .mockResolvedValueOnce(ok({ ...collection, fields: [{ slug: 'name', type: 'PlainText' }] }));
+      await expect(
+        publishToWebflow({ ...creds, site_id: 's1', collection_id: 'c1' }, { title: 'X', content: 'Body' })
+      ).rejects.toThrow(/no field "post-body"/);
+    });
+
+    it('surfaces Webflow validation details', async () => {
+      globalThis.fetch
+        .mockResolvedValueOnce(ok(site))
+        .mockResolvedValueOnce(ok(collection))
+        .mockResolvedValueOnce(fail(400, { message: 'Validation Error', details: [{ param: 'slug', message: 'Unique value is already in database' }] }));
+      await expect(
+        publishToWebflow({ ...creds, site_id: 's1', collection_id: 'c1' }, { title: 'X', content: 'Body' })
+      ).rejects.toThrow('Validation Error (Unique value is already in database)');
+    });
+  });
+
+  describe('updateWebflowItem', () => {
+    it('PATCHes the live item of the stored collection', async () => {
+      globalThis.fetch
+        .mockResolvedValueOnce(ok(site))
+        .mockResolvedValueOnce(ok(collection))
+        .mockResolvedValueOnce(ok({ id: 'i1', fieldData: { slug: 'edited' } }));
+
+      const result = await updateWebflowItem({ ...creds, site_id: 's1' }, 'c1:i1', { title: 'Edited', content: 'New body' });
+
+      expect(result).toEqual({ url: 'https://www.acme.com/blog/edited', id: 'c1:i1' });
+      const [url, opts] = globalThis.fetch.mock.calls[2];
+      expect(url).toBe(`${API}/collections/c1/items/i1/live`);
+      expect(opts.method).toBe('PATCH');
+      expect(JSON.parse(opts.body).fieldData.name).toBe('Edited');
+    });
+
+    it('throws NotFoundError when the item was deleted', async () => {
+      globalThis.fetch
+        .mockResolvedValueOnce(ok(site))
+        .mockResolvedValueOnce(ok(collection))
+        .mockResolvedValueOnce(fail(404));
+      await expect(updateWebflowItem({ ...creds, site_id: 's1' }, 'c1:i1', { title: 'X', content: 'Body' })).rejects.toBeInstanceOf(NotFoundError);
+    });
+  });
+
+  describe('unpublishFromWebflow', () => {
+    it('removes the live item in draft mode', async () => {
+      globalThis.fetch.mockResolvedValueOnce(ok({}, 204));
+      await expect(unpublishFromWebflow(creds, 'c1:i1')).resolves.toEqual({ id: 'c1:i1', status: 'draft' });
+      expect(globalThis.fetch).toHaveBeenCalledTimes(1);
+      expect(globalThis.fetch.mock.calls[0][0]).toBe(`${API}/collections/c1/items/i1/live`);
+      expect(globalThis.fetch.mock.calls[0][1].method).toBe('DELETE');
+    });
+
+    it('unpublishes then deletes the item in delete mode; 404 means gone', async () => {
+      globalThis.fetch.mockResolvedValueOnce(ok({}, 204)).mockResolvedValueOnce(ok({}, 204));
+      await expect(unpublishFromWebflow(creds, 'c1:i1', { mode: 'delete' })).resolves.toEqual({ id: 'c1:i1', status: 'deleted' });
+      expect(globalThis.fetch.mock.calls[1][0]).toBe(`${API}/collections/c1/items/i1`);
+
+      globalThis.fetch.mockResolvedValueOnce(fail(404)).mockResolvedValueOnce(fail(404));
+      await expect(unpublishFromWebflow(creds, 'c1:i1', { mode: 'delete' })).resolves.toEqual({ id: 'c1:i1', status: 'gone' });
+    });
+
+    it('rejects malformed external ids', async () => {
+      await expect(unpublishFromWebflow(creds, 'i1')).rejects.toThrow(/Invalid Webflow item id/);
+    });
+  });
+
+  describe('validateWebflowCredentials', () => {
+    it('requires an access token and maps 401 to a reconnect message', async () => {
+      await expect(validateWebflowCredentials({})).rejects.toThrow(/missing access_token/);
+      globalThis.fetch.mockResolvedValueOnce(fail(401));
+      await expect(validateWebflowCredentials(creds)).rejects.toThrow(/Reconnect Webflow/);
+    });
+  });
+});
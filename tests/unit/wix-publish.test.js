@@ -0,0 +1,106 @@
+/**
+ * Unit tests for Wix Blog publish/update/unpublish service.
+ */
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { NotFoundError } from '../../lib/errors.js';
+import { publishToWix, unpublishFromWix, updateWixPost, validateWixCredentials } from '../../services/wix-publish.js';
+
+const API = 'https://www.wixapis.com/blog/v3';
+const creds = { access_token: 'OauthNG.JWS.x', member_id: 'm1' };
+
+const ok = (body, status = 200) => ({ ok: true, status, json: async () => body, text: async () => JSON.stringify(body) });
+const fail = (status, body = {}) => ({ ok: false, status, json: async () => body, text: async () => JSON.stringify(body) });
+
+describe('wix-publish', () => {
+  const originalFetch = globalThis.fetch;
+
+  beforeEach(() => {
+    globalThis.fetch = vi.fn();
+  });
+
+  afterEach(() => {
+    globalThis.fetch = originalFetch;
+  });
+
+  describe('publishToWix', () => {
+    it('creates and publishes a draft post with Ricos content', async () => {
+      globalThis.fetch.mockResolvedValueOnce(
+        ok({ draftPost: { id: 'd1', url: { base: 'https://acme.com/', path: '/post/hello-world' } } })
+      );
+
+      const result = await publishToWix(creds, { title: 'Hello World', content: '## Intro\n\nFirst **para**.', tags: ['seo'] });
+
+      expect(result).toEqual({ url: 'https://acme.com/post/hello-world', id: 'd1' });
+      const [url, opts] = globalThis.fetch.mock.calls[0];
+      expect(url).toBe(`${API}/draft-posts`);
+      expect(opts.headers.Authorization).toBe('OauthNG.JWS.x');
+      const body = JSON.parse(opts.body);
+      expect(body.publish).toBe(true);
+      expect(body.fieldsets).toEqual(['URL']);
+      expect(body.draftPost).toMatchObject({
+        title: 'Hello World',
+        memberId: 'm1',
+        excerpt: 'First para.',
+        hashtags: ['seo'],
+        seoSlug: 'hello-world'
+      });
+      expect(body.draftPost.richContent.nodes.map((n) => n.type)).toEqual(['HEADING', 'PARAGRAPH']);
+    });
+
+    it('keeps drafts unpublished', async () => {
+      globalThis.fetch.mockResolvedValueOnce(ok({ draftPost: { id: 'd2' } }));
+      await expect(publishToWix(creds, { title: 'X', content: 'Body' }, { draft: true })).resolves.toEqual({ url: '', id: 'd2' });
+      expect(JSON.parse(globalThis.fetch.mock.calls[0][1].body).publish).toBe(false);
+    });
+
+    it('requires member_id before calling Wix', async () => {
+      await expect(publishToWix({ access_token: 'x' }, { title: 'X', content: 'Body' })).rejects.toThrow(/member_id/);
+      expect(globalThis.fetch).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('updateWixPost', () => {
+    it('PATCHes with UPDATE_PUBLISH, or UPDATE for drafts', async () => {
+      globalThis.fetch.mockResolvedValueOnce(ok({ draftPost: { id: 'd1', url: { base: 'https://acme.com', path: '/post/edited' } } }));
+      await expect(updateWixPost(creds, 'd1', { title: 'Edited', content: 'Body' })).resolves.toEqual({
+        url: 'https://acme.com/post/edited',
+        id: 'd1'
+      });
+      const [url, opts] = globalThis.fetch.mock.calls[0];
+      expect(url).toBe(`${API}/draft-posts/d1`);
+      expect(opts.method).toBe('PATCH');
+      expect(JSON.parse(opts.body).action).toBe('UPDATE_PUBLISH');
+
+      globalThis.fetch.mockResolvedValueOnce(ok({ draftPost: { id: 'd1' } }));
+      await updateWixPost(creds, 'd1', { title: 'Edited', content: 'Body' }, { draft: true });
+      expect(JSON.parse(globalThis.fetch.mock.calls[1][1].body).action).toBe('UPDATE');
+    });
+
+    it('throws NotFoundError when the post was deleted', async () => {
+      globalThis.fetch.mockResolvedValueOnce(fail(404));
+      await expect(updateWixPost(creds, 'd1', { title: 'X', content: 'Body' })).rejects.toBeInstanceOf(NotFoundError);
+    });
+  });
+
+  describe('unpublishFromWix', () => {
+    it('unpublishes, deletes in delete mode and treats 404 as gone', async () => {
+      globalThis.fetch.mockResolvedValueOnce(ok({}));
+      await expect(unpublishFromWix(creds, 'd1')).resolves.toEqual({ id: 'd1', status: 'draft' });
+      expect(globalThis.fetch.mock.calls[0][0]).toBe(`${API}/draft-posts/d1/unpublish`);
+
+      globalThis.fetch.mockResolvedValueOnce(ok({}));
+      await expect(unpublishFromWix(creds, 'd1', { mode: 'delete' })).resolves.toEqual({ id: 'd1', status: 'deleted' });
+      expect(globalThis.fetch.mock.calls[1][1].method).toBe('DELETE');
+
+      globalThis.fetch.mockResolvedValueOnce(fail(404));
+      await expect(unpublishFromWix(creds, 'd1')).resolves.toEqual({ id: 'd1', status: 'gone' });
+    });
+  });
+
+  describe('validateWixCredentials', () => {
+    it('maps 401 to a reconnect message', async () => {
+      globalThis.fetch.mockResolvedValueOnce(fail(401));
+      await expect(validateWixCredentials(creds)).rejects.toThrow(/Reconnect Wix/);
+    });
+  });
+});
@@ -2,7 +2,14 @@
  * Unit tests for WordPress publish service.
  */
 import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
-import { publishToWordPress } from '../../services/wordpress-publish.js';
+import { NotFoundError } from '../../lib/errors.js';
+import {
+  publishToWordPress,
+  unpublishFromWordPress,
+  updateWordPressPost,
+  validateWordPressCredentials,
+  wordpressPublisher
+} from '../../services/wordpress-publish.js';
 
 describe('wordpress-publish', () => {
   const originalFetch = globalThis.fetch;
@@ -330,4 +337,166 @@ describe('wordpress-publish', () => {
     expect(globalThis.fetch).toHaveBeenCalledTimes(1);
     expect(globalThis.fetch.mock.calls[0][0]).toBe('https://wp.example.com/index.php?rest_route=/wp/v2/posts');
   });
+
+  describe('unpublishFromWordPress', () => {
+    const creds = { site_url: 'https://wp.example.com', username: 'u', application_password: 'p' };
+
+    it('moves the post to trash by default', async () => {
+      globalThis.fetch.mockResolvedValueOnce({ ok: true, status: 200, text: async () => '{}' });
+
+      const result = await unpublishFromWordPress(creds, 42);
+
+      expect(result).toEqual({ id: 42, status: 'trash' });
+      expect(globalThis.fetch.mock.calls[0][0]).toBe('https://wp.example.com/wp-json/wp/v2/posts/42');
+      expect(globalThis.fetch.mock.calls[0][1].method).toBe('DELETE');
+    });
+
+    it('reverts to draft in draft mode', async () => {
+      globalThis.fetch.mockResolvedValueOnce({ ok: true, status: 200, text: async () => '{}' });
+
+      const result = await unpublishFromWordPress(creds, 42, { mode: 'draft' });
+
+      expect(result.status).toBe('draft');
+      expect(globalThis.fetch.mock.calls[0][1].method).toBe('POST');
+      expect(JSON.parse(globalThis.fetch.mock.calls[0][1].body)).toEqual({ status: 'draft' });
+    });
+
+    it('treats a post that is already gone as success after trying index.php', async () => {
+      globalThis.fetch
+        .mockResolvedValueOnce({ ok: false, status: 404, text: async () => '' })
+        .mockResolvedValueOnce({ ok: false, status: 410, text: async () => '' });
+
+      const result = await unpublishFromWordPress(creds, 42);
+
+      expect(result.status).toBe('gone');
+      expect(globalThis.fetch.mock.calls[1][0]).toBe('https://wp.example.com/index.php?rest_route=/wp/v2/posts/42');
+    });
+
+    it('throws a permissions hint on 403', async () => {
+      globalThis.fetch.mockResolvedValueOnce({ ok: false, status: 403, text: async () => '' });
+
+      await expect(unpublishFromWordPress(creds, 42)).rejects.toThrow(/reconnect WordPress/);
+    });
+  });
+
+  describe('updateWordPressPost', () => {
+    const creds = { site_url: 'https://wp.example.com', username: 'u', application_password: 'p' };
+    const okPost = (body) => ({ ok: true, status: 200, text: async () => JSON.stringify(body), json: async () => body });
+
+    it('posts to the existing post id instead of creating a new one', async () => {
+      globalThis.fetch.mockResolvedValueOnce(okPost({ id: 42, link: 'https://wp.example.com/edited/' }));
+
+      const result = await updateWordPressPost(creds, 42, { title: 'Edited', content: 'Body' });
+
+      expect(result).toEqual({ url: 'https://wp.example.com/edited/', id: 42 });
+      expect(globalThis.fetch.mock.calls[0][0]).toBe('https://wp.example.com/wp-json/wp/v2/posts/42');
+      expect(JSON.parse(globalThis.fetch.mock.calls[0][1].body)).toMatchObject({ title: 'Edited', status: 'publish' });
+    });
+
+    it('resolves tag names to ids, creating missing tags', async () => {
+      globalThis.fetch
+        .mockResolvedValueOnce({ ok: true, status: 200, json: async () => [{ id: 7, name: 'SEO' }] })
+        .mockResolvedValueOnce({ ok: true, status: 200, json: async () => [] })
+        .mockResolvedValueOnce({ ok: true, status: 201, json: async () => ({ id: 9, name: 'Growth' }) })
+        .mockResolvedValueOnce(okPost({ id: 42, link: 'https://wp.example.com/p/' }));
+
+      await updateWordPressPost(creds, 42, { title: 'T', content: 'C', tags: ['seo', 'Growth'] });
+
+      expect(globalThis.fetch.mock.calls[0][0]).toBe('https://wp.example.com/wp-json/wp/v2/tags?search=seo');
+      expect(globalThis.fetch.mock.calls[2][1].method).toBe('POST');
+      expect(JSON.parse(globalThis.fetch.mock.calls[3][1].body).tags).toEqual([7, 9]);
+    });
+
+    it('sends slug, excerpt and categories, and uploads the featured image with its alt text', async () => {
+      globalThis.fetch
+        .mockResolvedValueOnce({ ok: true, arrayBuffer: async () => new ArrayBuffer(8) })
+        .mockResolvedValueOnce(okPost({ id: 30, source_url: 'https://wp.example.com/uploads/hero.jpg' }))
+        .mockResolvedValueOnce(okPost({ id: 30 }))
+        .mockResolvedValueOnce({ ok: true, status: 200, json: async () => [{ id: 3, name: 'Guides' }] })
+        .mockResolvedValueOnce(okPost({ id: 42, link: 'https://wp.example.com/p/' }));
+
+      await updateWordPressPost(creds, 42, {
+        title: 'T',
+        content: 'C',
+        slug: 'custom-slug',
+        excerpt: 'Short summary.',
+        featured_image: 'https://cdn.example.com/hero.jpg',
+        featured_image_alt: 'A mountain',
+        categories: ['guides']
+      });
+
+      const [mediaUrl, mediaOpts] = globalThis.fetch.mock.calls[1];
+      expect(mediaUrl).toBe('https://wp.example.com/wp-json/wp/v2/media');
+      expect(mediaOpts.headers['Content-Disposition']).toBe('attachment; filename="hero.jpg"');
+      expect(JSON.parse(globalThis.fetch.mock.calls[2][1].body)).toEqual({ alt_text: 'A mountain' });
+      expect(globalThis.fetch.mock.calls[3][0]).toBe('https://wp.example.com/wp-json/wp/v2/categories?search=guides');
+      expect(JSON.parse(globalThis.fetch.mock.calls[4][1].body)).toMatchObject({
+        slug: 'custom-slug',
+        excerpt: 'Short summary.',
+        featured_media: 30,
+        categories: [3]
+      });
+    });
+
+    it('falls back to the first content image when the featured image upload fails', async () => {
+      globalThis.fetch.mockImplementation((url, opts) => {
+        const u = String(url);
+        if (u === 'https://cdn.example.com/body.png') return Promise.resolve({ ok: true, arrayBuffer: async () => new ArrayBuffer(8) });
+        if (u === 'https://cdn.example.com/hero.png') return Promise.resolve({ ok: false, status: 404 });
+        if (u.endsWith('/wp/v2/media') && opts?.method === 'POST') {
+          return Promise.resolve(okPost({ id: 21, source_url: 'https://wp.example.com/uploads/body.png' }));
+        }
+        return Promise.resolve(okPost({ id: 42, link: 'https://wp.example.com/p/' }));
+      });
+      vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+      await updateWordPressPost(creds, 42, {
+        title: 'T',
+        content: '<img src="https://cdn.example.com/body.png" alt="b" />',
+        featured_image: 'https://cdn.example.com/hero.png'
+      });
+
+      const postCall = globalThis.fetch.mock.calls.find(([url]) => String(url).endsWith('/wp/v2/posts/42'));
+      expect(JSON.parse(postCall[1].body).featured_media).toBe(21);
+      vi.restoreAllMocks();
+    });
+
+    it('schedules with status future and date_gmt', async () => {
+      globalThis.fetch.mockResolvedValueOnce(okPost({ id: 42, link: 'https://wp.example.com/?p=42' }));
+
+      await wordpressPublisher.update(creds, 42, { title: 'T', content: 'C' }, { scheduledAt: new Date('2026-11-03T14:00:00.000Z') });
+
+      expect(JSON.parse(globalThis.fetch.mock.calls[0][1].body)).toMatchObject({ status: 'future', date_gmt: '2026-11-03T14:00:00' });
+    });
+
+    it('requires a date for status future', async () => {
+      await expect(publishToWordPress(creds, { title: 'T', content: 'C' }, { status: 'future' })).rejects.toThrow(/publish date/);
+      expect(globalThis.fetch).not.toHaveBeenCalled();
+    });
+
+    it('throws NotFoundError when the remote post no longer exists', async () => {
+      const missing = { ok: false, status: 404, text: async () => JSON.stringify({ code: 'rest_post_invalid_id', message: 'Invalid post ID.' }) };
+      globalThis.fetch.mockResolvedValueOnce(missing).mockResolvedValueOnce(missing);
+
+      await expect(updateWordPressPost(creds, 42, { title: 'T', content: 'C' })).rejects.toBeInstanceOf(NotFoundError);
+    });
+  });
+
+  describe('validateWordPressCredentials', () => {
+    const creds = { site_url: 'https://wp.example.com', username: 'u', application_password: 'p' };
+
+    it('accepts a user who can edit posts', async () => {
+      globalThis.fetch.mockResolvedValueOnce({ ok: true, status: 200, json: async () => ({ id: 1, capabilities: { edit_posts: true } }) });
+      await expect(validateWordPressCredentials(creds)).resolves.toBeUndefined();
+      expect(globalThis.fetch.mock.calls[0][0]).toBe('https://wp.example.com/wp-json/wp/v2/users/me?context=edit');
+    });
+
+    it('rejects bad application passwords and users without edit_posts', async () => {
+      globalThis.fetch.mockResolvedValueOnce({ ok: false, status: 401 });
+      await expect(validateWordPressCredentials(creds)).rejects.toThrow(/rejected credentials/);
+
+      globalThis.fetch.mockResolvedValueOnce({ ok: true, status: 200, json: async () => ({ id: 1, capabilities: { read: true } }) });
+      await expect(validateWordPressCredentials(creds)).rejects.toThrow(/permission to create posts/);
+    });
+  });
 });
@@ -0,0 +1,106 @@
+/**
+ * Outbound requests to URLs that come from users (export images, resources of printed PDFs). Only http(s) URLs
+ * whose host resolves to public addresses are fetched, so a request cannot reach loopback, private networks or
+ * cloud metadata endpoints. Redirects are followed by hand and each hop is checked again.
+ */
+import { promises as dns } from 'node:dns';
+import net from 'node:net';
+
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+  ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['198.51.100.0', 24],
+  ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4]
+]) {
+  BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4');
+}
+// BlockList matches IPv4-mapped addresses (::ffff:a.b.c.d) against the IPv4 rules. NAT64 and 6to4 addresses
+// embed an IPv4 address too; public IPv4 hosts are reached over IPv4 anyway.
+for (const [network, prefix] of [
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['100::', 64], ['2001:db8::', 32],
+  ['2002::', 16], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+]) {
+  BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6');
+}
+
+const REDIRECT_STATUSES = new Set([301, 302, 303, 307, 308]);
+const MAX_REDIRECTS = 5;
+
+/**
+ * Whether an IP address is publicly routable (not loopback, private, link-local, reserved or multicast).
+ * @param {string} address
+ */
+export function isPublicAddress(address) {
+  const family = net.isIP(address);
+  if (family === 0) return false;
+  return !BLOCKED_ADDRESSES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * Check that a URL may be requested: allowed protocol and a host that resolves only to public addresses.
+ * @param {string} url
+ * @param {{ protocols?: string[] }} [options]
+ * @returns {Promise<URL>}
+ * @throws {Error} when the URL is malformed, uses another protocol or points at a non-public host
+ */
+export async function assertPublicUrl(url, { protocols = ['http:', 'https:'] } = {}) {
+  const parsed = new URL(url);
+  if (!protocols.includes(parsed.protocol)) throw new Error(`${parsed.protocol} URLs are not allowed`);
+  const host = parsed.hostname.replace(/^\[|\]$/g, '');
+  const addresses = net.isIP(host) ? [host] : (await dns.lookup(host, { all: true, verbatim: true })).map((a) => a.address);
+  if (addresses.length === 0 || !addresses.every(isPublicAddress)) {
+    throw new Error(`${parsed.hostname} is not a public host`);
+  }
+  return parsed;
+}
+
+/**
+ * fetch() for a user-supplied URL: the URL and every redirect target must pass assertPublicUrl.
+ * @param {string} url
+ * @param {RequestInit} [init] - redirect is always 'manual'
+ * @returns {Promise<Response>}
+ */
+export async function fetchPublicUrl(url, init = {}) {
+  let current = url;
+  for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+    await assertPublicUrl(current);
+    const res = await fetch(current, { ...init, redirect: 'manual' });
+    const location = REDIRECT_STATUSES.has(res.status) ? res.headers.get('location') : null;
+    if (!location) return res;
+    await res.body?.cancel();
+    current = new URL(location, current).href;
+  }
+  throw new Error(`More than ${MAX_REDIRECTS} redirects`);
+}
+
+/**
+ * Response body as a Buffer, refusing bodies larger than maxBytes: by Content-Length up front, otherwise by
+ * cancelling the download once the limit is passed.
+ * @param {Response} res
+ * @param {number} maxBytes
+ * @returns {Promise<Buffer>}
+ */
+export async function readBodyWithLimit(res, maxBytes) {
+  const tooLarge = () => new Error(`larger than ${Math.round(maxBytes / 1024 / 1024)} MB`);
+  const declared = parseInt(res.headers.get('content-length'), 10);
+  if (declared > maxBytes) {
+    await res.body?.cancel();
+    throw tooLarge();
+  }
+  if (!res.body) return Buffer.alloc(0);
+
+  const reader = res.body.getReader();
+  const chunks = [];
+  let size = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    size += value.byteLength;
+    if (size > maxBytes) {
+      await reader.cancel();
+      throw tooLarge();
+    }
+    chunks.push(value);
+  }
+  return Buffer.concat(chunks, size);
+}
@@ -0,0 +1,91 @@
+/**
+ * Per-stream SSE event log in Redis, so a client that reconnects with Last-Event-ID gets the events it missed.
+ * Each stream (a job, or a stream connection) has a counter giving its events monotonic ids and a capped list of
+ * the latest events. Shared by API (stream-manager, routes) and worker.
+ */
+
+const KEY_PREFIX = 'stream-log:';
+/** Events kept per stream; a reconnect from further back gets a 'replay-gap' event instead of the lost ones. */
+export const STREAM_LOG_MAX_EVENTS = 1000;
+/** Logs expire this long after their last event. */
+export const STREAM_LOG_TTL_SECONDS = 60 * 60;
+
+export function jobStreamKey(jobId) {
+  return `job:${jobId}`;
+}
+
+export function connectionStreamKey(connectionId) {
+  return `connection:${connectionId}`;
+}
+
+const logKey = (streamKey) => `${KEY_PREFIX}${streamKey}:events`;
+const seqKey = (streamKey) => `${KEY_PREFIX}${streamKey}:seq`;
+
+/**
+ * Give an event the next id of its stream and log it; with a channel, also publish it there as { id, event, data }
+ * in the same transaction, so subscribers see events in id order.
+ * @param {import('ioredis').Redis} redis
+ * @param {string} streamKey - jobStreamKey() or connectionStreamKey()
+ * @param {string} event
+ * @param {string|object} data
+ * @param {string|null} [channel]
+ * @returns {Promise<{ id: number, event: string, data: string|object }>}
+ */
+export async function appendStreamEvent(redis, streamKey, event, data, channel = null) {
+  const id = await redis.incr(seqKey(streamKey));
+  const entry = { id, event, data };
+  const serialized = JSON.stringify(entry);
+  const tx = redis.multi()
+    .rpush(logKey(streamKey), serialized)
+    .ltrim(logKey(streamKey), -STREAM_LOG_MAX_EVENTS, -1)
+    .expire(logKey(streamKey), STREAM_LOG_TTL_SECONDS)
+    .expire(seqKey(streamKey), STREAM_LOG_TTL_SECONDS);
+  if (channel) tx.publish(channel, serialized);
+  await tx.exec();
+  return entry;
+}
+
+/**
+ * Logged events of a stream with an id greater than lastEventId, oldest first.
+ * gap is set when events after lastEventId were already trimmed from the log (or the log expired).
+ * @param {import('ioredis').Redis} redis
+ * @param {string} streamKey
+ * @param {number} lastEventId
+ * @returns {Promise<{ events: Array<{ id: number, event: string, data: string|object }>, gap: { from: number, to: number } | null }>}
+ */
+export async function readStreamEventsAfter(redis, streamKey, lastEventId) {
+  const [raw, seq] = await Promise.all([
+    redis.lrange(logKey(streamKey), 0, -1),
+    redis.get(seqKey(streamKey))
+  ]);
+  const logged = [];
+  for (const item of raw || []) {
+    try {
+      logged.push(JSON.parse(item));
+    } catch {
+      // skip a corrupt entry rather than failing the reconnect
+    }
+  }
+  logged.sort((a, b) => a.id - b.id);
+  const events = logged.filter((e) => e.id > lastEventId);
+
+  const latestId = parseInt(seq, 10) || 0;
+  const firstAvailable = events.length ? events[0].id : latestId + 1;
+  const gap = latestId > lastEventId && firstAvailable > lastEventId + 1
+    ? { from: lastEventId + 1, to: firstAvailable - 1 }
+    : null;
+  return { events, gap };
+}
+
+/**
+ * Last event id the client saw: the Last-Event-ID header EventSource sends on reconnect, or ?lastEventId=
+ * for clients that reconnect by hand.
+ * @param {import('express').Request} req
+ * @returns {number|null}
+ */
+export function getLastEventId(req) {
+  const raw = req.get?.('last-event-id') ?? req.headers?.['last-event-id'] ?? req.query?.lastEventId;
+  if (raw == null || raw === '') return null;
+  const id = Number(Array.isArray(raw) ? raw[0] : raw);
+  return Number.isInteger(id) && id >= 0 ? id : null;
+}
@@ -8,11 +8,13 @@
  * Format a single SSE message (event type + data, newline-delimited).
  * @param {string} event - Event type (e.g. 'message', 'progress', 'error')
  * @param {string|object} data - Payload; objects are JSON.stringify'd
+ * @param {number} [id] - Event id; the browser sends the last one back as Last-Event-ID when it reconnects
  * @returns {string} SSE-formatted string
  */
-export function formatSSE(event, data) {
+export function formatSSE(event, data, id) {
   const payload = typeof data === 'string' ? data : JSON.stringify(data);
-  return `event: ${event}\ndata: ${payload.replace(/\n/g, '\ndata: ')}\n\n`;
+  const idLine = id != null ? `id: ${id}\n` : '';
+  return `${idLine}event: ${event}\ndata: ${payload.replace(/\n/g, '\ndata: ')}\n\n`;
 }
 
 /**
@@ -20,10 +22,11 @@ export function formatSSE(event, data) {
  * @param {import('express').Response} res - Express response (must be SSE-ready)
  * @param {string} event - Event type
  * @param {string|object} data - Payload
+ * @param {number} [id] - Event id (see formatSSE)
  */
-export function writeSSE(res, event, data) {
+export function writeSSE(res, event, data, id) {
   if (res.writableEnded) return;
-  res.write(formatSSE(event, data));
+  res.write(formatSSE(event, data, id));
   // Flush so each event reaches the client immediately (avoids buffering multiple events into one chunk)
   if (typeof res.flush === 'function') res.flush();
 }